@@ -66,6 +66,16 @@ module.exports = {
       files: ['tests/**/*.js'],
       rules: {
         'node/no-unpublished-require': 'off',
+        // Tests read fixtures and schema files from paths they build themselves
+        'security/detect-non-literal-fs-filename': 'off',
+      },
+    },
+    {
+      // The audit anchor file comes from config and resolves against the project root;
+      // EDI paths stay inside the configured drop directory (see partnerDir and dropFile)
+      files: ['src/services/auditChain.service.js', 'src/services/edi.service.js'],
+      rules: {
+        'security/detect-non-literal-fs-filename': 'off',
       },
     },
   ],
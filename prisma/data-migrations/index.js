@@ -0,0 +1,34 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - DATA MIGRATIONS
+// Runs after `prisma migrate deploy`. Each migration is idempotent, so the
+// whole list runs on every deploy in order.
+// =============================================================================
+
+const { prisma } = require('../../src/config/database');
+const { runAsSystem } = require('../../src/utils/tenantContext');
+
+const migrations = [
+  require('./ledger-opening-balances'),
+  require('./webhook-endpoints'),
+];
+
+async function main() {
+  console.log('\n🔁 Running data migrations...\n');
+
+  for (const migration of migrations) {
+    const result = await migration.up();
+    console.log(`✓ ${migration.name}`, result);
+  }
+
+  console.log('\n✅ Data migrations completed\n');
+}
+
+// Backfills span every tenant
+runAsSystem(main)
+  .catch((e) => {
+    console.error('❌ Data migration failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,54 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - DATA MIGRATION: LEDGER OPENING BALANCES
+// Carries wallet, currency wallet and credit line balances that predate the
+// general ledger into it, so the first posting does not reset them to zero.
+// Idempotent: accounts already in the ledger are skipped.
+// =============================================================================
+
+const { prisma } = require('../../src/config/database');
+const walletService = require('../../src/services/wallet.service');
+const creditLineService = require('../../src/services/creditLine.service');
+const multiCurrencyWalletService = require('../../src/services/multiCurrencyWallet.service');
+
+const BATCH_SIZE = 200;
+
+/**
+ * Open each row in its own transaction, paging by id
+ */
+const openEach = async (model, select, open) => {
+  let cursor = null;
+  let opened = 0;
+
+  for (;;) {
+    const rows = await prisma[model].findMany({
+      select: { id: true, ...select },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+    if (!rows.length) break;
+
+    for (const row of rows) {
+      const journal = await prisma.$transaction((tx) => open(row, tx));
+      if (journal) opened += 1;
+    }
+    cursor = rows[rows.length - 1].id;
+  }
+
+  return opened;
+};
+
+module.exports = {
+  name: 'ledger-opening-balances',
+  up: async () => {
+    const wallets = await openEach('wallet', {}, (row, tx) => walletService.openWalletLedger(row.id, tx));
+    const currencyWallets = await openEach(
+      'walletCurrencyBalance',
+      { walletId: true, currency: true },
+      (row, tx) => multiCurrencyWalletService.openCurrencyLedger(row.walletId, row.currency, tx),
+    );
+    const creditLines = await openEach('creditLine', {}, (row, tx) => creditLineService.openCreditLedger(row.id, tx));
+
+    return { wallets, currencyWallets, creditLines };
+  },
+};
@@ -0,0 +1,64 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - DATA MIGRATION: WEBHOOK ENDPOINTS
+// Copies subscriptions from the retired webhook_endpoints table into webhooks,
+// keeping their ids and secrets so receivers need no changes. Events are
+// mapped to their catalog names and pinned to payload version 1.
+// Idempotent: endpoints already copied are skipped.
+// =============================================================================
+
+const { prisma } = require('../../src/config/database');
+const { resolveEventType, hasVersion, latestVersion } = require('../../src/utils/webhookCatalog');
+
+/**
+ * Catalog events for a legacy subscription, and the names the catalog no longer knows
+ */
+const mapEvents = (legacyEvents) => {
+  const events = [];
+  const dropped = [];
+
+  for (const name of legacyEvents) {
+    const canonical = resolveEventType(name);
+    if (!canonical) dropped.push(name);
+    else if (!events.includes(canonical)) events.push(canonical);
+  }
+
+  return { events, dropped };
+};
+
+// Legacy receivers were built against the first payload shape
+const pinLegacyVersions = (events) => Object.fromEntries(
+  events.map((event) => [event, hasVersion(event, 1) ? 1 : latestVersion(event)]),
+);
+
+module.exports = {
+  name: 'webhook-endpoints',
+  up: async () => {
+    const endpoints = await prisma.webhookEndpoint.findMany({ orderBy: { createdAt: 'asc' } });
+    if (!endpoints.length) return { endpoints: 0, copied: 0 };
+
+    const data = endpoints.map((endpoint) => {
+      const { events, dropped } = mapEvents(endpoint.events);
+      return {
+        id: endpoint.id,
+        businessId: endpoint.businessId,
+        url: endpoint.url,
+        events,
+        eventVersions: pinLegacyVersions(events),
+        description: endpoint.description,
+        secret: endpoint.secret,
+        isActive: endpoint.isActive,
+        lastTriggeredAt: endpoint.lastTriggeredAt,
+        failureCount: endpoint.failureCount,
+        metadata: {
+          ...(endpoint.metadata || {}),
+          createdFrom: 'webhook_endpoints',
+          ...(dropped.length && { droppedEvents: dropped }),
+        },
+        createdAt: endpoint.createdAt,
+      };
+    });
+
+    const { count } = await prisma.webhook.createMany({ data, skipDuplicates: true });
+    return { endpoints: endpoints.length, copied: count };
+  },
+};
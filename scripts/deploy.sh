@@ -110,6 +110,9 @@ export $(cat .env.${ENVIRONMENT} | grep -v '^#' | xargs)
 
 npx prisma migrate deploy
 
+# Backfills that must land before the new code serves traffic
+npm run db:migrate:data
+
 echo -e "${GREEN}✓ Migrations completed${NC}"
 echo ""
 
@@ -20,6 +20,7 @@ const { requestLogger, errorLogger, requestContext } = require('./middleware/req
 const { tracingMiddleware, tracedLogger } = require('./middleware/tracing.middleware');
 const { sanitizationMiddleware } = require('./middleware/sanitization.middleware');
 const { versioningMiddleware } = require('./middleware/versioning.middleware');
+const { tenantContext } = require('./middleware/tenantContext.middleware');
 const { paginationMiddleware } = require('./utils/pagination');
 const { responseHelpers } = require('./utils/apiResponse');
 const { router: healthRouter } = require('./services/healthCheck.service');
@@ -34,6 +35,7 @@ const categoryRoutes = require('./routes/category.routes');
 const productRoutes = require('./routes/product.routes');
 const cartRoutes = require('./routes/cart.routes');
 const orderRoutes = require('./routes/order.routes');
+const returnRoutes = require('./routes/return.routes');
 const rfqRoutes = require('./routes/rfq.routes');
 const chatRoutes = require('./routes/chat.routes');
 const paymentRoutes = require('./routes/payment.routes');
@@ -43,6 +45,10 @@ const promotionRoutes = require('./routes/promotion.routes');
 const searchRoutes = require('./routes/search.routes');
 const adminRoutes = require('./routes/admin.routes');
 const webhookRoutes = require('./routes/webhook.routes');
+const webhookLegacyRoutes = require('./routes/webhookLegacy.routes');
+const webhookSubscriptionRoutes = require('./routes/webhookSubscription.routes');
+const ssoRoutes = require('./routes/sso.routes');
+const scimRoutes = require('./routes/scim.routes');
 const uploadRoutes = require('./routes/upload.routes');
 const metricsRoutes = require('./routes/metrics.routes');
 const bookingRoutes = require('./routes/booking.routes');
@@ -148,6 +154,8 @@ app.use(sanitizationMiddleware({
   blockOnThreat: process.env.NODE_ENV === 'production',
   logThreats: true,
   sanitizeAll: true,
+  // SCIM filters quote their values (userName eq "..."); bodies are parsed by the SCIM router
+  excludePaths: [`/api/${config.app.apiVersion}/scim/`],
 }));
 
 // =============================================================================
@@ -216,6 +224,13 @@ app.use('/api', versioningMiddleware({
   deprecatedVersions: [],
 }));
 
+// =============================================================================
+// TENANT CONTEXT
+// =============================================================================
+
+// Every database query below runs scoped to the request's white-label tenant
+app.use('/api', tenantContext());
+
 // =============================================================================
 // HEALTH CHECK & INFO
 // =============================================================================
@@ -254,6 +269,7 @@ apiRouter.use('/categories', categoryRoutes);
 apiRouter.use('/products', productRoutes);
 apiRouter.use('/cart', cartRoutes);
 apiRouter.use('/orders', orderRoutes);
+apiRouter.use('/returns', returnRoutes);
 apiRouter.use('/rfq', rfqRoutes);
 apiRouter.use('/chat', chatRoutes);
 apiRouter.use('/payments', paymentRoutes);
@@ -263,6 +279,10 @@ apiRouter.use('/promotions', promotionRoutes);
 apiRouter.use('/search', searchRoutes);
 apiRouter.use('/admin', adminRoutes);
 apiRouter.use('/webhooks', webhookRoutes);
+apiRouter.use('/webhooks', webhookLegacyRoutes); // Deprecated alias of /integrations/webhooks
+apiRouter.use('/integrations/webhooks', webhookSubscriptionRoutes);
+apiRouter.use('/sso', ssoRoutes);
+apiRouter.use('/scim/v2', scimRoutes); // Excluded from input sanitization above
 apiRouter.use('/upload', uploadRoutes);
 apiRouter.use('/metrics', metricsRoutes);
 apiRouter.use('/bookings', bookingRoutes);
@@ -3,8 +3,9 @@
 // Prisma client with connection management and logging
 // =============================================================================
 
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const config = require('./index');
+const { tenantIsolationExtension } = require('../utils/tenantIsolation');
 
 // Create Prisma client with logging configuration
 const prisma = new PrismaClient({
@@ -80,7 +81,7 @@ const extendedPrisma = prisma.$extends({
       },
     },
   },
-});
+}).$extends(tenantIsolationExtension(prisma, Prisma.dmmf.datamodel)); // Scoped models see only the request's tenant
 
 module.exports = {
   prisma: extendedPrisma,
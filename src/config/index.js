@@ -107,6 +107,15 @@ const config = {
     apiUrl: process.env.GST_API_URL,
     apiKey: process.env.GST_API_KEY,
     apiSecret: process.env.GST_API_SECRET,
+    // E-commerce operator registration (TCS under Sec 52)
+    operatorGstin: process.env.PLATFORM_GSTIN,
+  },
+
+  // Income-tax deductor details (TDS under Sec 194-O)
+  incomeTax: {
+    tan: process.env.PLATFORM_TAN,
+    pan: process.env.PLATFORM_PAN,
+    deductorName: process.env.PLATFORM_LEGAL_NAME || 'Airavat Technologies Private Limited',
   },
 
   // Rate Limiting
@@ -121,6 +130,63 @@ const config = {
     filePath: process.env.LOG_FILE_PATH || 'logs/app.log',
   },
 
+  // Financial audit chain
+  audit: {
+    signingKey: process.env.AUDIT_SIGNING_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+    checkpointFile: process.env.AUDIT_CHECKPOINT_FILE || 'logs/audit/checkpoints.jsonl',
+    verifyBatchSize: 1000,
+  },
+
+  // Contract e-signature
+  contracts: {
+    signingKey: process.env.CONTRACT_SIGNING_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+  },
+
+  // Punchout (cXML / SAP OCI)
+  punchout: {
+    supplierDomain: process.env.PUNCHOUT_SUPPLIER_DOMAIN || 'NetworkID',
+    supplierIdentity: process.env.PUNCHOUT_SUPPLIER_IDENTITY || 'AIRAVAT',
+    sessionTtlMinutes: parseInt(process.env.PUNCHOUT_SESSION_TTL_MINUTES, 10) || 60,
+  },
+
+  // EDI (X12 / EDIFACT)
+  edi: {
+    interchangeId: process.env.EDI_INTERCHANGE_ID || 'AIRAVAT',
+    x12Qualifier: process.env.EDI_X12_QUALIFIER || 'ZZ',
+    edifactQualifier: process.env.EDI_EDIFACT_QUALIFIER || 'ZZZ',
+    localDir: process.env.EDI_LOCAL_DIR || './storage/edi',
+  },
+
+  // Transactional outbox relay
+  outbox: {
+    pollIntervalMs: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS, 10) || 2000,
+    batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE, 10) || 50,
+    maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 10,
+    lockTimeoutMs: parseInt(process.env.OUTBOX_LOCK_TIMEOUT_MS, 10) || 60000,
+  },
+
+  // Outbound webhooks
+  webhooks: {
+    secretOverlapHours: parseInt(process.env.WEBHOOK_SECRET_OVERLAP_HOURS, 10) || 24,
+    autoDisableFailures: parseInt(process.env.WEBHOOK_AUTO_DISABLE_FAILURES, 10) || 20,
+    autoDisableHours: parseInt(process.env.WEBHOOK_AUTO_DISABLE_HOURS, 10) || 24,
+  },
+
+  // White-label tenant isolation
+  tenancy: {
+    platformHosts: (process.env.TENANCY_PLATFORM_HOSTS || 'localhost,127.0.0.1')
+      .split(',').map((host) => host.trim().toLowerCase()).filter(Boolean),
+    domainCacheSeconds: parseInt(process.env.TENANCY_DOMAIN_CACHE_SECONDS, 10) || 300,
+  },
+
+  // Enterprise SSO (SAML 2.0 / OIDC)
+  sso: {
+    clockSkewSeconds: parseInt(process.env.SSO_CLOCK_SKEW_SECONDS, 10) || 120,
+    sessionTtlMinutes: parseInt(process.env.SSO_SESSION_TTL_MINUTES, 10) || 10,
+    exchangeCodeTtlSeconds: parseInt(process.env.SSO_EXCHANGE_CODE_TTL_SECONDS, 10) || 60,
+    discoveryCacheSeconds: parseInt(process.env.SSO_DISCOVERY_CACHE_SECONDS, 10) || 3600,
+  },
+
   // Sentry
   sentry: {
     dsn: process.env.SENTRY_DSN,
@@ -173,6 +239,18 @@ const config = {
     
     // Payment escrow
     escrowHoldDays: 7, // Days to hold payment after delivery
+
+    // Returns (RMA)
+    returnWindowDays: 30, // Days after delivery a return can be raised
+    restockingFeePercentage: 0, // Deducted from refund of accepted units
+
+    // RFQ comparison
+    costOfCapitalRate: 12, // Annual %, prices shorter payment terms in landed cost
+
+    // Statutory withholding on seller settlements
+    tcsRate: 1, // GST TCS (Sec 52) on net taxable value
+    tdsRate: 0.1, // Income-tax TDS (Sec 194-O) on gross sales
+    tdsRateWithoutPan: 5, // Sec 206AA rate when seller PAN is not furnished
     
     // Session
     sessionMaxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
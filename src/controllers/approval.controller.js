@@ -35,7 +35,10 @@ exports.createApprovalRequest = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.getPendingApprovals = asyncHandler(async (req, res) => {
-  const result = await approvalService.getPendingApprovals(req.user.id, req.query);
+  const result = await approvalService.getPendingApprovals(req.user.id, {
+    ...req.query,
+    businessId: req.user.businessId,
+  });
   return success(res, result);
 });
 
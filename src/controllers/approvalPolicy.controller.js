@@ -0,0 +1,113 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - APPROVAL POLICY CONTROLLER
+// =============================================================================
+
+const approvalPolicyService = require('../services/approvalPolicy.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success, created } = require('../utils/response');
+
+// =============================================================================
+// POLICIES
+// =============================================================================
+
+/**
+ * List approval policies
+ * GET /api/v1/approval-policies
+ */
+exports.listPolicies = asyncHandler(async (req, res) => {
+  const { approvalType, isActive } = req.query;
+
+  const policies = await approvalPolicyService.listPolicies(req.business.id, {
+    approvalType,
+    isActive: isActive === undefined ? undefined : isActive === 'true',
+  });
+
+  success(res, { policies });
+});
+
+/**
+ * Get approval policy
+ * GET /api/v1/approval-policies/:policyId
+ */
+exports.getPolicy = asyncHandler(async (req, res) => {
+  const policy = await approvalPolicyService.getPolicy(req.business.id, req.params.policyId);
+
+  success(res, { policy });
+});
+
+/**
+ * Create approval policy
+ * POST /api/v1/approval-policies
+ */
+exports.createPolicy = asyncHandler(async (req, res) => {
+  const policy = await approvalPolicyService.createPolicy(req.business.id, req.user.id, req.body);
+
+  created(res, { policy }, 'Approval policy created');
+});
+
+/**
+ * Update approval policy
+ * PUT /api/v1/approval-policies/:policyId
+ */
+exports.updatePolicy = asyncHandler(async (req, res) => {
+  const policy = await approvalPolicyService.updatePolicy(req.business.id, req.params.policyId, req.body);
+
+  success(res, { policy }, 'Approval policy updated');
+});
+
+/**
+ * Delete approval policy
+ * DELETE /api/v1/approval-policies/:policyId
+ */
+exports.deletePolicy = asyncHandler(async (req, res) => {
+  await approvalPolicyService.deletePolicy(req.business.id, req.params.policyId);
+
+  success(res, null, 'Approval policy deleted');
+});
+
+/**
+ * Show the approval chain a request would get
+ * POST /api/v1/approval-policies/dry-run
+ */
+exports.dryRun = asyncHandler(async (req, res) => {
+  const result = await approvalPolicyService.dryRun(req.business.id, {
+    requesterId: req.user.id,
+    ...req.body,
+  });
+
+  success(res, result);
+});
+
+// =============================================================================
+// DELEGATIONS
+// =============================================================================
+
+/**
+ * List delegations given or received
+ * GET /api/v1/approval-policies/delegations
+ */
+exports.listDelegations = asyncHandler(async (req, res) => {
+  const delegations = await approvalPolicyService.listDelegations(req.business.id, req.user.id);
+
+  success(res, { delegations });
+});
+
+/**
+ * Delegate approvals while out of office
+ * POST /api/v1/approval-policies/delegations
+ */
+exports.createDelegation = asyncHandler(async (req, res) => {
+  const delegation = await approvalPolicyService.createDelegation(req.business.id, req.user.id, req.body);
+
+  created(res, { delegation }, 'Delegation created');
+});
+
+/**
+ * Revoke delegation
+ * DELETE /api/v1/approval-policies/delegations/:delegationId
+ */
+exports.revokeDelegation = asyncHandler(async (req, res) => {
+  await approvalPolicyService.revokeDelegation(req.business.id, req.user.id, req.params.delegationId);
+
+  success(res, null, 'Delegation revoked');
+});
@@ -18,7 +18,7 @@ const { NotFoundError } = require('../utils/errors');
 const createBlanketOrder = asyncHandler(async (req, res) => {
   const blanketOrder = await blanketOrderService.createBlanketOrder(
     req.user.id,
-    req.body
+    { ...req.body, businessId: req.user.business?.id }
   );
 
   res.status(201).json({
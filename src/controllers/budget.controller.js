@@ -0,0 +1,119 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - BUDGET CONTROLLER
+// =============================================================================
+
+const budgetService = require('../services/budget.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success, created } = require('../utils/response');
+
+// =============================================================================
+// BUDGETS
+// =============================================================================
+
+/**
+ * List budgets
+ * GET /api/v1/budgets
+ */
+exports.listBudgets = asyncHandler(async (req, res) => {
+  const { costCenter, glCode, status, activeOn } = req.query;
+
+  const budgets = await budgetService.listBudgets(req.business.id, { costCenter, glCode, status, activeOn });
+
+  success(res, { budgets });
+});
+
+/**
+ * Get budget with availability
+ * GET /api/v1/budgets/:budgetId
+ */
+exports.getBudget = asyncHandler(async (req, res) => {
+  const budget = await budgetService.getBudget(req.business.id, req.params.budgetId);
+
+  success(res, { budget });
+});
+
+/**
+ * Create budget
+ * POST /api/v1/budgets
+ */
+exports.createBudget = asyncHandler(async (req, res) => {
+  const budget = await budgetService.createBudget(req.business.id, req.user.id, req.body);
+
+  created(res, { budget }, 'Budget created');
+});
+
+/**
+ * Update budget controls
+ * PATCH /api/v1/budgets/:budgetId
+ */
+exports.updateBudget = asyncHandler(async (req, res) => {
+  const budget = await budgetService.updateBudget(req.business.id, req.params.budgetId, req.body);
+
+  success(res, { budget }, 'Budget updated');
+});
+
+/**
+ * Revise allocated amount mid-period
+ * POST /api/v1/budgets/:budgetId/revisions
+ */
+exports.reviseBudget = asyncHandler(async (req, res) => {
+  const budget = await budgetService.reviseBudget(req.business.id, req.params.budgetId, req.user.id, req.body);
+
+  success(res, { budget }, 'Budget revised');
+});
+
+/**
+ * Budget movement history
+ * GET /api/v1/budgets/:budgetId/movements
+ */
+exports.getMovements = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+
+  const result = await budgetService.getMovements(req.business.id, req.params.budgetId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 50,
+  });
+
+  success(res, result);
+});
+
+/**
+ * Transfer allocation between budgets
+ * POST /api/v1/budgets/transfers
+ */
+exports.transferBudget = asyncHandler(async (req, res) => {
+  const result = await budgetService.transferBudget(req.business.id, req.user.id, req.body);
+
+  success(res, result, 'Budget transferred');
+});
+
+/**
+ * Check an amount against a budget
+ * POST /api/v1/budgets/check
+ */
+exports.checkAvailability = asyncHandler(async (req, res) => {
+  const result = await budgetService.checkAvailability(req.business.id, req.body);
+
+  success(res, result);
+});
+
+// =============================================================================
+// REPORTS
+// =============================================================================
+
+/**
+ * Budget vs actual report
+ * GET /api/v1/budgets/reports/budget-vs-actual
+ */
+exports.getBudgetVsActual = asyncHandler(async (req, res) => {
+  const { periodStart, periodEnd, costCenter, glCode } = req.query;
+
+  const report = await budgetService.getBudgetVsActual(req.business.id, {
+    periodStart,
+    periodEnd,
+    costCenter,
+    glCode,
+  });
+
+  success(res, report);
+});
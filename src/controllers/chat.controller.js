@@ -780,3 +780,85 @@ exports.getUnreadCount = asyncHandler(async (req, res) => {
   
   success(res, { count: result._sum.unreadCount || 0 });
 });
+
+// =============================================================================
+// RFQ NEGOTIATION
+// =============================================================================
+
+/**
+ * Post a negotiation update into the RFQ chat between buyer and seller,
+ * opening the chat on first use. Called by the RFQ negotiation ledger rather
+ * than routed, so it takes plain arguments instead of (req, res).
+ */
+exports.postRFQNegotiationMessage = async ({
+  chatId,
+  rfqId,
+  buyerBusinessId,
+  sellerBusinessId,
+  senderId,
+  senderBusinessId,
+  quotationId,
+  content,
+  metadata,
+}) => {
+  let chat = chatId ? await prisma.chat.findUnique({ where: { id: chatId } }) : null;
+
+  if (!chat) {
+    chat = await prisma.chat.findFirst({
+      where: {
+        rfqId,
+        AND: [
+          { participants: { some: { businessId: buyerBusinessId } } },
+          { participants: { some: { businessId: sellerBusinessId } } },
+        ],
+      },
+    });
+  }
+
+  if (!chat) {
+    chat = await prisma.chat.create({
+      data: {
+        type: 'NEGOTIATION',
+        rfqId,
+        participants: {
+          create: [
+            { businessId: buyerBusinessId },
+            { businessId: sellerBusinessId },
+          ],
+        },
+      },
+    });
+  }
+
+  const message = await prisma.message.create({
+    data: {
+      chatId: chat.id,
+      senderId,
+      senderBusinessId,
+      content,
+      type: 'QUOTATION_CARD',
+      quotationCardId: quotationId,
+      metadata,
+    },
+  });
+
+  await prisma.chat.update({
+    where: { id: chat.id },
+    data: {
+      lastMessageId: message.id,
+      lastMessageAt: new Date(),
+      lastMessagePreview: content.slice(0, 200),
+    },
+  });
+
+  const recipientId = senderBusinessId === buyerBusinessId ? sellerBusinessId : buyerBusinessId;
+  await prisma.chatParticipant.updateMany({
+    where: { chatId: chat.id, businessId: recipientId },
+    data: { unreadCount: { increment: 1 } },
+  });
+
+  socketService.emitToBusiness(recipientId, 'new_message', { chatId: chat.id, message });
+  socketService.emitToChat(chat.id, 'new_message', { chatId: chat.id, message });
+
+  return { chat, message };
+};
@@ -5,6 +5,8 @@
 
 const asyncHandler = require('../middleware/async.middleware');
 const contractService = require('../services/contract.service');
+const contractPricingService = require('../services/contractPricing.service');
+const contractSignatureService = require('../services/contractSignature.service');
 const { success, created } = require('../utils/apiResponse');
 
 // =============================================================================
@@ -107,22 +109,59 @@ exports.respondToContract = asyncHandler(async (req, res) => {
     req.params.contractId,
     req.user.businessId,
     req.body.action,
-    req.body.comments
+    req.body.comments,
+    req.user.id,
   );
   return success(res, contract, `Contract ${req.body.action}ed`);
 });
 
+/**
+ * @desc    Send OTP to sign the version awaiting signature
+ * @route   POST /api/v1/contracts/:contractId/signature-otp
+ * @access  Private
+ */
+exports.requestSignatureOtp = asyncHandler(async (req, res) => {
+  const result = await contractSignatureService.requestSignatureOtp(
+    req.params.contractId,
+    req.user.businessId,
+    req.user.id,
+    req.body.method,
+  );
+  return success(res, result, 'Signing OTP sent');
+});
+
 /**
  * @desc    Sign contract
  * @route   POST /api/v1/contracts/:contractId/sign
  * @access  Private
  */
 exports.signContract = asyncHandler(async (req, res) => {
-  const contract = await contractService.signContract(
+  const result = await contractService.signContract(
     req.params.contractId,
-    req.user.businessId
+    req.user.businessId,
+    {
+      userId: req.user.id,
+      otp: req.body.otp,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+    },
   );
-  return success(res, contract, 'Contract signed');
+  return success(res, result, result.fullyExecuted ? 'Contract executed' : 'Contract signed');
+});
+
+/**
+ * @desc    Propose an amendment to an active contract
+ * @route   POST /api/v1/contracts/:contractId/amendments
+ * @access  Private
+ */
+exports.amendContract = asyncHandler(async (req, res) => {
+  const version = await contractService.amendContract(
+    req.params.contractId,
+    req.user.businessId,
+    req.user.id,
+    req.body,
+  );
+  return created(res, version, 'Amendment sent for signature');
 });
 
 /**
@@ -148,11 +187,105 @@ exports.renewContract = asyncHandler(async (req, res) => {
   const contract = await contractService.renewContract(
     req.params.contractId,
     req.user.businessId,
-    req.body.newEndDate
+    req.body.newEndDate,
+    req.user.id,
   );
   return created(res, contract, 'Contract renewed');
 });
 
+// =============================================================================
+// VERSIONS & VERIFICATION
+// =============================================================================
+
+/**
+ * @desc    List contract versions
+ * @route   GET /api/v1/contracts/:contractId/versions
+ * @access  Private
+ */
+exports.getVersions = asyncHandler(async (req, res) => {
+  const versions = await contractSignatureService.getVersions(
+    req.params.contractId,
+    req.user.businessId,
+  );
+  return success(res, versions);
+});
+
+/**
+ * @desc    Get a contract version with redline and signature evidence
+ * @route   GET /api/v1/contracts/:contractId/versions/:version
+ * @access  Private
+ */
+exports.getVersion = asyncHandler(async (req, res) => {
+  const version = await contractSignatureService.getVersion(
+    req.params.contractId,
+    req.user.businessId,
+    parseInt(req.params.version, 10),
+  );
+  return success(res, version);
+});
+
+/**
+ * @desc    Check a contract PDF against its signed hash
+ * @route   POST /api/v1/contracts/verify
+ * @access  Public
+ */
+exports.verifyDocument = asyncHandler(async (req, res) => {
+  const result = await contractSignatureService.verifyDocument({
+    buffer: req.file?.buffer,
+    hash: req.body.sha256,
+  });
+  return success(res, result);
+});
+
+// =============================================================================
+// PRICING COMPLIANCE
+// =============================================================================
+
+/**
+ * @desc    Get consumption of volume and value commitments
+ * @route   GET /api/v1/contracts/:contractId/consumption
+ * @access  Private
+ */
+exports.getConsumption = asyncHandler(async (req, res) => {
+  const consumption = await contractPricingService.getConsumption(
+    req.params.contractId,
+    req.user.businessId,
+  );
+  return success(res, consumption);
+});
+
+/**
+ * @desc    Get off-contract (maverick) purchases
+ * @route   GET /api/v1/contracts/maverick-spend
+ * @access  Private
+ */
+exports.getMaverickSpend = asyncHandler(async (req, res) => {
+  const { page, limit, from, to, acknowledged } = req.query;
+  const result = await contractPricingService.getMaverickSpend(req.user.businessId, {
+    page: parseInt(page, 10) || 1,
+    limit: parseInt(limit, 10) || 20,
+    from,
+    to,
+    acknowledged: acknowledged === undefined ? undefined : acknowledged === 'true',
+  });
+  return success(res, result);
+});
+
+/**
+ * @desc    Acknowledge an off-contract purchase with a justification
+ * @route   POST /api/v1/contracts/maverick-spend/:maverickSpendId/acknowledge
+ * @access  Private
+ */
+exports.acknowledgeMaverickSpend = asyncHandler(async (req, res) => {
+  const record = await contractPricingService.acknowledgeMaverickSpend(
+    req.user.businessId,
+    req.params.maverickSpendId,
+    req.user.id,
+    req.body.justification,
+  );
+  return success(res, record, 'Maverick spend acknowledged');
+});
+
 module.exports = exports;
 
 
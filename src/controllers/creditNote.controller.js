@@ -0,0 +1,108 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - CREDIT / DEBIT NOTE CONTROLLER
+// =============================================================================
+
+const creditNoteService = require('../services/creditNote.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success, created, paginated } = require('../utils/response');
+const { parsePagination } = require('../utils/helpers');
+
+/**
+ * Get note reason codes
+ * GET /api/v1/credit-notes/reasons
+ */
+exports.getReasons = asyncHandler((req, res) => {
+  const reasons = Object.entries(creditNoteService.NOTE_REASONS).map(([code, label]) => ({ code, label }));
+
+  success(res, { reasons });
+});
+
+/**
+ * Issue credit or debit note (seller)
+ * POST /api/v1/credit-notes
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const { orderId, ...data } = req.body;
+
+  const note = await creditNoteService.createNote(req.business.id, orderId, data);
+
+  created(res, { note }, `${note.noteType === 'DEBIT' ? 'Debit' : 'Credit'} note issued`);
+});
+
+/**
+ * Get notes issued (as seller)
+ * GET /api/v1/credit-notes/issued
+ */
+exports.getIssued = asyncHandler(async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+  const { noteType, status, orderId } = req.query;
+
+  const { notes, pagination } = await creditNoteService.listNotes(
+    req.business.id,
+    'seller',
+    { noteType, status, orderId },
+    { page, limit },
+  );
+
+  paginated(res, notes, pagination);
+});
+
+/**
+ * Get notes received (as buyer)
+ * GET /api/v1/credit-notes/received
+ */
+exports.getReceived = asyncHandler(async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+  const { noteType, status, orderId } = req.query;
+
+  const { notes, pagination } = await creditNoteService.listNotes(
+    req.business.id,
+    'buyer',
+    { noteType, status, orderId },
+    { page, limit },
+  );
+
+  paginated(res, notes, pagination);
+});
+
+/**
+ * Get note by ID
+ * GET /api/v1/credit-notes/:noteId
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  const note = await creditNoteService.getNoteById(req.params.noteId, req.business.id);
+
+  success(res, { note });
+});
+
+/**
+ * Generate IRN for note (seller)
+ * POST /api/v1/credit-notes/:noteId/e-invoice
+ */
+exports.generateIRN = asyncHandler(async (req, res) => {
+  const note = await creditNoteService.generateNoteIRN(req.params.noteId, req.business.id);
+
+  success(res, { note }, 'IRN generated');
+});
+
+/**
+ * Cancel note (seller)
+ * POST /api/v1/credit-notes/:noteId/cancel
+ */
+exports.cancel = asyncHandler(async (req, res) => {
+  const note = await creditNoteService.cancelNote(req.params.noteId, req.business.id, req.body.reason);
+
+  success(res, { note }, 'Note cancelled');
+});
+
+/**
+ * Download note PDF
+ * GET /api/v1/credit-notes/:noteId/pdf
+ */
+exports.downloadPDF = asyncHandler(async (req, res) => {
+  const buffer = await creditNoteService.generateNotePDF(req.params.noteId, req.business.id);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=note_${req.params.noteId}.pdf`);
+  res.send(buffer);
+});
@@ -0,0 +1,151 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - CYCLE COUNT CONTROLLER
+// =============================================================================
+
+const cycleCountService = require('../services/cycleCount.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success, created } = require('../utils/response');
+const { parsePagination } = require('../utils/helpers');
+
+// =============================================================================
+// PLANS
+// =============================================================================
+
+/**
+ * Create a warehouse's cycle count plan and classify its SKUs
+ * POST /api/v1/cycle-counts/warehouses/:warehouseId/plan
+ */
+exports.createPlan = asyncHandler(async (req, res) => {
+  const result = await cycleCountService.createPlan(req.business.id, req.params.warehouseId, req.body, req.user.id);
+
+  created(res, result, 'Cycle count plan created');
+});
+
+/**
+ * Get a plan with its SKUs in due order
+ * GET /api/v1/cycle-counts/plans/:planId
+ */
+exports.getPlan = asyncHandler(async (req, res) => {
+  const plan = await cycleCountService.getPlan(req.business.id, req.params.planId);
+
+  success(res, { plan });
+});
+
+/**
+ * Update a plan and reclassify its SKUs
+ * PATCH /api/v1/cycle-counts/plans/:planId
+ */
+exports.updatePlan = asyncHandler(async (req, res) => {
+  const result = await cycleCountService.updatePlan(req.business.id, req.params.planId, req.body);
+
+  success(res, result, 'Cycle count plan updated');
+});
+
+/**
+ * Re-run ABC classification
+ * POST /api/v1/cycle-counts/plans/:planId/classify
+ */
+exports.classifyPlan = asyncHandler(async (req, res) => {
+  await cycleCountService.getPlan(req.business.id, req.params.planId);
+  const classification = await cycleCountService.classifyItems(req.params.planId);
+
+  success(res, { classification }, 'SKUs reclassified');
+});
+
+/**
+ * Open sheets for every SKU due under the plan
+ * POST /api/v1/cycle-counts/plans/:planId/generate
+ */
+exports.generateDueCounts = asyncHandler(async (req, res) => {
+  await cycleCountService.getPlan(req.business.id, req.params.planId);
+  const result = await cycleCountService.generateDueCounts(req.params.planId, {
+    assignedToId: req.body.assignedToId,
+    userId: req.user.id,
+  });
+
+  created(res, result, `${result.counts.length} count sheets opened`);
+});
+
+// =============================================================================
+// COUNT SHEETS
+// =============================================================================
+
+/**
+ * Open ad hoc count sheets for bins or the whole warehouse
+ * POST /api/v1/cycle-counts/warehouses/:warehouseId/sheets
+ */
+exports.createCountSheets = asyncHandler(async (req, res) => {
+  const result = await cycleCountService.createCountSheets(
+    req.business.id,
+    req.params.warehouseId,
+    req.body,
+    req.user.id,
+  );
+
+  created(res, result, `${result.counts.length} count sheets opened`);
+});
+
+/**
+ * List count sheets
+ * GET /api/v1/cycle-counts
+ */
+exports.listCounts = asyncHandler(async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+  const result = await cycleCountService.listCounts(req.business.id, { ...req.query, page, limit });
+
+  success(res, result);
+});
+
+/**
+ * Get a count sheet; blind sheets hide expected quantities until submitted
+ * GET /api/v1/cycle-counts/:countId
+ */
+exports.getCountSheet = asyncHandler(async (req, res) => {
+  const count = await cycleCountService.getCountSheet(req.business.id, req.params.countId);
+
+  success(res, { count });
+});
+
+/**
+ * Record counted quantities
+ * POST /api/v1/cycle-counts/:countId/entries
+ */
+exports.recordCounts = asyncHandler(async (req, res) => {
+  const count = await cycleCountService.recordCounts(req.business.id, req.params.countId, req.body, req.user.id);
+
+  success(res, { count }, 'Counts recorded');
+});
+
+/**
+ * Submit a count; variance is posted or sent for approval
+ * POST /api/v1/cycle-counts/:countId/submit
+ */
+exports.submitCount = asyncHandler(async (req, res) => {
+  const count = await cycleCountService.submitCount(req.business.id, req.params.countId, req.user.id);
+
+  success(res, { count }, count.status === 'POSTED' ? 'Count posted' : 'Adjustment sent for approval');
+});
+
+/**
+ * Cancel an open count
+ * POST /api/v1/cycle-counts/:countId/cancel
+ */
+exports.cancelCount = asyncHandler(async (req, res) => {
+  const count = await cycleCountService.cancelCount(req.business.id, req.params.countId);
+
+  success(res, { count }, 'Count cancelled');
+});
+
+// =============================================================================
+// REPORTS
+// =============================================================================
+
+/**
+ * Inventory accuracy KPIs per warehouse
+ * GET /api/v1/cycle-counts/reports/accuracy
+ */
+exports.getAccuracyReport = asyncHandler(async (req, res) => {
+  const report = await cycleCountService.getAccuracyReport(req.business.id, req.query);
+
+  success(res, report);
+});
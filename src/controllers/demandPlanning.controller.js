@@ -0,0 +1,120 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - DEMAND PLANNING CONTROLLER
+// =============================================================================
+
+const demandForecastService = require('../services/demandForecast.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success, created } = require('../utils/response');
+const { parsePagination } = require('../utils/helpers');
+
+// =============================================================================
+// POLICY & FORECASTS
+// =============================================================================
+
+/**
+ * Get the seller's replenishment policy (defaults until one is saved)
+ * GET /api/v1/demand-planning/policy
+ */
+exports.getPolicy = asyncHandler(async (req, res) => {
+  const policy = await demandForecastService.getPolicy(req.business.id);
+
+  success(res, { policy });
+});
+
+/**
+ * Save the replenishment policy
+ * PUT /api/v1/demand-planning/policy
+ */
+exports.updatePolicy = asyncHandler(async (req, res) => {
+  const policy = await demandForecastService.updatePolicy(req.business.id, req.body);
+
+  success(res, { policy }, 'Replenishment policy saved');
+});
+
+/**
+ * Forecast every SKU now and refresh suggestions
+ * POST /api/v1/demand-planning/runs
+ */
+exports.runReplenishment = asyncHandler(async (req, res) => {
+  const result = await demandForecastService.runReplenishment(req.business.id);
+
+  created(res, result, 'Replenishment run completed');
+});
+
+/**
+ * One SKU's demand history, forecast and stock plan in a warehouse
+ * GET /api/v1/demand-planning/warehouses/:warehouseId/variants/:variantId/forecast
+ */
+exports.getSkuForecast = asyncHandler(async (req, res) => {
+  const forecast = await demandForecastService.getSkuForecast(
+    req.business.id,
+    req.params.warehouseId,
+    req.params.variantId,
+  );
+
+  success(res, forecast);
+});
+
+// =============================================================================
+// SUGGESTIONS
+// =============================================================================
+
+/**
+ * List replenishment suggestions
+ * GET /api/v1/demand-planning/suggestions
+ */
+exports.listSuggestions = asyncHandler(async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+  const result = await demandForecastService.listSuggestions(req.business.id, { ...req.query, page, limit });
+
+  success(res, result);
+});
+
+/**
+ * Convert suggestions into a purchase requisition
+ * POST /api/v1/demand-planning/suggestions/requisitions
+ */
+exports.convertToRequisition = asyncHandler(async (req, res) => {
+  const result = await demandForecastService.convertToRequisition(req.business.id, req.body, req.user.id);
+
+  created(res, result, 'Purchase requisition created');
+});
+
+/**
+ * Convert suggestions into inter-warehouse transfers
+ * POST /api/v1/demand-planning/suggestions/transfers
+ */
+exports.convertToTransfer = asyncHandler(async (req, res) => {
+  const result = await demandForecastService.convertToTransfer(req.business.id, req.body, req.user.id);
+
+  created(res, result, `${result.transfers.length} transfers created`);
+});
+
+/**
+ * Dismiss a suggestion
+ * POST /api/v1/demand-planning/suggestions/:suggestionId/dismiss
+ */
+exports.dismissSuggestion = asyncHandler(async (req, res) => {
+  const suggestion = await demandForecastService.dismissSuggestion(
+    req.business.id,
+    req.params.suggestionId,
+    req.body.reason,
+    req.user.id,
+  );
+
+  success(res, { suggestion }, 'Suggestion dismissed');
+});
+
+// =============================================================================
+// REPORTS
+// =============================================================================
+
+/**
+ * Forecast accuracy (MAPE) by model, warehouse and SKU
+ * GET /api/v1/demand-planning/reports/accuracy
+ */
+exports.getAccuracyReport = asyncHandler(async (req, res) => {
+  const report = await demandForecastService.getAccuracyReport(req.business.id, req.query);
+
+  success(res, report);
+});
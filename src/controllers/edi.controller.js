@@ -0,0 +1,119 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - EDI CONTROLLER
+// =============================================================================
+
+const ediService = require('../services/edi.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success, created, paginated } = require('../utils/response');
+const { parsePagination } = require('../utils/helpers');
+const { BadRequestError } = require('../utils/errors');
+
+// =============================================================================
+// TRADING PARTNERS
+// =============================================================================
+
+/**
+ * List trading partners
+ * GET /api/v1/edi/partners
+ */
+exports.listPartners = asyncHandler(async (req, res) => {
+  const { businessId, standard, isActive } = req.query;
+
+  const partners = await ediService.listPartners({
+    businessId,
+    standard,
+    isActive: isActive === undefined ? undefined : isActive === 'true',
+  });
+
+  success(res, { partners });
+});
+
+/**
+ * Get trading partner
+ * GET /api/v1/edi/partners/:partnerId
+ */
+exports.getPartner = asyncHandler(async (req, res) => {
+  const partner = await ediService.getPartner(req.params.partnerId);
+
+  success(res, { partner });
+});
+
+/**
+ * Create trading partner profile
+ * POST /api/v1/edi/partners
+ */
+exports.createPartner = asyncHandler(async (req, res) => {
+  const partner = await ediService.createPartner(req.body, req.user.id);
+
+  created(res, { partner }, 'Trading partner created');
+});
+
+/**
+ * Update trading partner profile or mapping rules
+ * PATCH /api/v1/edi/partners/:partnerId
+ */
+exports.updatePartner = asyncHandler(async (req, res) => {
+  const partner = await ediService.updatePartner(req.params.partnerId, req.body);
+
+  success(res, { partner }, 'Trading partner updated');
+});
+
+// =============================================================================
+// DOCUMENTS
+// =============================================================================
+
+/**
+ * Submit a raw interchange (manual upload / AS2 stand-in)
+ * POST /api/v1/edi/inbound
+ */
+exports.receiveInbound = asyncHandler(async (req, res) => {
+  const raw = typeof req.body === 'string' ? req.body : req.body?.raw;
+  if (!raw) {
+    throw new BadRequestError('Interchange body is required');
+  }
+
+  const result = await ediService.processInbound(raw, { fileName: req.get('x-edi-filename') });
+
+  success(res, result, 'Interchange processed');
+});
+
+/**
+ * Pick up files dropped into partner inbound folders now
+ * POST /api/v1/edi/inbound/poll
+ */
+exports.pollInbound = asyncHandler(async (req, res) => {
+  const result = await ediService.pollInbound();
+
+  success(res, result);
+});
+
+/**
+ * Translation log
+ * GET /api/v1/edi/documents
+ */
+exports.listDocuments = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { partnerId, direction, status, documentType, referenceNumber } = req.query;
+
+  const { documents, total } = await ediService.listDocuments({
+    partnerId,
+    direction,
+    status,
+    documentType,
+    referenceNumber,
+    skip,
+    limit,
+  });
+
+  paginated(res, documents, { page, limit, total });
+});
+
+/**
+ * Raw and parsed document with validation errors
+ * GET /api/v1/edi/documents/:documentId
+ */
+exports.getDocument = asyncHandler(async (req, res) => {
+  const document = await ediService.getDocument(req.params.documentId);
+
+  success(res, { document });
+});
@@ -0,0 +1,223 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - FEATURE FLAG CONTROLLER
+// =============================================================================
+
+const featureFlagService = require('../services/featureFlag.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success, created } = require('../utils/response');
+const { NotFoundError } = require('../utils/errors');
+
+// =============================================================================
+// EVALUATION
+// =============================================================================
+
+/**
+ * Evaluate flags for the current user
+ * POST /api/v1/feature-flags/evaluate
+ */
+exports.evaluate = asyncHandler(async (req, res) => {
+  const context = await featureFlagService.buildContext(req, req.body.attributes);
+  const flags = await featureFlagService.evaluateAll(context, req.body.flags);
+
+  success(res, { flags });
+});
+
+/**
+ * Record a conversion in an experiment the current user was exposed to
+ * POST /api/v1/feature-flags/experiments/:name/conversions
+ */
+exports.trackConversion = asyncHandler(async (req, res) => {
+  const context = await featureFlagService.buildContext(req);
+  const conversion = await featureFlagService.trackConversion(req.params.name, null, { ...context, ...req.body });
+
+  success(res, { counted: Boolean(conversion) });
+});
+
+// =============================================================================
+// FLAGS (platform admins)
+// =============================================================================
+
+/**
+ * List feature flags
+ * GET /api/v1/feature-flags
+ */
+exports.listFlags = asyncHandler(async (req, res) => {
+  const flags = await featureFlagService.getAllFlags();
+
+  success(res, { flags: Object.values(flags) });
+});
+
+/**
+ * Get feature flag
+ * GET /api/v1/feature-flags/:name
+ */
+exports.getFlag = asyncHandler(async (req, res) => {
+  const flag = await featureFlagService.getFlag(req.params.name);
+
+  if (!flag) {
+    throw new NotFoundError('Feature flag');
+  }
+
+  success(res, { flag });
+});
+
+/**
+ * Create feature flag
+ * POST /api/v1/feature-flags
+ */
+exports.createFlag = asyncHandler(async (req, res) => {
+  const { name, reason, ...definition } = req.body;
+  const flag = await featureFlagService.createFlag(name, definition, { actorId: req.user.id, reason });
+
+  created(res, { flag }, 'Feature flag created');
+});
+
+/**
+ * Update feature flag
+ * PATCH /api/v1/feature-flags/:name
+ */
+exports.updateFlag = asyncHandler(async (req, res) => {
+  const { reason, ...changes } = req.body;
+  const flag = await featureFlagService.setFlag(req.params.name, changes, { actorId: req.user.id, reason });
+
+  success(res, { flag }, 'Feature flag updated');
+});
+
+/**
+ * Delete feature flag
+ * DELETE /api/v1/feature-flags/:name
+ */
+exports.deleteFlag = asyncHandler(async (req, res) => {
+  await featureFlagService.deleteFlag(req.params.name, { actorId: req.user.id, reason: req.body?.reason });
+
+  success(res, null, 'Feature flag deleted');
+});
+
+/**
+ * Kill switch: turn a flag off for everyone
+ * POST /api/v1/feature-flags/:name/kill
+ */
+exports.killFlag = asyncHandler(async (req, res) => {
+  const flag = await featureFlagService.killFlag(req.params.name, { actorId: req.user.id, reason: req.body.reason });
+
+  success(res, { flag }, 'Feature flag killed');
+});
+
+/**
+ * Lift the kill switch
+ * POST /api/v1/feature-flags/:name/restore
+ */
+exports.restoreFlag = asyncHandler(async (req, res) => {
+  const flag = await featureFlagService.restoreFlag(req.params.name, { actorId: req.user.id, reason: req.body.reason });
+
+  success(res, { flag }, 'Feature flag restored');
+});
+
+/**
+ * Audit history of a flag
+ * GET /api/v1/feature-flags/:name/history
+ */
+exports.getHistory = asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const history = await featureFlagService.getFlagHistory(req.params.name, { page, limit });
+
+  success(res, history);
+});
+
+/**
+ * List schedules of a flag
+ * GET /api/v1/feature-flags/:name/schedules
+ */
+exports.listSchedules = asyncHandler(async (req, res) => {
+  const schedules = await featureFlagService.listSchedules(req.params.name);
+
+  success(res, { schedules });
+});
+
+/**
+ * Schedule a flag to switch on or off
+ * POST /api/v1/feature-flags/:name/schedules
+ */
+exports.scheduleChange = asyncHandler(async (req, res) => {
+  const schedule = await featureFlagService.scheduleChange(req.params.name, req.body, req.user.id);
+
+  created(res, { schedule }, 'Change scheduled');
+});
+
+/**
+ * Cancel a pending schedule
+ * DELETE /api/v1/feature-flags/:name/schedules/:scheduleId
+ */
+exports.cancelSchedule = asyncHandler(async (req, res) => {
+  await featureFlagService.cancelSchedule(req.params.name, req.params.scheduleId, req.user.id);
+
+  success(res, null, 'Schedule cancelled');
+});
+
+// =============================================================================
+// EXPERIMENTS (platform admins)
+// =============================================================================
+
+/**
+ * List experiments
+ * GET /api/v1/feature-flags/experiments
+ */
+exports.listExperiments = asyncHandler(async (req, res) => {
+  const experiments = await featureFlagService.listExperiments({
+    status: req.query.status,
+    flagName: req.query.flagName,
+  });
+
+  success(res, { experiments });
+});
+
+/**
+ * Create experiment
+ * POST /api/v1/feature-flags/experiments
+ */
+exports.createExperiment = asyncHandler(async (req, res) => {
+  const experiment = await featureFlagService.createExperiment(req.body, req.user.id);
+
+  created(res, { experiment }, 'Experiment created');
+});
+
+/**
+ * Get experiment
+ * GET /api/v1/feature-flags/experiments/:name
+ */
+exports.getExperiment = asyncHandler(async (req, res) => {
+  const experiment = await featureFlagService.getExperiment(req.params.name);
+
+  success(res, { experiment });
+});
+
+/**
+ * Start experiment
+ * POST /api/v1/feature-flags/experiments/:name/start
+ */
+exports.startExperiment = asyncHandler(async (req, res) => {
+  const experiment = await featureFlagService.startExperiment(req.params.name, req.user.id);
+
+  success(res, { experiment }, 'Experiment started');
+});
+
+/**
+ * Stop experiment
+ * POST /api/v1/feature-flags/experiments/:name/stop
+ */
+exports.stopExperiment = asyncHandler(async (req, res) => {
+  const experiment = await featureFlagService.stopExperiment(req.params.name, req.body, req.user.id);
+
+  success(res, { experiment }, 'Experiment stopped');
+});
+
+/**
+ * Experiment results: rates with confidence intervals, lift and SRM check
+ * GET /api/v1/feature-flags/experiments/:name/results
+ */
+exports.getExperimentResults = asyncHandler(async (req, res) => {
+  const results = await featureFlagService.getExperimentResults(req.params.name);
+
+  success(res, { results });
+});
@@ -6,6 +6,8 @@
 const asyncHandler = require('../middleware/async.middleware');
 const financialReportsService = require('../services/financialReports.service');
 const financialAuditService = require('../services/financialAudit.service');
+const auditChainService = require('../services/auditChain.service');
+const gstReturnService = require('../services/gstReturn.service');
 const { prisma } = require('../config/database');
 const logger = require('../config/logger');
 
@@ -485,6 +487,34 @@ exports.verifyAuditIntegrity = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Verify the full audit hash chain and signed checkpoints
+ * @route   POST /api/v1/reports/financial/audit/chain/verify
+ * @access  Private (Super Admin)
+ */
+exports.verifyAuditChain = asyncHandler(async (req, res) => {
+  const result = await auditChainService.verifyChain();
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * @desc    Get inclusion proof for an audit entry
+ * @route   GET /api/v1/reports/financial/audit/:auditLogId/proof
+ * @access  Private (Admin)
+ */
+exports.getAuditProof = asyncHandler(async (req, res) => {
+  const proof = await auditChainService.getProof(req.params.auditLogId);
+
+  res.status(200).json({
+    success: true,
+    data: proof,
+  });
+});
+
 // =============================================================================
 // EXPORT ENDPOINTS
 // =============================================================================
@@ -575,6 +605,77 @@ exports.exportToPDF = asyncHandler(async (req, res) => {
   doc.end();
 });
 
+// =============================================================================
+// GST RETURNS
+// =============================================================================
+
+/**
+ * @desc    Download GSTR-1 JSON (offline tool schema)
+ * @route   GET /api/v1/reports/financial/gst/gstr1
+ * @access  Private (Business Owner)
+ */
+exports.downloadGSTR1 = asyncHandler(async (req, res) => {
+  const { month, year } = req.query;
+  const businessId = req.user.role === 'ADMIN' ? req.query.businessId : req.user.businessId;
+
+  const { gstr1, validation } = await gstReturnService.generateGSTR1(businessId, parseInt(month), parseInt(year));
+
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Content-Disposition', `attachment; filename=GSTR1_${gstr1.gstin}_${gstr1.fp}.json`);
+  res.setHeader('X-Rejected-Rows', validation.summary.rejected);
+  res.status(200).send(JSON.stringify(gstr1, null, 2));
+});
+
+/**
+ * @desc    Get GSTR-1 validation report (rejected rows and warnings)
+ * @route   GET /api/v1/reports/financial/gst/gstr1/validation
+ * @access  Private (Business Owner)
+ */
+exports.getGSTR1Validation = asyncHandler(async (req, res) => {
+  const { month, year } = req.query;
+  const businessId = req.user.role === 'ADMIN' ? req.query.businessId : req.user.businessId;
+
+  const { validation } = await gstReturnService.generateGSTR1(businessId, parseInt(month), parseInt(year));
+
+  res.status(200).json({
+    success: true,
+    data: validation,
+  });
+});
+
+/**
+ * @desc    Get GSTR-3B computation with tax set-off
+ * @route   GET /api/v1/reports/financial/gst/gstr3b
+ * @access  Private (Business Owner)
+ */
+exports.getGSTR3B = asyncHandler(async (req, res) => {
+  const { month, year } = req.query;
+  const businessId = req.user.role === 'ADMIN' ? req.query.businessId : req.user.businessId;
+
+  const result = await gstReturnService.generateGSTR3B(businessId, parseInt(month), parseInt(year));
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * @desc    Download GSTR-3B JSON (offline tool schema)
+ * @route   GET /api/v1/reports/financial/gst/gstr3b/download
+ * @access  Private (Business Owner)
+ */
+exports.downloadGSTR3B = asyncHandler(async (req, res) => {
+  const { month, year } = req.query;
+  const businessId = req.user.role === 'ADMIN' ? req.query.businessId : req.user.businessId;
+
+  const { gstr3b } = await gstReturnService.generateGSTR3B(businessId, parseInt(month), parseInt(year));
+
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Content-Disposition', `attachment; filename=GSTR3B_${gstr3b.gstin}_${gstr3b.ret_period}.json`);
+  res.status(200).send(JSON.stringify(gstr3b, null, 2));
+});
+
 // =============================================================================
 // COMPARATIVE ANALYSIS
 // =============================================================================
@@ -0,0 +1,80 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - INVENTORY LOT CONTROLLER
+// =============================================================================
+
+const inventoryLotService = require('../services/inventoryLot.service');
+const warehouseService = require('../services/warehouse.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success, created } = require('../utils/response');
+const { parsePagination } = require('../utils/helpers');
+
+/**
+ * List lots with their expiry state
+ * GET /api/v1/inventory-lots
+ */
+exports.listLots = asyncHandler(async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+  const result = await inventoryLotService.listLots(req.business.id, { ...req.query, page, limit });
+
+  success(res, result);
+});
+
+/**
+ * Receive stock into a lot
+ * POST /api/v1/inventory-lots/receipts
+ */
+exports.receiveLot = asyncHandler(async (req, res) => {
+  const inventory = await warehouseService.receiveStock(req.business.id, req.body, req.user.id);
+
+  created(res, { lot: inventory.lot, inventory: { ...inventory, lot: undefined } }, 'Lot received');
+});
+
+/**
+ * Trace a lot to every buyer who received or reserved it
+ * GET /api/v1/inventory-lots/trace?lotNumber=
+ */
+exports.traceLot = asyncHandler(async (req, res) => {
+  const trace = await inventoryLotService.traceLot(req.business.id, req.query);
+
+  success(res, { trace });
+});
+
+/**
+ * Recall a lot and notify the buyers who received it
+ * POST /api/v1/inventory-lots/recalls
+ */
+exports.recallLot = asyncHandler(async (req, res) => {
+  const recall = await inventoryLotService.recallLot(req.business.id, { ...req.body, actorId: req.user.id });
+
+  success(res, { recall }, 'Lot recalled');
+});
+
+/**
+ * Hold a lot back from sale
+ * POST /api/v1/inventory-lots/:lotId/quarantine
+ */
+exports.quarantineLot = asyncHandler(async (req, res) => {
+  const result = await inventoryLotService.setLotStatus(
+    req.business.id,
+    req.params.lotId,
+    inventoryLotService.LOT_STATUS.QUARANTINED,
+    { reason: req.body.reason, actorId: req.user.id },
+  );
+
+  success(res, result, 'Lot quarantined');
+});
+
+/**
+ * Release a quarantined lot back to sale
+ * POST /api/v1/inventory-lots/:lotId/release
+ */
+exports.releaseLot = asyncHandler(async (req, res) => {
+  const result = await inventoryLotService.setLotStatus(
+    req.business.id,
+    req.params.lotId,
+    inventoryLotService.LOT_STATUS.AVAILABLE,
+    { reason: req.body.reason, actorId: req.user.id },
+  );
+
+  success(res, result, 'Lot released');
+});
@@ -0,0 +1,117 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - INVENTORY TRANSFER CONTROLLER
+// =============================================================================
+
+const warehouseService = require('../services/warehouse.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success, created } = require('../utils/response');
+const { parsePagination } = require('../utils/helpers');
+
+// =============================================================================
+// TRANSFERS
+// =============================================================================
+
+/**
+ * Request a transfer between two warehouses
+ * POST /api/v1/inventory-transfers
+ */
+exports.createTransfer = asyncHandler(async (req, res) => {
+  const transfer = await warehouseService.createTransfer(req.business.id, req.body);
+
+  created(res, { transfer }, 'Transfer created');
+});
+
+/**
+ * List transfers
+ * GET /api/v1/inventory-transfers
+ */
+exports.getTransfers = asyncHandler(async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+  const result = await warehouseService.getTransfers(req.business.id, { ...req.query, page, limit });
+
+  success(res, result);
+});
+
+/**
+ * Get a transfer with its lines, e-way bills and discrepancies
+ * GET /api/v1/inventory-transfers/:transferId
+ */
+exports.getTransfer = asyncHandler(async (req, res) => {
+  const transfer = await warehouseService.getTransfer(req.params.transferId, req.business.id);
+
+  success(res, { transfer });
+});
+
+/**
+ * Approve a pending transfer
+ * POST /api/v1/inventory-transfers/:transferId/approve
+ */
+exports.approveTransfer = asyncHandler(async (req, res) => {
+  const transfer = await warehouseService.approveTransfer(req.params.transferId, req.business.id);
+
+  success(res, { transfer }, 'Transfer approved');
+});
+
+/**
+ * Ship an approved transfer; stock moves into transit
+ * POST /api/v1/inventory-transfers/:transferId/dispatch
+ */
+exports.dispatchTransfer = asyncHandler(async (req, res) => {
+  const transfer = await warehouseService.dispatchTransfer(
+    req.params.transferId,
+    req.business.id,
+    req.body,
+    req.user.id,
+  );
+
+  success(res, { transfer }, 'Transfer dispatched');
+});
+
+/**
+ * Record a goods receipt against a transfer
+ * POST /api/v1/inventory-transfers/:transferId/receipts
+ */
+exports.receiveTransfer = asyncHandler(async (req, res) => {
+  const transfer = await warehouseService.receiveTransfer(
+    req.params.transferId,
+    req.business.id,
+    req.body,
+    req.user.id,
+  );
+
+  success(res, { transfer }, transfer.status === 'COMPLETED' ? 'Transfer received' : 'Partial receipt recorded');
+});
+
+/**
+ * Cancel a transfer that has not been dispatched
+ * POST /api/v1/inventory-transfers/:transferId/cancel
+ */
+exports.cancelTransfer = asyncHandler(async (req, res) => {
+  await warehouseService.cancelTransfer(req.params.transferId, req.business.id, req.body.reason);
+
+  success(res, null, 'Transfer cancelled');
+});
+
+// =============================================================================
+// REPORTS
+// =============================================================================
+
+/**
+ * Stock in transit by transfer and destination
+ * GET /api/v1/inventory-transfers/reports/in-transit
+ */
+exports.getInTransitReport = asyncHandler(async (req, res) => {
+  const report = await warehouseService.getInTransitReport(req.business.id, req.query);
+
+  success(res, report);
+});
+
+/**
+ * Completed transfers received short, over or damaged
+ * GET /api/v1/inventory-transfers/reports/discrepancies
+ */
+exports.getDiscrepancyReport = asyncHandler(async (req, res) => {
+  const report = await warehouseService.getTransferDiscrepancyReport(req.business.id, req.query);
+
+  success(res, report);
+});
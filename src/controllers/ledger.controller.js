@@ -0,0 +1,71 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - GENERAL LEDGER CONTROLLER
+// =============================================================================
+
+const ledgerService = require('../services/ledger.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success, created } = require('../utils/response');
+const { parsePagination } = require('../utils/helpers');
+
+/**
+ * Get chart of accounts with balances
+ * GET /api/v1/ledger/accounts
+ */
+exports.getAccounts = asyncHandler(async (req, res) => {
+  const { type, businessId, parentCode } = req.query;
+
+  const accounts = await ledgerService.listAccounts({ type, businessId, parentCode });
+
+  success(res, { accounts });
+});
+
+/**
+ * Get account statement
+ * GET /api/v1/ledger/accounts/:code/statement
+ */
+exports.getAccountStatement = asyncHandler(async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+  const { startDate, endDate } = req.query;
+
+  const statement = await ledgerService.getAccountStatement(
+    req.params.code,
+    { startDate, endDate },
+    { page, limit },
+  );
+
+  success(res, statement);
+});
+
+/**
+ * Get trial balance
+ * GET /api/v1/ledger/trial-balance
+ */
+exports.getTrialBalance = asyncHandler(async (req, res) => {
+  const trialBalance = await ledgerService.getTrialBalance({
+    asOf: req.query.asOf,
+    detailed: req.query.detailed === 'true',
+    currency: req.query.currency?.toUpperCase(),
+  });
+
+  success(res, { trialBalance });
+});
+
+/**
+ * Get journal by ID
+ * GET /api/v1/ledger/journals/:journalId
+ */
+exports.getJournal = asyncHandler(async (req, res) => {
+  const journal = await ledgerService.getJournal(req.params.journalId);
+
+  success(res, { journal });
+});
+
+/**
+ * Reverse journal
+ * POST /api/v1/ledger/journals/:journalId/reverse
+ */
+exports.reverseJournal = asyncHandler(async (req, res) => {
+  const { journal } = await ledgerService.reverseJournal(req.params.journalId, req.user.id, req.body.reason);
+
+  created(res, { journal }, 'Journal reversed');
+});
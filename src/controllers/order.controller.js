@@ -4,6 +4,7 @@
 
 const orderService = require('../services/order.service');
 const paymentService = require('../services/payment.service');
+const punchoutService = require('../services/punchout.service');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { success, created, paginated } = require('../utils/response');
 const { parsePagination } = require('../utils/helpers');
@@ -89,6 +90,12 @@ exports.getById = asyncHandler(async (req, res) => {
  * POST /api/v1/orders
  */
 exports.create = asyncHandler(async (req, res) => {
+  // Punchout shoppers return their cart to the procurement system instead
+  if (req.punchoutSessionId) {
+    const transfer = await punchoutService.transferCart(req.punchoutSessionId, req.user.id);
+    return success(res, { punchout: transfer }, 'Cart returned to procurement system');
+  }
+
   const {
     sellerId,
     items,
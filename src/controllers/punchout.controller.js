@@ -0,0 +1,147 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - PUNCHOUT CONTROLLER
+// =============================================================================
+
+const punchoutService = require('../services/punchout.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success, created, paginated } = require('../utils/response');
+const { parsePagination } = require('../utils/helpers');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * cXML arrives as a raw XML body, or form-encoded in a cxml-urlencoded field
+ */
+const cxmlBody = (req) => (typeof req.body === 'string' ? req.body : req.body?.['cxml-urlencoded']);
+
+const requestMeta = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+});
+
+// =============================================================================
+// PROCUREMENT SYSTEM ENDPOINTS (credential-authenticated)
+// =============================================================================
+
+/**
+ * cXML PunchOutSetupRequest
+ * POST /api/v1/punchout/cxml/setup
+ */
+exports.cxmlSetup = asyncHandler(async (req, res) => {
+  const { status, xml } = await punchoutService.setupCxml(cxmlBody(req), requestMeta(req));
+
+  res.status(status).type('text/xml').send(xml);
+});
+
+/**
+ * cXML OrderRequest from the buyer's ERP
+ * POST /api/v1/punchout/cxml/order
+ */
+exports.cxmlOrder = asyncHandler(async (req, res) => {
+  const { status, xml } = await punchoutService.processOrderRequest(cxmlBody(req));
+
+  res.status(status).type('text/xml').send(xml);
+});
+
+/**
+ * SAP OCI call-up
+ * GET|POST /api/v1/punchout/oci/setup
+ */
+exports.ociSetup = asyncHandler(async (req, res) => {
+  const params = { ...req.query, ...(typeof req.body === 'object' ? req.body : {}) };
+  const { redirectUrl } = await punchoutService.setupOci(params, requestMeta(req));
+
+  res.redirect(302, redirectUrl);
+});
+
+/**
+ * Start page handed to the procurement system
+ * GET /api/v1/punchout/start/:token
+ */
+exports.start = asyncHandler(async (req, res) => {
+  const { redirectUrl } = await punchoutService.startSession(req.params.token);
+
+  res.redirect(302, redirectUrl);
+});
+
+// =============================================================================
+// PUNCHOUT SHOPPER
+// =============================================================================
+
+/**
+ * Return the cart to the procurement system
+ * POST /api/v1/punchout/checkout
+ */
+exports.checkout = asyncHandler(async (req, res) => {
+  if (!req.punchoutSessionId) {
+    throw new BadRequestError('Not a punchout session');
+  }
+
+  const transfer = await punchoutService.transferCart(req.punchoutSessionId, req.user.id);
+
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.type('html').send(transfer.html);
+  }
+  success(res, { punchout: transfer }, 'Cart returned to procurement system');
+});
+
+// =============================================================================
+// ADMINISTRATION
+// =============================================================================
+
+/**
+ * List punchout credentials
+ * GET /api/v1/punchout/credentials
+ */
+exports.listCredentials = asyncHandler(async (req, res) => {
+  const credentials = await punchoutService.listCredentials(req.business.id);
+
+  success(res, { credentials });
+});
+
+/**
+ * Create punchout credential (secret is shown once)
+ * POST /api/v1/punchout/credentials
+ */
+exports.createCredential = asyncHandler(async (req, res) => {
+  const credential = await punchoutService.createCredential(req.business.id, req.body, req.user.id);
+
+  created(res, { credential }, 'Punchout credential created');
+});
+
+/**
+ * Deactivate punchout credential
+ * DELETE /api/v1/punchout/credentials/:credentialId
+ */
+exports.deactivateCredential = asyncHandler(async (req, res) => {
+  const result = await punchoutService.deactivateCredential(req.params.credentialId, req.business.id);
+
+  success(res, result, 'Punchout credential deactivated');
+});
+
+/**
+ * List punchout sessions
+ * GET /api/v1/punchout/sessions
+ */
+exports.listSessions = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { status, protocol } = req.query;
+
+  const { sessions, total } = await punchoutService.listSessions(req.business.id, {
+    skip,
+    limit,
+    status,
+    protocol,
+  });
+
+  paginated(res, sessions, { page, limit, total });
+});
+
+/**
+ * Get punchout session with its document log
+ * GET /api/v1/punchout/sessions/:sessionId
+ */
+exports.getSession = asyncHandler(async (req, res) => {
+  const session = await punchoutService.getSession(req.params.sessionId, req.business.id);
+
+  success(res, { session });
+});
@@ -0,0 +1,150 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - RETURN CONTROLLER
+// =============================================================================
+
+const returnService = require('../services/return.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success, created, paginated } = require('../utils/response');
+const { parsePagination } = require('../utils/helpers');
+
+/**
+ * Get return reason codes
+ * GET /api/v1/returns/reasons
+ */
+exports.getReasons = asyncHandler((req, res) => {
+  const reasons = Object.entries(returnService.RETURN_REASONS).map(([code, label]) => ({ code, label }));
+
+  success(res, { reasons });
+});
+
+/**
+ * Create return request (buyer)
+ * POST /api/v1/returns
+ */
+exports.create = asyncHandler(async (req, res) => {
+  const { orderId, ...data } = req.body;
+
+  const returnRequest = await returnService.createReturnRequest(req.business.id, orderId, data);
+
+  created(res, { returnRequest }, 'Return requested successfully');
+});
+
+/**
+ * Get my returns (as buyer)
+ * GET /api/v1/returns/my-returns
+ */
+exports.getMyReturns = asyncHandler(async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+  const { status, orderId } = req.query;
+
+  const { returns, pagination } = await returnService.listReturns(
+    req.business.id,
+    'buyer',
+    { status, orderId },
+    { page, limit },
+  );
+
+  paginated(res, returns, pagination);
+});
+
+/**
+ * Get returns (as seller)
+ * GET /api/v1/returns/seller/returns
+ */
+exports.getSellerReturns = asyncHandler(async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+  const { status, orderId } = req.query;
+
+  const { returns, pagination } = await returnService.listReturns(
+    req.business.id,
+    'seller',
+    { status, orderId },
+    { page, limit },
+  );
+
+  paginated(res, returns, pagination);
+});
+
+/**
+ * Get return by ID
+ * GET /api/v1/returns/:returnId
+ */
+exports.getById = asyncHandler(async (req, res) => {
+  const returnRequest = await returnService.getReturnById(req.params.returnId, req.business.id);
+
+  success(res, { returnRequest });
+});
+
+/**
+ * Cancel return request (buyer)
+ * POST /api/v1/returns/:returnId/cancel
+ */
+exports.cancel = asyncHandler(async (req, res) => {
+  const returnRequest = await returnService.cancelReturnRequest(
+    req.params.returnId,
+    req.business.id,
+    req.body.reason,
+  );
+
+  success(res, { returnRequest }, 'Return cancelled');
+});
+
+/**
+ * Approve return (seller)
+ * POST /api/v1/returns/:returnId/approve
+ */
+exports.approve = asyncHandler(async (req, res) => {
+  const returnRequest = await returnService.approveReturn(req.params.returnId, req.business.id, req.body);
+
+  success(res, { returnRequest }, 'Return approved');
+});
+
+/**
+ * Reject return (seller)
+ * POST /api/v1/returns/:returnId/reject
+ */
+exports.reject = asyncHandler(async (req, res) => {
+  const returnRequest = await returnService.rejectReturn(req.params.returnId, req.business.id, req.body.reason);
+
+  success(res, { returnRequest }, 'Return rejected');
+});
+
+/**
+ * Schedule reverse pickup (seller)
+ * POST /api/v1/returns/:returnId/pickup
+ */
+exports.schedulePickup = asyncHandler(async (req, res) => {
+  const returnRequest = await returnService.scheduleReversePickup(req.params.returnId, req.business.id, req.body);
+
+  success(res, { returnRequest }, 'Reverse pickup scheduled');
+});
+
+/**
+ * Mark returned goods as received (seller)
+ * POST /api/v1/returns/:returnId/receive
+ */
+exports.receive = asyncHandler(async (req, res) => {
+  const returnRequest = await returnService.markReceived(req.params.returnId, req.business.id, req.body);
+
+  success(res, { returnRequest }, 'Return received');
+});
+
+/**
+ * Record inspection results (seller)
+ * POST /api/v1/returns/:returnId/inspect
+ */
+exports.inspect = asyncHandler(async (req, res) => {
+  const returnRequest = await returnService.inspectReturn(req.params.returnId, req.business.id, req.body);
+
+  success(res, { returnRequest }, 'Inspection recorded');
+});
+
+/**
+ * Issue prorated refund (seller)
+ * POST /api/v1/returns/:returnId/refund
+ */
+exports.refund = asyncHandler(async (req, res) => {
+  const returnRequest = await returnService.processReturnRefund(req.params.returnId, req.business.id);
+
+  success(res, { returnRequest }, 'Return refund processed');
+});
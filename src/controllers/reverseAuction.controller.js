@@ -155,6 +155,97 @@ const awardAuction = asyncHandler(async (req, res) => {
   });
 });
 
+// =============================================================================
+// LOTS, EVALUATION & SPLIT AWARDS
+// =============================================================================
+
+/**
+ * Place or revise bids on lots
+ * @route POST /api/v1/reverse-auctions/:id/lot-bids
+ */
+const placeLotBids = asyncHandler(async (req, res) => {
+  const bids = await reverseAuctionService.placeLotBids(
+    req.params.id,
+    req.user.businessId,
+    req.body.bids,
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Lot bids placed successfully',
+    data: bids,
+  });
+});
+
+/**
+ * Get lot standings (full evaluation for the buyer)
+ * @route GET /api/v1/reverse-auctions/:id/lots
+ */
+const getLotStandings = asyncHandler(async (req, res) => {
+  const lots = await reverseAuctionService.getLotStandings(
+    req.params.id,
+    req.user.id,
+    req.user.businessId,
+  );
+
+  res.json({
+    success: true,
+    data: lots,
+  });
+});
+
+/**
+ * Submit technical compliance scores
+ * @route POST /api/v1/reverse-auctions/:id/evaluations
+ */
+const submitTechnicalScores = asyncHandler(async (req, res) => {
+  const evaluations = await reverseAuctionService.submitTechnicalScores(
+    req.params.id,
+    req.user.id,
+    req.body.scores,
+  );
+
+  res.json({
+    success: true,
+    message: 'Technical scores saved',
+    data: evaluations,
+  });
+});
+
+/**
+ * Get ranked, scored bids per lot with suggested award
+ * @route GET /api/v1/reverse-auctions/:id/evaluation
+ */
+const evaluateLots = asyncHandler(async (req, res) => {
+  const lots = await reverseAuctionService.evaluateLots(
+    req.params.id,
+    req.user.id,
+  );
+
+  res.json({
+    success: true,
+    data: lots,
+  });
+});
+
+/**
+ * Award lots (whole or split) with one PO per supplier
+ * @route POST /api/v1/reverse-auctions/:id/award-lots
+ */
+const awardLots = asyncHandler(async (req, res) => {
+  const result = await reverseAuctionService.awardLots(
+    req.params.id,
+    req.user.id,
+    req.body,
+  );
+
+  res.json({
+    success: true,
+    message: `Lots awarded to ${result.orders.length} supplier(s)`,
+    data: result,
+  });
+});
+
 // =============================================================================
 // INVITATION MANAGEMENT
 // =============================================================================
@@ -381,6 +472,11 @@ module.exports = {
   cancelAuction,
   extendAuction,
   awardAuction,
+  placeLotBids,
+  getLotStandings,
+  submitTechnicalScores,
+  evaluateLots,
+  awardLots,
   inviteSellers,
   getInvitations,
   placeBid,
@@ -7,6 +7,8 @@ const { asyncHandler } = require('../middleware/errorHandler');
 const { success, created, paginated } = require('../utils/response');
 const { parsePagination, generateRFQNumber, generateQuotationNumber } = require('../utils/helpers');
 const { BadRequestError, NotFoundError, ForbiddenError } = require('../utils/errors');
+const rfqService = require('../services/rfq.service');
+const rfqNegotiationService = require('../services/rfqNegotiation.service');
 
 /**
  * Get my RFQs (as buyer)
@@ -346,6 +348,86 @@ exports.getQuotations = asyncHandler(async (req, res) => {
   success(res, { quotations });
 });
 
+/**
+ * Compare quotations item-by-item at normalized landed cost
+ * GET /api/v1/rfq/:rfqId/comparison
+ */
+exports.getComparison = asyncHandler(async (req, res) => {
+  const comparison = await rfqService.getQuotationComparison(req.params.rfqId, req.business.id, {
+    currency: req.query.currency,
+  });
+
+  success(res, comparison);
+});
+
+/**
+ * Export the quotation comparison matrix to Excel
+ * GET /api/v1/rfq/:rfqId/comparison/export
+ */
+exports.exportComparison = asyncHandler(async (req, res) => {
+  const file = await rfqService.exportQuotationComparison(req.params.rfqId, req.business.id, {
+    currency: req.query.currency,
+  });
+
+  res.download(file.filepath, file.filename);
+});
+
+/**
+ * Accept the best (or selected) line from each seller, one order per seller
+ * POST /api/v1/rfq/:rfqId/comparison/accept
+ */
+exports.acceptComparisonLines = asyncHandler(async (req, res) => {
+  const result = await rfqService.acceptQuotationLines(req.params.rfqId, req.business.id, {
+    selections: req.body.selections,
+    currency: req.body.currency,
+  });
+
+  created(res, result, `${result.orders.length} order(s) created from accepted quotation lines`);
+});
+
+/**
+ * List negotiation threads on an RFQ
+ * GET /api/v1/rfq/:rfqId/negotiations
+ */
+exports.getNegotiations = asyncHandler(async (req, res) => {
+  const threads = await rfqNegotiationService.listThreads(req.params.rfqId, req.business.id);
+
+  success(res, { threads });
+});
+
+/**
+ * Negotiation timeline with per-version diffs for one seller
+ * GET /api/v1/rfq/:rfqId/negotiations/:sellerId
+ */
+exports.getNegotiationTimeline = asyncHandler(async (req, res) => {
+  const timeline = await rfqNegotiationService.getTimeline(req.params.rfqId, req.params.sellerId, req.business.id);
+
+  success(res, timeline);
+});
+
+/**
+ * Diff two negotiation versions
+ * GET /api/v1/rfq/:rfqId/negotiations/:sellerId/diff?from=2&to=5
+ */
+exports.compareNegotiationVersions = asyncHandler(async (req, res) => {
+  const from = parseInt(req.query.from, 10);
+  const to = parseInt(req.query.to, 10);
+
+  if (!Number.isInteger(from) || !Number.isInteger(to)) {
+    throw new BadRequestError('from and to versions are required');
+  }
+
+  const comparison = await rfqNegotiationService.compareVersions(
+    req.params.rfqId,
+    req.params.sellerId,
+    req.business.id,
+    from,
+    to,
+  );
+
+  success(res, comparison);
+});
+
 /**
  * Accept quotation
  * POST /api/v1/rfq/:rfqId/quotations/:quotationId/accept
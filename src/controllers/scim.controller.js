@@ -0,0 +1,175 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - SCIM 2.0 CONTROLLER
+// Responses use the SCIM media type and resource shapes, not the API envelope
+// =============================================================================
+
+const scimService = require('../services/scim.service');
+const logger = require('../config/logger');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { bindTenant } = require('../middleware/tenantContext.middleware');
+const { TENANT_SOURCE } = require('../utils/tenantContext');
+
+const send = (res, status, body) => res.status(status).type('application/scim+json').send(JSON.stringify(body));
+
+// Errors without an explicit scimType (RFC 7644 section 3.12)
+const SCIM_TYPES = {
+  409: 'uniqueness',
+};
+
+// =============================================================================
+// AUTHENTICATION & ERRORS
+// =============================================================================
+
+/**
+ * Authenticate the identity provider by its tenant SCIM bearer token and run
+ * the request as that tenant
+ */
+exports.authenticate = asyncHandler(async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  const scim = await scimService.authenticate(scheme === 'Bearer' ? token : null);
+
+  await bindTenant(req, scim.tenantId, TENANT_SOURCE.SCIM);
+
+  req.scim = scim;
+  next();
+});
+
+/**
+ * Render errors as SCIM Error messages
+ */
+exports.handleError = (err, req, res, _next) => {
+  // Unique constraint races surface from Prisma rather than as ConflictError
+  const status = err.code === 'P2002' ? 409 : err.statusCode || err.status || 500;
+  const scimType = err.details?.scimType || SCIM_TYPES[status];
+
+  if (status >= 500) {
+    logger.error('SCIM request failed', { error: err.message, path: req.originalUrl });
+  }
+
+  send(res, status, {
+    schemas: [scimService.SCIM_SCHEMAS.ERROR],
+    status: String(status),
+    ...(scimType && { scimType }),
+    detail: status >= 500 ? 'Internal server error' : err.message,
+  });
+};
+
+// =============================================================================
+// DISCOVERY
+// =============================================================================
+
+/**
+ * Service provider capabilities
+ * GET /api/v1/scim/v2/ServiceProviderConfig
+ */
+exports.getServiceProviderConfig = (req, res) => {
+  send(res, 200, scimService.getServiceProviderConfig());
+};
+
+// =============================================================================
+// USERS
+// =============================================================================
+
+/**
+ * List users
+ * GET /api/v1/scim/v2/Users
+ */
+exports.listUsers = asyncHandler(async (req, res) => {
+  send(res, 200, await scimService.listUsers(req.scim.tenantId, req.query));
+});
+
+/**
+ * Get user
+ * GET /api/v1/scim/v2/Users/:id
+ */
+exports.getUser = asyncHandler(async (req, res) => {
+  send(res, 200, await scimService.getUser(req.scim.tenantId, req.params.id));
+});
+
+/**
+ * Provision user
+ * POST /api/v1/scim/v2/Users
+ */
+exports.createUser = asyncHandler(async (req, res) => {
+  send(res, 201, await scimService.createUser(req.scim.tenantId, req.body));
+});
+
+/**
+ * Replace user
+ * PUT /api/v1/scim/v2/Users/:id
+ */
+exports.replaceUser = asyncHandler(async (req, res) => {
+  send(res, 200, await scimService.replaceUser(req.scim.tenantId, req.params.id, req.body));
+});
+
+/**
+ * Update user (including deactivation)
+ * PATCH /api/v1/scim/v2/Users/:id
+ */
+exports.patchUser = asyncHandler(async (req, res) => {
+  send(res, 200, await scimService.patchUser(req.scim.tenantId, req.params.id, req.body));
+});
+
+/**
+ * Deprovision user
+ * DELETE /api/v1/scim/v2/Users/:id
+ */
+exports.deleteUser = asyncHandler(async (req, res) => {
+  await scimService.deleteUser(req.scim.tenantId, req.params.id);
+
+  res.status(204).send();
+});
+
+// =============================================================================
+// GROUPS
+// =============================================================================
+
+/**
+ * List groups
+ * GET /api/v1/scim/v2/Groups
+ */
+exports.listGroups = asyncHandler(async (req, res) => {
+  send(res, 200, await scimService.listGroups(req.scim.tenantId, req.query));
+});
+
+/**
+ * Get group
+ * GET /api/v1/scim/v2/Groups/:id
+ */
+exports.getGroup = asyncHandler(async (req, res) => {
+  send(res, 200, await scimService.getGroup(req.scim.tenantId, req.params.id));
+});
+
+/**
+ * Create group
+ * POST /api/v1/scim/v2/Groups
+ */
+exports.createGroup = asyncHandler(async (req, res) => {
+  send(res, 201, await scimService.createGroup(req.scim.tenantId, req.body));
+});
+
+/**
+ * Replace group
+ * PUT /api/v1/scim/v2/Groups/:id
+ */
+exports.replaceGroup = asyncHandler(async (req, res) => {
+  send(res, 200, await scimService.replaceGroup(req.scim.tenantId, req.params.id, req.body));
+});
+
+/**
+ * Update group membership
+ * PATCH /api/v1/scim/v2/Groups/:id
+ */
+exports.patchGroup = asyncHandler(async (req, res) => {
+  send(res, 200, await scimService.patchGroup(req.scim.tenantId, req.params.id, req.body));
+});
+
+/**
+ * Delete group
+ * DELETE /api/v1/scim/v2/Groups/:id
+ */
+exports.deleteGroup = asyncHandler(async (req, res) => {
+  await scimService.deleteGroup(req.scim.tenantId, req.params.id);
+
+  res.status(204).send();
+});
@@ -0,0 +1,152 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - SSO CONTROLLER
+// =============================================================================
+
+const ssoService = require('../services/sso.service');
+const scimService = require('../services/scim.service');
+const config = require('../config');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success, created } = require('../utils/response');
+
+// =============================================================================
+// IDENTITY PROVIDER ENDPOINTS (public)
+// =============================================================================
+
+/**
+ * SAML service provider metadata
+ * GET /api/v1/sso/:tenantId/metadata
+ */
+exports.getMetadata = asyncHandler(async (req, res) => {
+  const metadata = await ssoService.getSamlMetadata(req.params.tenantId);
+
+  res.type('application/samlmetadata+xml').send(metadata);
+});
+
+/**
+ * Start SSO login: redirects the browser to the identity provider
+ * GET /api/v1/sso/:tenantId/login
+ */
+exports.login = asyncHandler(async (req, res) => {
+  const { redirectUrl } = await ssoService.initiateSsoLogin(req.params.tenantId, req.query.returnUrl);
+
+  res.redirect(302, redirectUrl);
+});
+
+/**
+ * SAML assertion consumer (POST binding) and OIDC redirect URI. Sends the
+ * browser back to the frontend with a one-time code to exchange for tokens.
+ * GET|POST /api/v1/sso/:tenantId/callback
+ */
+exports.callback = asyncHandler(async (req, res) => {
+  const params = { ...req.query, ...(typeof req.body === 'object' ? req.body : {}) };
+  const { exchangeCode, returnUrl } = await ssoService.handleSsoCallback(req.params.tenantId, params);
+
+  const url = new URL(returnUrl, config.app.frontendUrl);
+  url.searchParams.set('ssoCode', exchangeCode);
+
+  res.redirect(302, url.toString());
+});
+
+/**
+ * Exchange the one-time SSO code for auth tokens
+ * POST /api/v1/sso/token
+ */
+exports.exchange = asyncHandler(async (req, res) => {
+  const result = await ssoService.exchangeLoginCode(req.body.code);
+
+  success(res, result, 'Login successful');
+});
+
+// =============================================================================
+// TENANT ADMINISTRATION
+// =============================================================================
+
+/**
+ * Get SSO configuration
+ * GET /api/v1/sso/:tenantId/config
+ */
+exports.getConfig = asyncHandler(async (req, res) => {
+  const sso = await ssoService.getSsoConfig(req.params.tenantId);
+
+  success(res, { sso });
+});
+
+/**
+ * Configure SSO
+ * PUT /api/v1/sso/:tenantId/config
+ */
+exports.configure = asyncHandler(async (req, res) => {
+  const sso = await ssoService.configureSso(req.params.tenantId, req.body);
+
+  success(res, { sso }, 'SSO configured');
+});
+
+/**
+ * Disable SSO
+ * DELETE /api/v1/sso/:tenantId/config
+ */
+exports.disable = asyncHandler(async (req, res) => {
+  await ssoService.disableSso(req.params.tenantId);
+
+  success(res, null, 'SSO disabled');
+});
+
+/**
+ * List verified email domains
+ * GET /api/v1/sso/:tenantId/domains
+ */
+exports.getDomains = asyncHandler(async (req, res) => {
+  const domains = await ssoService.getVerifiedDomains(req.params.tenantId);
+
+  success(res, { domains });
+});
+
+/**
+ * Start verifying an email domain (DNS TXT record)
+ * POST /api/v1/sso/:tenantId/domains
+ */
+exports.verifyDomain = asyncHandler(async (req, res) => {
+  const verification = await ssoService.verifyDomain(req.params.tenantId, req.body.domain);
+
+  created(res, { verification }, 'Add the TXT record to complete verification');
+});
+
+/**
+ * Check an email domain's DNS TXT record
+ * POST /api/v1/sso/:tenantId/domains/:domain/check
+ */
+exports.checkDomain = asyncHandler(async (req, res) => {
+  const verification = await ssoService.checkDomainVerification(req.params.tenantId, req.params.domain);
+
+  success(res, { verification });
+});
+
+/**
+ * List SCIM provisioning tokens
+ * GET /api/v1/sso/:tenantId/scim-tokens
+ */
+exports.listScimTokens = asyncHandler(async (req, res) => {
+  const tokens = await scimService.listTokens(req.params.tenantId);
+
+  success(res, { tokens });
+});
+
+/**
+ * Issue a SCIM provisioning token (shown once)
+ * POST /api/v1/sso/:tenantId/scim-tokens
+ */
+exports.createScimToken = asyncHandler(async (req, res) => {
+  const token = await scimService.createToken(req.params.tenantId, req.body.name, req.user.id);
+
+  created(res, { token }, 'SCIM token issued');
+});
+
+/**
+ * Revoke a SCIM provisioning token
+ * DELETE /api/v1/sso/:tenantId/scim-tokens/:tokenId
+ */
+exports.revokeScimToken = asyncHandler(async (req, res) => {
+  await scimService.revokeToken(req.params.tenantId, req.params.tokenId);
+
+  success(res, null, 'SCIM token revoked');
+});
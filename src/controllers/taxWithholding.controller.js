@@ -0,0 +1,79 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - TAX WITHHOLDING CONTROLLER
+// =============================================================================
+
+const taxWithholdingService = require('../services/taxWithholding.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success } = require('../utils/response');
+const { parsePagination, getFinancialYear } = require('../utils/helpers');
+
+/**
+ * Get TCS/TDS ledger (seller)
+ * GET /api/v1/tax-withholding/ledger
+ */
+exports.getLedger = asyncHandler(async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+  const { type, financialYear, quarter, period } = req.query;
+
+  const ledger = await taxWithholdingService.getSellerLedger(
+    req.business.id,
+    { type, financialYear, quarter, period },
+    { page, limit },
+  );
+
+  success(res, ledger);
+});
+
+/**
+ * Download TCS/TDS certificate (seller)
+ * GET /api/v1/tax-withholding/certificates/:type
+ */
+exports.downloadCertificate = asyncHandler(async (req, res) => {
+  const type = req.params.type.toUpperCase();
+  const financialYear = req.query.financialYear || getFinancialYear();
+  const quarter = req.query.quarter || taxWithholdingService.getFinancialQuarter();
+
+  const buffer = await taxWithholdingService.generateCertificate(req.business.id, type, financialYear, quarter);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=${type}_${financialYear}_${quarter}.pdf`);
+  res.send(buffer);
+});
+
+/**
+ * Get GSTR-8 data (admin)
+ * GET /api/v1/tax-withholding/gstr8
+ */
+exports.getGSTR8 = asyncHandler(async (req, res) => {
+  const month = parseInt(req.query.month) || new Date().getMonth() + 1;
+  const year = parseInt(req.query.year) || new Date().getFullYear();
+
+  const gstr8 = await taxWithholdingService.generateGSTR8(month, year);
+
+  success(res, { gstr8 });
+});
+
+/**
+ * Get Form 26Q data (admin)
+ * GET /api/v1/tax-withholding/form-26q
+ */
+exports.getForm26Q = asyncHandler(async (req, res) => {
+  const financialYear = req.query.financialYear || getFinancialYear();
+  const quarter = req.query.quarter || taxWithholdingService.getFinancialQuarter();
+
+  const form26Q = await taxWithholdingService.generateForm26Q(financialYear, quarter);
+
+  success(res, { form26Q });
+});
+
+/**
+ * Record government deposit (admin)
+ * POST /api/v1/tax-withholding/deposits
+ */
+exports.recordDeposit = asyncHandler(async (req, res) => {
+  const { type, period, challanNumber } = req.body;
+
+  const deposit = await taxWithholdingService.recordDeposit(type, period, challanNumber);
+
+  success(res, { deposit }, 'Deposit recorded');
+});
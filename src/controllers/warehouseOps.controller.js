@@ -0,0 +1,162 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - WAREHOUSE OPERATIONS CONTROLLER
+// =============================================================================
+
+const warehouseOpsService = require('../services/warehouseOps.service');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success, created } = require('../utils/response');
+const { parsePagination } = require('../utils/helpers');
+
+// =============================================================================
+// LAYOUT & PUTAWAY
+// =============================================================================
+
+/**
+ * Zones and bins in walk order
+ * GET /api/v1/warehouse-ops/warehouses/:warehouseId/layout
+ */
+exports.getLayout = asyncHandler(async (req, res) => {
+  const layout = await warehouseOpsService.getLayout(req.business.id, req.params.warehouseId);
+
+  success(res, layout);
+});
+
+/**
+ * Create a zone
+ * POST /api/v1/warehouse-ops/warehouses/:warehouseId/zones
+ */
+exports.createZone = asyncHandler(async (req, res) => {
+  const zone = await warehouseOpsService.createZone(req.business.id, req.params.warehouseId, req.body);
+
+  created(res, { zone }, 'Zone created');
+});
+
+/**
+ * Add bins to a zone
+ * POST /api/v1/warehouse-ops/warehouses/:warehouseId/bins
+ */
+exports.createBins = asyncHandler(async (req, res) => {
+  const bins = await warehouseOpsService.createBins(req.business.id, req.params.warehouseId, req.body);
+
+  created(res, { bins }, `${bins.length} bins created`);
+});
+
+/**
+ * Create a putaway rule
+ * POST /api/v1/warehouse-ops/warehouses/:warehouseId/putaway-rules
+ */
+exports.createPutawayRule = asyncHandler(async (req, res) => {
+  const rule = await warehouseOpsService.createPutawayRule(req.business.id, req.params.warehouseId, req.body);
+
+  created(res, { rule }, 'Putaway rule created');
+});
+
+/**
+ * Suggest a bin for incoming stock
+ * GET /api/v1/warehouse-ops/warehouses/:warehouseId/putaway/suggestion
+ */
+exports.suggestPutaway = asyncHandler(async (req, res) => {
+  const suggestion = await warehouseOpsService.suggestPutaway(req.business.id, req.params.warehouseId, req.query);
+
+  success(res, suggestion);
+});
+
+/**
+ * Put stock away into a bin
+ * POST /api/v1/warehouse-ops/warehouses/:warehouseId/putaway
+ */
+exports.putaway = asyncHandler(async (req, res) => {
+  const result = await warehouseOpsService.putaway(req.business.id, req.params.warehouseId, req.body, req.user.id);
+
+  success(res, result, `Put away in ${result.bin.code}`);
+});
+
+// =============================================================================
+// PICKING
+// =============================================================================
+
+/**
+ * Batch confirmed orders onto pick lists
+ * POST /api/v1/warehouse-ops/warehouses/:warehouseId/pick-lists
+ */
+exports.generatePickLists = asyncHandler(async (req, res) => {
+  const result = await warehouseOpsService.generatePickLists(
+    req.business.id,
+    req.params.warehouseId,
+    req.body,
+    req.user.id,
+  );
+
+  created(res, result, `${result.pickLists.length} pick lists generated`);
+});
+
+/**
+ * List pick lists
+ * GET /api/v1/warehouse-ops/pick-lists
+ */
+exports.listPickLists = asyncHandler(async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+  const result = await warehouseOpsService.listPickLists(req.business.id, { ...req.query, page, limit });
+
+  success(res, result);
+});
+
+/**
+ * Get a pick list in route order
+ * GET /api/v1/warehouse-ops/pick-lists/:pickListId
+ */
+exports.getPickList = asyncHandler(async (req, res) => {
+  const pickList = await warehouseOpsService.getPickList(req.business.id, req.params.pickListId);
+
+  success(res, { pickList });
+});
+
+/**
+ * Confirm a pick by scanning the bin and the item
+ * POST /api/v1/warehouse-ops/pick-lists/:pickListId/scans
+ */
+exports.scanPick = asyncHandler(async (req, res) => {
+  const result = await warehouseOpsService.scanPick(req.business.id, req.params.pickListId, req.body, req.user.id);
+
+  success(res, result, 'Pick confirmed');
+});
+
+/**
+ * Report a bin that held less than the line needs
+ * POST /api/v1/warehouse-ops/pick-lists/:pickListId/lines/:lineId/short
+ */
+exports.reportShortPick = asyncHandler(async (req, res) => {
+  const result = await warehouseOpsService.reportShortPick(
+    req.business.id,
+    req.params.pickListId,
+    req.params.lineId,
+    req.body,
+    req.user.id,
+  );
+
+  success(res, result, 'Short pick recorded');
+});
+
+// =============================================================================
+// PACKING
+// =============================================================================
+
+/**
+ * Pack picked units into a carton
+ * POST /api/v1/warehouse-ops/orders/:orderId/cartons
+ */
+exports.packCarton = asyncHandler(async (req, res) => {
+  const result = await warehouseOpsService.packCarton(req.business.id, req.params.orderId, req.body, req.user.id);
+
+  created(res, result, result.readyToShip ? 'Order packed and ready to ship' : 'Carton packed');
+});
+
+/**
+ * Book the carrier for a packed order
+ * POST /api/v1/warehouse-ops/orders/:orderId/dispatch
+ */
+exports.dispatchOrder = asyncHandler(async (req, res) => {
+  const result = await warehouseOpsService.dispatchOrder(req.business.id, req.params.orderId, req.body);
+
+  created(res, result, 'Shipment booked');
+});
@@ -1,166 +1,151 @@
 // =============================================================================
 // AIRAVAT B2B MARKETPLACE - WEBHOOK CONTROLLER
-// Handles webhook management endpoints
+// Webhook subscriptions, event catalog, dead-letter queue and replay
 // =============================================================================
 
 const webhookService = require('../services/webhook.service');
-const asyncHandler = require('../middleware/async.middleware');
+const webhookCatalog = require('../utils/webhookCatalog');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { success, created, paginated } = require('../utils/response');
+const { parsePagination } = require('../utils/helpers');
+const { NotFoundError } = require('../utils/errors');
 
 // =============================================================================
-// WEBHOOK MANAGEMENT
+// EVENT CATALOG
 // =============================================================================
 
 /**
- * Create a webhook
- * @route POST /api/v1/webhooks
+ * Versioned event catalog with the JSON Schema of every payload version
+ * GET /api/v1/integrations/webhooks/events
  */
-const createWebhook = asyncHandler(async (req, res) => {
-  const webhook = await webhookService.createWebhook(
-    req.user.businessId,
-    req.body
-  );
-
-  res.status(201).json({
-    success: true,
-    message: 'Webhook created. Store the secret securely.',
-    data: webhook,
-  });
+exports.getCatalog = asyncHandler((req, res) => {
+  success(res, webhookCatalog.getCatalog());
 });
 
 /**
- * Get all webhooks
- * @route GET /api/v1/webhooks
+ * Single event with its payload schemas
+ * GET /api/v1/integrations/webhooks/events/:event
  */
-const getWebhooks = asyncHandler(async (req, res) => {
-  const webhooks = await webhookService.getWebhooks(req.user.businessId);
+exports.getEvent = asyncHandler((req, res) => {
+  const eventType = webhookCatalog.resolveEventType(req.params.event);
 
-  res.json({
-    success: true,
-    data: webhooks,
-  });
+  if (!eventType) {
+    throw new NotFoundError('Webhook event');
+  }
+
+  success(res, webhookCatalog.describeEvent(eventType));
 });
 
+// =============================================================================
+// SUBSCRIPTIONS
+// =============================================================================
+
 /**
- * Update a webhook
- * @route PUT /api/v1/webhooks/:id
+ * List webhooks
+ * GET /api/v1/integrations/webhooks
  */
-const updateWebhook = asyncHandler(async (req, res) => {
-  const webhook = await webhookService.updateWebhook(
-    req.params.id,
-    req.user.businessId,
-    req.body
-  );
-
-  res.json({
-    success: true,
-    message: 'Webhook updated',
-    data: webhook,
-  });
+exports.getWebhooks = asyncHandler(async (req, res) => {
+  const webhooks = await webhookService.getWebhooks(req.business.id);
+
+  success(res, { webhooks });
 });
 
 /**
- * Delete a webhook
- * @route DELETE /api/v1/webhooks/:id
+ * Create webhook (the signing secret is only returned here)
+ * POST /api/v1/integrations/webhooks
  */
-const deleteWebhook = asyncHandler(async (req, res) => {
-  await webhookService.deleteWebhook(req.params.id, req.user.businessId);
+exports.createWebhook = asyncHandler(async (req, res) => {
+  const webhook = await webhookService.createWebhook(req.business.id, req.body);
 
-  res.json({
-    success: true,
-    message: 'Webhook deleted',
-  });
+  created(res, { webhook }, 'Webhook created. Store the secret securely.');
 });
 
 /**
- * Test a webhook
- * @route POST /api/v1/webhooks/:id/test
+ * Update webhook, pinned payload versions, or re-enable it
+ * PATCH /api/v1/integrations/webhooks/:id
  */
-const testWebhook = asyncHandler(async (req, res) => {
-  const result = await webhookService.testWebhook(
-    req.params.id,
-    req.user.businessId
-  );
-
-  res.json({
-    success: result.success,
-    message: result.success ? 'Test successful' : 'Test failed',
-    data: result,
-  });
+exports.updateWebhook = asyncHandler(async (req, res) => {
+  const webhook = await webhookService.updateWebhook(req.params.id, req.business.id, req.body);
+
+  success(res, { webhook }, 'Webhook updated');
 });
 
 /**
- * Rotate webhook secret
- * @route POST /api/v1/webhooks/:id/rotate-secret
+ * Delete webhook
+ * DELETE /api/v1/integrations/webhooks/:id
  */
-const rotateSecret = asyncHandler(async (req, res) => {
-  const result = await webhookService.rotateSecret(
-    req.params.id,
-    req.user.businessId
-  );
-
-  res.json({
-    success: true,
-    message: 'Secret rotated. Store the new secret securely.',
-    data: result,
-  });
+exports.deleteWebhook = asyncHandler(async (req, res) => {
+  await webhookService.deleteWebhook(req.params.id, req.business.id);
+
+  success(res, null, 'Webhook deleted');
 });
 
 /**
- * Get delivery history
- * @route GET /api/v1/webhooks/:id/deliveries
+ * Send a test event
+ * POST /api/v1/integrations/webhooks/:id/test
  */
-const getDeliveries = asyncHandler(async (req, res) => {
-  const result = await webhookService.getDeliveryHistory(
-    req.params.id,
-    req.user.businessId,
-    req.query
-  );
-
-  res.json({
-    success: true,
-    data: result.deliveries,
-    pagination: result.pagination,
-  });
+exports.testWebhook = asyncHandler(async (req, res) => {
+  const result = await webhookService.testWebhook(req.params.id, req.business.id);
+
+  success(res, result, result.success ? 'Test successful' : 'Test failed');
+});
+
+/**
+ * Rotate signing secret; the old secret keeps signing for the overlap window
+ * POST /api/v1/integrations/webhooks/:id/rotate-secret
+ */
+exports.rotateSecret = asyncHandler(async (req, res) => {
+  const result = await webhookService.rotateSecret(req.params.id, req.business.id, req.body);
+
+  success(res, result, 'Secret rotated. Store the new secret securely.');
 });
 
 /**
- * Get available event types
- * @route GET /api/v1/webhooks/events
+ * Delivery history
+ * GET /api/v1/integrations/webhooks/:id/deliveries
  */
-const getEventTypes = asyncHandler(async (req, res) => {
-  const events = Object.entries(webhookService.WEBHOOK_EVENTS).map(
-    ([event, config]) => ({
-      event,
-      ...config,
-    })
-  );
-
-  // Group by category
-  const grouped = events.reduce((acc, event) => {
-    if (!acc[event.category]) {
-      acc[event.category] = [];
-    }
-    acc[event.category].push(event);
-    return acc;
-  }, {});
-
-  res.json({
-    success: true,
-    data: grouped,
+exports.getDeliveries = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const { deliveries, total } = await webhookService.getDeliveryHistory(req.params.id, req.business.id, {
+    status: req.query.status,
+    skip,
+    limit,
   });
+
+  paginated(res, deliveries, { page, limit, total });
 });
 
 // =============================================================================
-// MODULE EXPORTS
+// DEAD-LETTER QUEUE
 // =============================================================================
 
-module.exports = {
-  createWebhook,
-  getWebhooks,
-  updateWebhook,
-  deleteWebhook,
-  testWebhook,
-  rotateSecret,
-  getDeliveries,
-  getEventTypes,
-};
+/**
+ * Dead-lettered deliveries
+ * GET /api/v1/integrations/webhooks/dead-letters
+ */
+exports.listDeadLetters = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { webhookId, eventType, from, to } = req.query;
+
+  const { deliveries, total } = await webhookService.listDeadLetters(req.business.id, {
+    webhookId,
+    eventType,
+    from,
+    to,
+    skip,
+    limit,
+  });
+
+  paginated(res, deliveries, { page, limit, total });
+});
+
+/**
+ * Replay deliveries by event ID, or dead letters within a time range
+ * POST /api/v1/integrations/webhooks/replay
+ */
+exports.replay = asyncHandler(async (req, res) => {
+  const result = await webhookService.replay(req.business.id, req.body);
+
+  success(res, result, `${result.replayed} deliveries queued for replay`);
+});
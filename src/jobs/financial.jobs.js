@@ -13,6 +13,7 @@ const virtualCardService = require('../services/virtualCard.service');
 const bankIntegrationService = require('../services/bankIntegration.service');
 const creditInsuranceService = require('../services/creditInsurance.service');
 const reconciliationService = require('../services/reconciliation.service');
+const auditChainService = require('../services/auditChain.service');
 
 /**
  * Financial Jobs Configuration
@@ -69,6 +70,16 @@ const FINANCIAL_JOBS = {
     schedule: '0 5 * * *', // Daily at 5 AM
     name: 'Auto Reconciliation',
   },
+
+  // Audit Chain Jobs
+  createAuditCheckpoint: {
+    schedule: '15 * * * *', // Hourly at :15
+    name: 'Create Audit Chain Checkpoint',
+  },
+  verifyAuditChain: {
+    schedule: '30 2 * * *', // Daily at 2:30 AM
+    name: 'Verify Audit Chain',
+  },
 };
 
 /**
@@ -341,6 +352,51 @@ function initializeFinancialJobs() {
     }
   });
 
+  // ===========================================================================
+  // AUDIT CHAIN JOBS
+  // ===========================================================================
+
+  /**
+   * Seal new audit entries under a signed checkpoint
+   */
+  cron.schedule(FINANCIAL_JOBS.createAuditCheckpoint.schedule, async () => {
+    const jobName = FINANCIAL_JOBS.createAuditCheckpoint.name;
+    logger.info(`Starting job: ${jobName}`);
+
+    try {
+      const checkpoint = await auditChainService.createCheckpoint();
+      logger.info(`Job completed: ${jobName}`, {
+        toSequence: checkpoint ? checkpoint.toSequence : null,
+      });
+    } catch (error) {
+      logger.error(`Job failed: ${jobName}`, { error: error.message });
+    }
+  });
+
+  /**
+   * Re-verify the full chain and checkpoints; breaks raise a security alert
+   */
+  cron.schedule(FINANCIAL_JOBS.verifyAuditChain.schedule, async () => {
+    const jobName = FINANCIAL_JOBS.verifyAuditChain.name;
+    logger.info(`Starting job: ${jobName}`);
+    const startTime = Date.now();
+
+    try {
+      const result = await auditChainService.verifyChain();
+      logger.info(`Job completed: ${jobName}`, {
+        duration: Date.now() - startTime,
+        valid: result.valid,
+        entriesChecked: result.entriesChecked,
+        breaks: result.breaks.length,
+      });
+    } catch (error) {
+      logger.error(`Job failed: ${jobName}`, {
+        error: error.message,
+        duration: Date.now() - startTime,
+      });
+    }
+  });
+
   logger.info('Financial scheduled jobs initialized', {
     jobCount: Object.keys(FINANCIAL_JOBS).length,
   });
@@ -477,6 +533,10 @@ async function runJob(jobName) {
       return creditInsuranceService.expirePolicies();
     case 'autoReconciliation':
       return runAutoReconciliation();
+    case 'createAuditCheckpoint':
+      return auditChainService.createCheckpoint();
+    case 'verifyAuditChain':
+      return auditChainService.verifyChain();
     default:
       throw new Error(`No handler for job: ${jobName}`);
   }
@@ -4,10 +4,12 @@
 
 const { queues, jobs, scheduledJobs } = require('./queue');
 const { initProcessors } = require('./processors');
+const outboxRelay = require('./outboxRelay');
 
 module.exports = {
   queues,
   jobs,
   scheduledJobs,
   initProcessors,
+  outboxRelay,
 };
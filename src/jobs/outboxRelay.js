@@ -0,0 +1,164 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - OUTBOX RELAY WORKER
+// Publishes committed outbox events to the event bus, Bull queues, webhooks
+// and the search index (at-least-once, in order per aggregate)
+// =============================================================================
+
+const os = require('os');
+const config = require('../config');
+const logger = require('../config/logger');
+const outboxService = require('../services/outbox.service');
+const { eventEmitter } = require('../services/eventEmitter.service');
+const webhookService = require('../services/webhook.service');
+const elasticsearchService = require('../services/elasticsearch.service');
+const { queues } = require('./queue');
+
+const { DESTINATION } = outboxService;
+
+// =============================================================================
+// PUBLISHERS
+// =============================================================================
+
+/**
+ * Every publisher receives the idempotency key so consumers can drop the
+ * duplicates that at-least-once delivery produces after a crash or retry.
+ */
+const publishers = {
+  async [DESTINATION.BUS](event) {
+    await eventEmitter.emit(event.eventType, {
+      ...event.payload,
+      eventId: event.id,
+      idempotencyKey: event.idempotencyKey,
+    });
+  },
+
+  async [DESTINATION.JOBS](event) {
+    for (const { queue, name, data } of event.destinations.jobs) {
+      if (!queues[queue]) {
+        throw new Error(`Unknown queue ${queue}`);
+      }
+
+      // Bull ignores an add whose jobId is already queued
+      await queues[queue].add(name, { ...data, idempotencyKey: event.idempotencyKey }, {
+        jobId: `${event.idempotencyKey}:${queue}:${name}`,
+      });
+    }
+  },
+
+  async [DESTINATION.WEBHOOK](event) {
+    const { event: webhookEvent, businessIds = [] } = event.destinations.webhook;
+
+    await webhookService.dispatch(
+      webhookEvent || event.eventType,
+      event.payload,
+      businessIds,
+      { idempotencyKey: event.idempotencyKey },
+    );
+  },
+
+  async [DESTINATION.SEARCH_INDEX](event) {
+    const { products = [] } = event.destinations.searchIndex;
+
+    if (products.length > 0) {
+      await elasticsearchService.syncProducts(products);
+    }
+  },
+};
+
+// =============================================================================
+// RELAY
+// =============================================================================
+
+class OutboxRelay {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.running = null;
+    this.stopped = true;
+  }
+
+  /**
+   * Start polling the outbox
+   */
+  start() {
+    if (!this.stopped) return;
+
+    this.stopped = false;
+    this.schedule(0);
+    logger.info('Outbox relay started', { workerId: this.workerId });
+  }
+
+  /**
+   * Stop polling and wait for the batch in flight
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+
+    if (this.running) {
+      await this.running;
+    }
+
+    logger.info('Outbox relay stopped');
+  }
+
+  schedule(delay) {
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    let claimed = 0;
+
+    this.running = this.runOnce();
+    try {
+      claimed = await this.running;
+    } catch (error) {
+      logger.error('Outbox relay run failed', { error: error.message });
+    } finally {
+      this.running = null;
+    }
+
+    // Drain a backlog without waiting; otherwise poll again after the interval
+    if (!this.stopped) {
+      this.schedule(claimed > 0 ? 0 : config.outbox.pollIntervalMs);
+    }
+  }
+
+  /**
+   * Claim one batch and publish it
+   * @returns {Promise<number>} Events claimed
+   */
+  async runOnce() {
+    await outboxService.releaseStaleClaims();
+
+    const events = await outboxService.claimBatch(this.workerId);
+
+    for (const event of events) {
+      await this.publish(event);
+    }
+
+    return events.length;
+  }
+
+  /**
+   * Publish one event to each destination it has not reached yet. A failure
+   * leaves the event PENDING with backoff; destinations that already accepted
+   * it are not published again.
+   */
+  async publish(event) {
+    try {
+      for (const destination of outboxService.pendingDestinations(event)) {
+        await publishers[destination](event);
+        await outboxService.markDelivered(event.id, destination);
+      }
+
+      await outboxService.markPublished(event.id);
+      return true;
+    } catch (error) {
+      await outboxService.markFailed(event, error);
+      return false;
+    }
+  }
+}
+
+module.exports = new OutboxRelay();
@@ -8,6 +8,7 @@ const emailService = require('../services/email.service');
 const smsService = require('../services/sms.service');
 const notificationService = require('../services/notification.service');
 const inventoryService = require('../services/inventory.service');
+const webhookService = require('../services/webhook.service');
 const logger = require('../config/logger');
 
 // =============================================================================
@@ -213,6 +214,19 @@ queues.order.process('status-update', async (job) => {
   return { success: true, orderId, status };
 });
 
+// =============================================================================
+// WEBHOOK PROCESSOR
+// =============================================================================
+
+queues.webhook.process('webhookDelivery', (job) => {
+  const { deliveryId } = job.data;
+
+  logger.info('Processing webhook delivery', { deliveryId });
+
+  // One attempt per job: failures are rescheduled on the delivery row, not by Bull
+  return webhookService.deliver(deliveryId);
+});
+
 // =============================================================================
 // IMPORT PROCESSOR
 // =============================================================================
@@ -38,6 +38,7 @@ const orderQueue = new Queue('order', { redis: redisConfig, defaultJobOptions })
 const importQueue = new Queue('import', { redis: redisConfig, defaultJobOptions });
 const reportQueue = new Queue('report', { redis: redisConfig, defaultJobOptions });
 const cleanupQueue = new Queue('cleanup', { redis: redisConfig, defaultJobOptions });
+const webhookQueue = new Queue('webhook', { redis: redisConfig, defaultJobOptions });
 
 // =============================================================================
 // QUEUE EXPORTS
@@ -52,6 +53,7 @@ const queues = {
   import: importQueue,
   report: reportQueue,
   cleanup: cleanupQueue,
+  webhook: webhookQueue,
 };
 
 // =============================================================================
@@ -163,6 +165,23 @@ const jobs = {
   },
 };
 
+// Named jobs enqueued by class-style services through addJob()
+const JOB_QUEUES = {
+  webhookDelivery: webhookQueue,
+};
+
+/**
+ * Add a named job to the queue that owns it
+ */
+const addJob = (name, data, options = {}) => {
+  const queue = JOB_QUEUES[name];
+  if (!queue) {
+    throw new Error(`No queue registered for job ${name}`);
+  }
+
+  return queue.add(name, data, { ...defaultJobOptions, ...options });
+};
+
 // =============================================================================
 // SCHEDULED JOBS (CRON)
 // =============================================================================
@@ -209,4 +228,4 @@ const scheduledJobs = {
   },
 };
 
-module.exports = { queues, jobs, scheduledJobs };
+module.exports = { queues, jobs, addJob, scheduledJobs };
@@ -11,6 +11,15 @@ const emailService = require('../services/email.service');
 const analyticsService = require('../services/analytics.service');
 const inventoryService = require('../services/inventory.service');
 const elasticsearchService = require('../services/elasticsearch.service');
+const approvalService = require('../services/approval.service');
+const rfqNegotiationService = require('../services/rfqNegotiation.service');
+const ediService = require('../services/edi.service');
+const webhookService = require('../services/webhook.service');
+const outboxService = require('../services/outbox.service');
+const featureFlagService = require('../services/featureFlag.service');
+const inventoryLotService = require('../services/inventoryLot.service');
+const cycleCountService = require('../services/cycleCount.service');
+const demandForecastService = require('../services/demandForecast.service');
 const { initializeFinancialJobs } = require('./financial.jobs');
 
 class ScheduledJobs {
@@ -26,19 +35,24 @@ class ScheduledJobs {
 
     // Run every minute
     this.addJob('* * * * *', 'Process Pending Payments', this.processPendingPayments);
+    this.addJob('* * * * *', 'Retry Due Webhook Deliveries', this.retryWebhookDeliveries);
+    this.addJob('* * * * *', 'Apply Scheduled Feature Flag Changes', this.applyFeatureFlagSchedules);
 
     // Run every 5 minutes
     this.addJob('*/5 * * * *', 'Release Expired Cart Reservations', this.releaseExpiredReservations);
     this.addJob('*/5 * * * *', 'Process Pending Notifications', this.processPendingNotifications);
+    this.addJob('*/5 * * * *', 'Poll EDI Inbound Folders', this.pollEdiInbound);
 
     // Run every 15 minutes
     this.addJob('*/15 * * * *', 'Update Currency Rates', this.updateCurrencyRates);
     this.addJob('*/15 * * * *', 'Sync Search Index', this.syncSearchIndex);
+    this.addJob('*/15 * * * *', 'Escalate Overdue Approvals', this.escalateOverdueApprovals);
 
     // Run every hour
     this.addJob('0 * * * *', 'Clean Expired Sessions', this.cleanExpiredSessions);
     this.addJob('0 * * * *', 'Process Subscription Renewals', this.processSubscriptionRenewals);
     this.addJob('0 * * * *', 'Update Product Scores', this.updateProductScores);
+    this.addJob('0 * * * *', 'Expire Stale Negotiation Offers', this.expireNegotiationOffers);
 
     // Run every 6 hours
     this.addJob('0 */6 * * *', 'Generate Analytics Summaries', this.generateAnalyticsSummaries);
@@ -50,6 +64,10 @@ class ScheduledJobs {
     this.addJob('0 0 * * *', 'Process Credit Overdue', this.processCreditOverdue);
     this.addJob('0 0 * * *', 'Expire Old RFQs', this.expireOldRFQs);
     this.addJob('0 0 * * *', 'Update Trust Scores', this.updateTrustScores);
+    this.addJob('0 0 * * *', 'Purge Published Outbox Events', this.purgeOutbox);
+    this.addJob('0 0 * * *', 'Sweep Expiring Inventory Lots', this.sweepExpiringLots);
+    this.addJob('0 0 * * *', 'Open Due Cycle Counts', this.openDueCycleCounts);
+    this.addJob('0 0 * * *', 'Suggest Stock Replenishment', this.suggestReplenishment);
 
     // Run daily at 6 AM
     this.addJob('0 6 * * *', 'Send Digest Emails', this.sendDigestEmails);
@@ -239,6 +257,17 @@ class ScheduledJobs {
     await cache.set('search:lastSync', new Date().toISOString());
   }
 
+  /**
+   * Escalate approval steps past their policy timeout
+   */
+  async escalateOverdueApprovals() {
+    const result = await approvalService.processEscalations();
+
+    if (result.escalated > 0) {
+      logger.info(`Escalated ${result.escalated} overdue approval steps`);
+    }
+  }
+
   /**
    * Clean expired sessions
    */
@@ -396,6 +425,48 @@ class ScheduledJobs {
     }
   }
 
+  /**
+   * Expire lots past their date, move reservations off short-dated lots
+   * and alert sellers to near-expiry stock
+   */
+  async sweepExpiringLots() {
+    const result = await inventoryLotService.sweepExpiringLots();
+
+    if (result.expired > 0 || result.flagged > 0) {
+      logger.info(`Expired ${result.expired} inventory lots, flagged ${result.flagged} near expiry`, {
+        moved: result.moved,
+        unfilled: result.unfilled,
+      });
+    }
+  }
+
+  /**
+   * Refresh stale ABC classes and open count sheets for SKUs that are due
+   */
+  async openDueCycleCounts() {
+    const result = await cycleCountService.runScheduledCounts();
+
+    if (result.sheets > 0 || result.failed > 0) {
+      logger.info(`Opened ${result.sheets} cycle count sheets across ${result.plans} plans`, {
+        failed: result.failed,
+      });
+    }
+  }
+
+  /**
+   * Forecast demand, refresh reorder points and suggest replenishment for
+   * sellers with an active policy
+   */
+  async suggestReplenishment() {
+    const result = await demandForecastService.runScheduledReplenishment();
+
+    if (result.suggestions > 0 || result.failed > 0) {
+      logger.info(`Suggested ${result.suggestions} replenishments across ${result.businesses} sellers`, {
+        failed: result.failed,
+      });
+    }
+  }
+
   /**
    * Clean old data (logs, events, etc.)
    */
@@ -524,6 +595,61 @@ class ScheduledJobs {
     }
   }
 
+  /**
+   * Lapse RFQ negotiation offers past their validity
+   */
+  async expireNegotiationOffers() {
+    const result = await rfqNegotiationService.expireStaleOffers();
+
+    if (result.expired > 0) {
+      logger.info(`Expired ${result.expired} negotiation offers`);
+    }
+  }
+
+  /**
+   * Switch feature flags whose scheduled on/off time has come
+   */
+  async applyFeatureFlagSchedules() {
+    const result = await featureFlagService.applyDueSchedules();
+
+    if (result.applied > 0) {
+      logger.info(`Applied ${result.applied} scheduled feature flag changes`);
+    }
+  }
+
+  /**
+   * Translate EDI interchanges dropped into partner inbound folders
+   */
+  async pollEdiInbound() {
+    const result = await ediService.pollInbound();
+
+    if (result.processed > 0) {
+      logger.info(`Processed ${result.processed} EDI interchanges (${result.failed} with errors)`);
+    }
+  }
+
+  /**
+   * Redeliver webhooks whose persisted retry time has passed
+   */
+  async retryWebhookDeliveries() {
+    const result = await webhookService.processDueRetries();
+
+    if (result.due > 0) {
+      logger.info(`Retried ${result.retried} of ${result.due} due webhook deliveries`);
+    }
+  }
+
+  /**
+   * Drop outbox events that were published more than a week ago
+   */
+  async purgeOutbox() {
+    const purged = await outboxService.purgePublished(7);
+
+    if (purged > 0) {
+      logger.info(`Purged ${purged} published outbox events`);
+    }
+  }
+
   /**
    * Update business trust scores
    */
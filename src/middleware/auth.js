@@ -6,7 +6,9 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config');
 const { prisma } = require('../config/database');
-const { UnauthorizedError, ForbiddenError, VerificationRequiredError } = require('../utils/errors');
+const { UnauthorizedError, ForbiddenError, NotFoundError, VerificationRequiredError } = require('../utils/errors');
+const { withinTenant } = require('../utils/tenantContext');
+const { bindTokenTenant } = require('./tenantContext.middleware');
 
 /**
  * Extract JWT token from request
@@ -77,12 +79,20 @@ const authenticate = async (req, res, next) => {
     if (user.isBanned) {
       throw new ForbiddenError(`Account is banned: ${user.banReason || 'Contact support'}`);
     }
+
+    // The token must belong to the tenant this request is addressed to
+    await bindTokenTenant(req, decoded, user);
     
     // Attach user and business to request
     req.user = user;
     req.business = user.business;
     req.token = token;
-    
+
+    // Tokens issued from a punchout start page are bound to that session
+    if (decoded.punchoutSessionId) {
+      req.punchoutSessionId = decoded.punchoutSessionId;
+    }
+
     next();
   } catch (error) {
     next(error);
@@ -119,6 +129,7 @@ const optionalAuth = async (req, res, next) => {
       });
       
       if (user && user.isActive && !user.isBanned) {
+        await bindTokenTenant(req, decoded, user);
         req.user = user;
         req.business = user.business;
         req.token = token;
@@ -263,6 +274,41 @@ const requireOwnerOrAdmin = (userIdParam = 'userId') => {
   };
 };
 
+/**
+ * Require the user to administer the tenant in the route (owner or active admin member)
+ */
+const requireTenantAdmin = (tenantIdParam = 'tenantId') => {
+  return async (req, res, next) => {
+    try {
+      const tenantId = req.params[tenantIdParam];
+      const tenant = await prisma.tenant.findUnique({
+        where: { id: tenantId },
+        select: { ownerId: true },
+      });
+
+      if (!tenant) {
+        return next(new NotFoundError('Tenant'));
+      }
+
+      if (tenant.ownerId === req.user.id) {
+        return next();
+      }
+
+      const membership = await withinTenant(tenantId, () => prisma.tenantMember.findUnique({
+        where: { tenantId_userId: { tenantId, userId: req.user.id } },
+      }));
+
+      if (!membership || !membership.active || membership.role !== 'admin') {
+        return next(new ForbiddenError('Tenant administrator access required'));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 /**
  * Admin only access
  */
@@ -339,6 +385,7 @@ module.exports = {
   requireBusinessOwner,
   requirePermission,
   requireOwnerOrAdmin,
+  requireTenantAdmin,
   adminOnly,
   superAdminOnly,
   generateAccessToken,
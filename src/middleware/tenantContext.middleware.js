@@ -0,0 +1,126 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - TENANT CONTEXT MIDDLEWARE
+// Identifies the white-label tenant of each request (custom domain, tenant API
+// key or access token) and runs the request inside that tenant's context
+// =============================================================================
+
+const { prisma } = require('../config/database');
+const multiTenancyService = require('../services/multiTenancy.service');
+const { UnauthorizedError, TenantIsolationError } = require('../utils/errors');
+const { asyncLocalStorage, getTenantContext, TENANT_SOURCE } = require('../utils/tenantContext');
+const { auditCrossTenantAccess } = require('../utils/tenantIsolation');
+
+// Tenant API keys are issued by multiTenancy.service with this prefix
+const TENANT_API_KEY_PREFIX = 'ak_';
+
+/**
+ * Refuse a request whose credentials belong to a different tenant than the
+ * one it is addressed to
+ */
+async function denyTenantMismatch(context, requestedTenantId, source) {
+  await auditCrossTenantAccess(prisma, context, {
+    model: 'Tenant',
+    operation: `authenticate:${source}`,
+    entityId: requestedTenantId,
+    requestedTenantId,
+  });
+
+  throw new TenantIsolationError('Tenant', source);
+}
+
+/**
+ * Resolve the tenant from the host and tenant API key. Runs before
+ * authentication; `authenticate` then checks the token against it.
+ */
+function tenantContext() {
+  return async (req, res, next) => {
+    try {
+      const context = {
+        tenantId: null,
+        source: TENANT_SOURCE.PLATFORM,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+      };
+
+      const domainTenantId = await multiTenancyService.resolveTenantByDomain(req.hostname);
+      if (domainTenantId) {
+        context.tenantId = domainTenantId;
+        context.source = TENANT_SOURCE.DOMAIN;
+      }
+
+      const apiKey = req.headers['x-api-key'];
+      if (apiKey && apiKey.startsWith(TENANT_API_KEY_PREFIX)) {
+        const tenant = await multiTenancyService.validateApiKey(apiKey);
+
+        if (!tenant) {
+          throw new UnauthorizedError('Invalid tenant API key');
+        }
+        if (domainTenantId && tenant.id !== domainTenantId) {
+          await denyTenantMismatch(context, tenant.id, TENANT_SOURCE.API_KEY);
+        }
+
+        context.tenantId = tenant.id;
+        context.source = TENANT_SOURCE.API_KEY;
+      }
+
+      req.tenantId = context.tenantId;
+      asyncLocalStorage.run(context, next);
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Bind the tenant a verified credential belongs to. On the platform host the
+ * credential decides the tenant; on a tenant's domain or API key it must match.
+ * @param {Object} req - Express request
+ * @param {string|null} tenantId - Tenant the credential was issued for
+ * @param {string} source - TENANT_SOURCE of the credential
+ * @param {Object} extra - Context to record (userId)
+ */
+async function bindTenant(req, tenantId, source, extra = {}) {
+  const context = getTenantContext();
+  if (!context || context.bypass) return;
+
+  Object.assign(context, extra);
+
+  if (context.source === TENANT_SOURCE.PLATFORM) {
+    context.tenantId = tenantId;
+    context.source = tenantId ? source : TENANT_SOURCE.PLATFORM;
+  } else if (tenantId !== context.tenantId) {
+    await denyTenantMismatch(context, tenantId, source);
+  }
+
+  req.tenantId = context.tenantId;
+}
+
+/**
+ * Bind a verified access token to the request's tenant context. Tokens carry
+ * the tenant they were issued for (no claim = main marketplace); a token used
+ * against another tenant's domain or API key is refused and audited.
+ * @param {Object} req - Express request
+ * @param {Object} decoded - Verified JWT payload
+ * @param {Object} user - Authenticated user
+ */
+async function bindTokenTenant(req, decoded, user) {
+  await bindTenant(req, decoded.tenantId || null, TENANT_SOURCE.TOKEN, { userId: user.id });
+
+  // Members deprovisioned by the tenant's IdP (SCIM active=false) lose access at once
+  if (req.tenantId) {
+    const membership = await prisma.tenantMember.findUnique({
+      where: { tenantId_userId: { tenantId: req.tenantId, userId: user.id } },
+      select: { active: true },
+    });
+
+    if (membership && !membership.active) {
+      throw new UnauthorizedError('Tenant membership is deactivated');
+    }
+  }
+}
+
+module.exports = {
+  tenantContext,
+  bindTenant,
+  bindTokenTenant,
+};
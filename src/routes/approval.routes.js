@@ -28,9 +28,9 @@ router.get(
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
     query('type').optional().isIn([
-      'ORDER', 'PURCHASE_ORDER', 'QUOTATION', 'CONTRACT',
+      'ORDER', 'PURCHASE_ORDER', 'PURCHASE_REQUISITION', 'QUOTATION', 'CONTRACT',
       'PAYMENT', 'REFUND', 'CREDIT_REQUEST', 'VENDOR_ONBOARD',
-      'PRICE_CHANGE', 'DISCOUNT',
+      'PRICE_CHANGE', 'DISCOUNT', 'INVENTORY_ADJUSTMENT',
     ]),
     query('priority').optional().isIn(['LOW', 'NORMAL', 'HIGH', 'URGENT']),
   ],
@@ -100,9 +100,9 @@ router.post(
   [
     body('type')
       .isIn([
-        'ORDER', 'PURCHASE_ORDER', 'QUOTATION', 'CONTRACT',
+        'ORDER', 'PURCHASE_ORDER', 'PURCHASE_REQUISITION', 'QUOTATION', 'CONTRACT',
         'PAYMENT', 'REFUND', 'CREDIT_REQUEST', 'VENDOR_ONBOARD',
-        'PRICE_CHANGE', 'DISCOUNT',
+        'PRICE_CHANGE', 'DISCOUNT', 'INVENTORY_ADJUSTMENT',
       ])
       .withMessage('Valid approval type is required'),
     body('referenceId').notEmpty().withMessage('Reference ID is required'),
@@ -115,9 +115,11 @@ router.post(
     body('amount').optional().isFloat({ min: 0 }),
     body('priority').optional().isIn(['LOW', 'NORMAL', 'HIGH', 'URGENT']),
     body('approvers')
+      .optional()
       .isArray({ min: 1 })
-      .withMessage('At least one approver is required'),
+      .withMessage('Approvers must be a non-empty list; omit to derive the chain from approval policies'),
     body('approvers.*').notEmpty().withMessage('Approver ID cannot be empty'),
+    body('context').optional().isObject(),
     body('dueDate').optional().isISO8601(),
   ],
   validate,
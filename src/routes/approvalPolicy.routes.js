@@ -0,0 +1,62 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - APPROVAL POLICY ROUTES
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const approvalPolicyController = require('../controllers/approvalPolicy.controller');
+const { authenticate, requireBusiness, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { approvalPolicies } = require('../validators/schemas');
+
+const canManagePolicies = requirePermission('manageApprovalPolicies');
+
+router.use(authenticate, requireBusiness);
+
+// =============================================================================
+// DELEGATIONS (any member, for their own approvals)
+// =============================================================================
+
+router.get('/delegations', approvalPolicyController.listDelegations);
+
+router.post(
+  '/delegations',
+  validate(approvalPolicies.delegation),
+  approvalPolicyController.createDelegation,
+);
+
+router.delete('/delegations/:delegationId', approvalPolicyController.revokeDelegation);
+
+// =============================================================================
+// POLICIES (business admins)
+// =============================================================================
+
+// Preview the chain a request would get
+router.post(
+  '/dry-run',
+  canManagePolicies,
+  validate(approvalPolicies.dryRun),
+  approvalPolicyController.dryRun,
+);
+
+router.get('/', canManagePolicies, approvalPolicyController.listPolicies);
+
+router.post(
+  '/',
+  canManagePolicies,
+  validate(approvalPolicies.create),
+  approvalPolicyController.createPolicy,
+);
+
+router.get('/:policyId', canManagePolicies, approvalPolicyController.getPolicy);
+
+router.put(
+  '/:policyId',
+  canManagePolicies,
+  validate(approvalPolicies.update),
+  approvalPolicyController.updatePolicy,
+);
+
+router.delete('/:policyId', canManagePolicies, approvalPolicyController.deletePolicy);
+
+module.exports = router;
@@ -25,6 +25,8 @@ const createBlanketOrderValidation = [
   body('releaseFrequency').isIn(['WEEKLY', 'BIWEEKLY', 'MONTHLY', 'QUARTERLY', 'CUSTOM'])
     .withMessage('Invalid release frequency'),
   body('deliveryAddress').isObject().withMessage('Delivery address required'),
+  body('costCenter').optional().isString(),
+  body('budgetCode').optional().isString(),
 ];
 
 const updateBlanketOrderValidation = [
@@ -0,0 +1,62 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - BUDGET ROUTES
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const budgetController = require('../controllers/budget.controller');
+const { authenticate, requireBusiness, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { budgets } = require('../validators/schemas');
+
+const canManageBudgets = requirePermission('manageBudgets');
+
+router.use(authenticate, requireBusiness);
+
+// =============================================================================
+// REPORTS & CHECKS
+// =============================================================================
+
+router.get('/reports/budget-vs-actual', budgetController.getBudgetVsActual);
+
+router.post('/check', validate(budgets.check), budgetController.checkAvailability);
+
+router.post(
+  '/transfers',
+  canManageBudgets,
+  validate(budgets.transfer),
+  budgetController.transferBudget,
+);
+
+// =============================================================================
+// BUDGETS
+// =============================================================================
+
+router.get('/', budgetController.listBudgets);
+
+router.post(
+  '/',
+  canManageBudgets,
+  validate(budgets.create),
+  budgetController.createBudget,
+);
+
+router.get('/:budgetId', budgetController.getBudget);
+
+router.patch(
+  '/:budgetId',
+  canManageBudgets,
+  validate(budgets.update),
+  budgetController.updateBudget,
+);
+
+router.post(
+  '/:budgetId/revisions',
+  canManageBudgets,
+  validate(budgets.revise),
+  budgetController.reviseBudget,
+);
+
+router.get('/:budgetId/movements', budgetController.getMovements);
+
+module.exports = router;
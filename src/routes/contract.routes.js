@@ -5,15 +5,47 @@
 
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const { body, param, query } = require('express-validator');
 
 const contractController = require('../controllers/contract.controller');
 const { authenticate } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
 
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB
+});
+
+/**
+ * @route   POST /api/v1/contracts/verify
+ * @desc    Check a contract PDF (field "document") or its SHA-256 against signed versions
+ * @access  Public
+ */
+router.post(
+  '/verify',
+  upload.single('document'),
+  [body('sha256').optional().matches(/^[a-fA-F0-9]{64}$/).withMessage('Invalid SHA-256 hash')],
+  validate,
+  contractController.verifyDocument,
+);
+
 // All routes require authentication
 router.use(authenticate);
 
+// Line-item price agreements
+const priceItemValidation = [
+  body('priceItems').optional().isArray({ max: 500 }),
+  body('priceItems.*.productId').notEmpty().withMessage('Product ID is required'),
+  body('priceItems.*.variantId').optional().notEmpty(),
+  body('priceItems.*.unitPrice').isFloat({ min: 0 }).withMessage('Valid unit price required'),
+  body('priceItems.*.minQuantity').optional().isInt({ min: 1 }),
+  body('priceItems.*.committedQuantity').optional().isInt({ min: 1 }),
+  body('priceItems.*.alertThreshold').optional().isInt({ min: 1, max: 99 }),
+  body('priceItems.*.validFrom').optional().isISO8601(),
+  body('priceItems.*.validTo').optional().isISO8601(),
+];
+
 // =============================================================================
 // READ OPERATIONS
 // =============================================================================
@@ -47,6 +79,37 @@ router.get(
  */
 router.get('/stats', contractController.getContractStats);
 
+/**
+ * @route   GET /api/v1/contracts/maverick-spend
+ * @desc    Get off-contract purchases
+ */
+router.get(
+  '/maverick-spend',
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('acknowledged').optional().isBoolean(),
+  ],
+  validate,
+  contractController.getMaverickSpend,
+);
+
+/**
+ * @route   POST /api/v1/contracts/maverick-spend/:maverickSpendId/acknowledge
+ * @desc    Acknowledge an off-contract purchase
+ */
+router.post(
+  '/maverick-spend/:maverickSpendId/acknowledge',
+  [
+    param('maverickSpendId').notEmpty().withMessage('Maverick spend ID is required'),
+    body('justification').notEmpty().withMessage('Justification is required').isLength({ max: 1000 }),
+  ],
+  validate,
+  contractController.acknowledgeMaverickSpend,
+);
+
 /**
  * @route   GET /api/v1/contracts/:contractId
  * @desc    Get contract by ID
@@ -58,6 +121,17 @@ router.get(
   contractController.getContractById
 );
 
+/**
+ * @route   GET /api/v1/contracts/:contractId/consumption
+ * @desc    Get consumption of volume and value commitments
+ */
+router.get(
+  '/:contractId/consumption',
+  [param('contractId').notEmpty().withMessage('Contract ID is required')],
+  validate,
+  contractController.getConsumption,
+);
+
 // =============================================================================
 // CREATE OPERATIONS
 // =============================================================================
@@ -89,6 +163,7 @@ router.post(
     body('totalValue').optional().isFloat({ min: 0 }),
     body('minOrderValue').optional().isFloat({ min: 0 }),
     body('maxOrderValue').optional().isFloat({ min: 0 }),
+    ...priceItemValidation,
   ],
   validate,
   contractController.createContract
@@ -108,6 +183,7 @@ router.patch(
     param('contractId').notEmpty().withMessage('Contract ID is required'),
     body('title').optional().isLength({ max: 200 }),
     body('description').optional().isLength({ max: 2000 }),
+    ...priceItemValidation,
   ],
   validate,
   contractController.updateContract
@@ -151,11 +227,71 @@ router.post(
  */
 router.post(
   '/:contractId/sign',
-  [param('contractId').notEmpty().withMessage('Contract ID is required')],
+  [
+    param('contractId').notEmpty().withMessage('Contract ID is required'),
+    body('otp').matches(/^\d{6}$/).withMessage('A 6-digit OTP is required'),
+  ],
   validate,
   contractController.signContract
 );
 
+/**
+ * @route   POST /api/v1/contracts/:contractId/signature-otp
+ * @desc    Send OTP to sign the version awaiting signature
+ */
+router.post(
+  '/:contractId/signature-otp',
+  [
+    param('contractId').notEmpty().withMessage('Contract ID is required'),
+    body('method').optional().isIn(['SMS', 'EMAIL']).withMessage('Method must be SMS or EMAIL'),
+  ],
+  validate,
+  contractController.requestSignatureOtp,
+);
+
+/**
+ * @route   POST /api/v1/contracts/:contractId/amendments
+ * @desc    Propose an amendment (new version for signature)
+ */
+router.post(
+  '/:contractId/amendments',
+  [
+    param('contractId').notEmpty().withMessage('Contract ID is required'),
+    body('changeSummary').notEmpty().withMessage('Change summary is required').isLength({ max: 1000 }),
+    body('startDate').optional().isISO8601(),
+    body('endDate').optional().isISO8601(),
+    body('totalValue').optional().isFloat({ min: 0 }),
+    ...priceItemValidation,
+  ],
+  validate,
+  contractController.amendContract,
+);
+
+/**
+ * @route   GET /api/v1/contracts/:contractId/versions
+ * @desc    List contract versions
+ */
+router.get(
+  '/:contractId/versions',
+  [param('contractId').notEmpty().withMessage('Contract ID is required')],
+  validate,
+  contractController.getVersions,
+);
+
+/**
+ * @route   GET /api/v1/contracts/:contractId/versions/:version
+ * @desc    Get a version with redline and signature evidence
+ */
+router.get(
+  '/:contractId/versions/:version',
+  [
+    param('contractId').notEmpty().withMessage('Contract ID is required'),
+    param('version').isInt({ min: 1 }).withMessage('Valid version number required'),
+  ],
+  validate,
+  contractController.getVersion,
+);
+
 /**
  * @route   POST /api/v1/contracts/:contractId/terminate
  * @desc    Terminate contract
@@ -0,0 +1,62 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - CREDIT / DEBIT NOTE ROUTES
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const creditNoteController = require('../controllers/creditNote.controller');
+const { authenticate, requireBusiness } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { creditNotes } = require('../validators/schemas');
+
+// =============================================================================
+// COMMON ROUTES
+// =============================================================================
+
+// Get note reason codes
+router.get('/reasons', creditNoteController.getReasons);
+
+router.use(authenticate, requireBusiness);
+
+// =============================================================================
+// SELLER ROUTES
+// =============================================================================
+
+// Issue credit / debit note
+router.post(
+  '/',
+  validate(creditNotes.create),
+  creditNoteController.create,
+);
+
+// Get notes issued (as seller)
+router.get('/issued', creditNoteController.getIssued);
+
+// =============================================================================
+// BUYER ROUTES
+// =============================================================================
+
+// Get notes received (as buyer)
+router.get('/received', creditNoteController.getReceived);
+
+// =============================================================================
+// NOTE ROUTES
+// =============================================================================
+
+// Get note by ID
+router.get('/:noteId', creditNoteController.getById);
+
+// Download note PDF
+router.get('/:noteId/pdf', creditNoteController.downloadPDF);
+
+// Generate IRN (document type CRN / DBN)
+router.post('/:noteId/e-invoice', creditNoteController.generateIRN);
+
+// Cancel note
+router.post(
+  '/:noteId/cancel',
+  validate(creditNotes.cancel),
+  creditNoteController.cancel,
+);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - CYCLE COUNT ROUTES
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const cycleCountController = require('../controllers/cycleCount.controller');
+const { authenticate, requireBusiness } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { cycleCounts } = require('../validators/schemas');
+
+router.use(authenticate, requireBusiness);
+
+// Reports
+router.get(
+  '/reports/accuracy',
+  validate(cycleCounts.accuracyReport, 'query'),
+  cycleCountController.getAccuracyReport,
+);
+
+// Plans
+router.post('/warehouses/:warehouseId/plan', validate(cycleCounts.plan), cycleCountController.createPlan);
+
+router.get('/plans/:planId', cycleCountController.getPlan);
+
+router.patch('/plans/:planId', validate(cycleCounts.updatePlan), cycleCountController.updatePlan);
+
+router.post('/plans/:planId/classify', cycleCountController.classifyPlan);
+
+router.post('/plans/:planId/generate', validate(cycleCounts.generate), cycleCountController.generateDueCounts);
+
+// Count sheets
+router.post('/warehouses/:warehouseId/sheets', validate(cycleCounts.sheets), cycleCountController.createCountSheets);
+
+router.get('/', validate(cycleCounts.list, 'query'), cycleCountController.listCounts);
+
+router.get('/:countId', cycleCountController.getCountSheet);
+
+router.post('/:countId/entries', validate(cycleCounts.record), cycleCountController.recordCounts);
+
+router.post('/:countId/submit', cycleCountController.submitCount);
+
+router.post('/:countId/cancel', cycleCountController.cancelCount);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - DEMAND PLANNING ROUTES
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const demandPlanningController = require('../controllers/demandPlanning.controller');
+const { authenticate, requireBusiness } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { demandPlanning } = require('../validators/schemas');
+
+router.use(authenticate, requireBusiness);
+
+// Reports
+router.get(
+  '/reports/accuracy',
+  validate(demandPlanning.accuracyReport, 'query'),
+  demandPlanningController.getAccuracyReport,
+);
+
+// Policy & forecasts
+router.get('/policy', demandPlanningController.getPolicy);
+
+router.put('/policy', validate(demandPlanning.policy), demandPlanningController.updatePolicy);
+
+router.post('/runs', demandPlanningController.runReplenishment);
+
+router.get('/warehouses/:warehouseId/variants/:variantId/forecast', demandPlanningController.getSkuForecast);
+
+// Suggestions
+router.get(
+  '/suggestions',
+  validate(demandPlanning.listSuggestions, 'query'),
+  demandPlanningController.listSuggestions,
+);
+
+router.post(
+  '/suggestions/requisitions',
+  validate(demandPlanning.toRequisition),
+  demandPlanningController.convertToRequisition,
+);
+
+router.post('/suggestions/transfers', validate(demandPlanning.toTransfer), demandPlanningController.convertToTransfer);
+
+router.post(
+  '/suggestions/:suggestionId/dismiss',
+  validate(demandPlanning.dismiss),
+  demandPlanningController.dismissSuggestion,
+);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - EDI ROUTES
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const ediController = require('../controllers/edi.controller');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { edi } = require('../validators/schemas');
+
+const ediBody = express.text({ type: ['application/edi-x12', 'application/edifact', 'text/plain'], limit: '10mb' });
+
+router.use(authenticate, adminOnly);
+
+// =============================================================================
+// TRADING PARTNERS
+// =============================================================================
+
+router.get('/partners', ediController.listPartners);
+
+router.post('/partners', validate(edi.createPartner), ediController.createPartner);
+
+router.get('/partners/:partnerId', ediController.getPartner);
+
+router.patch('/partners/:partnerId', validate(edi.updatePartner), ediController.updatePartner);
+
+// =============================================================================
+// DOCUMENTS
+// =============================================================================
+
+router.post('/inbound', ediBody, ediController.receiveInbound);
+
+router.post('/inbound/poll', ediController.pollInbound);
+
+router.get('/documents', ediController.listDocuments);
+
+router.get('/documents/:documentId', ediController.getDocument);
+
+module.exports = router;
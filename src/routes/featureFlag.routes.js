@@ -0,0 +1,106 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - FEATURE FLAG ROUTES
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const featureFlagController = require('../controllers/featureFlag.controller');
+const { authenticate, optionalAuth, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { featureFlags } = require('../validators/schemas');
+
+const isPlatformAdmin = [authenticate, authorize('ADMIN', 'SUPER_ADMIN')];
+
+// =============================================================================
+// EVALUATION (clients)
+// =============================================================================
+
+router.post(
+  '/evaluate',
+  optionalAuth,
+  validate(featureFlags.evaluate),
+  featureFlagController.evaluate,
+);
+
+router.post(
+  '/experiments/:name/conversions',
+  authenticate,
+  validate(featureFlags.conversion),
+  featureFlagController.trackConversion,
+);
+
+// =============================================================================
+// EXPERIMENTS (platform admins)
+// =============================================================================
+
+router.get('/experiments', isPlatformAdmin, featureFlagController.listExperiments);
+
+router.post(
+  '/experiments',
+  isPlatformAdmin,
+  validate(featureFlags.createExperiment),
+  featureFlagController.createExperiment,
+);
+
+router.get('/experiments/:name', isPlatformAdmin, featureFlagController.getExperiment);
+router.get('/experiments/:name/results', isPlatformAdmin, featureFlagController.getExperimentResults);
+router.post('/experiments/:name/start', isPlatformAdmin, featureFlagController.startExperiment);
+
+router.post(
+  '/experiments/:name/stop',
+  isPlatformAdmin,
+  validate(featureFlags.stopExperiment),
+  featureFlagController.stopExperiment,
+);
+
+// =============================================================================
+// FLAGS (platform admins)
+// =============================================================================
+
+router.get('/', isPlatformAdmin, featureFlagController.listFlags);
+
+router.post(
+  '/',
+  isPlatformAdmin,
+  validate(featureFlags.create),
+  featureFlagController.createFlag,
+);
+
+router.get('/:name', isPlatformAdmin, featureFlagController.getFlag);
+
+router.patch(
+  '/:name',
+  isPlatformAdmin,
+  validate(featureFlags.update),
+  featureFlagController.updateFlag,
+);
+
+router.delete('/:name', isPlatformAdmin, featureFlagController.deleteFlag);
+
+router.post(
+  '/:name/kill',
+  isPlatformAdmin,
+  validate(featureFlags.kill),
+  featureFlagController.killFlag,
+);
+
+router.post(
+  '/:name/restore',
+  isPlatformAdmin,
+  validate(featureFlags.restore),
+  featureFlagController.restoreFlag,
+);
+
+router.get('/:name/history', isPlatformAdmin, featureFlagController.getHistory);
+router.get('/:name/schedules', isPlatformAdmin, featureFlagController.listSchedules);
+
+router.post(
+  '/:name/schedules',
+  isPlatformAdmin,
+  validate(featureFlags.schedule),
+  featureFlagController.scheduleChange,
+);
+
+router.delete('/:name/schedules/:scheduleId', isPlatformAdmin, featureFlagController.cancelSchedule);
+
+module.exports = router;
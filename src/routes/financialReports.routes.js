@@ -324,6 +324,29 @@ router.post(
   financialReportsController.verifyAuditIntegrity
 );
 
+/**
+ * @route   POST /api/v1/reports/financial/audit/chain/verify
+ * @desc    Verify the full audit hash chain and signed checkpoints
+ */
+router.post(
+  '/audit/chain/verify',
+  authorize('SUPER_ADMIN'),
+  financialReportsController.verifyAuditChain,
+);
+
+/**
+ * @route   GET /api/v1/reports/financial/audit/:auditLogId/proof
+ * @desc    Get offline-verifiable inclusion proof for an audit entry
+ */
+router.get(
+  '/audit/:auditLogId/proof',
+  authorize('ADMIN', 'SUPER_ADMIN'),
+  financialReadLimiter,
+  [param('auditLogId').isString().notEmpty()],
+  validate,
+  financialReportsController.getAuditProof,
+);
+
 // =============================================================================
 // EXPORT ROUTES
 // =============================================================================
@@ -362,6 +385,64 @@ router.post(
   financialReportsController.exportToPDF
 );
 
+// =============================================================================
+// GST RETURNS
+// =============================================================================
+
+const gstPeriodValidators = [
+  query('month').isInt({ min: 1, max: 12 }).withMessage('Month must be 1-12'),
+  query('year').isInt({ min: 2017, max: 2100 }).withMessage('Invalid year'),
+  query('businessId').optional().isString(),
+];
+
+/**
+ * @route   GET /api/v1/reports/financial/gst/gstr1
+ * @desc    Download GSTR-1 JSON
+ */
+router.get(
+  '/gst/gstr1',
+  financialReadLimiter,
+  gstPeriodValidators,
+  validate,
+  financialReportsController.downloadGSTR1,
+);
+
+/**
+ * @route   GET /api/v1/reports/financial/gst/gstr1/validation
+ * @desc    Get GSTR-1 validation report
+ */
+router.get(
+  '/gst/gstr1/validation',
+  financialReadLimiter,
+  gstPeriodValidators,
+  validate,
+  financialReportsController.getGSTR1Validation,
+);
+
+/**
+ * @route   GET /api/v1/reports/financial/gst/gstr3b
+ * @desc    Get GSTR-3B computation
+ */
+router.get(
+  '/gst/gstr3b',
+  financialReadLimiter,
+  gstPeriodValidators,
+  validate,
+  financialReportsController.getGSTR3B,
+);
+
+/**
+ * @route   GET /api/v1/reports/financial/gst/gstr3b/download
+ * @desc    Download GSTR-3B JSON
+ */
+router.get(
+  '/gst/gstr3b/download',
+  financialReadLimiter,
+  gstPeriodValidators,
+  validate,
+  financialReportsController.downloadGSTR3B,
+);
+
 // =============================================================================
 // COMPARATIVE ANALYSIS
 // =============================================================================
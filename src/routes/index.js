@@ -13,6 +13,7 @@ const productRoutes = require('./product.routes');
 const categoryRoutes = require('./category.routes');
 const cartRoutes = require('./cart.routes');
 const orderRoutes = require('./order.routes');
+const returnRoutes = require('./return.routes');
 const rfqRoutes = require('./rfq.routes');
 const chatRoutes = require('./chat.routes');
 const paymentRoutes = require('./payment.routes');
@@ -47,6 +48,22 @@ const walletRoutes = require('./wallet.routes');
 const creditLineRoutes = require('./creditLine.routes');
 const eInvoiceRoutes = require('./eInvoice.routes');
 const eWayBillRoutes = require('./eWayBill.routes');
+const creditNoteRoutes = require('./creditNote.routes');
+const taxWithholdingRoutes = require('./taxWithholding.routes');
+const ledgerRoutes = require('./ledger.routes');
+const approvalPolicyRoutes = require('./approvalPolicy.routes');
+const budgetRoutes = require('./budget.routes');
+const punchoutRoutes = require('./punchout.routes');
+const ediRoutes = require('./edi.routes');
+const webhookSubscriptionRoutes = require('./webhookSubscription.routes');
+const ssoRoutes = require('./sso.routes');
+const scimRoutes = require('./scim.routes');
+const featureFlagRoutes = require('./featureFlag.routes');
+const inventoryLotRoutes = require('./inventoryLot.routes');
+const warehouseOpsRoutes = require('./warehouseOps.routes');
+const cycleCountRoutes = require('./cycleCount.routes');
+const inventoryTransferRoutes = require('./inventoryTransfer.routes');
+const demandPlanningRoutes = require('./demandPlanning.routes');
 const bulkUploadRoutes = require('./bulkUpload.routes');
 const analyticsRoutes = require('./analytics.routes');
 const flashDealRoutes = require('./flashDeal.routes');
@@ -86,6 +103,7 @@ router.get('/', (req, res) => {
       categories: '/api/v1/categories',
       cart: '/api/v1/cart',
       orders: '/api/v1/orders',
+      returns: '/api/v1/returns',
       rfq: '/api/v1/rfq',
       chat: '/api/v1/chat',
       payments: '/api/v1/payments',
@@ -115,6 +133,22 @@ router.get('/', (req, res) => {
       creditLine: '/api/v1/credit-line',
       eInvoice: '/api/v1/e-invoice',
       eWayBill: '/api/v1/e-way-bill',
+      creditNotes: '/api/v1/credit-notes',
+      taxWithholding: '/api/v1/tax-withholding',
+      ledger: '/api/v1/ledger',
+      approvalPolicies: '/api/v1/approval-policies',
+      budgets: '/api/v1/budgets',
+      punchout: '/api/v1/punchout',
+      edi: '/api/v1/edi',
+      webhookSubscriptions: '/api/v1/integrations/webhooks',
+      sso: '/api/v1/sso',
+      scim: '/api/v1/scim/v2',
+      featureFlags: '/api/v1/feature-flags',
+      inventoryLots: '/api/v1/inventory-lots',
+      warehouseOps: '/api/v1/warehouse-ops',
+      cycleCounts: '/api/v1/cycle-counts',
+      inventoryTransfers: '/api/v1/inventory-transfers',
+      demandPlanning: '/api/v1/demand-planning',
       bulkUpload: '/api/v1/bulk-upload',
       analytics: '/api/v1/analytics',
       flashDeals: '/api/v1/flash-deals',
@@ -174,6 +208,7 @@ router.use('/categories', categoryRoutes);
 // Shopping & Orders
 router.use('/cart', cartRoutes);
 router.use('/orders', orderRoutes);
+router.use('/returns', returnRoutes);
 
 // RFQ (Request for Quotation)
 router.use('/rfq', rfqRoutes);
@@ -254,6 +289,22 @@ router.use('/credit-line', creditLineRoutes);
 // E-Invoice & E-Way Bill
 router.use('/e-invoice', eInvoiceRoutes);
 router.use('/e-way-bill', eWayBillRoutes);
+router.use('/credit-notes', creditNoteRoutes);
+router.use('/tax-withholding', taxWithholdingRoutes);
+router.use('/ledger', ledgerRoutes);
+router.use('/approval-policies', approvalPolicyRoutes);
+router.use('/budgets', budgetRoutes);
+router.use('/punchout', punchoutRoutes);
+router.use('/edi', ediRoutes);
+router.use('/integrations/webhooks', webhookSubscriptionRoutes);
+router.use('/sso', ssoRoutes);
+router.use('/scim/v2', scimRoutes);
+router.use('/feature-flags', featureFlagRoutes);
+router.use('/inventory-lots', inventoryLotRoutes);
+router.use('/warehouse-ops', warehouseOpsRoutes);
+router.use('/cycle-counts', cycleCountRoutes);
+router.use('/inventory-transfers', inventoryTransferRoutes);
+router.use('/demand-planning', demandPlanningRoutes);
 
 // Bulk Upload
 router.use('/bulk-upload', bulkUploadRoutes);
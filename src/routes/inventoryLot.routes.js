@@ -0,0 +1,26 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - INVENTORY LOT ROUTES
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const inventoryLotController = require('../controllers/inventoryLot.controller');
+const { authenticate, requireBusiness } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { inventoryLots } = require('../validators/schemas');
+
+router.use(authenticate, requireBusiness);
+
+router.get('/', validate(inventoryLots.list, 'query'), inventoryLotController.listLots);
+
+router.post('/receipts', validate(inventoryLots.receive), inventoryLotController.receiveLot);
+
+router.get('/trace', validate(inventoryLots.trace, 'query'), inventoryLotController.traceLot);
+
+router.post('/recalls', validate(inventoryLots.recall), inventoryLotController.recallLot);
+
+router.post('/:lotId/quarantine', validate(inventoryLots.hold), inventoryLotController.quarantineLot);
+
+router.post('/:lotId/release', validate(inventoryLots.release), inventoryLotController.releaseLot);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - INVENTORY TRANSFER ROUTES
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const inventoryTransferController = require('../controllers/inventoryTransfer.controller');
+const { authenticate, requireBusiness } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { inventoryTransfers } = require('../validators/schemas');
+
+router.use(authenticate, requireBusiness);
+
+// Reports
+router.get(
+  '/reports/in-transit',
+  validate(inventoryTransfers.inTransitReport, 'query'),
+  inventoryTransferController.getInTransitReport,
+);
+
+router.get(
+  '/reports/discrepancies',
+  validate(inventoryTransfers.discrepancyReport, 'query'),
+  inventoryTransferController.getDiscrepancyReport,
+);
+
+// Transfers
+router.post('/', validate(inventoryTransfers.create), inventoryTransferController.createTransfer);
+
+router.get('/', validate(inventoryTransfers.list, 'query'), inventoryTransferController.getTransfers);
+
+router.get('/:transferId', inventoryTransferController.getTransfer);
+
+router.post('/:transferId/approve', inventoryTransferController.approveTransfer);
+
+router.post('/:transferId/dispatch', validate(inventoryTransfers.dispatch), inventoryTransferController.dispatchTransfer);
+
+router.post('/:transferId/receipts', validate(inventoryTransfers.receive), inventoryTransferController.receiveTransfer);
+
+router.post('/:transferId/cancel', validate(inventoryTransfers.cancel), inventoryTransferController.cancelTransfer);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - GENERAL LEDGER ROUTES
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const ledgerController = require('../controllers/ledger.controller');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { ledger } = require('../validators/schemas');
+
+router.use(authenticate, adminOnly);
+
+// =============================================================================
+// ACCOUNTS
+// =============================================================================
+
+// Chart of accounts with balances
+router.get('/accounts', ledgerController.getAccounts);
+
+// Account statement with running balance
+router.get('/accounts/:code/statement', ledgerController.getAccountStatement);
+
+// Trial balance
+router.get('/trial-balance', ledgerController.getTrialBalance);
+
+// =============================================================================
+// JOURNALS
+// =============================================================================
+
+// Get journal with postings
+router.get('/journals/:journalId', ledgerController.getJournal);
+
+// Reverse journal
+router.post(
+  '/journals/:journalId/reverse',
+  validate(ledger.reverse),
+  ledgerController.reverseJournal,
+);
+
+module.exports = router;
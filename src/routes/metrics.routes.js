@@ -11,6 +11,7 @@ const { healthCheck } = require('../services/healthCheck.service');
 const { errorTracking } = require('../services/errorTracking.service');
 const { jobQueue, QUEUES } = require('../services/jobQueue.service');
 const cacheManager = require('../services/cacheManager.service');
+const featureFlagService = require('../services/featureFlag.service');
 const dbOptimizer = require('../utils/dbOptimizer');
 const logger = require('../config/logger');
 
@@ -510,26 +511,27 @@ router.patch('/feature-flags/:flagId', async (req, res) => {
     const { enabled, rolloutPercentage } = req.body;
     const { prisma } = require('../config/database');
 
-    const flag = await prisma.featureFlag.update({
-      where: { id: flagId },
-      data: {
-        enabled: enabled !== undefined ? enabled : undefined,
-        rolloutPercentage: rolloutPercentage !== undefined ? rolloutPercentage : undefined,
-        updatedAt: new Date(),
-      },
-    });
+    const existing = await prisma.featureFlag.findUnique({ where: { id: flagId } });
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Feature flag not found',
+      });
+    }
 
-    // Clear feature flag cache
-    await cacheManager.deletePattern('feature-flag:*');
+    // Through the service so the change is versioned, audited and uncached
+    const flag = await featureFlagService.setFlag(existing.name, { enabled, rolloutPercentage }, {
+      actorId: req.user.id,
+    });
 
     res.json({
       success: true,
       data: flag,
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to update feature flag',
+      error: error.statusCode ? error.message : 'Failed to update feature flag',
     });
   }
 });
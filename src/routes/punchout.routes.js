@@ -0,0 +1,55 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - PUNCHOUT ROUTES
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const punchoutController = require('../controllers/punchout.controller');
+const { authenticate, requireBusiness, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { punchout } = require('../validators/schemas');
+
+const xmlBody = express.text({ type: ['text/xml', 'application/xml'], limit: '5mb' });
+const canManagePunchout = requirePermission('managePunchout');
+
+// =============================================================================
+// PROCUREMENT SYSTEM (authenticated by punchout credentials, not JWT)
+// =============================================================================
+
+router.post('/cxml/setup', xmlBody, punchoutController.cxmlSetup);
+
+router.post('/cxml/order', xmlBody, punchoutController.cxmlOrder);
+
+router.get('/oci/setup', punchoutController.ociSetup);
+router.post('/oci/setup', punchoutController.ociSetup);
+
+router.get('/start/:token', punchoutController.start);
+
+// =============================================================================
+// PUNCHOUT SHOPPER
+// =============================================================================
+
+router.post('/checkout', authenticate, punchoutController.checkout);
+
+// =============================================================================
+// ADMINISTRATION
+// =============================================================================
+
+router.use(authenticate, requireBusiness);
+
+router.get('/credentials', punchoutController.listCredentials);
+
+router.post(
+  '/credentials',
+  canManagePunchout,
+  validate(punchout.createCredential),
+  punchoutController.createCredential,
+);
+
+router.delete('/credentials/:credentialId', canManagePunchout, punchoutController.deactivateCredential);
+
+router.get('/sessions', punchoutController.listSessions);
+
+router.get('/sessions/:sessionId', punchoutController.getSession);
+
+module.exports = router;
@@ -0,0 +1,123 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - RETURN (RMA) ROUTES
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const returnController = require('../controllers/return.controller');
+const { authenticate, requireBusiness } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { returns } = require('../validators/schemas');
+
+// =============================================================================
+// COMMON ROUTES
+// =============================================================================
+
+// Get return reason codes
+router.get('/reasons', returnController.getReasons);
+
+// =============================================================================
+// BUYER ROUTES
+// =============================================================================
+
+// Get my returns (as buyer)
+router.get(
+  '/my-returns',
+  authenticate,
+  requireBusiness,
+  returnController.getMyReturns,
+);
+
+// Create return request
+router.post(
+  '/',
+  authenticate,
+  requireBusiness,
+  validate(returns.create),
+  returnController.create,
+);
+
+// =============================================================================
+// SELLER ROUTES
+// =============================================================================
+
+// Get returns (as seller)
+router.get(
+  '/seller/returns',
+  authenticate,
+  requireBusiness,
+  returnController.getSellerReturns,
+);
+
+// =============================================================================
+// RETURN LIFECYCLE
+// =============================================================================
+
+// Get return by ID
+router.get(
+  '/:returnId',
+  authenticate,
+  requireBusiness,
+  returnController.getById,
+);
+
+// Cancel return (buyer)
+router.post(
+  '/:returnId/cancel',
+  authenticate,
+  requireBusiness,
+  returnController.cancel,
+);
+
+// Approve return (seller)
+router.post(
+  '/:returnId/approve',
+  authenticate,
+  requireBusiness,
+  returnController.approve,
+);
+
+// Reject return (seller)
+router.post(
+  '/:returnId/reject',
+  authenticate,
+  requireBusiness,
+  validate(returns.reject),
+  returnController.reject,
+);
+
+// Schedule reverse pickup (seller)
+router.post(
+  '/:returnId/pickup',
+  authenticate,
+  requireBusiness,
+  returnController.schedulePickup,
+);
+
+// Mark goods received (seller)
+router.post(
+  '/:returnId/receive',
+  authenticate,
+  requireBusiness,
+  validate(returns.receive),
+  returnController.receive,
+);
+
+// Record inspection (seller)
+router.post(
+  '/:returnId/inspect',
+  authenticate,
+  requireBusiness,
+  validate(returns.inspect),
+  returnController.inspect,
+);
+
+// Issue prorated refund (seller)
+router.post(
+  '/:returnId/refund',
+  authenticate,
+  requireBusiness,
+  returnController.refund,
+);
+
+module.exports = router;
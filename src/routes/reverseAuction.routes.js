@@ -23,6 +23,14 @@ const createAuctionValidation = [
   body('startDate').isISO8601(),
   body('endDate').isISO8601(),
   body('deliveryDeadline').optional().isISO8601(),
+  body('awardMethod').optional().isIn(['LOWEST_BID', 'WEIGHTED_SCORE', 'MANUAL']),
+  body('bidVisibility').optional().isIn(['OPEN', 'RANK_ONLY', 'SEALED']),
+  body('scoringModel').optional().isObject(),
+  body('evaluatorIds').optional().isArray(),
+  body('lots').optional().isArray({ max: 200 }),
+  body('lots.*.title').notEmpty(),
+  body('lots.*.quantity').isInt({ min: 1 }),
+  body('lots.*.maxUnitPrice').optional().isDecimal(),
 ];
 
 const updateAuctionValidation = [
@@ -40,6 +48,34 @@ const placeBidValidation = [
   body('notes').optional().isString(),
 ];
 
+const lotBidsValidation = [
+  param('id').isUUID(),
+  body('bids').isArray({ min: 1 }),
+  body('bids.*.lotId').isUUID(),
+  body('bids.*.unitPrice').isDecimal(),
+  body('bids.*.quantity').optional().isInt({ min: 1 }),
+  body('bids.*.deliveryDays').optional().isInt({ min: 1 }),
+];
+
+const evaluationValidation = [
+  param('id').isUUID(),
+  body('scores').isArray({ min: 1 }),
+  body('scores.*.lotId').isUUID(),
+  body('scores.*.sellerId').notEmpty(),
+  body('scores.*.score').isFloat({ min: 0, max: 100 }),
+  body('scores.*.comments').optional().isString(),
+];
+
+const awardLotsValidation = [
+  param('id').isUUID(),
+  body('allocations').optional().isArray(),
+  body('allocations.*.lotId').isUUID(),
+  body('allocations.*.bidId').isUUID(),
+  body('allocations.*.quantity').optional().isInt({ min: 1 }),
+  body('allocations.*.sharePercent').optional().isFloat({ gt: 0, max: 100 }),
+  body('notes').optional().isString(),
+];
+
 const inviteValidation = [
   param('id').isUUID(),
   body('sellerIds').isArray({ min: 1 }),
@@ -139,6 +175,32 @@ router.post(
   reverseAuctionController.awardAuction
 );
 
+router.get(
+  '/:id/evaluation',
+  authenticate,
+  authorize('buyer', 'admin'),
+  param('id').isUUID(),
+  validate,
+  reverseAuctionController.evaluateLots,
+);
+
+router.post(
+  '/:id/evaluations',
+  authenticate,
+  evaluationValidation,
+  validate,
+  reverseAuctionController.submitTechnicalScores,
+);
+
+router.post(
+  '/:id/award-lots',
+  authenticate,
+  authorize('buyer', 'admin'),
+  awardLotsValidation,
+  validate,
+  reverseAuctionController.awardLots,
+);
+
 router.post(
   '/:id/invite',
   authenticate,
@@ -184,6 +246,23 @@ router.post(
   reverseAuctionController.placeBid
 );
 
+router.post(
+  '/:id/lot-bids',
+  authenticate,
+  authorize('seller', 'admin'),
+  lotBidsValidation,
+  validate,
+  reverseAuctionController.placeLotBids,
+);
+
+router.get(
+  '/:id/lots',
+  authenticate,
+  param('id').isUUID(),
+  validate,
+  reverseAuctionController.getLotStandings,
+);
+
 router.get(
   '/:id/bids',
   authenticate,
@@ -77,6 +77,54 @@ router.get(
   rfqController.getQuotations
 );
 
+// Compare quotations item-by-item (landed cost, best value per line)
+router.get(
+  '/:rfqId/comparison',
+  authenticate,
+  requireBusiness,
+  rfqController.getComparison,
+);
+
+// Export comparison matrix to Excel
+router.get(
+  '/:rfqId/comparison/export',
+  authenticate,
+  requireBusiness,
+  rfqController.exportComparison,
+);
+
+// Accept best/selected lines across sellers (one order per seller)
+router.post(
+  '/:rfqId/comparison/accept',
+  authenticate,
+  requireBusiness,
+  rfqController.acceptComparisonLines,
+);
+
+// Negotiation threads (all sellers for the buyer, own thread for a seller)
+router.get(
+  '/:rfqId/negotiations',
+  authenticate,
+  requireBusiness,
+  rfqController.getNegotiations,
+);
+
+// Negotiation timeline with diffs
+router.get(
+  '/:rfqId/negotiations/:sellerId',
+  authenticate,
+  requireBusiness,
+  rfqController.getNegotiationTimeline,
+);
+
+// Diff two negotiation versions
+router.get(
+  '/:rfqId/negotiations/:sellerId/diff',
+  authenticate,
+  requireBusiness,
+  rfqController.compareNegotiationVersions,
+);
+
 // Accept quotation
 router.post(
   '/:rfqId/quotations/:quotationId/accept',
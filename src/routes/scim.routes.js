@@ -0,0 +1,54 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - SCIM 2.0 ROUTES
+// Provisioning endpoints for tenant identity providers (bearer SCIM token)
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const scimController = require('../controllers/scim.controller');
+
+router.use(express.json({ type: ['application/scim+json', 'application/json'], limit: '1mb' }));
+
+router.use(scimController.authenticate);
+
+// =============================================================================
+// DISCOVERY
+// =============================================================================
+
+router.get('/ServiceProviderConfig', scimController.getServiceProviderConfig);
+
+// =============================================================================
+// USERS
+// =============================================================================
+
+router.get('/Users', scimController.listUsers);
+
+router.post('/Users', scimController.createUser);
+
+router.get('/Users/:id', scimController.getUser);
+
+router.put('/Users/:id', scimController.replaceUser);
+
+router.patch('/Users/:id', scimController.patchUser);
+
+router.delete('/Users/:id', scimController.deleteUser);
+
+// =============================================================================
+// GROUPS
+// =============================================================================
+
+router.get('/Groups', scimController.listGroups);
+
+router.post('/Groups', scimController.createGroup);
+
+router.get('/Groups/:id', scimController.getGroup);
+
+router.put('/Groups/:id', scimController.replaceGroup);
+
+router.patch('/Groups/:id', scimController.patchGroup);
+
+router.delete('/Groups/:id', scimController.deleteGroup);
+
+router.use(scimController.handleError);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - SSO ROUTES
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const ssoController = require('../controllers/sso.controller');
+const { authenticate, requireTenantAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { TenantIsolationError } = require('../utils/errors');
+const { sso } = require('../validators/schemas');
+
+const canManageSso = [authenticate, requireTenantAdmin()];
+
+// A tenant's custom domain only serves its own SSO endpoints
+router.param('tenantId', (req, res, next, tenantId) => {
+  if (req.tenantId && req.tenantId !== tenantId) {
+    return next(new TenantIsolationError('SsoConfiguration', 'sso'));
+  }
+  next();
+});
+
+// =============================================================================
+// LOGIN FLOW (browser / identity provider)
+// =============================================================================
+
+router.post('/token', validate(sso.exchange), ssoController.exchange);
+
+router.get('/:tenantId/metadata', ssoController.getMetadata);
+
+router.get('/:tenantId/login', ssoController.login);
+
+router.get('/:tenantId/callback', ssoController.callback);
+router.post('/:tenantId/callback', ssoController.callback);
+
+// =============================================================================
+// TENANT ADMINISTRATION
+// =============================================================================
+
+router.get('/:tenantId/config', canManageSso, ssoController.getConfig);
+
+router.put('/:tenantId/config', canManageSso, validate(sso.configure), ssoController.configure);
+
+router.delete('/:tenantId/config', canManageSso, ssoController.disable);
+
+router.get('/:tenantId/domains', canManageSso, ssoController.getDomains);
+
+router.post('/:tenantId/domains', canManageSso, validate(sso.verifyDomain), ssoController.verifyDomain);
+
+router.post('/:tenantId/domains/:domain/check', canManageSso, ssoController.checkDomain);
+
+router.get('/:tenantId/scim-tokens', canManageSso, ssoController.listScimTokens);
+
+router.post('/:tenantId/scim-tokens', canManageSso, validate(sso.createScimToken), ssoController.createScimToken);
+
+router.delete('/:tenantId/scim-tokens/:tokenId', canManageSso, ssoController.revokeScimToken);
+
+module.exports = router;
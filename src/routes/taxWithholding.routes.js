@@ -0,0 +1,43 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - TAX WITHHOLDING ROUTES
+// GST TCS (Sec 52) and income-tax TDS (Sec 194-O)
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const taxWithholdingController = require('../controllers/taxWithholding.controller');
+const { authenticate, requireBusiness, adminOnly } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { taxWithholding } = require('../validators/schemas');
+
+router.use(authenticate);
+
+// =============================================================================
+// SELLER ROUTES
+// =============================================================================
+
+// Get TCS/TDS ledger
+router.get('/ledger', requireBusiness, taxWithholdingController.getLedger);
+
+// Download TCS/TDS certificate for a quarter
+router.get('/certificates/:type', requireBusiness, taxWithholdingController.downloadCertificate);
+
+// =============================================================================
+// ADMIN ROUTES
+// =============================================================================
+
+// GSTR-8 (TCS return) data
+router.get('/gstr8', adminOnly, taxWithholdingController.getGSTR8);
+
+// Form 26Q (TDS return) data
+router.get('/form-26q', adminOnly, taxWithholdingController.getForm26Q);
+
+// Record challan deposit
+router.post(
+  '/deposits',
+  adminOnly,
+  validate(taxWithholding.deposit),
+  taxWithholdingController.recordDeposit,
+);
+
+module.exports = router;
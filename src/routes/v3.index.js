@@ -13,6 +13,15 @@ const creditLineRoutes = require('./creditLine.routes');
 // GST Compliance Routes
 const eInvoiceRoutes = require('./eInvoice.routes');
 const eWayBillRoutes = require('./eWayBill.routes');
+const creditNoteRoutes = require('./creditNote.routes');
+const taxWithholdingRoutes = require('./taxWithholding.routes');
+const ledgerRoutes = require('./ledger.routes');
+const approvalPolicyRoutes = require('./approvalPolicy.routes');
+const budgetRoutes = require('./budget.routes');
+
+// Procurement Integration Routes
+const punchoutRoutes = require('./punchout.routes');
+const ediRoutes = require('./edi.routes');
 
 // Seller Tools Routes
 const bulkUploadRoutes = require('./bulkUpload.routes');
@@ -29,15 +38,32 @@ const notificationRoutes = require('./notification.routes');
 const warehouseRoutes = require('./warehouse.routes');
 const shippingRoutes = require('./shipping.routes');
 
+// Inventory Routes
+const inventoryLotRoutes = require('./inventoryLot.routes');
+const warehouseOpsRoutes = require('./warehouseOps.routes');
+const cycleCountRoutes = require('./cycleCount.routes');
+const inventoryTransferRoutes = require('./inventoryTransfer.routes');
+const demandPlanningRoutes = require('./demandPlanning.routes');
+
 // Security Routes
 const twoFactorAuthRoutes = require('./twoFactorAuth.routes');
 const documentVaultRoutes = require('./documentVault.routes');
 
+// Platform Routes
+const featureFlagRoutes = require('./featureFlag.routes');
+
 // Mount all routes
 router.use('/wallet', walletRoutes);
 router.use('/credit', creditLineRoutes);
 router.use('/e-invoice', eInvoiceRoutes);
 router.use('/e-way-bill', eWayBillRoutes);
+router.use('/credit-notes', creditNoteRoutes);
+router.use('/tax-withholding', taxWithholdingRoutes);
+router.use('/ledger', ledgerRoutes);
+router.use('/approval-policies', approvalPolicyRoutes);
+router.use('/budgets', budgetRoutes);
+router.use('/punchout', punchoutRoutes);
+router.use('/edi', ediRoutes);
 router.use('/bulk-upload', bulkUploadRoutes);
 router.use('/analytics', analyticsRoutes);
 router.use('/flash-deals', flashDealRoutes);
@@ -45,8 +71,14 @@ router.use('/coupons', couponRoutes);
 router.use('/notifications', notificationRoutes);
 router.use('/warehouses', warehouseRoutes);
 router.use('/shipping', shippingRoutes);
+router.use('/inventory-lots', inventoryLotRoutes);
+router.use('/warehouse-ops', warehouseOpsRoutes);
+router.use('/cycle-counts', cycleCountRoutes);
+router.use('/inventory-transfers', inventoryTransferRoutes);
+router.use('/demand-planning', demandPlanningRoutes);
 router.use('/2fa', twoFactorAuthRoutes);
 router.use('/documents', documentVaultRoutes);
+router.use('/feature-flags', featureFlagRoutes);
 
 module.exports = router;
 
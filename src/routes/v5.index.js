@@ -83,21 +83,6 @@ router.post('/integrations/tally/sync/product/:productId', authenticate, tallyCo
 router.get('/integrations/tally/import/ledgers', authenticate, tallyController.importLedgers);
 router.get('/integrations/tally/import/stock', authenticate, tallyController.importStock);
 
-// =============================================================================
-// WEBHOOK ROUTES
-// =============================================================================
-
-const webhookController = require('../controllers/webhook.controller');
-
-router.post('/webhooks', authenticate, webhookController.createWebhook);
-router.get('/webhooks', authenticate, webhookController.getWebhooks);
-router.put('/webhooks/:id', authenticate, webhookController.updateWebhook);
-router.delete('/webhooks/:id', authenticate, webhookController.deleteWebhook);
-router.post('/webhooks/:id/test', authenticate, webhookController.testWebhook);
-router.post('/webhooks/:id/rotate-secret', authenticate, webhookController.rotateSecret);
-router.get('/webhooks/:id/deliveries', authenticate, webhookController.getDeliveries);
-router.get('/webhooks/events', webhookController.getEventTypes);
-
 // =============================================================================
 // API MARKETPLACE ROUTES
 // =============================================================================
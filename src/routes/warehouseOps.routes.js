@@ -0,0 +1,59 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - WAREHOUSE OPERATIONS ROUTES
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const warehouseOpsController = require('../controllers/warehouseOps.controller');
+const { authenticate, requireBusiness } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { warehouseOps } = require('../validators/schemas');
+
+router.use(authenticate, requireBusiness);
+
+// Layout & putaway
+router.get('/warehouses/:warehouseId/layout', warehouseOpsController.getLayout);
+
+router.post('/warehouses/:warehouseId/zones', validate(warehouseOps.zone), warehouseOpsController.createZone);
+
+router.post('/warehouses/:warehouseId/bins', validate(warehouseOps.bins), warehouseOpsController.createBins);
+
+router.post(
+  '/warehouses/:warehouseId/putaway-rules',
+  validate(warehouseOps.putawayRule),
+  warehouseOpsController.createPutawayRule,
+);
+
+router.get(
+  '/warehouses/:warehouseId/putaway/suggestion',
+  validate(warehouseOps.putawaySuggestion, 'query'),
+  warehouseOpsController.suggestPutaway,
+);
+
+router.post('/warehouses/:warehouseId/putaway', validate(warehouseOps.putaway), warehouseOpsController.putaway);
+
+// Picking
+router.post(
+  '/warehouses/:warehouseId/pick-lists',
+  validate(warehouseOps.generatePickLists),
+  warehouseOpsController.generatePickLists,
+);
+
+router.get('/pick-lists', validate(warehouseOps.listPickLists, 'query'), warehouseOpsController.listPickLists);
+
+router.get('/pick-lists/:pickListId', warehouseOpsController.getPickList);
+
+router.post('/pick-lists/:pickListId/scans', validate(warehouseOps.scan), warehouseOpsController.scanPick);
+
+router.post(
+  '/pick-lists/:pickListId/lines/:lineId/short',
+  validate(warehouseOps.shortPick),
+  warehouseOpsController.reportShortPick,
+);
+
+// Packing
+router.post('/orders/:orderId/cartons', validate(warehouseOps.carton), warehouseOpsController.packCarton);
+
+router.post('/orders/:orderId/dispatch', validate(warehouseOps.dispatch), warehouseOpsController.dispatchOrder);
+
+module.exports = router;
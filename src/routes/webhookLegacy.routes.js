@@ -0,0 +1,47 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - LEGACY WEBHOOK ROUTES
+// The old /webhooks subscription API, kept as a deprecated alias of
+// /integrations/webhooks. Mounted after the inbound provider callbacks in
+// webhook.routes.js, which share the /webhooks prefix.
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhook.controller');
+const webhookSubscriptionRoutes = require('./webhookSubscription.routes');
+const { authenticate, requireBusiness, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { BadRequestError } = require('../utils/errors');
+const { webhooks } = require('../validators/schemas');
+
+router.use((req, res, next) => {
+  res.set('Deprecation', 'true');
+  res.set('Link', '</api/v1/integrations/webhooks>; rel="successor-version"');
+  next();
+});
+
+// app.js keeps /webhooks bodies raw for provider signature checks
+router.use((req, res, next) => {
+  if (!Buffer.isBuffer(req.body)) return next();
+
+  try {
+    req.body = req.body.length > 0 ? JSON.parse(req.body.toString()) : {};
+    return next();
+  } catch (error) {
+    return next(new BadRequestError('Invalid JSON body'));
+  }
+});
+
+// Updates were PUT before the move to PATCH
+router.put(
+  '/:id',
+  authenticate,
+  requireBusiness,
+  requirePermission('manageWebhooks'),
+  validate(webhooks.update),
+  webhookController.updateWebhook,
+);
+
+router.use(webhookSubscriptionRoutes);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - WEBHOOK SUBSCRIPTION ROUTES
+// Outbound webhooks (inbound provider callbacks live in webhook.routes.js)
+// =============================================================================
+
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhook.controller');
+const { authenticate, requireBusiness, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/errorHandler');
+const { webhooks } = require('../validators/schemas');
+
+const canManageWebhooks = requirePermission('manageWebhooks');
+
+// =============================================================================
+// EVENT CATALOG (public)
+// =============================================================================
+
+router.get('/events', webhookController.getCatalog);
+
+router.get('/events/:event', webhookController.getEvent);
+
+router.use(authenticate, requireBusiness);
+
+// =============================================================================
+// DEAD-LETTER QUEUE
+// =============================================================================
+
+router.get('/dead-letters', canManageWebhooks, webhookController.listDeadLetters);
+
+router.post('/replay', canManageWebhooks, validate(webhooks.replay), webhookController.replay);
+
+// =============================================================================
+// SUBSCRIPTIONS
+// =============================================================================
+
+router.get('/', webhookController.getWebhooks);
+
+router.post('/', canManageWebhooks, validate(webhooks.create), webhookController.createWebhook);
+
+router.patch('/:id', canManageWebhooks, validate(webhooks.update), webhookController.updateWebhook);
+
+router.delete('/:id', canManageWebhooks, webhookController.deleteWebhook);
+
+router.post('/:id/test', canManageWebhooks, webhookController.testWebhook);
+
+router.post(
+  '/:id/rotate-secret',
+  canManageWebhooks,
+  validate(webhooks.rotateSecret),
+  webhookController.rotateSecret,
+);
+
+router.get('/:id/deliveries', webhookController.getDeliveries);
+
+module.exports = router;
@@ -14,6 +14,7 @@ const { initSocketIO } = require('./services/socket.service');
 // Additional services
 const gracefulShutdownHandler = require('./utils/gracefulShutdown');
 const scheduledJobs = require('./jobs/scheduler');
+const outboxRelay = require('./jobs/outboxRelay');
 const { jobQueue, initializeProcessors } = require('./services/jobQueue.service');
 const performanceMonitor = require('./services/performance.service');
 const { healthCheck } = require('./services/healthCheck.service');
@@ -75,6 +76,11 @@ const startServer = async () => {
       scheduledJobs.stop();
     }, 1);
 
+    gracefulShutdownHandler.onShutdown(async () => {
+      logger.info('Stopping outbox relay...');
+      await outboxRelay.stop();
+    }, 1);
+
     gracefulShutdownHandler.onShutdown(async () => {
       logger.info('Closing job queues...');
       await jobQueue.close();
@@ -98,6 +104,10 @@ const startServer = async () => {
     scheduledJobs.start();
     logger.info('⏰ Scheduled jobs started');
 
+    // Relay committed outbox events (bus, queues, webhooks, search index)
+    outboxRelay.start();
+    logger.info('📤 Outbox relay started');
+
     // Start HTTP server
     const port = config.app.port || 5000;
     server.listen(port, () => {
@@ -13,6 +13,7 @@ const {
 } = require('../utils/errors');
 const { generateId } = require('../utils/helpers');
 const { emitToUser, emitToBusiness } = require('./socket.service');
+const approvalPolicyService = require('./approvalPolicy.service');
 
 // =============================================================================
 // CONSTANTS
@@ -21,6 +22,7 @@ const { emitToUser, emitToBusiness } = require('./socket.service');
 const APPROVAL_TYPE = {
   ORDER: 'ORDER',
   PURCHASE_ORDER: 'PURCHASE_ORDER',
+  PURCHASE_REQUISITION: 'PURCHASE_REQUISITION',
   QUOTATION: 'QUOTATION',
   CONTRACT: 'CONTRACT',
   PAYMENT: 'PAYMENT',
@@ -29,6 +31,7 @@ const APPROVAL_TYPE = {
   VENDOR_ONBOARD: 'VENDOR_ONBOARD',
   PRICE_CHANGE: 'PRICE_CHANGE',
   DISCOUNT: 'DISCOUNT',
+  INVENTORY_ADJUSTMENT: 'INVENTORY_ADJUSTMENT',
 };
 
 const APPROVAL_STATUS = {
@@ -54,6 +57,12 @@ const STEP_STATUS = {
   SKIPPED: 'SKIPPED',
 };
 
+const IN_FLIGHT_STATUSES = [
+  APPROVAL_STATUS.PENDING,
+  APPROVAL_STATUS.IN_PROGRESS,
+  APPROVAL_STATUS.ESCALATED,
+];
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
@@ -64,12 +73,109 @@ const generateRequestNumber = () => {
   return `APR-${timestamp}-${random}`;
 };
 
+const escalationTime = (hours, from = new Date()) => (
+  hours ? new Date(from.getTime() + hours * 60 * 60 * 1000) : null
+);
+
+/**
+ * Explicit approver list: one sequential level per approver
+ */
+const sequentialChain = (approvers) => ({
+  policyId: null,
+  levels: approvers.map((approverId, index) => ({
+    level: index + 1,
+    groups: [{ policyStepId: null, quorum: 1, approvers: [{ approverId, delegatedFromId: null }] }],
+  })),
+});
+
+/**
+ * Group a level's steps into N-of-M groups with their tallies. Approvals are
+ * counted per person, so one approver holding two steps still counts once.
+ */
+const groupSteps = (steps) => {
+  const groups = new Map();
+
+  steps.forEach((step) => {
+    const key = step.policyStepId || 'level';
+    const group = groups.get(key) || { key, quorum: 1, approvedBy: new Set(), pending: 0 };
+    group.quorum = Math.max(group.quorum, step.quorum || 1);
+    if (step.status === STEP_STATUS.APPROVED) group.approvedBy.add(step.approverId);
+    if (step.status === STEP_STATUS.PENDING) group.pending++;
+    groups.set(key, group);
+  });
+
+  return [...groups.values()].map(({ approvedBy, ...group }) => ({ ...group, approved: approvedBy.size }));
+};
+
+/**
+ * Lock the request row for the rest of the transaction, so concurrent
+ * decisions on one request are evaluated one after another
+ */
+const lockRequest = (tx, requestId) => tx.$queryRaw`SELECT id FROM approval_requests WHERE id = ${requestId} FOR UPDATE`;
+
+/**
+ * Pending step at the current level the user may decide, directly or
+ * while covering for a delegator
+ */
+const findActingStep = async (request, userId) => {
+  const pending = request.approvers.filter(
+    (step) => step.level === request.currentLevel && step.status === STEP_STATUS.PENDING,
+  );
+
+  const own = pending.find((step) => step.approverId === userId);
+  if (own) return { step: own, delegatedFromId: null };
+
+  const delegatorIds = await approvalPolicyService.getDelegatorIds(request.businessId, userId, request.type);
+  const covered = pending.find((step) => delegatorIds.includes(step.approverId));
+
+  return covered ? { step: covered, delegatedFromId: covered.approverId } : null;
+};
+
+/**
+ * Start escalation clocks for the steps of a newly active level
+ */
+const activateLevel = async (request, level, client = prisma) => {
+  const now = new Date();
+  const steps = request.approvers.filter((step) => step.level === level && step.escalateAfterHours);
+
+  await Promise.all(steps.map((step) => client.approvalStep.update({
+    where: { id: step.id },
+    data: { escalateAt: escalationTime(step.escalateAfterHours, now) },
+  })));
+};
+
+/**
+ * Hand the final decision back to the record that was under approval
+ */
+const applyDecisionToReference = async (request, status, decision) => {
+  try {
+    if (request.referenceType === 'PURCHASE_REQUISITION') {
+      // Required lazily: purchaseRequisition.service creates approval requests
+      const purchaseRequisitionService = require('./purchaseRequisition.service');
+      await purchaseRequisitionService.applyApprovalDecision(request.referenceId, status, decision);
+    } else if (request.referenceType === 'CYCLE_COUNT') {
+      // Required lazily: cycleCount.service routes large adjustments through approvals
+      const cycleCountService = require('./cycleCount.service');
+      await cycleCountService.applyApprovalDecision(request.referenceId, status, decision);
+    }
+  } catch (error) {
+    logger.error('Failed to apply approval decision', {
+      requestId: request.id,
+      referenceType: request.referenceType,
+      error: error.message,
+    });
+  }
+};
+
 // =============================================================================
 // APPROVAL WORKFLOW MANAGEMENT
 // =============================================================================
 
 /**
- * Create approval request
+ * Create approval request. Without an explicit approvers list the chain is
+ * derived from the business's approval policies using data.context.
+ * data.extraApprovers ([{ name, approverIds, quorum }]) appends final levels,
+ * e.g. budget owners when a requisition overspends.
  */
 const createApprovalRequest = async (requesterId, businessId, data) => {
   const {
@@ -81,21 +187,51 @@ const createApprovalRequest = async (requesterId, businessId, data) => {
     amount,
     priority = APPROVAL_PRIORITY.NORMAL,
     approvers,
+    context = {},
+    extraApprovers = [],
     dueDate,
     metadata,
   } = data;
 
-  if (!approvers || approvers.length === 0) {
-    throw new BadRequestError('At least one approver is required');
-  }
+  const chain = approvers && approvers.length > 0
+    ? sequentialChain(approvers)
+    : await approvalPolicyService.resolveChain(businessId, { ...context, type, amount, requesterId });
+
+  extraApprovers.forEach((group) => {
+    chain.levels.push({
+      level: chain.levels.length + 1,
+      groups: [{
+        policyStepId: null,
+        name: group.name,
+        quorum: group.quorum || 1,
+        approvers: group.approverIds.map((approverId) => ({ approverId, delegatedFromId: null })),
+      }],
+    });
+  });
+
+  const now = new Date();
+  const steps = chain.levels.flatMap(({ level, groups }) => groups.flatMap((group) => group.approvers.map(
+    ({ approverId, delegatedFromId }) => ({
+      level,
+      approverId,
+      status: STEP_STATUS.PENDING,
+      policyStepId: group.policyStepId,
+      quorum: group.quorum,
+      delegatedFromId,
+      escalateAfterHours: group.escalateAfterHours || null,
+      escalateToId: group.escalateToId || null,
+      escalateAt: level === 1 ? escalationTime(group.escalateAfterHours, now) : null,
+    }),
+  )));
 
   // Verify all approvers exist
+  const approverIds = [...new Set(steps.map((step) => step.approverId))];
   const approverUsers = await prisma.user.findMany({
-    where: { id: { in: approvers } },
+    where: { id: { in: approverIds } },
     select: { id: true, firstName: true, lastName: true },
   });
 
-  if (approverUsers.length !== approvers.length) {
+  if (approverUsers.length !== approverIds.length) {
     throw new BadRequestError('One or more approvers not found');
   }
 
@@ -113,15 +249,12 @@ const createApprovalRequest = async (requesterId, businessId, data) => {
       priority,
       status: APPROVAL_STATUS.PENDING,
       currentLevel: 1,
-      maxLevel: approvers.length,
+      maxLevel: chain.levels.length,
+      policyId: chain.policyId,
       dueDate: dueDate ? new Date(dueDate) : null,
       metadata,
       approvers: {
-        create: approvers.map((approverId, index) => ({
-          level: index + 1,
-          approverId,
-          status: index === 0 ? STEP_STATUS.PENDING : STEP_STATUS.PENDING,
-        })),
+        create: steps,
       },
     },
     include: {
@@ -135,14 +268,15 @@ const createApprovalRequest = async (requesterId, businessId, data) => {
     },
   });
 
-  // Notify first approver
-  const firstApprover = approvers[0];
-  emitToUser(firstApprover, 'approval:new_request', {
-    requestId: request.id,
-    requestNumber: request.requestNumber,
-    type,
-    title,
-    priority,
+  // Notify first-level approvers
+  steps.filter((step) => step.level === 1).forEach((step) => {
+    emitToUser(step.approverId, 'approval:new_request', {
+      requestId: request.id,
+      requestNumber: request.requestNumber,
+      type,
+      title,
+      priority,
+    });
   });
 
   logger.info('Approval request created', {
@@ -150,6 +284,7 @@ const createApprovalRequest = async (requesterId, businessId, data) => {
     type,
     requesterId,
     businessId,
+    policyId: chain.policyId,
   });
 
   return request;
@@ -179,21 +314,21 @@ const getApprovalById = async (requestId, userId) => {
 
   // Check if user has access
   const isRequester = request.requesterId === userId;
-  const isApprover = request.approvers.some((a) => a.approverId === userId);
+  const actingStep = await findActingStep(request, userId);
+  const isApprover = request.approvers.some((a) => a.approverId === userId) || Boolean(actingStep);
 
   if (!isRequester && !isApprover) {
     throw new ForbiddenError('Access denied');
   }
 
-  const currentStep = request.approvers.find((a) => a.level === request.currentLevel);
-  const isCurrentApprover = currentStep?.approverId === userId;
+  const isCurrentApprover = Boolean(actingStep);
 
   return {
     ...request,
     isRequester,
     isApprover,
     isCurrentApprover,
-    canApprove: isCurrentApprover && request.status === APPROVAL_STATUS.PENDING,
+    canApprove: isCurrentApprover && IN_FLIGHT_STATUSES.includes(request.status),
   };
 };
 
@@ -201,14 +336,18 @@ const getApprovalById = async (requestId, userId) => {
  * Get pending approvals for user
  */
 const getPendingApprovals = async (userId, options = {}) => {
-  const { page = 1, limit = 20, type, priority } = options;
+  const { page = 1, limit = 20, type, priority, businessId } = options;
   const skip = (page - 1) * limit;
 
+  // Include requests waiting on approvers this user is covering for
+  const delegatorIds = await approvalPolicyService.getDelegatorIds(businessId, userId, type);
+  const actingFor = [userId, ...delegatorIds];
+
   const where = {
-    status: APPROVAL_STATUS.PENDING,
+    status: { in: IN_FLIGHT_STATUSES },
     approvers: {
       some: {
-        approverId: userId,
+        approverId: { in: actingFor },
         status: STEP_STATUS.PENDING,
       },
     },
@@ -224,8 +363,8 @@ const getPendingApprovals = async (userId, options = {}) => {
         requester: { select: { id: true, firstName: true, lastName: true } },
         business: { select: { id: true, businessName: true } },
         approvers: {
-          where: { approverId: userId },
-          select: { level: true, status: true },
+          where: { approverId: { in: actingFor }, status: STEP_STATUS.PENDING },
+          select: { level: true, status: true, approverId: true },
         },
       },
       orderBy: [
@@ -239,10 +378,7 @@ const getPendingApprovals = async (userId, options = {}) => {
   ]);
 
   // Filter to only show requests where user is current approver
-  const pendingForUser = requests.filter((req) => {
-    const userStep = req.approvers[0];
-    return userStep && userStep.level === req.currentLevel;
-  });
+  const pendingForUser = requests.filter((req) => req.approvers.some((step) => step.level === req.currentLevel));
 
   return {
     requests: pendingForUser,
@@ -286,59 +422,92 @@ const getMyRequests = async (userId, options = {}) => {
 };
 
 /**
- * Approve request
+ * Approve request. A level completes once every N-of-M group at it has its
+ * quorum; parallel groups share a level. The quorum is evaluated under a lock
+ * on the request, so two approvers finishing a level together cannot both miss it.
  */
 const approveRequest = async (approverId, requestId, comments) => {
-  const request = await prisma.approvalRequest.findUnique({
-    where: { id: requestId },
-    include: {
-      approvers: { orderBy: { level: 'asc' } },
-    },
-  });
+  const {
+    request, acting, updated, isLevelComplete, isFullyApproved, nextLevel,
+  } = await prisma.$transaction(async (tx) => {
+    await lockRequest(tx, requestId);
 
-  if (!request) {
-    throw new NotFoundError('Approval request');
-  }
+    const request = await tx.approvalRequest.findUnique({
+      where: { id: requestId },
+      include: {
+        approvers: { orderBy: { level: 'asc' } },
+      },
+    });
 
-  if (request.status !== APPROVAL_STATUS.PENDING) {
-    throw new BadRequestError('Request is not pending');
-  }
+    if (!request) {
+      throw new NotFoundError('Approval request');
+    }
 
-  const currentStep = request.approvers.find((a) => a.level === request.currentLevel);
-  if (!currentStep || currentStep.approverId !== approverId) {
-    throw new ForbiddenError('You are not the current approver');
-  }
+    if (!IN_FLIGHT_STATUSES.includes(request.status)) {
+      throw new BadRequestError('Request is not pending');
+    }
 
-  // Update current step
-  await prisma.approvalStep.update({
-    where: { id: currentStep.id },
-    data: {
-      status: STEP_STATUS.APPROVED,
-      decision: 'APPROVED',
-      comments,
-      decidedAt: new Date(),
-    },
-  });
+    const acting = await findActingStep(request, approverId);
+    if (!acting) {
+      throw new ForbiddenError('You are not the current approver');
+    }
+
+    // Update current step
+    await tx.approvalStep.update({
+      where: { id: acting.step.id },
+      data: {
+        status: STEP_STATUS.APPROVED,
+        decision: 'APPROVED',
+        comments,
+        decidedAt: new Date(),
+        ...(acting.delegatedFromId && { approverId, delegatedFromId: acting.delegatedFromId }),
+      },
+    });
+
+    const levelSteps = request.approvers
+      .filter((step) => step.level === request.currentLevel)
+      .map((step) => (step.id === acting.step.id ? { ...step, status: STEP_STATUS.APPROVED, approverId } : step));
+    const isLevelComplete = groupSteps(levelSteps).every((group) => group.approved >= group.quorum);
+
+    // Check if more approvers
+    const nextLevel = request.currentLevel + 1;
+    const isFullyApproved = isLevelComplete && nextLevel > request.maxLevel;
+
+    if (isLevelComplete) {
+      // Remaining approvers at a completed level are no longer needed
+      await tx.approvalStep.updateMany({
+        where: { requestId, level: request.currentLevel, status: STEP_STATUS.PENDING },
+        data: { status: STEP_STATUS.SKIPPED },
+      });
+    }
 
-  // Check if more approvers
-  const nextLevel = request.currentLevel + 1;
-  const isFullyApproved = nextLevel > request.maxLevel;
+    if (isLevelComplete && !isFullyApproved) {
+      await activateLevel(request, nextLevel, tx);
+    }
 
-  const updateData = isFullyApproved
-    ? { status: APPROVAL_STATUS.APPROVED }
-    : { currentLevel: nextLevel, status: APPROVAL_STATUS.IN_PROGRESS };
+    let updateData = { status: APPROVAL_STATUS.IN_PROGRESS };
+    if (isFullyApproved) {
+      updateData = { status: APPROVAL_STATUS.APPROVED };
+    } else if (isLevelComplete) {
+      updateData = { currentLevel: nextLevel, status: APPROVAL_STATUS.IN_PROGRESS };
+    }
 
-  const updated = await prisma.approvalRequest.update({
-    where: { id: requestId },
-    data: updateData,
-    include: {
-      approvers: {
-        include: {
-          approver: { select: { id: true, firstName: true, lastName: true } },
+    const updated = await tx.approvalRequest.update({
+      where: { id: requestId },
+      data: updateData,
+      include: {
+        approvers: {
+          include: {
+            approver: { select: { id: true, firstName: true, lastName: true } },
+          },
+          orderBy: { level: 'asc' },
         },
-        orderBy: { level: 'asc' },
       },
-    },
+    });
+
+    return {
+      request, acting, updated, isLevelComplete, isFullyApproved, nextLevel,
+    };
   });
 
   // Notify requester
@@ -348,22 +517,29 @@ const approveRequest = async (approverId, requestId, comments) => {
     level: request.currentLevel,
   });
 
-  // Notify next approver if exists
-  if (!isFullyApproved) {
-    const nextApprover = request.approvers.find((a) => a.level === nextLevel);
-    if (nextApprover) {
-      emitToUser(nextApprover.approverId, 'approval:your_turn', {
-        requestId,
-        requestNumber: request.requestNumber,
-        type: request.type,
+  // Notify next approvers if exist
+  if (isLevelComplete && !isFullyApproved) {
+    request.approvers
+      .filter((step) => step.level === nextLevel)
+      .forEach((step) => {
+        emitToUser(step.approverId, 'approval:your_turn', {
+          requestId,
+          requestNumber: request.requestNumber,
+          type: request.type,
+        });
       });
-    }
+  }
+
+  if (isFullyApproved) {
+    await applyDecisionToReference(request, APPROVAL_STATUS.APPROVED, { approverId });
   }
 
   logger.info('Approval step completed', {
     requestId,
     approverId,
+    delegatedFromId: acting.delegatedFromId,
     level: request.currentLevel,
+    isLevelComplete,
     isFullyApproved,
   });
 
@@ -371,7 +547,8 @@ const approveRequest = async (approverId, requestId, comments) => {
 };
 
 /**
- * Reject request
+ * Reject request. Rejection is final once the approver's group can no longer
+ * reach its quorum.
  */
 const rejectRequest = async (approverId, requestId, reason) => {
   const request = await prisma.approvalRequest.findUnique({
@@ -385,12 +562,12 @@ const rejectRequest = async (approverId, requestId, reason) => {
     throw new NotFoundError('Approval request');
   }
 
-  if (request.status !== APPROVAL_STATUS.PENDING && request.status !== APPROVAL_STATUS.IN_PROGRESS) {
+  if (!IN_FLIGHT_STATUSES.includes(request.status)) {
     throw new BadRequestError('Request cannot be rejected');
   }
 
-  const currentStep = request.approvers.find((a) => a.level === request.currentLevel);
-  if (!currentStep || currentStep.approverId !== approverId) {
+  const acting = await findActingStep(request, approverId);
+  if (!acting) {
     throw new ForbiddenError('You are not the current approver');
   }
 
@@ -400,15 +577,28 @@ const rejectRequest = async (approverId, requestId, reason) => {
 
   // Update current step
   await prisma.approvalStep.update({
-    where: { id: currentStep.id },
+    where: { id: acting.step.id },
     data: {
       status: STEP_STATUS.REJECTED,
       decision: 'REJECTED',
       comments: reason,
       decidedAt: new Date(),
+      ...(acting.delegatedFromId && { approverId, delegatedFromId: acting.delegatedFromId }),
     },
   });
 
+  const groupKey = acting.step.policyStepId || 'level';
+  const [group] = groupSteps(
+    request.approvers
+      .filter((step) => step.level === request.currentLevel && (step.policyStepId || 'level') === groupKey)
+      .map((step) => (step.id === acting.step.id ? { ...step, status: STEP_STATUS.REJECTED } : step)),
+  );
+
+  if (group.approved + group.pending >= group.quorum) {
+    logger.info('Approval step rejected; quorum still reachable', { requestId, approverId });
+    return prisma.approvalRequest.findUnique({ where: { id: requestId } });
+  }
+
   // Update request
   const updated = await prisma.approvalRequest.update({
     where: { id: requestId },
@@ -422,6 +612,8 @@ const rejectRequest = async (approverId, requestId, reason) => {
     reason,
   });
 
+  await applyDecisionToReference(request, APPROVAL_STATUS.REJECTED, { approverId, reason });
+
   logger.info('Approval rejected', { requestId, approverId, reason });
 
   return updated;
@@ -461,23 +653,11 @@ const cancelRequest = async (requesterId, requestId, reason) => {
 };
 
 /**
- * Escalate request
+ * Escalate request. The escalation target joins the group of the escalated
+ * step (options.stepId, else the first pending step at the current level),
+ * unless they already have a pending step at that level.
  */
-const escalateRequest = async (userId, requestId, escalateToId, reason) => {
-  const request = await prisma.approvalRequest.findFirst({
-    where: {
-      id: requestId,
-      status: { in: [APPROVAL_STATUS.PENDING, APPROVAL_STATUS.IN_PROGRESS] },
-    },
-    include: {
-      approvers: { orderBy: { level: 'asc' } },
-    },
-  });
-
-  if (!request) {
-    throw new NotFoundError('Approval request');
-  }
-
+const escalateRequest = async (userId, requestId, escalateToId, reason, options = {}) => {
   // Verify escalation target
   const escalateTo = await prisma.user.findUnique({
     where: { id: escalateToId },
@@ -488,19 +668,58 @@ const escalateRequest = async (userId, requestId, escalateToId, reason) => {
     throw new NotFoundError('Escalation target user');
   }
 
-  // Add new approver at current level
-  await prisma.approvalStep.create({
-    data: {
-      requestId,
-      level: request.currentLevel,
-      approverId: escalateToId,
-      status: STEP_STATUS.PENDING,
-    },
-  });
+  const { request, updated } = await prisma.$transaction(async (tx) => {
+    await lockRequest(tx, requestId);
 
-  const updated = await prisma.approvalRequest.update({
-    where: { id: requestId },
-    data: { status: APPROVAL_STATUS.ESCALATED },
+    const request = await tx.approvalRequest.findFirst({
+      where: {
+        id: requestId,
+        status: { in: IN_FLIGHT_STATUSES },
+      },
+      include: {
+        approvers: { orderBy: { level: 'asc' } },
+      },
+    });
+
+    if (!request) {
+      throw new NotFoundError('Approval request');
+    }
+
+    const escalatedStep = options.stepId
+      ? request.approvers.find((step) => step.id === options.stepId)
+      : request.approvers.find((step) => step.level === request.currentLevel && step.status === STEP_STATUS.PENDING);
+
+    const alreadyPending = request.approvers.some((step) => step.level === request.currentLevel
+      && step.approverId === escalateToId
+      && step.status === STEP_STATUS.PENDING);
+
+    // Add new approver at current level
+    if (!alreadyPending) {
+      await tx.approvalStep.create({
+        data: {
+          requestId,
+          level: request.currentLevel,
+          approverId: escalateToId,
+          status: STEP_STATUS.PENDING,
+          policyStepId: escalatedStep?.policyStepId || null,
+          quorum: escalatedStep?.quorum || 1,
+        },
+      });
+    }
+
+    if (escalatedStep) {
+      await tx.approvalStep.update({
+        where: { id: escalatedStep.id },
+        data: { escalatedAt: new Date() },
+      });
+    }
+
+    const updated = await tx.approvalRequest.update({
+      where: { id: requestId },
+      data: { status: APPROVAL_STATUS.ESCALATED },
+    });
+
+    return { request, updated };
   });
 
   // Notify escalation target
@@ -510,11 +729,45 @@ const escalateRequest = async (userId, requestId, escalateToId, reason) => {
     reason,
   });
 
-  logger.info('Approval escalated', { requestId, escalateToId, reason });
+  logger.info('Approval escalated', { requestId, escalateToId, reason, escalatedBy: userId });
 
   return updated;
 };
 
+/**
+ * Escalate steps whose approver has not decided within the policy timeout
+ */
+const processEscalations = async () => {
+  const overdue = await prisma.approvalStep.findMany({
+    where: {
+      status: STEP_STATUS.PENDING,
+      escalateAt: { lte: new Date() },
+      escalatedAt: null,
+      escalateToId: { not: null },
+      request: { status: { in: IN_FLIGHT_STATUSES } },
+    },
+    take: 100,
+  });
+
+  let escalated = 0;
+  for (const step of overdue) {
+    try {
+      await escalateRequest(
+        null,
+        step.requestId,
+        step.escalateToId,
+        `No decision within ${step.escalateAfterHours} hour(s)`,
+        { stepId: step.id },
+      );
+      escalated++;
+    } catch (error) {
+      logger.error('Approval escalation failed', { stepId: step.id, error: error.message });
+    }
+  }
+
+  return { checked: overdue.length, escalated };
+};
+
 /**
  * Get approval statistics
  */
@@ -584,6 +837,7 @@ module.exports = {
   rejectRequest,
   cancelRequest,
   escalateRequest,
+  processEscalations,
   getApprovalStats,
   getApprovalHistory,
 };
@@ -0,0 +1,554 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - APPROVAL POLICY SERVICE
+// Derives approval chains from business policy: thresholds, category, cost
+// center, department, supplier risk and approval type; quorum steps and
+// out-of-office delegation
+// =============================================================================
+
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const EXECUTION_MODE = {
+  SEQUENTIAL: 'SEQUENTIAL',
+  PARALLEL: 'PARALLEL',
+};
+
+const APPROVER_TYPE = {
+  USER: 'USER',
+  ROLE: 'ROLE',
+  AUTHORITY: 'AUTHORITY',
+};
+
+const RISK_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+const MAX_DELEGATION_DEPTH = 5;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const overlaps = (allowed, values) => !allowed || allowed.length === 0
+  || values.some((value) => allowed.includes(value));
+
+/**
+ * Evaluate a policy's conditions against a request context
+ * @returns {string[]} Reasons the policy does not match; empty when it matches
+ */
+const evaluateConditions = (policy, context) => {
+  const reasons = [];
+  const amount = toNumber(context.amount) || 0;
+  const minAmount = toNumber(policy.minAmount);
+  const maxAmount = toNumber(policy.maxAmount);
+
+  if (policy.approvalType && policy.approvalType !== context.type) {
+    reasons.push(`approval type is ${context.type}, policy requires ${policy.approvalType}`);
+  }
+  if (minAmount !== null && amount < minAmount) {
+    reasons.push(`amount ${amount} is below ${minAmount}`);
+  }
+  if (maxAmount !== null && amount > maxAmount) {
+    reasons.push(`amount ${amount} exceeds ${maxAmount}`);
+  }
+  if (!overlaps(policy.categoryIds, context.categoryIds || [])) {
+    reasons.push('category not covered');
+  }
+  if (!overlaps(policy.costCenters, context.costCenter ? [context.costCenter] : [])) {
+    reasons.push('cost center not covered');
+  }
+  if (!overlaps(policy.departments, context.department ? [context.department] : [])) {
+    reasons.push('department not covered');
+  }
+  if (policy.minSupplierRisk) {
+    const required = RISK_ORDER.indexOf(policy.minSupplierRisk);
+    const actual = RISK_ORDER.indexOf(context.supplierRiskLevel);
+    if (actual < required) {
+      reasons.push(`supplier risk ${context.supplierRiskLevel || 'unknown'} is below ${policy.minSupplierRisk}`);
+    }
+  }
+
+  return reasons;
+};
+
+/**
+ * Fill in supplier risk from the latest risk assessments when not supplied;
+ * with several suppliers the riskiest one counts
+ */
+const buildContext = async (context) => {
+  const enriched = { ...context };
+  const supplierIds = enriched.supplierIds || (enriched.supplierId ? [enriched.supplierId] : []);
+
+  if (!enriched.supplierRiskLevel && supplierIds.length > 0) {
+    const assessments = await Promise.all(supplierIds.map((businessId) => prisma.riskAssessment.findFirst({
+      where: { businessId },
+      orderBy: { assessedAt: 'desc' },
+      select: { riskLevel: true },
+    })));
+    const levels = assessments.filter(Boolean).map((assessment) => RISK_ORDER.indexOf(assessment.riskLevel));
+    enriched.supplierRiskLevel = levels.length > 0 ? RISK_ORDER[Math.max(...levels)] || null : null;
+  }
+
+  return enriched;
+};
+
+// =============================================================================
+// POLICY MANAGEMENT
+// =============================================================================
+
+const POLICY_INCLUDE = {
+  steps: { orderBy: { stepOrder: 'asc' } },
+};
+
+const validateSteps = (steps) => {
+  if (!steps || steps.length === 0) {
+    throw new BadRequestError('A policy needs at least one step');
+  }
+
+  steps.forEach((step) => {
+    if (step.approverType === APPROVER_TYPE.USER && (!step.approverIds || step.approverIds.length === 0)) {
+      throw new BadRequestError(`Step "${step.name}" needs at least one approver`);
+    }
+    if (step.approverType === APPROVER_TYPE.ROLE && (!step.roles || step.roles.length === 0)) {
+      throw new BadRequestError(`Step "${step.name}" needs at least one role`);
+    }
+    if (step.approverType === APPROVER_TYPE.USER && step.requiredApprovals > step.approverIds.length) {
+      throw new BadRequestError(`Step "${step.name}" requires more approvals than it has approvers`);
+    }
+  });
+};
+
+/**
+ * Users among userIds who are not active members of the business
+ */
+const findNonMembers = async (businessId, userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  const members = await prisma.businessMember.findMany({
+    where: { businessId, isActive: true, userId: { in: ids } },
+    select: { userId: true },
+  });
+  const memberIds = new Set(members.map((member) => member.userId));
+
+  return ids.filter((id) => !memberIds.has(id));
+};
+
+/**
+ * Named approvers and escalation targets must belong to the business
+ */
+const assertStepMembers = async (businessId, steps) => {
+  const outsiders = await findNonMembers(
+    businessId,
+    steps.flatMap((step) => [...(step.approverIds || []), step.escalateToId]),
+  );
+  if (outsiders.length > 0) {
+    throw new BadRequestError(`Approvers must be members of this business: ${outsiders.join(', ')}`);
+  }
+};
+
+const stepData = (steps) => steps.map((step, index) => ({
+  stepOrder: step.stepOrder || index + 1,
+  name: step.name,
+  approverType: step.approverType,
+  approverIds: step.approverIds || [],
+  roles: step.roles || [],
+  requiredApprovals: step.requiredApprovals || 1,
+  escalateAfterHours: step.escalateAfterHours || null,
+  escalateToId: step.escalateToId || null,
+}));
+
+/**
+ * Create approval policy
+ */
+const createPolicy = async (businessId, userId, data) => {
+  const { steps, ...policy } = data;
+  validateSteps(steps);
+  await assertStepMembers(businessId, steps);
+
+  const created = await prisma.approvalPolicy.create({
+    data: {
+      ...policy,
+      businessId,
+      createdBy: userId,
+      steps: { create: stepData(steps) },
+    },
+    include: POLICY_INCLUDE,
+  });
+
+  logger.info('Approval policy created', { policyId: created.id, businessId });
+
+  return created;
+};
+
+/**
+ * Get approval policy
+ */
+const getPolicy = async (businessId, policyId) => {
+  const policy = await prisma.approvalPolicy.findFirst({
+    where: { id: policyId, businessId },
+    include: POLICY_INCLUDE,
+  });
+
+  if (!policy) {
+    throw new NotFoundError('Approval policy');
+  }
+
+  return policy;
+};
+
+/**
+ * List approval policies in evaluation order
+ */
+const listPolicies = (businessId, options = {}) => {
+  const where = { businessId };
+  if (options.approvalType) where.approvalType = options.approvalType;
+  if (options.isActive !== undefined) where.isActive = options.isActive;
+
+  return prisma.approvalPolicy.findMany({
+    where,
+    include: POLICY_INCLUDE,
+    orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }],
+  });
+};
+
+/**
+ * Update approval policy; supplied steps replace the existing ones
+ */
+const updatePolicy = async (businessId, policyId, data) => {
+  await getPolicy(businessId, policyId);
+
+  const { steps, ...policy } = data;
+  if (steps) {
+    validateSteps(steps);
+    await assertStepMembers(businessId, steps);
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (steps) {
+      await tx.approvalPolicyStep.deleteMany({ where: { policyId } });
+    }
+
+    return tx.approvalPolicy.update({
+      where: { id: policyId },
+      data: {
+        ...policy,
+        ...(steps && { steps: { create: stepData(steps) } }),
+      },
+      include: POLICY_INCLUDE,
+    });
+  });
+
+  logger.info('Approval policy updated', { policyId, businessId });
+
+  return updated;
+};
+
+/**
+ * Delete approval policy. Requests already routed keep their chain.
+ */
+const deletePolicy = async (businessId, policyId) => {
+  await getPolicy(businessId, policyId);
+
+  await prisma.approvalPolicy.delete({ where: { id: policyId } });
+
+  logger.info('Approval policy deleted', { policyId, businessId });
+
+  return { deleted: true };
+};
+
+// =============================================================================
+// DELEGATION
+// =============================================================================
+
+const activeDelegationWhere = (businessId, type, at) => ({
+  businessId,
+  isActive: true,
+  startsAt: { lte: at },
+  endsAt: { gte: at },
+  ...(type && {
+    OR: [{ approvalTypes: { isEmpty: true } }, { approvalTypes: { has: type } }],
+  }),
+});
+
+/**
+ * Delegate approvals while out of office
+ */
+const createDelegation = async (businessId, delegatorId, data) => {
+  const { delegateId, startsAt, endsAt, approvalTypes = [], reason } = data;
+
+  if (delegateId === delegatorId) {
+    throw new BadRequestError('Cannot delegate to yourself');
+  }
+  if (new Date(endsAt) <= new Date(startsAt)) {
+    throw new BadRequestError('Delegation must end after it starts');
+  }
+
+  const [outsider] = await findNonMembers(businessId, [delegateId]);
+  if (outsider) {
+    throw new BadRequestError('Delegate must be a member of this business');
+  }
+
+  const delegation = await prisma.approvalDelegation.create({
+    data: {
+      businessId,
+      delegatorId,
+      delegateId,
+      approvalTypes,
+      startsAt: new Date(startsAt),
+      endsAt: new Date(endsAt),
+      reason,
+    },
+  });
+
+  logger.info('Approval delegation created', { delegationId: delegation.id, delegatorId, delegateId });
+
+  return delegation;
+};
+
+/**
+ * Delegations given or received by a user
+ */
+const listDelegations = (businessId, userId) => prisma.approvalDelegation.findMany({
+  where: {
+    businessId,
+    isActive: true,
+    OR: [{ delegatorId: userId }, { delegateId: userId }],
+  },
+  include: {
+    delegator: { select: { id: true, firstName: true, lastName: true } },
+    delegate: { select: { id: true, firstName: true, lastName: true } },
+  },
+  orderBy: { startsAt: 'desc' },
+});
+
+const revokeDelegation = async (businessId, userId, delegationId) => {
+  const delegation = await prisma.approvalDelegation.findFirst({
+    where: { id: delegationId, businessId, delegatorId: userId, isActive: true },
+  });
+
+  if (!delegation) {
+    throw new NotFoundError('Delegation');
+  }
+
+  return prisma.approvalDelegation.update({
+    where: { id: delegationId },
+    data: { isActive: false },
+  });
+};
+
+/**
+ * Follow active delegations from an approver to whoever is covering for them
+ * @returns {string} Acting approver ID (the approver when nobody is covering)
+ */
+const resolveDelegate = async (businessId, approverId, type, at = new Date()) => {
+  const visited = new Set([approverId]);
+  let current = approverId;
+
+  for (let depth = 0; depth < MAX_DELEGATION_DEPTH; depth++) {
+    const delegation = await prisma.approvalDelegation.findFirst({
+      where: { ...activeDelegationWhere(businessId, type, at), delegatorId: current },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    if (!delegation || visited.has(delegation.delegateId)) break;
+
+    visited.add(delegation.delegateId);
+    current = delegation.delegateId;
+  }
+
+  return current;
+};
+
+/**
+ * Approvers a user is currently covering for
+ */
+const getDelegatorIds = async (businessId, delegateId, type, at = new Date()) => {
+  const delegations = await prisma.approvalDelegation.findMany({
+    where: { ...activeDelegationWhere(businessId, type, at), delegateId },
+    select: { delegatorId: true },
+  });
+
+  return delegations.map((delegation) => delegation.delegatorId);
+};
+
+// =============================================================================
+// CHAIN RESOLUTION
+// =============================================================================
+
+/**
+ * Resolve the candidate approvers of a policy step
+ */
+const resolveStepApprovers = async (businessId, step, context) => {
+  switch (step.approverType) {
+    case APPROVER_TYPE.USER:
+      return step.approverIds;
+
+    case APPROVER_TYPE.ROLE: {
+      const members = await prisma.businessMember.findMany({
+        where: { businessId, isActive: true, role: { in: step.roles } },
+        select: { userId: true },
+      });
+      return members.map((member) => member.userId);
+    }
+
+    case APPROVER_TYPE.AUTHORITY: {
+      const authorities = await prisma.approvalAuthority.findMany({
+        where: {
+          businessId,
+          isActive: true,
+          maxApprovalLimit: { gte: toNumber(context.amount) || 0 },
+        },
+        select: { userId: true, categories: true },
+      });
+      return authorities
+        .filter((authority) => overlaps(authority.categories, context.categoryIds || []))
+        .map((authority) => authority.userId);
+    }
+
+    default:
+      throw new BadRequestError(`Unknown approver type: ${step.approverType}`);
+  }
+};
+
+/**
+ * Turn a matched policy into levels of approver groups, applying delegation
+ * and keeping the requester out of their own chain
+ */
+const buildChain = async (businessId, policy, context) => {
+  const levels = new Map();
+  const orders = [...new Set(policy.steps.map((step) => step.stepOrder))].sort((a, b) => a - b);
+
+  for (const step of policy.steps) {
+    const level = policy.executionMode === EXECUTION_MODE.PARALLEL ? 1 : orders.indexOf(step.stepOrder) + 1;
+    const candidates = [...new Set(await resolveStepApprovers(businessId, step, context))]
+      .filter((userId) => userId !== context.requesterId);
+
+    const approvers = [];
+    for (const approverId of candidates) {
+      const actingId = await resolveDelegate(businessId, approverId, context.type);
+      if (actingId === context.requesterId || approvers.some((a) => a.approverId === actingId)) continue;
+      approvers.push({ approverId: actingId, delegatedFromId: actingId === approverId ? null : approverId });
+    }
+
+    if (approvers.length < step.requiredApprovals) {
+      throw new BadRequestError(
+        `Step "${step.name}" needs ${step.requiredApprovals} approval(s) but only ${approvers.length} `
+          + 'eligible approver(s) were found',
+      );
+    }
+
+    if (!levels.has(level)) levels.set(level, []);
+    levels.get(level).push({
+      policyStepId: step.id,
+      name: step.name,
+      quorum: step.requiredApprovals,
+      approvers,
+      escalateAfterHours: step.escalateAfterHours,
+      escalateToId: step.escalateToId,
+    });
+  }
+
+  return [...levels.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([level, groups]) => ({ level, groups }));
+};
+
+/**
+ * Evaluate active policies in priority order
+ * @returns {{policy: Object|null, evaluated: Array}}
+ */
+const matchPolicy = async (businessId, context) => {
+  const policies = await prisma.approvalPolicy.findMany({
+    where: { businessId, isActive: true },
+    include: POLICY_INCLUDE,
+    orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }],
+  });
+
+  const evaluated = [];
+  let matched = null;
+
+  for (const policy of policies) {
+    const reasons = evaluateConditions(policy, context);
+    const isMatch = !matched && reasons.length === 0;
+    evaluated.push({ policyId: policy.id, name: policy.name, priority: policy.priority, matched: isMatch, reasons });
+    if (isMatch) matched = policy;
+  }
+
+  return { policy: matched, evaluated };
+};
+
+/**
+ * Resolve the approval chain a request would get
+ * @param {string} businessId
+ * @param {Object} context - type, amount, requesterId, categoryIds, costCenter, department,
+ *   supplierId(s) or supplierRiskLevel
+ */
+const resolveChain = async (businessId, context) => {
+  const enriched = await buildContext(context);
+  const { policy } = await matchPolicy(businessId, enriched);
+
+  if (!policy) {
+    throw new BadRequestError('No approval policy matches this request');
+  }
+
+  return {
+    policyId: policy.id,
+    policyName: policy.name,
+    levels: await buildChain(businessId, policy, enriched),
+  };
+};
+
+/**
+ * Show which chain a request would get without creating it
+ */
+const dryRun = async (businessId, context) => {
+  const enriched = await buildContext(context);
+  const { policy, evaluated } = await matchPolicy(businessId, enriched);
+
+  const result = {
+    context: enriched,
+    evaluated,
+    matched: Boolean(policy),
+    policy: policy ? { id: policy.id, name: policy.name, executionMode: policy.executionMode } : null,
+    levels: [],
+    error: null,
+  };
+
+  if (policy) {
+    try {
+      result.levels = await buildChain(businessId, policy, enriched);
+    } catch (error) {
+      result.error = error.message;
+    }
+  }
+
+  return result;
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  EXECUTION_MODE,
+  APPROVER_TYPE,
+  evaluateConditions,
+  createPolicy,
+  getPolicy,
+  listPolicies,
+  updatePolicy,
+  deletePolicy,
+  createDelegation,
+  listDelegations,
+  revokeDelegation,
+  resolveDelegate,
+  getDelegatorIds,
+  resolveChain,
+  dryRun,
+};
@@ -0,0 +1,392 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - AUDIT CHAIN SERVICE
+// Signed Merkle checkpoints of the financial audit chain, anchored to an
+// append-only file; chain verification and offline-verifiable entry proofs
+// =============================================================================
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { prisma } = require('../config/database');
+const config = require('../config');
+const logger = require('../config/logger');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+const {
+  GENESIS_HASH,
+  hashAuditEntry,
+  chainPayload,
+  merkleRoot,
+  merkleProof,
+  checkpointPayload,
+  keyFingerprint,
+  verifyCheckpointSignature,
+} = require('../utils/hashChain');
+const emailService = require('./email.service');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const BREAK_TYPE = {
+  GAP: 'GAP', // Sequence missing: entry deleted
+  LINK: 'LINK', // previousHash does not match predecessor
+  HASH: 'HASH', // Entry content altered
+  CHECKPOINT: 'CHECKPOINT', // Checkpoint root, signature or anchor mismatch
+};
+
+const MAX_CHECKPOINT_ENTRIES = 50000;
+
+// =============================================================================
+// SIGNING KEY
+// =============================================================================
+
+let signingKey;
+
+const getSigningKey = () => {
+  if (signingKey === undefined) {
+    signingKey = config.audit.signingKey ? crypto.createPrivateKey(config.audit.signingKey) : null;
+  }
+  return signingKey;
+};
+
+const getPublicKeyPem = () => {
+  const key = getSigningKey();
+  return key ? crypto.createPublicKey(key).export({ type: 'spki', format: 'pem' }) : null;
+};
+
+const getKeyFingerprint = () => {
+  const key = getSigningKey();
+  return key ? keyFingerprint(key) : null;
+};
+
+// =============================================================================
+// ANCHOR FILE
+// =============================================================================
+
+// Relative paths resolve against the project root, not the process cwd, so
+// every worker appends to and verifies against the same file
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+
+const anchorFilePath = () => path.resolve(PROJECT_ROOT, config.audit.checkpointFile);
+
+const appendToAnchorFile = async (checkpoint) => {
+  const file = anchorFilePath();
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+  const line = JSON.stringify({
+    payload: checkpointPayload(checkpoint),
+    signature: checkpoint.signature,
+    keyFingerprint: checkpoint.keyFingerprint,
+  });
+
+  // 'a' opens for append only; existing lines are never rewritten
+  await fs.promises.appendFile(file, `${line}\n`, { flag: 'a' });
+};
+
+const readAnchorFile = async () => {
+  const file = anchorFilePath();
+
+  let content;
+  try {
+    content = await fs.promises.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Map();
+    throw error;
+  }
+
+  const anchors = new Map();
+  content.split('\n').filter(Boolean).forEach((line) => {
+    const anchor = JSON.parse(line);
+    anchors.set(JSON.parse(anchor.payload).toSequence, anchor);
+  });
+  return anchors;
+};
+
+// =============================================================================
+// CHECKPOINTS
+// =============================================================================
+
+/**
+ * Seal audit entries written since the last checkpoint under a signed Merkle
+ * root. The new segment must link to the previous one before it is sealed.
+ */
+const createCheckpoint = async () => {
+  const key = getSigningKey();
+  if (!key) {
+    throw new BadRequestError('AUDIT_SIGNING_PRIVATE_KEY is not configured; checkpoint not created');
+  }
+
+  const last = await prisma.auditCheckpoint.findFirst({ orderBy: { toSequence: 'desc' } });
+  const fromSequence = last ? last.toSequence + 1 : 1;
+
+  const entries = await prisma.financialAuditLog.findMany({
+    where: { sequence: { gte: fromSequence } },
+    orderBy: { sequence: 'asc' },
+    take: MAX_CHECKPOINT_ENTRIES,
+    select: { sequence: true, previousHash: true, integrityHash: true },
+  });
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const breaks = findSegmentBreaks(entries, fromSequence, last ? last.lastEntryHash : GENESIS_HASH);
+  if (breaks.length > 0) {
+    await raiseChainAlert(breaks);
+    throw new BadRequestError('Audit chain is broken; checkpoint not created');
+  }
+
+  const lastEntry = entries[entries.length - 1];
+  const checkpoint = {
+    fromSequence,
+    toSequence: lastEntry.sequence,
+    entryCount: entries.length,
+    merkleRoot: merkleRoot(entries.map((entry) => entry.integrityHash)),
+    lastEntryHash: lastEntry.integrityHash,
+    previousRoot: last ? last.merkleRoot : null,
+    createdAt: new Date(),
+  };
+
+  checkpoint.signature = crypto.sign(null, Buffer.from(checkpointPayload(checkpoint)), key).toString('base64');
+  checkpoint.keyFingerprint = getKeyFingerprint();
+
+  // Anchor inside the transaction so a failed write leaves no DB-only checkpoint
+  const created = await prisma.$transaction(async (tx) => {
+    const record = await tx.auditCheckpoint.create({ data: checkpoint });
+    await appendToAnchorFile(record);
+    return record;
+  });
+
+  logger.info('Audit checkpoint created', {
+    fromSequence,
+    toSequence: created.toSequence,
+    merkleRoot: created.merkleRoot,
+  });
+
+  return created;
+};
+
+// =============================================================================
+// VERIFICATION
+// =============================================================================
+
+/**
+ * Check sequence continuity and hash links within a run of entries
+ */
+function findSegmentBreaks(entries, expectedSequence, expectedPreviousHash) {
+  const breaks = [];
+  let sequence = expectedSequence;
+  let previousHash = expectedPreviousHash;
+
+  for (const entry of entries) {
+    if (entry.sequence !== sequence) {
+      breaks.push({ type: BREAK_TYPE.GAP, sequence, missingUntil: entry.sequence - 1 });
+    } else if (entry.previousHash !== previousHash) {
+      breaks.push({ type: BREAK_TYPE.LINK, sequence: entry.sequence });
+    }
+    sequence = entry.sequence + 1;
+    previousHash = entry.integrityHash;
+  }
+
+  return breaks;
+}
+
+/**
+ * Walk the whole chain, recomputing every hash and link
+ */
+const verifyEntries = async () => {
+  const batchSize = config.audit.verifyBatchSize;
+  const breaks = [];
+  let expectedSequence = 1;
+  let previousHash = GENESIS_HASH;
+  let checked = 0;
+
+  for (;;) {
+    const batch = await prisma.financialAuditLog.findMany({
+      where: { sequence: { gte: expectedSequence } },
+      orderBy: { sequence: 'asc' },
+      take: batchSize,
+    });
+    if (batch.length === 0) break;
+
+    breaks.push(...findSegmentBreaks(batch, expectedSequence, previousHash));
+    batch.forEach((entry) => {
+      if (hashAuditEntry(entry) !== entry.integrityHash) {
+        breaks.push({ type: BREAK_TYPE.HASH, sequence: entry.sequence, auditLogId: entry.id });
+      }
+    });
+
+    checked += batch.length;
+    const last = batch[batch.length - 1];
+    expectedSequence = last.sequence + 1;
+    previousHash = last.integrityHash;
+  }
+
+  return { checked, lastSequence: expectedSequence - 1, breaks };
+};
+
+/**
+ * Recompute each checkpoint's root and compare with its signature and anchor
+ */
+const verifyCheckpoints = async () => {
+  const [checkpoints, anchors] = await Promise.all([
+    prisma.auditCheckpoint.findMany({ orderBy: { toSequence: 'asc' } }),
+    readAnchorFile(),
+  ]);
+  const publicKey = getPublicKeyPem();
+  const breaks = [];
+
+  for (const checkpoint of checkpoints) {
+    const entries = await prisma.financialAuditLog.findMany({
+      where: { sequence: { gte: checkpoint.fromSequence, lte: checkpoint.toSequence } },
+      orderBy: { sequence: 'asc' },
+      select: { integrityHash: true },
+    });
+    const anchor = anchors.get(checkpoint.toSequence);
+    const problems = [];
+
+    if (merkleRoot(entries.map((entry) => entry.integrityHash)) !== checkpoint.merkleRoot) {
+      problems.push('Merkle root does not match entries');
+    }
+    if (publicKey && !verifyCheckpointSignature(checkpoint, publicKey)) {
+      problems.push('Invalid signature');
+    }
+    if (!anchor) {
+      problems.push('Missing from anchor file');
+    } else if (anchor.payload !== checkpointPayload(checkpoint)) {
+      problems.push('Differs from anchor file');
+    }
+    anchors.delete(checkpoint.toSequence);
+
+    if (problems.length > 0) {
+      breaks.push({ type: BREAK_TYPE.CHECKPOINT, toSequence: checkpoint.toSequence, problems });
+    }
+  }
+
+  // Anchored checkpoints that no longer exist in the database
+  anchors.forEach((anchor, toSequence) => {
+    breaks.push({ type: BREAK_TYPE.CHECKPOINT, toSequence, problems: ['Deleted from database'] });
+  });
+
+  return { checked: checkpoints.length, breaks };
+};
+
+/**
+ * Verify the full chain and checkpoints, alerting on any break
+ */
+const verifyChain = async () => {
+  const entries = await verifyEntries();
+  const checkpoints = await verifyCheckpoints();
+  const breaks = [...entries.breaks, ...checkpoints.breaks];
+
+  if (breaks.length > 0) {
+    await raiseChainAlert(breaks);
+  }
+
+  logger.info('Audit chain verified', {
+    entries: entries.checked,
+    checkpoints: checkpoints.checked,
+    breaks: breaks.length,
+  });
+
+  return {
+    valid: breaks.length === 0,
+    entriesChecked: entries.checked,
+    lastSequence: entries.lastSequence,
+    checkpointsChecked: checkpoints.checked,
+    breaks,
+    verifiedAt: new Date(),
+  };
+};
+
+const raiseChainAlert = async (breaks) => {
+  logger.error('Audit chain integrity breach', { breaks: breaks.slice(0, 20), count: breaks.length });
+
+  try {
+    await prisma.securityAlert.create({
+      data: {
+        type: 'AUDIT_CHAIN_BREAK',
+        severity: 'CRITICAL',
+        details: { count: breaks.length, breaks: breaks.slice(0, 100) },
+        status: 'NEW',
+      },
+    });
+
+    await emailService.sendEmail(
+      config.admin.email,
+      'CRITICAL: Financial audit chain integrity breach',
+      `<p>${breaks.length} break(s) detected in the financial audit chain.</p>`
+        + `<pre>${JSON.stringify(breaks.slice(0, 20), null, 2)}</pre>`,
+    );
+  } catch (error) {
+    logger.error('Failed to raise audit chain alert', { error: error.message });
+  }
+};
+
+// =============================================================================
+// PROOFS
+// =============================================================================
+
+/**
+ * Inclusion proof for an audit entry: the entry, its Merkle path to a signed
+ * checkpoint root and the public key, verifiable with utils/hashChain.verifyProof
+ * against the verifier's own copy of the key or its pinned fingerprint
+ */
+const getProof = async (auditLogId) => {
+  const entry = await prisma.financialAuditLog.findUnique({ where: { id: auditLogId } });
+
+  if (!entry) {
+    throw new NotFoundError('Audit log');
+  }
+  if (!entry.sequence) {
+    throw new BadRequestError('Entry predates the audit chain and has no proof');
+  }
+
+  const checkpoint = await prisma.auditCheckpoint.findFirst({
+    where: { fromSequence: { lte: entry.sequence }, toSequence: { gte: entry.sequence } },
+  });
+
+  if (!checkpoint) {
+    throw new BadRequestError('Entry is not yet covered by a checkpoint');
+  }
+
+  const segment = await prisma.financialAuditLog.findMany({
+    where: { sequence: { gte: checkpoint.fromSequence, lte: checkpoint.toSequence } },
+    orderBy: { sequence: 'asc' },
+    select: { integrityHash: true },
+  });
+  const leafIndex = entry.sequence - checkpoint.fromSequence;
+
+  return {
+    auditLogId,
+    entry: chainPayload(entry),
+    entryHash: entry.integrityHash,
+    leafIndex,
+    merkleProof: merkleProof(segment.map((row) => row.integrityHash), leafIndex),
+    checkpoint: {
+      fromSequence: checkpoint.fromSequence,
+      toSequence: checkpoint.toSequence,
+      entryCount: checkpoint.entryCount,
+      merkleRoot: checkpoint.merkleRoot,
+      lastEntryHash: checkpoint.lastEntryHash,
+      previousRoot: checkpoint.previousRoot,
+      createdAt: checkpoint.createdAt,
+      signature: checkpoint.signature,
+      keyFingerprint: checkpoint.keyFingerprint,
+    },
+    publicKey: getPublicKeyPem(),
+    algorithm: {
+      entryHash: 'sha256(canonical JSON of entry, keys sorted)',
+      leaf: 'sha256("00" + entryHash)',
+      node: 'sha256("01" + left + right)',
+      signature: 'Ed25519 over canonical checkpoint payload',
+    },
+  };
+};
+
+module.exports = {
+  BREAK_TYPE,
+  createCheckpoint,
+  verifyChain,
+  getProof,
+};
@@ -22,6 +22,7 @@ const {
   maskPhone,
   generateSlug,
 } = require('../utils/helpers');
+const { getTenantId } = require('../utils/tenantContext');
 const emailService = require('./email.service');
 const smsService = require('./sms.service');
 
@@ -48,8 +49,11 @@ const comparePassword = async (password, hash) => {
  * Generate auth tokens
  */
 const generateAuthTokens = async (user) => {
+  // Tokens issued on a white-label domain only work for that tenant
+  const tenantId = getTenantId();
+
   const accessToken = jwt.sign(
-    { userId: user.id, role: user.role },
+    { userId: user.id, role: user.role, ...(tenantId && { tenantId }) },
     config.jwt.secret,
     { expiresIn: config.jwt.expiresIn }
   );
@@ -655,6 +659,7 @@ module.exports = {
   updateProfile,
   getSessions,
   revokeSession,
+  generateAuthTokens,
   hashPassword,
   comparePassword,
 };
@@ -128,6 +128,57 @@ exports.lookupByBarcode = async (barcode, userId) => {
   }
 };
 
+/**
+ * Resolve a warehouse scan to one of the seller's bins or SKUs
+ * Accepts bin labels, SKUs, barcodes and the product QR from generateProductQR.
+ * @param {string} barcode - Scanned barcode or QR payload
+ * @param {string} businessId - Seller whose warehouse is being worked
+ * @param {string} userId - User scanning
+ * @returns {Promise<Object>} { type: 'BIN', bin } | { type: 'VARIANT', variant } | { type: 'UNKNOWN', barcode }
+ */
+exports.resolveWarehouseScan = async (barcode, businessId, userId) => {
+  if (!barcode || typeof barcode !== 'string') {
+    throw new AppError('Valid barcode is required', 400);
+  }
+
+  let cleanBarcode = barcode.trim();
+  let variantId;
+
+  // Internal QR labels carry ids rather than codes
+  try {
+    const parsed = JSON.parse(cleanBarcode);
+    if (parsed.type === 'BIN' && parsed.code) cleanBarcode = parsed.code;
+    if (parsed.type === 'PRODUCT') variantId = parsed.v;
+  } catch (e) {
+    // Not JSON, treat as a printed barcode
+  }
+  cleanBarcode = cleanBarcode.toUpperCase();
+
+  if (!variantId) {
+    const bin = await prisma.warehouseBin.findFirst({
+      where: { barcode: cleanBarcode, warehouse: { businessId } },
+      include: { zone: { select: { id: true, code: true, type: true } } },
+    });
+
+    if (bin) {
+      await logScan(userId, cleanBarcode, 'BIN_FOUND', null);
+      return { type: 'BIN', bin };
+    }
+  }
+
+  const variant = await prisma.productVariant.findFirst({
+    where: {
+      ...(variantId ? { id: variantId } : { OR: [{ sku: cleanBarcode }, { barcode: cleanBarcode }] }),
+      product: { businessId },
+    },
+    include: { product: { select: { id: true, name: true, lotTracked: true } } },
+  });
+
+  await logScan(userId, cleanBarcode, variant ? 'PRODUCT_FOUND' : 'NOT_FOUND', variant?.product.id || null);
+
+  return variant ? { type: 'VARIANT', variant } : { type: 'UNKNOWN', barcode: cleanBarcode };
+};
+
 // =============================================================================
 // QR CODE OPERATIONS
 // =============================================================================
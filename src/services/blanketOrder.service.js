@@ -6,6 +6,7 @@
 const { prisma } = require('../config/database');
 const logger = require('../config/logger');
 const { AppError } = require('../utils/errors');
+const budgetService = require('./budget.service');
 
 // =============================================================================
 // CONFIGURATION
@@ -67,6 +68,9 @@ exports.createBlanketOrder = async (buyerId, data) => {
       deliveryAddress,
       terms,
       notes,
+      businessId,
+      costCenter,
+      budgetCode,
     } = data;
 
     // Validate seller
@@ -139,6 +143,9 @@ exports.createBlanketOrder = async (buyerId, data) => {
         deliveryAddress,
         terms,
         notes,
+        businessId,
+        costCenter,
+        budgetCode,
         status: 'DRAFT',
       },
       include: {
@@ -503,6 +510,9 @@ exports.createRelease = async (orderId, userId, data) => {
         data: { orderId: order.id },
       });
 
+      // Encumber the release against the blanket order's budget
+      await budgetService.encumberRelease(blanketOrder, order, quantity * blanketOrder.unitPrice, userId, tx);
+
       return { release, order };
     });
 
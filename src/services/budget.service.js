@@ -0,0 +1,679 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - BUDGET SERVICE
+// Budgets per cost center, GL code and period. Approved requisitions commit,
+// purchase orders and blanket releases encumber, payments become actuals.
+// =============================================================================
+
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+const { generateId, roundTo } = require('../utils/helpers');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const MOVEMENT_TYPE = {
+  ALLOCATION: 'ALLOCATION',
+  REVISION: 'REVISION',
+  TRANSFER_IN: 'TRANSFER_IN',
+  TRANSFER_OUT: 'TRANSFER_OUT',
+  COMMITMENT: 'COMMITMENT',
+  COMMITMENT_RELEASE: 'COMMITMENT_RELEASE',
+  ENCUMBRANCE: 'ENCUMBRANCE',
+  ENCUMBRANCE_RELEASE: 'ENCUMBRANCE_RELEASE',
+  ACTUAL: 'ACTUAL',
+};
+
+const OVERSPEND_POLICY = {
+  BLOCK: 'BLOCK',
+  REQUIRE_APPROVAL: 'REQUIRE_APPROVAL',
+  ALLOW: 'ALLOW',
+};
+
+const BUDGET_STATUS = {
+  ACTIVE: 'ACTIVE',
+  FROZEN: 'FROZEN',
+  CLOSED: 'CLOSED',
+};
+
+const SOURCE_TYPE = {
+  REQUISITION: 'REQUISITION',
+  ORDER: 'ORDER',
+  TRANSFER: 'TRANSFER',
+};
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+const toNumber = (value) => roundTo(parseFloat(value || 0));
+
+/**
+ * Budget figures as numbers, with what is still available to commit
+ */
+const summarize = (budget) => {
+  const allocated = toNumber(budget.allocatedAmount);
+  const committed = toNumber(budget.committedAmount);
+  const encumbered = toNumber(budget.encumberedAmount);
+  const actual = toNumber(budget.actualAmount);
+  const consumed = roundTo(committed + encumbered + actual);
+
+  return {
+    allocated,
+    committed,
+    encumbered,
+    actual,
+    consumed,
+    available: roundTo(allocated - consumed),
+    utilizationPercent: allocated > 0 ? roundTo((consumed / allocated) * 100) : 0,
+  };
+};
+
+const withSummary = (budget) => ({ ...budget, summary: summarize(budget) });
+
+/**
+ * Apply a movement to a budget's running totals. Idempotent on reference;
+ * the budget row is locked so availability checks and updates serialize.
+ * @param {Object|Function} build - Movement, or builder given the locked budget (may throw)
+ */
+const applyMovement = async (tx, budgetId, build) => {
+  await tx.$queryRaw`SELECT id FROM budgets WHERE id = ${budgetId} FOR UPDATE`;
+  const budget = await tx.budget.findUnique({ where: { id: budgetId } });
+  const movement = typeof build === 'function' ? build(budget) : build;
+
+  const existing = await tx.budgetMovement.findUnique({ where: { reference: movement.reference } });
+  if (existing) {
+    return { movement: existing, budget, duplicate: true };
+  }
+
+  const deltas = {
+    allocatedDelta: roundTo(movement.allocatedDelta || 0),
+    committedDelta: roundTo(movement.committedDelta || 0),
+    encumberedDelta: roundTo(movement.encumberedDelta || 0),
+    actualDelta: roundTo(movement.actualDelta || 0),
+  };
+
+  const created = await tx.budgetMovement.create({
+    data: { ...movement, ...deltas, budgetId },
+  });
+
+  const updated = await tx.budget.update({
+    where: { id: budgetId },
+    data: {
+      allocatedAmount: { increment: deltas.allocatedDelta },
+      committedAmount: { increment: deltas.committedDelta },
+      encumberedAmount: { increment: deltas.encumberedDelta },
+      actualAmount: { increment: deltas.actualDelta },
+    },
+  });
+
+  return { movement: created, budget: updated, duplicate: false };
+};
+
+const inTransaction = (tx, fn) => (tx ? fn(tx) : prisma.$transaction(fn));
+
+/**
+ * Net open amount per budget left by a source's movements
+ */
+const openAmounts = async (client, sourceType, sourceId, field) => {
+  const movements = await client.budgetMovement.findMany({
+    where: { sourceType, sourceId },
+    select: { budgetId: true, [field]: true },
+  });
+
+  const totals = new Map();
+  movements.forEach((movement) => {
+    totals.set(movement.budgetId, roundTo((totals.get(movement.budgetId) || 0) + toNumber(movement[field])));
+  });
+
+  return [...totals.entries()]
+    .filter(([, amount]) => amount > 0)
+    .map(([budgetId, amount]) => ({ budgetId, amount }));
+};
+
+// =============================================================================
+// BUDGET MANAGEMENT
+// =============================================================================
+
+/**
+ * Create budget with its opening allocation
+ */
+const createBudget = async (businessId, userId, data) => {
+  const { amount, ...fields } = data;
+
+  if (new Date(fields.periodEnd) <= new Date(fields.periodStart)) {
+    throw new BadRequestError('Budget period must end after it starts');
+  }
+
+  const overlapping = await prisma.budget.findFirst({
+    where: {
+      businessId,
+      costCenter: fields.costCenter,
+      glCode: fields.glCode,
+      status: { not: BUDGET_STATUS.CLOSED },
+      periodStart: { lte: new Date(fields.periodEnd) },
+      periodEnd: { gte: new Date(fields.periodStart) },
+    },
+  });
+
+  if (overlapping) {
+    throw new BadRequestError(`Budget ${overlapping.name} already covers this cost center and GL code in the period`);
+  }
+
+  const id = generateId();
+  const budget = await prisma.budget.create({
+    data: {
+      ...fields,
+      id,
+      businessId,
+      periodStart: new Date(fields.periodStart),
+      periodEnd: new Date(fields.periodEnd),
+      originalAmount: amount,
+      allocatedAmount: amount,
+      createdBy: userId,
+      movements: {
+        create: {
+          type: MOVEMENT_TYPE.ALLOCATION,
+          reference: `ALLOC:${id}`,
+          allocatedDelta: amount,
+          reason: 'Opening allocation',
+          createdBy: userId,
+        },
+      },
+    },
+  });
+
+  logger.info('Budget created', { budgetId: budget.id, businessId, costCenter: budget.costCenter });
+
+  return withSummary(budget);
+};
+
+/**
+ * Get budget with availability
+ */
+const getBudget = async (businessId, budgetId) => {
+  const budget = await prisma.budget.findFirst({
+    where: { id: budgetId, businessId },
+  });
+
+  if (!budget) {
+    throw new NotFoundError('Budget');
+  }
+
+  return withSummary(budget);
+};
+
+/**
+ * List budgets
+ */
+const listBudgets = async (businessId, filters = {}) => {
+  const { costCenter, glCode, status, activeOn } = filters;
+  const where = { businessId };
+
+  if (costCenter) where.costCenter = costCenter;
+  if (glCode) where.glCode = glCode;
+  if (status) where.status = status;
+  if (activeOn) {
+    where.periodStart = { lte: new Date(activeOn) };
+    where.periodEnd = { gte: new Date(activeOn) };
+  }
+
+  const budgets = await prisma.budget.findMany({
+    where,
+    orderBy: [{ periodStart: 'desc' }, { costCenter: 'asc' }, { glCode: 'asc' }],
+  });
+
+  return budgets.map(withSummary);
+};
+
+/**
+ * Update budget controls. Amounts change only through revisions and transfers.
+ */
+const updateBudget = async (businessId, budgetId, data) => {
+  await getBudget(businessId, budgetId);
+
+  const budget = await prisma.budget.update({
+    where: { id: budgetId },
+    data,
+  });
+
+  return withSummary(budget);
+};
+
+/**
+ * Movement history of a budget
+ */
+const getMovements = async (businessId, budgetId, pagination = {}) => {
+  const { page = 1, limit = 50 } = pagination;
+  await getBudget(businessId, budgetId);
+
+  const [movements, total] = await Promise.all([
+    prisma.budgetMovement.findMany({
+      where: { budgetId },
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.budgetMovement.count({ where: { budgetId } }),
+  ]);
+
+  return {
+    movements,
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  };
+};
+
+/**
+ * Mid-period revision of the allocated amount
+ */
+const reviseBudget = async (businessId, budgetId, userId, { newAmount, reason }) => {
+  await getBudget(businessId, budgetId);
+
+  const { budget } = await prisma.$transaction((tx) => applyMovement(tx, budgetId, (current) => {
+    const { consumed, allocated } = summarize(current);
+    if (newAmount < consumed) {
+      throw new BadRequestError(`Budget cannot be revised below the ${consumed} already consumed`);
+    }
+
+    return {
+      type: MOVEMENT_TYPE.REVISION,
+      reference: `REVISION:${budgetId}:${generateId()}`,
+      allocatedDelta: newAmount - allocated,
+      reason,
+      createdBy: userId,
+    };
+  }));
+
+  logger.info('Budget revised', { budgetId, newAmount, reason });
+
+  return withSummary(budget);
+};
+
+/**
+ * Move allocation between budgets (e.g. between cost centers)
+ */
+const transferBudget = async (businessId, userId, { fromBudgetId, toBudgetId, amount, reason }) => {
+  if (fromBudgetId === toBudgetId) {
+    throw new BadRequestError('Cannot transfer within the same budget');
+  }
+
+  const [from, to] = await Promise.all([getBudget(businessId, fromBudgetId), getBudget(businessId, toBudgetId)]);
+
+  if (from.currency !== to.currency) {
+    throw new BadRequestError('Budgets must share a currency');
+  }
+
+  const transferId = generateId();
+
+  // Lock in id order to avoid deadlocks between opposite transfers
+  const [first, second] = [from.id, to.id].sort();
+  const legs = {
+    [from.id]: {
+      type: MOVEMENT_TYPE.TRANSFER_OUT,
+      reference: `TRANSFER:${transferId}:OUT`,
+      allocatedDelta: -amount,
+    },
+    [to.id]: {
+      type: MOVEMENT_TYPE.TRANSFER_IN,
+      reference: `TRANSFER:${transferId}:IN`,
+      allocatedDelta: amount,
+    },
+  };
+
+  const results = await prisma.$transaction(async (tx) => {
+    const applied = {};
+    for (const budgetId of [first, second]) {
+      applied[budgetId] = await applyMovement(tx, budgetId, (current) => {
+        const { available } = summarize(current);
+        if (budgetId === from.id && available < amount) {
+          throw new BadRequestError(`Only ${available} is available to transfer`);
+        }
+
+        return {
+          ...legs[budgetId],
+          sourceType: SOURCE_TYPE.TRANSFER,
+          sourceId: transferId,
+          reason,
+          createdBy: userId,
+        };
+      });
+    }
+    return applied;
+  });
+
+  logger.info('Budget transferred', { transferId, fromBudgetId, toBudgetId, amount });
+
+  return {
+    transferId,
+    from: withSummary(results[from.id].budget),
+    to: withSummary(results[to.id].budget),
+  };
+};
+
+// =============================================================================
+// BUDGET CONTROL
+// =============================================================================
+
+/**
+ * Active budget for a cost center and GL code on a date
+ */
+const findBudget = (businessId, costCenter, glCode, at = new Date()) => prisma.budget.findFirst({
+  where: {
+    businessId,
+    costCenter,
+    glCode,
+    status: { not: BUDGET_STATUS.CLOSED },
+    periodStart: { lte: at },
+    periodEnd: { gte: at },
+  },
+});
+
+/**
+ * Check an amount against the budget for a cost center and GL code
+ * @returns {Promise<Object|null>} Null when the spend is not budget-controlled
+ */
+const checkAvailability = async (businessId, { costCenter, glCode, amount }) => {
+  if (!glCode) {
+    return null;
+  }
+
+  if (!costCenter) {
+    throw new BadRequestError('A cost center is required with a budget code');
+  }
+
+  const budget = await findBudget(businessId, costCenter, glCode);
+  if (!budget) {
+    throw new BadRequestError(`No budget for cost center ${costCenter} and budget code ${glCode} in this period`);
+  }
+
+  if (budget.status === BUDGET_STATUS.FROZEN) {
+    throw new BadRequestError(`Budget ${budget.name} is frozen`);
+  }
+
+  const summary = summarize(budget);
+  const tolerance = roundTo(summary.allocated * (toNumber(budget.tolerancePercent) / 100));
+  const overspendAmount = roundTo(Math.max(0, amount - summary.available));
+  const overspend = amount > summary.available + tolerance;
+
+  let action = 'OK';
+  if (overspend) action = budget.overspendPolicy;
+
+  return {
+    budget,
+    amount,
+    ...summary,
+    tolerance,
+    overspend,
+    overspendAmount,
+    action,
+  };
+};
+
+/**
+ * Commit an approved requisition against its budget
+ */
+const commitRequisition = async (requisition, amount, userId, tx) => {
+  if (!requisition.budgetCode) return null;
+
+  const budget = await (tx || prisma).budget.findFirst({
+    where: {
+      businessId: requisition.businessId,
+      costCenter: requisition.costCenter,
+      glCode: requisition.budgetCode,
+      status: { not: BUDGET_STATUS.CLOSED },
+      periodStart: { lte: new Date() },
+      periodEnd: { gte: new Date() },
+    },
+  });
+
+  if (!budget) {
+    logger.warn('No budget to commit requisition against', { requisitionId: requisition.id });
+    return null;
+  }
+
+  const result = await inTransaction(tx, (client) => applyMovement(client, budget.id, {
+    type: MOVEMENT_TYPE.COMMITMENT,
+    reference: `COMMIT:${requisition.id}`,
+    committedDelta: amount,
+    sourceType: SOURCE_TYPE.REQUISITION,
+    sourceId: requisition.id,
+    createdBy: userId,
+  }));
+
+  logger.info('Requisition committed to budget', { requisitionId: requisition.id, budgetId: budget.id, amount });
+
+  return result;
+};
+
+/**
+ * Release what remains of a requisition's commitment
+ */
+const releaseCommitment = (requisitionId, reason, tx) => inTransaction(tx, async (client) => {
+  const open = await openAmounts(client, SOURCE_TYPE.REQUISITION, requisitionId, 'committedDelta');
+
+  const results = [];
+  for (const { budgetId, amount } of open) {
+    results.push(await applyMovement(client, budgetId, {
+      type: MOVEMENT_TYPE.COMMITMENT_RELEASE,
+      reference: `COMMIT_RELEASE:${requisitionId}`,
+      committedDelta: -amount,
+      sourceType: SOURCE_TYPE.REQUISITION,
+      sourceId: requisitionId,
+      reason,
+    }));
+  }
+  return results;
+});
+
+/**
+ * Encumber a purchase order created from an approved requisition: the
+ * requisition's commitment turns into an encumbrance on the same budget
+ */
+const encumberFromRequisition = (requisitionId, order, amount, userId, tx) => inTransaction(tx, async (client) => {
+  const open = await openAmounts(client, SOURCE_TYPE.REQUISITION, requisitionId, 'committedDelta');
+  if (open.length === 0) return null;
+
+  const [{ budgetId }] = open;
+  await releaseCommitment(requisitionId, `Converted to PO ${order.orderNumber}`, client);
+
+  return applyMovement(client, budgetId, {
+    type: MOVEMENT_TYPE.ENCUMBRANCE,
+    reference: `ENCUMBER:${order.id}`,
+    encumberedDelta: amount,
+    sourceType: SOURCE_TYPE.ORDER,
+    sourceId: order.id,
+    reason: `PO ${order.orderNumber} from requisition`,
+    createdBy: userId,
+  });
+});
+
+/**
+ * Encumber a blanket order release against the blanket order's budget
+ */
+const encumberRelease = async (blanketOrder, order, amount, userId, tx) => {
+  if (!blanketOrder.businessId || !blanketOrder.budgetCode) return null;
+
+  const check = await checkAvailability(blanketOrder.businessId, {
+    costCenter: blanketOrder.costCenter,
+    glCode: blanketOrder.budgetCode,
+    amount,
+  });
+
+  if (check.action === OVERSPEND_POLICY.BLOCK) {
+    throw new BadRequestError(
+      `Release exceeds budget ${check.budget.name}: ${check.available} available, ${amount} requested`,
+    );
+  }
+
+  return inTransaction(tx, (client) => applyMovement(client, check.budget.id, {
+    type: MOVEMENT_TYPE.ENCUMBRANCE,
+    reference: `ENCUMBER:${order.id}`,
+    encumberedDelta: amount,
+    sourceType: SOURCE_TYPE.ORDER,
+    sourceId: order.id,
+    reason: `Release of blanket order ${blanketOrder.orderNumber}`,
+    createdBy: userId,
+  }));
+};
+
+/**
+ * Turn a paid order's encumbrance into actual spend
+ * @returns {Promise<Object|null>} Null when the order is not budget-controlled
+ */
+const recordActual = (orderId, amount, paymentId, tx) => inTransaction(tx, async (client) => {
+  const open = await openAmounts(client, SOURCE_TYPE.ORDER, orderId, 'encumberedDelta');
+  if (open.length === 0) return null;
+
+  const [{ budgetId, amount: encumbered }] = open;
+  const paid = toNumber(amount);
+
+  return applyMovement(client, budgetId, {
+    type: MOVEMENT_TYPE.ACTUAL,
+    reference: `ACTUAL:${paymentId}`,
+    encumberedDelta: -Math.min(encumbered, paid),
+    actualDelta: paid,
+    sourceType: SOURCE_TYPE.ORDER,
+    sourceId: orderId,
+    reason: `Payment ${paymentId}`,
+  });
+});
+
+/**
+ * Release what remains of an order's encumbrance (cancellation)
+ */
+const releaseEncumbrance = (orderId, reason, tx) => inTransaction(tx, async (client) => {
+  const open = await openAmounts(client, SOURCE_TYPE.ORDER, orderId, 'encumberedDelta');
+
+  const results = [];
+  for (const { budgetId, amount } of open) {
+    results.push(await applyMovement(client, budgetId, {
+      type: MOVEMENT_TYPE.ENCUMBRANCE_RELEASE,
+      reference: `ENCUMBER_RELEASE:${orderId}`,
+      encumberedDelta: -amount,
+      sourceType: SOURCE_TYPE.ORDER,
+      sourceId: orderId,
+      reason,
+    }));
+  }
+  return results;
+});
+
+/**
+ * Reverse a refunded order's actual spend
+ */
+const reverseActual = (orderId, reason, tx) => inTransaction(tx, async (client) => {
+  const spent = await openAmounts(client, SOURCE_TYPE.ORDER, orderId, 'actualDelta');
+
+  const results = [];
+  for (const { budgetId, amount } of spent) {
+    results.push(await applyMovement(client, budgetId, {
+      type: MOVEMENT_TYPE.ACTUAL,
+      reference: `ACTUAL_REVERSAL:${orderId}`,
+      actualDelta: -amount,
+      sourceType: SOURCE_TYPE.ORDER,
+      sourceId: orderId,
+      reason,
+    }));
+  }
+  return results;
+});
+
+// =============================================================================
+// REPORTING
+// =============================================================================
+
+/**
+ * Budget vs actual per budget, with cost center subtotals
+ */
+const getBudgetVsActual = async (businessId, filters = {}) => {
+  const { periodStart, periodEnd, costCenter, glCode } = filters;
+  const where = { businessId };
+
+  if (costCenter) where.costCenter = costCenter;
+  if (glCode) where.glCode = glCode;
+  if (periodStart) where.periodEnd = { gte: new Date(periodStart) };
+  if (periodEnd) where.periodStart = { lte: new Date(periodEnd) };
+
+  const budgets = await prisma.budget.findMany({
+    where,
+    orderBy: [{ costCenter: 'asc' }, { glCode: 'asc' }, { periodStart: 'asc' }],
+  });
+
+  const blank = () => ({ original: 0, allocated: 0, committed: 0, encumbered: 0, actual: 0, available: 0 });
+  const add = (target, row) => {
+    Object.keys(target).forEach((key) => {
+      target[key] = roundTo(target[key] + row[key]);
+    });
+  };
+
+  const costCenters = new Map();
+  const totals = blank();
+
+  const rows = budgets.map((budget) => {
+    const summary = summarize(budget);
+    const row = {
+      budgetId: budget.id,
+      name: budget.name,
+      costCenter: budget.costCenter,
+      glCode: budget.glCode,
+      periodStart: budget.periodStart,
+      periodEnd: budget.periodEnd,
+      status: budget.status,
+      original: toNumber(budget.originalAmount),
+      allocated: summary.allocated,
+      committed: summary.committed,
+      encumbered: summary.encumbered,
+      actual: summary.actual,
+      available: summary.available,
+      variance: roundTo(summary.allocated - summary.actual),
+      actualPercent: summary.allocated > 0 ? roundTo((summary.actual / summary.allocated) * 100) : 0,
+      utilizationPercent: summary.utilizationPercent,
+      overspent: summary.available < 0,
+    };
+
+    if (!costCenters.has(budget.costCenter)) costCenters.set(budget.costCenter, blank());
+    add(costCenters.get(budget.costCenter), row);
+    add(totals, row);
+
+    return row;
+  });
+
+  return {
+    rows,
+    byCostCenter: [...costCenters.entries()].map(([name, figures]) => ({
+      costCenter: name,
+      ...figures,
+      variance: roundTo(figures.allocated - figures.actual),
+    })),
+    totals: { ...totals, variance: roundTo(totals.allocated - totals.actual) },
+    generatedAt: new Date(),
+  };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  MOVEMENT_TYPE,
+  OVERSPEND_POLICY,
+  BUDGET_STATUS,
+  SOURCE_TYPE,
+  createBudget,
+  getBudget,
+  listBudgets,
+  updateBudget,
+  getMovements,
+  reviseBudget,
+  transferBudget,
+  checkAvailability,
+  commitRequisition,
+  releaseCommitment,
+  encumberFromRequisition,
+  encumberRelease,
+  recordActual,
+  releaseEncumbrance,
+  reverseActual,
+  getBudgetVsActual,
+};
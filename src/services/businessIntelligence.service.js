@@ -7,6 +7,7 @@ const { prisma } = require('../config/database');
 const logger = require('../config/logger');
 const { AppError } = require('../utils/errors');
 const Decimal = require('decimal.js');
+const { movingAverage, exponentialSmoothing, linearTrend, standardDeviation } = require('../utils/statistics');
 
 // =============================================================================
 // CONFIGURATION
@@ -698,9 +699,8 @@ function fillMissingDates(data, startDate, endDate) {
 
 function calculateMovingAverageForecast(data, days, window = 7) {
   const forecast = [];
-  const lastNDays = data.slice(-window);
-  const avgRevenue = lastNDays.reduce((sum, d) => sum + parseFloat(d.revenue || 0), 0) / window;
-  const avgOrders = lastNDays.reduce((sum, d) => sum + parseInt(d.orders || 0), 0) / window;
+  const avgRevenue = movingAverage(data.map((d) => parseFloat(d.revenue || 0)), window);
+  const avgOrders = movingAverage(data.map((d) => parseInt(d.orders || 0)), window);
 
   for (let i = 1; i <= days; i++) {
     const date = new Date(Date.now() + i * 24 * 60 * 60 * 1000);
@@ -716,8 +716,7 @@ function calculateMovingAverageForecast(data, days, window = 7) {
 
 function calculateExponentialSmoothingForecast(data, days, alpha = 0.3) {
   const forecast = [];
-  const lastValue = parseFloat(data[data.length - 1]?.revenue || 0);
-  let smoothed = lastValue;
+  const smoothed = exponentialSmoothing(data.map((d) => parseFloat(d.revenue || 0)), alpha);
 
   for (let i = 1; i <= days; i++) {
     const date = new Date(Date.now() + i * 24 * 60 * 60 * 1000);
@@ -726,7 +725,6 @@ function calculateExponentialSmoothingForecast(data, days, alpha = 0.3) {
       revenue: Math.round(smoothed),
       orders: Math.round(smoothed / 1000), // Rough estimate
     });
-    smoothed = alpha * lastValue + (1 - alpha) * smoothed;
   }
 
   return forecast;
@@ -734,18 +732,7 @@ function calculateExponentialSmoothingForecast(data, days, alpha = 0.3) {
 
 function calculateLinearRegressionForecast(data, days) {
   const n = data.length;
-  let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
-
-  data.forEach((d, i) => {
-    const revenue = parseFloat(d.revenue || 0);
-    sumX += i;
-    sumY += revenue;
-    sumXY += i * revenue;
-    sumX2 += i * i;
-  });
-
-  const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
-  const intercept = (sumY - slope * sumX) / n;
+  const { intercept, slope } = linearTrend(data.map((d) => parseFloat(d.revenue || 0)));
 
   const forecast = [];
   for (let i = 1; i <= days; i++) {
@@ -763,7 +750,7 @@ function calculateLinearRegressionForecast(data, days) {
 
 function addConfidenceIntervals(forecast, historical) {
   const revenues = historical.map((d) => parseFloat(d.revenue || 0));
-  const stdDev = calculateStdDev(revenues);
+  const stdDev = standardDeviation(revenues);
 
   return forecast.map((f) => ({
     ...f,
@@ -773,13 +760,6 @@ function addConfidenceIntervals(forecast, historical) {
   }));
 }
 
-function calculateStdDev(values) {
-  const n = values.length;
-  const mean = values.reduce((sum, v) => sum + v, 0) / n;
-  const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / n;
-  return Math.sqrt(variance);
-}
-
 function determineTrend(data) {
   const last7 = data.slice(-7);
   const prev7 = data.slice(-14, -7);
@@ -3,11 +3,12 @@
  * Handles shopping cart operations with Redis caching for performance
  */
 
-const prisma = require('../config/database');
+const { prisma } = require('../config/database');
 const { cache, inventory } = require('../config/redis');
 const { NotFoundError, BadRequestError, InsufficientStockError } = require('../utils/errors');
 const { parsePagination } = require('../utils/helpers');
 const logger = require('../config/logger');
+const contractPricingService = require('./contractPricing.service');
 
 // Cart expiry in seconds (7 days)
 const CART_EXPIRY = 7 * 24 * 60 * 60;
@@ -41,6 +42,7 @@ class CartService {
                 images: true,
                 minOrderQuantity: true,
                 status: true,
+                businessId: true,
               },
             },
             variant: {
@@ -78,7 +80,7 @@ class CartService {
       await this.mergeSessionCart(userId, sessionId);
     }
 
-    return this.enrichCart(cart);
+    return this.enrichCart(await this.applyContractPricing(cart));
   }
 
   /**
@@ -130,7 +132,7 @@ class CartService {
       throw new NotFoundError('Cart not found');
     }
 
-    return this.enrichCart(cart);
+    return this.enrichCart(await this.applyContractPricing(cart));
   }
 
   /**
@@ -201,6 +203,7 @@ class CartService {
     if (existingItem) {
       // Update quantity
       const newQuantity = existingItem.quantity + quantity;
+      const unitPrice = await this.resolveUnitPrice(cartId, product, variant, newQuantity);
 
       // Re-check stock for new total
       if (variant.trackInventory && !variant.allowBackorder) {
@@ -216,7 +219,7 @@ class CartService {
         where: { id: existingItem.id },
         data: {
           quantity: newQuantity,
-          unitPrice: variant.basePrice,
+          unitPrice,
           notes: notes || existingItem.notes,
         },
       });
@@ -228,7 +231,7 @@ class CartService {
           productId,
           variantId,
           quantity,
-          unitPrice: variant.basePrice,
+          unitPrice: await this.resolveUnitPrice(cartId, product, variant, quantity),
           notes,
         },
       });
@@ -252,10 +255,11 @@ class CartService {
       where: { id: itemId, cartId },
       include: {
         product: {
-          select: { minOrderQuantity: true },
+          select: { id: true, minOrderQuantity: true, businessId: true },
         },
         variant: {
           select: {
+            id: true,
             stockQuantity: true,
             trackInventory: true,
             allowBackorder: true,
@@ -294,7 +298,8 @@ class CartService {
       where: { id: itemId },
       data: {
         quantity,
-        unitPrice: item.variant.basePrice, // Update price in case it changed
+        // Update price in case it changed
+        unitPrice: await this.resolveUnitPrice(cartId, item.product, item.variant, quantity),
       },
     });
 
@@ -406,14 +411,14 @@ class CartService {
         });
       }
 
-      // Check price changes
-      if (item.unitPrice !== item.variant.basePrice) {
+      // Check price changes (contract or catalog)
+      if (item.priceChanged) {
         warnings.push({
           type: 'PRICE_CHANGED',
           itemId: item.id,
           message: `Price changed for ${item.product.name}`,
           oldPrice: item.unitPrice,
-          newPrice: item.variant.basePrice,
+          newPrice: item.currentPrice,
         });
       }
 
@@ -427,7 +432,7 @@ class CartService {
         };
       }
       sellerGroups[sellerId].items.push(item);
-      sellerGroups[sellerId].subtotal += item.quantity * item.variant.basePrice;
+      sellerGroups[sellerId].subtotal += item.itemTotal;
     }
 
     // Check seller-specific minimums
@@ -555,6 +560,51 @@ class CartService {
     return result.count;
   }
 
+  /**
+   * Unit price for a cart line: the buyer's contract price with the
+   * product's seller when one applies, otherwise the catalog price
+   */
+  async resolveUnitPrice(cartId, product, variant, quantity) {
+    const cart = await prisma.cart.findUnique({
+      where: { id: cartId },
+      select: { businessId: true },
+    });
+
+    const prices = await contractPricingService.resolvePrices(cart?.businessId, product.businessId, [
+      { productId: product.id, variantId: variant.id, quantity },
+    ]);
+
+    return prices.get(variant.id)?.unitPrice ?? variant.basePrice;
+  }
+
+  /**
+   * Attach contract prices to cart items, per seller
+   */
+  async applyContractPricing(cart) {
+    if (!cart.businessId || !cart.items?.length) {
+      return cart;
+    }
+
+    const bySeller = new Map();
+    cart.items.forEach((item) => {
+      const sellerId = item.product?.businessId;
+      if (!sellerId) return;
+      if (!bySeller.has(sellerId)) bySeller.set(sellerId, []);
+      bySeller.get(sellerId).push(item);
+    });
+
+    const prices = new Map();
+    for (const [sellerId, items] of bySeller) {
+      const sellerPrices = await contractPricingService.resolvePrices(cart.businessId, sellerId, items);
+      sellerPrices.forEach((price, key) => prices.set(key, price));
+    }
+
+    return {
+      ...cart,
+      items: cart.items.map((item) => ({ ...item, contractPrice: prices.get(item.variantId) || null })),
+    };
+  }
+
   /**
    * Enrich cart with calculated totals
    */
@@ -564,7 +614,7 @@ class CartService {
     let totalQuantity = 0;
 
     const enrichedItems = cart.items.map((item) => {
-      const currentPrice = item.variant?.basePrice || item.unitPrice;
+      const currentPrice = item.contractPrice?.unitPrice ?? (item.variant?.basePrice || item.unitPrice);
       const itemTotal = item.quantity * currentPrice;
       const priceChanged = item.unitPrice !== currentPrice;
 
@@ -7,6 +7,8 @@ const { prisma } = require('../config/database');
 const logger = require('../config/logger');
 const { AppError, BadRequestError, NotFoundError } = require('../utils/errors');
 const Decimal = require('decimal.js');
+const taxWithholdingService = require('./taxWithholding.service');
+const ledgerService = require('./ledger.service');
 
 // =============================================================================
 // CONFIGURATION
@@ -116,26 +118,31 @@ exports.calculateOrderCommission = async (order, options = {}) => {
       commissionRate = Math.max(0, commissionRate - tierDiscount);
     }
 
-    // Calculate commission amount
-    const commissionAmount = orderAmount.times(commissionRate).dividedBy(100);
+    // Calculate commission amount (each component rounded so the ledger balances)
+    const commissionAmount = orderAmount.times(commissionRate).dividedBy(100).toDecimalPlaces(2);
 
     // Calculate payment processing fee
     let paymentFee = new Decimal(0);
     if (includePaymentFee && order.paymentMethod) {
       const paymentFeeRate = PAYMENT_FEES[order.paymentMethod] || PAYMENT_FEES.NET_BANKING;
-      paymentFee = orderAmount.times(paymentFeeRate).dividedBy(100);
+      paymentFee = orderAmount.times(paymentFeeRate).dividedBy(100).toDecimalPlaces(2);
     }
 
     // Calculate GST on commission (18%)
     const gstRate = 18;
-    const commissionGst = commissionAmount.times(gstRate).dividedBy(100);
-    const paymentFeeGst = paymentFee.times(gstRate).dividedBy(100);
+    const commissionGst = commissionAmount.times(gstRate).dividedBy(100).toDecimalPlaces(2);
+    const paymentFeeGst = paymentFee.times(gstRate).dividedBy(100).toDecimalPlaces(2);
 
     // Total platform fees
     const totalFees = commissionAmount.plus(commissionGst).plus(paymentFee).plus(paymentFeeGst);
 
+    // Statutory withholding (GST TCS, 194-O TDS) held back from the seller
+    const withholding = taxWithholdingService.calculateWithholding({ ...order, seller });
+    const tcsAmount = new Decimal(withholding.tcs ? withholding.tcs.amount : 0);
+    const tdsAmount = new Decimal(withholding.tds.amount);
+
     // Seller payout amount
-    const sellerPayout = orderAmount.minus(totalFees);
+    const sellerPayout = orderAmount.minus(totalFees).minus(tcsAmount).minus(tdsAmount);
 
     const breakdown = {
       orderId: order.id,
@@ -153,6 +160,12 @@ exports.calculateOrderCommission = async (order, options = {}) => {
       paymentFee: paymentFee.toFixed(2),
       paymentFeeGst: paymentFeeGst.toFixed(2),
       
+      // Statutory withholding
+      tcsRate: withholding.tcs ? withholding.tcs.rate : 0,
+      tcsAmount: tcsAmount.toFixed(2),
+      tdsRate: withholding.tds.rate,
+      tdsAmount: tdsAmount.toFixed(2),
+
       // Totals
       totalPlatformFees: totalFees.toFixed(2),
       sellerPayout: sellerPayout.toFixed(2),
@@ -275,28 +288,37 @@ exports.recordCommission = async (orderId) => {
     // Calculate commission
     const breakdown = await exports.calculateOrderCommission(order);
 
-    // Create commission record
-    const record = await prisma.commissionRecord.create({
-      data: {
-        orderId,
-        sellerId: order.sellerId,
-        buyerId: order.buyerId,
-        orderAmount: parseFloat(breakdown.orderAmount),
-        commissionRate: parseFloat(breakdown.commissionRate),
-        commissionAmount: parseFloat(breakdown.commissionAmount),
-        commissionGst: parseFloat(breakdown.commissionGst),
-        paymentFee: parseFloat(breakdown.paymentFee),
-        paymentFeeGst: parseFloat(breakdown.paymentFeeGst),
-        totalPlatformFees: parseFloat(breakdown.totalPlatformFees),
-        sellerPayout: parseFloat(breakdown.sellerPayout),
-        currency: breakdown.currency,
-        status: 'PENDING',
-        metadata: {
-          categoryCode: breakdown.categoryCode,
-          tierDiscount: breakdown.tierDiscount,
-          paymentMethod: breakdown.paymentMethod,
+    // Create commission record and post the order's settlement to the ledger
+    const record = await prisma.$transaction(async (tx) => {
+      const created = await tx.commissionRecord.create({
+        data: {
+          orderId,
+          sellerId: order.sellerId,
+          buyerId: order.buyerId,
+          orderAmount: parseFloat(breakdown.orderAmount),
+          commissionRate: parseFloat(breakdown.commissionRate),
+          commissionAmount: parseFloat(breakdown.commissionAmount),
+          commissionGst: parseFloat(breakdown.commissionGst),
+          paymentFee: parseFloat(breakdown.paymentFee),
+          paymentFeeGst: parseFloat(breakdown.paymentFeeGst),
+          totalPlatformFees: parseFloat(breakdown.totalPlatformFees),
+          sellerPayout: parseFloat(breakdown.sellerPayout),
+          currency: breakdown.currency,
+          status: 'PENDING',
+          metadata: {
+            categoryCode: breakdown.categoryCode,
+            tierDiscount: breakdown.tierDiscount,
+            paymentMethod: breakdown.paymentMethod,
+            tcsAmount: parseFloat(breakdown.tcsAmount),
+            tdsAmount: parseFloat(breakdown.tdsAmount),
+          },
         },
-      },
+      });
+
+      await taxWithholdingService.recordWithholding(orderId, tx);
+      await exports.postCommissionJournal(created, breakdown, tx);
+
+      return created;
     });
 
     logger.info('Commission recorded', { orderId, recordId: record.id });
@@ -308,6 +330,40 @@ exports.recordCommission = async (orderId) => {
   }
 };
 
+/**
+ * Post an order's settlement split to the general ledger: the order value
+ * leaves clearing as platform revenue, GST, withheld taxes and seller payable
+ * @param {Object} record - Commission record
+ * @param {Object} breakdown - Commission breakdown
+ * @param {Object} tx - Transaction client
+ * @returns {Promise<Object>} Posted journal
+ */
+exports.postCommissionJournal = (record, breakdown, tx) => {
+  const { ACCOUNTS } = ledgerService;
+
+  return ledgerService.postJournal({
+    reference: `COMMISSION:${record.orderId}`,
+    description: `Commission and seller settlement for order ${record.orderId}`,
+    sourceType: 'COMMISSION',
+    sourceId: record.id,
+    lines: [
+      { accountCode: ACCOUNTS.ORDERS_CLEARING, debit: breakdown.orderAmount },
+      { accountCode: ACCOUNTS.COMMISSION_REVENUE, credit: breakdown.commissionAmount },
+      { accountCode: ACCOUNTS.PAYMENT_FEE_REVENUE, credit: breakdown.paymentFee },
+      {
+        accountCode: ACCOUNTS.GST_OUTPUT,
+        credit: new Decimal(breakdown.commissionGst).plus(breakdown.paymentFeeGst).toFixed(2),
+      },
+      { accountCode: ACCOUNTS.TCS_PAYABLE, credit: breakdown.tcsAmount },
+      { accountCode: ACCOUNTS.TDS_PAYABLE, credit: breakdown.tdsAmount },
+      {
+        accountCode: ledgerService.subAccount(ACCOUNTS.SELLER_PAYABLE, record.sellerId),
+        credit: breakdown.sellerPayout,
+      },
+    ],
+  }, tx);
+};
+
 /**
  * Get commission records for a seller
  * @param {string} sellerId - Seller business ID
@@ -565,6 +621,29 @@ exports.processPayout = async (payoutId, processedBy, result) => {
         },
       });
 
+      // Seller has now been paid net of TCS/TDS
+      if (success) {
+        const { ACCOUNTS } = ledgerService;
+        await ledgerService.postJournal({
+          reference: `PAYOUT:${payoutId}`,
+          description: `Seller payout ${payout.payoutNumber}`,
+          sourceType: 'PAYOUT',
+          sourceId: payoutId,
+          postedBy: processedBy,
+          metadata: { transactionId },
+          lines: [
+            { accountCode: ledgerService.subAccount(ACCOUNTS.SELLER_PAYABLE, payout.sellerId), debit: payout.amount },
+            { accountCode: ACCOUNTS.BANK_SETTLEMENT, credit: payout.amount },
+          ],
+        }, tx);
+
+        const records = await tx.commissionRecord.findMany({
+          where: { payoutRequestId: payoutId },
+          select: { orderId: true },
+        });
+        await taxWithholdingService.markSettled(payoutId, records.map((r) => r.orderId), tx);
+      }
+
       // If failed, unlink records from payout
       if (!success) {
         await tx.commissionRecord.updateMany({
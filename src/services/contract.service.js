@@ -13,6 +13,7 @@ const {
 } = require('../utils/errors');
 const { generateId, formatCurrency } = require('../utils/helpers');
 const { emitToBusiness } = require('./socket.service');
+const contractSignatureService = require('./contractSignature.service');
 
 // =============================================================================
 // CONSTANTS
@@ -58,6 +59,47 @@ const invalidateContractCache = async (contractId) => {
   await cache.del(getContractCacheKey(contractId));
 };
 
+/**
+ * Validate line-item price agreements against the seller's catalog and the
+ * contract term; returns rows ready for nested create
+ */
+const buildPriceItems = async (sellerId, priceItems, start, end) => {
+  const productIds = [...new Set(priceItems.map((item) => item.productId))];
+  const products = await prisma.product.findMany({
+    where: { id: { in: productIds }, businessId: sellerId },
+    select: { id: true, variants: { select: { id: true } } },
+  });
+  const byId = new Map(products.map((product) => [product.id, product]));
+
+  return priceItems.map((item) => {
+    const product = byId.get(item.productId);
+    if (!product) {
+      throw new BadRequestError(`Product ${item.productId} is not sold by the contract seller`);
+    }
+    if (item.variantId && !product.variants.some((variant) => variant.id === item.variantId)) {
+      throw new BadRequestError(`Variant ${item.variantId} does not belong to product ${item.productId}`);
+    }
+
+    const validFrom = item.validFrom ? new Date(item.validFrom) : null;
+    const validTo = item.validTo ? new Date(item.validTo) : null;
+    if ((validFrom && validFrom < start) || (validTo && validTo > end)
+      || (validFrom && validTo && validFrom >= validTo)) {
+      throw new BadRequestError(`Price validity for product ${item.productId} must fall within the contract term`);
+    }
+
+    return {
+      productId: item.productId,
+      variantId: item.variantId || null,
+      unitPrice: item.unitPrice,
+      minQuantity: item.minQuantity || 1,
+      committedQuantity: item.committedQuantity ?? null,
+      alertThreshold: item.alertThreshold || 80,
+      validFrom,
+      validTo,
+    };
+  });
+};
+
 // =============================================================================
 // CONTRACT MANAGEMENT
 // =============================================================================
@@ -83,6 +125,7 @@ const createContract = async (creatorId, creatorRole, data) => {
     totalValue,
     minOrderValue,
     maxOrderValue,
+    priceItems = [],
   } = data;
 
   // Determine buyer/seller
@@ -107,6 +150,8 @@ const createContract = async (creatorId, creatorRole, data) => {
     throw new BadRequestError('End date must be after start date');
   }
 
+  const priceItemRows = await buildPriceItems(sellerId, priceItems, start, end);
+
   const contract = await prisma.contract.create({
     data: {
       contractNumber: generateContractNumber(),
@@ -128,10 +173,12 @@ const createContract = async (creatorId, creatorRole, data) => {
       totalValue,
       minOrderValue,
       maxOrderValue,
+      priceItems: { create: priceItemRows },
     },
     include: {
       buyer: { select: { id: true, businessName: true, logo: true } },
       seller: { select: { id: true, businessName: true, logo: true } },
+      priceItems: true,
     },
   });
 
@@ -157,6 +204,7 @@ const getContractById = async (contractId, businessId) => {
     include: {
       buyer: { select: { id: true, businessName: true, logo: true, email: true } },
       seller: { select: { id: true, businessName: true, logo: true, email: true } },
+      priceItems: { where: { isActive: true } },
     },
   });
 
@@ -253,12 +301,24 @@ const updateContract = async (contractId, businessId, updates) => {
     }
   }
 
+  // Price items are replaced as a whole while the contract is negotiable
+  if (updates.priceItems !== undefined) {
+    const rows = await buildPriceItems(
+      contract.sellerId,
+      updates.priceItems,
+      new Date(updates.startDate || contract.startDate),
+      new Date(updates.endDate || contract.endDate),
+    );
+    updateData.priceItems = { deleteMany: {}, create: rows };
+  }
+
   const updated = await prisma.contract.update({
     where: { id: contractId },
     data: updateData,
     include: {
       buyer: { select: { id: true, businessName: true } },
       seller: { select: { id: true, businessName: true } },
+      priceItems: true,
     },
   });
 
@@ -303,9 +363,10 @@ const submitForApproval = async (contractId, businessId) => {
 };
 
 /**
- * Respond to contract (approve/reject/negotiate)
+ * Respond to contract (approve/reject/negotiate); approval puts the first
+ * version up for signature
  */
-const respondToContract = async (contractId, businessId, action, comments) => {
+const respondToContract = async (contractId, businessId, action, comments, userId) => {
   const contract = await prisma.contract.findFirst({
     where: {
       id: contractId,
@@ -338,6 +399,10 @@ const respondToContract = async (contractId, businessId, action, comments) => {
     data: { status: newStatus },
   });
 
+  if (newStatus === CONTRACT_STATUS.PENDING_SIGNATURE) {
+    await contractSignatureService.createVersion(contractId, businessId, userId);
+  }
+
   // Notify initiator
   const initiatorId = contract.buyerId === businessId ? contract.sellerId : contract.buyerId;
   emitToBusiness(initiatorId, `contract:${action}`, {
@@ -352,14 +417,27 @@ const respondToContract = async (contractId, businessId, action, comments) => {
 };
 
 /**
- * Sign contract
+ * Sign the version awaiting signature (OTP-verified); the contract becomes
+ * active, or the amendment takes effect, once both parties have signed
+ */
+const signContract = async (contractId, businessId, signer) => {
+  const result = await contractSignatureService.signVersion(contractId, businessId, signer);
+
+  await invalidateContractCache(contractId);
+
+  return result;
+};
+
+/**
+ * Amend an active contract: changed terms become a new version with a
+ * redline and apply once both parties sign it
  */
-const signContract = async (contractId, businessId) => {
+const amendContract = async (contractId, businessId, userId, amendment) => {
   const contract = await prisma.contract.findFirst({
     where: {
       id: contractId,
       OR: [{ buyerId: businessId }, { sellerId: businessId }],
-      status: CONTRACT_STATUS.PENDING_SIGNATURE,
+      status: CONTRACT_STATUS.ACTIVE,
     },
   });
 
@@ -367,36 +445,39 @@ const signContract = async (contractId, businessId) => {
     throw new NotFoundError('Contract');
   }
 
-  const isBuyer = contract.buyerId === businessId;
-  const updateData = isBuyer
-    ? { signedByBuyer: true, buyerSignedAt: new Date() }
-    : { signedBySeller: true, sellerSignedAt: new Date() };
-
-  // Check if both have signed
-  const otherSigned = isBuyer ? contract.signedBySeller : contract.signedByBuyer;
-  if (otherSigned) {
-    updateData.status = CONTRACT_STATUS.ACTIVE;
-    updateData.activatedAt = new Date();
+  const amendable = [
+    'title', 'description', 'type', 'startDate', 'endDate',
+    'autoRenew', 'renewalTermDays', 'terms', 'pricing',
+    'deliveryTerms', 'paymentTerms', 'penalties',
+    'totalValue', 'minOrderValue', 'maxOrderValue',
+  ];
+
+  const changes = {};
+  for (const key of amendable) {
+    if (amendment[key] !== undefined) {
+      changes[key] = amendment[key];
+    }
   }
 
-  const updated = await prisma.contract.update({
-    where: { id: contractId },
-    data: updateData,
-  });
+  const start = new Date(changes.startDate || contract.startDate);
+  const end = new Date(changes.endDate || contract.endDate);
+  if (end <= start) {
+    throw new BadRequestError('End date must be after start date');
+  }
 
-  // Notify counterparty
-  const counterpartyId = isBuyer ? contract.sellerId : contract.buyerId;
-  emitToBusiness(counterpartyId, 'contract:signed', {
-    contractId,
-    contractNumber: contract.contractNumber,
-    fullyExecuted: !!otherSigned,
-  });
+  if (amendment.priceItems !== undefined) {
+    changes.priceItems = await buildPriceItems(contract.sellerId, amendment.priceItems, start, end);
+  }
 
-  await invalidateContractCache(contractId);
+  const version = await contractSignatureService.createVersion(contractId, businessId, userId, {
+    changes,
+    changeSummary: amendment.changeSummary,
+    isAmendment: true,
+  });
 
-  logger.info('Contract signed', { contractId, businessId, fullyExecuted: !!otherSigned });
+  logger.info('Contract amendment proposed', { contractId, businessId, version: version.version });
 
-  return updated;
+  return version;
 };
 
 /**
@@ -442,13 +523,14 @@ const terminateContract = async (contractId, businessId, reason) => {
 /**
  * Renew contract
  */
-const renewContract = async (contractId, businessId, newEndDate) => {
+const renewContract = async (contractId, businessId, newEndDate, userId) => {
   const contract = await prisma.contract.findFirst({
     where: {
       id: contractId,
       OR: [{ buyerId: businessId }, { sellerId: businessId }],
       status: { in: [CONTRACT_STATUS.ACTIVE, CONTRACT_STATUS.EXPIRED] },
     },
+    include: { priceItems: { where: { isActive: true } } },
   });
 
   if (!contract) {
@@ -482,6 +564,17 @@ const renewContract = async (contractId, businessId, newEndDate) => {
       totalValue: contract.totalValue,
       minOrderValue: contract.minOrderValue,
       maxOrderValue: contract.maxOrderValue,
+      // Prices carry over; commitments restart for the new term
+      priceItems: {
+        create: contract.priceItems.map((item) => ({
+          productId: item.productId,
+          variantId: item.variantId,
+          unitPrice: item.unitPrice,
+          minQuantity: item.minQuantity,
+          committedQuantity: item.committedQuantity,
+          alertThreshold: item.alertThreshold,
+        })),
+      },
     },
   });
 
@@ -491,6 +584,8 @@ const renewContract = async (contractId, businessId, newEndDate) => {
     data: { status: CONTRACT_STATUS.RENEWED },
   });
 
+  await contractSignatureService.createVersion(renewed.id, businessId, userId);
+
   logger.info('Contract renewed', { oldContractId: contractId, newContractId: renewed.id });
 
   return renewed;
@@ -608,6 +703,7 @@ module.exports = {
   submitForApproval,
   respondToContract,
   signContract,
+  amendContract,
   terminateContract,
   renewContract,
   processExpiringContracts,
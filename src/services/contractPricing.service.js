@@ -0,0 +1,470 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - CONTRACT PRICING SERVICE
+// Contracted prices at checkout, volume consumption and maverick spend
+// =============================================================================
+
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+const { NotFoundError } = require('../utils/errors');
+const { roundTo } = require('../utils/helpers');
+const notificationService = require('./notification.service');
+const { emitToBusiness } = require('./socket.service');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const ALERT_LEVEL = {
+  THRESHOLD: 'THRESHOLD',
+  EXHAUSTED: 'EXHAUSTED',
+};
+
+// Contract value consumed (%) that triggers a nearly-exhausted alert
+const VALUE_ALERT_THRESHOLD = 80;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+const toNumber = (value) => roundTo(parseFloat(value || 0));
+
+const lineKey = (line) => line.variantId || line.productId;
+
+const activeContractWhere = (parties, at) => ({
+  ...parties,
+  status: 'ACTIVE',
+  startDate: { lte: at },
+  endDate: { gte: at },
+});
+
+/**
+ * Best applicable price item for an order line: variant-specific items
+ * win over product-wide ones, then the lowest price
+ */
+const pickPriceItem = (items, line, at) => {
+  const candidates = items.filter((item) => item.productId === line.productId
+    && (!item.variantId || item.variantId === line.variantId)
+    && (!item.validFrom || item.validFrom <= at)
+    && (!item.validTo || item.validTo >= at)
+    && line.quantity >= item.minQuantity);
+
+  candidates.sort((a, b) => (Number(Boolean(b.variantId)) - Number(Boolean(a.variantId)))
+    || (toNumber(a.unitPrice) - toNumber(b.unitPrice)));
+
+  return candidates[0] || null;
+};
+
+const toContractPrice = (item) => ({
+  contractId: item.contractId,
+  contractNumber: item.contract.contractNumber,
+  priceItemId: item.id,
+  unitPrice: toNumber(item.unitPrice),
+  committedQuantity: item.committedQuantity,
+  remainingQuantity: item.committedQuantity === null
+    ? null
+    : Math.max(0, item.committedQuantity - item.consumedQuantity),
+});
+
+/**
+ * Alert level reached by a consumed amount against its commitment
+ */
+const alertLevel = (consumed, committed, threshold) => {
+  const percent = roundTo((consumed / committed) * 100);
+  if (percent >= 100) return { level: ALERT_LEVEL.EXHAUSTED, percent };
+  if (percent >= threshold) return { level: ALERT_LEVEL.THRESHOLD, percent };
+  return { level: null, percent };
+};
+
+const sendExhaustionAlert = async (contract, level, percent, scope) => {
+  const template = level === ALERT_LEVEL.EXHAUSTED ? 'contract_exhausted' : 'contract_nearly_exhausted';
+  const event = level === ALERT_LEVEL.EXHAUSTED ? 'contract:exhausted' : 'contract:nearly_exhausted';
+  const data = { contractId: contract.id, contractNumber: contract.contractNumber, percent, scope };
+
+  for (const businessId of [contract.buyerId, contract.sellerId]) {
+    emitToBusiness(businessId, event, data);
+    await notificationService.notifyBusinessUsers(businessId, {
+      template,
+      data,
+      priority: notificationService.NOTIFICATION_PRIORITY.HIGH,
+      actionUrl: `/contracts/${contract.id}`,
+    });
+  }
+
+  logger.info('Contract exhaustion alert sent', { contractId: contract.id, level, percent, scope });
+};
+
+// =============================================================================
+// PRICE RESOLUTION
+// =============================================================================
+
+/**
+ * Contracted prices for order lines between a buyer and a seller
+ * @param {Array} lines - [{ productId, variantId, quantity }]
+ * @returns {Promise<Map>} Contract price per line, keyed by variantId (productId without a variant)
+ */
+const resolvePrices = async (buyerId, sellerId, lines, at = new Date()) => {
+  const productIds = [...new Set(lines.map((line) => line.productId).filter(Boolean))];
+  const prices = new Map();
+
+  if (!buyerId || !sellerId || productIds.length === 0) {
+    return prices;
+  }
+
+  const items = await prisma.contractPriceItem.findMany({
+    where: {
+      isActive: true,
+      productId: { in: productIds },
+      contract: activeContractWhere({ buyerId, sellerId }, at),
+    },
+    include: { contract: { select: { id: true, contractNumber: true } } },
+  });
+
+  lines.forEach((line) => {
+    const item = pickPriceItem(items, line, at);
+    if (item) prices.set(lineKey(line), toContractPrice(item));
+  });
+
+  return prices;
+};
+
+// =============================================================================
+// CONSUMPTION
+// =============================================================================
+
+/**
+ * Record contract-priced order lines against their commitments
+ * @param {Object} tx - Transaction client of the order being created
+ * @param {Array} lines - [{ variantId, quantity, unitPrice, contractId, priceItemId }]
+ */
+const recordConsumption = async (tx, orderId, lines) => {
+  const contractValues = new Map();
+
+  for (const line of lines.filter((l) => l.priceItemId)) {
+    const amount = roundTo(toNumber(line.unitPrice) * line.quantity);
+
+    await tx.contractConsumption.create({
+      data: {
+        contractId: line.contractId,
+        priceItemId: line.priceItemId,
+        orderId,
+        variantId: line.variantId,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        amount,
+      },
+    });
+
+    await tx.contractPriceItem.update({
+      where: { id: line.priceItemId },
+      data: {
+        consumedQuantity: { increment: line.quantity },
+        consumedValue: { increment: amount },
+      },
+    });
+
+    contractValues.set(line.contractId, roundTo((contractValues.get(line.contractId) || 0) + amount));
+  }
+
+  for (const [contractId, amount] of contractValues) {
+    await tx.contract.update({
+      where: { id: contractId },
+      data: { consumedValue: { increment: amount } },
+    });
+  }
+
+  return [...contractValues.keys()];
+};
+
+/**
+ * Give back a cancelled order's consumption
+ */
+const reverseConsumption = async (orderId) => {
+  const consumptions = await prisma.contractConsumption.findMany({
+    where: { orderId, reversedAt: null },
+  });
+
+  if (consumptions.length === 0) return 0;
+
+  await prisma.$transaction(async (tx) => {
+    for (const consumption of consumptions) {
+      await tx.contractConsumption.update({
+        where: { id: consumption.id },
+        data: { reversedAt: new Date() },
+      });
+      await tx.contractPriceItem.update({
+        where: { id: consumption.priceItemId },
+        data: {
+          consumedQuantity: { decrement: consumption.quantity },
+          consumedValue: { decrement: consumption.amount },
+        },
+      });
+      await tx.contract.update({
+        where: { id: consumption.contractId },
+        data: { consumedValue: { decrement: consumption.amount } },
+      });
+    }
+  });
+
+  logger.info('Contract consumption reversed', { orderId, lines: consumptions.length });
+
+  return consumptions.length;
+};
+
+/**
+ * Alert both parties once per level when volume or value commitments run low
+ */
+const checkExhaustion = async (contractIds) => {
+  const contracts = await prisma.contract.findMany({
+    where: { id: { in: contractIds } },
+    include: { priceItems: { where: { isActive: true, committedQuantity: { not: null } } } },
+  });
+
+  const alerts = [];
+
+  for (const contract of contracts) {
+    for (const item of contract.priceItems) {
+      const { level, percent } = alertLevel(item.consumedQuantity, item.committedQuantity, item.alertThreshold);
+      if (level && !item.alertsSent.includes(level)) {
+        await prisma.contractPriceItem.update({
+          where: { id: item.id },
+          data: { alertsSent: { push: level } },
+        });
+        await sendExhaustionAlert(contract, level, percent, `product ${item.productId}`);
+        alerts.push({ contractId: contract.id, priceItemId: item.id, level, percent });
+      }
+    }
+
+    if (toNumber(contract.totalValue) > 0) {
+      const { level, percent } = alertLevel(
+        toNumber(contract.consumedValue),
+        toNumber(contract.totalValue),
+        VALUE_ALERT_THRESHOLD,
+      );
+      if (level && !contract.alertsSent.includes(level)) {
+        await prisma.contract.update({
+          where: { id: contract.id },
+          data: { alertsSent: { push: level } },
+        });
+        await sendExhaustionAlert(contract, level, percent, 'contract value');
+        alerts.push({ contractId: contract.id, level, percent });
+      }
+    }
+  }
+
+  return alerts;
+};
+
+// =============================================================================
+// MAVERICK SPEND
+// =============================================================================
+
+/**
+ * Record lines bought off contract: the buyer has an active contract for
+ * the product with a different seller
+ * @param {Object} order - { id, orderNumber, buyerId, sellerId }
+ * @param {Array} lines - Lines priced off contract: [{ productId, variantId, productName, quantity, unitPrice }]
+ */
+const detectMaverickSpend = async (order, lines, at = new Date()) => {
+  const productIds = [...new Set(lines.map((line) => line.productId))];
+  if (productIds.length === 0) return [];
+
+  const items = await prisma.contractPriceItem.findMany({
+    where: {
+      isActive: true,
+      productId: { in: productIds },
+      contract: activeContractWhere({ buyerId: order.buyerId, sellerId: { not: order.sellerId } }, at),
+    },
+    include: { contract: { select: { id: true, contractNumber: true, sellerId: true } } },
+  });
+
+  const records = [];
+  lines.forEach((line) => {
+    const item = pickPriceItem(items, line, at);
+    if (!item) return;
+
+    const unitPrice = toNumber(line.unitPrice);
+    const contractPrice = toNumber(item.unitPrice);
+    records.push({
+      productName: line.productName,
+      contractNumber: item.contract.contractNumber,
+      row: {
+        buyerId: order.buyerId,
+        sellerId: order.sellerId,
+        orderId: order.id,
+        productId: line.productId,
+        variantId: line.variantId,
+        quantity: line.quantity,
+        unitPrice,
+        amount: roundTo(unitPrice * line.quantity),
+        contractId: item.contractId,
+        contractSellerId: item.contract.sellerId,
+        contractPrice,
+        leakage: roundTo(Math.max(0, unitPrice - contractPrice) * line.quantity),
+      },
+    });
+  });
+
+  if (records.length === 0) return [];
+
+  await prisma.maverickSpend.createMany({
+    data: records.map((record) => record.row),
+    skipDuplicates: true,
+  });
+
+  for (const { row, productName, contractNumber } of records) {
+    emitToBusiness(order.buyerId, 'contract:maverick_spend', {
+      orderId: order.id,
+      productId: row.productId,
+      contractId: row.contractId,
+      leakage: row.leakage,
+    });
+    await notificationService.notifyBusinessUsers(order.buyerId, {
+      template: 'maverick_spend',
+      data: { orderNumber: order.orderNumber, productName, contractNumber, leakage: row.leakage },
+      actionUrl: `/contracts/${row.contractId}`,
+    });
+  }
+
+  logger.warn('Maverick spend detected', { orderId: order.id, lines: records.length });
+
+  return records.map((record) => record.row);
+};
+
+/**
+ * Off-contract purchases of a buyer with totals per product and seller
+ */
+const getMaverickSpend = async (buyerId, options = {}) => {
+  const { page = 1, limit = 20, from, to, acknowledged } = options;
+  const where = { buyerId };
+
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = new Date(from);
+    if (to) where.createdAt.lte = new Date(to);
+  }
+  if (acknowledged !== undefined) {
+    where.acknowledgedAt = acknowledged ? { not: null } : null;
+  }
+
+  const [records, total, totals, bySeller] = await Promise.all([
+    prisma.maverickSpend.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.maverickSpend.count({ where }),
+    prisma.maverickSpend.aggregate({
+      where,
+      _sum: { amount: true, leakage: true },
+    }),
+    prisma.maverickSpend.groupBy({
+      by: ['sellerId'],
+      where,
+      _sum: { amount: true, leakage: true },
+      _count: true,
+    }),
+  ]);
+
+  return {
+    records,
+    summary: {
+      lines: total,
+      amount: toNumber(totals._sum.amount),
+      leakage: toNumber(totals._sum.leakage),
+      bySeller: bySeller.map((row) => ({
+        sellerId: row.sellerId,
+        lines: row._count,
+        amount: toNumber(row._sum.amount),
+        leakage: toNumber(row._sum.leakage),
+      })),
+    },
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  };
+};
+
+/**
+ * Record the buyer's justification for an off-contract purchase
+ */
+const acknowledgeMaverickSpend = async (buyerId, maverickSpendId, userId, justification) => {
+  const record = await prisma.maverickSpend.findFirst({
+    where: { id: maverickSpendId, buyerId },
+  });
+
+  if (!record) {
+    throw new NotFoundError('Maverick spend record');
+  }
+
+  return prisma.maverickSpend.update({
+    where: { id: maverickSpendId },
+    data: { acknowledgedAt: new Date(), acknowledgedBy: userId, justification },
+  });
+};
+
+// =============================================================================
+// REPORTING
+// =============================================================================
+
+/**
+ * Consumption of a contract's volume and value commitments
+ */
+const getConsumption = async (contractId, businessId) => {
+  const contract = await prisma.contract.findFirst({
+    where: {
+      id: contractId,
+      OR: [{ buyerId: businessId }, { sellerId: businessId }],
+    },
+    include: { priceItems: { orderBy: { createdAt: 'asc' } } },
+  });
+
+  if (!contract) {
+    throw new NotFoundError('Contract');
+  }
+
+  const committedValue = toNumber(contract.totalValue);
+  const consumedValue = toNumber(contract.consumedValue);
+
+  return {
+    contractId: contract.id,
+    contractNumber: contract.contractNumber,
+    status: contract.status,
+    committedValue: committedValue || null,
+    consumedValue,
+    remainingValue: committedValue ? roundTo(committedValue - consumedValue) : null,
+    valuePercent: committedValue ? roundTo((consumedValue / committedValue) * 100) : null,
+    items: contract.priceItems.map((item) => ({
+      priceItemId: item.id,
+      productId: item.productId,
+      variantId: item.variantId,
+      unitPrice: toNumber(item.unitPrice),
+      validFrom: item.validFrom,
+      validTo: item.validTo,
+      committedQuantity: item.committedQuantity,
+      consumedQuantity: item.consumedQuantity,
+      consumedValue: toNumber(item.consumedValue),
+      remainingQuantity: item.committedQuantity === null
+        ? null
+        : Math.max(0, item.committedQuantity - item.consumedQuantity),
+      percent: item.committedQuantity
+        ? roundTo((item.consumedQuantity / item.committedQuantity) * 100)
+        : null,
+      alertsSent: item.alertsSent,
+    })),
+  };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  ALERT_LEVEL,
+  resolvePrices,
+  recordConsumption,
+  reverseConsumption,
+  checkExhaustion,
+  detectMaverickSpend,
+  getMaverickSpend,
+  acknowledgeMaverickSpend,
+  getConsumption,
+};
@@ -0,0 +1,852 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - CONTRACT SIGNATURE SERVICE
+// Versioned contract PDFs, OTP-verified e-signatures and document verification
+// =============================================================================
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { prisma } = require('../config/database');
+const { cache } = require('../config/redis');
+const config = require('../config');
+const logger = require('../config/logger');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+const { roundTo } = require('../utils/helpers');
+const { sha256, canonicalize } = require('../utils/hashChain');
+const redline = require('../utils/redline');
+const twoFactorAuthService = require('./twoFactorAuth.service');
+const documentVaultService = require('./documentVault.service');
+const { emitToBusiness } = require('./socket.service');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const VERSION_STATUS = {
+  PENDING_SIGNATURE: 'PENDING_SIGNATURE',
+  EXECUTED: 'EXECUTED',
+  SUPERSEDED: 'SUPERSEDED',
+};
+
+const SIGNER_ROLE = {
+  BUYER: 'BUYER',
+  SELLER: 'SELLER',
+};
+
+// Contract statuses this service reads or sets
+const CONTRACT_STATUS = {
+  PENDING_SIGNATURE: 'PENDING_SIGNATURE',
+  ACTIVE: 'ACTIVE',
+};
+
+// An OTP is bound to the version it was requested for; outlives the OTP itself
+const OTP_BINDING_TTL = 600;
+
+// Snapshot fields in document order
+const SECTIONS = [
+  { field: 'parties', label: 'Parties' },
+  { field: 'title', label: 'Title' },
+  { field: 'description', label: 'Description' },
+  { field: 'type', label: 'Contract Type' },
+  { field: 'term', label: 'Term' },
+  { field: 'terms', label: 'Terms and Conditions' },
+  { field: 'pricing', label: 'Pricing' },
+  { field: 'priceItems', label: 'Price Schedule' },
+  { field: 'deliveryTerms', label: 'Delivery Terms' },
+  { field: 'paymentTerms', label: 'Payment Terms' },
+  { field: 'penalties', label: 'Penalties' },
+  { field: 'values', label: 'Contract Value' },
+];
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+let signingKey;
+
+const getSigningKey = () => {
+  if (signingKey === undefined) {
+    signingKey = config.contracts?.signingKey ? crypto.createPrivateKey(config.contracts.signingKey) : null;
+  }
+  return signingKey;
+};
+
+const getKeyFingerprint = () => {
+  const key = getSigningKey();
+  if (!key) return null;
+
+  const der = crypto.createPublicKey(key).export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').substring(0, 32);
+};
+
+const otpBindingKey = (userId) => `contract:esign:otp:${userId}`;
+
+const isoDate = (value) => (value ? new Date(value).toISOString().substring(0, 10) : null);
+const money = (value) => (value === null || value === undefined ? null : roundTo(parseFloat(value), 2).toFixed(2));
+
+const findContractForParty = async (contractId, businessId, include = {}) => {
+  const contract = await prisma.contract.findFirst({
+    where: {
+      id: contractId,
+      OR: [{ buyerId: businessId }, { sellerId: businessId }],
+    },
+    include,
+  });
+
+  if (!contract) {
+    throw new NotFoundError('Contract');
+  }
+
+  return contract;
+};
+
+/**
+ * Everything that is rendered into the PDF, normalized so the same terms
+ * always hash the same
+ */
+const buildSnapshot = async (contract, changes = {}) => {
+  const merged = { ...contract };
+  Object.keys(changes).forEach((key) => {
+    if (changes[key] !== undefined) merged[key] = changes[key];
+  });
+
+  const priceItems = merged.priceItems || [];
+  const products = priceItems.length
+    ? await prisma.product.findMany({
+      where: { id: { in: [...new Set(priceItems.map((item) => item.productId))] } },
+      select: { id: true, name: true },
+    })
+    : [];
+  const names = new Map(products.map((product) => [product.id, product.name]));
+
+  const party = (business) => ({
+    id: business.id,
+    name: business.legalName || business.businessName,
+    gstin: business.gstin || null,
+  });
+
+  return {
+    parties: { buyer: party(contract.buyer), seller: party(contract.seller) },
+    title: merged.title,
+    description: merged.description || null,
+    type: merged.type,
+    term: {
+      startDate: isoDate(merged.startDate),
+      endDate: isoDate(merged.endDate),
+      autoRenew: !!merged.autoRenew,
+      renewalTermDays: merged.renewalTermDays || null,
+    },
+    terms: merged.terms,
+    pricing: merged.pricing,
+    priceItems: priceItems
+      .map((item) => ({
+        productId: item.productId,
+        productName: names.get(item.productId) || null,
+        variantId: item.variantId || null,
+        unitPrice: money(item.unitPrice),
+        minQuantity: item.minQuantity || 1,
+        committedQuantity: item.committedQuantity ?? null,
+        alertThreshold: item.alertThreshold || 80,
+        validFrom: isoDate(item.validFrom),
+        validTo: isoDate(item.validTo),
+      }))
+      .sort((a, b) => `${a.productId}:${a.variantId}`.localeCompare(`${b.productId}:${b.variantId}`)),
+    deliveryTerms: merged.deliveryTerms ?? null,
+    paymentTerms: merged.paymentTerms ?? null,
+    penalties: merged.penalties ?? null,
+    values: {
+      totalValue: money(merged.totalValue),
+      minOrderValue: money(merged.minOrderValue),
+      maxOrderValue: money(merged.maxOrderValue),
+    },
+  };
+};
+
+/**
+ * Human-readable text per section, used for both the PDF and the redline
+ */
+const sectionText = (snapshot, field) => {
+  const value = snapshot[field];
+
+  switch (field) {
+    case 'parties':
+      return ['buyer', 'seller']
+        .map((role) => `${role === 'buyer' ? 'Buyer' : 'Seller'}: ${value[role].name}` +
+          (value[role].gstin ? ` (GSTIN ${value[role].gstin})` : ''))
+        .join('\n');
+    case 'term':
+      return [
+        `${value.startDate} to ${value.endDate}`,
+        value.autoRenew ? `Auto-renews every ${value.renewalTermDays || '-'} days` : 'No auto-renewal',
+      ].join('\n');
+    case 'priceItems':
+      return value.map((item) => [
+        `${item.productName || item.productId}${item.variantId ? ` [${item.variantId}]` : ''}`,
+        `@ ${item.unitPrice}`,
+        `min ${item.minQuantity}`,
+        item.committedQuantity !== null ? `commit ${item.committedQuantity}` : null,
+        item.validFrom || item.validTo ? `valid ${item.validFrom || '-'} to ${item.validTo || '-'}` : null,
+      ].filter(Boolean).join(', ')).join('\n');
+    case 'values':
+      return [
+        value.totalValue && `Total value: ${value.totalValue}`,
+        value.minOrderValue && `Minimum order: ${value.minOrderValue}`,
+        value.maxOrderValue && `Maximum order: ${value.maxOrderValue}`,
+      ].filter(Boolean).join('\n');
+    default:
+      return redline.toText(value);
+  }
+};
+
+const snapshotText = (snapshot) => Object.fromEntries(
+  SECTIONS.map(({ field }) => [field, sectionText(snapshot, field)]),
+);
+
+const diffVersions = (before, after) => redline.diffSnapshots(snapshotText(before), snapshotText(after));
+
+/**
+ * Render a contract version; with a certificate, the executed copy
+ */
+const renderPdf = ({ contractNumber, version, isAmendment, snapshot, contentHash, diff, certificate }) => {
+  const doc = new PDFDocument({ margin: 50, size: 'A4' });
+  const buffers = [];
+  doc.on('data', buffers.push.bind(buffers));
+
+  // Header
+  doc.fontSize(18).text(snapshot.title, { align: 'center' });
+  doc.fontSize(10).text(
+    `Contract ${contractNumber} - Version ${version}${isAmendment ? ' (Amendment)' : ''}`,
+    { align: 'center' },
+  );
+  doc.moveDown();
+
+  for (const { field, label } of SECTIONS) {
+    const text = sectionText(snapshot, field);
+    if (!text) continue;
+
+    doc.font('Helvetica-Bold').fontSize(11).text(label);
+    doc.font('Helvetica').fontSize(9).text(text);
+    doc.moveDown(0.5);
+  }
+
+  // Redline against the previous version
+  if (diff && diff.length) {
+    doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(14).text('Changes from Previous Version', { align: 'center' });
+    doc.moveDown();
+
+    for (const { field, changes } of diff) {
+      const section = SECTIONS.find((s) => s.field === field);
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('black').text(section ? section.label : field);
+      doc.font('Helvetica').fontSize(9);
+
+      for (const { op, text } of changes) {
+        if (op === redline.OP.DELETE) {
+          doc.fillColor('red').text(`- ${text}`, { strike: true });
+        } else if (op === redline.OP.INSERT) {
+          doc.fillColor('green').text(`+ ${text}`, { underline: true });
+        } else {
+          doc.fillColor('gray').text(`  ${text}`);
+        }
+      }
+      doc.fillColor('black').moveDown(0.5);
+    }
+  }
+
+  if (certificate) {
+    doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(16).text('Certificate of Completion', { align: 'center' });
+    doc.moveDown();
+
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Contract: ${contractNumber}, version ${version}`);
+    doc.text(`Signed document SHA-256: ${certificate.documentHash}`);
+    doc.text(`Content SHA-256: ${contentHash}`);
+    doc.text(`Completed: ${certificate.executedAt.toISOString()}`);
+    doc.moveDown();
+
+    for (const signature of certificate.signatures) {
+      doc.font('Helvetica-Bold').text(`${signature.role}: ${signature.signerName}` +
+        (signature.signerEmail ? ` <${signature.signerEmail}>` : ''));
+      doc.font('Helvetica');
+      doc.text(`Organisation: ${signature.businessName}`);
+      doc.text(`Signed at: ${signature.signedAt.toISOString()} from IP ${signature.ipAddress || 'unknown'}`);
+      doc.text(`Identity check: OTP via ${signature.otpMethod || 'unknown'}, verified ` +
+        `${signature.otpVerifiedAt.toISOString()}`);
+      doc.text(`Evidence SHA-256: ${signature.payloadHash}`);
+      if (signature.serverSignature) {
+        doc.text(`Platform signature (Ed25519, key ${signature.keyFingerprint}): ${signature.serverSignature}`);
+      }
+      doc.moveDown();
+    }
+
+    doc.fontSize(8).text(
+      'Upload this document to the contract verification endpoint to confirm it matches the signed record.',
+      { align: 'center' },
+    );
+  }
+
+  doc.end();
+
+  return new Promise((resolve) => {
+    doc.on('end', () => {
+      resolve(Buffer.concat(buffers));
+    });
+  });
+};
+
+const storeInVault = async (businessId, userId, contractNumber, fileName, buffer, description) => {
+  const document = await documentVaultService.uploadDocument(businessId, userId, {
+    originalname: fileName,
+    buffer,
+    size: buffer.length,
+    mimetype: 'application/pdf',
+  }, {
+    documentType: documentVaultService.DOCUMENT_TYPE.CONTRACT,
+    documentNumber: contractNumber,
+    description,
+    tags: ['contract', contractNumber],
+  });
+  return document.id;
+};
+
+/**
+ * Executed copy: same terms plus a certificate of completion, filed with both parties
+ */
+const fileExecutedCopy = async (contract, version, signatures, userId, executedAt) => {
+  const businessName = (partyId) => {
+    const party = partyId === contract.buyerId ? contract.buyer : contract.seller;
+    return party.legalName || party.businessName;
+  };
+  const certificateSignatures = [...signatures]
+    .sort((a, b) => new Date(a.signedAt) - new Date(b.signedAt))
+    .map((entry) => ({
+      ...entry,
+      signedAt: new Date(entry.signedAt),
+      otpVerifiedAt: new Date(entry.otpVerifiedAt),
+      businessName: businessName(entry.businessId),
+    }));
+
+  const pdf = await renderPdf({
+    contractNumber: contract.contractNumber,
+    version: version.version,
+    isAmendment: version.isAmendment,
+    snapshot: version.snapshot,
+    contentHash: version.contentHash,
+    diff: version.diff,
+    certificate: { documentHash: version.pdfHash, executedAt, signatures: certificateSignatures },
+  });
+
+  const documentIds = {};
+  for (const partyId of [contract.buyerId, contract.sellerId]) {
+    documentIds[partyId] = await storeInVault(
+      partyId,
+      userId,
+      contract.contractNumber,
+      `${contract.contractNumber}-v${version.version}-executed.pdf`,
+      pdf,
+      `${contract.title}, version ${version.version} executed`,
+    );
+  }
+
+  return { executedPdfHash: sha256(pdf), executedDocumentIds: documentIds };
+};
+
+/**
+ * Canonical evidence bound to the signed document hash
+ */
+const signaturePayload = (signature) => canonicalize({
+  contractId: signature.contractId,
+  versionId: signature.versionId,
+  documentHash: signature.documentHash,
+  businessId: signature.businessId,
+  userId: signature.userId,
+  role: signature.role,
+  signerName: signature.signerName,
+  signerEmail: signature.signerEmail || null,
+  signedAt: new Date(signature.signedAt).toISOString(),
+  ipAddress: signature.ipAddress || null,
+  userAgent: signature.userAgent || null,
+  otpMethod: signature.otpMethod || null,
+  otpVerifiedAt: new Date(signature.otpVerifiedAt).toISOString(),
+});
+
+/**
+ * Check stored evidence has not been altered since signing
+ */
+const verifySignature = (signature) => {
+  const evidenceIntact = sha256(signaturePayload(signature)) === signature.payloadHash;
+
+  let countersigned = null;
+  const key = getSigningKey();
+  if (signature.serverSignature && key) {
+    countersigned = crypto.verify(
+      null,
+      Buffer.from(signature.payloadHash),
+      crypto.createPublicKey(key),
+      Buffer.from(signature.serverSignature, 'base64'),
+    );
+  }
+
+  return { evidenceIntact, countersigned, valid: evidenceIntact && countersigned !== false };
+};
+
+/**
+ * Bring an executed amendment's terms into force, keeping consumption on
+ * price lines that carry over
+ */
+const applySnapshot = async (tx, contractId, snapshot) => {
+  const { term, values } = snapshot;
+  const data = {
+    title: snapshot.title,
+    type: snapshot.type,
+    startDate: new Date(term.startDate),
+    endDate: new Date(term.endDate),
+    autoRenew: term.autoRenew,
+    renewalTermDays: term.renewalTermDays,
+    terms: snapshot.terms,
+    pricing: snapshot.pricing,
+    description: snapshot.description,
+    totalValue: values.totalValue,
+    minOrderValue: values.minOrderValue,
+    maxOrderValue: values.maxOrderValue,
+  };
+  ['deliveryTerms', 'paymentTerms', 'penalties'].forEach((field) => {
+    if (snapshot[field] !== null) data[field] = snapshot[field];
+  });
+  await tx.contract.update({ where: { id: contractId }, data });
+
+  const current = await tx.contractPriceItem.findMany({ where: { contractId, isActive: true } });
+  const lineKey = (item) => `${item.productId}:${item.variantId || ''}`;
+  const byKey = new Map(current.map((item) => [lineKey(item), item]));
+
+  for (const item of snapshot.priceItems) {
+    const row = {
+      unitPrice: item.unitPrice,
+      minQuantity: item.minQuantity,
+      committedQuantity: item.committedQuantity,
+      alertThreshold: item.alertThreshold,
+      validFrom: item.validFrom ? new Date(item.validFrom) : null,
+      validTo: item.validTo ? new Date(item.validTo) : null,
+    };
+    const existing = byKey.get(lineKey(item));
+
+    if (existing) {
+      await tx.contractPriceItem.update({ where: { id: existing.id }, data: row });
+      byKey.delete(lineKey(item));
+    } else {
+      await tx.contractPriceItem.create({
+        data: { contractId, productId: item.productId, variantId: item.variantId, ...row },
+      });
+    }
+  }
+
+  if (byKey.size) {
+    await tx.contractPriceItem.updateMany({
+      where: { id: { in: [...byKey.values()].map((item) => item.id) } },
+      data: { isActive: false },
+    });
+  }
+};
+
+// =============================================================================
+// VERSIONS
+// =============================================================================
+
+/**
+ * Render, hash and store a new version for signature; supersedes any
+ * version still awaiting signature
+ */
+const createVersion = async (contractId, businessId, userId, options = {}) => {
+  const { changes = {}, changeSummary, isAmendment = false } = options;
+
+  const contract = await findContractForParty(contractId, businessId, {
+    buyer: { select: { id: true, businessName: true, legalName: true, gstin: true } },
+    seller: { select: { id: true, businessName: true, legalName: true, gstin: true } },
+    priceItems: { where: { isActive: true } },
+  });
+
+  const [latest, executed] = await Promise.all([
+    prisma.contractVersion.findFirst({ where: { contractId }, orderBy: { version: 'desc' } }),
+    prisma.contractVersion.findFirst({
+      where: { contractId, status: VERSION_STATUS.EXECUTED },
+      orderBy: { version: 'desc' },
+    }),
+  ]);
+
+  const snapshot = await buildSnapshot(contract, changes);
+  const contentHash = sha256(canonicalize(snapshot));
+
+  // Redline against the terms in force, or the last draft put up for signature
+  let baseline = executed?.snapshot || latest?.snapshot || null;
+  if (!baseline && isAmendment) baseline = await buildSnapshot(contract);
+  const diff = baseline ? diffVersions(baseline, snapshot) : null;
+
+  if (isAmendment && diff && !diff.length) {
+    throw new BadRequestError('Amendment does not change any terms');
+  }
+
+  const version = (latest?.version || 0) + 1;
+  const pdf = await renderPdf({
+    contractNumber: contract.contractNumber,
+    version,
+    isAmendment,
+    snapshot,
+    contentHash,
+    diff,
+  });
+  const pdfHash = sha256(pdf);
+
+  const documentId = await storeInVault(
+    businessId,
+    userId,
+    contract.contractNumber,
+    `${contract.contractNumber}-v${version}.pdf`,
+    pdf,
+    `${contract.title}, version ${version} for signature`,
+  );
+
+  const created = await prisma.$transaction(async (tx) => {
+    await tx.contractVersion.updateMany({
+      where: { contractId, status: VERSION_STATUS.PENDING_SIGNATURE },
+      data: { status: VERSION_STATUS.SUPERSEDED },
+    });
+
+    return tx.contractVersion.create({
+      data: {
+        contractId,
+        version,
+        isAmendment,
+        changeSummary,
+        snapshot,
+        contentHash,
+        pdfHash,
+        documentId,
+        diff,
+        createdBy: userId,
+      },
+    });
+  });
+
+  [contract.buyerId, contract.sellerId].forEach((partyId) => {
+    emitToBusiness(partyId, 'contract:version_created', {
+      contractId,
+      contractNumber: contract.contractNumber,
+      version,
+      isAmendment,
+      pdfHash,
+    });
+  });
+
+  logger.info('Contract version created', { contractId, version, isAmendment, pdfHash });
+
+  return created;
+};
+
+/**
+ * Version awaiting signature; contracts that reached PENDING_SIGNATURE
+ * before versioning get their first version on demand
+ */
+const getPendingVersion = async (contract, businessId, userId) => {
+  const pending = await prisma.contractVersion.findFirst({
+    where: { contractId: contract.id, status: VERSION_STATUS.PENDING_SIGNATURE },
+    orderBy: { version: 'desc' },
+  });
+  if (pending) return pending;
+
+  if (contract.status === CONTRACT_STATUS.PENDING_SIGNATURE) {
+    return createVersion(contract.id, businessId, userId);
+  }
+
+  throw new BadRequestError('No contract version is awaiting signature');
+};
+
+/**
+ * List versions with signing status
+ */
+const getVersions = async (contractId, businessId) => {
+  await findContractForParty(contractId, businessId);
+
+  return prisma.contractVersion.findMany({
+    where: { contractId },
+    orderBy: { version: 'desc' },
+    select: {
+      id: true,
+      version: true,
+      status: true,
+      isAmendment: true,
+      changeSummary: true,
+      pdfHash: true,
+      executedPdfHash: true,
+      executedAt: true,
+      createdBy: true,
+      createdAt: true,
+      signatures: { select: { role: true, signerName: true, signedAt: true } },
+    },
+  });
+};
+
+/**
+ * Version with its snapshot, redline and signature evidence checks
+ */
+const getVersion = async (contractId, businessId, versionNumber) => {
+  await findContractForParty(contractId, businessId);
+
+  const version = await prisma.contractVersion.findUnique({
+    where: { contractId_version: { contractId, version: versionNumber } },
+    include: { signatures: true },
+  });
+
+  if (!version) {
+    throw new NotFoundError('Contract version');
+  }
+
+  return {
+    ...version,
+    changes: version.diff ? redline.summarize(version.diff) : null,
+    signatures: version.signatures.map((signature) => ({
+      ...signature,
+      verification: verifySignature(signature),
+    })),
+  };
+};
+
+// =============================================================================
+// SIGNING
+// =============================================================================
+
+/**
+ * Send a signing OTP bound to the version awaiting signature
+ */
+const requestSignatureOtp = async (contractId, businessId, userId, method) => {
+  const contract = await findContractForParty(contractId, businessId);
+  const version = await getPendingVersion(contract, businessId, userId);
+
+  const role = contract.buyerId === businessId ? SIGNER_ROLE.BUYER : SIGNER_ROLE.SELLER;
+  const existing = await prisma.contractSignature.findUnique({
+    where: { versionId_role: { versionId: version.id, role } },
+  });
+  if (existing) {
+    throw new BadRequestError('Your organisation has already signed this version');
+  }
+
+  const delivery = await twoFactorAuthService.generateOTP(
+    userId,
+    twoFactorAuthService.OTP_PURPOSE.CONTRACT_SIGNATURE,
+    method,
+  );
+  await cache.set(otpBindingKey(userId), version.id, OTP_BINDING_TTL);
+
+  return { ...delivery, version: version.version, documentHash: version.pdfHash };
+};
+
+/**
+ * Sign the pending version: verifies the OTP, records evidence bound to the
+ * document hash and, once both parties have signed, executes the version
+ */
+const signVersion = async (contractId, businessId, signer) => {
+  const { userId, otp, ipAddress, userAgent } = signer;
+
+  const contract = await findContractForParty(contractId, businessId, {
+    buyer: { select: { id: true, businessName: true, legalName: true } },
+    seller: { select: { id: true, businessName: true, legalName: true } },
+  });
+  if (![CONTRACT_STATUS.PENDING_SIGNATURE, CONTRACT_STATUS.ACTIVE].includes(contract.status)) {
+    throw new BadRequestError(`Contract cannot be signed in ${contract.status} status`);
+  }
+
+  const version = await getPendingVersion(contract, businessId, userId);
+  const isBuyer = contract.buyerId === businessId;
+  const role = isBuyer ? SIGNER_ROLE.BUYER : SIGNER_ROLE.SELLER;
+
+  // Checked again under the version lock; this spares the OTP when it is plainly too late
+  const signatures = await prisma.contractSignature.findMany({ where: { versionId: version.id } });
+  if (signatures.some((signature) => signature.role === role)) {
+    throw new BadRequestError('Your organisation has already signed this version');
+  }
+
+  if (await cache.get(otpBindingKey(userId)) !== version.id) {
+    throw new BadRequestError('Request a signing OTP for the current contract version first');
+  }
+  const verification = await twoFactorAuthService.verifyOTP(
+    userId,
+    otp,
+    twoFactorAuthService.OTP_PURPOSE.CONTRACT_SIGNATURE,
+  );
+  await cache.del(otpBindingKey(userId));
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { firstName: true, lastName: true, email: true },
+  });
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  const signature = {
+    contractId,
+    versionId: version.id,
+    businessId,
+    userId,
+    role,
+    signerName: `${user.firstName} ${user.lastName}`.trim(),
+    signerEmail: user.email,
+    documentHash: version.pdfHash,
+    signedAt: new Date(),
+    ipAddress,
+    userAgent,
+    otpMethod: verification.method,
+    otpVerifiedAt: verification.verifiedAt || new Date(),
+  };
+  signature.payloadHash = sha256(signaturePayload(signature));
+
+  const key = getSigningKey();
+  if (key) {
+    signature.serverSignature = crypto.sign(null, Buffer.from(signature.payloadHash), key).toString('base64');
+    signature.keyFingerprint = getKeyFingerprint();
+  } else {
+    logger.warn('Contract signature recorded without countersignature: CONTRACT_SIGNING_PRIVATE_KEY is not configured');
+  }
+
+  const now = new Date();
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Both parties may sign at once: the lock makes the second signer wait for
+    // the first, so whoever completes the pair sees both signatures and executes
+    await tx.$queryRaw`SELECT id FROM contract_versions WHERE id = ${version.id} FOR UPDATE`;
+    const signed = await tx.contractSignature.findMany({ where: { versionId: version.id } });
+    if (signed.some((entry) => entry.role === role)) {
+      throw new BadRequestError('Your organisation has already signed this version');
+    }
+
+    const record = await tx.contractSignature.create({ data: signature });
+    const roles = new Set([...signed, record].map((entry) => entry.role));
+    const fullyExecuted = roles.has(SIGNER_ROLE.BUYER) && roles.has(SIGNER_ROLE.SELLER);
+    const execution = fullyExecuted
+      ? await fileExecutedCopy(contract, version, [...signed, signature], userId, now)
+      : null;
+
+    let updatedVersion = version;
+    if (execution) {
+      await tx.contractVersion.updateMany({
+        where: { contractId, status: VERSION_STATUS.EXECUTED },
+        data: { status: VERSION_STATUS.SUPERSEDED },
+      });
+      updatedVersion = await tx.contractVersion.update({
+        where: { id: version.id },
+        data: { status: VERSION_STATUS.EXECUTED, executedAt: now, ...execution },
+      });
+    }
+
+    let updatedContract = contract;
+    if (version.isAmendment) {
+      if (execution) await applySnapshot(tx, contractId, version.snapshot);
+    } else {
+      const data = isBuyer
+        ? { signedByBuyer: true, buyerSignedAt: signature.signedAt }
+        : { signedBySeller: true, sellerSignedAt: signature.signedAt };
+      if (execution) {
+        data.status = CONTRACT_STATUS.ACTIVE;
+        data.activatedAt = now;
+      }
+      updatedContract = await tx.contract.update({ where: { id: contractId }, data });
+    }
+
+    return {
+      contract: updatedContract, version: updatedVersion, signature: record, fullyExecuted,
+    };
+  });
+  const { fullyExecuted } = result;
+
+  const counterpartyId = isBuyer ? contract.sellerId : contract.buyerId;
+  emitToBusiness(counterpartyId, 'contract:signed', {
+    contractId,
+    contractNumber: contract.contractNumber,
+    version: version.version,
+    fullyExecuted,
+  });
+
+  logger.info('Contract signed', { contractId, version: version.version, role, fullyExecuted });
+
+  return result;
+};
+
+// =============================================================================
+// VERIFICATION
+// =============================================================================
+
+/**
+ * Check a PDF (or its SHA-256) against signed versions; public, so only
+ * signing facts are disclosed
+ */
+const verifyDocument = async ({ buffer, hash }) => {
+  const documentHash = buffer ? sha256(buffer) : String(hash || '').toLowerCase();
+  if (!/^[a-f0-9]{64}$/.test(documentHash)) {
+    throw new BadRequestError('Provide a PDF file or its SHA-256 hash');
+  }
+
+  const version = await prisma.contractVersion.findFirst({
+    where: { OR: [{ pdfHash: documentHash }, { executedPdfHash: documentHash }] },
+    include: {
+      signatures: true,
+      contract: {
+        select: {
+          contractNumber: true,
+          status: true,
+          buyer: { select: { businessName: true } },
+          seller: { select: { businessName: true } },
+        },
+      },
+    },
+  });
+
+  if (!version) {
+    return { valid: false, documentHash, reason: 'Document does not match any signed contract version' };
+  }
+
+  const isExecutedCopy = version.executedPdfHash === documentHash;
+  const signatures = version.signatures.map((signature) => {
+    const check = verifySignature(signature);
+    return {
+      role: signature.role,
+      signerName: signature.signerName,
+      signedAt: signature.signedAt,
+      documentHash: signature.documentHash,
+      valid: check.valid && signature.documentHash === version.pdfHash,
+    };
+  });
+
+  return {
+    valid: signatures.length > 0 && signatures.every((signature) => signature.valid),
+    documentHash,
+    document: isExecutedCopy ? 'EXECUTED_COPY' : 'SIGNED_VERSION',
+    fullyExecuted: !!version.executedAt,
+    contractNumber: version.contract.contractNumber,
+    contractStatus: version.contract.status,
+    version: version.version,
+    versionStatus: version.status,
+    executedAt: version.executedAt,
+    parties: {
+      buyer: version.contract.buyer.businessName,
+      seller: version.contract.seller.businessName,
+    },
+    signatures,
+  };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  VERSION_STATUS,
+  SIGNER_ROLE,
+  createVersion,
+  getVersions,
+  getVersion,
+  requestSignatureOtp,
+  signVersion,
+  verifyDocument,
+  verifySignature,
+  diffVersions,
+  renderPdf,
+};
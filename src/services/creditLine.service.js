@@ -9,6 +9,7 @@ const logger = require('../config/logger');
 const { NotFoundError, BadRequestError, ForbiddenError, ConflictError } = require('../utils/errors');
 const { generateId, formatCurrency } = require('../utils/helpers');
 const { emitToBusiness } = require('./socket.service');
+const ledgerService = require('./ledger.service');
 
 // =============================================================================
 // CONSTANTS
@@ -40,6 +41,37 @@ const generateTransactionId = (prefix = 'CRD') => {
   return `${prefix}-${Date.now().toString(36).toUpperCase()}-${generateId().substring(0, 6).toUpperCase()}`;
 };
 
+const { ACCOUNTS } = ledgerService;
+const receivableAccount = (businessId) => ledgerService.subAccount(ACCOUNTS.CREDIT_RECEIVABLE, businessId);
+const getLimit = (creditLine) => parseFloat(creditLine.creditLimit ?? creditLine.approvedAmount ?? 0);
+
+/**
+ * Bring a credit line that predates the ledger into it before its first
+ * posting, carrying its used credit over as the opening receivable
+ */
+const openCreditLedger = async (creditLineId, tx) => {
+  await tx.$queryRaw`SELECT id FROM "CreditLine" WHERE id = ${creditLineId} FOR UPDATE`;
+  const creditLine = await tx.creditLine.findUnique({ where: { id: creditLineId } });
+
+  return ledgerService.openBalances({
+    reference: `OPENING:CREDIT_LINE:${creditLine.id}`,
+    description: 'Credit line opening balance',
+    sourceId: creditLine.id,
+    balances: { [receivableAccount(creditLine.businessId)]: parseFloat(creditLine.usedCredit || 0) },
+  }, tx);
+};
+
+/**
+ * Refresh used/available credit from the receivable ledger balance
+ */
+const syncCreditLine = (creditLine, outstanding, tx) => {
+  const available = getLimit(creditLine) - outstanding;
+  return tx.creditLine.update({
+    where: { id: creditLine.id },
+    data: { usedCredit: outstanding, availableCredit: available },
+  });
+};
+
 // =============================================================================
 // CREDIT SCORE CALCULATION
 // =============================================================================
@@ -143,25 +175,36 @@ const getCreditLine = async (businessId) => {
 const useCredit = async (businessId, orderId, amount) => {
   const creditLine = await prisma.creditLine.findFirst({ where: { businessId, status: CREDIT_STATUS.ACTIVE } });
   if (!creditLine) throw new NotFoundError('Active credit line');
-  if (amount > parseFloat(creditLine.availableCredit)) {
-    throw new BadRequestError(`Insufficient credit. Available: ${formatCurrency(creditLine.availableCredit)}`);
-  }
 
   const transactionId = generateTransactionId('USE');
-
-  await prisma.$transaction([
-    prisma.creditTransaction.create({
+  const account = receivableAccount(businessId);
+
+  // The receivable account is capped at the credit limit, checked under lock
+  await prisma.$transaction(async (tx) => {
+    await openCreditLedger(creditLine.id, tx);
+    await ledgerService.setAccountLimits(account, { balanceFloor: 0, balanceCeiling: getLimit(creditLine) }, tx);
+
+    const { journal, balances } = await ledgerService.postJournal({
+      reference: `CREDIT_USE:${transactionId}`,
+      description: 'Credit used for order',
+      sourceType: 'CREDIT_LINE',
+      sourceId: orderId,
+      lines: [
+        { accountCode: account, debit: amount },
+        { accountCode: ACCOUNTS.ORDERS_CLEARING, credit: amount },
+      ],
+    }, tx);
+
+    const updated = await syncCreditLine(creditLine, balances[account], tx);
+
+    await tx.creditTransaction.create({
       data: {
         creditLineId: creditLine.id, transactionId, type: TRANSACTION_TYPE.USAGE, amount,
         description: 'Credit used for order', referenceType: 'order', referenceId: orderId,
-        balanceAfter: parseFloat(creditLine.availableCredit) - amount,
+        balanceAfter: updated.availableCredit, metadata: { journalId: journal.id },
       },
-    }),
-    prisma.creditLine.update({
-      where: { id: creditLine.id },
-      data: { usedCredit: { increment: amount }, availableCredit: { decrement: amount } },
-    }),
-  ]);
+    });
+  });
 
   await cache.del(`credit:${businessId}`);
   logger.info('Credit used', { transactionId, businessId, orderId, amount });
@@ -171,23 +214,39 @@ const useCredit = async (businessId, orderId, amount) => {
 const makePayment = async (businessId, amount, paymentMethod) => {
   const creditLine = await prisma.creditLine.findFirst({ where: { businessId, status: CREDIT_STATUS.ACTIVE } });
   if (!creditLine) throw new NotFoundError('Active credit line');
-  if (amount > parseFloat(creditLine.usedCredit)) throw new BadRequestError('Payment amount exceeds outstanding balance');
 
   const transactionId = generateTransactionId('PMT');
+  const account = receivableAccount(businessId);
+
+  const updatedCreditLine = await prisma.$transaction(async (tx) => {
+    await openCreditLedger(creditLine.id, tx);
+
+    const outstanding = await ledgerService.getBalance(account, tx);
+    if (amount > outstanding) throw new BadRequestError('Payment amount exceeds outstanding balance');
+
+    const { journal, balances } = await ledgerService.postJournal({
+      reference: `CREDIT_PAYMENT:${transactionId}`,
+      description: `Credit repayment via ${paymentMethod}`,
+      sourceType: 'CREDIT_LINE',
+      sourceId: creditLine.id,
+      lines: [
+        { accountCode: ACCOUNTS.GATEWAY_CLEARING, debit: amount },
+        { accountCode: account, credit: amount },
+      ],
+    }, tx);
 
-  const [transaction, updatedCreditLine] = await prisma.$transaction([
-    prisma.creditTransaction.create({
+    const updated = await syncCreditLine(creditLine, balances[account], tx);
+
+    await tx.creditTransaction.create({
       data: {
         creditLineId: creditLine.id, transactionId, type: TRANSACTION_TYPE.PAYMENT, amount: -amount,
         description: `Credit payment via ${paymentMethod}`,
-        balanceAfter: parseFloat(creditLine.availableCredit) + amount, metadata: { paymentMethod },
+        balanceAfter: updated.availableCredit, metadata: { paymentMethod, journalId: journal.id },
       },
-    }),
-    prisma.creditLine.update({
-      where: { id: creditLine.id },
-      data: { usedCredit: { decrement: amount }, availableCredit: { increment: amount } },
-    }),
-  ]);
+    });
+
+    return updated;
+  });
 
   await cache.del(`credit:${businessId}`);
   emitToBusiness(businessId, 'credit:payment_received', { transactionId, amount, newAvailable: updatedCreditLine.availableCredit });
@@ -203,5 +262,5 @@ const makePayment = async (businessId, amount, paymentMethod) => {
 module.exports = {
   CREDIT_STATUS, TRANSACTION_TYPE, SCORE_THRESHOLDS,
   calculateCreditScore, getScoreTier, getInterestRate, getMaxCreditLimit,
-  applyForCredit, getCreditLine, useCredit, makePayment,
+  applyForCredit, getCreditLine, useCredit, makePayment, openCreditLedger,
 };
@@ -0,0 +1,596 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - CREDIT / DEBIT NOTE SERVICE
+// GST credit notes (returns, post-sale discounts) and debit notes (upward
+// price revisions) issued against an original tax invoice
+// =============================================================================
+
+const PDFDocument = require('pdfkit');
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+const {
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+  ConflictError,
+} = require('../utils/errors');
+const {
+  generateCreditNoteNumber,
+  getFinancialYear,
+  roundTo,
+  formatCurrency,
+  formatDate,
+} = require('../utils/helpers');
+const gstService = require('./gst.service');
+const eInvoiceService = require('./eInvoice.service');
+const taxWithholdingService = require('./taxWithholding.service');
+const { emitToBusiness } = require('./socket.service');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const NOTE_TYPE = {
+  CREDIT: 'CREDIT',
+  DEBIT: 'DEBIT',
+};
+
+const NOTE_STATUS = {
+  ISSUED: 'ISSUED',
+  CANCELLED: 'CANCELLED',
+};
+
+// Reasons as reported in GSTR-1 (CDNR / CDNUR)
+const NOTE_REASONS = {
+  SALES_RETURN: 'Sales return',
+  POST_SALE_DISCOUNT: 'Post sale discount',
+  DEFICIENCY_IN_SERVICES: 'Deficiency in services',
+  CORRECTION_IN_INVOICE: 'Correction in invoice',
+  CHANGE_IN_POS: 'Change in place of supply',
+  FINALIZATION_OF_PROVISIONAL_ASSESSMENT: 'Finalization of provisional assessment',
+  OTHERS: 'Others',
+};
+
+// Returns whose accepted units can be credited
+const CREDITABLE_RETURN_STATUSES = ['INSPECTED', 'REFUNDED'];
+
+// IRN for a note can only be cancelled within this window (same as invoices)
+const IRN_CANCELLATION_HOURS = 24;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Resolve the original tax invoice a note is raised against
+ * Prefers the IRN-registered e-invoice, falls back to the order invoice
+ */
+const getOriginalInvoice = async (order) => {
+  const eInvoice = await prisma.eInvoice.findUnique({ where: { orderId: order.id } });
+
+  if (eInvoice && eInvoice.status !== 'CANCELLED') {
+    return {
+      invoiceNumber: eInvoice.invoiceNumber,
+      invoiceDate: eInvoice.invoiceDate,
+      irn: eInvoice.irn,
+    };
+  }
+
+  if (order.invoiceNumber) {
+    return {
+      invoiceNumber: order.invoiceNumber,
+      invoiceDate: order.invoiceGeneratedAt,
+      irn: order.irnNumber || null,
+    };
+  }
+
+  throw new BadRequestError('No tax invoice has been generated for this order');
+};
+
+/**
+ * Determine whether the original supply was inter-state
+ */
+const isInterStateSupply = (order) => {
+  if (order.seller.gstin && order.buyer.gstin) {
+    return gstService.isInterState(order.seller.gstin, order.buyer.gstin);
+  }
+
+  const placeOfSupply = order.shippingAddress?.state || order.buyer.state;
+  return (order.seller.state || '').toLowerCase() !== (placeOfSupply || '').toLowerCase();
+};
+
+/**
+ * Split each adjusted line into CGST/SGST/IGST and total the note
+ * A line adjusts either whole units (quantity) or a value (taxableValue)
+ */
+const calculateNoteTax = (orderItems, lines, isInterState) => {
+  const itemsById = new Map(orderItems.map((item) => [item.id, item]));
+
+  const items = lines.map((line) => {
+    const orderItem = itemsById.get(line.orderItemId);
+    if (!orderItem) {
+      throw new BadRequestError(`Order item ${line.orderItemId} not found in this order`);
+    }
+
+    const quantity = line.quantity || 0;
+    const unitPrice = parseFloat(orderItem.unitPrice);
+    const taxableValue = roundTo(line.taxableValue !== undefined ? line.taxableValue : unitPrice * quantity);
+
+    if (taxableValue <= 0) {
+      throw new BadRequestError(`Adjustment for ${orderItem.productName} must be greater than zero`);
+    }
+
+    const gstRate = parseFloat(orderItem.taxRate);
+    const tax = gstService.calculateGST(taxableValue, gstRate, !isInterState);
+
+    return {
+      orderItemId: orderItem.id,
+      productName: orderItem.productName,
+      hsnCode: orderItem.hsnCode,
+      quantity,
+      unitPrice,
+      gstRate,
+      taxableValue,
+      cgstAmount: roundTo(tax.cgst),
+      sgstAmount: roundTo(tax.sgst),
+      igstAmount: roundTo(tax.igst),
+      totalValue: roundTo(tax.totalAmount),
+    };
+  });
+
+  const sum = (key) => roundTo(items.reduce((total, item) => total + item[key], 0));
+
+  return {
+    items,
+    taxableValue: sum('taxableValue'),
+    cgstAmount: sum('cgstAmount'),
+    sgstAmount: sum('sgstAmount'),
+    igstAmount: sum('igstAmount'),
+    totalValue: sum('totalValue'),
+  };
+};
+
+/**
+ * Ensure credit notes never reverse more than was invoiced on a line
+ */
+const assertWithinInvoicedValue = async (orderItems, noteItems) => {
+  const credited = await prisma.creditNoteItem.groupBy({
+    by: ['orderItemId'],
+    where: {
+      orderItemId: { in: noteItems.map((item) => item.orderItemId) },
+      creditNote: { noteType: NOTE_TYPE.CREDIT, status: NOTE_STATUS.ISSUED },
+    },
+    _sum: { quantity: true, taxableValue: true },
+  });
+  const creditedById = new Map(credited.map((row) => [row.orderItemId, row._sum]));
+
+  for (const noteItem of noteItems) {
+    const orderItem = orderItems.find((item) => item.id === noteItem.orderItemId);
+    const previous = creditedById.get(noteItem.orderItemId) || {};
+    const invoicedValue = parseFloat(orderItem.unitPrice) * orderItem.quantity
+      - parseFloat(orderItem.discountAmount || 0);
+    const remainingValue = roundTo(invoicedValue - parseFloat(previous.taxableValue || 0));
+    const remainingQty = orderItem.quantity - (previous.quantity || 0);
+
+    if (noteItem.quantity > remainingQty) {
+      throw new BadRequestError(
+        `Cannot credit ${noteItem.quantity} units of ${orderItem.productName}. Creditable: ${remainingQty}`,
+      );
+    }
+    if (noteItem.taxableValue > remainingValue) {
+      throw new BadRequestError(
+        `Credit for ${orderItem.productName} exceeds invoiced value. Creditable: ${remainingValue}`,
+      );
+    }
+  }
+};
+
+/**
+ * Build note lines from the accepted units of an inspected return
+ */
+const getReturnLines = async (returnId, order) => {
+  const returnRequest = await prisma.returnRequest.findUnique({
+    where: { id: returnId },
+    include: { items: true },
+  });
+
+  if (!returnRequest || returnRequest.orderId !== order.id) {
+    throw new NotFoundError('Return request');
+  }
+  if (!CREDITABLE_RETURN_STATUSES.includes(returnRequest.status)) {
+    throw new BadRequestError('Return must be inspected before a credit note can be issued');
+  }
+
+  const existing = await prisma.creditNote.findFirst({
+    where: { returnId, status: NOTE_STATUS.ISSUED },
+  });
+  if (existing) {
+    throw new ConflictError(`Credit note ${existing.noteNumber} already issued for this return`);
+  }
+
+  const lines = returnRequest.items
+    .filter((item) => item.acceptedQty > 0)
+    .map((item) => ({ orderItemId: item.orderItemId, quantity: item.acceptedQty }));
+
+  if (lines.length === 0) {
+    throw new BadRequestError('No accepted units to credit on this return');
+  }
+
+  return lines;
+};
+
+/**
+ * Load a note and check the business is a party to it
+ */
+const getNoteForParty = async (noteId, businessId, role) => {
+  const note = await prisma.creditNote.findUnique({
+    where: { id: noteId },
+    include: { items: true },
+  });
+
+  if (!note) {
+    throw new NotFoundError('Credit note');
+  }
+
+  const isSeller = note.sellerId === businessId;
+  if (role === 'seller' && !isSeller) {
+    throw new ForbiddenError('Only the issuing seller can perform this action');
+  }
+  if (!isSeller && note.buyerId !== businessId) {
+    throw new ForbiddenError('Cannot access this note');
+  }
+
+  return note;
+};
+
+// =============================================================================
+// NOTE LIFECYCLE
+// =============================================================================
+
+/**
+ * Issue a credit or debit note against an order's tax invoice
+ */
+const createNote = async (sellerId, orderId, data) => {
+  const { noteType = NOTE_TYPE.CREDIT, reasonCode, returnId, notes } = data;
+
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: { items: true, buyer: true, seller: true },
+  });
+
+  if (!order) {
+    throw new NotFoundError('Order');
+  }
+  if (order.sellerId !== sellerId) {
+    throw new ForbiddenError('Only the seller can issue notes for this order');
+  }
+  if (returnId && noteType !== NOTE_TYPE.CREDIT) {
+    throw new BadRequestError('Only credit notes can be issued against a return');
+  }
+
+  const originalInvoice = await getOriginalInvoice(order);
+  const lines = returnId ? await getReturnLines(returnId, order) : data.items;
+
+  if (!lines || lines.length === 0) {
+    throw new BadRequestError('At least one line is required');
+  }
+
+  const isInterState = isInterStateSupply(order);
+  const totals = calculateNoteTax(order.items, lines, isInterState);
+
+  if (noteType === NOTE_TYPE.CREDIT) {
+    await assertWithinInvoicedValue(order.items, totals.items);
+  }
+
+  const financialYear = getFinancialYear();
+
+  const note = await prisma.$transaction(async (tx) => {
+    const noteNumber = await generateCreditNoteNumber(tx, sellerId, noteType, financialYear);
+
+    return tx.creditNote.create({
+      data: {
+        noteNumber,
+        noteType,
+        financialYear,
+        orderId,
+        sellerId,
+        buyerId: order.buyerId,
+        returnId,
+        originalInvoiceNumber: originalInvoice.invoiceNumber,
+        originalInvoiceDate: originalInvoice.invoiceDate,
+        originalIrn: originalInvoice.irn,
+        reasonCode: returnId ? 'SALES_RETURN' : reasonCode,
+        notes,
+        sellerGstin: order.seller.gstin,
+        buyerGstin: order.buyer.gstin,
+        placeOfSupply: order.shippingAddress?.state || order.buyer.state,
+        isInterState,
+        taxableValue: totals.taxableValue,
+        cgstAmount: totals.cgstAmount,
+        sgstAmount: totals.sgstAmount,
+        igstAmount: totals.igstAmount,
+        totalValue: totals.totalValue,
+        createdBy: sellerId,
+        items: { create: totals.items },
+      },
+      include: { items: true },
+    });
+  });
+
+  logger.logAudit('CREDIT_NOTE_ISSUED', null, {
+    creditNoteId: note.id,
+    noteNumber: note.noteNumber,
+    noteType,
+    orderId,
+    originalInvoiceNumber: note.originalInvoiceNumber,
+    totalValue: totals.totalValue,
+  });
+
+  // TCS is due on net supplies, so a credit note reverses its share
+  await taxWithholdingService.reverseTCSForCreditNote(note);
+
+  emitToBusiness(order.buyerId, 'credit-note:issued', {
+    creditNoteId: note.id,
+    noteNumber: note.noteNumber,
+    noteType,
+    orderId,
+    totalValue: totals.totalValue,
+  });
+
+  return note;
+};
+
+/**
+ * Register the note with the IRP (document type CRN / DBN)
+ */
+const generateNoteIRN = async (noteId, sellerId) => {
+  await getNoteForParty(noteId, sellerId, 'seller');
+
+  return eInvoiceService.generateNoteEInvoice(noteId);
+};
+
+/**
+ * Cancel a note; registered notes can only be cancelled within 24 hours of IRN
+ */
+const cancelNote = async (noteId, sellerId, reason) => {
+  const note = await getNoteForParty(noteId, sellerId, 'seller');
+
+  if (note.status === NOTE_STATUS.CANCELLED) {
+    throw new BadRequestError('Note already cancelled');
+  }
+
+  if (note.irn) {
+    const hoursSinceAck = (Date.now() - new Date(note.ackDate).getTime()) / (1000 * 60 * 60);
+    if (hoursSinceAck > IRN_CANCELLATION_HOURS) {
+      throw new BadRequestError('Notes with an IRN can only be cancelled within 24 hours');
+    }
+
+    // The IRN stays live at the IRP until it is cancelled there, so do that
+    // before the note is marked cancelled locally
+    await eInvoiceService.cancelNoteEInvoice(note, reason);
+  }
+
+  // The TCS the note took off the seller's liability comes back with it
+  const updated = await prisma.$transaction(async (tx) => {
+    const cancelled = await tx.creditNote.update({
+      where: { id: noteId },
+      data: {
+        status: NOTE_STATUS.CANCELLED,
+        cancelledAt: new Date(),
+        cancelReason: reason,
+      },
+      include: { items: true },
+    });
+    await taxWithholdingService.cancelTCSReversal(noteId, tx);
+
+    return cancelled;
+  });
+
+  logger.logAudit('CREDIT_NOTE_CANCELLED', null, {
+    creditNoteId: noteId,
+    noteNumber: note.noteNumber,
+    reason,
+  });
+
+  return updated;
+};
+
+// =============================================================================
+// PDF
+// =============================================================================
+
+/**
+ * Render a credit/debit note as PDF
+ */
+const generateNotePDF = async (noteId, businessId) => {
+  await getNoteForParty(noteId, businessId);
+
+  const note = await prisma.creditNote.findUnique({
+    where: { id: noteId },
+    include: { items: true, seller: true, buyer: true },
+  });
+
+  const doc = new PDFDocument({ margin: 50, size: 'A4' });
+  const buffers = [];
+  doc.on('data', buffers.push.bind(buffers));
+
+  const title = note.noteType === NOTE_TYPE.DEBIT ? 'DEBIT NOTE' : 'CREDIT NOTE';
+
+  // Header
+  doc.fontSize(18).text(title, { align: 'center' });
+  if (note.status === NOTE_STATUS.CANCELLED) {
+    doc.fontSize(10).fillColor('red').text('CANCELLED', { align: 'center' }).fillColor('black');
+  }
+  doc.moveDown();
+
+  doc.fontSize(10);
+  doc.text(`Note No: ${note.noteNumber}`);
+  doc.text(`Date: ${formatDate(note.issuedAt)}`);
+  doc.text(`Against Invoice: ${note.originalInvoiceNumber}` +
+    (note.originalInvoiceDate ? ` dated ${formatDate(note.originalInvoiceDate)}` : ''));
+  doc.text(`Reason: ${NOTE_REASONS[note.reasonCode] || note.reasonCode}`);
+  if (note.irn) {
+    doc.text(`IRN: ${note.irn}`);
+    doc.text(`Ack No: ${note.ackNumber}`);
+  }
+  doc.moveDown();
+
+  // Parties
+  const partiesY = doc.y;
+  doc.font('Helvetica-Bold').text('Supplier', 50, partiesY);
+  doc.text('Recipient', 300, partiesY);
+  doc.font('Helvetica');
+  doc.text(note.seller.legalName || note.seller.businessName, 50, partiesY + 15, { width: 230 });
+  doc.text(`GSTIN: ${note.sellerGstin || 'N/A'}`, 50, partiesY + 30);
+  doc.text(`${note.seller.city}, ${note.seller.state}`, 50, partiesY + 45);
+  doc.text(note.buyer.legalName || note.buyer.businessName, 300, partiesY + 15, { width: 230 });
+  doc.text(`GSTIN: ${note.buyerGstin || 'Unregistered'}`, 300, partiesY + 30);
+  doc.text(`Place of Supply: ${note.placeOfSupply || note.buyer.state}`, 300, partiesY + 45);
+
+  // Items table
+  const tableTop = partiesY + 80;
+  doc.fontSize(9).font('Helvetica-Bold');
+  doc.text('Item', 50, tableTop);
+  doc.text('HSN', 200, tableTop);
+  doc.text('Qty', 250, tableTop);
+  doc.text('Taxable', 290, tableTop);
+  doc.text('Rate', 360, tableTop);
+  doc.text(note.isInterState ? 'IGST' : 'CGST+SGST', 400, tableTop);
+  doc.text('Total', 480, tableTop);
+  doc.moveTo(50, tableTop + 15).lineTo(550, tableTop + 15).stroke();
+
+  doc.font('Helvetica').fontSize(8);
+  let y = tableTop + 25;
+
+  for (const item of note.items) {
+    if (y > 700) {
+      doc.addPage();
+      y = 50;
+    }
+
+    const tax = parseFloat(item.igstAmount) + parseFloat(item.cgstAmount) + parseFloat(item.sgstAmount);
+    doc.text(item.productName.substring(0, 30), 50, y);
+    doc.text(item.hsnCode || '-', 200, y);
+    doc.text(item.quantity ? String(item.quantity) : '-', 250, y);
+    doc.text(formatCurrency(item.taxableValue), 290, y);
+    doc.text(`${parseFloat(item.gstRate)}%`, 360, y);
+    doc.text(formatCurrency(tax), 400, y);
+    doc.text(formatCurrency(item.totalValue), 480, y);
+    y += 18;
+  }
+
+  // Totals
+  doc.moveTo(50, y).lineTo(550, y).stroke();
+  y += 10;
+  doc.fontSize(9);
+  doc.text(`Taxable Value: ${formatCurrency(note.taxableValue)}`, 350, y);
+  if (note.isInterState) {
+    doc.text(`IGST: ${formatCurrency(note.igstAmount)}`, 350, y + 15);
+  } else {
+    doc.text(`CGST: ${formatCurrency(note.cgstAmount)}`, 350, y + 15);
+    doc.text(`SGST: ${formatCurrency(note.sgstAmount)}`, 350, y + 30);
+  }
+  doc.font('Helvetica-Bold').text(`Total: ${formatCurrency(note.totalValue)}`, 350, y + 50);
+
+  // Footer
+  doc.font('Helvetica').fontSize(8).text(
+    'This is a computer generated document.',
+    50,
+    750,
+    { align: 'center' },
+  );
+
+  doc.end();
+
+  return new Promise((resolve) => {
+    doc.on('end', () => {
+      resolve(Buffer.concat(buffers));
+    });
+  });
+};
+
+// =============================================================================
+// QUERIES
+// =============================================================================
+
+/**
+ * Get note by ID with items
+ */
+const getNoteById = async (noteId, businessId) => {
+  await getNoteForParty(noteId, businessId);
+
+  return prisma.creditNote.findUnique({
+    where: { id: noteId },
+    include: {
+      items: true,
+      order: { select: { id: true, orderNumber: true } },
+      buyer: { select: { id: true, businessName: true, gstin: true } },
+      seller: { select: { id: true, businessName: true, gstin: true } },
+    },
+  });
+};
+
+/**
+ * List notes issued by (seller) or received by (buyer) a business
+ */
+const listNotes = async (businessId, role, filters = {}, pagination = {}) => {
+  const { page = 1, limit = 20 } = pagination;
+  const skip = (page - 1) * limit;
+
+  const where = role === 'buyer' ? { buyerId: businessId } : { sellerId: businessId };
+  if (filters.noteType) where.noteType = filters.noteType;
+  if (filters.status) where.status = filters.status;
+  if (filters.orderId) where.orderId = filters.orderId;
+
+  const [notes, total] = await Promise.all([
+    prisma.creditNote.findMany({
+      where,
+      skip,
+      take: limit,
+      orderBy: { issuedAt: 'desc' },
+      include: { order: { select: { orderNumber: true } } },
+    }),
+    prisma.creditNote.count({ where }),
+  ]);
+
+  return {
+    notes,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Get issued notes for a seller within a period (used by GST reports)
+ */
+const getNotesForPeriod = (sellerId, startDate, endDate) => {
+  return prisma.creditNote.findMany({
+    where: {
+      sellerId,
+      status: NOTE_STATUS.ISSUED,
+      issuedAt: { gte: startDate, lte: endDate },
+    },
+    include: {
+      items: true,
+      buyer: { select: { businessName: true, gstin: true, state: true } },
+    },
+    orderBy: { issuedAt: 'asc' },
+  });
+};
+
+module.exports = {
+  NOTE_TYPE,
+  NOTE_STATUS,
+  NOTE_REASONS,
+  calculateNoteTax,
+  createNote,
+  generateNoteIRN,
+  cancelNote,
+  generateNotePDF,
+  getNoteById,
+  listNotes,
+  getNotesForPeriod,
+};
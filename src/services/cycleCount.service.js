@@ -0,0 +1,970 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - CYCLE COUNT SERVICE
+// ABC-scheduled cycle counts, blind count sheets per bin or warehouse,
+// variance at cost, approval of large adjustments and accuracy KPIs
+// =============================================================================
+
+const { prisma } = require('../config/database');
+const { inventory } = require('../config/redis');
+const logger = require('../config/logger');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils/errors');
+const { generateCycleCountNumber, roundTo } = require('../utils/helpers');
+const approvalService = require('./approval.service');
+const inventoryLotService = require('./inventoryLot.service');
+const warehouseService = require('./warehouse.service');
+const { emitToBusiness } = require('./socket.service');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const COUNT_SCOPE = { WAREHOUSE: 'WAREHOUSE', BIN: 'BIN' };
+
+const COUNT_STATUS = {
+  OPEN: 'OPEN',
+  PENDING_APPROVAL: 'PENDING_APPROVAL',
+  POSTED: 'POSTED',
+  REJECTED: 'REJECTED',
+  CANCELLED: 'CANCELLED',
+};
+
+const ABC_CLASS = { A: 'A', B: 'B', C: 'C' };
+
+/**
+ * Reason codes stamped on InventoryLog adjustments
+ */
+const ADJUSTMENT_REASON = {
+  COUNT_VARIANCE: 'COUNT_VARIANCE', // Default for a count difference nobody explained
+  DAMAGED: 'DAMAGED',
+  EXPIRED: 'EXPIRED',
+  THEFT: 'THEFT',
+  MISPLACED: 'MISPLACED',
+  FOUND: 'FOUND',
+  RECEIVING_ERROR: 'RECEIVING_ERROR',
+  PICKING_ERROR: 'PICKING_ERROR',
+  DATA_ENTRY: 'DATA_ENTRY',
+  MANUAL: 'MANUAL', // Direct stock edits outside a count
+};
+
+// Sheets still able to post stock; a SKU may sit on only one of them per warehouse
+const ACTIVE_STATUSES = [COUNT_STATUS.OPEN, COUNT_STATUS.PENDING_APPROVAL];
+
+// Orders whose units have left the warehouse, for annual consumption
+const CONSUMED_ORDER_STATUSES = ['SHIPPED', 'OUT_FOR_DELIVERY', 'DELIVERED', 'COMPLETED'];
+
+// Lots physically on the shelf, matching what removeFromLots can take
+const COUNTED_LOT_STATUSES = ['AVAILABLE', 'QUARANTINED', 'EXPIRED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USAGE_WINDOW_DAYS = 365;
+const RECLASSIFY_AFTER_DAYS = 30;
+const DEFAULT_APPROVAL_THRESHOLD = 10000; // Ad hoc counts in warehouses without a plan
+const DEFAULT_LINES_PER_SHEET = 50;
+const DEFAULT_REPORT_DAYS = 90;
+const NO_LOT = ''; // Count line lot for products that are not lot-tracked
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const getWarehouseForBusiness = async (businessId, warehouseId) => {
+  const warehouse = await prisma.warehouse.findFirst({ where: { id: warehouseId, businessId } });
+  if (!warehouse) throw new NotFoundError('Warehouse');
+  return warehouse;
+};
+
+const getPlanForBusiness = async (businessId, planId) => {
+  const plan = await prisma.cycleCountPlan.findFirst({ where: { id: planId, businessId } });
+  if (!plan) throw new NotFoundError('Cycle count plan');
+  return plan;
+};
+
+const getCountForBusiness = async (businessId, countId) => {
+  const count = await prisma.cycleCount.findFirst({ where: { id: countId, businessId }, include: { lines: true } });
+  if (!count) throw new NotFoundError('Cycle count');
+  return count;
+};
+
+const assertOpen = (count) => {
+  if (count.status !== COUNT_STATUS.OPEN) {
+    throw new BadRequestError(`Cycle count ${count.countNumber} is ${count.status.toLowerCase()}`);
+  }
+};
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const frequencyDays = (plan, abcClass) => ({
+  [ABC_CLASS.A]: plan.classAFrequencyDays,
+  [ABC_CLASS.B]: plan.classBFrequencyDays,
+  [ABC_CLASS.C]: plan.classCFrequencyDays,
+}[abcClass]);
+
+/**
+ * Lot cost where the lot recorded one, then the variant's cost price. List
+ * price is the last resort so uncosted SKUs cannot slip under the approval
+ * threshold.
+ */
+const unitCostOf = (variant, lot) => Number(lot?.unitCost ?? variant.costPrice ?? variant.basePrice ?? 0);
+
+const lineKey = ({ variantId, binId, lotNumber }) => `${variantId}:${binId || ''}:${lotNumber || NO_LOT}`;
+
+/**
+ * What the system holds for a count line right now: the bin's stock for bin
+ * lines, otherwise the lot or the warehouse row
+ */
+const currentQuantity = async (client, warehouseId, { variantId, binId, lotNumber }) => {
+  if (binId) {
+    const stock = await client.binStock.findUnique({
+      where: { binId_variantId_lotNumber: { binId, variantId, lotNumber: lotNumber || NO_LOT } },
+    });
+    return stock?.quantity || 0;
+  }
+  if (lotNumber) {
+    const lot = await client.inventoryLot.findUnique({
+      where: { warehouseId_variantId_lotNumber: { warehouseId, variantId, lotNumber } },
+    });
+    return lot?.quantity || 0;
+  }
+  const inv = await client.warehouseInventory.findUnique({
+    where: { warehouseId_variantId: { warehouseId, variantId } },
+  });
+  return inv?.quantity || 0;
+};
+
+/**
+ * Variants already on a sheet that has not posted, so two sheets never
+ * adjust the same stock
+ */
+const variantsOnActiveSheets = async (warehouseId) => {
+  const lines = await prisma.cycleCountLine.findMany({
+    where: { count: { warehouseId, status: { in: ACTIVE_STATUSES } } },
+    select: { variantId: true },
+  });
+  return new Set(lines.map((line) => line.variantId));
+};
+
+// =============================================================================
+// PLANS & ABC CLASSIFICATION
+// =============================================================================
+
+const validateShares = ({ classAShare, classBShare }) => {
+  if (Number(classAShare) >= Number(classBShare)) {
+    throw new BadRequestError('Class A share must be below the class B share');
+  }
+};
+
+/**
+ * Rank the warehouse's SKUs by the last year's shipped units at cost and
+ * split them A/B/C by cumulative share. SKUs new to the plan fall due at once;
+ * others are rescheduled from their last count at their class frequency.
+ */
+const classifyItems = async (planId, now = new Date()) => {
+  const plan = await prisma.cycleCountPlan.findUnique({ where: { id: planId }, include: { items: true } });
+  if (!plan) throw new NotFoundError('Cycle count plan');
+
+  const stocked = await prisma.warehouseInventory.findMany({
+    where: { warehouseId: plan.warehouseId },
+    include: { variant: true },
+  });
+  const variantIds = stocked.map((inv) => inv.variantId);
+
+  const sold = await prisma.orderItem.findMany({
+    where: {
+      variantId: { in: variantIds },
+      order: {
+        sellerId: plan.businessId,
+        status: { in: CONSUMED_ORDER_STATUSES },
+        createdAt: { gte: addDays(now, -USAGE_WINDOW_DAYS) },
+      },
+    },
+    select: { variantId: true, quantity: true },
+  });
+
+  const units = new Map();
+  sold.forEach((item) => units.set(item.variantId, (units.get(item.variantId) || 0) + item.quantity));
+
+  const ranked = stocked
+    .map((inv) => ({
+      variantId: inv.variantId,
+      value: roundTo((units.get(inv.variantId) || 0) * unitCostOf(inv.variant)),
+    }))
+    .sort((a, b) => b.value - a.value);
+  const total = ranked.reduce((sum, item) => sum + item.value, 0);
+
+  // A SKU takes the class its cumulative share had reached before it, so the top SKU is always A
+  let cumulative = 0;
+  ranked.forEach((item) => {
+    const shareBefore = total > 0 ? (cumulative / total) * 100 : 100;
+    cumulative += item.value;
+    if (item.value > 0 && shareBefore < Number(plan.classAShare)) item.abcClass = ABC_CLASS.A;
+    else if (item.value > 0 && shareBefore < Number(plan.classBShare)) item.abcClass = ABC_CLASS.B;
+    else item.abcClass = ABC_CLASS.C;
+  });
+
+  const existing = new Map(plan.items.map((item) => [item.variantId, item]));
+  await prisma.$transaction([
+    ...ranked.map((item) => {
+      const known = existing.get(item.variantId);
+      const nextCountDue = known?.lastCountedAt
+        ? addDays(known.lastCountedAt, frequencyDays(plan, item.abcClass))
+        : known?.nextCountDue || now;
+      return prisma.cycleCountItem.upsert({
+        where: { planId_variantId: { planId, variantId: item.variantId } },
+        create: {
+          planId, variantId: item.variantId, abcClass: item.abcClass, annualUsageValue: item.value, nextCountDue,
+        },
+        update: { abcClass: item.abcClass, annualUsageValue: item.value, nextCountDue },
+      });
+    }),
+    prisma.cycleCountPlan.update({ where: { id: planId }, data: { lastClassifiedAt: now } }),
+  ]);
+
+  const summary = { A: 0, B: 0, C: 0, totalUsageValue: roundTo(total) };
+  ranked.forEach((item) => { summary[item.abcClass] += 1; });
+
+  logger.info('Cycle count items classified', { planId, ...summary });
+  return summary;
+};
+
+const createPlan = async (businessId, warehouseId, data, userId) => {
+  const warehouse = await getWarehouseForBusiness(businessId, warehouseId);
+
+  const existing = await prisma.cycleCountPlan.findUnique({ where: { warehouseId } });
+  if (existing) throw new ConflictError(`${warehouse.name} already has a cycle count plan`);
+
+  validateShares({ classAShare: data.classAShare ?? 80, classBShare: data.classBShare ?? 95 });
+
+  const plan = await prisma.cycleCountPlan.create({
+    data: {
+      ...data,
+      businessId,
+      warehouseId,
+      name: data.name || `${warehouse.name} cycle counts`,
+      createdById: userId,
+    },
+  });
+
+  const classification = await classifyItems(plan.id);
+
+  logger.info('Cycle count plan created', { planId: plan.id, warehouseId });
+  return { plan, classification };
+};
+
+const updatePlan = async (businessId, planId, data) => {
+  const plan = await getPlanForBusiness(businessId, planId);
+  validateShares({ ...plan, ...data });
+
+  const updated = await prisma.cycleCountPlan.update({ where: { id: planId }, data });
+
+  // Class boundaries and frequencies drive every SKU's due date
+  const classification = await classifyItems(planId);
+  return { plan: updated, classification };
+};
+
+const getPlan = async (businessId, planId, now = new Date()) => {
+  const plan = await getPlanForBusiness(businessId, planId);
+  const items = await prisma.cycleCountItem.findMany({ where: { planId }, orderBy: { nextCountDue: 'asc' } });
+
+  const classes = { A: 0, B: 0, C: 0 };
+  items.forEach((item) => { classes[item.abcClass] += 1; });
+
+  return {
+    ...plan,
+    items,
+    summary: { ...classes, due: items.filter((item) => new Date(item.nextCountDue) <= now).length },
+  };
+};
+
+// =============================================================================
+// COUNT SHEETS
+// =============================================================================
+
+/**
+ * Expected quantities for a sheet: one line per bin, SKU and lot for bin
+ * counts, otherwise one per SKU (or per lot for lot-tracked products)
+ */
+const snapshotLines = async (warehouseId, { binIds, variantIds, classes = new Map() }) => {
+  const variantFilter = variantIds ? { variantId: { in: variantIds } } : {};
+
+  const rows = binIds
+    ? await prisma.binStock.findMany({
+      where: { binId: { in: binIds }, quantity: { gt: 0 }, ...variantFilter },
+      include: { variant: true },
+    })
+    : await prisma.warehouseInventory.findMany({
+      where: { warehouseId, ...variantFilter },
+      include: { variant: { include: { product: true } } },
+    });
+
+  const lots = await prisma.inventoryLot.findMany({
+    where: {
+      warehouseId,
+      variantId: { in: [...new Set(rows.map((row) => row.variantId))] },
+      ...(binIds ? {} : { status: { in: COUNTED_LOT_STATUSES }, quantity: { gt: 0 } }),
+    },
+  });
+  const lotsByKey = new Map(lots.map((lot) => [`${lot.variantId}:${lot.lotNumber}`, lot]));
+
+  const line = (row, lot, expectedQuantity) => ({
+    variantId: row.variantId,
+    binId: row.binId || null,
+    lotNumber: lot?.lotNumber || row.lotNumber || NO_LOT,
+    abcClass: classes.get(row.variantId) || null,
+    expectedQuantity,
+    unitCost: unitCostOf(row.variant, lot),
+  });
+
+  if (binIds) {
+    return rows.map((row) => line(row, lotsByKey.get(`${row.variantId}:${row.lotNumber}`), row.quantity));
+  }
+
+  // Empty rows are only worth counting when the SKU was asked for by name
+  return rows.flatMap((row) => {
+    if (row.variant.product.lotTracked) {
+      return lots.filter((lot) => lot.variantId === row.variantId).map((lot) => line(row, lot, lot.quantity));
+    }
+    return row.quantity > 0 || variantIds ? [line(row, null, row.quantity)] : [];
+  });
+};
+
+/**
+ * Open one sheet per bin for bin counts, or split a warehouse count into
+ * sheets of at most maxLines
+ */
+const openSheets = async (header, lines, maxLines) => {
+  const groups = new Map();
+  if (header.scope === COUNT_SCOPE.BIN) {
+    lines.forEach((line) => groups.set(line.binId, [...(groups.get(line.binId) || []), line]));
+  } else {
+    for (let i = 0; i < lines.length; i += maxLines) groups.set(i, lines.slice(i, i + maxLines));
+  }
+
+  const counts = [];
+  for (const [, group] of groups) {
+    const count = await prisma.$transaction(async (tx) => {
+      const created = await tx.cycleCount.create({
+        data: {
+          ...header,
+          countNumber: await generateCycleCountNumber(tx),
+          binId: header.scope === COUNT_SCOPE.BIN ? group[0].binId : null,
+        },
+      });
+      await tx.cycleCountLine.createMany({ data: group.map((line) => ({ ...line, countId: created.id })) });
+      return created;
+    });
+    counts.push({ ...count, lineCount: group.length });
+  }
+
+  return counts;
+};
+
+/**
+ * Ad hoc count sheets: named bins (or a zone, or every active bin) for bin
+ * counts; the whole warehouse or named SKUs for warehouse counts
+ */
+const createCountSheets = async (businessId, warehouseId, data, userId) => {
+  await getWarehouseForBusiness(businessId, warehouseId);
+  const { scope, zoneId, variantIds, assignedToId } = data;
+  const plan = await prisma.cycleCountPlan.findUnique({ where: { warehouseId } });
+
+  let binIds;
+  if (scope === COUNT_SCOPE.BIN) {
+    const bins = await prisma.warehouseBin.findMany({
+      where: {
+        warehouseId,
+        isActive: true,
+        ...(data.binIds ? { id: { in: data.binIds } } : {}),
+        ...(zoneId ? { zoneId } : {}),
+      },
+    });
+    if (data.binIds && bins.length !== data.binIds.length) throw new NotFoundError('Bin');
+    binIds = bins.map((bin) => bin.id);
+  }
+
+  const classes = plan
+    ? new Map((await prisma.cycleCountItem.findMany({ where: { planId: plan.id } }))
+      .map((item) => [item.variantId, item.abcClass]))
+    : new Map();
+
+  const busy = await variantsOnActiveSheets(warehouseId);
+  const lines = await snapshotLines(warehouseId, { binIds, variantIds, classes });
+  const free = lines.filter((line) => !busy.has(line.variantId));
+
+  if (lines.length === 0) throw new BadRequestError('Nothing on hand to count');
+  if (free.length === 0) throw new ConflictError('Everything selected is already on an open count sheet');
+
+  const counts = await openSheets({
+    businessId,
+    warehouseId,
+    scope,
+    blindCount: data.blindCount ?? plan?.blindCount ?? true,
+    assignedToId,
+    createdById: userId,
+  }, free, plan?.maxLinesPerSheet || DEFAULT_LINES_PER_SHEET);
+
+  const skipped = [...new Set(lines.filter((line) => busy.has(line.variantId)).map((line) => line.variantId))];
+
+  logger.info('Cycle count sheets opened', { warehouseId, scope, sheets: counts.length, skipped: skipped.length });
+  return { counts, skipped };
+};
+
+/**
+ * Open sheets for every SKU whose count has fallen due under the plan. Due
+ * SKUs with nothing on hand are pushed to their next cycle.
+ */
+const generateDueCounts = async (planId, { now = new Date(), assignedToId, userId } = {}) => {
+  const plan = await prisma.cycleCountPlan.findUnique({ where: { id: planId } });
+  if (!plan) throw new NotFoundError('Cycle count plan');
+
+  const due = await prisma.cycleCountItem.findMany({ where: { planId, nextCountDue: { lte: now } } });
+  const busy = await variantsOnActiveSheets(plan.warehouseId);
+  const wanted = due.filter((item) => !busy.has(item.variantId));
+  if (wanted.length === 0) return { counts: [], skipped: due.length };
+
+  let binIds;
+  if (plan.countBy === COUNT_SCOPE.BIN) {
+    const bins = await prisma.warehouseBin.findMany({ where: { warehouseId: plan.warehouseId, isActive: true } });
+    binIds = bins.map((bin) => bin.id);
+  }
+
+  const lines = await snapshotLines(plan.warehouseId, {
+    binIds,
+    variantIds: wanted.map((item) => item.variantId),
+    classes: new Map(wanted.map((item) => [item.variantId, item.abcClass])),
+  });
+
+  const onSheet = new Set(lines.map((line) => line.variantId));
+  const empty = wanted.filter((item) => !onSheet.has(item.variantId));
+  if (empty.length > 0) {
+    await prisma.$transaction(empty.map((item) => prisma.cycleCountItem.update({
+      where: { id: item.id },
+      data: { nextCountDue: addDays(now, frequencyDays(plan, item.abcClass)) },
+    })));
+  }
+
+  const counts = lines.length > 0
+    ? await openSheets({
+      businessId: plan.businessId,
+      warehouseId: plan.warehouseId,
+      planId,
+      scope: plan.countBy,
+      blindCount: plan.blindCount,
+      assignedToId,
+      createdById: userId,
+    }, lines, plan.maxLinesPerSheet)
+    : [];
+
+  logger.info('Due cycle counts generated', { planId, sheets: counts.length, deferred: empty.length });
+  return { counts, skipped: due.length - wanted.length, deferred: empty.length };
+};
+
+/**
+ * Nightly run: refresh stale ABC classes, then open sheets for whatever is due
+ */
+const runScheduledCounts = async (now = new Date()) => {
+  const plans = await prisma.cycleCountPlan.findMany({ where: { isActive: true } });
+  const result = { plans: plans.length, sheets: 0, failed: 0 };
+
+  for (const plan of plans) {
+    try {
+      if (!plan.lastClassifiedAt || plan.lastClassifiedAt <= addDays(now, -RECLASSIFY_AFTER_DAYS)) {
+        await classifyItems(plan.id, now);
+      }
+      const { counts } = await generateDueCounts(plan.id, { now });
+      result.sheets += counts.length;
+    } catch (error) {
+      result.failed += 1;
+      logger.error('Scheduled cycle count failed', { planId: plan.id, error: error.message });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Sheet lines in walk order with SKU and bin labels. Expected quantities stay
+ * hidden on blind sheets until the count is submitted.
+ */
+const getCountSheet = async (businessId, countId) => {
+  const count = await getCountForBusiness(businessId, countId);
+
+  const [variants, bins] = await Promise.all([
+    prisma.productVariant.findMany({
+      where: { id: { in: [...new Set(count.lines.map((line) => line.variantId))] } },
+      select: { id: true, sku: true, name: true, product: { select: { name: true } } },
+    }),
+    prisma.warehouseBin.findMany({
+      where: { id: { in: [...new Set(count.lines.map((line) => line.binId).filter(Boolean))] } },
+      select: { id: true, code: true, barcode: true },
+    }),
+  ]);
+  const variantById = new Map(variants.map((variant) => [variant.id, variant]));
+  const binById = new Map(bins.map((bin) => [bin.id, bin]));
+  const hidden = count.blindCount && count.status === COUNT_STATUS.OPEN;
+
+  const lines = count.lines.map((line) => {
+    const variant = variantById.get(line.variantId);
+    return {
+      ...line,
+      sku: variant?.sku,
+      productName: variant?.product?.name,
+      variantName: variant?.name,
+      binCode: binById.get(line.binId)?.code || null,
+      ...(hidden ? { expectedQuantity: undefined, varianceQuantity: undefined, varianceValue: undefined } : {}),
+    };
+  }).sort((a, b) => (a.binCode || '').localeCompare(b.binCode || '') || (a.sku || '').localeCompare(b.sku || ''));
+
+  return {
+    ...count,
+    lines,
+    progress: { counted: lines.filter((line) => line.countedQuantity !== null).length, total: lines.length },
+  };
+};
+
+const listCounts = async (businessId, options = {}) => {
+  const { page = 1, limit = 20, warehouseId, status } = options;
+  const skip = (page - 1) * limit;
+  const where = { businessId };
+  if (warehouseId) where.warehouseId = warehouseId;
+  if (status) where.status = status;
+
+  const [counts, total] = await Promise.all([
+    prisma.cycleCount.findMany({ where, skip, take: limit, orderBy: { createdAt: 'desc' } }),
+    prisma.cycleCount.count({ where }),
+  ]);
+
+  return { counts, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } };
+};
+
+/**
+ * Record counted quantities. Entries name a sheet line, or a SKU (and lot)
+ * that was found on the shelf but is not on the sheet.
+ */
+const recordCounts = async (businessId, countId, { entries }, userId) => {
+  const count = await getCountForBusiness(businessId, countId);
+  assertOpen(count);
+
+  const byId = new Map(count.lines.map((line) => [line.id, line]));
+  const byKey = new Map(count.lines.map((line) => [lineKey(line), line]));
+  const now = new Date();
+
+  for (const entry of entries) {
+    const counted = {
+      countedQuantity: entry.countedQuantity,
+      reasonCode: entry.reasonCode,
+      notes: entry.notes,
+      countedById: userId,
+      countedAt: now,
+    };
+
+    const key = { variantId: entry.variantId, binId: count.binId, lotNumber: entry.lotNumber || NO_LOT };
+    const line = entry.lineId ? byId.get(entry.lineId) : byKey.get(lineKey(key));
+    if (entry.lineId && !line) throw new NotFoundError('Count line');
+
+    if (line) {
+      await prisma.cycleCountLine.update({ where: { id: line.id }, data: counted });
+      continue;
+    }
+
+    const variant = await prisma.productVariant.findFirst({
+      where: { id: entry.variantId, product: { businessId } },
+      include: { product: true },
+    });
+    if (!variant) throw new NotFoundError('Product variant');
+    if (variant.product.lotTracked && !entry.lotNumber) {
+      throw new BadRequestError(`Name the lot of ${variant.sku} found on the shelf`);
+    }
+
+    const elsewhere = await prisma.cycleCountLine.findFirst({
+      where: {
+        variantId: variant.id,
+        countId: { not: countId },
+        count: { warehouseId: count.warehouseId, status: { in: ACTIVE_STATUSES } },
+      },
+    });
+    if (elsewhere) throw new ConflictError(`${variant.sku} is being counted on another sheet`);
+
+    const lot = entry.lotNumber
+      ? await prisma.inventoryLot.findFirst({
+        where: { businessId, variantId: variant.id, lotNumber: entry.lotNumber },
+      })
+      : null;
+    const found = await prisma.cycleCountLine.create({
+      data: {
+        ...key,
+        ...counted,
+        countId,
+        expectedQuantity: await currentQuantity(prisma, count.warehouseId, key),
+        unitCost: unitCostOf(variant, lot),
+        reasonCode: entry.reasonCode || ADJUSTMENT_REASON.FOUND,
+      },
+    });
+    byKey.set(lineKey(found), found);
+  }
+
+  return getCountSheet(businessId, countId);
+};
+
+const cancelCount = async (businessId, countId) => {
+  const count = await getCountForBusiness(businessId, countId);
+  assertOpen(count);
+
+  return prisma.cycleCount.update({ where: { id: countId }, data: { status: COUNT_STATUS.CANCELLED } });
+};
+
+// =============================================================================
+// VARIANCE & POSTING
+// =============================================================================
+
+/**
+ * Apply one line's variance to the bin, lot and warehouse rows, never taking
+ * any of them below zero. Returns the InventoryLog entry it wrote.
+ */
+const postLine = async (tx, count, line, postedById) => {
+  const { warehouseId } = count;
+  const { variantId, binId, lotNumber, varianceQuantity } = line;
+
+  if (binId) {
+    const stock = await tx.binStock.upsert({
+      where: { binId_variantId_lotNumber: { binId, variantId, lotNumber } },
+      create: { binId, variantId, lotNumber, quantity: Math.max(varianceQuantity, 0) },
+      update: { quantity: { increment: varianceQuantity } },
+    });
+    if (stock.quantity < 0) await tx.binStock.update({ where: { id: stock.id }, data: { quantity: 0 } });
+  }
+
+  const inv = await tx.warehouseInventory.findUnique({ where: { warehouseId_variantId: { warehouseId, variantId } } });
+  const previousQty = inv?.quantity || 0;
+  const lot = lotNumber
+    ? await tx.inventoryLot.findUnique({
+      where: { warehouseId_variantId_lotNumber: { warehouseId, variantId, lotNumber } },
+    })
+    : null;
+
+  let delta;
+  if (lotNumber && !lot) {
+    // Units of a lot this warehouse never held; receiving it also books the warehouse row
+    delta = Math.max(varianceQuantity, 0);
+    if (delta > 0) await inventoryLotService.receiveLot({ warehouseId, variantId, quantity: delta, lotNumber }, tx);
+  } else {
+    const before = lot ? lot.quantity : previousQty;
+    delta = Math.max(before + varianceQuantity, 0) - before;
+  }
+
+  if (lot && delta !== 0) {
+    const quantity = lot.quantity + delta;
+    const { LOT_STATUS } = inventoryLotService;
+    let { status } = lot;
+    if (quantity === 0 && status === LOT_STATUS.AVAILABLE) status = LOT_STATUS.DEPLETED;
+    if (quantity > 0 && status === LOT_STATUS.DEPLETED) status = LOT_STATUS.AVAILABLE;
+    await tx.inventoryLot.update({ where: { id: lot.id }, data: { quantity, status } });
+  }
+
+  if ((lot || !lotNumber) && delta !== 0) {
+    await tx.warehouseInventory.upsert({
+      where: { warehouseId_variantId: { warehouseId, variantId } },
+      create: { warehouseId, variantId, quantity: Math.max(delta, 0), reservedQuantity: 0 },
+      update: { quantity: { increment: delta } },
+    });
+  }
+
+  const newQty = previousQty + delta;
+  if (inv && newQty < inv.reservedQuantity) {
+    logger.warn('Counted stock is below open reservations', {
+      countId: count.id, warehouseId, variantId, onHand: newQty, reserved: inv.reservedQuantity,
+    });
+  }
+
+  return tx.inventoryLog.create({
+    data: {
+      variantId,
+      type: 'adjustment',
+      quantity: delta,
+      previousQty,
+      newQty,
+      reason: line.notes ? `Cycle count ${count.countNumber}: ${line.notes}` : `Cycle count ${count.countNumber}`,
+      reasonCode: line.reasonCode || ADJUSTMENT_REASON.COUNT_VARIANCE,
+      reference: count.id,
+      createdBy: postedById,
+    },
+  });
+};
+
+/**
+ * Post a submitted count: adjust stock for every line with a variance, log
+ * each adjustment with its reason code and restart the counted SKUs' cycle.
+ * The count is claimed first, so a count posted twice adjusts stock once.
+ */
+const postCount = async (countId, postedById) => {
+  const now = new Date();
+
+  const { count, logs } = await prisma.$transaction(async (tx) => {
+    const { count: claimed } = await tx.cycleCount.updateMany({
+      where: { id: countId, status: { in: [COUNT_STATUS.OPEN, COUNT_STATUS.PENDING_APPROVAL] } },
+      data: { status: COUNT_STATUS.POSTED, postedById, postedAt: now },
+    });
+    if (claimed === 0) throw new ConflictError('Cycle count has already been posted or closed');
+
+    const current = await tx.cycleCount.findUnique({ where: { id: countId }, include: { lines: true } });
+
+    const entries = [];
+    for (const line of current.lines) {
+      if (line.varianceQuantity) entries.push(await postLine(tx, current, line, postedById));
+    }
+
+    const plan = await tx.cycleCountPlan.findUnique({ where: { warehouseId: current.warehouseId } });
+    if (plan) {
+      const items = await tx.cycleCountItem.findMany({
+        where: { planId: plan.id, variantId: { in: [...new Set(current.lines.map((line) => line.variantId))] } },
+      });
+      for (const item of items) {
+        await tx.cycleCountItem.update({
+          where: { id: item.id },
+          data: { lastCountedAt: now, nextCountDue: addDays(now, frequencyDays(plan, item.abcClass)) },
+        });
+      }
+    }
+
+    return { count: current, logs: entries };
+  });
+
+  for (const variantId of new Set(logs.map((log) => log.variantId))) {
+    await inventory.setStock(variantId, await warehouseService.updateTotalStock(variantId));
+  }
+
+  emitToBusiness(count.businessId, 'inventory:count_posted', {
+    countId,
+    countNumber: count.countNumber,
+    adjustments: logs.length,
+    netVarianceValue: Number(count.netVarianceValue),
+  });
+
+  logger.info('Cycle count posted', { countId, adjustments: logs.length });
+  return { count, adjustments: logs };
+};
+
+/**
+ * Close counting: re-read system quantities so stock that moved while the
+ * sheet was open is not reported as variance, value the differences at cost,
+ * then post, or send for approval when the absolute variance value is above
+ * the plan's threshold
+ */
+const submitCount = async (businessId, countId, userId) => {
+  const count = await getCountForBusiness(businessId, countId);
+  assertOpen(count);
+
+  const uncounted = count.lines.filter((line) => line.countedQuantity === null).length;
+  if (uncounted > 0) throw new BadRequestError(`${uncounted} lines have not been counted`);
+
+  const lines = [];
+  for (const line of count.lines) {
+    const expectedQuantity = await currentQuantity(prisma, count.warehouseId, line);
+    const varianceQuantity = line.countedQuantity - expectedQuantity;
+    lines.push({
+      ...line,
+      expectedQuantity,
+      varianceQuantity,
+      varianceValue: roundTo(varianceQuantity * Number(line.unitCost)),
+      reasonCode: varianceQuantity !== 0 ? line.reasonCode || ADJUSTMENT_REASON.COUNT_VARIANCE : line.reasonCode,
+    });
+  }
+
+  await prisma.$transaction(lines.map((line) => prisma.cycleCountLine.update({
+    where: { id: line.id },
+    data: {
+      expectedQuantity: line.expectedQuantity,
+      varianceQuantity: line.varianceQuantity,
+      varianceValue: line.varianceValue,
+      reasonCode: line.reasonCode,
+    },
+  })));
+
+  const netVarianceValue = roundTo(lines.reduce((sum, line) => sum + line.varianceValue, 0));
+  const absoluteVarianceValue = roundTo(lines.reduce((sum, line) => sum + Math.abs(line.varianceValue), 0));
+  const plan = await prisma.cycleCountPlan.findUnique({ where: { warehouseId: count.warehouseId } });
+  const threshold = plan ? Number(plan.approvalThreshold) : DEFAULT_APPROVAL_THRESHOLD;
+  const submitted = { netVarianceValue, absoluteVarianceValue, submittedById: userId, submittedAt: new Date() };
+
+  if (absoluteVarianceValue <= threshold) {
+    await prisma.cycleCount.update({ where: { id: countId }, data: submitted });
+    await postCount(countId, userId);
+    return getCountSheet(businessId, countId);
+  }
+
+  // Claimed before the approval request exists, so a second submit cannot raise another
+  const { count: claimed } = await prisma.cycleCount.updateMany({
+    where: { id: countId, status: COUNT_STATUS.OPEN },
+    data: { ...submitted, status: COUNT_STATUS.PENDING_APPROVAL },
+  });
+  if (claimed === 0) throw new ConflictError(`Cycle count ${count.countNumber} has already been submitted`);
+
+  const varianceLines = lines.filter((line) => line.varianceQuantity !== 0);
+  let approval;
+  try {
+    approval = await approvalService.createApprovalRequest(userId, businessId, {
+      type: approvalService.APPROVAL_TYPE.INVENTORY_ADJUSTMENT,
+      referenceType: 'CYCLE_COUNT',
+      referenceId: countId,
+      title: `Inventory adjustment from cycle count ${count.countNumber}`,
+      description: `${varianceLines.length} lines off by ${absoluteVarianceValue} at cost (net ${netVarianceValue})`,
+      amount: absoluteVarianceValue,
+      context: { warehouseId: count.warehouseId },
+      metadata: {
+        countNumber: count.countNumber,
+        netVarianceValue,
+        reasonCodes: [...new Set(varianceLines.map((line) => line.reasonCode))],
+      },
+    });
+  } catch (error) {
+    // Reopen the count if no approval request was raised for it
+    await prisma.cycleCount.updateMany({
+      where: { id: countId, status: COUNT_STATUS.PENDING_APPROVAL, approvalRequestId: null },
+      data: { status: COUNT_STATUS.OPEN },
+    });
+    throw error;
+  }
+
+  await prisma.cycleCount.update({ where: { id: countId }, data: { approvalRequestId: approval.id } });
+
+  logger.info('Cycle count sent for approval', { countId, absoluteVarianceValue, approvalRequestId: approval.id });
+  return getCountSheet(businessId, countId);
+};
+
+/**
+ * Called by approval.service when an adjustment's approval completes.
+ * Rejected counts put their SKUs back in line for a recount.
+ */
+const applyApprovalDecision = async (countId, status, decision = {}) => {
+  const count = await prisma.cycleCount.findUnique({ where: { id: countId }, include: { lines: true } });
+
+  if (!count || count.status !== COUNT_STATUS.PENDING_APPROVAL) {
+    logger.warn('Approval decision ignored for cycle count', { countId, status });
+    return null;
+  }
+
+  if (status === 'APPROVED') {
+    return postCount(countId, decision.approverId);
+  }
+
+  const rejected = await prisma.cycleCount.update({
+    where: { id: countId },
+    data: { status: COUNT_STATUS.REJECTED, rejectionReason: decision.reason },
+  });
+
+  const plan = await prisma.cycleCountPlan.findUnique({ where: { warehouseId: count.warehouseId } });
+  if (plan) {
+    await prisma.cycleCountItem.updateMany({
+      where: { planId: plan.id, variantId: { in: [...new Set(count.lines.map((line) => line.variantId))] } },
+      data: { nextCountDue: new Date() },
+    });
+  }
+
+  emitToBusiness(count.businessId, 'inventory:count_rejected', {
+    countId,
+    countNumber: count.countNumber,
+    reason: decision.reason,
+  });
+
+  logger.info('Cycle count adjustment rejected', { countId, approverId: decision.approverId });
+  return { count: rejected, adjustments: [] };
+};
+
+// =============================================================================
+// REPORTS
+// =============================================================================
+
+const percent = (part, whole) => (whole > 0 ? roundTo((part / whole) * 100) : null);
+
+/**
+ * Inventory record accuracy per warehouse over posted counts: the share of
+ * lines within tolerance (overall and by ABC class), value accuracy at cost
+ * and variance by reason code
+ */
+const getAccuracyReport = async (businessId, options = {}) => {
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from ? new Date(options.from) : addDays(to, -DEFAULT_REPORT_DAYS);
+  const tolerancePercent = options.tolerancePercent || 0;
+
+  const counts = await prisma.cycleCount.findMany({
+    where: {
+      businessId,
+      status: COUNT_STATUS.POSTED,
+      postedAt: { gte: from, lte: to },
+      ...(options.warehouseId ? { warehouseId: options.warehouseId } : {}),
+    },
+    include: { lines: true, warehouse: { select: { id: true, name: true, code: true } } },
+  });
+
+  const blank = () => ({ lines: 0, accurateLines: 0 });
+  const byWarehouse = new Map();
+
+  counts.forEach((count) => {
+    if (!byWarehouse.has(count.warehouseId)) {
+      byWarehouse.set(count.warehouseId, {
+        warehouse: count.warehouse,
+        counts: 0,
+        ...blank(),
+        expectedValue: 0,
+        absoluteVarianceValue: 0,
+        netVarianceValue: 0,
+        byClass: { A: blank(), B: blank(), C: blank() },
+        byReason: {},
+      });
+    }
+    const row = byWarehouse.get(count.warehouseId);
+    row.counts += 1;
+
+    count.lines.forEach((line) => {
+      const variance = line.varianceQuantity || 0;
+      const value = Number(line.varianceValue || 0);
+      const accurate = Math.abs(variance) <= (line.expectedQuantity * tolerancePercent) / 100;
+
+      row.lines += 1;
+      row.accurateLines += accurate ? 1 : 0;
+      row.expectedValue += line.expectedQuantity * Number(line.unitCost);
+      row.absoluteVarianceValue += Math.abs(value);
+      row.netVarianceValue += value;
+
+      const abc = row.byClass[line.abcClass || ABC_CLASS.C];
+      abc.lines += 1;
+      abc.accurateLines += accurate ? 1 : 0;
+
+      if (variance !== 0) {
+        const code = line.reasonCode || ADJUSTMENT_REASON.COUNT_VARIANCE;
+        row.byReason[code] = row.byReason[code] || { lines: 0, units: 0, value: 0 };
+        row.byReason[code].lines += 1;
+        row.byReason[code].units += variance;
+        row.byReason[code].value = roundTo(row.byReason[code].value + value);
+      }
+    });
+  });
+
+  const warehouses = [...byWarehouse.values()].map((row) => ({
+    ...row,
+    expectedValue: roundTo(row.expectedValue),
+    absoluteVarianceValue: roundTo(row.absoluteVarianceValue),
+    netVarianceValue: roundTo(row.netVarianceValue),
+    accuracyPercent: percent(row.accurateLines, row.lines),
+    valueAccuracyPercent: row.expectedValue > 0
+      ? roundTo(Math.max(0, 1 - row.absoluteVarianceValue / row.expectedValue) * 100)
+      : null,
+    byClass: Object.fromEntries(Object.entries(row.byClass).map(([abcClass, stats]) => [
+      abcClass, { ...stats, accuracyPercent: percent(stats.accurateLines, stats.lines) },
+    ])),
+  }));
+
+  return { period: { from, to }, tolerancePercent, warehouses };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  COUNT_SCOPE, COUNT_STATUS, ABC_CLASS, ADJUSTMENT_REASON,
+  createPlan, updatePlan, getPlan, classifyItems,
+  createCountSheets, generateDueCounts, runScheduledCounts,
+  getCountSheet, listCounts, recordCounts, cancelCount,
+  submitCount, applyApprovalDecision,
+  getAccuracyReport,
+};
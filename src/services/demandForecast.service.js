@@ -0,0 +1,913 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - DEMAND FORECAST SERVICE
+// Demand forecasts per SKU and warehouse with seasonality, safety stock,
+// dynamic reorder points, EOQ, replenishment suggestions and MAPE tracking
+// =============================================================================
+
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils/errors');
+const { roundTo } = require('../utils/helpers');
+const {
+  normalQuantile, standardDeviation, movingAverage, exponentialSmoothing, linearTrend,
+} = require('../utils/statistics');
+const purchaseRequisitionService = require('./purchaseRequisition.service');
+const warehouseService = require('./warehouse.service');
+const { emitToBusiness } = require('./socket.service');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const FORECAST_METHOD = {
+  AUTO: 'AUTO',
+  MOVING_AVERAGE: 'MOVING_AVERAGE',
+  EXPONENTIAL_SMOOTHING: 'EXPONENTIAL_SMOOTHING',
+  LINEAR_REGRESSION: 'LINEAR_REGRESSION',
+};
+
+const SUGGESTION_STATUS = { OPEN: 'OPEN', CONVERTED: 'CONVERTED', DISMISSED: 'DISMISSED', SUPERSEDED: 'SUPERSEDED' };
+
+const REPLENISHMENT_SOURCE = { PURCHASE: 'PURCHASE', TRANSFER: 'TRANSFER' };
+
+// Used until a seller saves a policy of their own
+const POLICY_DEFAULTS = {
+  method: FORECAST_METHOD.AUTO,
+  historyDays: 400,
+  horizonDays: 30,
+  weeklySeasonality: true,
+  annualSeasonality: true,
+  serviceLevel: 0.95,
+  leadTimeDays: 7,
+  orderingCost: 500,
+  holdingCostRate: 0.25,
+  updateReorderPoints: true,
+  suggestTransfers: true,
+  isActive: true,
+};
+
+// Models AUTO chooses between, in order of preference on a tie
+const MODELS = [
+  FORECAST_METHOD.MOVING_AVERAGE,
+  FORECAST_METHOD.EXPONENTIAL_SMOOTHING,
+  FORECAST_METHOD.LINEAR_REGRESSION,
+];
+
+// Orders whose units have left the warehouse
+const SHIPPED_ORDER_STATUSES = ['SHIPPED', 'OUT_FOR_DELIVERY', 'DELIVERED', 'COMPLETED'];
+
+// Transfers whose units have not yet left the source
+const UNDISPATCHED_TRANSFER_STATUSES = ['PENDING', 'APPROVED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365;
+const LEVEL_WINDOW = 28; // Days averaged for the moving-average level
+const SMOOTHING_ALPHA = 0.2;
+const VARIABILITY_WINDOW = 90; // Days of demand behind the safety stock
+const MIN_WEEKLY_HISTORY = 28; // Four of each weekday before trusting the pattern
+const MIN_HOLDOUT_DAYS = 7;
+const ANNUAL_INDEX_BOUNDS = [0.25, 4];
+const ON_ORDER_WINDOW_DAYS = 90; // How far back converted suggestions can still be on order
+const DEFAULT_REPORT_DAYS = 90;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const mean = (values) => (values.length ? sum(values) / values.length : 0);
+
+const seriesKey = (warehouseId, variantId) => `${warehouseId}:${variantId}`;
+
+const unitCostOf = (variant) => Number(variant.costPrice ?? variant.basePrice ?? 0);
+
+const settingsOf = (policy) => ({
+  ...policy,
+  serviceLevel: Number(policy.serviceLevel),
+  orderingCost: Number(policy.orderingCost),
+  holdingCostRate: Number(policy.holdingCostRate),
+});
+
+const getWarehouseForBusiness = async (businessId, warehouseId) => {
+  const warehouse = await prisma.warehouse.findFirst({ where: { id: warehouseId, businessId } });
+  if (!warehouse) throw new NotFoundError('Warehouse');
+  return warehouse;
+};
+
+// =============================================================================
+// DEMAND HISTORY
+// =============================================================================
+
+/**
+ * Daily units shipped per warehouse and SKU over [from, to). Units leave the
+ * warehouse their cartons were packed in; orders shipped without the packing
+ * flow are taken to have left the default warehouse.
+ */
+const loadDemand = async (businessId, warehouses, from, to, variantIds = null) => {
+  const days = Math.round((to - from) / DAY_MS);
+  const series = new Map();
+  const wanted = (variantId) => variantId && (!variantIds || variantIds.includes(variantId));
+  const add = (warehouseId, variantId, date, quantity) => {
+    const day = Math.floor((new Date(date) - from) / DAY_MS);
+    if (day < 0 || day >= days || !wanted(variantId)) return;
+    const key = seriesKey(warehouseId, variantId);
+    if (!series.has(key)) series.set(key, new Array(days).fill(0));
+    series.get(key)[day] += quantity;
+  };
+
+  const cartons = await prisma.packingCarton.findMany({
+    where: { warehouseId: { in: warehouses.map((warehouse) => warehouse.id) }, createdAt: { gte: from, lt: to } },
+  });
+  cartons.forEach((carton) => {
+    (carton.contents || []).forEach((item) => add(carton.warehouseId, item.variantId, carton.createdAt, item.quantity));
+  });
+
+  const fallback = warehouses.find((warehouse) => warehouse.isDefault)
+    || (warehouses.length === 1 ? warehouses[0] : null);
+  if (fallback) {
+    const items = await prisma.orderItem.findMany({
+      where: {
+        ...(variantIds ? { variantId: { in: variantIds } } : {}),
+        order: { sellerId: businessId, status: { in: SHIPPED_ORDER_STATUSES }, createdAt: { gte: from, lt: to } },
+      },
+      select: { orderId: true, variantId: true, quantity: true, order: { select: { createdAt: true } } },
+    });
+    const packed = await prisma.packingCarton.findMany({
+      where: { orderId: { in: [...new Set(items.map((item) => item.orderId))] } },
+      select: { orderId: true },
+    });
+    const packedOrders = new Set(packed.map((carton) => carton.orderId));
+    items
+      .filter((item) => !packedOrders.has(item.orderId))
+      .forEach((item) => add(fallback.id, item.variantId, item.order.createdAt, item.quantity));
+  }
+
+  return series;
+};
+
+// =============================================================================
+// FORECASTING
+// =============================================================================
+
+const weekdayOf = (from, day) => addDays(from, day).getUTCDay();
+
+/**
+ * Demand on each weekday relative to the daily mean (Sunday first)
+ */
+const weeklyIndices = (values, from) => {
+  const average = mean(values);
+  if (values.length < MIN_WEEKLY_HISTORY || average === 0) return new Array(7).fill(1);
+
+  const totals = new Array(7).fill(0);
+  const counts = new Array(7).fill(0);
+  values.forEach((value, day) => {
+    totals[weekdayOf(from, day)] += value;
+    counts[weekdayOf(from, day)] += 1;
+  });
+  return totals.map((total, weekday) => (counts[weekday] ? total / counts[weekday] / average : 1));
+};
+
+/**
+ * How demand moved last year from the weeks before this date into the
+ * coming period, e.g. 1.8 ahead of a festival season
+ */
+const annualIndex = (values, horizonDays) => {
+  const lastYear = values.length - DAYS_PER_YEAR;
+  if (lastYear - LEVEL_WINDOW < 0) return 1;
+
+  const before = mean(values.slice(lastYear - LEVEL_WINDOW, lastYear));
+  const upcoming = mean(values.slice(lastYear, lastYear + horizonDays));
+  if (before === 0) return 1;
+
+  const [low, high] = ANNUAL_INDEX_BOUNDS;
+  return Math.min(Math.max(upcoming / before, low), high);
+};
+
+/**
+ * Daily demand for the next `days` days from one model
+ */
+const project = (values, method, days) => {
+  if (method === FORECAST_METHOD.MOVING_AVERAGE) return new Array(days).fill(movingAverage(values, LEVEL_WINDOW));
+  if (method === FORECAST_METHOD.EXPONENTIAL_SMOOTHING) {
+    return new Array(days).fill(exponentialSmoothing(values, SMOOTHING_ALPHA));
+  }
+  const { intercept, slope } = linearTrend(values);
+  return Array.from({ length: days }, (_, i) => Math.max(0, intercept + slope * (values.length + i)));
+};
+
+/**
+ * Model with the smallest absolute error over the most recent period,
+ * forecast from the history before it
+ */
+const selectMethod = (values, horizonDays) => {
+  const holdout = Math.min(horizonDays, Math.floor(values.length / 4));
+  if (holdout < MIN_HOLDOUT_DAYS) return FORECAST_METHOD.MOVING_AVERAGE;
+
+  const train = values.slice(0, -holdout);
+  const actual = values.slice(-holdout);
+  const errorOf = (method) => sum(project(train, method, holdout).map((value, i) => Math.abs(value - actual[i])));
+
+  return MODELS.reduce((best, method) => (errorOf(method) < errorOf(best) ? method : best));
+};
+
+/**
+ * Forecast daily demand from a history that starts on `from`. The weekday
+ * pattern is taken out before the model runs and put back on each forecast
+ * day, then the annual index scales the whole period.
+ */
+const forecastDemand = (values, from, settings) => {
+  const { method, horizonDays, weeklySeasonality, annualSeasonality } = settings;
+  const weekly = weeklySeasonality ? weeklyIndices(values, from) : new Array(7).fill(1);
+  // A weekday that never sells says nothing about the level; carry the last one over it
+  let level = mean(values);
+  const deseasonalized = values.map((value, day) => {
+    const index = weekly[weekdayOf(from, day)];
+    if (index > 0) level = value / index;
+    return level;
+  });
+
+  const seasonalityIndex = annualSeasonality ? annualIndex(deseasonalized, horizonDays) : 1;
+  const used = method === FORECAST_METHOD.AUTO ? selectMethod(deseasonalized, horizonDays) : method;
+  const daily = project(deseasonalized, used, horizonDays)
+    .map((level, i) => level * weekly[weekdayOf(from, values.length + i)] * seasonalityIndex);
+  const total = sum(daily);
+
+  return {
+    method: used,
+    daily,
+    total,
+    avgDailyDemand: total / horizonDays,
+    demandStdDev: standardDeviation(deseasonalized.slice(-VARIABILITY_WINDOW)),
+    weeklyIndices: weekly,
+    seasonalityIndex,
+  };
+};
+
+/**
+ * Safety stock for the service level over the lead time, the reorder point
+ * on top of forecast lead-time demand, and the economic order quantity
+ */
+const planStock = (forecast, settings, unitCost) => {
+  const { serviceLevel, leadTimeDays, orderingCost, holdingCostRate } = settings;
+
+  const safetyStock = Math.ceil(normalQuantile(serviceLevel) * forecast.demandStdDev * Math.sqrt(leadTimeDays));
+  const leadTimeDemand = leadTimeDays <= forecast.daily.length
+    ? sum(forecast.daily.slice(0, leadTimeDays))
+    : forecast.avgDailyDemand * leadTimeDays;
+  const reorderPoint = Math.ceil(leadTimeDemand + safetyStock);
+
+  // Without a carrying cost EOQ is unbounded; order the forecast period instead
+  const annualDemand = forecast.avgDailyDemand * DAYS_PER_YEAR;
+  const holdingCost = unitCost * holdingCostRate;
+  const economicOrderQuantity = holdingCost > 0
+    ? Math.ceil(Math.sqrt((2 * annualDemand * orderingCost) / holdingCost))
+    : Math.ceil(forecast.total);
+
+  return { safetyStock, reorderPoint, economicOrderQuantity };
+};
+
+// =============================================================================
+// POLICY
+// =============================================================================
+
+const getPolicy = async (businessId) => {
+  const policy = await prisma.replenishmentPolicy.findUnique({ where: { businessId } });
+  return policy || { ...POLICY_DEFAULTS, id: null, businessId, lastRunAt: null };
+};
+
+const updatePolicy = async (businessId, data) => {
+  const policy = await prisma.replenishmentPolicy.upsert({
+    where: { businessId },
+    create: { ...POLICY_DEFAULTS, ...data, businessId },
+    update: data,
+  });
+
+  logger.info('Replenishment policy updated', { businessId, policyId: policy.id });
+  return policy;
+};
+
+// =============================================================================
+// REPLENISHMENT RUN
+// =============================================================================
+
+/**
+ * Units already coming to each warehouse and SKU from earlier suggestions:
+ * purchases until their lead time has passed, transfers until dispatched
+ * (after which they count as in transit). Undispatched transfers are
+ * taken off the source's position.
+ */
+const loadOnOrder = async (businessId, settings, now) => {
+  const converted = await prisma.replenishmentSuggestion.findMany({
+    where: {
+      businessId,
+      status: SUGGESTION_STATUS.CONVERTED,
+      convertedAt: { gte: addDays(now, -Math.max(settings.leadTimeDays, ON_ORDER_WINDOW_DAYS)) },
+    },
+  });
+
+  const transferIds = converted.map((suggestion) => suggestion.transferId).filter(Boolean);
+  const openTransfers = transferIds.length
+    ? await prisma.inventoryTransfer.findMany({
+      where: { id: { in: transferIds }, status: { in: UNDISPATCHED_TRANSFER_STATUSES } },
+      select: { id: true },
+    })
+    : [];
+  const open = new Set(openTransfers.map((transfer) => transfer.id));
+  const purchasedSince = addDays(now, -settings.leadTimeDays);
+
+  const onOrder = new Map();
+  const add = (warehouseId, variantId, quantity) => {
+    const key = seriesKey(warehouseId, variantId);
+    onOrder.set(key, (onOrder.get(key) || 0) + quantity);
+  };
+  converted.forEach((suggestion) => {
+    if (suggestion.transferId && open.has(suggestion.transferId)) {
+      add(suggestion.warehouseId, suggestion.variantId, suggestion.convertedQuantity);
+      add(suggestion.sourceWarehouseId, suggestion.variantId, -suggestion.convertedQuantity);
+    } else if (suggestion.requisitionId && suggestion.convertedAt >= purchasedSince) {
+      add(suggestion.warehouseId, suggestion.variantId, suggestion.convertedQuantity);
+    }
+  });
+  return onOrder;
+};
+
+/**
+ * Score forecasts whose period has ended against the demand that happened
+ */
+const evaluateForecasts = async (businessId, demand, from, today) => {
+  const due = await prisma.demandForecast.findMany({
+    where: { businessId, evaluatedAt: null, periodStart: { gte: from }, periodEnd: { lte: today } },
+  });
+
+  for (const forecast of due) {
+    const values = demand.get(seriesKey(forecast.warehouseId, forecast.variantId)) || [];
+    const start = Math.round((forecast.periodStart - from) / DAY_MS);
+    const end = Math.round((forecast.periodEnd - from) / DAY_MS);
+    const actual = sum(values.slice(start, end));
+    const predicted = Number(forecast.forecastQuantity);
+
+    await prisma.demandForecast.update({
+      where: { id: forecast.id },
+      data: {
+        actualQuantity: actual,
+        absolutePercentError: actual > 0 ? roundTo((Math.abs(predicted - actual) / actual) * 100) : null,
+        evaluatedAt: today,
+      },
+    });
+  }
+
+  return due.length;
+};
+
+/**
+ * Pick a warehouse whose stock above its own reorder point covers the
+ * whole shortfall, largest surplus first
+ */
+const findDonor = (plan, surplus, quantity) => {
+  let donor = null;
+  surplus.forEach((available, key) => {
+    const [warehouseId, variantId] = key.split(':');
+    if (variantId !== plan.inv.variantId || warehouseId === plan.inv.warehouseId) return;
+    if (available >= quantity && (!donor || available > donor.available)) donor = { warehouseId, key, available };
+  });
+  return donor;
+};
+
+/**
+ * Forecast every stocked SKU in every active warehouse, score forecasts
+ * that have matured, refresh reorder points and raise replenishment
+ * suggestions where the inventory position has fallen to the reorder point.
+ * Earlier open suggestions are superseded.
+ */
+const runReplenishment = async (businessId, now = new Date()) => {
+  const policy = await getPolicy(businessId);
+  const settings = settingsOf(policy);
+  const warehouses = await prisma.warehouse.findMany({ where: { businessId, status: 'ACTIVE' } });
+  const result = {
+    warehouses: warehouses.length, forecasts: 0, evaluated: 0, reorderPointsUpdated: 0,
+    suggestions: { purchase: 0, transfer: 0 },
+  };
+  if (warehouses.length === 0) return result;
+
+  const today = startOfDay(now);
+  const from = addDays(today, -settings.historyDays);
+  const periodEnd = addDays(today, settings.horizonDays);
+  const demand = await loadDemand(businessId, warehouses, from, today);
+  result.evaluated = await evaluateForecasts(businessId, demand, from, today);
+
+  const [stock, onOrder] = await Promise.all([
+    prisma.warehouseInventory.findMany({
+      where: { warehouseId: { in: warehouses.map((warehouse) => warehouse.id) } },
+      include: { variant: true },
+    }),
+    loadOnOrder(businessId, settings, now),
+  ]);
+
+  // SKUs that never sold here keep their reorder settings and get no forecast
+  const plans = [];
+  for (const inv of stock) {
+    const key = seriesKey(inv.warehouseId, inv.variantId);
+    const values = demand.get(key);
+    if (!values) continue;
+
+    const forecast = forecastDemand(values, from, settings);
+    const unitCost = unitCostOf(inv.variant);
+    const plan = {
+      inv, key, forecast, unitCost, ...planStock(forecast, settings, unitCost),
+      position: inv.quantity - inv.reservedQuantity + (inv.inTransitQuantity || 0) + (onOrder.get(key) || 0),
+    };
+
+    const forecastData = {
+      method: forecast.method,
+      periodEnd,
+      forecastQuantity: roundTo(forecast.total),
+      avgDailyDemand: roundTo(forecast.avgDailyDemand, 4),
+      demandStdDev: roundTo(forecast.demandStdDev, 4),
+      seasonalityIndex: roundTo(forecast.seasonalityIndex, 3),
+    };
+    const period = { warehouseId: inv.warehouseId, variantId: inv.variantId, periodStart: today };
+    plan.record = await prisma.demandForecast.upsert({
+      where: { warehouseId_variantId_periodStart: period },
+      create: { ...forecastData, ...period, businessId },
+      update: forecastData,
+    });
+
+    if (settings.updateReorderPoints) {
+      await prisma.warehouseInventory.update({
+        where: { id: inv.id },
+        data: { reorderPoint: plan.reorderPoint, reorderQuantity: plan.economicOrderQuantity },
+      });
+      result.reorderPointsUpdated += 1;
+    }
+    plans.push(plan);
+  }
+  result.forecasts = plans.length;
+
+  await prisma.replenishmentSuggestion.updateMany({
+    where: { businessId, status: SUGGESTION_STATUS.OPEN },
+    data: { status: SUGGESTION_STATUS.SUPERSEDED },
+  });
+
+  // Stock each warehouse can spare above its own reorder point
+  const planByKey = new Map(plans.map((plan) => [plan.key, plan]));
+  const surplus = new Map(stock.map((inv) => {
+    const key = seriesKey(inv.warehouseId, inv.variantId);
+    const reorderPoint = planByKey.get(key)?.reorderPoint ?? inv.reorderPoint ?? 0;
+    return [key, inv.quantity - inv.reservedQuantity + Math.min(onOrder.get(key) || 0, 0) - reorderPoint];
+  }));
+
+  const short = plans
+    .filter((plan) => plan.forecast.avgDailyDemand > 0 && plan.position <= plan.reorderPoint)
+    .sort((a, b) => (a.position - a.reorderPoint) - (b.position - b.reorderPoint));
+
+  for (const plan of short) {
+    // Whole economic order quantities until the position is back above the reorder point
+    const lots = Math.floor((plan.reorderPoint - plan.position) / Math.max(plan.economicOrderQuantity, 1)) + 1;
+    const quantity = Math.max(plan.economicOrderQuantity, 1) * lots;
+    const donor = settings.suggestTransfers ? findDonor(plan, surplus, quantity) : null;
+    if (donor) surplus.set(donor.key, donor.available - quantity);
+
+    await prisma.replenishmentSuggestion.create({
+      data: {
+        businessId,
+        warehouseId: plan.inv.warehouseId,
+        variantId: plan.inv.variantId,
+        forecastId: plan.record.id,
+        source: donor ? REPLENISHMENT_SOURCE.TRANSFER : REPLENISHMENT_SOURCE.PURCHASE,
+        sourceWarehouseId: donor?.warehouseId || null,
+        avgDailyDemand: roundTo(plan.forecast.avgDailyDemand, 4),
+        leadTimeDays: settings.leadTimeDays,
+        safetyStock: plan.safetyStock,
+        reorderPoint: plan.reorderPoint,
+        economicOrderQuantity: plan.economicOrderQuantity,
+        inventoryPosition: plan.position,
+        suggestedQuantity: quantity,
+        unitCost: plan.unitCost,
+      },
+    });
+    result.suggestions[donor ? 'transfer' : 'purchase'] += 1;
+  }
+
+  if (policy.id) {
+    await prisma.replenishmentPolicy.update({ where: { id: policy.id }, data: { lastRunAt: now } });
+  }
+
+  const suggested = result.suggestions.purchase + result.suggestions.transfer;
+  if (suggested > 0) emitToBusiness(businessId, 'inventory:replenishment_suggested', result.suggestions);
+
+  logger.info('Replenishment run completed', { businessId, ...result });
+  return result;
+};
+
+/**
+ * Nightly run for every seller with an active policy
+ */
+const runScheduledReplenishment = async (now = new Date()) => {
+  const policies = await prisma.replenishmentPolicy.findMany({ where: { isActive: true } });
+  const result = { businesses: policies.length, suggestions: 0, failed: 0 };
+
+  for (const policy of policies) {
+    try {
+      const run = await runReplenishment(policy.businessId, now);
+      result.suggestions += run.suggestions.purchase + run.suggestions.transfer;
+    } catch (error) {
+      result.failed += 1;
+      logger.error('Scheduled replenishment failed', { businessId: policy.businessId, error: error.message });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * One SKU's demand history, daily forecast and stock plan in a warehouse
+ */
+const getSkuForecast = async (businessId, warehouseId, variantId, now = new Date()) => {
+  await getWarehouseForBusiness(businessId, warehouseId);
+  const variant = await prisma.productVariant.findFirst({
+    where: { id: variantId, product: { businessId } },
+    include: { product: true },
+  });
+  if (!variant) throw new NotFoundError('Product variant');
+
+  const settings = settingsOf(await getPolicy(businessId));
+  const warehouses = await prisma.warehouse.findMany({ where: { businessId, status: 'ACTIVE' } });
+  const today = startOfDay(now);
+  const from = addDays(today, -settings.historyDays);
+  const demand = await loadDemand(businessId, warehouses, from, today, [variantId]);
+  const values = demand.get(seriesKey(warehouseId, variantId)) || new Array(settings.historyDays).fill(0);
+
+  const forecast = forecastDemand(values, from, settings);
+  const unitCost = unitCostOf(variant);
+  const inv = await prisma.warehouseInventory.findUnique({
+    where: { warehouseId_variantId: { warehouseId, variantId } },
+  });
+  const dateOf = (day) => addDays(from, day).toISOString().slice(0, 10);
+  const historyStart = Math.max(values.length - VARIABILITY_WINDOW, 0);
+
+  return {
+    variant: { id: variant.id, sku: variant.sku, productName: variant.product.name },
+    method: forecast.method,
+    history: values.slice(historyStart).map((quantity, i) => ({ date: dateOf(historyStart + i), quantity })),
+    forecast: forecast.daily.map((quantity, i) => ({ date: dateOf(values.length + i), quantity: roundTo(quantity) })),
+    summary: {
+      forecastQuantity: roundTo(forecast.total),
+      avgDailyDemand: roundTo(forecast.avgDailyDemand, 4),
+      demandStdDev: roundTo(forecast.demandStdDev, 4),
+      seasonalityIndex: roundTo(forecast.seasonalityIndex, 3),
+      weeklyIndices: forecast.weeklyIndices.map((index) => roundTo(index, 3)),
+    },
+    plan: {
+      ...planStock(forecast, settings, unitCost),
+      unitCost,
+      leadTimeDays: settings.leadTimeDays,
+      serviceLevel: settings.serviceLevel,
+      onHand: inv?.quantity || 0,
+      reserved: inv?.reservedQuantity || 0,
+      inTransit: inv?.inTransitQuantity || 0,
+    },
+  };
+};
+
+// =============================================================================
+// SUGGESTIONS
+// =============================================================================
+
+const listSuggestions = async (businessId, options = {}) => {
+  const { page = 1, limit = 20, status = SUGGESTION_STATUS.OPEN, warehouseId, source } = options;
+  const where = { businessId, status };
+  if (warehouseId) where.warehouseId = warehouseId;
+  if (source) where.source = source;
+
+  const [suggestions, total] = await Promise.all([
+    prisma.replenishmentSuggestion.findMany({
+      where,
+      include: { warehouse: { select: { name: true, code: true } } },
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.replenishmentSuggestion.count({ where }),
+  ]);
+
+  const variants = await prisma.productVariant.findMany({
+    where: { id: { in: [...new Set(suggestions.map((suggestion) => suggestion.variantId))] } },
+    select: { id: true, sku: true, product: { select: { name: true } } },
+  });
+  const variantById = new Map(variants.map((variant) => [variant.id, variant]));
+
+  return {
+    suggestions: suggestions.map((suggestion) => ({
+      ...suggestion,
+      variant: variantById.get(suggestion.variantId) || null,
+    })),
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  };
+};
+
+/**
+ * Open suggestions named in `entries`, each with the quantity to convert. A
+ * suggestion named more than once is converted once, at the first quantity.
+ */
+const loadOpenSuggestions = async (businessId, entries) => {
+  const unique = entries.filter((entry, index) => (
+    entries.findIndex((other) => other.suggestionId === entry.suggestionId) === index
+  ));
+  const suggestions = await prisma.replenishmentSuggestion.findMany({
+    where: { id: { in: unique.map((entry) => entry.suggestionId) }, businessId },
+  });
+  const byId = new Map(suggestions.map((suggestion) => [suggestion.id, suggestion]));
+
+  return unique.map((entry) => {
+    const suggestion = byId.get(entry.suggestionId);
+    if (!suggestion) throw new NotFoundError('Replenishment suggestion');
+    if (suggestion.status !== SUGGESTION_STATUS.OPEN) {
+      throw new BadRequestError(`Suggestion ${suggestion.id} is ${suggestion.status.toLowerCase()}`);
+    }
+    return { suggestion, quantity: entry.quantity || suggestion.suggestedQuantity };
+  });
+};
+
+/**
+ * Claim the selected suggestions before anything is raised from them, so a
+ * concurrent conversion can't raise a second requisition or transfer. One
+ * lost claim rolls back the others.
+ */
+const claimSuggestions = (selected, userId, now) => prisma.$transaction(async (tx) => {
+  for (const { suggestion } of selected) {
+    const claimed = await tx.replenishmentSuggestion.updateMany({
+      where: { id: suggestion.id, status: SUGGESTION_STATUS.OPEN },
+      data: { status: SUGGESTION_STATUS.CONVERTED, convertedById: userId, convertedAt: now },
+    });
+
+    if (claimed.count === 0) {
+      throw new ConflictError(`Suggestion ${suggestion.id} was converted or dismissed by another request`);
+    }
+  }
+});
+
+/**
+ * Reopen claimed suggestions that nothing was raised from
+ */
+const releaseSuggestions = (selected) => prisma.replenishmentSuggestion.updateMany({
+  where: {
+    id: { in: selected.map(({ suggestion }) => suggestion.id) },
+    status: SUGGESTION_STATUS.CONVERTED,
+    requisitionId: null,
+    transferId: null,
+  },
+  data: { status: SUGGESTION_STATUS.OPEN, convertedById: null, convertedAt: null },
+});
+
+/**
+ * Raise one purchase requisition for the chosen suggestions
+ */
+const convertToRequisition = async (businessId, data, userId) => {
+  const selected = await loadOpenSuggestions(businessId, data.suggestions);
+  const now = new Date();
+
+  const [variants, warehouses] = await Promise.all([
+    prisma.productVariant.findMany({
+      where: { id: { in: selected.map(({ suggestion }) => suggestion.variantId) } },
+      include: { product: true },
+    }),
+    prisma.warehouse.findMany({ where: { id: { in: selected.map(({ suggestion }) => suggestion.warehouseId) } } }),
+  ]);
+  const variantById = new Map(variants.map((variant) => [variant.id, variant]));
+  const warehouseById = new Map(warehouses.map((warehouse) => [warehouse.id, warehouse]));
+
+  await claimSuggestions(selected, userId, now);
+
+  let requisition;
+  try {
+    requisition = await purchaseRequisitionService.createRequisition(userId, businessId, {
+      title: data.title || `Stock replenishment ${now.toISOString().slice(0, 10)}`,
+      description: 'Raised from demand forecast replenishment suggestions',
+      priority: data.priority,
+      requiredBy: addDays(now, Math.max(...selected.map(({ suggestion }) => suggestion.leadTimeDays))),
+      notes: data.notes,
+      items: selected.map(({ suggestion, quantity }) => {
+        const variant = variantById.get(suggestion.variantId);
+        return {
+          description: `${variant.product.name} (${variant.sku}) for ${warehouseById.get(suggestion.warehouseId).name}`,
+          productId: variant.productId,
+          quantity,
+          estimatedPrice: Number(suggestion.unitCost),
+          specifications: {
+            variantId: variant.id,
+            sku: variant.sku,
+            warehouseId: suggestion.warehouseId,
+            suggestionId: suggestion.id,
+          },
+        };
+      }),
+    });
+  } catch (error) {
+    await releaseSuggestions(selected);
+    throw error;
+  }
+
+  const suggestions = [];
+  for (const { suggestion, quantity } of selected) {
+    suggestions.push(await prisma.replenishmentSuggestion.update({
+      where: { id: suggestion.id },
+      data: {
+        status: SUGGESTION_STATUS.CONVERTED,
+        source: REPLENISHMENT_SOURCE.PURCHASE,
+        sourceWarehouseId: null,
+        requisitionId: requisition.id,
+        convertedQuantity: quantity,
+        convertedById: userId,
+        convertedAt: now,
+      },
+    }));
+  }
+
+  logger.info('Replenishment suggestions converted to requisition', {
+    businessId, requisitionId: requisition.id, suggestions: suggestions.length,
+  });
+  return { requisition, suggestions };
+};
+
+/**
+ * Raise transfers for the chosen suggestions, one per source and destination
+ * warehouse. The source is the suggested one unless fromWarehouseId is given.
+ */
+const convertToTransfer = async (businessId, data, userId) => {
+  const selected = await loadOpenSuggestions(businessId, data.suggestions);
+  const now = new Date();
+
+  const groups = new Map();
+  selected.forEach((entry) => {
+    const fromWarehouseId = data.fromWarehouseId || entry.suggestion.sourceWarehouseId;
+    if (!fromWarehouseId) {
+      throw new BadRequestError(`Suggestion ${entry.suggestion.id} has no source warehouse to transfer from`);
+    }
+    const key = `${fromWarehouseId}:${entry.suggestion.warehouseId}`;
+    if (!groups.has(key)) {
+      groups.set(key, { fromWarehouseId, toWarehouseId: entry.suggestion.warehouseId, entries: [] });
+    }
+    groups.get(key).entries.push(entry);
+  });
+
+  await claimSuggestions(selected, userId, now);
+
+  const transfers = [];
+  const suggestions = [];
+  try {
+    for (const group of groups.values()) {
+      const transfer = await warehouseService.createTransfer(businessId, {
+        fromWarehouseId: group.fromWarehouseId,
+        toWarehouseId: group.toWarehouseId,
+        items: group.entries.map(({ suggestion, quantity }) => ({ variantId: suggestion.variantId, quantity })),
+        notes: data.notes || 'Raised from demand forecast replenishment suggestions',
+      });
+      transfers.push(transfer);
+
+      for (const { suggestion, quantity } of group.entries) {
+        suggestions.push(await prisma.replenishmentSuggestion.update({
+          where: { id: suggestion.id },
+          data: {
+            status: SUGGESTION_STATUS.CONVERTED,
+            source: REPLENISHMENT_SOURCE.TRANSFER,
+            sourceWarehouseId: group.fromWarehouseId,
+            transferId: transfer.id,
+            convertedQuantity: quantity,
+            convertedById: userId,
+            convertedAt: now,
+          },
+        }));
+      }
+    }
+  } catch (error) {
+    // Transfers already raised keep their suggestions; the rest reopen
+    await releaseSuggestions(selected);
+    throw error;
+  }
+
+  logger.info('Replenishment suggestions converted to transfers', {
+    businessId, transfers: transfers.length, suggestions: suggestions.length,
+  });
+  return { transfers, suggestions };
+};
+
+const dismissSuggestion = async (businessId, suggestionId, reason, userId) => {
+  const [{ suggestion }] = await loadOpenSuggestions(businessId, [{ suggestionId }]);
+
+  return prisma.replenishmentSuggestion.update({
+    where: { id: suggestion.id },
+    data: {
+      status: SUGGESTION_STATUS.DISMISSED,
+      dismissReason: reason,
+      dismissedById: userId,
+      dismissedAt: new Date(),
+    },
+  });
+};
+
+// =============================================================================
+// ACCURACY REPORT
+// =============================================================================
+
+/**
+ * MAPE over periods that sold something, with WAPE and bias over all of
+ * them so slow movers with empty periods still count
+ */
+const summarizeAccuracy = (forecasts) => {
+  const scored = forecasts.filter((forecast) => forecast.absolutePercentError !== null);
+  const actual = sum(forecasts.map((forecast) => Number(forecast.actualQuantity)));
+  const errors = forecasts.map((forecast) => Number(forecast.forecastQuantity) - Number(forecast.actualQuantity));
+  const mape = scored.length ? mean(scored.map((forecast) => Number(forecast.absolutePercentError))) : null;
+
+  return {
+    forecasts: forecasts.length,
+    scored: scored.length,
+    mape: mape === null ? null : roundTo(mape),
+    accuracy: mape === null ? null : roundTo(Math.max(0, 100 - mape)),
+    wape: actual > 0 ? roundTo((sum(errors.map(Math.abs)) / actual) * 100) : null,
+    bias: actual > 0 ? roundTo((sum(errors) / actual) * 100) : null,
+  };
+};
+
+const groupBy = (rows, keyOf) => rows.reduce((groups, row) => {
+  const key = keyOf(row);
+  groups.set(key, [...(groups.get(key) || []), row]);
+  return groups;
+}, new Map());
+
+/**
+ * Forecast accuracy for periods ending in the window, overall and by
+ * model, warehouse and SKU (least accurate SKUs first)
+ */
+const getAccuracyReport = async (businessId, options = {}) => {
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from ? new Date(options.from) : addDays(to, -DEFAULT_REPORT_DAYS);
+  const where = { businessId, evaluatedAt: { not: null }, periodEnd: { gte: from, lte: to } };
+  if (options.warehouseId) where.warehouseId = options.warehouseId;
+  if (options.variantId) where.variantId = options.variantId;
+
+  const forecasts = await prisma.demandForecast.findMany({
+    where,
+    include: { warehouse: { select: { name: true, code: true } } },
+    orderBy: { periodEnd: 'asc' },
+  });
+
+  const variants = await prisma.productVariant.findMany({
+    where: { id: { in: [...new Set(forecasts.map((forecast) => forecast.variantId))] } },
+    select: { id: true, sku: true },
+  });
+  const skuOf = new Map(variants.map((variant) => [variant.id, variant.sku]));
+
+  const skus = [...groupBy(forecasts, (forecast) => seriesKey(forecast.warehouseId, forecast.variantId)).values()]
+    .map((rows) => ({
+      warehouseId: rows[0].warehouseId,
+      variantId: rows[0].variantId,
+      sku: skuOf.get(rows[0].variantId) || null,
+      ...summarizeAccuracy(rows),
+    }))
+    .sort((a, b) => (b.mape ?? -1) - (a.mape ?? -1));
+
+  return {
+    period: { from, to },
+    overall: summarizeAccuracy(forecasts),
+    byMethod: [...groupBy(forecasts, (forecast) => forecast.method)]
+      .map(([method, rows]) => ({ method, ...summarizeAccuracy(rows) })),
+    byWarehouse: [...groupBy(forecasts, (forecast) => forecast.warehouseId)]
+      .map(([warehouseId, rows]) => ({ warehouseId, warehouse: rows[0].warehouse, ...summarizeAccuracy(rows) })),
+    skus,
+  };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  FORECAST_METHOD,
+  SUGGESTION_STATUS,
+  REPLENISHMENT_SOURCE,
+  // Forecasting
+  forecastDemand,
+  planStock,
+  getSkuForecast,
+  // Policy
+  getPolicy,
+  updatePolicy,
+  // Replenishment
+  runReplenishment,
+  runScheduledReplenishment,
+  listSuggestions,
+  convertToRequisition,
+  convertToTransfer,
+  dismissSuggestion,
+  // Reports
+  getAccuracyReport,
+};
@@ -8,7 +8,7 @@ const { cache } = require('../config/redis');
 const config = require('../config');
 const logger = require('../config/logger');
 const { NotFoundError, BadRequestError, ExternalServiceError } = require('../utils/errors');
-const { generateId, formatCurrency } = require('../utils/helpers');
+const { generateId, formatCurrency, roundTo } = require('../utils/helpers');
 const { emitToBusiness } = require('./socket.service');
 
 // =============================================================================
@@ -82,6 +82,20 @@ const generateEInvoice = async (orderId) => {
   return eInvoice;
 };
 
+// The IRP schema carries one batch per item line, so a line shipped from several lots is split per lot
+const splitByLot = (item) => {
+  const lots = item.lots || [];
+  if (lots.length <= 1) return [{ ...item, lot: lots[0] }];
+
+  const total = parseFloat(item.totalPrice);
+  let billed = 0;
+  return lots.map((lot, index) => {
+    const share = index === lots.length - 1 ? roundTo(total - billed) : roundTo((total * lot.quantity) / item.quantity);
+    billed += share;
+    return { ...item, lot, quantity: lot.quantity, totalPrice: share };
+  });
+};
+
 const buildInvoicePayload = (order) => {
   const sellerAddr = order.seller.addresses[0] || {};
   const buyerAddr = order.shippingAddress || order.buyer.addresses[0] || {};
@@ -99,7 +113,7 @@ const buildInvoicePayload = (order) => {
       Gstin: order.buyer.gstNumber || 'URP', LglNm: order.buyer.legalName || order.buyer.businessName,
       Addr1: buyerAddr.addressLine1 || '', Loc: buyerAddr.city || '', Pin: parseInt(buyerAddr.pincode) || 0, Stcd: getStateCode(buyerAddr.state),
     },
-    ItemList: order.items.map((item, index) => {
+    ItemList: order.items.flatMap(splitByLot).map((item, index) => {
       const taxRate = item.product?.gstRate || 18;
       const taxableAmount = parseFloat(item.unitPrice) * item.quantity;
       const taxAmount = (taxableAmount * taxRate) / 100;
@@ -108,6 +122,9 @@ const buildInvoicePayload = (order) => {
         Qty: item.quantity, UnitPrice: parseFloat(item.unitPrice), TotAmt: taxableAmount, AssAmt: taxableAmount, GstRt: taxRate,
         IgstAmt: isInterstateSupply ? taxAmount : 0, CgstAmt: isInterstateSupply ? 0 : taxAmount / 2, SgstAmt: isInterstateSupply ? 0 : taxAmount / 2,
         TotItemVal: parseFloat(item.totalPrice),
+        ...(item.lot && {
+          BchDtls: { Nm: item.lot.lotNumber, ExpDt: item.lot.expiryDate ? new Date(item.lot.expiryDate).toLocaleDateString('en-GB') : undefined },
+        }),
       };
     }),
     ValDtls: { AssVal: parseFloat(order.subtotal), TotInvVal: parseFloat(order.totalAmount) },
@@ -130,11 +147,109 @@ const calculateTaxBreakdown = (order) => {
   return { cgst, sgst, igst, cess: 0 };
 };
 
+// =============================================================================
+// CREDIT / DEBIT NOTE E-INVOICE
+// =============================================================================
+
+const formatDocDate = (date) => new Date(date).toLocaleDateString('en-GB');
+
+const buildNotePayload = (note) => {
+  const { seller, buyer } = note;
+  return {
+    Version: '1.1',
+    TranDtls: { TaxSch: 'GST', SupTyp: SUPPLY_TYPE.B2B },
+    DocDtls: {
+      Typ: note.noteType === 'DEBIT' ? DOC_TYPE.DBN : DOC_TYPE.CRN, No: note.noteNumber, Dt: formatDocDate(note.issuedAt),
+    },
+    SellerDtls: {
+      Gstin: note.sellerGstin, LglNm: seller.legalName || seller.businessName,
+      Addr1: seller.addressLine1 || '', Loc: seller.city || '',
+      Pin: parseInt(seller.pincode) || 0, Stcd: getStateCode(seller.state),
+    },
+    BuyerDtls: {
+      Gstin: note.buyerGstin, LglNm: buyer.legalName || buyer.businessName,
+      Addr1: buyer.addressLine1 || '', Loc: buyer.city || '',
+      Pin: parseInt(buyer.pincode) || 0, Stcd: getStateCode(buyer.state),
+      Pos: getStateCode(note.placeOfSupply || buyer.state),
+    },
+    ItemList: note.items.map((item, index) => ({
+      SlNo: String(index + 1), PrdDesc: item.productName, HsnCd: item.hsnCode || '99999999',
+      Qty: item.quantity, UnitPrice: parseFloat(item.unitPrice),
+      TotAmt: parseFloat(item.taxableValue), AssAmt: parseFloat(item.taxableValue), GstRt: parseFloat(item.gstRate),
+      IgstAmt: parseFloat(item.igstAmount), CgstAmt: parseFloat(item.cgstAmount), SgstAmt: parseFloat(item.sgstAmount),
+      TotItemVal: parseFloat(item.totalValue),
+    })),
+    ValDtls: {
+      AssVal: parseFloat(note.taxableValue), CgstVal: parseFloat(note.cgstAmount), SgstVal: parseFloat(note.sgstAmount),
+      IgstVal: parseFloat(note.igstAmount), TotInvVal: parseFloat(note.totalValue),
+    },
+    RefDtls: {
+      InvRm: note.reasonCode,
+      PrecDocDtls: [{
+        InvNo: note.originalInvoiceNumber,
+        InvDt: note.originalInvoiceDate ? formatDocDate(note.originalInvoiceDate) : undefined,
+      }],
+    },
+  };
+};
+
+const generateNoteEInvoice = async (creditNoteId) => {
+  const note = await prisma.creditNote.findUnique({
+    where: { id: creditNoteId },
+    include: { items: true, seller: true, buyer: true },
+  });
+
+  if (!note) throw new NotFoundError('Credit note');
+  if (note.irn) return note;
+  if (note.status === 'CANCELLED') throw new BadRequestError('Cannot generate IRN for a cancelled note');
+  if (!note.sellerGstin) throw new BadRequestError('Seller GST number is required for e-invoicing');
+  if (!note.buyerGstin) throw new BadRequestError('IRN is only applicable to notes issued to GST-registered buyers');
+
+  const payload = buildNotePayload(note);
+  const irnResponse = await generateIRN(payload);
+
+  const updated = await prisma.creditNote.update({
+    where: { id: note.id },
+    data: {
+      irn: irnResponse.irn, ackNumber: irnResponse.ackNo, ackDate: new Date(irnResponse.ackDt || Date.now()),
+      signedInvoice: irnResponse.signedInvoice, signedQRCode: irnResponse.signedQRCode, invoiceData: payload,
+    },
+    include: { items: true },
+  });
+
+  logger.info('E-Invoice generated for note', { creditNoteId, docType: payload.DocDtls.Typ, irn: updated.irn });
+  emitToBusiness(note.sellerId, 'einvoice:generated', { orderId: note.orderId, invoiceNumber: note.noteNumber, irn: updated.irn });
+
+  return updated;
+};
+
+/**
+ * Cancel a note's IRN at the IRP. The IRP only accepts cancellations within
+ * 24 hours of acknowledgement; after that the note has to be reversed with a
+ * fresh note instead.
+ */
+const cancelNoteEInvoice = async (note, reason) => {
+  if (!note.irn) throw new BadRequestError('Note has no IRN to cancel');
+
+  const hoursSinceAck = (Date.now() - new Date(note.ackDate).getTime()) / (1000 * 60 * 60);
+  if (hoursSinceAck > 24) {
+    throw new BadRequestError('IRN can only be cancelled at the IRP within 24 hours; issue a reversing note instead');
+  }
+
+  const response = await cancelIRN(note.irn, reason);
+
+  logger.info('E-Invoice cancelled for note', { creditNoteId: note.id, irn: note.irn, reason });
+
+  return { irn: response.irn, cancelledAt: new Date(response.cancelDate || Date.now()) };
+};
+
 const generateIRN = async (payload) => {
   const mockIrn = generateId().toUpperCase();
   return { irn: mockIrn, ackNo: Date.now().toString(), ackDt: new Date().toISOString(), signedInvoice: `SIGNED_${mockIrn}`, signedQRCode: `QR_${mockIrn}` };
 };
 
+const cancelIRN = (irn, reason) => Promise.resolve({ irn, cancelDate: new Date().toISOString(), reason });
+
 // =============================================================================
 // E-INVOICE MANAGEMENT
 // =============================================================================
@@ -186,4 +301,5 @@ module.exports = {
   INVOICE_STATUS, SUPPLY_TYPE, DOC_TYPE, STATE_CODES,
   getStateCode, generateInvoiceNumber, isInterstate,
   generateEInvoice, buildInvoicePayload, cancelEInvoice, getEInvoice, getEInvoices,
+  buildNotePayload, generateNoteEInvoice, cancelNoteEInvoice,
 };
@@ -42,6 +42,31 @@ const estimateDistance = (fromPincode, toPincode) => {
 
 const isEWBRequired = (invoiceValue) => parseFloat(invoiceValue) >= MIN_VALUE_FOR_EWB;
 
+// Stock moved between a business's own warehouses needs a bill once it crosses a state line
+const isTransferEWBRequired = (fromState, toState, value) => isInterstate(fromState, toState) && isEWBRequired(value);
+
+// A warehouse ships under its own state registration, or under the business's
+// GSTIN when that registration is for the warehouse's state
+const registrationFor = (warehouse, gstin) => warehouse.gstin
+  || (gstin && gstin.slice(0, 2) === getStateCode(warehouse.state) ? gstin : null);
+
+/**
+ * GSTINs at either end of a transfer. Across a state line the two
+ * registrations are distinct persons under GST, so both must exist and differ.
+ */
+const resolveTransferParties = (fromWarehouse, toWarehouse, gstin) => {
+  const interState = isInterstate(fromWarehouse.state, toWarehouse.state);
+  const fromGstin = registrationFor(fromWarehouse, gstin);
+  if (!fromGstin) throw new BadRequestError('A GSTIN is required to generate an e-way bill');
+  if (!interState) return { interState, fromGstin, toGstin: fromGstin };
+
+  const toGstin = registrationFor(toWarehouse, gstin);
+  if (!toGstin || toGstin === fromGstin) {
+    throw new BadRequestError(`${toWarehouse.name} needs its ${toWarehouse.state} GSTIN to receive an inter-state transfer`);
+  }
+  return { interState, fromGstin, toGstin };
+};
+
 // =============================================================================
 // E-WAY BILL GENERATION
 // =============================================================================
@@ -95,6 +120,52 @@ const generateEWayBill = async (orderId, vehicleDetails) => {
   return eWayBill;
 };
 
+/**
+ * E-way bill for a stock transfer. Within a state it travels on the transfer's
+ * delivery challan under one GSTIN; across states it is a supply between the
+ * two registrations, billed on a tax invoice numbered after the transfer.
+ * Pass the dispatch transaction as client so the bill commits with it.
+ */
+const generateTransferEWayBill = async (transferId, vehicleDetails = {}, client = prisma) => {
+  const transfer = await client.inventoryTransfer.findUnique({
+    where: { id: transferId },
+    include: { fromWarehouse: true, toWarehouse: true },
+  });
+  if (!transfer) throw new NotFoundError('Transfer');
+
+  const existing = await client.eWayBill.findFirst({
+    where: { transferId, status: { notIn: [EWB_STATUS.CANCELLED, EWB_STATUS.EXPIRED] } },
+  });
+  if (existing) return existing;
+
+  const business = await client.business.findUnique({ where: { id: transfer.businessId }, select: { gstin: true } });
+  const { fromWarehouse: from, toWarehouse: to } = transfer;
+  const { interState, fromGstin, toGstin } = resolveTransferParties(from, to, business?.gstin);
+
+  const distance = vehicleDetails.distance || estimateDistance(from.pincode, to.pincode);
+  const validUpto = calculateValidity(distance);
+  const mockEwbNo = `${Date.now()}${Math.floor(Math.random() * 10000)}`;
+
+  const eWayBill = await client.eWayBill.create({
+    data: {
+      transferId, ewbNumber: mockEwbNo, ewbDate: new Date(), validUpto,
+      generatedBy: fromGstin, supplyType: 'OUTWARD', subSupplyType: interState ? 'SUPPLY' : 'OWN_USE',
+      docType: interState ? 'INV' : 'CHL', docNumber: transfer.transferNumber, docDate: new Date(),
+      fromGstin, fromPlace: from.city, fromPincode: from.pincode, fromState: from.state,
+      toGstin, toPlace: to.city, toPincode: to.pincode, toState: to.state,
+      transMode: vehicleDetails.mode || 'ROAD', transDocNumber: vehicleDetails.lrNumber,
+      vehicleNumber: vehicleDetails.vehicleNumber, vehicleType: vehicleDetails.vehicleType || VEHICLE_TYPE.REGULAR,
+      transporterId: vehicleDetails.transporterId, transporterName: vehicleDetails.transporterName,
+      totalValue: transfer.declaredValue, distance, status: EWB_STATUS.GENERATED,
+    },
+  });
+
+  logger.info('Transfer E-Way Bill generated', { ewbId: eWayBill.id, ewbNumber: eWayBill.ewbNumber, transferId });
+  emitToBusiness(transfer.businessId, 'ewb:generated', { transferId, ewbNumber: eWayBill.ewbNumber, validUpto });
+
+  return eWayBill;
+};
+
 // =============================================================================
 // E-WAY BILL MANAGEMENT
 // =============================================================================
@@ -171,11 +242,13 @@ const getEWayBill = async (ewbNumber) => {
 const getEWayBills = async (businessId, options = {}) => {
   const { page = 1, limit = 20, status } = options;
   const skip = (page - 1) * limit;
-  const where = { order: { OR: [{ buyerId: businessId }, { sellerId: businessId }] } };
+  const where = {
+    OR: [{ order: { OR: [{ buyerId: businessId }, { sellerId: businessId }] } }, { transfer: { businessId } }],
+  };
   if (status) where.status = status;
 
   const [bills, total] = await Promise.all([
-    prisma.eWayBill.findMany({ where, skip, take: limit, orderBy: { ewbDate: 'desc' }, include: { order: { select: { orderNumber: true } } } }),
+    prisma.eWayBill.findMany({ where, skip, take: limit, orderBy: { ewbDate: 'desc' }, include: { order: { select: { orderNumber: true } }, transfer: { select: { transferNumber: true } } } }),
     prisma.eWayBill.count({ where }),
   ]);
 
@@ -192,6 +265,6 @@ const getEWayBills = async (businessId, options = {}) => {
 
 module.exports = {
   EWB_STATUS, SUPPLY_TYPE, TRANSPORT_MODE, VEHICLE_TYPE, MIN_VALUE_FOR_EWB,
-  calculateValidity, estimateDistance, isEWBRequired,
-  generateEWayBill, updateVehicle, extendValidity, cancelEWayBill, getEWayBill, getEWayBills,
+  calculateValidity, estimateDistance, isEWBRequired, isTransferEWBRequired, resolveTransferParties,
+  generateEWayBill, generateTransferEWayBill, updateVehicle, extendValidity, cancelEWayBill, getEWayBill, getEWayBills,
 };
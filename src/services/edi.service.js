@@ -0,0 +1,1190 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - EDI SERVICE
+// X12 850/855/856/810/997 and EDIFACT ORDERS/ORDRSP/DESADV/INVOIC/CONTRL
+// =============================================================================
+
+const fs = require('fs').promises;
+const path = require('path');
+const { prisma } = require('../config/database');
+const config = require('../config');
+const logger = require('../config/logger');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { roundTo } = require('../utils/helpers');
+const edi = require('../utils/edi');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const STANDARD = {
+  X12: 'X12',
+  EDIFACT: 'EDIFACT',
+};
+
+/**
+ * Business document → transaction set / message type per standard
+ */
+const DOCUMENT_TYPES = {
+  PURCHASE_ORDER: { X12: '850', EDIFACT: 'ORDERS' },
+  ORDER_ACK: { X12: '855', EDIFACT: 'ORDRSP' },
+  SHIP_NOTICE: { X12: '856', EDIFACT: 'DESADV' },
+  INVOICE: { X12: '810', EDIFACT: 'INVOIC' },
+  FUNCTIONAL_ACK: { X12: '997', EDIFACT: 'CONTRL' },
+};
+
+const DOCUMENT_STATUS = {
+  RECEIVED: 'RECEIVED',
+  TRANSLATED: 'TRANSLATED',
+  FAILED: 'FAILED',
+  SENT: 'SENT',
+  ACKNOWLEDGED: 'ACKNOWLEDGED',
+  REJECTED: 'REJECTED',
+};
+
+// EDIFACT item number types and X12 product ID qualifiers share one vocabulary
+const ITEM_ID_ALIASES = { SA: 'VP', IN: 'BP' };
+const UNIT_ALIASES = { PCE: 'EA', C62: 'EA', EA: 'EA' };
+
+// 997 AK5 / AK9 and CONTRL action codes
+const X12_ACK = { ACCEPTED: 'A', REJECTED: 'R', PARTIAL: 'P' };
+const EDIFACT_ACK = { ACCEPTED: '7', REJECTED: '4' };
+const AK5_ERROR_CODES = { MISSING_SE: '2', CONTROL_NUMBER: '3', SEGMENT_COUNT: '4' };
+const DEFAULT_AK5_ERROR = '5';
+
+const DEFAULT_MAPPING = {
+  itemIdPriority: ['VP', 'BP', 'EN', 'UP'],
+  partCrossReference: {},
+  unitConversions: {},
+  shipToAddressMap: {},
+  paymentMethod: 'CREDIT_LINE',
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const mappingFor = (partner) => ({ ...DEFAULT_MAPPING, ...(partner.mappingRules || {}) });
+
+const documentTypeFor = (partner, kind) => DOCUMENT_TYPES[kind][partner.standard];
+
+const normalizeUnit = (unit) => UNIT_ALIASES[String(unit || 'EA').toUpperCase()] || String(unit).toUpperCase();
+
+/**
+ * A partner's drop folder. The partner code and file names are reduced to a
+ * single path segment so nothing they contain can leave the EDI directory.
+ */
+const partnerDir = (partner, folder) => {
+  const root = path.resolve(config.edi.localDir);
+  const dir = path.join(root, path.basename(String(partner.code)), folder);
+  if (!dir.startsWith(`${root}${path.sep}`)) {
+    throw new BadRequestError(`EDI partner code ${partner.code} cannot be used as a folder name`);
+  }
+  return dir;
+};
+
+const dropFile = (dir, fileName) => {
+  const name = path.basename(fileName);
+  if (!name || name === '.' || name === '..') {
+    throw new BadRequestError(`EDI file name ${fileName} is not valid`);
+  }
+  return path.join(dir, name);
+};
+
+const ourIdentity = (standard) => ({
+  id: config.edi.interchangeId,
+  qualifier: standard === STANDARD.X12 ? config.edi.x12Qualifier : config.edi.edifactQualifier,
+  groupId: config.edi.interchangeId,
+});
+
+const partnerIdentity = (partner) => ({
+  id: partner.interchangeId,
+  qualifier: partner.interchangeQualifier,
+  groupId: partner.groupId || partner.interchangeId,
+});
+
+const money = (value) => roundTo(Number(value) || 0, 2);
+
+const x12Segments = (segments, delimiters) => segments
+  .map((segment) => [segment.tag, ...segment.elements].join(delimiters.element))
+  .join(`${delimiters.segment}\n`);
+
+/**
+ * Reserve control numbers for one outbound interchange
+ */
+const reserveControlNumbers = async (partnerId) => {
+  const partner = await prisma.ediPartner.update({
+    where: { id: partnerId },
+    data: {
+      interchangeControlNumber: { increment: 1 },
+      groupControlNumber: { increment: 1 },
+      transactionControlNumber: { increment: 1 },
+    },
+  });
+
+  return {
+    interchange: partner.interchangeControlNumber,
+    group: partner.groupControlNumber,
+    transaction: partner.transactionControlNumber,
+  };
+};
+
+// =============================================================================
+// TRADING PARTNERS
+// =============================================================================
+
+const createPartner = async (data, createdBy) => {
+  const business = await prisma.business.findUnique({ where: { id: data.businessId } });
+  if (!business) {
+    throw new NotFoundError('Business');
+  }
+
+  const existing = await prisma.ediPartner.findFirst({
+    where: {
+      OR: [
+        { code: data.code },
+        { standard: data.standard, interchangeQualifier: data.interchangeQualifier, interchangeId: data.interchangeId },
+      ],
+    },
+  });
+  if (existing) {
+    throw new BadRequestError('A trading partner with this code or interchange ID already exists');
+  }
+
+  const partner = await prisma.ediPartner.create({
+    data: {
+      ...data,
+      outboundDocuments: data.outboundDocuments || Object.values(DOCUMENT_TYPES)
+        .filter((types) => types !== DOCUMENT_TYPES.PURCHASE_ORDER && types !== DOCUMENT_TYPES.FUNCTIONAL_ACK)
+        .map((types) => types[data.standard]),
+      createdBy,
+    },
+  });
+
+  await Promise.all(['inbound', 'outbound', 'archive', 'error']
+    .map((folder) => fs.mkdir(partnerDir(partner, folder), { recursive: true })));
+
+  logger.info('EDI trading partner created', { partnerId: partner.id, standard: partner.standard });
+  return partner;
+};
+
+const updatePartner = async (partnerId, data) => {
+  const partner = await prisma.ediPartner.findUnique({ where: { id: partnerId } });
+  if (!partner) {
+    throw new NotFoundError('EDI partner');
+  }
+
+  return prisma.ediPartner.update({ where: { id: partnerId }, data });
+};
+
+const listPartners = (filters = {}) => prisma.ediPartner.findMany({
+  where: {
+    ...(filters.businessId && { businessId: filters.businessId }),
+    ...(filters.standard && { standard: filters.standard }),
+    ...(filters.isActive !== undefined && { isActive: filters.isActive }),
+  },
+  orderBy: { name: 'asc' },
+});
+
+const getPartner = async (partnerId) => {
+  const partner = await prisma.ediPartner.findUnique({ where: { id: partnerId } });
+  if (!partner) {
+    throw new NotFoundError('EDI partner');
+  }
+  return partner;
+};
+
+// =============================================================================
+// TRANSPORT (local directory; SFTP and AS2 are stubbed onto it)
+// =============================================================================
+
+const writeOutbound = async (partner, fileName, content) => {
+  if (partner.transport !== 'LOCAL_DIR') {
+    logger.warn(`EDI ${partner.transport} transport not configured, using local directory`, { partnerId: partner.id });
+  }
+
+  const dir = partnerDir(partner, 'outbound');
+  await fs.mkdir(dir, { recursive: true });
+  const file = dropFile(dir, fileName);
+  await fs.writeFile(file, content, 'utf8');
+  return path.basename(file);
+};
+
+/**
+ * Process files dropped into each active partner's inbound folder.
+ * Handled files move to archive/, unreadable ones to error/.
+ */
+const pollInbound = async () => {
+  const partners = await prisma.ediPartner.findMany({ where: { isActive: true } });
+  let processed = 0;
+  let failed = 0;
+
+  for (const partner of partners) {
+    const inbound = partnerDir(partner, 'inbound');
+    let files;
+    try {
+      files = await fs.readdir(inbound);
+    } catch (error) {
+      continue;
+    }
+
+    for (const fileName of files.sort()) {
+      const filePath = dropFile(inbound, fileName);
+      let target = 'archive';
+      try {
+        const raw = await fs.readFile(filePath, 'utf8');
+        const result = await processInbound(raw, { fileName });
+        if (result.documents.some((document) => document.status === DOCUMENT_STATUS.FAILED)) {
+          failed++;
+        }
+        processed++;
+      } catch (error) {
+        target = 'error';
+        failed++;
+        logger.error('EDI inbound file could not be processed', { partnerId: partner.id, fileName, error: error.message });
+      }
+
+      const dir = partnerDir(partner, target);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.rename(filePath, dropFile(dir, fileName));
+    }
+  }
+
+  return { processed, failed };
+};
+
+// =============================================================================
+// INBOUND MAPPING
+// =============================================================================
+
+const addItemId = (ids, qualifier, value) => {
+  if (qualifier && value) {
+    ids[ITEM_ID_ALIASES[qualifier] || qualifier] = value;
+  }
+};
+
+/**
+ * X12 850 → canonical purchase order
+ */
+const mapX12PurchaseOrder = (transaction) => {
+  const errors = [];
+  const po = { lines: [], shipTo: null, billTo: null };
+  let party = null;
+
+  transaction.segments.forEach((segment) => {
+    const e = segment.elements;
+    switch (segment.tag) {
+      case 'BEG':
+        po.purpose = e[0];
+        po.poNumber = e[2];
+        po.poDate = edi.parseEdiDate(e[4]);
+        break;
+      case 'CUR':
+        po.currency = e[1];
+        break;
+      case 'N1':
+        party = { qualifier: e[0], name: e[1], code: e[3] || null };
+        if (e[0] === 'ST') po.shipTo = party;
+        if (e[0] === 'BT') po.billTo = party;
+        break;
+      case 'N3':
+        if (party) party.street = e.filter(Boolean).join(', ');
+        break;
+      case 'N4':
+        if (party) Object.assign(party, { city: e[0], state: e[1], postalCode: e[2], country: e[3] });
+        break;
+      case 'PO1': {
+        const ids = {};
+        for (let i = 5; i < e.length; i += 2) addItemId(ids, e[i], e[i + 1]);
+        po.lines.push({
+          lineNumber: e[0] || String(po.lines.length + 1),
+          quantity: Number(e[1]),
+          uom: normalizeUnit(e[2]),
+          unitPrice: e[3] ? Number(e[3]) : null,
+          ids,
+        });
+        break;
+      }
+      case 'PID':
+        if (po.lines.length) po.lines[po.lines.length - 1].description = e[4];
+        break;
+      case 'CTT':
+        if (Number(e[0]) !== po.lines.length) {
+          errors.push({
+            code: 'LINE_COUNT',
+            message: `CTT01 is ${e[0]} but the order has ${po.lines.length} PO1 lines`,
+          });
+        }
+        break;
+      default:
+    }
+  });
+
+  if (!po.poNumber) errors.push({ code: 'MISSING_FIELD', message: 'BEG03 purchase order number is required' });
+  return { po, errors };
+};
+
+/**
+ * EDIFACT ORDERS → canonical purchase order
+ */
+const mapEdifactOrders = (message) => {
+  const errors = [];
+  const po = { lines: [], shipTo: null, billTo: null };
+  const { el } = edi;
+
+  message.segments.forEach((segment) => {
+    switch (segment.tag) {
+      case 'BGM':
+        po.poNumber = el(segment, 1);
+        po.purpose = el(segment, 2);
+        break;
+      case 'DTM':
+        if (el(segment, 0) === '137') po.poDate = edi.parseEdiDate(el(segment, 0, 1));
+        break;
+      case 'CUX':
+        po.currency = el(segment, 0, 1);
+        break;
+      case 'NAD': {
+        const party = {
+          qualifier: el(segment, 0),
+          code: el(segment, 1),
+          name: el(segment, 3) || el(segment, 2),
+          street: el(segment, 4),
+          city: el(segment, 5),
+          state: el(segment, 6),
+          postalCode: el(segment, 7),
+          country: el(segment, 8),
+        };
+        if (party.qualifier === 'ST' || party.qualifier === 'DP') po.shipTo = party;
+        if (party.qualifier === 'IV' || party.qualifier === 'BY') po.billTo = po.billTo || party;
+        break;
+      }
+      case 'LIN': {
+        const ids = {};
+        addItemId(ids, el(segment, 2, 1), el(segment, 2));
+        po.lines.push({
+          lineNumber: el(segment, 0) || String(po.lines.length + 1),
+          quantity: null,
+          uom: 'EA',
+          unitPrice: null,
+          ids,
+        });
+        break;
+      }
+      case 'PIA':
+        if (po.lines.length) {
+          segment.elements.slice(1).forEach((item) => addItemId(po.lines[po.lines.length - 1].ids, item[1], item[0]));
+        }
+        break;
+      case 'QTY':
+        if (po.lines.length && ['21', '1'].includes(el(segment, 0))) {
+          Object.assign(po.lines[po.lines.length - 1], {
+            quantity: Number(el(segment, 0, 1)),
+            uom: normalizeUnit(el(segment, 0, 2)),
+          });
+        }
+        break;
+      case 'PRI':
+        if (po.lines.length && ['AAA', 'AAB'].includes(el(segment, 0))) {
+          po.lines[po.lines.length - 1].unitPrice = Number(el(segment, 0, 1));
+        }
+        break;
+      case 'IMD':
+        if (po.lines.length) po.lines[po.lines.length - 1].description = el(segment, 2, 3);
+        break;
+      default:
+    }
+  });
+
+  if (!po.poNumber) errors.push({ code: 'MISSING_FIELD', message: 'BGM document number is required' });
+  return { po, errors };
+};
+
+/**
+ * Resolve each PO line to a catalogue variant using the partner's mapping rules
+ */
+const resolveLines = async (partner, po) => {
+  const rules = mappingFor(partner);
+  const errors = [];
+  const resolved = [];
+
+  for (const line of po.lines) {
+    if (!line.quantity || line.quantity <= 0) {
+      errors.push({
+        code: 'INVALID_QUANTITY',
+        message: `Line ${line.lineNumber} has no valid quantity`,
+        lineNumber: line.lineNumber,
+      });
+      continue;
+    }
+
+    let variant = null;
+    for (const qualifier of rules.itemIdPriority) {
+      const value = line.ids[qualifier];
+      if (!value) continue;
+
+      if (qualifier === 'VP') {
+        variant = await prisma.productVariant.findUnique({ where: { sku: value }, include: { product: true } });
+      } else if (qualifier === 'BP' && rules.partCrossReference[value]) {
+        variant = await prisma.productVariant.findUnique({
+          where: { sku: rules.partCrossReference[value] },
+          include: { product: true },
+        });
+      } else if (qualifier === 'EN' || qualifier === 'UP') {
+        variant = await prisma.productVariant.findUnique({ where: { barcode: value }, include: { product: true } });
+      }
+      if (variant) break;
+    }
+
+    if (!variant) {
+      errors.push({
+        code: 'UNKNOWN_ITEM',
+        message: `Line ${line.lineNumber}: no catalogue item for ${JSON.stringify(line.ids)}`,
+        lineNumber: line.lineNumber,
+      });
+      continue;
+    }
+
+    const factor = Number(rules.unitConversions[line.uom]) || 1;
+    resolved.push({
+      ...line,
+      variantId: variant.id,
+      sku: variant.sku,
+      sellerId: variant.product.businessId,
+      buyerPartNumber: line.ids.BP || null,
+      orderQuantity: Math.round(line.quantity * factor),
+    });
+  }
+
+  return { lines: resolved, errors };
+};
+
+const resolveAddresses = async (partner, po) => {
+  const rules = mappingFor(partner);
+  const addresses = await prisma.businessAddress.findMany({ where: { businessId: partner.businessId } });
+  const active = addresses.filter((address) => address.isActive !== false);
+  const byId = (id) => active.find((address) => address.id === id);
+  const byParty = (party, type) => (party?.code && byId(rules.shipToAddressMap[party.code]))
+    || (party?.postalCode && active.find((address) => address.pincode === party.postalCode))
+    || byId(type === 'shipping' ? rules.defaultShippingAddressId : rules.defaultBillingAddressId)
+    || active.find((address) => address.type === type && address.isDefault)
+    || active.find((address) => address.isDefault);
+
+  const shipping = byParty(po.shipTo, 'shipping');
+  const billing = byParty(po.billTo, 'billing') || shipping;
+  return { shipping, billing };
+};
+
+/**
+ * Create one marketplace order per seller for a mapped purchase order.
+ * A PO already turned into orders for a seller is not ordered again.
+ */
+const createOrdersFromPurchaseOrder = async (partner, po, documentId) => {
+  // Lazy require: order.service notifies this service on confirmation
+  const orderService = require('./order.service');
+
+  const { lines, errors } = await resolveLines(partner, po);
+  if (errors.length) {
+    return { orderIds: [], errors };
+  }
+
+  const { shipping, billing } = await resolveAddresses(partner, po);
+  if (!shipping) {
+    const error = { code: 'UNKNOWN_ADDRESS', message: 'No buyer address matches the ship-to party' };
+    return { orderIds: [], errors: [error] };
+  }
+
+  const existing = await prisma.ediOrderReference.findMany({
+    where: { partnerId: partner.id, poNumber: po.poNumber },
+  });
+  const orderedSellers = new Set(existing.map((reference) => reference.sellerId));
+  const orderIds = existing.map((reference) => reference.orderId);
+
+  const bySeller = new Map();
+  lines.forEach((line) => {
+    if (orderedSellers.has(line.sellerId)) return;
+    if (!bySeller.has(line.sellerId)) bySeller.set(line.sellerId, []);
+    bySeller.get(line.sellerId).push(line);
+  });
+
+  const rules = mappingFor(partner);
+  for (const [sellerId, sellerLines] of bySeller) {
+    const order = await orderService.createOrder(partner.businessId, {
+      sellerId,
+      items: sellerLines.map((line) => ({ variantId: line.variantId, quantity: line.orderQuantity })),
+      billingAddressId: billing.id,
+      shippingAddressId: shipping.id,
+      paymentMethod: rules.paymentMethod,
+      buyerNote: `EDI PO ${po.poNumber}`,
+    });
+
+    await prisma.ediOrderReference.create({
+      data: {
+        orderId: order.id,
+        partnerId: partner.id,
+        sellerId,
+        poNumber: po.poNumber,
+        poDate: po.poDate || null,
+        inboundDocumentId: documentId,
+        lines: sellerLines.map((line) => ({
+          lineNumber: line.lineNumber,
+          variantId: line.variantId,
+          sku: line.sku,
+          buyerPartNumber: line.buyerPartNumber,
+          uom: line.uom,
+          quantity: line.quantity,
+          unitPrice: line.unitPrice,
+        })),
+      },
+    });
+    orderIds.push(order.id);
+  }
+
+  return { orderIds, errors: [] };
+};
+
+/**
+ * Apply a partner's 997 / CONTRL to the outbound documents it answers
+ */
+const applyFunctionalAck = async (partner, standard, segments) => {
+  const updates = [];
+
+  if (standard === STANDARD.X12) {
+    let groupControlNumber = null;
+    let transactionControlNumber = null;
+    segments.forEach((segment) => {
+      const e = segment.elements;
+      if (segment.tag === 'AK1') groupControlNumber = e[1];
+      if (segment.tag === 'AK2') transactionControlNumber = e[1];
+      if (segment.tag === 'AK5') {
+        updates.push({
+          where: { groupControlNumber, transactionControlNumber: String(Number(transactionControlNumber)) },
+          accepted: e[0] === X12_ACK.ACCEPTED || e[0] === 'E',
+        });
+      }
+    });
+  } else {
+    let interchangeControlNumber = null;
+    segments.forEach((segment) => {
+      if (segment.tag === 'UCI') {
+        interchangeControlNumber = edi.el(segment, 0);
+        updates.push({ where: { interchangeControlNumber }, accepted: edi.el(segment, 3) !== EDIFACT_ACK.REJECTED });
+      }
+      if (segment.tag === 'UCM') {
+        updates.push({
+          where: { interchangeControlNumber, transactionControlNumber: edi.el(segment, 0) },
+          accepted: edi.el(segment, 2) !== EDIFACT_ACK.REJECTED,
+        });
+      }
+    });
+  }
+
+  let matched = 0;
+  for (const update of updates) {
+    const result = await prisma.ediDocument.updateMany({
+      where: { partnerId: partner.id, direction: 'OUTBOUND', ...update.where },
+      data: {
+        status: update.accepted ? DOCUMENT_STATUS.ACKNOWLEDGED : DOCUMENT_STATUS.REJECTED,
+        ackStatus: update.accepted ? 'ACCEPTED' : 'REJECTED',
+      },
+    });
+    matched += result.count;
+  }
+
+  return { acknowledged: matched };
+};
+
+// =============================================================================
+// FUNCTIONAL ACKNOWLEDGEMENTS (997 / CONTRL)
+// =============================================================================
+
+const build997Segments = (group, results) => {
+  const segments = [['AK1', group.functionalId, group.controlNumber]];
+  let accepted = 0;
+
+  group.transactions.forEach((transaction) => {
+    const errors = results.get(transaction) || [];
+    segments.push(['AK2', transaction.type, transaction.controlNumber]);
+    if (errors.length) {
+      segments.push(['AK5', X12_ACK.REJECTED, AK5_ERROR_CODES[errors[0].code] || DEFAULT_AK5_ERROR]);
+    } else {
+      accepted++;
+      segments.push(['AK5', X12_ACK.ACCEPTED]);
+    }
+  });
+
+  const total = group.transactions.length;
+  let groupStatus = X12_ACK.PARTIAL;
+  if (accepted === total && !group.errors.length) groupStatus = X12_ACK.ACCEPTED;
+  if (accepted === 0 || group.errors.length) groupStatus = X12_ACK.REJECTED;
+  segments.push(['AK9', groupStatus, total, total, accepted]);
+
+  return segments;
+};
+
+const buildContrlSegments = (interchange, results) => {
+  const rejected = interchange.errors.length
+    || interchange.messages.some((message) => (results.get(message) || []).length);
+  const segments = [[
+    'UCI',
+    interchange.header.controlNumber,
+    [interchange.header.senderId, interchange.header.senderQualifier],
+    [interchange.header.receiverId, interchange.header.receiverQualifier],
+    rejected ? EDIFACT_ACK.REJECTED : EDIFACT_ACK.ACCEPTED,
+  ]];
+
+  interchange.messages.forEach((message) => {
+    const errors = results.get(message) || [];
+    segments.push([
+      'UCM',
+      message.reference,
+      [message.type, ...message.version.split(':')],
+      errors.length ? EDIFACT_ACK.REJECTED : EDIFACT_ACK.ACCEPTED,
+    ]);
+  });
+
+  return segments;
+};
+
+// =============================================================================
+// OUTBOUND
+// =============================================================================
+
+/**
+ * Wrap segments in envelopes, drop the file on the transport and log it
+ */
+const sendDocument = async (partner, outbound) => {
+  const { documentType, segments, referenceNumber, orderIds = [], shipmentId, parsed } = outbound;
+  const controls = await reserveControlNumbers(partner.id);
+  const usage = partner.testMode ? 'T' : 'P';
+
+  let raw;
+  if (partner.standard === STANDARD.X12) {
+    raw = edi.buildX12({
+      sender: ourIdentity(STANDARD.X12),
+      receiver: partnerIdentity(partner),
+      controlNumber: controls.interchange,
+      groupControlNumber: controls.group,
+      functionalId: edi.X12_FUNCTIONAL_IDS[documentType],
+      usage,
+      ackRequested: documentType !== DOCUMENT_TYPES.FUNCTIONAL_ACK.X12,
+      transactions: [{ type: documentType, controlNumber: controls.transaction, segments }],
+    });
+  } else {
+    raw = edi.buildEdifact({
+      sender: ourIdentity(STANDARD.EDIFACT),
+      receiver: partnerIdentity(partner),
+      controlNumber: controls.interchange,
+      usage,
+      ackRequested: documentType !== DOCUMENT_TYPES.FUNCTIONAL_ACK.EDIFACT,
+      messages: [{ reference: String(controls.transaction), type: documentType, segments }],
+    });
+  }
+
+  const fileName = `${documentType}_${referenceNumber || controls.interchange}_${controls.interchange}.edi`
+    .replace(/[^\w.-]/g, '_');
+  await writeOutbound(partner, fileName, raw);
+
+  const document = await prisma.ediDocument.create({
+    data: {
+      partnerId: partner.id,
+      direction: 'OUTBOUND',
+      standard: partner.standard,
+      documentType,
+      status: DOCUMENT_STATUS.SENT,
+      interchangeControlNumber: String(controls.interchange),
+      groupControlNumber: partner.standard === STANDARD.X12 ? String(controls.group) : null,
+      transactionControlNumber: String(controls.transaction),
+      raw,
+      parsed: parsed || undefined,
+      fileName,
+      orderIds,
+      shipmentId: shipmentId || null,
+      referenceNumber: referenceNumber || null,
+      processedAt: new Date(),
+    },
+  });
+
+  logger.info('EDI document sent', { partnerId: partner.id, documentType, documentId: document.id });
+  return document;
+};
+
+/**
+ * Partner and PO reference for an order that arrived over EDI, when the
+ * partner subscribes to the given outbound document
+ */
+const outboundContext = async (orderId, kind) => {
+  const reference = await prisma.ediOrderReference.findUnique({ where: { orderId } });
+  if (!reference) return null;
+
+  const partner = await prisma.ediPartner.findUnique({ where: { id: reference.partnerId } });
+  if (!partner?.isActive) return null;
+
+  const documentType = documentTypeFor(partner, kind);
+  if (!partner.outboundDocuments.includes(documentType)) return null;
+
+  return { partner, reference, documentType };
+};
+
+const referenceLine = (reference, item, index) => reference.lines.find((line) => line.variantId === item.variantId)
+  || { lineNumber: String(index + 1), uom: 'EA' };
+
+const edifactUnit = (uom) => (uom === 'EA' ? 'PCE' : uom);
+
+const orderAckSegments = (partner, order, reference) => {
+  const { ccyymmdd } = edi.stamp(order.confirmedAt || new Date());
+  const poDate = reference.poDate ? edi.stamp(reference.poDate).ccyymmdd : ccyymmdd;
+  const changed = order.items.some((item, index) => {
+    const line = referenceLine(reference, item, index);
+    return line.quantity !== item.quantity
+      || (line.unitPrice !== null && line.unitPrice !== undefined && money(line.unitPrice) !== money(item.unitPrice));
+  });
+
+  if (partner.standard === STANDARD.X12) {
+    const segments = [
+      ['BAK', '00', changed ? 'AC' : 'AD', reference.poNumber, poDate, '', '', '', order.orderNumber, ccyymmdd],
+    ];
+    order.items.forEach((item, index) => {
+      const line = referenceLine(reference, item, index);
+      segments.push(['PO1', line.lineNumber, item.quantity, line.uom || 'EA', money(item.unitPrice), '', 'VP', item.sku,
+        ...(line.buyerPartNumber ? ['BP', line.buyerPartNumber] : [])]);
+      segments.push(['ACK', line.quantity === item.quantity ? 'IA' : 'IQ', item.quantity, line.uom || 'EA']);
+    });
+    segments.push(['CTT', order.items.length]);
+    return segments;
+  }
+
+  const segments = [
+    ['BGM', '231', order.orderNumber, changed ? '4' : '29'],
+    ['DTM', ['137', ccyymmdd, '102']],
+    ['RFF', ['ON', reference.poNumber]],
+    ['NAD', 'SU', [config.edi.interchangeId, '', '92']],
+  ];
+  order.items.forEach((item, index) => {
+    const line = referenceLine(reference, item, index);
+    segments.push(['LIN', line.lineNumber, line.quantity === item.quantity ? '5' : '3', [item.sku, 'SA']]);
+    segments.push(['QTY', ['21', item.quantity, edifactUnit(line.uom || 'EA')]]);
+    segments.push(['PRI', ['AAA', money(item.unitPrice)]]);
+  });
+  segments.push(['UNS', 'S'], ['CNT', ['2', order.items.length]]);
+  return segments;
+};
+
+/**
+ * Lots packed for an order line: from the shipment when it recorded them, else the line's allocation
+ */
+const shippedLots = (shipment, item) => (shipment.lots?.length
+  ? shipment.lots.filter((lot) => lot.orderItemId === item.id)
+  : item.lots || []);
+
+const shipNoticeSegments = (partner, shipment, order, reference) => {
+  const { ccyymmdd, hhmm } = edi.stamp(shipment.createdAt || new Date());
+  const shipmentRef = shipment.awbNumber || shipment.id;
+  const shipTo = order.shippingAddress || {};
+
+  if (partner.standard === STANDARD.X12) {
+    const segments = [
+      ['BSN', '00', shipmentRef, ccyymmdd, hhmm],
+      ['HL', '1', '', 'S'],
+      ['TD5', '', '2', shipment.carrier || shipment.courierCode || ''],
+      ['REF', 'BM', shipmentRef],
+      ['DTM', '011', ccyymmdd],
+      ['N1', 'ST', shipTo.contactPerson || shipTo.label || 'Ship To'],
+      ['N4', shipTo.city || '', shipTo.state || '', shipTo.pincode || '', 'IN'],
+      ['HL', '2', '1', 'O'],
+      ['PRF', reference.poNumber],
+    ];
+    let hl = 2;
+    order.items.forEach((item, index) => {
+      const line = referenceLine(reference, item, index);
+      hl++;
+      segments.push(['HL', hl, '2', 'I']);
+      segments.push(['LIN', line.lineNumber, 'VP', item.sku]);
+      segments.push(['SN1', '', item.quantity, line.uom || 'EA']);
+      shippedLots(shipment, item).forEach((lot) => {
+        segments.push(['REF', 'LT', lot.lotNumber]);
+        if (lot.expiryDate) segments.push(['DTM', '036', edi.stamp(new Date(lot.expiryDate)).ccyymmdd]);
+      });
+    });
+    segments.push(['CTT', hl]);
+    return segments;
+  }
+
+  const segments = [
+    ['BGM', '351', shipmentRef, '9'],
+    ['DTM', ['137', ccyymmdd, '102']],
+    ['DTM', ['11', ccyymmdd, '102']],
+    ['RFF', ['ON', reference.poNumber]],
+    ['RFF', ['BM', shipmentRef]],
+    ['NAD', 'ST', '', '', shipTo.contactPerson || shipTo.label || '', shipTo.addressLine1 || '', shipTo.city || '',
+      shipTo.state || '', shipTo.pincode || '', 'IN'],
+    ['TDT', '20', '', '', '', [shipment.carrier || shipment.courierCode || '']],
+    ['CPS', '1'],
+  ];
+  order.items.forEach((item, index) => {
+    const line = referenceLine(reference, item, index);
+    segments.push(['LIN', line.lineNumber, '', [item.sku, 'SA']]);
+    segments.push(['QTY', ['12', item.quantity, edifactUnit(line.uom || 'EA')]]);
+    shippedLots(shipment, item).forEach((lot) => {
+      segments.push(['PIA', '1', [lot.lotNumber, 'NB']]);
+      if (lot.expiryDate) segments.push(['DTM', ['36', edi.stamp(new Date(lot.expiryDate)).ccyymmdd, '102']]);
+    });
+    segments.push(['RFF', ['ON', reference.poNumber, line.lineNumber]]);
+  });
+  segments.push(['CNT', ['2', order.items.length]]);
+  return segments;
+};
+
+const invoiceSegments = (partner, order, reference) => {
+  const { ccyymmdd } = edi.stamp(order.invoiceGeneratedAt || new Date());
+  const poDate = reference.poDate ? edi.stamp(reference.poDate).ccyymmdd : '';
+  const total = money(order.totalAmount);
+
+  if (partner.standard === STANDARD.X12) {
+    const segments = [
+      ['BIG', ccyymmdd, order.invoiceNumber, poDate, reference.poNumber],
+      ['REF', 'VN', order.orderNumber],
+      ['N1', 'BY', order.buyer?.businessName || ''],
+      ['N1', 'SE', order.seller?.businessName || ''],
+    ];
+    order.items.forEach((item, index) => {
+      const line = referenceLine(reference, item, index);
+      const uom = line.uom || 'EA';
+      segments.push(['IT1', line.lineNumber, item.quantity, uom, money(item.unitPrice), '', 'VP', item.sku]);
+    });
+    segments.push(['TDS', Math.round(total * 100)]);
+    segments.push(['TXI', 'TX', money(order.taxAmount)]);
+    if (Number(order.shippingAmount) > 0) {
+      segments.push(['SAC', 'C', 'D240', '', '', Math.round(money(order.shippingAmount) * 100)]);
+    }
+    segments.push(['CTT', order.items.length]);
+    return segments;
+  }
+
+  const segments = [
+    ['BGM', '380', order.invoiceNumber, '9'],
+    ['DTM', ['137', ccyymmdd, '102']],
+    ['RFF', ['ON', reference.poNumber]],
+    ['NAD', 'BY', '', '', order.buyer?.businessName || ''],
+    ['NAD', 'SU', [config.edi.interchangeId, '', '92'], '', order.seller?.businessName || ''],
+    ['CUX', ['2', order.currency || 'INR', '4']],
+  ];
+  order.items.forEach((item, index) => {
+    const line = referenceLine(reference, item, index);
+    segments.push(['LIN', line.lineNumber, '', [item.sku, 'SA']]);
+    segments.push(['QTY', ['47', item.quantity, edifactUnit(line.uom || 'EA')]]);
+    segments.push(['MOA', ['203', money(item.totalPrice)]]);
+    segments.push(['PRI', ['AAA', money(item.unitPrice)]]);
+  });
+  segments.push(['UNS', 'S'], ['CNT', ['2', order.items.length]]);
+  segments.push(['MOA', ['86', total]], ['MOA', ['124', money(order.taxAmount)]]);
+  return segments;
+};
+
+/**
+ * Outbound hooks must never break the order flow that triggered them
+ */
+const safely = (label, fn) => async (...args) => {
+  try {
+    return await fn(...args);
+  } catch (error) {
+    logger.error(`EDI ${label} failed`, { error: error.message });
+    return null;
+  }
+};
+
+/**
+ * 855 / ORDRSP when the seller confirms an order that came in over EDI
+ */
+const sendOrderAcknowledgment = safely('order acknowledgment', async (orderId) => {
+  const context = await outboundContext(orderId, 'ORDER_ACK');
+  if (!context) return null;
+
+  const order = await prisma.order.findUnique({ where: { id: orderId }, include: { items: true } });
+  return sendDocument(context.partner, {
+    documentType: context.documentType,
+    segments: orderAckSegments(context.partner, order, context.reference),
+    referenceNumber: context.reference.poNumber,
+    orderIds: [orderId],
+  });
+});
+
+/**
+ * 856 / DESADV when a forward shipment is booked
+ */
+const sendShipNotice = safely('ship notice', async (shipment) => {
+  const context = await outboundContext(shipment.orderId, 'SHIP_NOTICE');
+  if (!context) return null;
+
+  const order = await prisma.order.findUnique({ where: { id: shipment.orderId }, include: { items: true } });
+  return sendDocument(context.partner, {
+    documentType: context.documentType,
+    segments: shipNoticeSegments(context.partner, shipment, order, context.reference),
+    referenceNumber: shipment.awbNumber || shipment.id,
+    orderIds: [order.id],
+    shipmentId: shipment.id,
+  });
+});
+
+/**
+ * 810 / INVOIC when the seller first generates the order's invoice
+ */
+const sendInvoice = safely('invoice', async (orderId) => {
+  const context = await outboundContext(orderId, 'INVOICE');
+  if (!context) return null;
+
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: {
+      items: true,
+      buyer: { select: { businessName: true } },
+      seller: { select: { businessName: true } },
+    },
+  });
+  return sendDocument(context.partner, {
+    documentType: context.documentType,
+    segments: invoiceSegments(context.partner, order, context.reference),
+    referenceNumber: order.invoiceNumber,
+    orderIds: [orderId],
+  });
+});
+
+// =============================================================================
+// INBOUND PROCESSING
+// =============================================================================
+
+const findPartner = (standard, header) => prisma.ediPartner.findFirst({
+  where: {
+    standard,
+    interchangeQualifier: header.senderQualifier,
+    interchangeId: header.senderId,
+    isActive: true,
+  },
+});
+
+const logFailure = (standard, raw, errors, fileName, partnerId = null) => prisma.ediDocument.create({
+  data: {
+    partnerId,
+    direction: 'INBOUND',
+    standard: standard || STANDARD.X12,
+    documentType: 'UNKNOWN',
+    status: DOCUMENT_STATUS.FAILED,
+    raw,
+    validationErrors: errors,
+    fileName: fileName || null,
+    processedAt: new Date(),
+  },
+});
+
+/**
+ * Translate an inbound interchange: map each purchase order into marketplace
+ * orders, apply partner acknowledgements, log every transaction with its raw
+ * and parsed form, and answer with a 997 / CONTRL when the partner wants one.
+ */
+const processInbound = async (raw, { fileName } = {}) => {
+  const standard = edi.detectStandard(raw);
+  if (!standard) {
+    const error = { code: 'UNKNOWN_STANDARD', message: 'Not an X12 or EDIFACT interchange' };
+    const document = await logFailure(null, raw, [error], fileName);
+    return { documents: [{ id: document.id, status: document.status, errors: document.validationErrors }] };
+  }
+
+  let interchange;
+  try {
+    interchange = standard === STANDARD.X12 ? edi.parseX12(raw) : edi.parseEdifact(raw);
+  } catch (error) {
+    const document = await logFailure(standard, raw, [{ code: 'SYNTAX', message: error.message }], fileName);
+    return { documents: [{ id: document.id, status: document.status, errors: document.validationErrors }] };
+  }
+
+  const partner = await findPartner(standard, interchange.header);
+  if (!partner) {
+    const { senderQualifier, senderId } = interchange.header;
+    const document = await logFailure(standard, raw, [{
+      code: 'UNKNOWN_PARTNER',
+      message: `No active trading partner for ${senderQualifier}:${senderId}`,
+    }], fileName);
+    return { documents: [{ id: document.id, status: document.status, errors: document.validationErrors }] };
+  }
+
+  // Flatten X12 groups/sets and EDIFACT messages into one list of units
+  const units = standard === STANDARD.X12
+    ? interchange.groups.flatMap((group) => group.transactions.map((transaction) => ({
+      unit: transaction,
+      group,
+      type: transaction.type,
+      controlNumber: transaction.controlNumber,
+      envelopeErrors: [...interchange.errors, ...group.errors, ...transaction.errors],
+    })))
+    : interchange.messages.map((message) => ({
+      unit: message,
+      type: message.type,
+      controlNumber: message.reference,
+      envelopeErrors: [...interchange.errors, ...message.errors],
+    }));
+
+  const results = new Map();
+  const documents = [];
+  let containsAck = false;
+
+  for (const { unit, group, type, controlNumber, envelopeErrors } of units) {
+    const document = await prisma.ediDocument.create({
+      data: {
+        partnerId: partner.id,
+        direction: 'INBOUND',
+        standard,
+        documentType: type,
+        status: DOCUMENT_STATUS.RECEIVED,
+        interchangeControlNumber: interchange.header.controlNumber,
+        groupControlNumber: group?.controlNumber || null,
+        transactionControlNumber: controlNumber,
+        raw: standard === STANDARD.X12 ? x12Segments(unit.segments, interchange.delimiters) : raw,
+        fileName: fileName || null,
+      },
+    });
+
+    let errors = [...envelopeErrors];
+    let parsed = null;
+    let orderIds = [];
+    let referenceNumber = null;
+
+    if (!errors.length) {
+      try {
+        if (type === DOCUMENT_TYPES.PURCHASE_ORDER[standard]) {
+          const mapped = standard === STANDARD.X12 ? mapX12PurchaseOrder(unit) : mapEdifactOrders(unit);
+          parsed = mapped.po;
+          referenceNumber = mapped.po.poNumber || null;
+          errors = mapped.errors;
+          if (!errors.length) {
+            const created = await createOrdersFromPurchaseOrder(partner, mapped.po, document.id);
+            orderIds = created.orderIds;
+            errors = created.errors;
+          }
+        } else if (type === DOCUMENT_TYPES.FUNCTIONAL_ACK[standard]) {
+          containsAck = true;
+          parsed = await applyFunctionalAck(partner, standard, unit.segments);
+        } else {
+          errors = [{ code: 'UNSUPPORTED_DOCUMENT', message: `Inbound ${type} is not supported` }];
+        }
+      } catch (error) {
+        errors = [{ code: 'APPLICATION_ERROR', message: error.message }];
+      }
+    }
+
+    results.set(unit, errors);
+    const updated = await prisma.ediDocument.update({
+      where: { id: document.id },
+      data: {
+        status: errors.length ? DOCUMENT_STATUS.FAILED : DOCUMENT_STATUS.TRANSLATED,
+        parsed: parsed || undefined,
+        validationErrors: errors.length ? errors : undefined,
+        orderIds,
+        referenceNumber,
+        processedAt: new Date(),
+      },
+    });
+    documents.push({ id: updated.id, type, status: updated.status, orderIds, errors });
+  }
+
+  let acknowledgement = null;
+  if (partner.sendFunctionalAck && !containsAck && units.length) {
+    const ackType = DOCUMENT_TYPES.FUNCTIONAL_ACK[standard];
+    const segments = standard === STANDARD.X12
+      ? interchange.groups.flatMap((group) => build997Segments(group, results))
+      : buildContrlSegments(interchange, results);
+
+    acknowledgement = await sendDocument(partner, {
+      documentType: ackType,
+      segments,
+      referenceNumber: interchange.header.controlNumber,
+    });
+    await prisma.ediDocument.updateMany({
+      where: { id: { in: documents.map((document) => document.id) } },
+      data: { acknowledgedById: acknowledgement.id },
+    });
+  }
+
+  logger.info('EDI interchange processed', {
+    partnerId: partner.id,
+    controlNumber: interchange.header.controlNumber,
+    documents: documents.length,
+    failed: documents.filter((document) => document.status === DOCUMENT_STATUS.FAILED).length,
+  });
+
+  return {
+    partnerId: partner.id,
+    interchangeControlNumber: interchange.header.controlNumber,
+    documents,
+    acknowledgement: acknowledgement && { id: acknowledgement.id, documentType: acknowledgement.documentType },
+  };
+};
+
+// =============================================================================
+// TRANSLATION LOG
+// =============================================================================
+
+const listDocuments = async (filters = {}) => {
+  const { partnerId, direction, status, documentType, referenceNumber, skip = 0, limit = 20 } = filters;
+  const where = {
+    ...(partnerId && { partnerId }),
+    ...(direction && { direction }),
+    ...(status && { status }),
+    ...(documentType && { documentType }),
+    ...(referenceNumber && { referenceNumber }),
+  };
+
+  const [documents, total] = await Promise.all([
+    prisma.ediDocument.findMany({
+      where,
+      select: {
+        id: true,
+        partnerId: true,
+        direction: true,
+        standard: true,
+        documentType: true,
+        status: true,
+        interchangeControlNumber: true,
+        transactionControlNumber: true,
+        referenceNumber: true,
+        orderIds: true,
+        fileName: true,
+        ackStatus: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limit,
+    }),
+    prisma.ediDocument.count({ where }),
+  ]);
+
+  return { documents, total };
+};
+
+const getDocument = async (documentId) => {
+  const document = await prisma.ediDocument.findUnique({
+    where: { id: documentId },
+    include: { partner: { select: { id: true, name: true, code: true, standard: true } } },
+  });
+
+  if (!document) {
+    throw new NotFoundError('EDI document');
+  }
+  return document;
+};
+
+module.exports = {
+  STANDARD,
+  DOCUMENT_TYPES,
+  DOCUMENT_STATUS,
+  createPartner,
+  updatePartner,
+  listPartners,
+  getPartner,
+  processInbound,
+  pollInbound,
+  sendOrderAcknowledgment,
+  sendShipNotice,
+  sendInvoice,
+  listDocuments,
+  getDocument,
+};
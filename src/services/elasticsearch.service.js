@@ -304,6 +304,51 @@ class ElasticsearchService {
     }
   }
   
+  /**
+   * Re-read products and index the active ones, removing the rest.
+   * Unlike indexProduct this throws, so the outbox relay can retry.
+   */
+  async syncProducts(productIds) {
+    const products = await prisma.product.findMany({
+      where: { id: { in: productIds } },
+      include: {
+        business: true,
+        category: true,
+        variants: {
+          where: { isActive: true },
+          select: { stockQuantity: true },
+        },
+      },
+    });
+
+    const active = products.filter((product) => product.status === 'ACTIVE' && !product.deletedAt);
+    const activeIds = new Set(active.map((product) => product.id));
+
+    const operations = [
+      ...active.flatMap((product) => [
+        { index: { _index: this.indices.products, _id: product.id } },
+        this.transformProductForIndex(product),
+      ]),
+      ...productIds
+        .filter((id) => !activeIds.has(id))
+        .map((id) => ({ delete: { _index: this.indices.products, _id: id } })),
+    ];
+
+    const result = await this.client.bulk({ body: operations, refresh: true });
+
+    // Deleting a document that was never indexed is fine
+    const failed = (result.items || []).filter((item) => {
+      const outcome = item.index || item.delete;
+      return outcome?.error && outcome.status !== 404;
+    });
+
+    if (failed.length > 0) {
+      throw new Error(`Search index sync failed for ${failed.length} of ${productIds.length} products`);
+    }
+
+    return { indexed: active.length, removed: productIds.length - active.length };
+  }
+
   /**
    * Transform product for Elasticsearch
    */
@@ -1,51 +1,116 @@
 // =============================================================================
 // AIRAVAT B2B MARKETPLACE - FEATURE FLAGS SERVICE
-// Control feature rollouts and A/B testing
+// Targeting rules, multivariate rollouts, schedules, kill switch and
+// A/B experiments with statistical results
 // =============================================================================
 
+const crypto = require('crypto');
 const { prisma } = require('../config/database');
 const { cache } = require('../config/redis');
 const logger = require('../config/logger');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+const {
+  wilsonInterval, twoProportionTest, chiSquareGoodnessOfFit, chiSquareSurvival,
+} = require('../utils/statistics');
+
+/**
+ * Flags every environment starts with. Stored flags of the same name take
+ * precedence; the first change through the service persists the default.
+ */
+const DEFAULT_FLAGS = {
+  // Core Features
+  'credit_line': { enabled: true, rolloutPercentage: 100 },
+  'buy_now_pay_later': { enabled: true, rolloutPercentage: 50 },
+  'rfq_system': { enabled: true, rolloutPercentage: 100 },
+  'real_time_chat': { enabled: true, rolloutPercentage: 100 },
+
+  // India Specific
+  'gst_einvoice': { enabled: true, regions: ['IN'] },
+  'eway_bill': { enabled: true, regions: ['IN'] },
+  'aadhaar_verification': { enabled: true, regions: ['IN'] },
+  'upi_payments': { enabled: true, regions: ['IN'] },
+
+  // UAE Specific
+  'vat_compliance': { enabled: true, regions: ['AE'] },
+  'trn_verification': { enabled: true, regions: ['AE'] },
+
+  // New Features (Gradual Rollout)
+  'ai_recommendations': { enabled: true, rolloutPercentage: 30 },
+  'voice_search': { enabled: false, rolloutPercentage: 0 },
+  'ar_product_view': { enabled: false, rolloutPercentage: 0 },
+  'bulk_order_discount': { enabled: true, rolloutPercentage: 100 },
+  'loyalty_program': { enabled: false, rolloutPercentage: 0 },
+
+  // Experimental
+  'new_checkout_flow': { enabled: false, rolloutPercentage: 10, allowlist: [] },
+  'enhanced_search': { enabled: true, rolloutPercentage: 50 },
+  'social_sharing': { enabled: true, rolloutPercentage: 100 },
+
+  // Maintenance
+  'maintenance_mode': { enabled: false },
+  'read_only_mode': { enabled: false },
+};
+
+// Variants of flags that don't define their own
+const BOOLEAN_VARIANTS = [
+  { key: 'on', weight: 100, payload: true },
+  { key: 'off', weight: 0, payload: false },
+];
+
+// Fields a flag definition may change (kill switch has its own operations)
+const FLAG_FIELDS = [
+  'description', 'enabled', 'variants', 'offVariant', 'rules', 'rolloutPercentage',
+  'regions', 'allowlist', 'blocklist', 'requiredTier', 'startDate', 'endDate', 'metadata',
+];
+
+const TIERS = ['free', 'starter', 'professional', 'enterprise'];
+
+/**
+ * GMV bands by trailing seller revenue (INR)
+ */
+const GMV_BANDS = [
+  { band: 'micro', below: 10_00_000 },
+  { band: 'small', below: 1_00_00_000 },
+  { band: 'medium', below: 10_00_00_000 },
+  { band: 'large', below: 100_00_00_000 },
+  { band: 'enterprise', below: Infinity },
+];
+
+// Attributes whose values are ranked, so gt/gte/lt/lte compare positions
+const RANKED_ATTRIBUTES = {
+  subscriptionTier: TIERS,
+  gmvBand: GMV_BANDS.map(({ band }) => band),
+};
+
+const OPERATORS = [
+  'eq', 'neq', 'in', 'notIn', 'gt', 'gte', 'lt', 'lte', 'between', 'contains', 'startsWith', 'exists',
+  'versionEq', 'versionGt', 'versionGte', 'versionLt', 'versionLte',
+];
+
+// Why a variant was served
+const REASONS = {
+  NOT_FOUND: 'NOT_FOUND',
+  KILLED: 'KILLED',
+  DISABLED: 'DISABLED',
+  SCHEDULED_OFF: 'SCHEDULED_OFF',
+  BLOCKED: 'BLOCKED',
+  ALLOWLISTED: 'ALLOWLISTED',
+  RULE_MATCH: 'RULE_MATCH',
+  TARGETING: 'TARGETING',
+  ROLLOUT: 'ROLLOUT',
+  NO_UNIT: 'NO_UNIT',
+  FALLTHROUGH: 'FALLTHROUGH',
+};
+
+// Sample ratio mismatch is flagged below this p-value
+const SRM_THRESHOLD = 0.001;
+const MIN_EXPOSURES_PER_VARIANT = 100;
 
 class FeatureFlagService {
   constructor() {
     this.cachePrefix = 'feature:';
     this.cacheTTL = 300; // 5 minutes
-    
-    // Default feature flags
-    this.defaultFlags = {
-      // Core Features
-      'credit_line': { enabled: true, rolloutPercentage: 100 },
-      'buy_now_pay_later': { enabled: true, rolloutPercentage: 50 },
-      'rfq_system': { enabled: true, rolloutPercentage: 100 },
-      'real_time_chat': { enabled: true, rolloutPercentage: 100 },
-      
-      // India Specific
-      'gst_einvoice': { enabled: true, regions: ['IN'] },
-      'eway_bill': { enabled: true, regions: ['IN'] },
-      'aadhaar_verification': { enabled: true, regions: ['IN'] },
-      'upi_payments': { enabled: true, regions: ['IN'] },
-      
-      // UAE Specific
-      'vat_compliance': { enabled: true, regions: ['AE'] },
-      'trn_verification': { enabled: true, regions: ['AE'] },
-      
-      // New Features (Gradual Rollout)
-      'ai_recommendations': { enabled: true, rolloutPercentage: 30 },
-      'voice_search': { enabled: false, rolloutPercentage: 0 },
-      'ar_product_view': { enabled: false, rolloutPercentage: 0 },
-      'bulk_order_discount': { enabled: true, rolloutPercentage: 100 },
-      'loyalty_program': { enabled: false, rolloutPercentage: 0 },
-      
-      // Experimental
-      'new_checkout_flow': { enabled: false, rolloutPercentage: 10, allowlist: [] },
-      'enhanced_search': { enabled: true, rolloutPercentage: 50 },
-      'social_sharing': { enabled: true, rolloutPercentage: 100 },
-      
-      // Maintenance
-      'maintenance_mode': { enabled: false },
-      'read_only_mode': { enabled: false },
-    };
+    this.exposureTTL = 86400;
   }
 
   // ===========================================================================
@@ -56,90 +121,104 @@ class FeatureFlagService {
    * Check if a feature is enabled for a user
    */
   async isEnabled(featureName, context = {}) {
+    const { enabled } = await this.evaluate(featureName, context);
+    return enabled;
+  }
+
+  /**
+   * Evaluate a flag for a context: kill switch, switch and schedule first,
+   * then block/allow lists, targeting rules in order (first match wins) and
+   * finally the fallthrough region, tier and rollout gates
+   * @param {string} featureName - Flag name
+   * @param {Object} context - userId, businessId, tenantId, sessionId, region,
+   *   businessType, subscriptionTier, gmv, appVersion, platform, custom: {}
+   * @returns {Promise<{ flag, enabled, variant, payload, reason, ruleId }>}
+   */
+  async evaluate(featureName, context = {}) {
     try {
       const flag = await this.getFlag(featureName);
-      
+
       if (!flag) {
         logger.warn(`Feature flag not found: ${featureName}`);
-        return false;
+        return {
+          flag: featureName, enabled: false, variant: null, payload: null, reason: REASONS.NOT_FOUND, ruleId: null,
+        };
       }
 
-      // Check if globally disabled
-      if (!flag.enabled) {
-        return false;
-      }
+      return this.evaluateFlag(flag, context);
+    } catch (error) {
+      logger.error('Feature flag check error', { featureName, error: error.message });
+      return { flag: featureName, enabled: false, variant: null, payload: null, reason: 'ERROR', ruleId: null };
+    }
+  }
 
-      // Check region restrictions
-      if (flag.regions && flag.regions.length > 0) {
-        if (!context.region || !flag.regions.includes(context.region)) {
-          return false;
-        }
-      }
+  /**
+   * Evaluate a loaded flag (pure: no I/O)
+   */
+  evaluateFlag(flag, context = {}) {
+    const unit = this.getUnitId(context);
+    const off = (reason) => this.serve(flag, flag.offVariant, reason);
+    const now = new Date();
 
-      // Check allowlist
-      if (flag.allowlist && flag.allowlist.length > 0) {
-        if (context.userId && flag.allowlist.includes(context.userId)) {
-          return true;
-        }
-        if (context.businessId && flag.allowlist.includes(context.businessId)) {
-          return true;
-        }
-      }
+    if (flag.killed) return off(REASONS.KILLED);
+    if (!flag.enabled) return off(REASONS.DISABLED);
+    if ((flag.startDate && now < new Date(flag.startDate)) || (flag.endDate && now > new Date(flag.endDate))) {
+      return off(REASONS.SCHEDULED_OFF);
+    }
 
-      // Check blocklist
-      if (flag.blocklist && flag.blocklist.length > 0) {
-        if (context.userId && flag.blocklist.includes(context.userId)) {
-          return false;
-        }
-        if (context.businessId && flag.blocklist.includes(context.businessId)) {
-          return false;
-        }
-      }
+    const ids = [context.userId, context.businessId].filter(Boolean);
+    if (ids.some((id) => flag.blocklist.includes(id))) return off(REASONS.BLOCKED);
+    if (ids.some((id) => flag.allowlist.includes(id))) {
+      return this.allocate(flag, this.defaultSplit(flag), unit, REASONS.ALLOWLISTED);
+    }
 
-      // Check rollout percentage
-      if (flag.rolloutPercentage !== undefined && flag.rolloutPercentage < 100) {
-        const hash = this.getConsistentHash(
-          featureName,
-          context.userId || context.businessId || context.sessionId || Math.random().toString()
-        );
-        return hash < flag.rolloutPercentage;
-      }
+    for (const rule of flag.rules) {
+      if (!rule.conditions.every((condition) => this.matchesCondition(condition, context))) continue;
 
-      // Check subscription tier
-      if (flag.requiredTier) {
-        if (!context.subscriptionTier || 
-            this.getTierLevel(context.subscriptionTier) < this.getTierLevel(flag.requiredTier)) {
-          return false;
-        }
-      }
+      return rule.variant
+        ? this.serve(flag, rule.variant, REASONS.RULE_MATCH, rule.id)
+        : this.allocate(flag, rule.split, unit, REASONS.RULE_MATCH, rule.id);
+    }
 
-      // Check date range
-      if (flag.startDate && new Date() < new Date(flag.startDate)) {
-        return false;
-      }
-      if (flag.endDate && new Date() > new Date(flag.endDate)) {
-        return false;
-      }
+    if (flag.regions.length > 0 && !flag.regions.includes(context.region)) return off(REASONS.TARGETING);
+    if (flag.requiredTier && this.getTierLevel(context.subscriptionTier) < this.getTierLevel(flag.requiredTier)) {
+      return off(REASONS.TARGETING);
+    }
 
-      return true;
-    } catch (error) {
-      logger.error('Feature flag check error', { featureName, error: error.message });
-      return false;
+    if (flag.rolloutPercentage < 100) {
+      if (!unit) return off(REASONS.NO_UNIT);
+      if (this.getConsistentHash(flag.name, unit) >= flag.rolloutPercentage) return off(REASONS.ROLLOUT);
     }
+
+    return this.allocate(flag, this.defaultSplit(flag), unit, REASONS.FALLTHROUGH);
   }
 
   /**
-   * Get multiple feature flags at once
+   * Evaluate several flags (all when names are omitted) for one context
+   * @returns {Promise<Object>} { name: { enabled, variant, payload } }
    */
-  async getEnabledFeatures(context = {}) {
+  async evaluateAll(context = {}, names = null) {
     const flags = await this.getAllFlags();
-    const enabled = {};
+    const result = {};
+
+    for (const name of names || Object.keys(flags)) {
+      const evaluation = flags[name]
+        ? this.evaluateFlag(flags[name], context)
+        : { enabled: false, variant: null, payload: null };
 
-    for (const [name, flag] of Object.entries(flags)) {
-      enabled[name] = await this.isEnabled(name, context);
+      result[name] = { enabled: evaluation.enabled, variant: evaluation.variant, payload: evaluation.payload };
     }
 
-    return enabled;
+    return result;
+  }
+
+  /**
+   * Get multiple feature flags at once
+   */
+  async getEnabledFeatures(context = {}) {
+    const evaluations = await this.evaluateAll(context);
+
+    return Object.fromEntries(Object.entries(evaluations).map(([name, { enabled }]) => [name, enabled]));
   }
 
   /**
@@ -147,11 +226,11 @@ class FeatureFlagService {
    */
   async getFlag(featureName) {
     const cacheKey = `${this.cachePrefix}${featureName}`;
-    
+
     // Try cache first
     const cached = await cache.get(cacheKey);
     if (cached) {
-      return JSON.parse(cached);
+      return cached;
     }
 
     // Try database
@@ -160,14 +239,15 @@ class FeatureFlagService {
     });
 
     if (dbFlag) {
-      await cache.set(cacheKey, JSON.stringify(dbFlag), this.cacheTTL);
-      return dbFlag;
+      const flag = this.normalizeFlag(dbFlag);
+      await cache.set(cacheKey, flag, this.cacheTTL);
+      return flag;
     }
 
     // Fall back to default
-    const defaultFlag = this.defaultFlags[featureName];
+    const defaultFlag = DEFAULT_FLAGS[featureName];
     if (defaultFlag) {
-      return { name: featureName, ...defaultFlag };
+      return this.normalizeFlag({ name: featureName, ...defaultFlag });
     }
 
     return null;
@@ -178,188 +258,570 @@ class FeatureFlagService {
    */
   async getAllFlags() {
     const cacheKey = `${this.cachePrefix}all`;
-    
+
     const cached = await cache.get(cacheKey);
     if (cached) {
-      return JSON.parse(cached);
+      return cached;
     }
 
     // Get from database
     const dbFlags = await prisma.featureFlag.findMany();
-    
+
     // Merge with defaults
-    const flags = { ...this.defaultFlags };
+    const flags = {};
+    Object.entries(DEFAULT_FLAGS).forEach(([name, flag]) => {
+      flags[name] = this.normalizeFlag({ name, ...flag });
+    });
     dbFlags.forEach(flag => {
-      flags[flag.name] = flag;
+      flags[flag.name] = this.normalizeFlag(flag);
     });
 
-    await cache.set(cacheKey, JSON.stringify(flags), this.cacheTTL);
+    await cache.set(cacheKey, flags, this.cacheTTL);
     return flags;
   }
 
   // ===========================================================================
   // FEATURE FLAG MANAGEMENT
+  // Every change bumps the flag version and appends to its audit history
   // ===========================================================================
 
   /**
    * Create or update a feature flag
+   * @param {string} featureName - Flag name
+   * @param {Object} config - Fields to change (see FLAG_FIELDS)
+   * @param {Object} [options] - { actorId, reason, action }
    */
-  async setFlag(featureName, config) {
-    const flag = await prisma.featureFlag.upsert({
-      where: { name: featureName },
-      create: {
-        name: featureName,
-        enabled: config.enabled ?? true,
-        rolloutPercentage: config.rolloutPercentage ?? 100,
-        regions: config.regions || [],
-        allowlist: config.allowlist || [],
-        blocklist: config.blocklist || [],
-        requiredTier: config.requiredTier,
-        startDate: config.startDate,
-        endDate: config.endDate,
-        metadata: config.metadata || {},
-      },
-      update: {
-        enabled: config.enabled,
-        rolloutPercentage: config.rolloutPercentage,
-        regions: config.regions,
-        allowlist: config.allowlist,
-        blocklist: config.blocklist,
-        requiredTier: config.requiredTier,
-        startDate: config.startDate,
-        endDate: config.endDate,
-        metadata: config.metadata,
-        updatedAt: new Date(),
-      },
+  async setFlag(featureName, config, { actorId = null, reason = null, action = null } = {}) {
+    const current = await prisma.featureFlag.findUnique({ where: { name: featureName } });
+    const base = current || { name: featureName, ...DEFAULT_FLAGS[featureName] };
+
+    const definition = this.validateDefinition(this.normalizeFlag({ ...base, ...this.pickFields(config) }));
+    const fields = this.pickFields(definition);
+    const changes = this.diff(current ? this.normalizeFlag(current) : {}, definition);
+
+    if (current && Object.keys(changes).length === 0) {
+      return current;
+    }
+
+    const flag = await prisma.$transaction(async (tx) => {
+      let saved;
+      if (current) {
+        // Version guard: a concurrent change would make this diff stale
+        const { count } = await tx.featureFlag.updateMany({
+          where: { name: featureName, version: current.version },
+          data: { ...fields, version: { increment: 1 }, updatedById: actorId },
+        });
+        if (count === 0) {
+          throw new ConflictError('Feature flag was changed concurrently, reload and retry');
+        }
+        saved = await tx.featureFlag.findUnique({ where: { name: featureName } });
+      } else {
+        saved = await tx.featureFlag.create({
+          data: { name: featureName, ...fields, createdById: actorId, updatedById: actorId },
+        });
+      }
+
+      await this.recordAudit(tx, saved, action || this.inferAction(current, changes), { changes, actorId, reason });
+      return saved;
     });
 
     // Clear cache
     await this.clearCache(featureName);
 
-    logger.info('Feature flag updated', { featureName, config });
+    logger.info('Feature flag updated', { featureName, version: flag.version, fields: Object.keys(changes) });
     return flag;
   }
 
+  /**
+   * Create a feature flag (defaults may be created once to override them)
+   */
+  async createFlag(featureName, definition, options = {}) {
+    const existing = await prisma.featureFlag.findUnique({ where: { name: featureName } });
+    if (existing) {
+      throw new ConflictError('A feature flag with this name already exists');
+    }
+
+    return this.setFlag(featureName, definition, options);
+  }
+
   /**
    * Enable a feature
    */
-  async enableFeature(featureName) {
-    return this.setFlag(featureName, { enabled: true });
+  enableFeature(featureName, options = {}) {
+    return this.setFlag(featureName, { enabled: true }, options);
   }
 
   /**
    * Disable a feature
    */
-  async disableFeature(featureName) {
-    return this.setFlag(featureName, { enabled: false });
+  disableFeature(featureName, options = {}) {
+    return this.setFlag(featureName, { enabled: false }, options);
   }
 
   /**
    * Set rollout percentage
    */
-  async setRolloutPercentage(featureName, percentage) {
-    if (percentage < 0 || percentage > 100) {
-      throw new Error('Percentage must be between 0 and 100');
-    }
-    return this.setFlag(featureName, { rolloutPercentage: percentage });
+  setRolloutPercentage(featureName, percentage, options = {}) {
+    return this.setFlag(featureName, { rolloutPercentage: percentage }, options);
   }
 
   /**
    * Add users/businesses to allowlist
    */
-  async addToAllowlist(featureName, ids) {
+  async addToAllowlist(featureName, ids, options = {}) {
     const flag = await this.getFlag(featureName);
     const allowlist = [...new Set([...(flag?.allowlist || []), ...ids])];
-    return this.setFlag(featureName, { allowlist });
+    return this.setFlag(featureName, { allowlist }, options);
   }
 
   /**
    * Remove from allowlist
    */
-  async removeFromAllowlist(featureName, ids) {
+  async removeFromAllowlist(featureName, ids, options = {}) {
     const flag = await this.getFlag(featureName);
     const allowlist = (flag?.allowlist || []).filter(id => !ids.includes(id));
-    return this.setFlag(featureName, { allowlist });
+    return this.setFlag(featureName, { allowlist }, options);
   }
 
   /**
-   * Delete a feature flag
+   * Kill switch: serve the off variant to everyone, ahead of every other
+   * setting and schedule, until restored
    */
-  async deleteFlag(featureName) {
-    await prisma.featureFlag.delete({
-      where: { name: featureName },
+  killFlag(featureName, { actorId = null, reason = null } = {}) {
+    return this.setKillSwitch(featureName, true, { actorId, reason });
+  }
+
+  /**
+   * Lift the kill switch
+   */
+  restoreFlag(featureName, { actorId = null, reason = null } = {}) {
+    return this.setKillSwitch(featureName, false, { actorId, reason });
+  }
+
+  /**
+   * Delete a feature flag (its audit history is kept)
+   */
+  async deleteFlag(featureName, { actorId = null, reason = null } = {}) {
+    const flag = await this.getStoredFlag(featureName);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.featureFlag.delete({ where: { name: featureName } });
+      await this.recordAudit(tx, { ...flag, version: flag.version + 1 }, 'deleted', { actorId, reason });
     });
+
     await this.clearCache(featureName);
     logger.info('Feature flag deleted', { featureName });
   }
 
+  /**
+   * Audit history of a flag, newest first
+   */
+  async getFlagHistory(featureName, { page = 1, limit = 20 } = {}) {
+    const where = { flagName: featureName };
+
+    const [entries, total] = await Promise.all([
+      prisma.featureFlagAudit.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.featureFlagAudit.count({ where }),
+    ]);
+
+    return { entries, total, page, limit };
+  }
+
+  // ===========================================================================
+  // SCHEDULES
+  // ===========================================================================
+
+  /**
+   * Schedule a flag to be switched on or off
+   * @param {string} featureName - Flag name
+   * @param {Object} data - { action: ENABLE|DISABLE, runAt, reason }
+   */
+  async scheduleChange(featureName, { action, runAt, reason = null }, actorId = null) {
+    if (new Date(runAt) <= new Date()) {
+      throw new BadRequestError('Scheduled time must be in the future');
+    }
+
+    const flag = await this.getStoredFlag(featureName);
+
+    return prisma.$transaction(async (tx) => {
+      const schedule = await tx.featureFlagSchedule.create({
+        data: { flagId: flag.id, action, runAt: new Date(runAt), reason, createdById: actorId },
+      });
+
+      await this.recordAudit(tx, flag, 'scheduled', {
+        actorId,
+        reason,
+        changes: { schedule: { from: null, to: { id: schedule.id, action, runAt: schedule.runAt } } },
+      });
+      return schedule;
+    });
+  }
+
+  /**
+   * Pending and past schedules of a flag
+   */
+  async listSchedules(featureName) {
+    const flag = await this.getStoredFlag(featureName);
+
+    return prisma.featureFlagSchedule.findMany({
+      where: { flagId: flag.id },
+      orderBy: { runAt: 'asc' },
+    });
+  }
+
+  /**
+   * Cancel a pending schedule
+   */
+  async cancelSchedule(featureName, scheduleId, actorId = null) {
+    const flag = await this.getStoredFlag(featureName);
+
+    const { count } = await prisma.featureFlagSchedule.updateMany({
+      where: { id: scheduleId, flagId: flag.id, status: 'PENDING' },
+      data: { status: 'CANCELLED' },
+    });
+    if (count === 0) {
+      throw new NotFoundError('Pending schedule');
+    }
+
+    await this.recordAudit(prisma, flag, 'schedule_cancelled', {
+      actorId,
+      changes: { schedule: { from: { id: scheduleId }, to: null } },
+    });
+  }
+
+  /**
+   * Apply schedules that are due (scheduled job). A killed flag still
+   * receives the change but keeps serving its off variant until restored.
+   * @returns {Promise<{ applied: number }>}
+   */
+  async applyDueSchedules() {
+    const due = await prisma.featureFlagSchedule.findMany({
+      where: { status: 'PENDING', runAt: { lte: new Date() } },
+      include: { flag: { select: { name: true } } },
+      orderBy: { runAt: 'asc' },
+      take: 100,
+    });
+
+    let applied = 0;
+    for (const schedule of due) {
+      // Claim first so overlapping runs apply each schedule once
+      const { count } = await prisma.featureFlagSchedule.updateMany({
+        where: { id: schedule.id, status: 'PENDING' },
+        data: { status: 'APPLIED', appliedAt: new Date() },
+      });
+      if (count === 0) continue;
+
+      await this.setFlag(schedule.flag.name, { enabled: schedule.action === 'ENABLE' }, {
+        actorId: schedule.createdById,
+        reason: schedule.reason || `Scheduled ${schedule.action.toLowerCase()}`,
+        action: 'schedule_applied',
+      });
+      applied++;
+    }
+
+    return { applied };
+  }
+
   // ===========================================================================
   // A/B TESTING
   // ===========================================================================
 
   /**
-   * Get A/B test variant for a user
+   * Get A/B test variant for a user, recording the exposure in the flag's
+   * running experiment
    */
   async getVariant(experimentName, context = {}) {
-    const experiment = await this.getFlag(experimentName);
-    
-    if (!experiment || !experiment.enabled) {
+    const evaluation = await this.evaluate(experimentName, context);
+
+    if (!evaluation.variant) {
       return 'control';
     }
 
-    const variants = experiment.variants || ['control', 'variant_a'];
-    const hash = this.getConsistentHash(
-      experimentName,
-      context.userId || context.sessionId
-    );
+    await this.recordExposure(experimentName, evaluation, context);
+    return evaluation.variant;
+  }
+
+  /**
+   * Create an experiment on a multivariate flag
+   * @param {Object} data - { name, flagName, hypothesis, metric, controlVariant, confidenceLevel }
+   */
+  async createExperiment(data, actorId = null) {
+    const flag = this.normalizeFlag(await this.getStoredFlag(data.flagName));
+    const keys = flag.variants.map(({ key }) => key);
+
+    if (keys.length < 2) {
+      throw new BadRequestError('Experiments need a flag with at least two variants');
+    }
+    if (!keys.includes(data.controlVariant)) {
+      throw new BadRequestError(`Control variant must be one of: ${keys.join(', ')}`);
+    }
+
+    const existing = await prisma.experiment.findUnique({ where: { name: data.name } });
+    if (existing) {
+      throw new ConflictError('An experiment with this name already exists');
+    }
+
+    return prisma.experiment.create({
+      data: {
+        name: data.name,
+        flagName: data.flagName,
+        hypothesis: data.hypothesis,
+        metric: data.metric || 'default',
+        controlVariant: data.controlVariant,
+        confidenceLevel: data.confidenceLevel || 0.95,
+        createdById: actorId,
+      },
+    });
+  }
+
+  /**
+   * List experiments
+   */
+  listExperiments({ status, flagName } = {}) {
+    return prisma.experiment.findMany({
+      where: { status, flagName },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * Start exposing units to an experiment (one running experiment per flag)
+   */
+  async startExperiment(name, actorId = null) {
+    const experiment = await this.getExperiment(name);
+
+    if (experiment.status !== 'DRAFT') {
+      throw new BadRequestError('Only draft experiments can be started');
+    }
+
+    const running = await prisma.experiment.findFirst({
+      where: { flagName: experiment.flagName, status: 'RUNNING' },
+    });
+    if (running) {
+      throw new ConflictError(`Experiment ${running.name} is already running on this flag`);
+    }
+
+    const started = await prisma.experiment.update({
+      where: { name },
+      data: { status: 'RUNNING', startedAt: new Date() },
+    });
 
-    const variantIndex = Math.floor((hash / 100) * variants.length);
-    return variants[variantIndex];
+    await this.recordExperimentAudit(started, 'experiment_started', actorId);
+    return started;
   }
 
   /**
-   * Track A/B test conversion
+   * Stop an experiment, recording the decision
+   */
+  async stopExperiment(name, { decision = null } = {}, actorId = null) {
+    const experiment = await this.getExperiment(name);
+
+    if (experiment.status !== 'RUNNING') {
+      throw new BadRequestError('Only running experiments can be stopped');
+    }
+
+    const stopped = await prisma.experiment.update({
+      where: { name },
+      data: { status: 'STOPPED', stoppedAt: new Date(), decision },
+    });
+
+    await this.recordExperimentAudit(stopped, 'experiment_stopped', actorId, decision);
+    return stopped;
+  }
+
+  /**
+   * Get an experiment
+   */
+  async getExperiment(name) {
+    const experiment = await prisma.experiment.findUnique({ where: { name } });
+
+    if (!experiment) {
+      throw new NotFoundError('Experiment');
+    }
+    return experiment;
+  }
+
+  /**
+   * Track A/B test conversion. Attributed to the variant the unit was first
+   * exposed to; conversions of units never exposed are not counted.
    */
   async trackConversion(experimentName, variant, context = {}) {
-    await prisma.experimentConversion.create({
+    const unitId = this.getUnitId(context);
+    const exposure = unitId && await prisma.experimentImpression.findUnique({
+      where: { experimentName_unitId: { experimentName, unitId } },
+    });
+
+    if (!exposure) {
+      logger.debug('Conversion without exposure ignored', { experimentName, unitId });
+      return null;
+    }
+
+    if (variant && variant !== exposure.variant) {
+      logger.warn('Conversion reported for another variant than exposed', {
+        experimentName,
+        reported: variant,
+        exposed: exposure.variant,
+      });
+    }
+
+    return prisma.experimentConversion.create({
       data: {
         experimentName,
-        variant,
+        variant: exposure.variant,
+        unitId,
         userId: context.userId,
         businessId: context.businessId,
         conversionType: context.type || 'default',
+        value: context.value,
         metadata: context.metadata || {},
       },
     });
   }
 
   /**
-   * Get experiment results
+   * Get experiment results: conversion rate per variant with its confidence
+   * interval, difference from control with a two-proportion z-test, and a
+   * sample ratio mismatch check of exposures against the configured split
    */
   async getExperimentResults(experimentName) {
-    const conversions = await prisma.experimentConversion.groupBy({
-      by: ['variant'],
-      where: { experimentName },
-      _count: true,
-    });
+    const experiment = await this.getExperiment(experimentName);
+    const flag = await this.getFlag(experiment.flagName);
+    const { confidenceLevel, controlVariant, metric } = experiment;
 
-    const impressions = await prisma.experimentImpression.groupBy({
-      by: ['variant'],
-      where: { experimentName },
-      _count: true,
-    });
+    const [exposureGroups, converters, revenue] = await Promise.all([
+      prisma.experimentImpression.groupBy({
+        by: ['ruleId', 'variant'],
+        where: { experimentName },
+        _count: true,
+      }),
+      // Units converting more than once count once for the rate
+      prisma.experimentConversion.findMany({
+        where: { experimentName, conversionType: metric, unitId: { not: null } },
+        distinct: ['unitId'],
+        select: { variant: true, unitId: true },
+      }),
+      prisma.experimentConversion.groupBy({
+        by: ['variant'],
+        where: { experimentName, conversionType: metric },
+        _sum: { value: true },
+      }),
+    ]);
+
+    const variantKeys = [...new Set([
+      ...(flag ? flag.variants.map(({ key }) => key) : []),
+      ...exposureGroups.map(({ variant }) => variant),
+    ])];
+    const count = (rows, variant) => rows.filter((row) => row.variant === variant)
+      .reduce((sum, row) => sum + (row._count ?? 1), 0);
+
+    const arms = variantKeys.map((variant) => ({
+      variant,
+      exposures: count(exposureGroups, variant),
+      conversions: count(converters, variant),
+      value: Number(revenue.find((row) => row.variant === variant)?._sum.value || 0),
+    }));
+    const control = arms.find(({ variant }) => variant === controlVariant);
 
-    const results = {};
-    impressions.forEach(imp => {
-      const conv = conversions.find(c => c.variant === imp.variant);
-      results[imp.variant] = {
-        impressions: imp._count,
-        conversions: conv?._count || 0,
-        conversionRate: conv ? (conv._count / imp._count * 100).toFixed(2) : 0,
+    const variants = arms.map((arm) => {
+      const interval = wilsonInterval(arm.conversions, arm.exposures, confidenceLevel);
+      const result = {
+        variant: arm.variant,
+        isControl: arm.variant === controlVariant,
+        exposures: arm.exposures,
+        conversions: arm.conversions,
+        conversionRate: interval.rate,
+        confidenceInterval: { lower: interval.lower, upper: interval.upper },
+        value: arm.value,
+        valuePerExposure: arm.exposures ? arm.value / arm.exposures : 0,
       };
+
+      if (!result.isControl && control) {
+        const test = twoProportionTest(
+          { successes: control.conversions, trials: control.exposures },
+          { successes: arm.conversions, trials: arm.exposures },
+          confidenceLevel,
+        );
+        result.comparison = {
+          ...test,
+          significant: test.pValue !== null && test.pValue < 1 - confidenceLevel,
+        };
+      }
+      return result;
+    });
+
+    const sampleRatioMismatch = this.checkSampleRatio(flag, exposureGroups);
+    const warnings = [];
+    if (sampleRatioMismatch.detected) {
+      warnings.push('Sample ratio mismatch: exposures do not follow the configured split, results are unreliable');
+    }
+    if (arms.some(({ exposures }) => exposures < MIN_EXPOSURES_PER_VARIANT)) {
+      warnings.push(`Fewer than ${MIN_EXPOSURES_PER_VARIANT} exposures in some variants`);
+    }
+
+    return {
+      experiment: {
+        name: experiment.name,
+        flagName: experiment.flagName,
+        status: experiment.status,
+        metric,
+        controlVariant,
+        confidenceLevel,
+        startedAt: experiment.startedAt,
+        stoppedAt: experiment.stoppedAt,
+      },
+      totals: {
+        exposures: arms.reduce((sum, arm) => sum + arm.exposures, 0),
+        conversions: arms.reduce((sum, arm) => sum + arm.conversions, 0),
+      },
+      variants,
+      sampleRatioMismatch,
+      warnings,
+    };
+  }
+
+  /**
+   * Chi-square test of exposures against the split each allocation used.
+   * Exposures are grouped by the rule that allocated them; rules that force
+   * one variant are not randomized and are left out. Independent allocations
+   * are combined by summing statistics and degrees of freedom.
+   */
+  checkSampleRatio(flag, exposureGroups) {
+    let statistic = 0;
+    let degreesOfFreedom = 0;
+
+    const allocations = new Map();
+    exposureGroups.forEach((group) => {
+      const key = group.ruleId || null;
+      allocations.set(key, [...(allocations.get(key) || []), group]);
     });
 
-    return results;
+    for (const [ruleId, groups] of allocations) {
+      const rule = ruleId && flag?.rules.find(({ id }) => id === ruleId);
+      const split = ruleId ? rule?.split : flag && this.defaultSplit(flag);
+      if (!split) continue;
+
+      const keys = Object.keys(split).filter((key) => split[key] > 0);
+      if (keys.length < 2) continue;
+
+      const test = chiSquareGoodnessOfFit(
+        keys.map((key) => groups.find(({ variant }) => variant === key)?._count || 0),
+        keys.map((key) => split[key]),
+      );
+      statistic += test.statistic;
+      degreesOfFreedom += test.degreesOfFreedom;
+    }
+
+    if (degreesOfFreedom === 0) {
+      return { statistic: 0, degreesOfFreedom: 0, pValue: 1, detected: false, threshold: SRM_THRESHOLD };
+    }
+
+    const pValue = chiSquareSurvival(statistic, degreesOfFreedom);
+    return { statistic, degreesOfFreedom, pValue, detected: pValue < SRM_THRESHOLD, threshold: SRM_THRESHOLD };
   }
 
   // ===========================================================================
@@ -367,25 +829,408 @@ class FeatureFlagService {
   // ===========================================================================
 
   /**
-   * Get consistent hash for rollout
+   * Build the evaluation context of a request. Targeting attributes come
+   * from the authenticated account; clients may only add custom attributes.
    */
-  getConsistentHash(featureName, identifier) {
-    const str = `${featureName}:${identifier}`;
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
+  async buildContext(req, customAttributes = {}) {
+    const business = req.business || null;
+    const businessAttributes = business ? await this.getBusinessAttributes(business.id) : {};
+
+    return {
+      userId: req.user?.id,
+      businessId: business?.id,
+      tenantId: req.tenantId || null,
+      sessionId: req.sessionID || req.headers['x-session-id'],
+      region: req.user?.country || 'IN',
+      businessType: business?.businessType,
+      subscriptionTier: businessAttributes.subscriptionTier || req.user?.subscriptionTier,
+      gmv: businessAttributes.gmv,
+      appVersion: req.headers['x-app-version'],
+      platform: req.headers['x-platform'],
+      custom: customAttributes,
+    };
+  }
+
+  /**
+   * Subscription tier and GMV of a business (cached)
+   */
+  getBusinessAttributes(businessId) {
+    return cache.getOrSet(`${this.cachePrefix}business:${businessId}`, async () => {
+      const business = await prisma.business.findUnique({
+        where: { id: businessId },
+        select: {
+          totalRevenue: true,
+          subscription: { select: { status: true, plan: { select: { slug: true } } } },
+        },
+      });
+
+      return {
+        gmv: Number(business?.totalRevenue || 0),
+        subscriptionTier: business?.subscription?.status === 'ACTIVE' ? business.subscription.plan.slug : 'free',
+      };
+    }, this.cacheTTL);
+  }
+
+  /**
+   * Whether one rule condition holds for the context
+   */
+  matchesCondition({ attribute, operator, value }, context) {
+    const actual = this.resolveAttribute(context, attribute);
+
+    if (operator === 'exists') return (actual !== undefined && actual !== null) === (value !== false);
+    if (actual === undefined || actual === null) return operator === 'neq' || operator === 'notIn';
+
+    const rank = (input) => {
+      const ranking = RANKED_ATTRIBUTES[attribute];
+      return ranking ? ranking.indexOf(String(input).toLowerCase()) : Number(input);
+    };
+    const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+    switch (operator) {
+      case 'eq': return same(actual, value);
+      case 'neq': return !same(actual, value);
+      case 'in': return value.some((item) => same(actual, item));
+      case 'notIn': return !value.some((item) => same(actual, item));
+      case 'gt': return rank(actual) > rank(value);
+      case 'gte': return rank(actual) >= rank(value);
+      case 'lt': return rank(actual) < rank(value);
+      case 'lte': return rank(actual) <= rank(value);
+      case 'between': return rank(actual) >= rank(value[0]) && rank(actual) <= rank(value[1]);
+      case 'contains': return String(actual).toLowerCase().includes(String(value).toLowerCase());
+      case 'startsWith': return String(actual).toLowerCase().startsWith(String(value).toLowerCase());
+      case 'versionEq': return this.compareVersions(actual, value) === 0;
+      case 'versionGt': return this.compareVersions(actual, value) > 0;
+      case 'versionGte': return this.compareVersions(actual, value) >= 0;
+      case 'versionLt': return this.compareVersions(actual, value) < 0;
+      case 'versionLte': return this.compareVersions(actual, value) <= 0;
+      default: return false;
+    }
+  }
+
+  /**
+   * Read a targeting attribute: built-ins, gmvBand (derived from gmv) and
+   * custom.<name>
+   */
+  resolveAttribute(context, attribute) {
+    if (attribute.startsWith('custom.')) {
+      return context.custom?.[attribute.slice('custom.'.length)];
+    }
+    if (attribute === 'gmvBand' && !context.gmvBand) {
+      return context.gmv === undefined || context.gmv === null ? undefined : this.getGmvBand(context.gmv);
+    }
+    return context[attribute];
+  }
+
+  /**
+   * GMV band of an amount
+   */
+  getGmvBand(gmv) {
+    return GMV_BANDS.find(({ below }) => Number(gmv) < below).band;
+  }
+
+  /**
+   * Compare dotted numeric versions (1.10.0 > 1.9.2); pre-release suffixes are ignored
+   */
+  compareVersions(a, b) {
+    const parts = (version) => String(version).replace(/^v/i, '').split(/[-+]/)[0].split('.')
+      .map((n) => parseInt(n, 10) || 0);
+    const left = parts(a);
+    const right = parts(b);
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      const difference = (left[i] || 0) - (right[i] || 0);
+      if (difference !== 0) return Math.sign(difference);
+    }
+    return 0;
+  }
+
+  /**
+   * Serve a variant by key
+   */
+  serve(flag, variantKey, reason, ruleId = null) {
+    const variant = flag.variants.find(({ key }) => key === variantKey);
+
+    return {
+      flag: flag.name,
+      enabled: variantKey !== flag.offVariant,
+      variant: variantKey,
+      payload: variant ? variant.payload ?? null : null,
+      reason,
+      ruleId,
+    };
+  }
+
+  /**
+   * Assign a variant from a weighted split by the unit's bucket. A split with
+   * a single weighted variant needs no unit.
+   */
+  allocate(flag, split, unit, reason, ruleId = null) {
+    const weighted = Object.entries(split).filter(([, weight]) => weight > 0);
+
+    if (weighted.length === 0) return this.serve(flag, flag.offVariant, reason, ruleId);
+    if (weighted.length === 1) return this.serve(flag, weighted[0][0], reason, ruleId);
+    if (!unit) return this.serve(flag, flag.offVariant, REASONS.NO_UNIT, ruleId);
+
+    // Salted apart from the rollout bucket so rollout and split are independent
+    const total = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+    const point = (this.getConsistentHash(`${flag.name}:variant`, unit) / 100) * total;
+
+    let cumulative = 0;
+    for (const [key, weight] of weighted) {
+      cumulative += weight;
+      if (point < cumulative) return this.serve(flag, key, reason, ruleId);
     }
-    return Math.abs(hash) % 100;
+    return this.serve(flag, weighted[weighted.length - 1][0], reason, ruleId);
+  }
+
+  /**
+   * Split used for everyone not matched by a rule: the variant weights
+   */
+  defaultSplit(flag) {
+    return Object.fromEntries(flag.variants.map(({ key, weight }) => [key, weight]));
+  }
+
+  /**
+   * Stable identity an allocation sticks to
+   */
+  getUnitId(context) {
+    return context.userId || context.businessId || context.sessionId || null;
+  }
+
+  /**
+   * Record a unit's first exposure to the running experiment on a flag
+   */
+  async recordExposure(flagName, evaluation, context) {
+    const unitId = this.getUnitId(context);
+    if (!unitId || ![REASONS.RULE_MATCH, REASONS.FALLTHROUGH, REASONS.ALLOWLISTED].includes(evaluation.reason)) {
+      return;
+    }
+
+    const experiment = await cache.getOrSet(
+      `${this.cachePrefix}experiment:${flagName}`,
+      () => prisma.experiment.findFirst({ where: { flagName, status: 'RUNNING' }, select: { name: true } })
+        .then((running) => running || { name: null }),
+      this.cacheTTL,
+    );
+    if (!experiment.name) return;
+
+    // Skip the write for units already recorded recently
+    const seen = await cache.incr(`${this.cachePrefix}exposed:${experiment.name}:${unitId}`, this.exposureTTL);
+    if (seen > 1) return;
+
+    try {
+      await prisma.experimentImpression.createMany({
+        data: [{
+          experimentName: experiment.name,
+          variant: evaluation.variant,
+          unitId,
+          ruleId: evaluation.ruleId,
+          userId: context.userId,
+          businessId: context.businessId,
+          sessionId: context.sessionId,
+        }],
+        skipDuplicates: true,
+      });
+    } catch (error) {
+      logger.error('Experiment exposure not recorded', { experiment: experiment.name, error: error.message });
+    }
+  }
+
+  /**
+   * Fill defaults of a stored or default flag definition
+   */
+  normalizeFlag(flag) {
+    const variants = Array.isArray(flag.variants) && flag.variants.length > 0 ? flag.variants : BOOLEAN_VARIANTS;
+
+    return {
+      ...flag,
+      enabled: flag.enabled ?? true,
+      variants,
+      offVariant: flag.offVariant || (variants === BOOLEAN_VARIANTS ? 'off' : variants[0].key),
+      rules: (flag.rules || []).map((rule, index) => ({ ...rule, id: rule.id || `rule_${index + 1}` })),
+      rolloutPercentage: flag.rolloutPercentage ?? 100,
+      startDate: flag.startDate ? new Date(flag.startDate) : null,
+      endDate: flag.endDate ? new Date(flag.endDate) : null,
+      regions: flag.regions || [],
+      allowlist: flag.allowlist || [],
+      blocklist: flag.blocklist || [],
+      killed: flag.killed || false,
+    };
+  }
+
+  /**
+   * Reject definitions the engine could not serve
+   */
+  validateDefinition(flag) {
+    const keys = flag.variants.map(({ key }) => key);
+
+    if (new Set(keys).size !== keys.length) {
+      throw new BadRequestError('Variant keys must be unique');
+    }
+    if (flag.variants.some(({ weight }) => !Number.isInteger(weight) || weight < 0)) {
+      throw new BadRequestError('Variant weights must be non-negative integers');
+    }
+    if (!keys.includes(flag.offVariant)) {
+      throw new BadRequestError(`Off variant must be one of: ${keys.join(', ')}`);
+    }
+    if (flag.rolloutPercentage < 0 || flag.rolloutPercentage > 100) {
+      throw new BadRequestError('Percentage must be between 0 and 100');
+    }
+
+    const ruleIds = new Set();
+    flag.rules.forEach((rule) => {
+      if (ruleIds.has(rule.id)) {
+        throw new BadRequestError(`Duplicate rule id: ${rule.id}`);
+      }
+      ruleIds.add(rule.id);
+
+      const served = rule.variant ? [rule.variant] : Object.keys(rule.split || {});
+      if (served.length === 0 || served.some((key) => !keys.includes(key))) {
+        throw new BadRequestError(`Rule ${rule.id} must serve a variant or a split of: ${keys.join(', ')}`);
+      }
+      (rule.conditions || []).forEach(({ operator }) => {
+        if (!OPERATORS.includes(operator)) {
+          throw new BadRequestError(`Rule ${rule.id} uses unknown operator: ${operator}`);
+        }
+      });
+      rule.conditions = rule.conditions || [];
+    });
+
+    return flag;
+  }
+
+  /**
+   * Definition fields present in an object
+   */
+  pickFields(source) {
+    return Object.fromEntries(FLAG_FIELDS.filter((field) => source[field] !== undefined)
+      .map((field) => [field, source[field]]));
+  }
+
+  /**
+   * Changed definition fields: { field: { from, to } }
+   */
+  diff(before, after) {
+    const changes = {};
+    FLAG_FIELDS.forEach((field) => {
+      const from = before[field] === undefined ? null : before[field];
+      const to = after[field] === undefined ? null : after[field];
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Audit action of a change made through setFlag
+   */
+  inferAction(current, changes) {
+    if (!current) return 'created';
+    const fields = Object.keys(changes);
+    if (fields.length === 1 && fields[0] === 'enabled') {
+      return changes.enabled.to ? 'enabled' : 'disabled';
+    }
+    return 'updated';
+  }
+
+  /**
+   * Append an audit entry (client may be a transaction)
+   */
+  recordAudit(client, flag, action, { changes = null, actorId = null, reason = null } = {}) {
+    return client.featureFlagAudit.create({
+      data: {
+        flagName: flag.name,
+        version: flag.version,
+        action,
+        changes,
+        snapshot: { ...this.pickFields(flag), killed: flag.killed || false },
+        actorId,
+        reason,
+      },
+    });
+  }
+
+  /**
+   * Audit experiment lifecycle on its flag's history
+   */
+  async recordExperimentAudit(experiment, action, actorId, reason = null) {
+    const flag = await prisma.featureFlag.findUnique({ where: { name: experiment.flagName } });
+
+    if (flag) {
+      await this.recordAudit(prisma, flag, action, {
+        actorId,
+        reason,
+        changes: { experiment: { from: null, to: { name: experiment.name, status: experiment.status } } },
+      });
+    }
+    await cache.del(`${this.cachePrefix}experiment:${experiment.flagName}`);
+  }
+
+  /**
+   * Flip the kill switch
+   */
+  async setKillSwitch(featureName, killed, { actorId, reason }) {
+    if (killed && !reason) {
+      throw new BadRequestError('A reason is required to kill a feature flag');
+    }
+
+    const current = await this.getStoredFlag(featureName, actorId);
+    if (current.killed === killed) {
+      return current;
+    }
+
+    const flag = await prisma.$transaction(async (tx) => {
+      const saved = await tx.featureFlag.update({
+        where: { name: featureName },
+        data: killed
+          ? { killed, killedAt: new Date(), killedById: actorId, killReason: reason, version: { increment: 1 } }
+          : { killed, killedAt: null, killedById: null, killReason: null, version: { increment: 1 } },
+      });
+
+      await this.recordAudit(tx, saved, killed ? 'killed' : 'restored', {
+        actorId,
+        reason,
+        changes: { killed: { from: !killed, to: killed } },
+      });
+      return saved;
+    });
+
+    await this.clearCache(featureName);
+    logger[killed ? 'warn' : 'info'](`Feature flag ${killed ? 'killed' : 'restored'}`, {
+      featureName,
+      actorId,
+      reason,
+    });
+    return flag;
+  }
+
+  /**
+   * Stored flag or NotFoundError (persisting a default on first use)
+   */
+  async getStoredFlag(featureName, actorId = null) {
+    const flag = await prisma.featureFlag.findUnique({ where: { name: featureName } });
+    if (flag) return flag;
+
+    if (DEFAULT_FLAGS[featureName]) {
+      return this.setFlag(featureName, {}, { actorId, reason: 'Persisted default', action: 'created' });
+    }
+    throw new NotFoundError('Feature flag');
+  }
+
+  /**
+   * Consistent bucket in [0, 100) of a unit for a flag
+   */
+  getConsistentHash(featureName, identifier) {
+    const digest = crypto.createHash('sha256').update(`${featureName}:${identifier}`).digest();
+    return (digest.readUInt32BE(0) / 0x100000000) * 100;
   }
 
   /**
    * Get tier level for comparison
    */
   getTierLevel(tier) {
-    const levels = { 'free': 0, 'starter': 1, 'professional': 2, 'enterprise': 3 };
-    return levels[tier?.toLowerCase()] || 0;
+    return Math.max(TIERS.indexOf(String(tier).toLowerCase()), 0);
   }
 
   /**
@@ -400,10 +1245,7 @@ class FeatureFlagService {
    * Clear all feature flag cache
    */
   async clearAllCache() {
-    const keys = await cache.keys(`${this.cachePrefix}*`);
-    if (keys.length > 0) {
-      await cache.del(...keys);
-    }
+    await cache.delPattern(`${this.cachePrefix}*`);
   }
 
   // ===========================================================================
@@ -415,20 +1257,19 @@ class FeatureFlagService {
    */
   middleware() {
     return async (req, res, next) => {
-      const context = {
-        userId: req.user?.id,
-        businessId: req.user?.businessId,
-        sessionId: req.sessionID,
-        region: req.user?.country || 'IN',
-        subscriptionTier: req.user?.subscriptionTier,
-      };
+      try {
+        const context = await this.buildContext(req);
 
-      req.features = {
-        isEnabled: (name) => this.isEnabled(name, context),
-        getVariant: (name) => this.getVariant(name, context),
-      };
+        req.features = {
+          isEnabled: (name) => this.isEnabled(name, context),
+          getVariant: (name) => this.getVariant(name, context),
+          evaluate: (name) => this.evaluate(name, context),
+        };
 
-      next();
+        next();
+      } catch (error) {
+        next(error);
+      }
     };
   }
 
@@ -437,24 +1278,21 @@ class FeatureFlagService {
    */
   requireFeature(featureName) {
     return async (req, res, next) => {
-      const context = {
-        userId: req.user?.id,
-        businessId: req.user?.businessId,
-        region: req.user?.country,
-        subscriptionTier: req.user?.subscriptionTier,
-      };
+      try {
+        const enabled = await this.isEnabled(featureName, await this.buildContext(req));
 
-      const enabled = await this.isEnabled(featureName, context);
-      
-      if (!enabled) {
-        return res.status(403).json({
-          success: false,
-          error: 'Feature not available',
-          message: `The feature '${featureName}' is not enabled for your account.`,
-        });
-      }
+        if (!enabled) {
+          return res.status(403).json({
+            success: false,
+            error: 'Feature not available',
+            message: `The feature '${featureName}' is not enabled for your account.`,
+          });
+        }
 
-      next();
+        next();
+      } catch (error) {
+        next(error);
+      }
     };
   }
 }
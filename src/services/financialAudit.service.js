@@ -1,11 +1,13 @@
 // =============================================================================
 // AIRAVAT B2B MARKETPLACE - FINANCIAL AUDIT SERVICE
-// Comprehensive audit logging for financial operations
+// Comprehensive audit logging for financial operations. Entries form a hash
+// chain: each integrityHash covers the entry and its predecessor's hash.
 // =============================================================================
 
 const { prisma } = require('../config/database');
 const logger = require('../config/logger');
 const crypto = require('crypto');
+const { GENESIS_HASH, hashAuditEntry } = require('../utils/hashChain');
 
 // =============================================================================
 // CONFIGURATION
@@ -32,6 +34,7 @@ const AUDIT_CONFIG = {
     WARNING: 'WARNING',
     CRITICAL: 'CRITICAL',
   },
+  chainLockKey: 7230001, // pg advisory lock serialising appends to the chain
 };
 
 // =============================================================================
@@ -57,23 +60,25 @@ exports.log = async (params) => {
   } = params;
 
   try {
-    // Mask sensitive fields
-    const sanitizedDetails = maskSensitiveData(details);
-    const sanitizedMetadata = maskSensitiveData(metadata);
-
-    // Generate integrity hash
-    const integrityHash = generateIntegrityHash({
-      category,
-      action,
-      entityType,
-      entityId,
-      userId,
-      details: sanitizedDetails,
-      timestamp: new Date().toISOString(),
-    });
-
-    const auditEntry = await prisma.financialAuditLog.create({
-      data: {
+    // Mask sensitive fields; round-trip through JSON so the hash covers
+    // exactly what the Json columns will return
+    const sanitizedDetails = JSON.parse(JSON.stringify(maskSensitiveData(details)));
+    const sanitizedMetadata = JSON.parse(JSON.stringify(maskSensitiveData(metadata)));
+
+    // Append to the hash chain; the advisory lock keeps sequence and
+    // previousHash consistent across concurrent writers
+    const auditEntry = await prisma.$transaction(async (tx) => {
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(${AUDIT_CONFIG.chainLockKey})`;
+
+      const last = await tx.financialAuditLog.findFirst({
+        where: { sequence: { not: null } },
+        orderBy: { sequence: 'desc' },
+        select: { sequence: true, integrityHash: true },
+      });
+
+      const entry = {
+        sequence: last ? last.sequence + 1 : 1,
+        previousHash: last ? last.integrityHash : GENESIS_HASH,
         category,
         action,
         entityType,
@@ -83,11 +88,17 @@ exports.log = async (params) => {
         severity,
         details: sanitizedDetails,
         metadata: sanitizedMetadata,
-        ipAddress,
-        userAgent,
-        integrityHash,
         createdAt: new Date(),
-      },
+      };
+
+      return tx.financialAuditLog.create({
+        data: {
+          ...entry,
+          ipAddress,
+          userAgent,
+          integrityHash: hashAuditEntry(entry),
+        },
+      });
     });
 
     // Log to application logger as well
@@ -478,24 +489,32 @@ exports.verifyIntegrity = async (auditLogId) => {
     return { valid: false, reason: 'Log not found' };
   }
 
-  const computedHash = generateIntegrityHash({
-    category: log.category,
-    action: log.action,
-    entityType: log.entityType,
-    entityId: log.entityId,
-    userId: log.userId,
-    details: log.details,
-    timestamp: log.createdAt.toISOString(),
-  });
-
+  const computedHash = computeHash(log);
   const isValid = computedHash === log.integrityHash;
 
+  // Chained entries must also link to their predecessor
+  let linked = true;
+  if (log.sequence) {
+    const previous = log.sequence > 1
+      ? await prisma.financialAuditLog.findUnique({
+        where: { sequence: log.sequence - 1 },
+        select: { integrityHash: true },
+      })
+      : { integrityHash: GENESIS_HASH };
+    linked = Boolean(previous) && previous.integrityHash === log.previousHash;
+  }
+
+  let reason = 'Integrity verified';
+  if (!isValid) reason = 'Hash mismatch - possible tampering';
+  else if (!linked) reason = 'Chain broken - predecessor missing or altered';
+
   return {
-    valid: isValid,
+    valid: isValid && linked,
     auditLogId,
+    sequence: log.sequence,
     storedHash: log.integrityHash,
     computedHash,
-    reason: isValid ? 'Integrity verified' : 'Hash mismatch - possible tampering',
+    reason,
   };
 };
 
@@ -510,17 +529,6 @@ exports.verifyBulkIntegrity = async (startDate, endDate) => {
         lte: new Date(endDate),
       },
     },
-    select: {
-      id: true,
-      category: true,
-      action: true,
-      entityType: true,
-      entityId: true,
-      userId: true,
-      details: true,
-      createdAt: true,
-      integrityHash: true,
-    },
   });
 
   let valid = 0;
@@ -528,17 +536,7 @@ exports.verifyBulkIntegrity = async (startDate, endDate) => {
   const invalidLogs = [];
 
   for (const log of logs) {
-    const computedHash = generateIntegrityHash({
-      category: log.category,
-      action: log.action,
-      entityType: log.entityType,
-      entityId: log.entityId,
-      userId: log.userId,
-      details: log.details,
-      timestamp: log.createdAt.toISOString(),
-    });
-
-    if (computedHash === log.integrityHash) {
+    if (computeHash(log) === log.integrityHash) {
       valid++;
     } else {
       invalid++;
@@ -631,7 +629,27 @@ function maskString(str) {
 }
 
 /**
- * Generate integrity hash for audit entry
+ * Recompute an entry's hash: chained for sequenced entries, standalone for
+ * rows written before the chain was introduced
+ */
+function computeHash(log) {
+  if (log.sequence) {
+    return hashAuditEntry(log);
+  }
+
+  return generateIntegrityHash({
+    category: log.category,
+    action: log.action,
+    entityType: log.entityType,
+    entityId: log.entityId,
+    userId: log.userId,
+    details: log.details,
+    timestamp: log.createdAt.toISOString(),
+  });
+}
+
+/**
+ * Generate standalone integrity hash (pre-chain entries)
  */
 function generateIntegrityHash(data) {
   const payload = JSON.stringify(data, Object.keys(data).sort());
@@ -0,0 +1,693 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - GST RETURN SERVICE
+// GSTR-1 (offline tool JSON) and GSTR-3B computation from platform invoices
+// and credit/debit notes, with a validation report of rejected rows
+// =============================================================================
+
+const dayjs = require('dayjs');
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { roundTo } = require('../utils/helpers');
+const gstService = require('./gst.service');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const GSTR1_VERSION = 'GST3.1.6';
+
+// Rates accepted by the GST portal
+const VALID_GST_RATES = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28];
+
+// Inter-state invoices to unregistered buyers above this value are reported in B2CL
+const B2CL_THRESHOLD = 100000;
+
+// Table 13 document natures
+const DOC_NATURE = {
+  INVOICE: 1,
+  DEBIT_NOTE: 4,
+  CREDIT_NOTE: 5,
+};
+
+const DEFAULT_UQC = 'NOS';
+
+const TAX_HEADS = ['txval', 'iamt', 'camt', 'samt', 'csamt'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Return period in portal format: MMYYYY
+ */
+const getReturnPeriod = (month, year) => `${String(month).padStart(2, '0')}${year}`;
+
+const getPeriodRange = (month, year) => ({
+  startDate: new Date(year, month - 1, 1),
+  endDate: new Date(year, month, 0, 23, 59, 59, 999),
+});
+
+const formatReturnDate = (date) => dayjs(date).format('DD-MM-YYYY');
+
+// Item serial used by the offline tool: rate * 100 + 1 (18% -> 1801)
+const getItemNumber = (rate) => Math.round(rate * 100) + 1;
+
+const emptyTotals = () => ({ txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 });
+
+const addTotals = (target, source, sign = 1) => {
+  TAX_HEADS.forEach((head) => {
+    target[head] += sign * (source[head] || 0);
+  });
+  return target;
+};
+
+const roundTotals = (totals) => TAX_HEADS.reduce((rounded, head) => {
+  if (totals[head] !== undefined) rounded[head] = roundTo(totals[head]);
+  return rounded;
+}, { ...totals });
+
+/**
+ * Place of supply state code: registered buyers by GSTIN, others by delivery state
+ */
+const resolvePlaceOfSupply = (buyerGstin, state) => {
+  if (buyerGstin && gstService.isValidGSTINFormat(buyerGstin)) {
+    return buyerGstin.substring(0, 2);
+  }
+  return gstService.getStateCode(state);
+};
+
+/**
+ * Split a tax amount into IGST or CGST + SGST
+ */
+const splitTax = (taxableValue, taxAmount, isInterState) => ({
+  txval: taxableValue,
+  iamt: isInterState ? taxAmount : 0,
+  camt: isInterState ? 0 : taxAmount / 2,
+  samt: isInterState ? 0 : taxAmount / 2,
+  csamt: 0,
+});
+
+/**
+ * Group item lines by rate into offline-tool itms[]
+ */
+const buildItemsByRate = (items) => {
+  const byRate = new Map();
+
+  items.forEach((item) => {
+    if (!byRate.has(item.rate)) byRate.set(item.rate, emptyTotals());
+    addTotals(byRate.get(item.rate), item);
+  });
+
+  return [...byRate.entries()].map(([rate, totals]) => {
+    const { txval, iamt, camt, samt, csamt } = roundTotals(totals);
+    const itmDet = { txval, rt: rate, iamt, csamt };
+    if (camt || samt) Object.assign(itmDet, { camt, samt });
+    return { num: getItemNumber(rate), itm_det: itmDet };
+  });
+};
+
+// =============================================================================
+// DOCUMENT COLLECTION
+// =============================================================================
+
+/**
+ * Load outward invoices for a seller in the period, normalised for the return
+ * E-invoice numbers take precedence over the order invoice number
+ */
+const getOutwardInvoices = async (businessId, startDate, endDate, sellerStateCode) => {
+  const orders = await prisma.order.findMany({
+    where: {
+      sellerId: businessId,
+      invoiceNumber: { not: null },
+      invoiceGeneratedAt: { gte: startDate, lte: endDate },
+    },
+    include: {
+      items: true,
+      buyer: { select: { businessName: true, gstin: true, state: true } },
+    },
+    orderBy: { invoiceGeneratedAt: 'asc' },
+  });
+
+  const eInvoices = await prisma.eInvoice.findMany({
+    where: { orderId: { in: orders.map((order) => order.id) } },
+  });
+  const eInvoiceByOrder = new Map(eInvoices.map((eInvoice) => [eInvoice.orderId, eInvoice]));
+
+  return orders.map((order) => {
+    const eInvoice = eInvoiceByOrder.get(order.id);
+    const buyerGstin = order.buyer.gstin || null;
+    const pos = resolvePlaceOfSupply(buyerGstin, order.shippingAddress?.state || order.buyer.state);
+    const isInterState = pos !== sellerStateCode;
+
+    return {
+      kind: 'INVOICE',
+      id: order.id,
+      number: eInvoice ? eInvoice.invoiceNumber : order.invoiceNumber,
+      date: eInvoice ? eInvoice.invoiceDate : order.invoiceGeneratedAt,
+      cancelled: order.status === 'CANCELLED' || eInvoice?.status === 'CANCELLED',
+      buyerGstin,
+      buyerName: order.buyer.businessName,
+      pos,
+      isInterState,
+      value: parseFloat(order.totalAmount),
+      items: order.items.map((item) => {
+        const taxableValue = parseFloat(item.unitPrice) * item.quantity - parseFloat(item.discountAmount || 0);
+        return {
+          hsn: item.hsnCode,
+          description: item.productName,
+          quantity: item.quantity,
+          rate: parseFloat(item.taxRate),
+          ...splitTax(taxableValue, parseFloat(item.taxAmount), isInterState),
+        };
+      }),
+    };
+  });
+};
+
+/**
+ * Load credit/debit notes issued by a seller in the period
+ */
+const getIssuedNotes = async (businessId, startDate, endDate) => {
+  const notes = await prisma.creditNote.findMany({
+    where: {
+      sellerId: businessId,
+      issuedAt: { gte: startDate, lte: endDate },
+    },
+    include: {
+      items: true,
+      buyer: { select: { businessName: true, state: true } },
+    },
+    orderBy: { issuedAt: 'asc' },
+  });
+
+  return notes.map((note) => ({
+    kind: note.noteType === 'DEBIT' ? 'DEBIT_NOTE' : 'CREDIT_NOTE',
+    id: note.id,
+    number: note.noteNumber,
+    date: note.issuedAt,
+    cancelled: note.status === 'CANCELLED',
+    buyerGstin: note.buyerGstin,
+    buyerName: note.buyer.businessName,
+    pos: resolvePlaceOfSupply(note.buyerGstin, note.placeOfSupply || note.buyer.state),
+    isInterState: note.isInterState,
+    value: parseFloat(note.totalValue),
+    originalInvoiceNumber: note.originalInvoiceNumber,
+    items: note.items.map((item) => ({
+      hsn: item.hsnCode,
+      description: item.productName,
+      quantity: item.quantity,
+      rate: parseFloat(item.gstRate),
+      txval: parseFloat(item.taxableValue),
+      iamt: parseFloat(item.igstAmount),
+      camt: parseFloat(item.cgstAmount),
+      samt: parseFloat(item.sgstAmount),
+      csamt: 0,
+    })),
+  }));
+};
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Check a document against portal rules; returns the reasons it would be rejected
+ */
+const validateDocument = (doc, sellerGstin) => {
+  const errors = [];
+
+  if (!doc.items.length) {
+    errors.push('Document has no line items');
+  }
+  if (!doc.pos) {
+    errors.push('Place of supply could not be determined');
+  }
+  if (doc.buyerGstin) {
+    if (!gstService.isValidGSTINFormat(doc.buyerGstin)) {
+      errors.push(`Invalid recipient GSTIN ${doc.buyerGstin}`);
+    } else if (doc.buyerGstin === sellerGstin) {
+      errors.push('Recipient GSTIN is the same as supplier GSTIN');
+    }
+  }
+  if (!doc.number || doc.number.length > 16) {
+    errors.push('Document number must be 1-16 characters');
+  }
+
+  doc.items
+    .filter((item) => !VALID_GST_RATES.includes(item.rate))
+    .forEach((item) => errors.push(`Invalid GST rate ${item.rate}% on ${item.description}`));
+
+  return errors;
+};
+
+// =============================================================================
+// GSTR-1
+// =============================================================================
+
+/**
+ * Build Table 13 (documents issued) from every document number in the period,
+ * grouped into series by the non-numeric prefix
+ */
+const buildDocumentsIssued = (documents) => {
+  const natures = new Map();
+
+  documents.forEach((doc) => {
+    const nature = DOC_NATURE[doc.kind];
+    const series = doc.number.replace(/\d+$/, '');
+    if (!natures.has(nature)) natures.set(nature, new Map());
+    const seriesMap = natures.get(nature);
+    if (!seriesMap.has(series)) seriesMap.set(series, []);
+    seriesMap.get(series).push(doc);
+  });
+
+  return {
+    doc_det: [...natures.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([docNum, seriesMap]) => ({
+        doc_num: docNum,
+        docs: [...seriesMap.values()].map((docs, index) => {
+          const numbers = docs.map((doc) => doc.number).sort();
+          const cancelled = docs.filter((doc) => doc.cancelled).length;
+          return {
+            num: index + 1,
+            from: numbers[0],
+            to: numbers[numbers.length - 1],
+            totnum: docs.length,
+            cancel: cancelled,
+            net_issue: docs.length - cancelled,
+          };
+        }),
+      })),
+  };
+};
+
+/**
+ * Assemble GSTR-1 sections from normalised documents
+ */
+const buildGSTR1 = (sellerGstin, period, invoices, notes) => {
+  const validation = { accepted: 0, rejected: [], warnings: [] };
+  const b2b = new Map();
+  const b2cl = new Map();
+  const b2cs = new Map();
+  const cdnr = new Map();
+  const hsn = new Map();
+
+  const reject = (doc, section, reasons) => {
+    validation.rejected.push({
+      section,
+      documentType: doc.kind,
+      documentNumber: doc.number,
+      documentDate: doc.date ? formatReturnDate(doc.date) : null,
+      recipient: doc.buyerGstin || doc.buyerName,
+      reasons,
+    });
+  };
+
+  const addToB2CS = (doc, sign) => {
+    doc.items.forEach((item) => {
+      const key = `${doc.isInterState ? 'INTER' : 'INTRA'}|${doc.pos}|${item.rate}`;
+      if (!b2cs.has(key)) {
+        b2cs.set(key, {
+          sply_ty: doc.isInterState ? 'INTER' : 'INTRA',
+          pos: doc.pos,
+          typ: 'OE',
+          rt: item.rate,
+          ...emptyTotals(),
+        });
+      }
+      addTotals(b2cs.get(key), item, sign);
+    });
+  };
+
+  const addToHSN = (doc, sign) => {
+    doc.items.forEach((item) => {
+      if (!item.hsn) {
+        validation.warnings.push({
+          section: 'hsn',
+          documentNumber: doc.number,
+          message: `Missing HSN code on ${item.description}; line left out of HSN summary`,
+        });
+        return;
+      }
+      const key = `${item.hsn}|${item.rate}`;
+      if (!hsn.has(key)) {
+        hsn.set(key, {
+          hsn_sc: item.hsn,
+          desc: item.description,
+          uqc: DEFAULT_UQC,
+          rt: item.rate,
+          qty: 0,
+          ...emptyTotals(),
+        });
+      }
+      const row = hsn.get(key);
+      row.qty += sign * (item.quantity || 0);
+      addTotals(row, item, sign);
+    });
+  };
+
+  // Invoices: B2B, B2CL, B2CS
+  invoices.filter((doc) => !doc.cancelled).forEach((doc) => {
+    const section = doc.buyerGstin ? 'b2b'
+      : (doc.isInterState && doc.value > B2CL_THRESHOLD ? 'b2cl' : 'b2cs');
+    const errors = validateDocument(doc, sellerGstin);
+    if (errors.length) {
+      reject(doc, section, errors);
+      return;
+    }
+
+    validation.accepted += 1;
+    addToHSN(doc, 1);
+
+    if (section === 'b2cs') {
+      addToB2CS(doc, 1);
+      return;
+    }
+
+    const inv = {
+      inum: doc.number,
+      idt: formatReturnDate(doc.date),
+      val: roundTo(doc.value),
+      pos: doc.pos,
+      itms: buildItemsByRate(doc.items),
+    };
+
+    if (section === 'b2b') {
+      if (!b2b.has(doc.buyerGstin)) b2b.set(doc.buyerGstin, []);
+      b2b.get(doc.buyerGstin).push({ ...inv, rchrg: 'N', inv_typ: 'R' });
+    } else {
+      if (!b2cl.has(doc.pos)) b2cl.set(doc.pos, []);
+      b2cl.get(doc.pos).push({ inum: inv.inum, idt: inv.idt, val: inv.val, itms: inv.itms });
+    }
+  });
+
+  // Notes: CDNR for registered buyers, netted into B2CS otherwise
+  notes.filter((doc) => !doc.cancelled).forEach((doc) => {
+    const sign = doc.kind === 'DEBIT_NOTE' ? 1 : -1;
+    const errors = validateDocument(doc, sellerGstin);
+    if (errors.length) {
+      reject(doc, doc.buyerGstin ? 'cdnr' : 'b2cs', errors);
+      return;
+    }
+
+    validation.accepted += 1;
+    addToHSN(doc, sign);
+
+    if (!doc.buyerGstin) {
+      addToB2CS(doc, sign);
+      return;
+    }
+
+    if (!cdnr.has(doc.buyerGstin)) cdnr.set(doc.buyerGstin, []);
+    cdnr.get(doc.buyerGstin).push({
+      ntty: doc.kind === 'DEBIT_NOTE' ? 'D' : 'C',
+      nt_num: doc.number,
+      nt_dt: formatReturnDate(doc.date),
+      val: roundTo(doc.value),
+      pos: doc.pos,
+      rchrg: 'N',
+      inv_typ: 'R',
+      itms: buildItemsByRate(doc.items),
+    });
+  });
+
+  const gstr1 = {
+    gstin: sellerGstin,
+    fp: period,
+    version: GSTR1_VERSION,
+    hash: 'hash',
+    b2b: [...b2b.entries()].map(([ctin, inv]) => ({ ctin, inv })),
+    b2cl: [...b2cl.entries()].map(([pos, inv]) => ({ pos, inv })),
+    b2cs: [...b2cs.values()].map(roundTotals),
+    cdnr: [...cdnr.entries()].map(([ctin, nt]) => ({ ctin, nt })),
+    hsn: {
+      data: [...hsn.values()].map((row, index) => ({ num: index + 1, ...roundTotals(row), qty: roundTo(row.qty) })),
+    },
+    doc_issue: buildDocumentsIssued([...invoices, ...notes]),
+  };
+
+  return {
+    gstr1,
+    validation: {
+      summary: {
+        documents: invoices.length + notes.length,
+        cancelled: [...invoices, ...notes].filter((doc) => doc.cancelled).length,
+        accepted: validation.accepted,
+        rejected: validation.rejected.length,
+        warnings: validation.warnings.length,
+      },
+      rejected: validation.rejected,
+      warnings: validation.warnings,
+    },
+  };
+};
+
+/**
+ * Load the filing business and its GSTIN
+ */
+const getFiler = async (businessId) => {
+  const business = await prisma.business.findUnique({
+    where: { id: businessId },
+    select: { id: true, businessName: true, gstin: true },
+  });
+
+  if (!business) {
+    throw new NotFoundError('Business');
+  }
+  if (!business.gstin || !gstService.isValidGSTINFormat(business.gstin)) {
+    throw new BadRequestError('A valid GSTIN is required to prepare GST returns');
+  }
+
+  return business;
+};
+
+/**
+ * Generate GSTR-1 JSON and validation report for a month
+ */
+const generateGSTR1 = async (businessId, month, year) => {
+  const business = await getFiler(businessId);
+  const { startDate, endDate } = getPeriodRange(month, year);
+  const sellerStateCode = business.gstin.substring(0, 2);
+
+  const [invoices, notes] = await Promise.all([
+    getOutwardInvoices(businessId, startDate, endDate, sellerStateCode),
+    getIssuedNotes(businessId, startDate, endDate),
+  ]);
+
+  const result = buildGSTR1(business.gstin, getReturnPeriod(month, year), invoices, notes);
+
+  logger.info('GSTR-1 generated', {
+    businessId,
+    period: result.gstr1.fp,
+    ...result.validation.summary,
+  });
+
+  return result;
+};
+
+// =============================================================================
+// GSTR-3B
+// =============================================================================
+
+/**
+ * Utilise ITC against output tax in the statutory order (Sec 49, Rule 88A):
+ * IGST credit first (IGST, then CGST, then SGST), then CGST and SGST credit
+ * against their own head and IGST. CGST and SGST never cross-utilise.
+ */
+const setOffLiability = (liability, credit) => {
+  const payable = {
+    igst: Math.max(liability.igst, 0),
+    cgst: Math.max(liability.cgst, 0),
+    sgst: Math.max(liability.sgst, 0),
+    cess: Math.max(liability.cess, 0),
+  };
+  const balance = { ...credit };
+  const utilised = [];
+
+  const utilise = (from, to) => {
+    const amount = roundTo(Math.min(balance[from], payable[to]));
+    if (amount <= 0) return;
+    balance[from] = roundTo(balance[from] - amount);
+    payable[to] = roundTo(payable[to] - amount);
+    utilised.push({ from, to, amount });
+  };
+
+  utilise('igst', 'igst');
+  utilise('igst', 'cgst');
+  utilise('igst', 'sgst');
+  utilise('cgst', 'cgst');
+  utilise('cgst', 'igst');
+  utilise('sgst', 'sgst');
+  utilise('sgst', 'igst');
+  utilise('cess', 'cess');
+
+  return {
+    utilised,
+    cashPayable: payable,
+    closingCredit: balance,
+  };
+};
+
+/**
+ * Eligible ITC from invoices raised on the business by other sellers, net of
+ * credit notes received and plus debit notes received, in the period
+ */
+const getInwardCredit = async (businessId, startDate, endDate) => {
+  const [purchases, notes] = await Promise.all([
+    prisma.order.findMany({
+      where: {
+        buyerId: businessId,
+        invoiceNumber: { not: null },
+        invoiceGeneratedAt: { gte: startDate, lte: endDate },
+        status: { not: 'CANCELLED' },
+      },
+      include: {
+        items: true,
+        seller: { select: { gstin: true } },
+        buyer: { select: { gstin: true } },
+      },
+    }),
+    prisma.creditNote.findMany({
+      where: {
+        buyerId: businessId,
+        status: 'ISSUED',
+        issuedAt: { gte: startDate, lte: endDate },
+      },
+    }),
+  ]);
+
+  const credit = emptyTotals();
+
+  purchases
+    .filter((order) => order.seller.gstin && order.buyer.gstin)
+    .forEach((order) => {
+      const isInterState = gstService.isInterState(order.seller.gstin, order.buyer.gstin);
+      order.items.forEach((item) => {
+        addTotals(credit, splitTax(0, parseFloat(item.taxAmount), isInterState));
+      });
+    });
+
+  notes
+    .filter((note) => note.sellerGstin && note.buyerGstin)
+    .forEach((note) => {
+      addTotals(credit, {
+        iamt: parseFloat(note.igstAmount),
+        camt: parseFloat(note.cgstAmount),
+        samt: parseFloat(note.sgstAmount),
+      }, note.noteType === 'DEBIT' ? 1 : -1);
+    });
+
+  return credit;
+};
+
+/**
+ * Compute GSTR-3B (tables 3.1, 3.2, 4 and tax payable) for a month
+ */
+const generateGSTR3B = async (businessId, month, year) => {
+  const { gstr1, validation } = await generateGSTR1(businessId, month, year);
+  const { startDate, endDate } = getPeriodRange(month, year);
+
+  // 3.1 Outward supplies, from the accepted GSTR-1 rows
+  const taxable = emptyTotals();
+  const nilRated = emptyTotals();
+  const unregisteredInterState = new Map();
+
+  const addOutward = (rate, totals, sign = 1) => {
+    addTotals(rate > 0 ? taxable : nilRated, totals, sign);
+  };
+
+  const addUnregistered = (pos, totals) => {
+    if (!unregisteredInterState.has(pos)) unregisteredInterState.set(pos, { pos, txval: 0, iamt: 0 });
+    const row = unregisteredInterState.get(pos);
+    row.txval += totals.txval;
+    row.iamt += totals.iamt;
+  };
+
+  gstr1.b2b.forEach(({ inv }) => inv.forEach(({ itms }) => itms.forEach(({ itm_det: det }) => {
+    addOutward(det.rt, det);
+  })));
+  gstr1.b2cl.forEach(({ pos, inv }) => inv.forEach(({ itms }) => itms.forEach(({ itm_det: det }) => {
+    addOutward(det.rt, det);
+    addUnregistered(pos, det);
+  })));
+  gstr1.b2cs.forEach((row) => {
+    addOutward(row.rt, row);
+    if (row.sply_ty === 'INTER') addUnregistered(row.pos, row);
+  });
+  gstr1.cdnr.forEach(({ nt }) => nt.forEach(({ ntty, itms }) => itms.forEach(({ itm_det: det }) => {
+    addOutward(det.rt, det, ntty === 'D' ? 1 : -1);
+  })));
+
+  // 4 Eligible ITC
+  const itc = await getInwardCredit(businessId, startDate, endDate);
+  const itcRow = roundTotals({ iamt: itc.iamt, camt: itc.camt, samt: itc.samt, csamt: itc.csamt });
+  const zeroItc = { iamt: 0, camt: 0, samt: 0, csamt: 0 };
+
+  const outward = roundTotals(taxable);
+
+  const gstr3b = {
+    gstin: gstr1.gstin,
+    ret_period: gstr1.fp,
+    sup_details: {
+      osup_det: outward,
+      osup_zero: roundTotals(emptyTotals()),
+      osup_nil_exmp: { txval: roundTo(nilRated.txval) },
+      isup_rev: roundTotals(emptyTotals()),
+      osup_nongst: { txval: 0 },
+    },
+    inter_sup: {
+      unreg_details: [...unregisteredInterState.values()].map((row) => ({
+        pos: row.pos,
+        txval: roundTo(row.txval),
+        iamt: roundTo(row.iamt),
+      })),
+      comp_details: [],
+      uin_details: [],
+    },
+    itc_elg: {
+      itc_avl: [
+        { ty: 'IMPG', ...zeroItc },
+        { ty: 'IMPS', ...zeroItc },
+        { ty: 'ISRC', ...zeroItc },
+        { ty: 'ISD', ...zeroItc },
+        { ty: 'OTH', ...itcRow },
+      ],
+      itc_rev: [
+        { ty: 'RUL', ...zeroItc },
+        { ty: 'OTH', ...zeroItc },
+      ],
+      itc_net: itcRow,
+      itc_inelg: [
+        { ty: 'RUL', ...zeroItc },
+        { ty: 'OTH', ...zeroItc },
+      ],
+    },
+  };
+
+  const computation = setOffLiability(
+    { igst: outward.iamt, cgst: outward.camt, sgst: outward.samt, cess: outward.csamt },
+    { igst: itcRow.iamt, cgst: itcRow.camt, sgst: itcRow.samt, cess: itcRow.csamt },
+  );
+
+  return {
+    gstr3b,
+    computation: {
+      outputTax: { igst: outward.iamt, cgst: outward.camt, sgst: outward.samt, cess: outward.csamt },
+      inputTaxCredit: { igst: itcRow.iamt, cgst: itcRow.camt, sgst: itcRow.samt, cess: itcRow.csamt },
+      ...computation,
+    },
+    validation,
+  };
+};
+
+module.exports = {
+  VALID_GST_RATES,
+  B2CL_THRESHOLD,
+  getReturnPeriod,
+  validateDocument,
+  buildGSTR1,
+  generateGSTR1,
+  setOffLiability,
+  generateGSTR3B,
+};
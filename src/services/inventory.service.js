@@ -7,6 +7,9 @@ const { cache } = require('../config/redis');
 const logger = require('../config/logger');
 const { BadRequestError } = require('../utils/errors');
 
+// InventoryLog type for each kind of stock update
+const LOG_TYPE = { set: 'adjustment', add: 'in', subtract: 'out' };
+
 class InventoryService {
   /**
    * Get variant stock
@@ -40,7 +43,7 @@ class InventoryService {
    * Update stock quantity
    */
   async updateStock(variantId, quantity, type = 'set', options = {}) {
-    const { reason, referenceType, referenceId, updatedBy } = options;
+    const { reason, reasonCode = 'MANUAL', referenceId, updatedBy } = options;
     
     const variant = await prisma.productVariant.findUnique({
       where: { id: variantId },
@@ -78,13 +81,13 @@ class InventoryService {
       prisma.inventoryLog.create({
         data: {
           variantId,
-          previousQuantity: variant.stockQuantity,
-          newQuantity,
-          change: newQuantity - variant.stockQuantity,
-          type: type.toUpperCase(),
+          type: LOG_TYPE[type],
+          quantity: type === 'set' ? newQuantity - variant.stockQuantity : quantity,
+          previousQty: variant.stockQuantity,
+          newQty: newQuantity,
           reason,
-          referenceType,
-          referenceId,
+          reasonCode,
+          reference: referenceId,
           createdBy: updatedBy,
         },
       }),
@@ -0,0 +1,895 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - INVENTORY LOT SERVICE
+// Lot / batch / expiry tracking, FEFO allocation and recall tracing
+// =============================================================================
+
+const { prisma } = require('../config/database');
+const { inventory } = require('../config/redis');
+const logger = require('../config/logger');
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+  InsufficientStockError,
+} = require('../utils/errors');
+const notificationService = require('./notification.service');
+const { emitToBusiness } = require('./socket.service');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const LOT_STATUS = {
+  AVAILABLE: 'AVAILABLE',
+  QUARANTINED: 'QUARANTINED',
+  EXPIRED: 'EXPIRED',
+  RECALLED: 'RECALLED',
+  DEPLETED: 'DEPLETED',
+};
+
+const ALLOCATION_STATUS = { RESERVED: 'RESERVED', SHIPPED: 'SHIPPED', RELEASED: 'RELEASED' };
+
+/**
+ * Where a lot stands against its product's shelf-life rules
+ */
+const EXPIRY_STATE = {
+  OK: 'OK',
+  NEAR_EXPIRY: 'NEAR_EXPIRY', // Sellable, flagged to the seller
+  BLOCKED: 'BLOCKED', // Less remaining shelf life than the product allows to sell
+  EXPIRED: 'EXPIRED',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_NEAR_EXPIRY_DAYS = 30;
+const NEAR_EXPIRY_HORIZON_DAYS = 365; // Longest window the daily sweep looks ahead
+const MAX_CLAIM_ATTEMPTS = 3;
+const REMOVABLE_LOT_STATUSES = [LOT_STATUS.AVAILABLE, LOT_STATUS.QUARANTINED, LOT_STATUS.EXPIRED];
+const ACTIVE_WAREHOUSE = 'ACTIVE';
+
+// =============================================================================
+// SHELF LIFE
+// =============================================================================
+
+const shelfLifePolicy = (product = {}) => ({
+  minShelfLifeDays: product?.minShelfLifeDays || 0,
+  nearExpiryDays: product?.nearExpiryDays ?? DEFAULT_NEAR_EXPIRY_DAYS,
+});
+
+const daysToExpiry = (lot, now = new Date()) => (
+  lot.expiryDate ? Math.floor((new Date(lot.expiryDate).getTime() - now.getTime()) / DAY_MS) : null
+);
+
+const getExpiryState = (lot, policy, now = new Date()) => {
+  const days = daysToExpiry(lot, now);
+  if (days === null) return EXPIRY_STATE.OK;
+  if (new Date(lot.expiryDate) <= now) return EXPIRY_STATE.EXPIRED;
+  if (days < policy.minShelfLifeDays) return EXPIRY_STATE.BLOCKED;
+  if (days <= policy.nearExpiryDays) return EXPIRY_STATE.NEAR_EXPIRY;
+  return EXPIRY_STATE.OK;
+};
+
+/**
+ * Lots that may be allocated: available, in an active warehouse and with
+ * at least the product's minimum remaining shelf life
+ */
+const sellableLotWhere = (variantId, policy, now = new Date()) => ({
+  variantId,
+  status: LOT_STATUS.AVAILABLE,
+  warehouse: { status: ACTIVE_WAREHOUSE },
+  OR: [
+    { expiryDate: null },
+    { expiryDate: { gt: new Date(now.getTime() + policy.minShelfLifeDays * DAY_MS) } },
+  ],
+});
+
+// First-expiry-first-out; lots without expiry go last, oldest receipt first
+const FEFO_ORDER = [{ expiryDate: { sort: 'asc', nulls: 'last' } }, { receivedAt: 'asc' }];
+
+const sameInstant = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+/**
+ * Lots emptied by a removal or shipment leave the FEFO queue
+ */
+const markDepleted = (client, lotIds) => client.inventoryLot.updateMany({
+  where: { id: { in: lotIds }, quantity: 0, status: LOT_STATUS.AVAILABLE },
+  data: { status: LOT_STATUS.DEPLETED },
+});
+
+const toLotLine = (lot, quantity) => ({
+  lotNumber: lot.lotNumber,
+  expiryDate: lot.expiryDate,
+  quantity,
+  warehouseId: lot.warehouseId,
+});
+
+// =============================================================================
+// RECEIPTS
+// =============================================================================
+
+/**
+ * Lot a returned order line shipped from, when it shipped from exactly one
+ */
+const resolveReturnedLot = async (client, orderItemId) => {
+  const allocations = await client.lotAllocation.findMany({
+    where: { orderItemId, status: ALLOCATION_STATUS.SHIPPED },
+    include: { lot: { select: { lotNumber: true } } },
+  });
+
+  const lotNumbers = [...new Set(allocations.map((allocation) => allocation.lot.lotNumber))];
+  if (lotNumbers.length > 1) {
+    throw new BadRequestError(`Order line shipped from lots ${lotNumbers.join(', ')}; name the lot being restocked`);
+  }
+  return lotNumbers[0];
+};
+
+/**
+ * Receive units into a lot, creating it on first receipt. Units returned to a
+ * lot received elsewhere inherit its manufacture and expiry dates.
+ */
+const receiveLot = async (data, client = prisma) => {
+  const { warehouseId, variantId, quantity } = data;
+
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new BadRequestError('Quantity must be a positive whole number');
+  }
+
+  const lotNumber = data.lotNumber || (data.orderItemId ? await resolveReturnedLot(client, data.orderItemId) : null);
+  if (!lotNumber) {
+    throw new BadRequestError('Lot number is required for lot-tracked products');
+  }
+
+  const warehouse = await client.warehouse.findUnique({ where: { id: warehouseId } });
+  if (!warehouse) throw new NotFoundError('Warehouse');
+
+  const variant = await client.productVariant.findUnique({ where: { id: variantId }, include: { product: true } });
+  if (!variant) throw new NotFoundError('Product variant');
+  if (!variant.product.lotTracked) {
+    throw new BadRequestError(`${variant.product.name} is not lot-tracked`);
+  }
+
+  const known = await client.inventoryLot.findFirst({
+    where: { businessId: warehouse.businessId, variantId, lotNumber },
+    orderBy: { receivedAt: 'asc' },
+  });
+
+  const expiryDate = data.expiryDate ? new Date(data.expiryDate) : known?.expiryDate ?? null;
+  const manufacturedAt = data.manufacturedAt ? new Date(data.manufacturedAt) : known?.manufacturedAt ?? null;
+
+  if (known && !sameInstant(known.expiryDate, expiryDate)) {
+    throw new ConflictError(`Lot ${lotNumber} was already received with a different expiry date`);
+  }
+  if (known?.status === LOT_STATUS.RECALLED) {
+    throw new BadRequestError(`Lot ${lotNumber} has been recalled and cannot be restocked`);
+  }
+  if (expiryDate && expiryDate <= new Date()) {
+    throw new BadRequestError(`Lot ${lotNumber} has already expired`);
+  }
+  if (expiryDate && manufacturedAt && manufacturedAt >= expiryDate) {
+    throw new BadRequestError('Manufacture date must be before the expiry date');
+  }
+
+  const lot = await client.inventoryLot.upsert({
+    where: { warehouseId_variantId_lotNumber: { warehouseId, variantId, lotNumber } },
+    create: {
+      businessId: warehouse.businessId,
+      warehouseId,
+      variantId,
+      lotNumber,
+      manufacturedAt,
+      expiryDate,
+      quantity,
+      receivedQuantity: quantity,
+      unitCost: data.unitCost,
+      supplierReference: data.supplierReference,
+      status: known?.status === LOT_STATUS.QUARANTINED ? LOT_STATUS.QUARANTINED : LOT_STATUS.AVAILABLE,
+    },
+    update: {
+      quantity: { increment: quantity },
+      receivedQuantity: { increment: quantity },
+    },
+  });
+
+  if (lot.status === LOT_STATUS.DEPLETED) {
+    await client.inventoryLot.update({ where: { id: lot.id }, data: { status: LOT_STATUS.AVAILABLE } });
+    lot.status = LOT_STATUS.AVAILABLE;
+  }
+
+  await client.warehouseInventory.upsert({
+    where: { warehouseId_variantId: { warehouseId, variantId } },
+    create: { warehouseId, variantId, quantity, reservedQuantity: 0 },
+    update: { quantity: { increment: quantity } },
+  });
+
+  logger.info('Inventory lot received', { lotId: lot.id, warehouseId, variantId, lotNumber, quantity });
+  return lot;
+};
+
+/**
+ * Remove unreserved units from one lot, guarded against a concurrent
+ * removal or reservation having changed it since it was read
+ */
+const takeFromLot = async (client, lot, wanted) => {
+  let current = lot;
+
+  for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+    const take = Math.min(current.quantity - current.reservedQuantity, wanted);
+    if (take <= 0 || !REMOVABLE_LOT_STATUSES.includes(current.status)) return 0;
+
+    const { count } = await client.inventoryLot.updateMany({
+      where: {
+        id: current.id,
+        status: { in: REMOVABLE_LOT_STATUSES },
+        quantity: current.quantity,
+        reservedQuantity: current.reservedQuantity,
+      },
+      data: { quantity: { decrement: take } },
+    });
+    if (count === 1) return take;
+
+    current = await client.inventoryLot.findUnique({ where: { id: lot.id } });
+    if (!current) return 0;
+  }
+
+  return 0;
+};
+
+/**
+ * Take unreserved units out of a warehouse, from a given lot or FEFO.
+ * Returns the lot lines removed so they can be received elsewhere.
+ */
+const removeFromLots = async (data, client = prisma) => {
+  const { warehouseId, variantId, quantity, lotNumber } = data;
+
+  const lots = await client.inventoryLot.findMany({
+    where: {
+      warehouseId,
+      variantId,
+      ...(lotNumber ? { lotNumber } : {}),
+      status: { in: REMOVABLE_LOT_STATUSES },
+    },
+    orderBy: FEFO_ORDER,
+  });
+  if (lotNumber && lots.length === 0) throw new NotFoundError('Lot');
+
+  const free = lots.reduce((sum, lot) => sum + lot.quantity - lot.reservedQuantity, 0);
+  if (free < quantity) {
+    throw new BadRequestError(`Insufficient unreserved stock in lots. Available: ${free}`);
+  }
+
+  const lines = [];
+  let remaining = quantity;
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+
+    const taken = await takeFromLot(client, lot, remaining);
+    if (taken === 0) continue;
+
+    lines.push({ lot, quantity: taken });
+    remaining -= taken;
+  }
+
+  if (remaining > 0) {
+    for (const { lot, quantity: taken } of lines) {
+      await client.inventoryLot.update({ where: { id: lot.id }, data: { quantity: { increment: taken } } });
+    }
+    throw new ConflictError('Lot stock changed while it was being removed. Please retry.');
+  }
+
+  const removed = lines.map(({ lot, quantity: taken }) => ({
+    ...toLotLine(lot, taken),
+    manufacturedAt: lot.manufacturedAt,
+    unitCost: lot.unitCost,
+  }));
+  await markDepleted(client, lots.map((lot) => lot.id));
+
+  await client.warehouseInventory.update({
+    where: { warehouseId_variantId: { warehouseId, variantId } },
+    data: { quantity: { decrement: quantity } },
+  });
+
+  return removed;
+};
+
+// =============================================================================
+// FEFO ALLOCATION
+// =============================================================================
+
+/**
+ * Reserve units on one lot, guarded against a concurrent reservation
+ * having changed it since it was read
+ */
+const claimLot = async (client, lot, wanted) => {
+  let current = lot;
+
+  for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+    const take = Math.min(current.quantity - current.reservedQuantity, wanted);
+    if (take <= 0 || current.status !== LOT_STATUS.AVAILABLE) return 0;
+
+    const { count } = await client.inventoryLot.updateMany({
+      where: { id: current.id, status: LOT_STATUS.AVAILABLE, reservedQuantity: current.reservedQuantity },
+      data: { reservedQuantity: { increment: take } },
+    });
+    if (count === 1) return take;
+
+    current = await client.inventoryLot.findUnique({ where: { id: lot.id } });
+    if (!current) return 0;
+  }
+
+  return 0;
+};
+
+/**
+ * Allocate an order line first-expiry-first-out across warehouses.
+ * Lots under the product's minimum shelf life are never picked; lots in the
+ * near-expiry window are picked (they expire first) and flagged.
+ */
+const allocate = async (client, { variantId, quantity, orderId, orderItemId, product, excludeLotIds = [] }) => {
+  const policy = shelfLifePolicy(product);
+  const now = new Date();
+
+  const lots = await client.inventoryLot.findMany({
+    where: {
+      ...sellableLotWhere(variantId, policy, now),
+      ...(excludeLotIds.length > 0 ? { id: { notIn: excludeLotIds } } : {}),
+    },
+    orderBy: FEFO_ORDER,
+  });
+
+  const lines = [];
+  let remaining = quantity;
+
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+
+    const taken = await claimLot(client, lot, remaining);
+    if (taken === 0) continue;
+
+    lines.push({ lot, quantity: taken });
+    remaining -= taken;
+  }
+
+  if (remaining > 0) {
+    for (const { lot, quantity: taken } of lines) {
+      await client.inventoryLot.update({ where: { id: lot.id }, data: { reservedQuantity: { decrement: taken } } });
+    }
+    throw new InsufficientStockError(product?.name || variantId, quantity - remaining, quantity);
+  }
+
+  const allocations = [];
+  for (const { lot, quantity: taken } of lines) {
+    await client.lotAllocation.create({
+      data: { lotId: lot.id, orderId, orderItemId, quantity: taken, status: ALLOCATION_STATUS.RESERVED },
+    });
+    await client.warehouseInventory.update({
+      where: { warehouseId_variantId: { warehouseId: lot.warehouseId, variantId } },
+      data: { reservedQuantity: { increment: taken } },
+    });
+    allocations.push({ ...toLotLine(lot, taken), lotId: lot.id, expiryState: getExpiryState(lot, policy, now) });
+  }
+
+  return allocations;
+};
+
+/**
+ * Rebuild the lot snapshot carried on an order item from its live allocations
+ */
+const refreshItemLots = async (client, orderItemId) => {
+  const allocations = await client.lotAllocation.findMany({
+    where: { orderItemId, status: { in: [ALLOCATION_STATUS.RESERVED, ALLOCATION_STATUS.SHIPPED] } },
+    include: { lot: true },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const byLot = new Map();
+  for (const allocation of allocations) {
+    const line = byLot.get(allocation.lotId) || toLotLine(allocation.lot, 0);
+    line.quantity += allocation.quantity;
+    byLot.set(allocation.lotId, line);
+  }
+
+  const lots = [...byLot.values()];
+  await client.orderItem.update({ where: { id: orderItemId }, data: { lots } });
+  return lots;
+};
+
+/**
+ * Allocate every lot-tracked line of a new order. Returns the order items
+ * with their lot snapshots; near-expiry picks are reported to the seller.
+ */
+const allocateOrder = async (client, order, variants) => {
+  const nearExpiry = [];
+  const items = [];
+
+  for (const item of order.items) {
+    const variant = variants.find((candidate) => candidate.id === item.variantId);
+    if (!variant?.product?.lotTracked) {
+      items.push(item);
+      continue;
+    }
+
+    const allocations = await allocate(client, {
+      variantId: item.variantId,
+      quantity: item.quantity,
+      orderId: order.id,
+      orderItemId: item.id,
+      product: variant.product,
+    });
+
+    nearExpiry.push(...allocations
+      .filter((allocation) => allocation.expiryState === EXPIRY_STATE.NEAR_EXPIRY)
+      .map((allocation) => ({ sku: item.sku, lotNumber: allocation.lotNumber, expiryDate: allocation.expiryDate })));
+
+    items.push({ ...item, lots: await refreshItemLots(client, item.id) });
+  }
+
+  if (nearExpiry.length > 0) {
+    logger.warn('Near-expiry lots allocated', { orderId: order.id, lots: nearExpiry });
+    emitToBusiness(order.sellerId, 'inventory:near_expiry_allocated', {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      lots: nearExpiry,
+    });
+  }
+
+  return items;
+};
+
+/**
+ * Give back the units of one allocation to its lot
+ */
+const releaseAllocation = async (client, allocation) => {
+  const { count } = await client.lotAllocation.updateMany({
+    where: { id: allocation.id, status: ALLOCATION_STATUS.RESERVED },
+    data: { status: ALLOCATION_STATUS.RELEASED, releasedAt: new Date() },
+  });
+  if (count === 0) return false;
+
+  await client.inventoryLot.update({
+    where: { id: allocation.lotId },
+    data: { reservedQuantity: { decrement: allocation.quantity } },
+  });
+  await client.warehouseInventory.update({
+    where: { warehouseId_variantId: { warehouseId: allocation.lot.warehouseId, variantId: allocation.lot.variantId } },
+    data: { reservedQuantity: { decrement: allocation.quantity } },
+  });
+  return true;
+};
+
+/**
+ * Release the open lot reservations of a cancelled order
+ */
+const releaseOrder = async (client, orderId) => {
+  const allocations = await client.lotAllocation.findMany({
+    where: { orderId, status: ALLOCATION_STATUS.RESERVED },
+    include: { lot: true },
+  });
+
+  for (const allocation of allocations) {
+    await releaseAllocation(client, allocation);
+  }
+
+  if (allocations.length > 0) {
+    logger.info('Lot reservations released', { orderId, allocations: allocations.length });
+  }
+  return allocations.length;
+};
+
+/**
+ * Move the reserved lot units of an order onto a shipment. Returns the lot
+ * lines packed, for the shipment, ship notice and invoice.
+ */
+const shipOrder = async (client, orderId, shipmentId) => {
+  const allocations = await client.lotAllocation.findMany({
+    where: { orderId, status: ALLOCATION_STATUS.RESERVED },
+    include: { lot: true },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const lines = [];
+  for (const allocation of allocations) {
+    const { lot, quantity } = allocation;
+
+    await client.lotAllocation.update({
+      where: { id: allocation.id },
+      data: { status: ALLOCATION_STATUS.SHIPPED, shipmentId, shippedAt: new Date() },
+    });
+    await client.inventoryLot.update({
+      where: { id: lot.id },
+      data: { quantity: { decrement: quantity }, reservedQuantity: { decrement: quantity } },
+    });
+    const stock = await client.warehouseInventory.update({
+      where: { warehouseId_variantId: { warehouseId: lot.warehouseId, variantId: lot.variantId } },
+      data: { quantity: { decrement: quantity }, reservedQuantity: { decrement: quantity } },
+    });
+    await client.inventoryLog.create({
+      data: {
+        variantId: lot.variantId,
+        type: 'out',
+        quantity,
+        previousQty: stock.quantity + quantity,
+        newQty: stock.quantity,
+        reason: `Lot ${lot.lotNumber} shipped`,
+        reference: shipmentId,
+      },
+    });
+
+    lines.push({ orderItemId: allocation.orderItemId, ...toLotLine(lot, quantity) });
+  }
+  await markDepleted(client, allocations.map((allocation) => allocation.lotId));
+
+  return lines;
+};
+
+/**
+ * Move reservations off lots that can no longer be shipped (recalled,
+ * quarantined, expired or under the minimum shelf life) onto other lots.
+ * With `keepUnfilled`, a reservation nothing else can cover stays put.
+ */
+const reallocate = async (lotIds, { keepUnfilled = false } = {}) => {
+  const allocations = await prisma.lotAllocation.findMany({
+    where: { lotId: { in: lotIds }, status: ALLOCATION_STATUS.RESERVED },
+    include: { lot: { include: { variant: { include: { product: true } } } } },
+  });
+
+  const moved = [];
+  const unfilled = [];
+
+  for (const allocation of allocations) {
+    const { lot } = allocation;
+    const request = {
+      variantId: lot.variantId,
+      quantity: allocation.quantity,
+      orderId: allocation.orderId,
+      orderItemId: allocation.orderItemId,
+      product: lot.variant.product,
+      excludeLotIds: lotIds,
+    };
+
+    try {
+      const replacements = await allocate(prisma, request);
+      await releaseAllocation(prisma, allocation);
+      moved.push({ orderId: allocation.orderId, from: lot.lotNumber, to: replacements.map((line) => line.lotNumber) });
+    } catch (error) {
+      if (!(error instanceof InsufficientStockError)) throw error;
+      if (!keepUnfilled) await releaseAllocation(prisma, allocation);
+      unfilled.push({ orderId: allocation.orderId, lotNumber: lot.lotNumber, quantity: allocation.quantity });
+    }
+
+    await refreshItemLots(prisma, allocation.orderItemId);
+  }
+
+  if (unfilled.length > 0) {
+    logger.warn('Lot reservations could not be moved to other lots', { unfilled });
+  }
+  return { moved, unfilled };
+};
+
+// =============================================================================
+// STOCK LEVELS
+// =============================================================================
+
+/**
+ * Units of a lot-tracked variant that can still be sold
+ */
+const getSellableStock = async (variantId, product, client = prisma) => {
+  const result = await client.inventoryLot.aggregate({
+    where: sellableLotWhere(variantId, shelfLifePolicy(product)),
+    _sum: { quantity: true },
+  });
+  return result._sum.quantity || 0;
+};
+
+/**
+ * Refresh the variant's stock counters after lots stop being sellable.
+ * Inside a transaction the cache is left to the caller until it commits
+ */
+const syncVariantStock = async (variantId, product, client = prisma) => {
+  const total = await getSellableStock(variantId, product, client);
+  await client.productVariant.update({ where: { id: variantId }, data: { stockQuantity: total } });
+  if (client === prisma) await inventory.setStock(variantId, total);
+  return total;
+};
+
+// =============================================================================
+// LOT MANAGEMENT
+// =============================================================================
+
+const getLotForBusiness = async (businessId, lotId) => {
+  const lot = await prisma.inventoryLot.findFirst({
+    where: { id: lotId, businessId },
+    include: { variant: { include: { product: true } } },
+  });
+  if (!lot) throw new NotFoundError('Lot');
+  return lot;
+};
+
+/**
+ * List a seller's lots with where each stands against its shelf-life rules
+ */
+const listLots = async (businessId, options = {}) => {
+  const { page = 1, limit = 20, variantId, warehouseId, status, lotNumber, expiringWithinDays } = options;
+  const skip = (page - 1) * limit;
+  const where = { businessId };
+  if (variantId) where.variantId = variantId;
+  if (warehouseId) where.warehouseId = warehouseId;
+  if (status) where.status = status;
+  if (lotNumber) where.lotNumber = lotNumber;
+  if (expiringWithinDays !== undefined) {
+    where.expiryDate = { lte: new Date(Date.now() + Number(expiringWithinDays) * DAY_MS) };
+  }
+
+  const [lots, total] = await Promise.all([
+    prisma.inventoryLot.findMany({
+      where,
+      include: {
+        warehouse: { select: { name: true, code: true } },
+        variant: { select: { sku: true, variantName: true, product: true } },
+      },
+      skip,
+      take: limit,
+      orderBy: FEFO_ORDER,
+    }),
+    prisma.inventoryLot.count({ where }),
+  ]);
+
+  const now = new Date();
+  return {
+    lots: lots.map(({ variant, ...lot }) => ({
+      ...lot,
+      sku: variant.sku,
+      productName: variant.product.name,
+      availableQuantity: lot.quantity - lot.reservedQuantity,
+      daysToExpiry: daysToExpiry(lot, now),
+      expiryState: getExpiryState(lot, shelfLifePolicy(variant.product), now),
+    })),
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  };
+};
+
+/**
+ * Put a lot on hold or release it back to sale. Reservations on a held lot
+ * move to other lots where stock allows.
+ */
+const setLotStatus = async (businessId, lotId, status, { reason, actorId } = {}) => {
+  const lot = await getLotForBusiness(businessId, lotId);
+
+  const allowed = {
+    [LOT_STATUS.QUARANTINED]: [LOT_STATUS.AVAILABLE],
+    [LOT_STATUS.AVAILABLE]: [LOT_STATUS.QUARANTINED],
+  };
+  if (!allowed[status]?.includes(lot.status)) {
+    throw new BadRequestError(`Cannot change a ${lot.status.toLowerCase()} lot to ${status.toLowerCase()}`);
+  }
+  if (status === LOT_STATUS.AVAILABLE && lot.expiryDate && lot.expiryDate <= new Date()) {
+    throw new BadRequestError(`Lot ${lot.lotNumber} has expired`);
+  }
+
+  const updated = await prisma.inventoryLot.update({
+    where: { id: lotId },
+    data: { status, statusReason: reason || null },
+  });
+
+  const result = status === LOT_STATUS.QUARANTINED ? await reallocate([lotId]) : { moved: [], unfilled: [] };
+  await syncVariantStock(lot.variantId, lot.variant.product);
+
+  logger.info('Inventory lot status changed', { lotId, lotNumber: lot.lotNumber, status, actorId, reason });
+  return { lot: updated, ...result };
+};
+
+/**
+ * Every buyer who received, or has reserved, units of a lot
+ */
+const traceLot = async (businessId, { lotNumber, variantId }) => {
+  const lots = await prisma.inventoryLot.findMany({
+    where: { businessId, lotNumber, ...(variantId ? { variantId } : {}) },
+    include: {
+      warehouse: { select: { id: true, name: true, code: true } },
+      variant: { select: { id: true, sku: true, variantName: true, product: { select: { name: true } } } },
+    },
+  });
+  if (lots.length === 0) throw new NotFoundError('Lot');
+
+  const allocations = await prisma.lotAllocation.findMany({
+    where: {
+      lotId: { in: lots.map((lot) => lot.id) },
+      status: { in: [ALLOCATION_STATUS.RESERVED, ALLOCATION_STATUS.SHIPPED] },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const [orders, shipments] = await Promise.all([
+    prisma.order.findMany({
+      where: { id: { in: [...new Set(allocations.map((allocation) => allocation.orderId))] } },
+      select: {
+        id: true,
+        orderNumber: true,
+        status: true,
+        buyer: { select: { id: true, businessName: true, email: true, phone: true } },
+      },
+    }),
+    prisma.shipment.findMany({
+      where: { id: { in: allocations.map((allocation) => allocation.shipmentId).filter(Boolean) } },
+      select: { id: true, awbNumber: true, deliveredAt: true },
+    }),
+  ]);
+
+  const buyers = new Map();
+  for (const allocation of allocations) {
+    const order = orders.find((candidate) => candidate.id === allocation.orderId);
+    if (!order) continue;
+
+    const shipment = shipments.find((candidate) => candidate.id === allocation.shipmentId);
+    const lot = lots.find((candidate) => candidate.id === allocation.lotId);
+    const entry = buyers.get(order.buyer.id) || { ...order.buyer, shippedQuantity: 0, reservedQuantity: 0, orders: [] };
+
+    if (allocation.status === ALLOCATION_STATUS.SHIPPED) entry.shippedQuantity += allocation.quantity;
+    else entry.reservedQuantity += allocation.quantity;
+
+    entry.orders.push({
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      orderStatus: order.status,
+      sku: lot.variant.sku,
+      quantity: allocation.quantity,
+      allocationStatus: allocation.status,
+      awbNumber: shipment?.awbNumber || null,
+      shippedAt: allocation.shippedAt,
+      deliveredAt: shipment?.deliveredAt || null,
+    });
+    buyers.set(order.buyer.id, entry);
+  }
+
+  const sum = (field) => lots.reduce((total, lot) => total + lot[field], 0);
+  return {
+    lotNumber,
+    lots: lots.map(({ variant, ...lot }) => ({
+      ...lot,
+      sku: variant.sku,
+      productName: variant.product.name,
+    })),
+    totals: {
+      received: sum('receivedQuantity'),
+      onHand: sum('quantity'),
+      reserved: sum('reservedQuantity'),
+      shipped: [...buyers.values()].reduce((total, buyer) => total + buyer.shippedQuantity, 0),
+    },
+    buyers: [...buyers.values()],
+  };
+};
+
+/**
+ * Recall a lot everywhere the seller holds it: stop selling it, move open
+ * reservations to other lots, and tell every buyer who received it
+ */
+const recallLot = async (businessId, { lotNumber, variantId, reason, actorId }) => {
+  const lots = await prisma.inventoryLot.findMany({
+    where: { businessId, lotNumber, ...(variantId ? { variantId } : {}) },
+    include: { variant: { include: { product: true } } },
+  });
+  if (lots.length === 0) throw new NotFoundError('Lot');
+  if (lots.every((lot) => lot.status === LOT_STATUS.RECALLED)) {
+    throw new ConflictError(`Lot ${lotNumber} is already recalled`);
+  }
+
+  const lotIds = lots.map((lot) => lot.id);
+  await prisma.inventoryLot.updateMany({
+    where: { id: { in: lotIds } },
+    data: { status: LOT_STATUS.RECALLED, statusReason: reason, recalledAt: new Date(), recalledById: actorId },
+  });
+
+  const reservations = await reallocate(lotIds);
+  for (const lot of lots) {
+    await syncVariantStock(lot.variantId, lot.variant.product);
+  }
+
+  const trace = await traceLot(businessId, { lotNumber, variantId });
+  const productName = lots[0].variant.product.name;
+
+  for (const buyer of trace.buyers.filter((candidate) => candidate.shippedQuantity > 0)) {
+    const data = { lotNumber, productName, quantity: buyer.shippedQuantity, reason };
+    emitToBusiness(buyer.id, 'inventory:lot_recalled', data);
+    await notificationService.notifyBusinessUsers(buyer.id, {
+      template: 'lot_recalled',
+      data,
+      priority: notificationService.NOTIFICATION_PRIORITY.URGENT,
+      metadata: { lotNumber, sellerId: businessId },
+    });
+  }
+
+  logger.warn('Inventory lot recalled', {
+    businessId,
+    lotNumber,
+    lots: lotIds.length,
+    buyers: trace.buyers.length,
+    actorId,
+    reason,
+  });
+
+  return { ...trace, reservations };
+};
+
+// =============================================================================
+// EXPIRY SWEEP
+// =============================================================================
+
+/**
+ * Daily: expire lots past their date, move reservations off lots that fell
+ * under the minimum shelf life, and alert sellers to near-expiry stock
+ */
+const sweepExpiringLots = async (now = new Date()) => {
+  const expired = await prisma.inventoryLot.findMany({
+    where: {
+      status: { in: [LOT_STATUS.AVAILABLE, LOT_STATUS.QUARANTINED] },
+      expiryDate: { lte: now },
+    },
+    include: { variant: { include: { product: true } } },
+  });
+
+  if (expired.length > 0) {
+    await prisma.inventoryLot.updateMany({
+      where: { id: { in: expired.map((lot) => lot.id) } },
+      data: { status: LOT_STATUS.EXPIRED, statusReason: 'Expired' },
+    });
+  }
+
+  const expiring = await prisma.inventoryLot.findMany({
+    where: {
+      status: LOT_STATUS.AVAILABLE,
+      quantity: { gt: 0 },
+      expiryDate: { gt: now, lte: new Date(now.getTime() + NEAR_EXPIRY_HORIZON_DAYS * DAY_MS) },
+    },
+    include: { variant: { include: { product: true } } },
+  });
+
+  const blocked = [];
+  const flaggedByBusiness = new Map();
+  for (const lot of expiring) {
+    const state = getExpiryState(lot, shelfLifePolicy(lot.variant.product), now);
+    if (state === EXPIRY_STATE.OK) continue;
+    if (state === EXPIRY_STATE.BLOCKED) blocked.push(lot);
+
+    const flagged = flaggedByBusiness.get(lot.businessId) || [];
+    flagged.push({ lotId: lot.id, lotNumber: lot.lotNumber, sku: lot.variant.sku, expiryDate: lot.expiryDate, state });
+    flaggedByBusiness.set(lot.businessId, flagged);
+  }
+
+  const reservations = await reallocate(expired.map((lot) => lot.id));
+  const shortDated = await reallocate(blocked.filter((lot) => lot.reservedQuantity > 0).map((lot) => lot.id), {
+    keepUnfilled: true,
+  });
+
+  const variants = new Map([...expired, ...blocked].map((lot) => [lot.variantId, lot.variant.product]));
+  for (const [variantId, product] of variants) {
+    await syncVariantStock(variantId, product);
+  }
+
+  for (const [businessId, lots] of flaggedByBusiness) {
+    emitToBusiness(businessId, 'inventory:lots_near_expiry', { lots });
+    await notificationService.notifyBusinessUsers(businessId, {
+      template: 'lots_near_expiry',
+      data: { count: lots.length },
+      actionUrl: '/inventory/lots?expiringWithinDays=30',
+    });
+  }
+
+  return {
+    expired: expired.length,
+    flagged: [...flaggedByBusiness.values()].flat().length,
+    moved: reservations.moved.length + shortDated.moved.length,
+    unfilled: reservations.unfilled.length + shortDated.unfilled.length,
+  };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  LOT_STATUS, ALLOCATION_STATUS, EXPIRY_STATE,
+  shelfLifePolicy, getExpiryState,
+  receiveLot, removeFromLots,
+  allocate, allocateOrder, releaseOrder, shipOrder, reallocate, refreshItemLots,
+  getSellableStock, syncVariantStock,
+  listLots, setLotStatus, traceLot, recallLot,
+  sweepExpiringLots,
+};
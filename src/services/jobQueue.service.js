@@ -484,7 +484,7 @@ function initializeProcessors() {
   // Webhook processor
   jobQueue.registerProcessor('webhook', async (data) => {
     const webhookService = require('./webhook.service');
-    return webhookService.sendWebhook(data.url, data.event, data.payload, data.options);
+    return webhookService.deliver(data.deliveryId);
   }, 10);
 
   // Cleanup processor
@@ -0,0 +1,693 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - GENERAL LEDGER SERVICE
+// Chart of accounts, immutable double-entry journals, atomic postings with
+// balance constraints, and trial balance. Balances are derived from postings.
+// =============================================================================
+
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+const {
+  NotFoundError,
+  BadRequestError,
+  ConflictError,
+  InsufficientFundsError,
+} = require('../utils/errors');
+const { generateId, formatCurrency } = require('../utils/helpers');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const ACCOUNT_TYPE = {
+  ASSET: 'ASSET',
+  LIABILITY: 'LIABILITY',
+  EQUITY: 'EQUITY',
+  REVENUE: 'REVENUE',
+  EXPENSE: 'EXPENSE',
+};
+
+const SIDE = {
+  DEBIT: 'DEBIT',
+  CREDIT: 'CREDIT',
+};
+
+const ACCOUNTS = {
+  GATEWAY_CLEARING: '1000',
+  BANK_SETTLEMENT: '1010',
+  FOREX_CLEARING: '1020',
+  FX_POSITION: '1030',
+  CREDIT_RECEIVABLE: '1200',
+  CUSTOMER_WALLET: '2000',
+  WALLET_WITHDRAWAL_PENDING: '2010',
+  CURRENCY_WALLET: '2020',
+  ORDERS_CLEARING: '2100',
+  SELLER_PAYABLE: '2200',
+  GST_OUTPUT: '2300',
+  TCS_PAYABLE: '2310',
+  TDS_PAYABLE: '2320',
+  OWNER_EQUITY: '3000',
+  OPENING_BALANCE_EQUITY: '3010',
+  COMMISSION_REVENUE: '4000',
+  PAYMENT_FEE_REVENUE: '4010',
+  GATEWAY_CHARGES: '5000',
+};
+
+const BASE_CURRENCY = 'INR';
+
+/**
+ * Chart of accounts. Sub-ledger accounts (per business) are opened on first
+ * use as <code>:<businessId> and inherit type and constraints from the parent.
+ * Accounts marked multiCurrency also open per currency as <code>@<currency>.
+ */
+const CHART_OF_ACCOUNTS = [
+  { code: ACCOUNTS.GATEWAY_CLEARING, name: 'Payment Gateway Clearing', type: ACCOUNT_TYPE.ASSET },
+  { code: ACCOUNTS.BANK_SETTLEMENT, name: 'Bank - Settlement Account', type: ACCOUNT_TYPE.ASSET },
+  {
+    code: ACCOUNTS.FOREX_CLEARING,
+    name: 'Foreign Currency Clearing',
+    type: ACCOUNT_TYPE.ASSET,
+    multiCurrency: true,
+  },
+  {
+    code: ACCOUNTS.FX_POSITION,
+    name: 'Currency Exchange Position',
+    type: ACCOUNT_TYPE.ASSET,
+    multiCurrency: true,
+  },
+  {
+    code: ACCOUNTS.CREDIT_RECEIVABLE,
+    name: 'Credit Line Receivables',
+    type: ACCOUNT_TYPE.ASSET,
+    subLedger: true,
+    balanceFloor: 0,
+  },
+  {
+    code: ACCOUNTS.CUSTOMER_WALLET,
+    name: 'Customer Wallets',
+    type: ACCOUNT_TYPE.LIABILITY,
+    subLedger: true,
+    balanceFloor: 0,
+  },
+  {
+    code: ACCOUNTS.WALLET_WITHDRAWAL_PENDING,
+    name: 'Wallet Withdrawals Pending',
+    type: ACCOUNT_TYPE.LIABILITY,
+    subLedger: true,
+    balanceFloor: 0,
+  },
+  {
+    code: ACCOUNTS.CURRENCY_WALLET,
+    name: 'Customer Currency Wallets',
+    type: ACCOUNT_TYPE.LIABILITY,
+    subLedger: true,
+    multiCurrency: true,
+    balanceFloor: 0,
+  },
+  { code: ACCOUNTS.ORDERS_CLEARING, name: 'Orders Clearing', type: ACCOUNT_TYPE.LIABILITY },
+  {
+    code: ACCOUNTS.SELLER_PAYABLE,
+    name: 'Seller Payables',
+    type: ACCOUNT_TYPE.LIABILITY,
+    subLedger: true,
+    balanceFloor: 0,
+  },
+  { code: ACCOUNTS.GST_OUTPUT, name: 'GST Output Tax Payable', type: ACCOUNT_TYPE.LIABILITY },
+  { code: ACCOUNTS.TCS_PAYABLE, name: 'GST TCS Payable (Sec 52)', type: ACCOUNT_TYPE.LIABILITY },
+  { code: ACCOUNTS.TDS_PAYABLE, name: 'TDS Payable (Sec 194-O)', type: ACCOUNT_TYPE.LIABILITY },
+  { code: ACCOUNTS.OWNER_EQUITY, name: 'Owner Equity', type: ACCOUNT_TYPE.EQUITY },
+  { code: ACCOUNTS.OPENING_BALANCE_EQUITY, name: 'Opening Balance Equity', type: ACCOUNT_TYPE.EQUITY },
+  { code: ACCOUNTS.COMMISSION_REVENUE, name: 'Commission Revenue', type: ACCOUNT_TYPE.REVENUE },
+  { code: ACCOUNTS.PAYMENT_FEE_REVENUE, name: 'Payment Processing Fee Revenue', type: ACCOUNT_TYPE.REVENUE },
+  { code: ACCOUNTS.GATEWAY_CHARGES, name: 'Payment Gateway Charges', type: ACCOUNT_TYPE.EXPENSE },
+];
+
+const DEBIT_NORMAL_TYPES = [ACCOUNT_TYPE.ASSET, ACCOUNT_TYPE.EXPENSE];
+
+// Amounts are summed in paise so journals balance exactly
+const toPaise = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const toRupees = (paise) => paise / 100;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const generateJournalNumber = () => {
+  return `JV-${Date.now().toString(36).toUpperCase()}-${generateId().substring(0, 6).toUpperCase()}`;
+};
+
+/**
+ * Sub-ledger account code for a business, e.g. 2000:<businessId>
+ */
+const subAccount = (parentCode, businessId) => `${parentCode}:${businessId}`;
+
+/**
+ * The same account kept in another currency, e.g. 2020:<walletId>@USD.
+ * Base-currency accounts carry no suffix.
+ */
+const currencyAccount = (code, currency) => (currency === BASE_CURRENCY ? code : `${code}@${currency}`);
+
+const currencyOf = (code) => code.split('@')[1] || BASE_CURRENCY;
+
+const getTemplate = (code) => {
+  const [ledgerCode, currency] = code.split('@');
+  const [parentCode, businessId] = ledgerCode.split(':');
+  const template = CHART_OF_ACCOUNTS.find((account) => account.code === parentCode);
+
+  if (!template || (businessId && !template.subLedger) || (currency && !template.multiCurrency)) {
+    throw new NotFoundError(`Ledger account ${code}`);
+  }
+
+  const name = businessId ? `${template.name} (${businessId})` : template.name;
+
+  return {
+    code,
+    name: currency ? `${name} ${currency}` : name,
+    type: template.type,
+    normalBalance: DEBIT_NORMAL_TYPES.includes(template.type) ? SIDE.DEBIT : SIDE.CREDIT,
+    parentCode: businessId ? currencyAccount(parentCode, currencyOf(code)) : null,
+    businessId: businessId || null,
+    currency: currencyOf(code),
+    balanceFloor: template.balanceFloor ?? null,
+    isSystem: !businessId,
+  };
+};
+
+/**
+ * Balance in paise in the account's normal direction
+ */
+const toNormalBalance = (account, debit, credit) => {
+  const net = toPaise(debit) - toPaise(credit);
+  return account.normalBalance === SIDE.DEBIT ? net : 0 - net;
+};
+
+/**
+ * Fetch accounts by code, opening any chart or sub-ledger account on first use
+ */
+const ensureAccounts = async (codes, client = prisma) => {
+  const unique = [...new Set(codes)];
+  const existing = await client.ledgerAccount.findMany({ where: { code: { in: unique } } });
+  const byCode = new Map(existing.map((account) => [account.code, account]));
+
+  for (const code of unique.filter((c) => !byCode.has(c))) {
+    const template = getTemplate(code);
+    const account = await client.ledgerAccount.upsert({
+      where: { code },
+      create: template,
+      update: {},
+    });
+    byCode.set(code, account);
+  }
+
+  return byCode;
+};
+
+/**
+ * Set posting constraints on an account (e.g. a buyer's credit limit)
+ */
+const setAccountLimits = async (code, { balanceFloor, balanceCeiling }, client = prisma) => {
+  await ensureAccounts([code], client);
+
+  return client.ledgerAccount.update({
+    where: { code },
+    data: { balanceFloor, balanceCeiling },
+  });
+};
+
+/**
+ * Lock account rows for the rest of the transaction. Rows are locked in id
+ * order so concurrent journals touching the same accounts cannot deadlock.
+ */
+const lockAccounts = async (accounts, tx) => {
+  const ids = accounts.map((account) => account.id).sort();
+  for (const id of ids) {
+    await tx.$queryRaw`SELECT id FROM ledger_accounts WHERE id = ${id} FOR UPDATE`;
+  }
+};
+
+/**
+ * Current balances derived from postings, keyed by account id
+ */
+const sumPostings = async (accounts, client, where = {}) => {
+  const sums = await client.ledgerPosting.groupBy({
+    by: ['accountId'],
+    where: { accountId: { in: accounts.map((account) => account.id) }, ...where },
+    _sum: { debit: true, credit: true },
+  });
+
+  const byId = new Map(sums.map((row) => [row.accountId, row._sum]));
+
+  return new Map(accounts.map((account) => {
+    const sum = byId.get(account.id) || {};
+    return [account.id, toNormalBalance(account, sum.debit, sum.credit)];
+  }));
+};
+
+/**
+ * Validate journal lines: one side per line, two decimals, debits = credits
+ * in each currency
+ */
+const normalizeLines = (lines) => {
+  const normalized = lines
+    .map((line) => ({
+      accountCode: line.accountCode,
+      debit: toPaise(line.debit),
+      credit: toPaise(line.credit),
+      memo: line.memo,
+    }))
+    .filter((line) => line.debit !== 0 || line.credit !== 0);
+
+  normalized.forEach((line) => {
+    if (!line.accountCode) {
+      throw new BadRequestError('Every posting needs an account');
+    }
+    if (line.debit < 0 || line.credit < 0) {
+      throw new BadRequestError('Posting amounts cannot be negative');
+    }
+    if (line.debit !== 0 && line.credit !== 0) {
+      throw new BadRequestError('A posting cannot both debit and credit an account');
+    }
+  });
+
+  if (normalized.length < 2) {
+    throw new BadRequestError('A journal needs at least two postings');
+  }
+
+  const currencies = [...new Set(normalized.map((line) => currencyOf(line.accountCode)))];
+  currencies.forEach((currency) => {
+    const inCurrency = normalized.filter((line) => currencyOf(line.accountCode) === currency);
+    const totalDebit = inCurrency.reduce((sum, line) => sum + line.debit, 0);
+    const totalCredit = inCurrency.reduce((sum, line) => sum + line.credit, 0);
+
+    if (totalDebit !== totalCredit) {
+      const suffix = currencies.length > 1 ? ` in ${currency}` : '';
+      throw new BadRequestError(
+        `Journal is unbalanced${suffix}: debits ${toRupees(totalDebit).toFixed(2)}, `
+        + `credits ${toRupees(totalCredit).toFixed(2)}`,
+      );
+    }
+  });
+
+  const total = normalized.reduce((sum, line) => sum + line.debit, 0);
+  return { lines: normalized, total };
+};
+
+const assertWithinLimits = (account, balance, change) => {
+  if (change === 0) return;
+
+  const floor = account.balanceFloor !== null && account.balanceFloor !== undefined
+    ? toPaise(account.balanceFloor)
+    : null;
+  const ceiling = account.balanceCeiling !== null && account.balanceCeiling !== undefined
+    ? toPaise(account.balanceCeiling)
+    : null;
+  const after = balance + change;
+
+  const currency = account.currency || BASE_CURRENCY;
+
+  if (floor !== null && change < 0 && after < floor) {
+    throw new InsufficientFundsError(
+      account.name,
+      formatCurrency(toRupees(balance - floor), currency),
+      formatCurrency(toRupees(-change), currency),
+    );
+  }
+  if (ceiling !== null && change > 0 && after > ceiling) {
+    throw new InsufficientFundsError(
+      account.name,
+      formatCurrency(toRupees(ceiling - balance), currency),
+      formatCurrency(toRupees(change), currency),
+    );
+  }
+};
+
+// =============================================================================
+// POSTING
+// =============================================================================
+
+const post = async (entry, tx) => {
+  const { reference, description, sourceType, sourceId, metadata, postedBy, reversalOfId } = entry;
+
+  if (!reference) {
+    throw new BadRequestError('Journal reference is required');
+  }
+
+  const duplicate = await tx.ledgerJournal.findUnique({
+    where: { reference },
+    include: { postings: true },
+  });
+  if (duplicate) {
+    return { journal: duplicate, balances: {}, duplicate: true };
+  }
+
+  const { lines, total } = normalizeLines(entry.lines);
+  const accounts = await ensureAccounts(lines.map((line) => line.accountCode), tx);
+
+  await lockAccounts([...accounts.values()], tx);
+
+  // Re-read constraints after taking the lock
+  const locked = await tx.ledgerAccount.findMany({ where: { id: { in: [...accounts.values()].map((a) => a.id) } } });
+  const lockedByCode = new Map(locked.map((account) => [account.code, account]));
+  const balances = await sumPostings(locked, tx);
+
+  const changes = new Map();
+  lines.forEach((line) => {
+    const account = lockedByCode.get(line.accountCode);
+    const net = line.debit - line.credit;
+    const change = account.normalBalance === SIDE.DEBIT ? net : 0 - net;
+    changes.set(account.code, (changes.get(account.code) || 0) + change);
+  });
+
+  locked.forEach((account) => {
+    if (!account.isActive) {
+      throw new BadRequestError(`Ledger account ${account.code} is inactive`);
+    }
+    assertWithinLimits(account, balances.get(account.id), changes.get(account.code));
+  });
+
+  const postedAt = new Date();
+  const journal = await tx.ledgerJournal.create({
+    data: {
+      journalNumber: generateJournalNumber(),
+      reference,
+      description,
+      sourceType,
+      sourceId,
+      reversalOfId,
+      metadata,
+      postedBy,
+      postedAt,
+      postings: {
+        create: lines.map((line) => ({
+          accountId: lockedByCode.get(line.accountCode).id,
+          debit: toRupees(line.debit).toFixed(2),
+          credit: toRupees(line.credit).toFixed(2),
+          memo: line.memo,
+          postedAt,
+        })),
+      },
+    },
+    include: { postings: true },
+  });
+
+  const balancesAfter = {};
+  locked.forEach((account) => {
+    balancesAfter[account.code] = toRupees(balances.get(account.id) + changes.get(account.code));
+  });
+
+  logger.info('Journal posted', { journalNumber: journal.journalNumber, reference, amount: toRupees(total) });
+
+  return { journal, balances: balancesAfter, duplicate: false };
+};
+
+/**
+ * Post a balanced journal atomically. Pass a transaction client to post as
+ * part of a larger unit of work; otherwise a transaction is opened here.
+ * Re-posting the same reference returns the original journal.
+ * @returns {Promise<{journal, balances, duplicate}>} balances after posting, by account code
+ */
+const postJournal = (entry, tx = null) => {
+  if (tx) {
+    return post(entry, tx);
+  }
+  return prisma.$transaction((client) => post(entry, client));
+};
+
+/**
+ * Carry balances kept before the ledger existed into it, against Opening
+ * Balance Equity. Runs once per set of sub-ledger accounts: once any of them
+ * is open the ledger is the record and the projection is never read back.
+ * Callers lock the owning row first so two first postings cannot both open.
+ * @param {Object} entry.balances - amount per account code, in its normal direction
+ * @returns {Promise<Object|null>} the opening journal, or null if nothing was carried over
+ */
+const openBalances = async ({ balances, ...entry }, tx) => {
+  const codes = Object.keys(balances);
+  const opened = await tx.ledgerAccount.count({ where: { code: { in: codes } } });
+  if (opened > 0) {
+    return null;
+  }
+
+  const lines = codes
+    .map((code) => {
+      const amount = toPaise(balances[code]);
+      const onDebit = (getTemplate(code).normalBalance === SIDE.DEBIT) === amount > 0;
+      const value = toRupees(Math.abs(amount));
+      return onDebit ? { accountCode: code, debit: value } : { accountCode: code, credit: value };
+    })
+    .filter((line) => line.debit || line.credit);
+
+  // Nothing to carry over: open the accounts so later postings start from zero
+  if (!lines.length) {
+    await ensureAccounts(codes, tx);
+    return null;
+  }
+
+  const net = lines.reduce((sum, line) => sum + toPaise(line.debit) - toPaise(line.credit), 0);
+  lines.push(net > 0
+    ? { accountCode: ACCOUNTS.OPENING_BALANCE_EQUITY, credit: toRupees(net) }
+    : { accountCode: ACCOUNTS.OPENING_BALANCE_EQUITY, debit: toRupees(-net) });
+
+  const { journal } = await post({ ...entry, sourceType: 'OPENING_BALANCE', lines }, tx);
+  await ensureAccounts(codes, tx);
+
+  return journal;
+};
+
+/**
+ * Reverse a journal with an equal and opposite entry (journals are never edited)
+ */
+const reverseJournal = async (journalId, postedBy, reason) => {
+  const original = await prisma.ledgerJournal.findUnique({
+    where: { id: journalId },
+    include: { postings: { include: { account: true } }, reversedBy: true },
+  });
+
+  if (!original) {
+    throw new NotFoundError('Journal');
+  }
+  if (original.reversalOfId) {
+    throw new BadRequestError('A reversal cannot itself be reversed');
+  }
+  if (original.reversedBy) {
+    throw new ConflictError('Journal has already been reversed');
+  }
+
+  return postJournal({
+    reference: `REVERSAL:${original.id}`,
+    description: `Reversal of ${original.journalNumber}: ${reason}`,
+    sourceType: 'REVERSAL',
+    sourceId: original.id,
+    reversalOfId: original.id,
+    postedBy,
+    lines: original.postings.map((posting) => ({
+      accountCode: posting.account.code,
+      debit: posting.credit,
+      credit: posting.debit,
+      memo: `Reversal: ${posting.memo || original.description}`,
+    })),
+  });
+};
+
+// =============================================================================
+// BALANCES & REPORTS
+// =============================================================================
+
+/**
+ * Balance of an account (in its normal direction) derived from postings
+ */
+const getBalance = async (code, client = prisma) => {
+  const account = await client.ledgerAccount.findUnique({ where: { code } });
+  if (!account) return 0;
+
+  const balances = await sumPostings([account], client);
+  return toRupees(balances.get(account.id));
+};
+
+/**
+ * Balances for several accounts in one query; unopened accounts read as zero
+ */
+const getBalances = async (codes, client = prisma) => {
+  const accounts = await client.ledgerAccount.findMany({ where: { code: { in: codes } } });
+  const balances = await sumPostings(accounts, client);
+
+  return Object.fromEntries(codes.map((code) => {
+    const account = accounts.find((a) => a.code === code);
+    return [code, account ? toRupees(balances.get(account.id)) : 0];
+  }));
+};
+
+/**
+ * List accounts in the chart
+ */
+const listAccounts = async (filters = {}) => {
+  const where = {};
+  if (filters.type) where.type = filters.type;
+  if (filters.businessId) where.businessId = filters.businessId;
+  if (filters.parentCode) where.parentCode = filters.parentCode;
+
+  const accounts = await prisma.ledgerAccount.findMany({ where, orderBy: { code: 'asc' } });
+  const balances = await sumPostings(accounts, prisma);
+
+  return accounts.map((account) => ({ ...account, balance: toRupees(balances.get(account.id)) }));
+};
+
+/**
+ * Account statement with running balance
+ */
+const getAccountStatement = async (code, filters = {}, pagination = {}) => {
+  const { page = 1, limit = 50 } = pagination;
+  const skip = (page - 1) * limit;
+
+  const account = await prisma.ledgerAccount.findUnique({ where: { code } });
+  if (!account) {
+    throw new NotFoundError(`Ledger account ${code}`);
+  }
+
+  const where = { accountId: account.id };
+  if (filters.startDate || filters.endDate) {
+    where.postedAt = {};
+    if (filters.startDate) where.postedAt.gte = new Date(filters.startDate);
+    if (filters.endDate) where.postedAt.lte = new Date(filters.endDate);
+  }
+
+  const [postings, total] = await Promise.all([
+    prisma.ledgerPosting.findMany({
+      where,
+      skip,
+      take: limit,
+      orderBy: [{ postedAt: 'asc' }, { id: 'asc' }],
+      include: { journal: { select: { journalNumber: true, description: true, reference: true } } },
+    }),
+    prisma.ledgerPosting.count({ where }),
+  ]);
+
+  // Opening balance: everything before the first posting on this page
+  const opening = postings.length
+    ? await sumPostings([account], prisma, {
+      OR: [
+        { postedAt: { lt: postings[0].postedAt } },
+        { postedAt: postings[0].postedAt, id: { lt: postings[0].id } },
+      ],
+    })
+    : new Map([[account.id, 0]]);
+
+  let running = opening.get(account.id);
+  const entries = postings.map((posting) => {
+    running += toNormalBalance(account, posting.debit, posting.credit);
+    return { ...posting, balance: toRupees(running) };
+  });
+
+  return {
+    account,
+    openingBalance: toRupees(opening.get(account.id)),
+    entries,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Trial balance in one currency as of a date. Sub-ledger accounts roll up
+ * into their parent unless detail is requested.
+ */
+const getTrialBalance = async ({ asOf = null, detailed = false, currency = BASE_CURRENCY } = {}) => {
+  const where = asOf ? { postedAt: { lte: new Date(asOf) } } : {};
+
+  const [accounts, sums] = await Promise.all([
+    prisma.ledgerAccount.findMany({ orderBy: { code: 'asc' } }),
+    prisma.ledgerPosting.groupBy({
+      by: ['accountId'],
+      where,
+      _sum: { debit: true, credit: true },
+    }),
+  ]);
+
+  const accountsById = new Map(accounts.map((account) => [account.id, account]));
+  const rows = new Map();
+
+  sums.forEach((sum) => {
+    const account = accountsById.get(sum.accountId);
+    if ((account.currency || BASE_CURRENCY) !== currency) return;
+
+    const code = !detailed && account.parentCode ? account.parentCode : account.code;
+    const template = code === account.code ? account : getTemplate(code);
+
+    if (!rows.has(code)) {
+      rows.set(code, { code, name: template.name, type: template.type, debit: 0, credit: 0 });
+    }
+    const row = rows.get(code);
+    row.debit += toPaise(sum._sum.debit);
+    row.credit += toPaise(sum._sum.credit);
+  });
+
+  // Show each account's net on one side
+  const lines = [...rows.values()]
+    .sort((a, b) => a.code.localeCompare(b.code))
+    .map((row) => {
+      const net = row.debit - row.credit;
+      return {
+        code: row.code,
+        name: row.name,
+        type: row.type,
+        debit: net > 0 ? toRupees(net) : 0,
+        credit: net < 0 ? toRupees(-net) : 0,
+      };
+    });
+
+  const totalDebit = lines.reduce((sum, line) => sum + toPaise(line.debit), 0);
+  const totalCredit = lines.reduce((sum, line) => sum + toPaise(line.credit), 0);
+
+  return {
+    asOf: asOf ? new Date(asOf) : new Date(),
+    currency,
+    accounts: lines,
+    totals: {
+      debit: toRupees(totalDebit),
+      credit: toRupees(totalCredit),
+    },
+    balanced: totalDebit === totalCredit,
+  };
+};
+
+/**
+ * Get journal with postings
+ */
+const getJournal = async (journalId) => {
+  const journal = await prisma.ledgerJournal.findUnique({
+    where: { id: journalId },
+    include: {
+      postings: { include: { account: { select: { code: true, name: true, type: true } } } },
+      reversedBy: { select: { id: true, journalNumber: true, postedAt: true } },
+    },
+  });
+
+  if (!journal) {
+    throw new NotFoundError('Journal');
+  }
+
+  return journal;
+};
+
+module.exports = {
+  ACCOUNT_TYPE,
+  ACCOUNTS,
+  BASE_CURRENCY,
+  CHART_OF_ACCOUNTS,
+  subAccount,
+  currencyAccount,
+  ensureAccounts,
+  setAccountLimits,
+  postJournal,
+  openBalances,
+  reverseJournal,
+  getBalance,
+  getBalances,
+  listAccounts,
+  getAccountStatement,
+  getTrialBalance,
+  getJournal,
+};
@@ -1,12 +1,17 @@
 // =============================================================================
 // AIRAVAT B2B MARKETPLACE - MULTI-CURRENCY WALLET SERVICE
-// Hold and exchange multiple currencies in wallet
+// Hold and exchange multiple currencies in wallet. Every movement posts to
+// the general ledger; currency balance rows are projections of it.
 // =============================================================================
 
 const { prisma } = require('../config/database');
 const { cache } = require('../config/redis');
 const logger = require('../config/logger');
+const { generateId } = require('../utils/helpers');
 const { eventEmitter } = require('./eventEmitter.service');
+const ledgerService = require('./ledger.service');
+
+const { ACCOUNTS } = ledgerService;
 
 /**
  * Multi-currency Configuration
@@ -36,6 +41,8 @@ const CURRENCY_DETAILS = {
   CNY: { name: 'Chinese Yuan', symbol: '¥', decimals: 2 },
 };
 
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
 class MultiCurrencyWalletService {
   // ===========================================================================
   // EXCHANGE RATES
@@ -230,6 +237,82 @@ class MultiCurrencyWalletService {
     };
   }
 
+  // ===========================================================================
+  // LEDGER
+  // ===========================================================================
+
+  /**
+   * Ledger account holding a wallet's balance in one currency
+   */
+  walletAccount(walletId, currency) {
+    return ledgerService.currencyAccount(ledgerService.subAccount(ACCOUNTS.CURRENCY_WALLET, walletId), currency);
+  }
+
+  /**
+   * Carry a currency balance that predates the ledger into it before its
+   * first posting. The balance row lock serializes first postings.
+   */
+  async openCurrencyLedger(walletId, currency, tx) {
+    await tx.$queryRaw`
+      SELECT id FROM "WalletCurrencyBalance"
+      WHERE "walletId" = ${walletId} AND currency = ${currency}
+      FOR UPDATE
+    `;
+    const row = await tx.walletCurrencyBalance.findUnique({
+      where: {
+        walletId_currency: { walletId, currency },
+      },
+    });
+
+    return ledgerService.openBalances({
+      reference: `OPENING:CURRENCY_WALLET:${walletId}:${currency}`,
+      description: `${currency} wallet opening balance`,
+      sourceId: walletId,
+      balances: { [this.walletAccount(walletId, currency)]: parseFloat(row?.balance || 0) },
+    }, tx);
+  }
+
+  /**
+   * Post a journal on currency wallets. The ledger locks every account it
+   * touches and rejects overdrafts under that lock; the balance rows are then
+   * refreshed from the ledger and must still cover their locked amounts.
+   * @param {Array<{walletId, currency}>} wallets - Currency balances the journal moves
+   * @returns {Promise<{journal, balances}>} balances after posting, by wallet and currency
+   */
+  async postToWallets(entry, wallets, tx) {
+    for (const { walletId, currency } of wallets) {
+      await this.openCurrencyLedger(walletId, currency, tx);
+    }
+
+    const { journal, balances } = await ledgerService.postJournal({
+      ...entry,
+      sourceType: 'CURRENCY_WALLET',
+    }, tx);
+
+    const updated = {};
+    for (const { walletId, currency } of wallets) {
+      const balance = await tx.walletCurrencyBalance.update({
+        where: {
+          walletId_currency: { walletId, currency },
+        },
+        data: {
+          balance: balances[this.walletAccount(walletId, currency)],
+        },
+      });
+
+      if (parseFloat(balance.balance) < parseFloat(balance.lockedBalance)) {
+        throw new Error(`Insufficient ${currency} balance`);
+      }
+      updated[`${walletId}:${currency}`] = balance;
+    }
+
+    return { journal, balances: updated };
+  }
+
+  // ===========================================================================
+  // CREDITS & DEBITS
+  // ===========================================================================
+
   /**
    * Credit currency to wallet
    */
@@ -239,32 +322,36 @@ class MultiCurrencyWalletService {
     // Ensure currency balance exists
     await this.addCurrencyBalance(walletId, currency);
 
-    // Update balance
-    const balance = await prisma.walletCurrencyBalance.update({
-      where: {
-        walletId_currency: { walletId, currency },
-      },
-      data: {
-        balance: { increment: amount },
-      },
-    });
+    const balance = await prisma.$transaction(async (tx) => {
+      const { journal, balances } = await this.postToWallets({
+        reference: `CURRENCY_CREDIT:${generateId()}`,
+        description: description || `${currency} wallet credit`,
+        sourceId: walletId,
+        lines: [
+          { accountCode: ledgerService.currencyAccount(ACCOUNTS.FOREX_CLEARING, currency), debit: amount },
+          { accountCode: this.walletAccount(walletId, currency), credit: amount },
+        ],
+      }, [{ walletId, currency }], tx);
 
-    // Create transaction record
-    const wallet = await prisma.wallet.findUnique({ where: { id: walletId } });
-    
-    await prisma.walletTransaction.create({
-      data: {
-        walletId,
-        type: 'CREDIT',
-        amount,
-        currency,
-        balanceBefore: parseFloat(balance.balance) - amount,
-        balanceAfter: parseFloat(balance.balance),
-        referenceType,
-        referenceId,
-        description,
-        status: 'COMPLETED',
-      },
+      const updated = balances[`${walletId}:${currency}`];
+
+      await tx.walletTransaction.create({
+        data: {
+          walletId,
+          type: 'CREDIT',
+          amount,
+          currency,
+          balanceBefore: roundAmount(parseFloat(updated.balance) - amount),
+          balanceAfter: parseFloat(updated.balance),
+          referenceType,
+          referenceId,
+          description,
+          metadata: { journalId: journal.id },
+          status: 'COMPLETED',
+        },
+      });
+
+      return updated;
     });
 
     logger.info('Currency credited', { walletId, currency, amount });
@@ -278,43 +365,47 @@ class MultiCurrencyWalletService {
   async debitCurrency(walletId, currency, amount, options = {}) {
     const { referenceType, referenceId, description } = options;
 
-    const balance = await prisma.walletCurrencyBalance.findUnique({
+    const existing = await prisma.walletCurrencyBalance.findUnique({
       where: {
         walletId_currency: { walletId, currency },
       },
     });
 
-    if (!balance) {
+    if (!existing) {
       throw new Error(`No ${currency} balance in wallet`);
     }
 
-    const available = parseFloat(balance.balance) - parseFloat(balance.lockedBalance);
-    if (amount > available) {
-      throw new Error(`Insufficient ${currency} balance`);
-    }
+    // The ledger checks the balance under its account lock
+    const updatedBalance = await prisma.$transaction(async (tx) => {
+      const { journal, balances } = await this.postToWallets({
+        reference: `CURRENCY_DEBIT:${generateId()}`,
+        description: description || `${currency} wallet debit`,
+        sourceId: walletId,
+        lines: [
+          { accountCode: this.walletAccount(walletId, currency), debit: amount },
+          { accountCode: ledgerService.currencyAccount(ACCOUNTS.FOREX_CLEARING, currency), credit: amount },
+        ],
+      }, [{ walletId, currency }], tx);
 
-    const updatedBalance = await prisma.walletCurrencyBalance.update({
-      where: {
-        walletId_currency: { walletId, currency },
-      },
-      data: {
-        balance: { decrement: amount },
-      },
-    });
+      const updated = balances[`${walletId}:${currency}`];
 
-    await prisma.walletTransaction.create({
-      data: {
-        walletId,
-        type: 'DEBIT',
-        amount,
-        currency,
-        balanceBefore: parseFloat(balance.balance),
-        balanceAfter: parseFloat(updatedBalance.balance),
-        referenceType,
-        referenceId,
-        description,
-        status: 'COMPLETED',
-      },
+      await tx.walletTransaction.create({
+        data: {
+          walletId,
+          type: 'DEBIT',
+          amount,
+          currency,
+          balanceBefore: roundAmount(parseFloat(updated.balance) + amount),
+          balanceAfter: parseFloat(updated.balance),
+          referenceType,
+          referenceId,
+          description,
+          metadata: { journalId: journal.id },
+          status: 'COMPLETED',
+        },
+      });
+
+      return updated;
     });
 
     logger.info('Currency debited', { walletId, currency, amount });
@@ -367,41 +458,30 @@ class MultiCurrencyWalletService {
       throw new Error(`No ${fromCurrency} balance in wallet`);
     }
 
-    const available = parseFloat(sourceBalance.balance) - parseFloat(sourceBalance.lockedBalance);
-    if (amount > available) {
-      throw new Error(`Insufficient ${fromCurrency} balance`);
-    }
-
     // Calculate exchange
     const exchange = await this.calculateExchange(fromCurrency, toCurrency, amount);
 
     // Ensure destination currency balance exists
     await this.addCurrencyBalance(walletId, toCurrency);
 
-    // Perform exchange in transaction
+    // Each currency balances on its own through the exchange position
+    const exchangeRef = `EX${Date.now()}`;
     const result = await prisma.$transaction(async (tx) => {
-      // Debit source currency
-      const updatedSource = await tx.walletCurrencyBalance.update({
-        where: {
-          walletId_currency: { walletId, currency: fromCurrency },
-        },
-        data: {
-          balance: { decrement: amount },
-        },
-      });
-
-      // Credit destination currency
-      const updatedDest = await tx.walletCurrencyBalance.update({
-        where: {
-          walletId_currency: { walletId, currency: toCurrency },
-        },
-        data: {
-          balance: { increment: exchange.toAmount },
-        },
-      });
-
-      // Create exchange transaction records
-      const exchangeRef = `EX${Date.now()}`;
+      const { journal, balances } = await this.postToWallets({
+        reference: `CURRENCY_EXCHANGE:${exchangeRef}:${generateId()}`,
+        description: `Exchange ${fromCurrency} to ${toCurrency}`,
+        sourceId: walletId,
+        metadata: { exchangeRate: exchange.rate, exchangeRef },
+        lines: [
+          { accountCode: this.walletAccount(walletId, fromCurrency), debit: amount },
+          { accountCode: ledgerService.currencyAccount(ACCOUNTS.FX_POSITION, fromCurrency), credit: amount },
+          { accountCode: ledgerService.currencyAccount(ACCOUNTS.FX_POSITION, toCurrency), debit: exchange.toAmount },
+          { accountCode: this.walletAccount(walletId, toCurrency), credit: exchange.toAmount },
+        ],
+      }, [{ walletId, currency: fromCurrency }, { walletId, currency: toCurrency }], tx);
+
+      const updatedSource = balances[`${walletId}:${fromCurrency}`];
+      const updatedDest = balances[`${walletId}:${toCurrency}`];
 
       await tx.walletTransaction.create({
         data: {
@@ -409,7 +489,7 @@ class MultiCurrencyWalletService {
           type: 'DEBIT',
           amount,
           currency: fromCurrency,
-          balanceBefore: parseFloat(sourceBalance.balance),
+          balanceBefore: roundAmount(parseFloat(updatedSource.balance) + amount),
           balanceAfter: parseFloat(updatedSource.balance),
           referenceType: 'EXCHANGE',
           referenceId: exchangeRef,
@@ -418,19 +498,19 @@ class MultiCurrencyWalletService {
             exchangeRate: exchange.rate,
             toAmount: exchange.toAmount,
             toCurrency,
+            journalId: journal.id,
           },
           status: 'COMPLETED',
         },
       });
 
-      const destBalanceBefore = parseFloat(updatedDest.balance) - exchange.toAmount;
       await tx.walletTransaction.create({
         data: {
           walletId,
           type: 'CREDIT',
           amount: exchange.toAmount,
           currency: toCurrency,
-          balanceBefore: destBalanceBefore,
+          balanceBefore: roundAmount(parseFloat(updatedDest.balance) - exchange.toAmount),
           balanceAfter: parseFloat(updatedDest.balance),
           referenceType: 'EXCHANGE',
           referenceId: exchangeRef,
@@ -439,6 +519,7 @@ class MultiCurrencyWalletService {
             exchangeRate: exchange.rate,
             fromAmount: amount,
             fromCurrency,
+            journalId: journal.id,
           },
           status: 'COMPLETED',
         },
@@ -520,11 +601,6 @@ class MultiCurrencyWalletService {
       throw new Error(`No ${currency} balance in source wallet`);
     }
 
-    const available = parseFloat(sourceBalance.balance) - parseFloat(sourceBalance.lockedBalance);
-    if (amount > available) {
-      throw new Error(`Insufficient ${currency} balance`);
-    }
-
     // Determine receiving currency and amount
     let receivingCurrency = currency;
     let receivingAmount = amount;
@@ -539,34 +615,34 @@ class MultiCurrencyWalletService {
     await this.addCurrencyBalance(toWalletId, receivingCurrency);
 
     const transferRef = `TRF${Date.now()}`;
+    const source = this.walletAccount(fromWalletId, currency);
+    const destination = this.walletAccount(toWalletId, receivingCurrency);
+
+    // A converted transfer crosses currencies through the exchange position
+    const lines = receivingCurrency === currency
+      ? [
+        { accountCode: source, debit: amount },
+        { accountCode: destination, credit: amount },
+      ]
+      : [
+        { accountCode: source, debit: amount },
+        { accountCode: ledgerService.currencyAccount(ACCOUNTS.FX_POSITION, currency), credit: amount },
+        { accountCode: ledgerService.currencyAccount(ACCOUNTS.FX_POSITION, receivingCurrency), debit: receivingAmount },
+        { accountCode: destination, credit: receivingAmount },
+      ];
 
     // Perform transfer
     const result = await prisma.$transaction(async (tx) => {
-      // Debit source
-      const updatedSource = await tx.walletCurrencyBalance.update({
-        where: {
-          walletId_currency: { walletId: fromWalletId, currency },
-        },
-        data: {
-          balance: { decrement: amount },
-        },
-      });
-
-      // Credit destination
-      const destBalance = await tx.walletCurrencyBalance.findUnique({
-        where: {
-          walletId_currency: { walletId: toWalletId, currency: receivingCurrency },
-        },
-      });
+      const { journal, balances } = await this.postToWallets({
+        reference: `CURRENCY_TRANSFER:${transferRef}:${generateId()}`,
+        description: description || `Transfer to wallet ${toWalletId}`,
+        sourceId: fromWalletId,
+        metadata: { transferRef, toWalletId },
+        lines,
+      }, [{ walletId: fromWalletId, currency }, { walletId: toWalletId, currency: receivingCurrency }], tx);
 
-      const updatedDest = await tx.walletCurrencyBalance.update({
-        where: {
-          walletId_currency: { walletId: toWalletId, currency: receivingCurrency },
-        },
-        data: {
-          balance: { increment: receivingAmount },
-        },
-      });
+      const updatedSource = balances[`${fromWalletId}:${currency}`];
+      const updatedDest = balances[`${toWalletId}:${receivingCurrency}`];
 
       // Create transaction records
       await tx.walletTransaction.create({
@@ -575,12 +651,13 @@ class MultiCurrencyWalletService {
           type: 'TRANSFER_OUT',
           amount,
           currency,
-          balanceBefore: parseFloat(sourceBalance.balance),
+          balanceBefore: roundAmount(parseFloat(updatedSource.balance) + amount),
           balanceAfter: parseFloat(updatedSource.balance),
           counterpartyWalletId: toWalletId,
           referenceType: 'TRANSFER',
           referenceId: transferRef,
-          description: description || `Transfer to wallet`,
+          description: description || 'Transfer to wallet',
+          metadata: { journalId: journal.id },
           status: 'COMPLETED',
         },
       });
@@ -591,12 +668,13 @@ class MultiCurrencyWalletService {
           type: 'TRANSFER_IN',
           amount: receivingAmount,
           currency: receivingCurrency,
-          balanceBefore: parseFloat(destBalance?.balance || 0),
+          balanceBefore: roundAmount(parseFloat(updatedDest.balance) - receivingAmount),
           balanceAfter: parseFloat(updatedDest.balance),
           counterpartyWalletId: fromWalletId,
           referenceType: 'TRANSFER',
           referenceId: transferRef,
-          description: description || `Transfer from wallet`,
+          description: description || 'Transfer from wallet',
+          metadata: { journalId: journal.id },
           status: 'COMPLETED',
         },
       });
@@ -4,7 +4,10 @@
 // =============================================================================
 
 const { prisma } = require('../config/database');
+const { cache } = require('../config/redis');
+const config = require('../config');
 const logger = require('../config/logger');
+const { getTenantId, runAsSystem, withinTenant } = require('../utils/tenantContext');
 const { AppError, BadRequestError, NotFoundError } = require('../utils/errors');
 const crypto = require('crypto');
 
@@ -208,6 +211,30 @@ exports.getTenant = async (identifier) => {
   };
 };
 
+/**
+ * Resolve the tenant serving a request host (verified custom domains only)
+ * @param {string} host - Request host, without port
+ * @returns {Promise<string|null>} Tenant ID, or null for the main marketplace
+ */
+exports.resolveTenantByDomain = async (host) => {
+  const domain = (host || '').toLowerCase();
+
+  if (!domain || config.tenancy.platformHosts.includes(domain)) {
+    return null;
+  }
+
+  // Cached as an object so "no tenant" is cached too
+  const { tenantId } = await cache.getOrSet(domainCacheKey(domain), async () => {
+    const tenant = await prisma.tenant.findFirst({
+      where: { customDomain: domain, domainVerified: true, status: 'ACTIVE' },
+      select: { id: true },
+    });
+    return { tenantId: tenant?.id || null };
+  }, config.tenancy.domainCacheSeconds);
+
+  return tenantId;
+};
+
 /**
  * Update tenant
  * @param {string} tenantId - Tenant ID
@@ -370,6 +397,7 @@ exports.verifyCustomDomain = async (tenantId) => {
     where: { id: tenantId },
     data: { domainVerified: true },
   });
+  await cache.del(domainCacheKey(tenant.customDomain));
 
   logger.info('Domain verified', { tenantId, domain: tenant.customDomain });
 
@@ -386,6 +414,11 @@ exports.verifyCustomDomain = async (tenantId) => {
  * @returns {Promise<void>}
  */
 exports.removeCustomDomain = async (tenantId) => {
+  const tenant = await prisma.tenant.findUnique({
+    where: { id: tenantId },
+    select: { customDomain: true },
+  });
+
   await prisma.tenant.update({
     where: { id: tenantId },
     data: {
@@ -395,6 +428,10 @@ exports.removeCustomDomain = async (tenantId) => {
     },
   });
 
+  if (tenant?.customDomain) {
+    await cache.del(domainCacheKey(tenant.customDomain));
+  }
+
   logger.info('Domain removed', { tenantId });
 };
 
@@ -477,9 +514,10 @@ exports.validateApiKey = async (apiKey) => {
  * @param {string} tenantId - Tenant ID
  * @param {string} userId - User ID
  * @param {string} role - User role
+ * @param {Object} attributes - Extra membership fields (source, externalId, active)
  * @returns {Promise<Object>} Tenant member
  */
-exports.addTenantUser = async (tenantId, userId, role = 'member') => {
+exports.addTenantUser = async (tenantId, userId, role = 'member', attributes = {}) => {
   const tenant = await prisma.tenant.findUnique({
     where: { id: tenantId },
     include: { _count: { select: { members: true } } },
@@ -495,11 +533,12 @@ exports.addTenantUser = async (tenantId, userId, role = 'member') => {
     throw new BadRequestError('User limit reached for your plan');
   }
 
-  const member = await prisma.tenantMember.create({
+  const member = await withinTenant(tenantId, () => prisma.tenantMember.create({
     data: {
       tenantId,
       userId,
       role,
+      ...attributes,
     },
     include: {
       user: {
@@ -511,7 +550,7 @@ exports.addTenantUser = async (tenantId, userId, role = 'member') => {
         },
       },
     },
-  });
+  }));
 
   logger.info('User added to tenant', { tenantId, userId, role });
 
@@ -525,11 +564,11 @@ exports.addTenantUser = async (tenantId, userId, role = 'member') => {
  * @returns {Promise<void>}
  */
 exports.removeTenantUser = async (tenantId, userId) => {
-  await prisma.tenantMember.delete({
+  await withinTenant(tenantId, () => prisma.tenantMember.delete({
     where: {
       tenantId_userId: { tenantId, userId },
     },
-  });
+  }));
 
   logger.info('User removed from tenant', { tenantId, userId });
 };
@@ -540,7 +579,7 @@ exports.removeTenantUser = async (tenantId, userId) => {
  * @returns {Promise<Object[]>} Tenant members
  */
 exports.getTenantUsers = async (tenantId) => {
-  const members = await prisma.tenantMember.findMany({
+  const members = await withinTenant(tenantId, () => prisma.tenantMember.findMany({
     where: { tenantId },
     include: {
       user: {
@@ -554,7 +593,7 @@ exports.getTenantUsers = async (tenantId) => {
       },
     },
     orderBy: { createdAt: 'asc' },
-  });
+  }));
 
   return members;
 };
@@ -627,11 +666,13 @@ exports.updateWhiteLabelSettings = async (tenantId, settings) => {
 // =============================================================================
 
 /**
- * Get tenant-scoped query filter
- * @param {string} tenantId - Tenant ID
+ * Get tenant-scoped query filter. Tenant-scoped models are filtered by the
+ * Prisma tenant-isolation extension already; this is for raw queries and
+ * models outside TENANT_SCOPED_MODELS.
+ * @param {string} tenantId - Tenant ID (defaults to the request's tenant)
  * @returns {Object} Prisma where clause
  */
-exports.getTenantFilter = (tenantId) => {
+exports.getTenantFilter = (tenantId = getTenantId()) => {
   return { tenantId };
 };
 
@@ -646,12 +687,13 @@ exports.verifyTenantResource = async (tenantId, resourceType, resourceId) => {
   const model = prisma[resourceType];
   if (!model) return false;
 
-  const resource = await model.findFirst({
+  // A check, not an access: a foreign row should answer false rather than be denied
+  const resource = await runAsSystem(() => model.findFirst({
     where: {
       id: resourceId,
       tenantId,
     },
-  });
+  }));
 
   return !!resource;
 };
@@ -660,6 +702,10 @@ exports.verifyTenantResource = async (tenantId, resourceType, resourceId) => {
 // HELPER FUNCTIONS
 // =============================================================================
 
+function domainCacheKey(domain) {
+  return `tenant:domain:${domain.toLowerCase()}`;
+}
+
 function generateApiKey() {
   return `ak_${crypto.randomBytes(32).toString('hex')}`;
 }
@@ -685,14 +731,16 @@ async function createDefaultRoles(tenantId) {
     { name: 'member', permissions: ['read'], description: 'View only' },
   ];
 
-  for (const role of roles) {
-    await prisma.tenantRole.create({
-      data: {
-        tenantId,
-        ...role,
-      },
-    });
-  }
+  await withinTenant(tenantId, async () => {
+    for (const role of roles) {
+      await prisma.tenantRole.create({
+        data: {
+          tenantId,
+          ...role,
+        },
+      });
+    }
+  });
 }
 
 // =============================================================================
@@ -31,6 +31,11 @@ const TEMPLATES = {
   low_stock: { title: 'Low Stock Alert', body: '{productName} has only {quantity} units left', type: NOTIFICATION_TYPE.ALERT },
   rfq_received: { title: 'New RFQ Received', body: 'You have received a new quote request from {buyerName}', type: NOTIFICATION_TYPE.ORDER },
   rfq_response: { title: 'Quotation Received', body: '{sellerName} has responded to your RFQ', type: NOTIFICATION_TYPE.ORDER },
+  contract_nearly_exhausted: { title: 'Contract Nearly Exhausted', body: 'Contract {contractNumber} is {percent}% consumed ({scope})', type: NOTIFICATION_TYPE.ALERT },
+  contract_exhausted: { title: 'Contract Exhausted', body: 'Contract {contractNumber} commitment for {scope} is fully consumed', type: NOTIFICATION_TYPE.ALERT },
+  maverick_spend: { title: 'Off-Contract Purchase', body: 'Order #{orderNumber} bought {productName} off contract {contractNumber}, ₹{leakage} above contract price', type: NOTIFICATION_TYPE.ALERT },
+  lot_recalled: { title: 'Product Recall', body: 'Lot {lotNumber} of {productName} has been recalled ({quantity} units received): {reason}', type: NOTIFICATION_TYPE.ALERT },
+  lots_near_expiry: { title: 'Stock Nearing Expiry', body: '{count} lots are near expiry or below their minimum shelf life', type: NOTIFICATION_TYPE.ALERT },
 };
 
 // =============================================================================
@@ -24,6 +24,11 @@ const {
 } = require('../utils/helpers');
 const paymentService = require('./payment.service');
 const shippingService = require('./shipping.service');
+const budgetService = require('./budget.service');
+const contractPricingService = require('./contractPricing.service');
+const inventoryLotService = require('./inventoryLot.service');
+const ediService = require('./edi.service');
+const outboxService = require('./outbox.service');
 const emailService = require('./email.service');
 const smsService = require('./sms.service');
 const { emitToUser, emitToBusiness, emitToOrder } = require('./socket.service');
@@ -48,6 +53,51 @@ const ORDER_TRANSITIONS = {
   DISPUTED: ['RESOLVED_BUYER', 'RESOLVED_SELLER', 'RESOLVED_PARTIAL'],
 };
 
+// Order events that partners can subscribe to as webhooks
+const WEBHOOK_ORDER_EVENTS = [
+  'order.created',
+  'order.confirmed',
+  'order.shipped',
+  'order.delivered',
+  'order.cancelled',
+  'order.refunded',
+];
+
+/**
+ * Record an order event in the outbox, inside the transaction that changed
+ * the order, for the relay to publish to the bus, queues and webhooks
+ */
+const recordOrderEvent = (tx, order, previousStatus = null) => {
+  const eventType = previousStatus ? `order.${order.status.toLowerCase()}` : 'order.created';
+
+  return outboxService.enqueue(tx, {
+    aggregateType: 'Order',
+    aggregateId: order.id,
+    eventType,
+    payload: {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      buyerId: order.buyerId,
+      sellerId: order.sellerId,
+      status: order.status,
+      previousStatus,
+      paymentStatus: order.paymentStatus,
+      totalAmount: order.totalAmount,
+      currency: order.currency,
+      updatedAt: order.updatedAt,
+    },
+    destinations: {
+      bus: true,
+      jobs: previousStatus
+        ? [{ queue: 'order', name: 'status-update', data: { orderId: order.id, status: order.status } }]
+        : [],
+      webhook: WEBHOOK_ORDER_EVENTS.includes(eventType)
+        ? { businessIds: [order.sellerId, order.buyerId] }
+        : null,
+    },
+  });
+};
+
 /**
  * Create order from cart or quotation
  */
@@ -102,8 +152,10 @@ const createOrder = async (buyerId, data) => {
 
   // Process items and check inventory
   const orderItems = [];
+  const offContractLines = [];
   let subtotal = 0;
 
+  const variants = [];
   for (const item of items) {
     const variant = await prisma.productVariant.findUnique({
       where: { id: item.variantId },
@@ -119,6 +171,19 @@ const createOrder = async (buyerId, data) => {
       throw new NotFoundError(`Product variant ${item.variantId}`);
     }
 
+    variants.push(variant);
+  }
+
+  // Active buyer-seller contracts override catalog and tier prices
+  const contractPrices = await contractPricingService.resolvePrices(
+    buyerId,
+    sellerId,
+    items.map((item, index) => ({ ...item, productId: variants[index].productId })),
+  );
+
+  for (const [index, item] of items.entries()) {
+    const variant = variants[index];
+
     if (variant.product.businessId !== sellerId) {
       throw new BadRequestError('Product does not belong to seller');
     }
@@ -146,6 +211,20 @@ const createOrder = async (buyerId, data) => {
       }
     }
 
+    const contractPrice = contractPrices.get(variant.id);
+    const listPrice = unitPrice;
+    if (contractPrice) {
+      unitPrice = contractPrice.unitPrice;
+    } else {
+      offContractLines.push({
+        productId: variant.productId,
+        variantId: variant.id,
+        productName: variant.product.name,
+        quantity: item.quantity,
+        unitPrice,
+      });
+    }
+
     // Calculate tax
     const taxRate = variant.product.gstRate || 18;
     const itemTotal = parseFloat(unitPrice) * item.quantity;
@@ -163,6 +242,9 @@ const createOrder = async (buyerId, data) => {
       hsnCode: variant.product.hsnCode,
       quantity: item.quantity,
       unitPrice,
+      listPrice: contractPrice ? listPrice : null,
+      contractId: contractPrice?.contractId || null,
+      contractPriceItemId: contractPrice?.priceItemId || null,
       taxRate,
       taxAmount: taxAmount.total,
       totalPrice: itemTotal + taxAmount.total,
@@ -188,6 +270,7 @@ const createOrder = async (buyerId, data) => {
   const orderNumber = await generateOrderNumber(prisma);
 
   // Create order in transaction
+  let consumedContractIds = [];
   const order = await prisma.$transaction(async (tx) => {
     // Create order
     const newOrder = await tx.order.create({
@@ -240,6 +323,9 @@ const createOrder = async (buyerId, data) => {
       },
     });
 
+    // Lot-tracked lines are allocated first-expiry-first-out; lot numbers land on the items
+    newOrder.items = await inventoryLotService.allocateOrder(tx, newOrder, variants);
+
     // Reserve inventory
     for (const item of orderItems) {
       const reserved = await inventory.deduct(item.variantId, item.quantity);
@@ -254,9 +340,28 @@ const createOrder = async (buyerId, data) => {
       });
     }
 
+    // Consume contracted volumes
+    consumedContractIds = await contractPricingService.recordConsumption(
+      tx,
+      newOrder.id,
+      orderItems.map((item) => ({ ...item, priceItemId: item.contractPriceItemId })),
+    );
+
+    await recordOrderEvent(tx, newOrder);
+
     return newOrder;
   });
 
+  // Commitment alerts and off-contract purchases never block the order
+  try {
+    if (consumedContractIds.length > 0) {
+      await contractPricingService.checkExhaustion(consumedContractIds);
+    }
+    await contractPricingService.detectMaverickSpend(order, offContractLines);
+  } catch (error) {
+    logger.error('Contract compliance check failed', { orderId: order.id, error: error.message });
+  }
+
   // Create Razorpay order for payment
   const paymentOrder = await paymentService.createOrder({
     orderId: order.id,
@@ -433,9 +538,18 @@ const updateOrderStatus = async (orderId, businessId, newStatus, metadata = {})
       updateData.cancellationReason = metadata.reason;
       // Release reserved inventory
       await releaseOrderInventory(order);
+      // Free the PO's budget encumbrance and contracted volume; bookkeeping
+      // failures never block the cancellation
+      try {
+        await budgetService.releaseEncumbrance(orderId, metadata.reason || 'Order cancelled');
+        await contractPricingService.reverseConsumption(orderId);
+      } catch (error) {
+        logger.error('Budget or contract release failed', { orderId, error: error.message });
+      }
       // Process refund if paid
       if (['PAID', 'CONFIRMED', 'PROCESSING'].includes(order.status)) {
         await paymentService.refundPayment(orderId, 'Order cancelled');
+        await reverseBudgetActual(orderId, 'Order cancelled');
       }
       break;
 
@@ -447,29 +561,41 @@ const updateOrderStatus = async (orderId, businessId, newStatus, metadata = {})
     case 'REFUNDED':
       // Process refund
       await paymentService.refundPayment(orderId, metadata.reason);
+      await reverseBudgetActual(orderId, metadata.reason || 'Order refunded');
       break;
   }
 
-  // Update order
-  const updatedOrder = await prisma.order.update({
-    where: { id: orderId },
-    data: {
-      ...updateData,
-      timeline: {
-        create: {
-          status: newStatus,
-          title: getStatusTitle(newStatus),
-          description: metadata.description || getStatusDescription(newStatus),
-          metadata: metadata.extra || undefined,
-          createdBy: businessId,
+  // Update order and record the event atomically, so a crash can't lose it
+  const updatedOrder = await prisma.$transaction(async (tx) => {
+    const updated = await tx.order.update({
+      where: { id: orderId },
+      data: {
+        ...updateData,
+        timeline: {
+          create: {
+            status: newStatus,
+            title: getStatusTitle(newStatus),
+            description: metadata.description || getStatusDescription(newStatus),
+            metadata: metadata.extra || undefined,
+            createdBy: businessId,
+          },
         },
       },
-    },
+    });
+
+    await recordOrderEvent(tx, updated, order.status);
+
+    return updated;
   });
 
   // Send notifications
   await sendOrderNotifications(updatedOrder, order, newStatus);
 
+  // Orders placed over EDI get a PO acknowledgment (855 / ORDRSP)
+  if (newStatus === 'CONFIRMED') {
+    await ediService.sendOrderAcknowledgment(orderId);
+  }
+
   // Emit real-time updates
   emitToOrder(orderId, 'order:status', {
     orderId,
@@ -486,10 +612,28 @@ const updateOrderStatus = async (orderId, businessId, newStatus, metadata = {})
   return updatedOrder;
 };
 
+/**
+ * Reverse a refunded order's budget spend. The refund has already gone out,
+ * so a failure here is logged rather than failing the status change.
+ */
+const reverseBudgetActual = async (orderId, reason) => {
+  try {
+    await budgetService.reverseActual(orderId, reason);
+  } catch (error) {
+    logger.error('Budget actual reversal failed', { orderId, error: error.message });
+  }
+};
+
 /**
  * Release inventory for cancelled/refunded orders
  */
 const releaseOrderInventory = async (order) => {
+  // Required here: warehouse operations depends on this service
+  const warehouseOpsService = require('./warehouseOps.service');
+
+  await inventoryLotService.releaseOrder(prisma, order.id);
+  await warehouseOpsService.cancelOrderPicks(order.id);
+
   for (const item of order.items) {
     // Release from Redis
     await inventory.release(item.variantId, item.quantity);
@@ -733,6 +877,8 @@ const generateInvoice = async (orderId, businessId) => {
         invoiceGeneratedAt: new Date(),
       },
     });
+
+    await ediService.sendInvoice(orderId);
   }
 
   // Return invoice data (PDF generation would be handled separately)
@@ -0,0 +1,278 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - OUTBOX SERVICE
+// Transactional outbox: domain events stored with the state change, relayed later
+// =============================================================================
+
+const { prisma } = require('../config/database');
+const config = require('../config');
+const logger = require('../config/logger');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const OUTBOX_STATUS = {
+  PENDING: 'PENDING',
+  PROCESSING: 'PROCESSING',
+  PUBLISHED: 'PUBLISHED',
+  DEAD: 'DEAD',
+};
+
+// Keys of OutboxEvent.destinations, published in this order
+const DESTINATION = {
+  BUS: 'bus',
+  JOBS: 'jobs',
+  WEBHOOK: 'webhook',
+  SEARCH_INDEX: 'searchIndex',
+};
+
+// Retry backoff: 2s, 4s, 8s ... capped at 15 minutes
+const BASE_RETRY_DELAY_MS = 2000;
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+const retryDelay = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+const aggregateKey = (event) => `${event.aggregateType}:${event.aggregateId}`;
+
+/**
+ * Destinations an event still has to reach, in publishing order
+ */
+const pendingDestinations = (event) => {
+  const destinations = event.destinations || {};
+  const delivered = new Set(event.deliveredTo || []);
+
+  return Object.values(DESTINATION).filter((destination) => {
+    const target = destinations[destination];
+    const wanted = Array.isArray(target) ? target.length > 0 : Boolean(target);
+    return wanted && !delivered.has(destination);
+  });
+};
+
+// =============================================================================
+// ENQUEUE
+// =============================================================================
+
+/**
+ * Record a domain event in the caller's transaction so it commits (or rolls
+ * back) together with the state change it describes
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} event - { aggregateType, aggregateId, eventType, payload, destinations, idempotencyKey? }
+ * @returns {Promise<Object>} Outbox event
+ */
+const enqueue = async (tx, event) => {
+  const {
+    aggregateType,
+    aggregateId,
+    eventType,
+    payload = {},
+    destinations = {},
+    idempotencyKey,
+  } = event;
+
+  // Re-recording the same logical event is a no-op
+  if (idempotencyKey) {
+    const existing = await tx.outboxEvent.findUnique({ where: { idempotencyKey } });
+    if (existing) return existing;
+  }
+
+  // A concurrent writer on the same aggregate trips the unique (aggregate, sequence)
+  // index and rolls back instead of publishing out of order
+  const last = await tx.outboxEvent.findFirst({
+    where: { aggregateType, aggregateId },
+    orderBy: { sequence: 'desc' },
+    select: { sequence: true },
+  });
+  const sequence = (last?.sequence || 0) + 1;
+
+  return tx.outboxEvent.create({
+    data: {
+      aggregateType,
+      aggregateId,
+      sequence,
+      eventType,
+      payload,
+      destinations,
+      deliveredTo: [],
+      idempotencyKey: idempotencyKey || `${aggregateType}:${aggregateId}:${sequence}`,
+    },
+  });
+};
+
+// =============================================================================
+// RELAY SUPPORT
+// =============================================================================
+
+/**
+ * Return claims held by relay workers that died mid-publish
+ */
+const releaseStaleClaims = async () => {
+  const result = await prisma.outboxEvent.updateMany({
+    where: {
+      status: OUTBOX_STATUS.PROCESSING,
+      lockedAt: { lt: new Date(Date.now() - config.outbox.lockTimeoutMs) },
+    },
+    data: { status: OUTBOX_STATUS.PENDING, lockedBy: null, lockedAt: null },
+  });
+
+  if (result.count > 0) {
+    logger.warn('Released stale outbox claims', { count: result.count });
+  }
+
+  return result.count;
+};
+
+/**
+ * Claim due events for a relay worker. Only the head of each aggregate's
+ * unpublished stream is eligible, so an event never overtakes an earlier one
+ * that is still pending, retrying or being published elsewhere.
+ * @param {string} workerId - Relay worker id
+ * @param {number} limit - Maximum events to claim
+ * @returns {Promise<Array>} Claimed events, oldest first
+ */
+const claimBatch = async (workerId, limit = config.outbox.batchSize) => {
+  const now = new Date();
+
+  const due = await prisma.outboxEvent.findMany({
+    where: { status: OUTBOX_STATUS.PENDING, nextAttemptAt: { lte: now } },
+    orderBy: [{ createdAt: 'asc' }, { sequence: 'asc' }],
+    take: limit,
+  });
+
+  if (due.length === 0) return [];
+
+  // Lowest unpublished sequence per aggregate among the candidates
+  const heads = new Map();
+  for (const event of due) {
+    const current = heads.get(aggregateKey(event));
+    if (!current || event.sequence < current.sequence) heads.set(aggregateKey(event), event);
+  }
+
+  const blockers = await prisma.outboxEvent.findMany({
+    where: {
+      status: { in: [OUTBOX_STATUS.PENDING, OUTBOX_STATUS.PROCESSING] },
+      OR: [...heads.values()].map((event) => ({
+        aggregateType: event.aggregateType,
+        aggregateId: event.aggregateId,
+        sequence: { lt: event.sequence },
+      })),
+    },
+    select: { aggregateType: true, aggregateId: true },
+  });
+  const blocked = new Set(blockers.map(aggregateKey));
+
+  const claimed = [];
+  for (const event of heads.values()) {
+    if (blocked.has(aggregateKey(event))) continue;
+
+    // Conditional update: another relay instance may have claimed it first
+    const result = await prisma.outboxEvent.updateMany({
+      where: { id: event.id, status: OUTBOX_STATUS.PENDING },
+      data: {
+        status: OUTBOX_STATUS.PROCESSING,
+        lockedBy: workerId,
+        lockedAt: now,
+        attempts: { increment: 1 },
+      },
+    });
+
+    if (result.count === 1) {
+      claimed.push({ ...event, attempts: event.attempts + 1 });
+    }
+  }
+
+  return claimed.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+/**
+ * Remember that one destination accepted the event, so a retry skips it
+ */
+const markDelivered = async (eventId, destination) => {
+  await prisma.outboxEvent.update({
+    where: { id: eventId },
+    data: { deliveredTo: { push: destination } },
+  });
+};
+
+const markPublished = async (eventId) => {
+  await prisma.outboxEvent.update({
+    where: { id: eventId },
+    data: {
+      status: OUTBOX_STATUS.PUBLISHED,
+      publishedAt: new Date(),
+      lastError: null,
+      lockedBy: null,
+      lockedAt: null,
+    },
+  });
+};
+
+/**
+ * Schedule a retry with exponential backoff, or park the event as DEAD
+ * once it has used up its attempts (later events of the aggregate then proceed)
+ */
+const markFailed = async (event, error) => {
+  const dead = event.attempts >= config.outbox.maxAttempts;
+
+  await prisma.outboxEvent.update({
+    where: { id: event.id },
+    data: {
+      status: dead ? OUTBOX_STATUS.DEAD : OUTBOX_STATUS.PENDING,
+      nextAttemptAt: new Date(Date.now() + retryDelay(event.attempts)),
+      lastError: String(error.message || error).substring(0, 1000),
+      lockedBy: null,
+      lockedAt: null,
+    },
+  });
+
+  const context = {
+    eventId: event.id,
+    eventType: event.eventType,
+    aggregate: aggregateKey(event),
+    attempts: event.attempts,
+    error: error.message,
+  };
+
+  if (dead) {
+    logger.error('Outbox event dead-lettered', context);
+  } else {
+    logger.warn('Outbox event publish failed, will retry', context);
+  }
+
+  return dead;
+};
+
+/**
+ * Delete published events older than the retention window
+ */
+const purgePublished = async (retentionDays = 7) => {
+  const result = await prisma.outboxEvent.deleteMany({
+    where: {
+      status: OUTBOX_STATUS.PUBLISHED,
+      publishedAt: { lt: new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000) },
+    },
+  });
+
+  return result.count;
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  OUTBOX_STATUS,
+  DESTINATION,
+  retryDelay,
+  pendingDestinations,
+  enqueue,
+  releaseStaleClaims,
+  claimBatch,
+  markDelivered,
+  markPublished,
+  markFailed,
+  purgePublished,
+};
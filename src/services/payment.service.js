@@ -10,10 +10,16 @@ const config = require('../config');
 const logger = require('../config/logger');
 const {
   BadRequestError,
+  ConflictError,
   PaymentFailedError,
   NotFoundError,
 } = require('../utils/errors');
-const { verifyRazorpaySignature } = require('../utils/helpers');
+const { verifyRazorpaySignature, roundTo } = require('../utils/helpers');
+const taxWithholdingService = require('./taxWithholding.service');
+const budgetService = require('./budget.service');
+const ledgerService = require('./ledger.service');
+
+const { ACCOUNTS } = ledgerService;
 
 // Initialize Razorpay
 const razorpay = new Razorpay({
@@ -58,6 +64,37 @@ const createOrder = async (data) => {
   }
 };
 
+/**
+ * Post a captured payment to the ledger: the gateway owes the money and the
+ * order's clearing account holds it until its commission journal settles it.
+ * Verification and the capture webhook both post; the reference keeps it once.
+ */
+const postCaptureJournal = (payment, tx = null) => ledgerService.postJournal({
+  reference: `PAYMENT_CAPTURE:${payment.id}`,
+  description: `Gateway payment for order ${payment.orderId}`,
+  sourceType: 'PAYMENT',
+  sourceId: payment.id,
+  lines: [
+    { accountCode: ACCOUNTS.GATEWAY_CLEARING, debit: payment.amount },
+    { accountCode: ACCOUNTS.ORDERS_CLEARING, credit: payment.amount },
+  ],
+}, tx);
+
+/**
+ * Post a gateway refund to the ledger, keyed on the gateway's refund ID so
+ * the refund call and the refund webhook post it once between them
+ */
+const postRefundJournal = (payment, refundId, amount, tx = null) => ledgerService.postJournal({
+  reference: `PAYMENT_REFUND:${refundId}`,
+  description: `Gateway refund for order ${payment.orderId}`,
+  sourceType: 'PAYMENT',
+  sourceId: payment.id,
+  lines: [
+    { accountCode: ACCOUNTS.ORDERS_CLEARING, debit: amount },
+    { accountCode: ACCOUNTS.GATEWAY_CLEARING, credit: amount },
+  ],
+}, tx);
+
 /**
  * Verify payment signature
  */
@@ -79,20 +116,27 @@ const verifyPayment = async (data) => {
   // Get payment from Razorpay
   const razorpayPayment = await razorpay.payments.fetch(razorpay_payment_id);
 
-  // Update payment record
-  const payment = await prisma.payment.update({
-    where: { gatewayOrderId: razorpay_order_id },
-    data: {
-      status: razorpayPayment.status === 'captured' ? 'CAPTURED' : 'AUTHORIZED',
-      gatewayPaymentId: razorpay_payment_id,
-      gatewaySignature: razorpay_signature,
-      gatewayResponse: razorpayPayment,
-      method: mapPaymentMethod(razorpayPayment.method),
-      paidAt: new Date(),
-    },
-    include: {
-      order: true,
-    },
+  // Update payment record, with the captured money on the ledger
+  const payment = await prisma.$transaction(async (tx) => {
+    const updated = await tx.payment.update({
+      where: { gatewayOrderId: razorpay_order_id },
+      data: {
+        status: razorpayPayment.status === 'captured' ? 'CAPTURED' : 'AUTHORIZED',
+        gatewayPaymentId: razorpay_payment_id,
+        gatewaySignature: razorpay_signature,
+        gatewayResponse: razorpayPayment,
+        method: mapPaymentMethod(razorpayPayment.method),
+        paidAt: new Date(),
+      },
+      include: {
+        order: true,
+      },
+    });
+    if (updated.status === 'CAPTURED') {
+      await postCaptureJournal(updated, tx);
+    }
+
+    return updated;
   });
 
   // Update order status
@@ -114,6 +158,13 @@ const verifyPayment = async (data) => {
 
     // Create split transfers using Razorpay Route
     await createSplitTransfers(payment);
+
+    // Paid POs move from encumbered to actual on the buyer's budget
+    try {
+      await budgetService.recordActual(payment.orderId, payment.amount, payment.id);
+    } catch (error) {
+      logger.error('Failed to record budget actual', { orderId: payment.orderId, error: error.message });
+    }
   }
 
   logger.logAudit('PAYMENT_VERIFIED', null, {
@@ -147,9 +198,10 @@ const createSplitTransfers = async (payment) => {
   }
 
   try {
-    // Calculate split amounts
+    // Calculate split amounts, net of GST TCS and 194-O TDS
     const platformFee = parseFloat(order.platformFee);
-    const sellerAmount = parseFloat(payment.amount) - platformFee;
+    const withholding = await taxWithholdingService.recordWithholding(order.id);
+    const sellerAmount = roundTo(parseFloat(payment.amount) - platformFee - withholding.totalWithheld);
 
     // Create transfer to seller (hold for escrow)
     const transfer = await razorpay.payments.transfer(payment.gatewayPaymentId, {
@@ -175,6 +227,8 @@ const createSplitTransfers = async (payment) => {
         splitDetails: {
           sellerAmount,
           platformFee,
+          tcsAmount: withholding.tcs ? withholding.tcs.amount : 0,
+          tdsAmount: withholding.tds.amount,
           sellerAccountId: order.seller.razorpayAccountId,
         },
         transferIds: transfer.items.map((t) => t.id),
@@ -228,20 +282,44 @@ const releaseEscrow = async (orderId) => {
 
 /**
  * Process refund
+ * Refunds the full captured amount unless a partial `amount` is given
  */
-const refundPayment = async (orderId, reason) => {
+const refundPayment = async (orderId, reason, amount = null) => {
   const payment = await prisma.payment.findFirst({
-    where: { orderId, status: { in: ['CAPTURED', 'SETTLED'] } },
+    where: { orderId, status: { in: ['CAPTURED', 'SETTLED', 'PARTIALLY_REFUNDED'] } },
   });
 
   if (!payment) {
     throw new NotFoundError('Payment');
   }
 
+  const alreadyRefunded = parseFloat(payment.refundAmount || 0);
+  const refundable = parseFloat(payment.amount) - alreadyRefunded;
+  const refundValue = amount === null ? refundable : parseFloat(amount);
+
+  if (refundValue <= 0 || refundValue > refundable) {
+    throw new BadRequestError(`Refund amount must be between 0 and ${refundable}`);
+  }
+
+  // Reserve the refund before calling the gateway, guarded on the payment
+  // still having room for it, so concurrent refunds can't both pass the check
+  const { count } = await prisma.payment.updateMany({
+    where: payment.refundAmount === null
+      ? { id: payment.id, refundAmount: null }
+      : { id: payment.id, refundAmount: { lte: roundTo(parseFloat(payment.amount) - refundValue) } },
+    data: payment.refundAmount === null
+      ? { refundAmount: refundValue }
+      : { refundAmount: { increment: refundValue } },
+  });
+  if (count === 0) {
+    throw new ConflictError('Another refund on this payment changed the refundable amount. Please retry.');
+  }
+
+  let refund = null;
   try {
     // Create refund in Razorpay
-    const refund = await razorpay.payments.refund(payment.gatewayPaymentId, {
-      amount: Math.round(parseFloat(payment.amount) * 100),
+    refund = await razorpay.payments.refund(payment.gatewayPaymentId, {
+      amount: Math.round(refundValue * 100),
       speed: 'normal',
       notes: {
         reason,
@@ -249,24 +327,31 @@ const refundPayment = async (orderId, reason) => {
       },
     });
 
-    // Update payment record
-    await prisma.payment.update({
-      where: { id: payment.id },
-      data: {
-        status: 'REFUNDED',
-        refundAmount: payment.amount,
-        refundReason: reason,
-        refundId: refund.id,
-        refundedAt: new Date(),
-      },
+    // Status follows everything refunded so far, including concurrent refunds
+    const reserved = await prisma.payment.findUnique({ where: { id: payment.id } });
+    const isPartial = parseFloat(reserved.refundAmount) < parseFloat(payment.amount);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.payment.update({
+        where: { id: payment.id },
+        data: {
+          status: isPartial ? 'PARTIALLY_REFUNDED' : 'REFUNDED',
+          refundReason: reason,
+          refundId: refund.id,
+          refundedAt: new Date(),
+        },
+      });
+      await postRefundJournal(payment, refund.id, refundValue, tx);
     });
 
-    // Reverse transfers if any
+    // Reverse transfers if any (pro rata for partial refunds)
     if (payment.transferIds?.length) {
+      const sellerAmount = parseFloat(payment.splitDetails?.sellerAmount || 0);
+      const reverseAmount = sellerAmount * (refundValue / parseFloat(payment.amount));
       for (const transferId of payment.transferIds) {
         try {
           await razorpay.transfers.reverse(transferId, {
-            amount: Math.round(parseFloat(payment.splitDetails?.sellerAmount || 0) * 100),
+            amount: Math.round(reverseAmount * 100),
           });
         } catch (e) {
           logger.error(`Failed to reverse transfer ${transferId}:`, e);
@@ -277,11 +362,19 @@ const refundPayment = async (orderId, reason) => {
     logger.logAudit('PAYMENT_REFUNDED', null, {
       orderId,
       paymentId: payment.id,
-      amount: payment.amount,
+      amount: refundValue,
+      isPartial,
     });
 
-    return { success: true, refundId: refund.id };
+    return { success: true, refundId: refund.id, amount: refundValue, isPartial };
   } catch (error) {
+    // Nothing left the gateway, so the reserved amount is refundable again
+    if (!refund) {
+      await prisma.payment.update({
+        where: { id: payment.id },
+        data: { refundAmount: { decrement: refundValue } },
+      });
+    }
     logger.error('Failed to process refund:', error);
     throw new PaymentFailedError('Failed to process refund');
   }
@@ -386,15 +479,20 @@ const handlePaymentCaptured = async (paymentEntity) => {
     where: { gatewayPaymentId: paymentEntity.id },
   });
 
-  if (payment && payment.status !== 'CAPTURED') {
-    await prisma.payment.update({
-      where: { id: payment.id },
-      data: {
-        status: 'CAPTURED',
-        paidAt: new Date(paymentEntity.created_at * 1000),
-      },
-    });
-  }
+  if (!payment) return;
+
+  await prisma.$transaction(async (tx) => {
+    if (payment.status !== 'CAPTURED') {
+      await tx.payment.update({
+        where: { id: payment.id },
+        data: {
+          status: 'CAPTURED',
+          paidAt: new Date(paymentEntity.created_at * 1000),
+        },
+      });
+    }
+    await postCaptureJournal(payment, tx);
+  });
 };
 
 /**
@@ -425,17 +523,22 @@ const handleRefundCreated = async (refundEntity) => {
     where: { gatewayPaymentId: refundEntity.payment_id },
   });
 
-  if (payment && !payment.refundId) {
-    await prisma.payment.update({
-      where: { id: payment.id },
-      data: {
-        status: 'REFUNDED',
-        refundId: refundEntity.id,
-        refundAmount: refundEntity.amount / 100,
-        refundedAt: new Date(refundEntity.created_at * 1000),
-      },
-    });
-  }
+  if (!payment) return;
+
+  await prisma.$transaction(async (tx) => {
+    if (!payment.refundId) {
+      await tx.payment.update({
+        where: { id: payment.id },
+        data: {
+          status: 'REFUNDED',
+          refundId: refundEntity.id,
+          refundAmount: refundEntity.amount / 100,
+          refundedAt: new Date(refundEntity.created_at * 1000),
+        },
+      });
+    }
+    await postRefundJournal(payment, refundEntity.id, refundEntity.amount / 100, tx);
+  });
 };
 
 /**
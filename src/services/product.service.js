@@ -18,9 +18,33 @@ const {
   isValidHSN,
 } = require('../utils/helpers');
 const uploadService = require('./upload.service');
+const outboxService = require('./outbox.service');
 
 const CACHE_TTL = 1800; // 30 minutes
 
+/**
+ * Record a catalog change in the outbox so the search index, the event bus
+ * and product webhooks pick it up even if the process dies after commit
+ */
+const recordProductEvent = (tx, product, eventType) => outboxService.enqueue(tx, {
+  aggregateType: 'Product',
+  aggregateId: product.id,
+  eventType,
+  payload: {
+    productId: product.id,
+    businessId: product.businessId,
+    name: product.name,
+    slug: product.slug,
+    status: product.status,
+    updatedAt: product.updatedAt,
+  },
+  destinations: {
+    bus: true,
+    webhook: { businessIds: [product.businessId] },
+    searchIndex: { products: [product.id] },
+  },
+});
+
 /**
  * Create product (SPU)
  */
@@ -67,6 +91,9 @@ const createProduct = async (businessId, data) => {
       minOrderQuantity: data.minOrderQuantity || 1,
       orderMultiple: data.orderMultiple || 1,
       leadTimeDays: data.leadTimeDays || 1,
+      lotTracked: data.lotTracked || false,
+      minShelfLifeDays: data.minShelfLifeDays,
+      nearExpiryDays: data.nearExpiryDays,
       weight: data.weight,
       length: data.length,
       width: data.width,
@@ -137,19 +164,25 @@ const updateProduct = async (productId, businessId, data) => {
     slug = await generateUniqueProductSlug(businessId, data.name);
   }
 
-  const updatedProduct = await prisma.product.update({
-    where: { id: productId },
-    data: {
-      ...data,
-      slug,
-      updatedAt: new Date(),
-    },
-    include: {
-      category: {
-        select: { id: true, name: true, slug: true },
+  const updatedProduct = await prisma.$transaction(async (tx) => {
+    const updated = await tx.product.update({
+      where: { id: productId },
+      data: {
+        ...data,
+        slug,
+        updatedAt: new Date(),
       },
-      variants: true,
-    },
+      include: {
+        category: {
+          select: { id: true, name: true, slug: true },
+        },
+        variants: true,
+      },
+    });
+
+    await recordProductEvent(tx, updated, 'product.updated');
+
+    return updated;
   });
 
   // Clear cache
@@ -738,12 +771,16 @@ const deleteProduct = async (productId, businessId) => {
     throw new ForbiddenError('Cannot delete this product');
   }
 
-  await prisma.product.update({
-    where: { id: productId },
-    data: {
-      status: 'DISCONTINUED',
-      deletedAt: new Date(),
-    },
+  await prisma.$transaction(async (tx) => {
+    const deleted = await tx.product.update({
+      where: { id: productId },
+      data: {
+        status: 'DISCONTINUED',
+        deletedAt: new Date(),
+      },
+    });
+
+    await recordProductEvent(tx, deleted, 'product.deleted');
   });
 
   // Update product count
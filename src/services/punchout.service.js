@@ -0,0 +1,882 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - PUNCHOUT SERVICE
+// cXML and SAP OCI punchout: setup, cart return and inbound OrderRequest
+// =============================================================================
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { XMLParser, XMLBuilder } = require('fast-xml-parser');
+const { prisma } = require('../config/database');
+const config = require('../config');
+const logger = require('../config/logger');
+const { BadRequestError, NotFoundError, ForbiddenError, UnauthorizedError } = require('../utils/errors');
+const { sha256 } = require('../utils/hashChain');
+const { roundTo } = require('../utils/helpers');
+const cartService = require('./cart.service');
+const orderService = require('./order.service');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const PROTOCOL = {
+  CXML: 'CXML',
+  OCI: 'OCI',
+};
+
+const SESSION_STATUS = {
+  OPEN: 'OPEN',
+  ACTIVE: 'ACTIVE',
+  TRANSFERRED: 'TRANSFERRED',
+  EXPIRED: 'EXPIRED',
+};
+
+const CXML_VERSION = '1.2.050';
+const CXML_DOCTYPE = `<!DOCTYPE cXML SYSTEM "http://xml.cxml.org/schemas/cXML/${CXML_VERSION}/cXML.dtd">`;
+const OCI_DOMAIN = 'OCI';
+const DEFAULT_CURRENCY = 'INR';
+const DEFAULT_UNIT = 'EA';
+const LOG_PAYLOAD_LIMIT = 20000;
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: (name) => ['Credential', 'ItemOut', 'Extrinsic'].includes(name),
+});
+
+const builder = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  suppressEmptyNode: true,
+});
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const hashSecret = (secret) => sha256(String(secret));
+
+const secretMatches = (secret, hash) => {
+  if (!secret || !hash) return false;
+  const given = Buffer.from(hashSecret(secret));
+  const expected = Buffer.from(hash);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const generatePayloadId = () => `${Date.now()}.${crypto.randomBytes(8).toString('hex')}@${config.punchout.supplierIdentity}`;
+
+const truncate = (payload) => {
+  if (payload === undefined || payload === null) return null;
+  const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  return text.length > LOG_PAYLOAD_LIMIT ? `${text.slice(0, LOG_PAYLOAD_LIMIT)}…` : text;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Text content of a parsed node, whether it carried attributes or not
+ */
+const textOf = (node) => {
+  if (node === undefined || node === null) return null;
+  if (typeof node === 'object') return node['#text'] ?? null;
+  return String(node);
+};
+
+const hostAllowed = (url, allowedHosts = []) => {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+  return allowedHosts.some((allowed) => {
+    const pattern = allowed.toLowerCase();
+    return pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern;
+  });
+};
+
+const writeLog = async (entry) => {
+  try {
+    await prisma.punchoutLog.create({
+      data: {
+        sessionId: entry.sessionId || null,
+        credentialId: entry.credentialId || null,
+        buyerBusinessId: entry.buyerBusinessId || null,
+        direction: entry.direction,
+        documentType: entry.documentType,
+        payloadId: entry.payloadId || null,
+        statusCode: entry.statusCode,
+        error: entry.error || null,
+        payload: truncate(entry.payload),
+        orderIds: entry.orderIds || [],
+      },
+    });
+  } catch (error) {
+    logger.error('Failed to write punchout log', { error: error.message, documentType: entry.documentType });
+  }
+};
+
+// =============================================================================
+// cXML DOCUMENTS
+// =============================================================================
+
+const parseCxml = (xml) => {
+  if (!xml || typeof xml !== 'string') {
+    throw new BadRequestError('cXML document body is required');
+  }
+
+  let document;
+  try {
+    document = parser.parse(xml);
+  } catch (error) {
+    throw new BadRequestError(`Malformed cXML: ${error.message}`);
+  }
+
+  if (!document.cXML) {
+    throw new BadRequestError('Document is not cXML');
+  }
+  return document.cXML;
+};
+
+const buildCxml = (body) => {
+  const root = {
+    cXML: {
+      '@_payloadID': generatePayloadId(),
+      '@_timestamp': new Date().toISOString(),
+      '@_xml:lang': 'en-US',
+      ...body,
+    },
+  };
+  return `<?xml version="1.0" encoding="UTF-8"?>${CXML_DOCTYPE}${builder.build(root)}`;
+};
+
+const cxmlResponse = (code, text, content = {}) => buildCxml({
+  Response: {
+    Status: { '@_code': String(code), '@_text': text },
+    ...content,
+  },
+});
+
+const supplierCredential = () => ({
+  '@_domain': config.punchout.supplierDomain,
+  Identity: config.punchout.supplierIdentity,
+});
+
+/**
+ * Resolve the buyer credential from the From/Sender header.
+ * The From credential identifies the buyer; the Sender carries the shared secret.
+ */
+const authenticateCxml = async (header) => {
+  const fromCredentials = header?.From?.Credential || [];
+  const senderCredentials = header?.Sender?.Credential || [];
+  const secrets = senderCredentials.map((credential) => textOf(credential.SharedSecret)).filter(Boolean);
+
+  for (const candidate of fromCredentials) {
+    const credential = await prisma.punchoutCredential.findUnique({
+      where: {
+        protocol_domain_identity: {
+          protocol: PROTOCOL.CXML,
+          domain: candidate['@_domain'],
+          identity: textOf(candidate.Identity),
+        },
+      },
+    });
+
+    if (credential?.isActive && secrets.some((secret) => secretMatches(secret, credential.secretHash))) {
+      await prisma.punchoutCredential.update({
+        where: { id: credential.id },
+        data: { lastUsedAt: new Date() },
+      });
+      return credential;
+    }
+  }
+
+  throw new UnauthorizedError('Invalid punchout credentials');
+};
+
+// =============================================================================
+// CREDENTIALS
+// =============================================================================
+
+/**
+ * Register a procurement system for a buyer. The shared secret is returned once.
+ */
+const createCredential = async (buyerBusinessId, data, createdBy) => {
+  const user = await prisma.user.findFirst({
+    where: {
+      id: data.userId,
+      isActive: true,
+      OR: [
+        { business: { id: buyerBusinessId } },
+        { businessMemberships: { some: { businessId: buyerBusinessId, isActive: true } } },
+      ],
+    },
+  });
+
+  if (!user) {
+    throw new BadRequestError('Punchout user must be an active member of the buying business');
+  }
+
+  const domain = data.protocol === PROTOCOL.OCI ? OCI_DOMAIN : data.domain;
+  if (!domain) {
+    throw new BadRequestError('cXML credentials require a domain');
+  }
+
+  const existing = await prisma.punchoutCredential.findUnique({
+    where: { protocol_domain_identity: { protocol: data.protocol, domain, identity: data.identity } },
+  });
+
+  if (existing) {
+    throw new BadRequestError('A punchout credential with this identity already exists');
+  }
+
+  const secret = data.secret || crypto.randomBytes(24).toString('base64url');
+
+  const credential = await prisma.punchoutCredential.create({
+    data: {
+      buyerBusinessId,
+      protocol: data.protocol,
+      name: data.name,
+      domain,
+      identity: data.identity,
+      secretHash: hashSecret(secret),
+      userId: data.userId,
+      allowedReturnHosts: data.allowedReturnHosts.map((host) => host.toLowerCase()),
+      createdBy,
+    },
+  });
+
+  logger.info('Punchout credential created', { credentialId: credential.id, buyerBusinessId });
+
+  const safe = { ...credential, secret };
+  delete safe.secretHash;
+  return safe;
+};
+
+const listCredentials = (buyerBusinessId) => prisma.punchoutCredential.findMany({
+  where: { buyerBusinessId },
+  select: {
+    id: true,
+    protocol: true,
+    name: true,
+    domain: true,
+    identity: true,
+    userId: true,
+    allowedReturnHosts: true,
+    isActive: true,
+    lastUsedAt: true,
+    createdAt: true,
+  },
+  orderBy: { createdAt: 'desc' },
+});
+
+const deactivateCredential = async (credentialId, buyerBusinessId) => {
+  const credential = await prisma.punchoutCredential.findFirst({
+    where: { id: credentialId, buyerBusinessId },
+  });
+
+  if (!credential) {
+    throw new NotFoundError('Punchout credential');
+  }
+
+  await prisma.punchoutCredential.update({
+    where: { id: credentialId },
+    data: { isActive: false },
+  });
+
+  return { id: credentialId, isActive: false };
+};
+
+// =============================================================================
+// SESSION SETUP
+// =============================================================================
+
+const createSession = async (credential, data) => {
+  const startToken = crypto.randomBytes(32).toString('hex');
+  const ttlMs = config.punchout.sessionTtlMinutes * 60 * 1000;
+
+  const session = await prisma.punchoutSession.create({
+    data: {
+      credentialId: credential.id,
+      buyerBusinessId: credential.buyerBusinessId,
+      userId: credential.userId,
+      protocol: credential.protocol,
+      operation: data.operation || 'create',
+      buyerCookie: data.buyerCookie || null,
+      returnUrl: data.returnUrl,
+      payloadId: data.payloadId || null,
+      ociParams: data.ociParams || undefined,
+      startTokenHash: hashSecret(startToken),
+      expiresAt: new Date(Date.now() + ttlMs),
+      ipAddress: data.ipAddress || null,
+      userAgent: data.userAgent || null,
+    },
+  });
+
+  return { session, startToken };
+};
+
+const startPageUrl = (startToken) => `${config.app.url}/api/v1/punchout/start/${startToken}`;
+
+/**
+ * Handle a cXML PunchOutSetupRequest. Always resolves to a cXML document;
+ * failures are reported through the Status element as the protocol expects.
+ */
+const setupCxml = async (xml, meta = {}) => {
+  let cxml;
+  let credential;
+
+  try {
+    cxml = parseCxml(xml);
+    const request = cxml.Request?.PunchOutSetupRequest;
+    if (!request) {
+      throw new BadRequestError('PunchOutSetupRequest element is missing');
+    }
+
+    credential = await authenticateCxml(cxml.Header);
+
+    const returnUrl = textOf(request.BrowserFormPost?.URL);
+    if (!returnUrl || !hostAllowed(returnUrl, credential.allowedReturnHosts)) {
+      throw new ForbiddenError('BrowserFormPost URL is not allowed for this credential');
+    }
+
+    const { session, startToken } = await createSession(credential, {
+      operation: request['@_operation'],
+      buyerCookie: textOf(request.BuyerCookie),
+      returnUrl,
+      payloadId: cxml['@_payloadID'],
+      ipAddress: meta.ipAddress,
+      userAgent: meta.userAgent,
+    });
+
+    await writeLog({
+      sessionId: session.id,
+      credentialId: credential.id,
+      buyerBusinessId: credential.buyerBusinessId,
+      direction: 'INBOUND',
+      documentType: 'PunchOutSetupRequest',
+      payloadId: cxml['@_payloadID'],
+      statusCode: 200,
+      payload: xml,
+    });
+
+    logger.info('cXML punchout session created', { sessionId: session.id, credentialId: credential.id });
+
+    return {
+      status: 200,
+      xml: cxmlResponse(200, 'OK', {
+        PunchOutSetupResponse: { StartPage: { URL: startPageUrl(startToken) } },
+      }),
+    };
+  } catch (error) {
+    const status = error.statusCode || 500;
+    await writeLog({
+      credentialId: credential?.id,
+      buyerBusinessId: credential?.buyerBusinessId,
+      direction: 'INBOUND',
+      documentType: 'PunchOutSetupRequest',
+      payloadId: cxml?.['@_payloadID'],
+      statusCode: status,
+      error: error.message,
+      payload: xml,
+    });
+
+    if (status >= 500) {
+      logger.error('cXML punchout setup failed', { error: error.message });
+    }
+    return { status, xml: cxmlResponse(status, status >= 500 ? 'Internal Server Error' : error.message) };
+  }
+};
+
+/**
+ * Handle an SAP OCI call-up. Credentials arrive as USERNAME/PASSWORD and the
+ * cart is posted back to HOOK_URL; the session starts immediately.
+ */
+const setupOci = async (params, meta = {}) => {
+  const username = params.USERNAME || params.username;
+  const password = params.PASSWORD || params.password;
+  const hookUrl = params.HOOK_URL || params.hook_url;
+
+  const credential = username
+    ? await prisma.punchoutCredential.findUnique({
+      where: { protocol_domain_identity: { protocol: PROTOCOL.OCI, domain: OCI_DOMAIN, identity: username } },
+    })
+    : null;
+
+  const fail = async (error) => {
+    await writeLog({
+      credentialId: credential?.id,
+      buyerBusinessId: credential?.buyerBusinessId,
+      direction: 'INBOUND',
+      documentType: 'OCI_SETUP',
+      statusCode: error.statusCode,
+      error: error.message,
+      payload: { USERNAME: username, HOOK_URL: hookUrl },
+    });
+    throw error;
+  };
+
+  if (!credential?.isActive || !secretMatches(password, credential.secretHash)) {
+    return fail(new UnauthorizedError('Invalid punchout credentials'));
+  }
+  if (!hookUrl || !hostAllowed(hookUrl, credential.allowedReturnHosts)) {
+    return fail(new ForbiddenError('HOOK_URL is not allowed for this credential'));
+  }
+
+  await prisma.punchoutCredential.update({
+    where: { id: credential.id },
+    data: { lastUsedAt: new Date() },
+  });
+
+  const { session, startToken } = await createSession(credential, {
+    returnUrl: hookUrl,
+    ociParams: {
+      okCode: params['~OkCode'] || 'ADDI',
+      target: params['~TARGET'] || '_top',
+      caller: params['~CALLER'] || 'CTLG',
+    },
+    ipAddress: meta.ipAddress,
+    userAgent: meta.userAgent,
+  });
+
+  await writeLog({
+    sessionId: session.id,
+    credentialId: credential.id,
+    buyerBusinessId: credential.buyerBusinessId,
+    direction: 'INBOUND',
+    documentType: 'OCI_SETUP',
+    statusCode: 200,
+    payload: { USERNAME: username, HOOK_URL: hookUrl },
+  });
+
+  return startSession(startToken);
+};
+
+/**
+ * Redeem a one-time start token: activates the session and issues a
+ * short-lived access token bound to it, then redirects into the storefront.
+ */
+const startSession = async (startToken) => {
+  const session = await prisma.punchoutSession.findUnique({
+    where: { startTokenHash: hashSecret(startToken) },
+  });
+
+  if (!session || session.status !== SESSION_STATUS.OPEN) {
+    throw new UnauthorizedError('Punchout start link is invalid or already used');
+  }
+
+  if (session.expiresAt < new Date()) {
+    await prisma.punchoutSession.update({
+      where: { id: session.id },
+      data: { status: SESSION_STATUS.EXPIRED },
+    });
+    throw new UnauthorizedError('Punchout session has expired');
+  }
+
+  await prisma.punchoutSession.update({
+    where: { id: session.id },
+    data: { status: SESSION_STATUS.ACTIVE, startedAt: new Date() },
+  });
+
+  const expiresIn = Math.max(1, Math.floor((session.expiresAt.getTime() - Date.now()) / 1000));
+  const token = jwt.sign(
+    { userId: session.userId, punchoutSessionId: session.id },
+    config.jwt.secret,
+    { expiresIn },
+  );
+
+  logger.info('Punchout session started', { sessionId: session.id, protocol: session.protocol });
+
+  return {
+    sessionId: session.id,
+    token,
+    redirectUrl: `${config.app.frontendUrl}/punchout/start#token=${encodeURIComponent(token)}`,
+  };
+};
+
+// =============================================================================
+// CART RETURN
+// =============================================================================
+
+const cartLines = (cart) => cart.items.map((item) => ({
+  productId: item.product?.id || item.productId,
+  variantId: item.variant?.id || item.variantId,
+  sellerId: item.product?.businessId || null,
+  sku: item.variant?.sku || item.variantId,
+  name: item.product?.name || item.variant?.sku,
+  quantity: item.quantity,
+  unitPrice: roundTo(item.currentPrice ?? item.unitPrice, 2),
+  lineTotal: roundTo(item.itemTotal ?? item.quantity * item.unitPrice, 2),
+}));
+
+const buildOrderMessage = (session, credential, lines, total) => buildCxml({
+  Header: {
+    From: { Credential: supplierCredential() },
+    To: { Credential: { '@_domain': credential.domain, Identity: credential.identity } },
+    Sender: {
+      Credential: supplierCredential(),
+      UserAgent: 'Airavat Punchout',
+    },
+  },
+  Message: {
+    PunchOutOrderMessage: {
+      BuyerCookie: session.buyerCookie || '',
+      PunchOutOrderMessageHeader: {
+        '@_operationAllowed': 'edit',
+        Total: { Money: { '@_currency': DEFAULT_CURRENCY, '#text': total.toFixed(2) } },
+      },
+      ItemIn: lines.map((line, index) => ({
+        '@_quantity': String(line.quantity),
+        '@_lineNumber': String(index + 1),
+        ItemID: {
+          SupplierPartID: line.sku,
+          SupplierPartAuxiliaryID: `${line.productId}:${line.variantId}`,
+        },
+        ItemDetail: {
+          UnitPrice: { Money: { '@_currency': DEFAULT_CURRENCY, '#text': line.unitPrice.toFixed(2) } },
+          Description: { '@_xml:lang': 'en', '#text': line.name },
+          UnitOfMeasure: DEFAULT_UNIT,
+          Classification: { '@_domain': 'SupplierID', '#text': line.sellerId || '' },
+        },
+      })),
+    },
+  },
+});
+
+const buildOciFields = (session, lines) => {
+  const fields = {};
+  lines.forEach((line, index) => {
+    const n = index + 1;
+    fields[`NEW_ITEM-DESCRIPTION[${n}]`] = String(line.name).slice(0, 40);
+    fields[`NEW_ITEM-QUANTITY[${n}]`] = String(line.quantity);
+    fields[`NEW_ITEM-UNIT[${n}]`] = DEFAULT_UNIT;
+    fields[`NEW_ITEM-PRICE[${n}]`] = line.unitPrice.toFixed(2);
+    fields[`NEW_ITEM-PRICEUNIT[${n}]`] = '1';
+    fields[`NEW_ITEM-CURRENCY[${n}]`] = DEFAULT_CURRENCY;
+    fields[`NEW_ITEM-VENDORMAT[${n}]`] = line.sku;
+    fields[`NEW_ITEM-EXT_PRODUCT_ID[${n}]`] = line.variantId;
+    fields[`NEW_ITEM-VENDOR[${n}]`] = line.sellerId || '';
+  });
+
+  const oci = session.ociParams || {};
+  fields['~OkCode'] = oci.okCode || 'ADDI';
+  fields['~TARGET'] = oci.target || '_top';
+  fields['~CALLER'] = oci.caller || 'CTLG';
+  return fields;
+};
+
+const autoSubmitForm = (action, fields, target) => {
+  const inputs = Object.entries(fields)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('');
+  const targetAttr = target ? ` target="${escapeHtml(target)}"` : '';
+  return '<!DOCTYPE html><html><body onload="document.forms[0].submit()">'
+    + `<form method="post" action="${escapeHtml(action)}"${targetAttr}>${inputs}`
+    + '<noscript><button type="submit">Return cart to procurement system</button></noscript>'
+    + '</form></body></html>';
+};
+
+/**
+ * Return the punchout user's cart to the procurement system instead of
+ * placing an order. The browser posts the returned form to the buyer's ERP.
+ */
+const transferCart = async (sessionId, userId) => {
+  const session = await prisma.punchoutSession.findUnique({
+    where: { id: sessionId },
+    include: { credential: true },
+  });
+
+  if (!session || session.userId !== userId) {
+    throw new NotFoundError('Punchout session');
+  }
+  if (session.status !== SESSION_STATUS.ACTIVE) {
+    throw new BadRequestError(`Punchout session is ${session.status.toLowerCase()}`);
+  }
+  if (session.expiresAt < new Date()) {
+    await prisma.punchoutSession.update({
+      where: { id: session.id },
+      data: { status: SESSION_STATUS.EXPIRED },
+    });
+    throw new BadRequestError('Punchout session has expired');
+  }
+
+  const cart = await cartService.getOrCreateCart(userId, null, session.buyerBusinessId);
+  if (!cart.items?.length) {
+    throw new BadRequestError('Cart is empty');
+  }
+
+  const lines = cartLines(cart);
+  const total = roundTo(lines.reduce((sum, line) => sum + line.lineTotal, 0), 2);
+
+  let fields;
+  let target;
+  let payload;
+  if (session.protocol === PROTOCOL.CXML) {
+    payload = buildOrderMessage(session, session.credential, lines, total);
+    fields = { 'cxml-urlencoded': payload };
+  } else {
+    fields = buildOciFields(session, lines);
+    target = fields['~TARGET'];
+    payload = fields;
+  }
+
+  await prisma.punchoutSession.update({
+    where: { id: session.id },
+    data: {
+      status: SESSION_STATUS.TRANSFERRED,
+      transferredAt: new Date(),
+      cartSnapshot: { lines, total, currency: DEFAULT_CURRENCY },
+    },
+  });
+
+  await cartService.clearCart(cart.id);
+
+  await writeLog({
+    sessionId: session.id,
+    credentialId: session.credentialId,
+    buyerBusinessId: session.buyerBusinessId,
+    direction: 'OUTBOUND',
+    documentType: session.protocol === PROTOCOL.CXML ? 'PunchOutOrderMessage' : 'OCI_CART',
+    statusCode: 200,
+    payload,
+  });
+
+  logger.info('Punchout cart transferred', { sessionId: session.id, lines: lines.length, total });
+
+  return {
+    protocol: session.protocol,
+    method: 'POST',
+    action: session.returnUrl,
+    target,
+    fields,
+    html: autoSubmitForm(session.returnUrl, fields, target),
+    summary: { lines: lines.length, total, currency: DEFAULT_CURRENCY },
+  };
+};
+
+// =============================================================================
+// INBOUND ORDERS
+// =============================================================================
+
+const resolveVariant = async (itemId) => {
+  const auxiliaryId = textOf(itemId?.SupplierPartAuxiliaryID);
+  const variantId = auxiliaryId?.includes(':') ? auxiliaryId.split(':')[1] : null;
+  const sku = textOf(itemId?.SupplierPartID);
+
+  const variant = variantId
+    ? await prisma.productVariant.findUnique({ where: { id: variantId }, include: { product: true } })
+    : await prisma.productVariant.findFirst({ where: { sku }, include: { product: true } });
+
+  if (!variant) {
+    throw new BadRequestError(`Unknown supplier part ${sku || auxiliaryId}`);
+  }
+  return variant;
+};
+
+const matchAddress = (addresses, cxmlAddress, type) => {
+  const postalCode = textOf(cxmlAddress?.Address?.PostalAddress?.PostalCode);
+  const active = addresses.filter((address) => address.isActive !== false);
+
+  return (postalCode && active.find((address) => address.pincode === postalCode && address.type === type))
+    || (postalCode && active.find((address) => address.pincode === postalCode))
+    || active.find((address) => address.type === type && address.isDefault)
+    || active.find((address) => address.isDefault)
+    || null;
+};
+
+/**
+ * Turn a cXML OrderRequest from the buyer's ERP into marketplace orders,
+ * one per seller. Replays of an accepted payloadID are acknowledged without
+ * creating orders again.
+ */
+const processOrderRequest = async (xml) => {
+  let cxml;
+  let credential;
+  const orderIds = [];
+
+  try {
+    cxml = parseCxml(xml);
+    const request = cxml.Request?.OrderRequest;
+    if (!request) {
+      throw new BadRequestError('OrderRequest element is missing');
+    }
+
+    credential = await authenticateCxml(cxml.Header);
+    const payloadId = cxml['@_payloadID'];
+
+    const processed = payloadId && await prisma.punchoutLog.findFirst({
+      where: { credentialId: credential.id, documentType: 'OrderRequest', payloadId, statusCode: 200 },
+    });
+    if (processed) {
+      return { status: 200, xml: cxmlResponse(200, 'OK'), orderIds: processed.orderIds, duplicate: true };
+    }
+
+    const header = request.OrderRequestHeader || {};
+    const erpOrderId = header['@_orderID'];
+    if (!erpOrderId) {
+      throw new BadRequestError('OrderRequestHeader orderID is required');
+    }
+
+    const itemsOut = request.ItemOut || [];
+    if (!itemsOut.length) {
+      throw new BadRequestError('OrderRequest has no ItemOut lines');
+    }
+
+    const bySeller = new Map();
+    for (const itemOut of itemsOut) {
+      const quantity = parseInt(itemOut['@_quantity'], 10);
+      if (!quantity || quantity < 1) {
+        throw new BadRequestError(`Invalid quantity on line ${itemOut['@_lineNumber'] || '?'}`);
+      }
+
+      const variant = await resolveVariant(itemOut.ItemID);
+      const sellerId = variant.product.businessId;
+      if (!bySeller.has(sellerId)) bySeller.set(sellerId, []);
+      bySeller.get(sellerId).push({ variantId: variant.id, quantity });
+    }
+
+    const addresses = await prisma.businessAddress.findMany({
+      where: { businessId: credential.buyerBusinessId },
+    });
+    const shippingAddress = matchAddress(addresses, header.ShipTo, 'shipping');
+    const billingAddress = matchAddress(addresses, header.BillTo, 'billing') || shippingAddress;
+    if (!shippingAddress) {
+      throw new BadRequestError('No buyer address matches the ShipTo address');
+    }
+
+    // A retried document resumes after sellers whose order was already placed
+    const buyerNote = `ERP order ${erpOrderId}`;
+    const existing = await prisma.order.findMany({
+      where: { buyerId: credential.buyerBusinessId, buyerNote },
+      select: { id: true, sellerId: true },
+    });
+    existing.forEach((order) => {
+      bySeller.delete(order.sellerId);
+      orderIds.push(order.id);
+    });
+
+    for (const [sellerId, items] of bySeller) {
+      const order = await orderService.createOrder(credential.buyerBusinessId, {
+        sellerId,
+        items,
+        billingAddressId: billingAddress.id,
+        shippingAddressId: shippingAddress.id,
+        paymentMethod: 'CREDIT_LINE',
+        buyerNote,
+      });
+      orderIds.push(order.id);
+    }
+
+    await writeLog({
+      credentialId: credential.id,
+      buyerBusinessId: credential.buyerBusinessId,
+      direction: 'INBOUND',
+      documentType: 'OrderRequest',
+      payloadId,
+      statusCode: 200,
+      payload: xml,
+      orderIds,
+    });
+
+    logger.info('Punchout OrderRequest processed', { credentialId: credential.id, erpOrderId, orderIds });
+
+    return { status: 200, xml: cxmlResponse(200, 'OK'), orderIds };
+  } catch (error) {
+    const status = error.statusCode || 500;
+    await writeLog({
+      credentialId: credential?.id,
+      buyerBusinessId: credential?.buyerBusinessId,
+      direction: 'INBOUND',
+      documentType: 'OrderRequest',
+      payloadId: cxml?.['@_payloadID'],
+      statusCode: status,
+      error: error.message,
+      payload: xml,
+      orderIds,
+    });
+
+    if (status >= 500) {
+      logger.error('Punchout OrderRequest failed', { error: error.message, orderIds });
+    }
+    return {
+      status,
+      xml: cxmlResponse(status, status >= 500 ? 'Internal Server Error' : error.message),
+      orderIds,
+    };
+  }
+};
+
+// =============================================================================
+// SESSION LOG
+// =============================================================================
+
+const listSessions = async (buyerBusinessId, { skip = 0, limit = 20, status, protocol } = {}) => {
+  const where = {
+    buyerBusinessId,
+    ...(status && { status }),
+    ...(protocol && { protocol }),
+  };
+
+  const [sessions, total] = await Promise.all([
+    prisma.punchoutSession.findMany({
+      where,
+      select: {
+        id: true,
+        protocol: true,
+        operation: true,
+        status: true,
+        userId: true,
+        returnUrl: true,
+        startedAt: true,
+        transferredAt: true,
+        expiresAt: true,
+        createdAt: true,
+        credential: { select: { id: true, name: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limit,
+    }),
+    prisma.punchoutSession.count({ where }),
+  ]);
+
+  return { sessions, total };
+};
+
+const getSession = async (sessionId, buyerBusinessId) => {
+  const session = await prisma.punchoutSession.findFirst({
+    where: { id: sessionId, buyerBusinessId },
+    include: {
+      credential: { select: { id: true, name: true, protocol: true } },
+      logs: { orderBy: { createdAt: 'asc' } },
+    },
+  });
+
+  if (!session) {
+    throw new NotFoundError('Punchout session');
+  }
+
+  delete session.startTokenHash;
+  return session;
+};
+
+module.exports = {
+  PROTOCOL,
+  SESSION_STATUS,
+  createCredential,
+  listCredentials,
+  deactivateCredential,
+  setupCxml,
+  setupOci,
+  startSession,
+  transferCart,
+  processOrderRequest,
+  listSessions,
+  getSession,
+};
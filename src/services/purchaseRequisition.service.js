@@ -6,6 +6,8 @@
 const { prisma } = require('../config/database');
 const logger = require('../config/logger');
 const { AppError } = require('../utils/errors');
+const approvalService = require('./approval.service');
+const budgetService = require('./budget.service');
 
 // =============================================================================
 // CONFIGURATION
@@ -505,7 +507,9 @@ exports.removeItem = async (requisitionId, itemId, userId) => {
 exports.submitForApproval = async (requisitionId, userId) => {
   const requisition = await prisma.purchaseRequisition.findUnique({
     where: { id: requisitionId },
-    include: { items: true },
+    include: {
+      items: { include: { product: { select: { categoryId: true } } } },
+    },
   });
 
   if (!requisition) {
@@ -524,6 +528,58 @@ exports.submitForApproval = async (requisitionId, userId) => {
     throw new AppError('Requisition must have at least one item', 400);
   }
 
+  // Budget control: overspend is blocked or routed to the budget's approvers
+  const budgetCheck = await budgetService.checkAvailability(requisition.businessId, {
+    costCenter: requisition.costCenter,
+    glCode: requisition.budgetCode,
+    amount: parseFloat(requisition.estimatedTotal),
+  });
+
+  if (budgetCheck?.action === budgetService.OVERSPEND_POLICY.BLOCK) {
+    throw new AppError(
+      `Requisition exceeds budget ${budgetCheck.budget.name}: ${budgetCheck.available} available, `
+        + `${budgetCheck.amount} requested`,
+      400,
+    );
+  }
+
+  const extraApprovers = [];
+  if (budgetCheck?.action === budgetService.OVERSPEND_POLICY.REQUIRE_APPROVAL) {
+    const { budget } = budgetCheck;
+    const approverIds = budget.overspendApproverIds.length > 0 ? budget.overspendApproverIds : [budget.ownerId];
+    if (!approverIds[0]) {
+      throw new AppError(`Budget ${budget.name} has no approver for overspend`, 400);
+    }
+    extraApprovers.push({ name: 'Budget overspend', approverIds });
+  }
+
+  // Approval chain is derived from the business's approval policies
+  const approvalRequest = await approvalService.createApprovalRequest(userId, requisition.businessId, {
+    type: approvalService.APPROVAL_TYPE.PURCHASE_REQUISITION,
+    referenceType: 'PURCHASE_REQUISITION',
+    referenceId: requisitionId,
+    title: `Requisition ${requisition.requisitionNumber}: ${requisition.title}`,
+    description: requisition.description,
+    amount: requisition.estimatedTotal,
+    priority: requisition.priority === 'MEDIUM' ? 'NORMAL' : requisition.priority,
+    dueDate: requisition.requiredBy,
+    context: {
+      costCenter: requisition.costCenter,
+      department: requisition.department,
+      categoryIds: [...new Set(requisition.items.map((item) => item.product?.categoryId).filter(Boolean))],
+      supplierIds: [...new Set(requisition.items.map((item) => item.preferredVendor).filter(Boolean))],
+      budgetOverspend: Boolean(budgetCheck?.overspend),
+    },
+    extraApprovers,
+    metadata: budgetCheck ? {
+      budget: {
+        budgetId: budgetCheck.budget.id,
+        available: budgetCheck.available,
+        overspendAmount: budgetCheck.overspendAmount,
+      },
+    } : undefined,
+  });
+
   const updated = await prisma.purchaseRequisition.update({
     where: { id: requisitionId },
     data: {
@@ -532,9 +588,73 @@ exports.submitForApproval = async (requisitionId, userId) => {
     },
   });
 
-  logger.info('Requisition submitted for approval', { requisitionId });
+  logger.info('Requisition submitted for approval', {
+    requisitionId,
+    approvalRequestId: approvalRequest.id,
+  });
 
-  return updated;
+  return { ...updated, approvalRequest };
+};
+
+/**
+ * Apply the final decision of the requisition's policy-driven approval request
+ * @param {string} requisitionId - Requisition ID
+ * @param {string} status - APPROVED or REJECTED
+ * @param {Object} decision - Deciding approver and rejection reason
+ * @returns {Promise<Object|null>} Updated requisition
+ */
+exports.applyApprovalDecision = async (requisitionId, status, decision = {}) => {
+  const requisition = await prisma.purchaseRequisition.findUnique({
+    where: { id: requisitionId },
+  });
+
+  if (!requisition || requisition.status !== 'PENDING') {
+    logger.warn('Approval decision ignored for requisition', { requisitionId, status });
+    return null;
+  }
+
+  const approved = status === 'APPROVED';
+
+  const result = await prisma.$transaction(async (tx) => {
+    await tx.requisitionApproval.create({
+      data: {
+        requisitionId,
+        approverId: decision.approverId,
+        action: approved ? 'APPROVED' : 'REJECTED',
+        notes: decision.reason,
+      },
+    });
+
+    await tx.requisitionItem.updateMany({
+      where: { requisitionId },
+      data: { status: approved ? 'APPROVED' : 'REJECTED' },
+    });
+
+    if (approved) {
+      await budgetService.commitRequisition(
+        requisition,
+        parseFloat(requisition.estimatedTotal),
+        decision.approverId,
+        tx,
+      );
+    }
+
+    return tx.purchaseRequisition.update({
+      where: { id: requisitionId },
+      data: approved
+        ? { status: 'APPROVED', approvedAt: new Date(), approvedBy: decision.approverId }
+        : {
+          status: 'REJECTED',
+          rejectedAt: new Date(),
+          rejectedBy: decision.approverId,
+          rejectionReason: decision.reason,
+        },
+    });
+  });
+
+  logger.info('Requisition approval decision applied', { requisitionId, status });
+
+  return result;
 };
 
 /**
@@ -615,6 +735,12 @@ exports.approveRequisition = async (requisitionId, approverId, data = {}) => {
       });
     }
 
+    // Commit approved amount against the budget
+    const approvedTotal = requisition.items
+      .filter((item) => !approvedItems || approvedItems.includes(item.id))
+      .reduce((sum, item) => sum + parseFloat(item.lineTotal), 0);
+    await budgetService.commitRequisition(requisition, approvedTotal, approverId, tx);
+
     // Update requisition
     const updated = await tx.purchaseRequisition.update({
       where: { id: requisitionId },
@@ -710,39 +836,55 @@ exports.convertToPO = async (requisitionId, userId, data) => {
     throw new AppError('No approved items to convert', 400);
   }
 
-  // Create order from approved items
-  const order = await prisma.order.create({
-    data: {
-      buyerId: requisition.requesterId,
-      sellerId,
-      orderNumber: generatePONumber(),
-      status: 'PENDING',
-      subtotal: requisition.items.reduce((sum, item) => sum + item.lineTotal, 0),
-      total: requisition.items.reduce((sum, item) => sum + item.lineTotal, 0),
-      currency: requisition.currency,
-      shippingAddress: deliveryAddress,
-      paymentTerms,
-      requisitionId,
-      items: {
-        create: requisition.items.map((item) => ({
-          productId: item.productId,
-          description: item.description,
-          quantity: item.quantity,
-          unitPrice: item.estimatedPrice,
-          totalPrice: item.lineTotal,
-        })),
+  const poTotal = requisition.items.reduce((sum, item) => sum + parseFloat(item.lineTotal), 0);
+
+  // PO, conversion and encumbrance commit together, so a PO never exists
+  // without its budget encumbrance
+  const order = await prisma.$transaction(async (tx) => {
+    // Claim the requisition so two concurrent conversions can't both create a PO
+    const claimed = await tx.purchaseRequisition.updateMany({
+      where: { id: requisitionId, status: requisition.status },
+      data: { status: 'CONVERTED', convertedAt: new Date() },
+    });
+
+    if (claimed.count === 0) {
+      throw new AppError('Requisition has already been converted', 409);
+    }
+
+    // Create order from approved items
+    const created = await tx.order.create({
+      data: {
+        buyerId: requisition.requesterId,
+        sellerId,
+        orderNumber: generatePONumber(),
+        status: 'PENDING',
+        subtotal: requisition.items.reduce((sum, item) => sum + item.lineTotal, 0),
+        total: requisition.items.reduce((sum, item) => sum + item.lineTotal, 0),
+        currency: requisition.currency,
+        shippingAddress: deliveryAddress,
+        paymentTerms,
+        requisitionId,
+        items: {
+          create: requisition.items.map((item) => ({
+            productId: item.productId,
+            description: item.description,
+            quantity: item.quantity,
+            unitPrice: item.estimatedPrice,
+            totalPrice: item.lineTotal,
+          })),
+        },
       },
-    },
-  });
+    });
 
-  // Update requisition status
-  await prisma.purchaseRequisition.update({
-    where: { id: requisitionId },
-    data: {
-      status: 'CONVERTED',
-      convertedToOrderId: order.id,
-      convertedAt: new Date(),
-    },
+    await tx.purchaseRequisition.update({
+      where: { id: requisitionId },
+      data: { convertedToOrderId: created.id },
+    });
+
+    // Commitment becomes an encumbrance for the PO
+    await budgetService.encumberFromRequisition(requisitionId, created, poTotal, userId, tx);
+
+    return created;
   });
 
   logger.info('Requisition converted to PO', {
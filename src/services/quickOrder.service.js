@@ -11,6 +11,7 @@ const {
   BadRequestError,
 } = require('../utils/errors');
 const { generateId } = require('../utils/helpers');
+const contractPricingService = require('./contractPricing.service');
 
 // =============================================================================
 // CONSTANTS
@@ -35,6 +36,29 @@ const generateQuickOrderNumber = () => {
   return `QO-${timestamp}-${random}`;
 };
 
+/**
+ * Price lines at the buyer's contract prices with each product's seller,
+ * falling back to the catalog price
+ * @param {Array} lines - [{ productId, quantity, product: { businessId, price } }]
+ * @returns {Promise<Function>} line => unit price
+ */
+const contractPricer = async (businessId, lines) => {
+  const bySeller = new Map();
+  lines.forEach((line) => {
+    const sellerId = line.product.businessId;
+    if (!bySeller.has(sellerId)) bySeller.set(sellerId, []);
+    bySeller.get(sellerId).push({ productId: line.productId, quantity: line.quantity });
+  });
+
+  const prices = new Map();
+  for (const [sellerId, sellerLines] of bySeller) {
+    const sellerPrices = await contractPricingService.resolvePrices(businessId, sellerId, sellerLines);
+    sellerPrices.forEach((price, productId) => prices.set(productId, price));
+  }
+
+  return (line) => prices.get(line.productId)?.unitPrice ?? parseFloat(line.product.price);
+};
+
 // =============================================================================
 // QUICK ORDER MANAGEMENT
 // =============================================================================
@@ -55,6 +79,7 @@ const createFromTemplate = async (userId, businessId, templateId) => {
               price: true,
               stockQuantity: true,
               status: true,
+              businessId: true,
             },
           },
         },
@@ -84,8 +109,9 @@ const createFromTemplate = async (userId, businessId, templateId) => {
 
   // Calculate totals
   let subtotal = 0;
+  const priceOf = await contractPricer(businessId, template.items);
   const orderItems = template.items.map((item) => {
-    const unitPrice = parseFloat(item.product.price);
+    const unitPrice = priceOf(item);
     const totalPrice = unitPrice * item.quantity;
     subtotal += totalPrice;
 
@@ -163,6 +189,7 @@ const createFromOrder = async (userId, businessId, sourceOrderId) => {
               price: true,
               stockQuantity: true,
               status: true,
+              businessId: true,
             },
           },
         },
@@ -179,13 +206,16 @@ const createFromOrder = async (userId, businessId, sourceOrderId) => {
     (item) => item.product.status !== 'ACTIVE' || item.product.stockQuantity < item.quantity
   );
 
-  // Calculate totals with current prices
+  // Calculate totals with current (contract) prices
   let subtotal = 0;
-  const orderItems = sourceOrder.items
+  const activeItems = sourceOrder.items
     .filter((item) => item.product.status === 'ACTIVE')
+    .map((item) => ({ ...item, quantity: Math.min(item.quantity, item.product.stockQuantity) }));
+  const priceOf = await contractPricer(businessId, activeItems);
+  const orderItems = activeItems
     .map((item) => {
-      const unitPrice = parseFloat(item.product.price);
-      const quantity = Math.min(item.quantity, item.product.stockQuantity);
+      const unitPrice = priceOf(item);
+      const { quantity } = item;
       const totalPrice = unitPrice * quantity;
       subtotal += totalPrice;
 
@@ -267,6 +297,7 @@ const createFromCart = async (userId, businessId) => {
           price: true,
           stockQuantity: true,
           status: true,
+          businessId: true,
         },
       },
     },
@@ -278,11 +309,14 @@ const createFromCart = async (userId, businessId) => {
 
   // Calculate totals
   let subtotal = 0;
-  const orderItems = cartItems
+  const activeItems = cartItems
     .filter((item) => item.product.status === 'ACTIVE')
+    .map((item) => ({ ...item, quantity: Math.min(item.quantity, item.product.stockQuantity) }));
+  const priceOf = await contractPricer(businessId, activeItems);
+  const orderItems = activeItems
     .map((item) => {
-      const unitPrice = parseFloat(item.product.price);
-      const quantity = Math.min(item.quantity, item.product.stockQuantity);
+      const unitPrice = priceOf(item);
+      const { quantity } = item;
       const totalPrice = unitPrice * quantity;
       subtotal += totalPrice;
 
@@ -348,6 +382,7 @@ const getQuickOrder = async (userId, quickOrderId) => {
               price: true,
               images: true,
               stockQuantity: true,
+              businessId: true,
               seller: { select: { id: true, businessName: true } },
             },
           },
@@ -364,8 +399,9 @@ const getQuickOrder = async (userId, quickOrderId) => {
   }
 
   // Check for price changes
+  const priceOf = await contractPricer(quickOrder.businessId, quickOrder.items);
   const itemsWithChanges = quickOrder.items.map((item) => {
-    const currentPrice = parseFloat(item.product.price);
+    const currentPrice = priceOf(item);
     const originalPrice = parseFloat(item.unitPrice);
     const priceChanged = currentPrice !== originalPrice;
 
@@ -442,7 +478,7 @@ const updateQuickOrderItem = async (userId, quickOrderId, itemId, updates) => {
 
   const item = await prisma.quickOrderItem.findFirst({
     where: { id: itemId, quickOrderId },
-    include: { product: { select: { price: true, stockQuantity: true } } },
+    include: { product: { select: { price: true, stockQuantity: true, businessId: true } } },
   });
 
   if (!item) {
@@ -454,13 +490,15 @@ const updateQuickOrderItem = async (userId, quickOrderId, itemId, updates) => {
       throw new BadRequestError(`Only ${item.product.stockQuantity} available`);
     }
 
-    const newTotalPrice = parseFloat(item.product.price) * updates.quantity;
+    const priceOf = await contractPricer(quickOrder.businessId, [{ ...item, quantity: updates.quantity }]);
+    const unitPrice = priceOf(item);
+    const newTotalPrice = unitPrice * updates.quantity;
 
     await prisma.quickOrderItem.update({
       where: { id: itemId },
       data: {
         quantity: updates.quantity,
-        unitPrice: item.product.price,
+        unitPrice,
         totalPrice: newTotalPrice,
       },
     });
@@ -8,6 +8,7 @@ const ExcelJS = require('exceljs');
 const { prisma } = require('../config/database');
 const logger = require('../config/logger');
 const { formatCurrency, formatDate } = require('../utils/helpers');
+const creditNoteService = require('./creditNote.service');
 
 class ReportService {
   // ===========================================================================
@@ -245,12 +246,28 @@ class ReportService {
       orderBy: { stockQuantity: 'asc' },
     });
 
+    // Units dispatched between warehouses and not yet received
+    const transit = await prisma.warehouseInventory.groupBy({
+      by: ['variantId'],
+      where: { variantId: { in: variants.map(v => v.id) }, inTransitQuantity: { gt: 0 } },
+      _sum: { inTransitQuantity: true },
+    });
+    const inTransitByVariant = new Map(transit.map(row => [row.variantId, row._sum.inTransitQuantity || 0]));
+    variants.forEach(v => {
+      v.inTransitQuantity = inTransitByVariant.get(v.id) || 0;
+    });
+
     const lowStock = variants.filter(v => v.stockQuantity <= v.lowStockThreshold);
     const outOfStock = variants.filter(v => v.stockQuantity === 0);
     const totalValue = variants.reduce(
       (sum, v) => sum + (v.stockQuantity * Number(v.basePrice)),
       0
     );
+    const inTransitUnits = variants.reduce((sum, v) => sum + v.inTransitQuantity, 0);
+    const inTransitValue = variants.reduce(
+      (sum, v) => sum + (v.inTransitQuantity * Number(v.basePrice)),
+      0,
+    );
 
     if (format === 'excel') {
       const workbook = new ExcelJS.Workbook();
@@ -265,6 +282,8 @@ class ReportService {
         ['Low Stock Items', lowStock.length],
         ['Out of Stock Items', outOfStock.length],
         ['Total Inventory Value', totalValue],
+        ['Units In Transit', inTransitUnits],
+        ['In Transit Value', inTransitValue],
       ]);
 
       // All items
@@ -277,6 +296,7 @@ class ReportService {
         { header: 'Stock', key: 'stock', width: 10 },
         { header: 'Reserved', key: 'reserved', width: 10 },
         { header: 'Available', key: 'available', width: 10 },
+        { header: 'In Transit', key: 'inTransit', width: 10 },
         { header: 'Threshold', key: 'threshold', width: 10 },
         { header: 'Unit Price', key: 'price', width: 12 },
         { header: 'Stock Value', key: 'value', width: 12 },
@@ -295,6 +315,7 @@ class ReportService {
           stock: v.stockQuantity,
           reserved: v.reservedQuantity || 0,
           available: v.stockQuantity - (v.reservedQuantity || 0),
+          inTransit: v.inTransitQuantity,
           threshold: v.lowStockThreshold,
           price: Number(v.basePrice),
           value: v.stockQuantity * Number(v.basePrice),
@@ -314,6 +335,7 @@ class ReportService {
           stock: v.stockQuantity,
           reserved: v.reservedQuantity || 0,
           available: v.stockQuantity - (v.reservedQuantity || 0),
+          inTransit: v.inTransitQuantity,
           threshold: v.lowStockThreshold,
           price: Number(v.basePrice),
           value: v.stockQuantity * Number(v.basePrice),
@@ -331,7 +353,7 @@ class ReportService {
       return workbook.xlsx.writeBuffer();
     }
 
-    return { variants, lowStock, outOfStock, totalValue };
+    return { variants, lowStock, outOfStock, totalValue, inTransitUnits, inTransitValue };
   }
 
   // ===========================================================================
@@ -339,7 +361,7 @@ class ReportService {
   // ===========================================================================
 
   /**
-   * Generate GST report for India
+   * Generate GST report for India, net of credit and debit notes
    */
   async generateGSTReport(businessId, month, year) {
     const startDate = new Date(year, month - 1, 1);
@@ -400,6 +422,30 @@ class ReportService {
       });
     });
 
+    // Net off credit notes (reduce liability) and debit notes (add to it)
+    const notes = await creditNoteService.getNotesForPeriod(businessId, startDate, endDate);
+
+    notes.forEach(note => {
+      const sign = note.noteType === 'DEBIT' ? 1 : -1;
+
+      note.items.forEach(item => {
+        const gstRate = Number(item.gstRate);
+        if (!gstBreakdown[gstRate]) {
+          gstBreakdown[gstRate] = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+        }
+
+        gstBreakdown[gstRate].taxableValue += sign * Number(item.taxableValue);
+        gstBreakdown[gstRate].cgst += sign * Number(item.cgstAmount);
+        gstBreakdown[gstRate].sgst += sign * Number(item.sgstAmount);
+        gstBreakdown[gstRate].igst += sign * Number(item.igstAmount);
+      });
+
+      totalTaxableValue += sign * Number(note.taxableValue);
+      totalCGST += sign * Number(note.cgstAmount);
+      totalSGST += sign * Number(note.sgstAmount);
+      totalIGST += sign * Number(note.igstAmount);
+    });
+
     const workbook = new ExcelJS.Workbook();
 
     // GSTR-1 Summary
@@ -467,6 +513,40 @@ class ReportService {
       }
     });
 
+    // Credit / Debit Notes (CDNR for registered buyers, CDNUR otherwise)
+    const cdn = workbook.addWorksheet('Credit-Debit Notes');
+    cdn.columns = [
+      { header: 'GSTIN', key: 'gstin', width: 18 },
+      { header: 'Receiver Name', key: 'name', width: 25 },
+      { header: 'Note No', key: 'note', width: 18 },
+      { header: 'Note Date', key: 'date', width: 12 },
+      { header: 'Note Type', key: 'type', width: 10 },
+      { header: 'Original Invoice', key: 'invoice', width: 18 },
+      { header: 'Reason', key: 'reason', width: 20 },
+      { header: 'Note Value', key: 'value', width: 12 },
+      { header: 'Taxable Value', key: 'taxable', width: 12 },
+      { header: 'IGST', key: 'igst', width: 10 },
+      { header: 'CGST', key: 'cgst', width: 10 },
+      { header: 'SGST', key: 'sgst', width: 10 },
+    ];
+
+    notes.forEach(note => {
+      cdn.addRow({
+        gstin: note.buyerGstin || 'URP',
+        name: note.buyer.businessName,
+        note: note.noteNumber,
+        date: note.issuedAt.toISOString().split('T')[0],
+        type: note.noteType === 'DEBIT' ? 'D' : 'C',
+        invoice: note.originalInvoiceNumber,
+        reason: note.reasonCode,
+        value: Number(note.totalValue),
+        taxable: Number(note.taxableValue),
+        igst: Number(note.igstAmount),
+        cgst: Number(note.cgstAmount),
+        sgst: Number(note.sgstAmount),
+      });
+    });
+
     return workbook.xlsx.writeBuffer();
   }
 
@@ -0,0 +1,747 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - RETURN SERVICE
+// Return Merchandise Authorization (RMA) with line-level partial returns,
+// reverse pickup, warehouse inspection, restocking and prorated refunds
+// =============================================================================
+
+const { prisma } = require('../config/database');
+const config = require('../config');
+const logger = require('../config/logger');
+const {
+  NotFoundError,
+  BadRequestError,
+  ForbiddenError,
+  ConflictError,
+} = require('../utils/errors');
+const { generateRMANumber, roundTo } = require('../utils/helpers');
+const paymentService = require('./payment.service');
+const shippingService = require('./shipping.service');
+const warehouseService = require('./warehouse.service');
+const { emitToBusiness, emitToOrder } = require('./socket.service');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const RETURN_STATUS = {
+  REQUESTED: 'REQUESTED',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  PICKUP_SCHEDULED: 'PICKUP_SCHEDULED',
+  RECEIVED: 'RECEIVED',
+  INSPECTED: 'INSPECTED',
+  REFUNDED: 'REFUNDED',
+  CLOSED: 'CLOSED',
+  CANCELLED: 'CANCELLED',
+};
+
+// Valid state transitions
+const RETURN_TRANSITIONS = {
+  REQUESTED: ['APPROVED', 'REJECTED', 'CANCELLED'],
+  APPROVED: ['PICKUP_SCHEDULED', 'RECEIVED', 'CANCELLED'],
+  PICKUP_SCHEDULED: ['RECEIVED'],
+  RECEIVED: ['INSPECTED'],
+  INSPECTED: ['REFUNDED', 'CLOSED'],
+  REJECTED: [],
+  REFUNDED: [],
+  CLOSED: [],
+  CANCELLED: [],
+};
+
+const RETURN_REASONS = {
+  DAMAGED: 'Damaged in transit',
+  DEFECTIVE: 'Defective / not working',
+  WRONG_ITEM: 'Wrong item shipped',
+  NOT_AS_DESCRIBED: 'Not as described',
+  QUALITY_ISSUE: 'Quality below agreed specification',
+  EXCESS_QUANTITY: 'Excess quantity shipped',
+  EXPIRED: 'Expired or near expiry',
+  OTHER: 'Other',
+};
+
+// Orders that have reached the buyer and can be returned
+const RETURNABLE_ORDER_STATUSES = ['DELIVERED', 'COMPLETED', 'PARTIALLY_DELIVERED'];
+
+// Returns whose units count against the returnable quantity of an order line
+const ACTIVE_RETURN_STATUSES = ['REQUESTED', 'APPROVED', 'PICKUP_SCHEDULED', 'RECEIVED', 'INSPECTED', 'REFUNDED'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Calculate prorated refund for accepted units
+ * Each unit refunds its share of the order line (price + tax), less restocking fee
+ */
+const calculateRefundAmount = (items, restockingFeePercentage = 0) => {
+  const gross = items.reduce((sum, item) => {
+    const perUnit = parseFloat(item.unitPrice) + parseFloat(item.unitTax || 0);
+    return sum + perUnit * item.acceptedQty;
+  }, 0);
+
+  const restockingFee = roundTo((gross * restockingFeePercentage) / 100);
+
+  return {
+    gross: roundTo(gross),
+    restockingFee,
+    refundAmount: roundTo(gross - restockingFee),
+  };
+};
+
+/**
+ * Assert a status change is allowed
+ */
+const assertTransition = (returnRequest, newStatus) => {
+  const allowed = RETURN_TRANSITIONS[returnRequest.status] || [];
+  if (!allowed.includes(newStatus)) {
+    throw new BadRequestError(`Cannot move return from ${returnRequest.status} to ${newStatus}`);
+  }
+};
+
+/**
+ * Load a return and check the business is a party to it
+ */
+const getReturnForParty = async (returnId, businessId, role) => {
+  const returnRequest = await prisma.returnRequest.findUnique({
+    where: { id: returnId },
+    include: {
+      items: true,
+      order: {
+        select: {
+          id: true,
+          orderNumber: true,
+          shippingAddress: true,
+          totalAmount: true,
+        },
+      },
+    },
+  });
+
+  if (!returnRequest) {
+    throw new NotFoundError('Return request');
+  }
+
+  const isBuyer = returnRequest.buyerId === businessId;
+  const isSeller = returnRequest.sellerId === businessId;
+
+  if (role === 'buyer' && !isBuyer) {
+    throw new ForbiddenError('Only the buyer can perform this action');
+  }
+  if (role === 'seller' && !isSeller) {
+    throw new ForbiddenError('Only the seller can perform this action');
+  }
+  if (!isBuyer && !isSeller) {
+    throw new ForbiddenError('Cannot access this return');
+  }
+
+  return returnRequest;
+};
+
+/**
+ * Move the return out of the status it was read in. Only one concurrent caller
+ * wins the claim; the rest get a conflict instead of repeating the side effects
+ */
+const claimReturn = async (client, returnRequest, newStatus) => {
+  assertTransition(returnRequest, newStatus);
+
+  const { count } = await client.returnRequest.updateMany({
+    where: { id: returnRequest.id, status: returnRequest.status },
+    data: { status: newStatus },
+  });
+  if (count === 0) {
+    throw new ConflictError(`Return ${returnRequest.rmaNumber} was updated by another request`);
+  }
+};
+
+/**
+ * Persist a status change with timeline entries on both the return and the order.
+ * `apply` runs inside the same transaction after the claim, so its side effects
+ * commit or roll back together with the status
+ */
+const transitionReturn = async (returnRequest, newStatus, businessId, options = {}) => {
+  const { title, description, data = {}, metadata, apply, claimed = false } = options;
+  if (!claimed) assertTransition(returnRequest, newStatus);
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (!claimed) await claimReturn(tx, returnRequest, newStatus);
+    if (apply) await apply(tx);
+
+    const result = await tx.returnRequest.update({
+      where: { id: returnRequest.id },
+      data: {
+        ...data,
+        status: newStatus,
+        timeline: {
+          create: {
+            status: newStatus,
+            title,
+            description,
+            metadata,
+            createdBy: businessId,
+          },
+        },
+      },
+      include: { items: true },
+    });
+
+    await tx.orderTimeline.create({
+      data: {
+        orderId: returnRequest.orderId,
+        status: `RETURN_${newStatus}`,
+        title: `Return ${returnRequest.rmaNumber}: ${title}`,
+        description,
+        metadata: { returnId: returnRequest.id, ...(metadata || {}) },
+        createdBy: businessId,
+      },
+    });
+
+    return result;
+  });
+
+  emitReturnStatus(updated, newStatus);
+
+  logger.logAudit('RETURN_STATUS_UPDATED', null, {
+    returnId: returnRequest.id,
+    rmaNumber: returnRequest.rmaNumber,
+    previousStatus: returnRequest.status,
+    newStatus,
+  });
+
+  return updated;
+};
+
+/**
+ * Emit real-time return updates to the order room and both parties
+ */
+const emitReturnStatus = (returnRequest, status) => {
+  const payload = {
+    returnId: returnRequest.id,
+    rmaNumber: returnRequest.rmaNumber,
+    orderId: returnRequest.orderId,
+    status,
+    timestamp: new Date(),
+  };
+
+  emitToOrder(returnRequest.orderId, 'return:status', payload);
+  emitToBusiness(returnRequest.buyerId, 'return:status', payload);
+  emitToBusiness(returnRequest.sellerId, 'return:status', payload);
+};
+
+// =============================================================================
+// BUYER OPERATIONS
+// =============================================================================
+
+/**
+ * Create a return request for some units of some order lines
+ */
+const createReturnRequest = async (buyerId, orderId, data) => {
+  const { items, reasonCode, buyerNote, pickupAddress } = data;
+
+  if (!items?.length) {
+    throw new BadRequestError('At least one item is required');
+  }
+
+  if (!RETURN_REASONS[reasonCode]) {
+    throw new BadRequestError('Invalid return reason');
+  }
+
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: { items: true },
+  });
+
+  if (!order) {
+    throw new NotFoundError('Order');
+  }
+
+  if (order.buyerId !== buyerId) {
+    throw new ForbiddenError('Only the buyer can return this order');
+  }
+
+  if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+    throw new BadRequestError(`Cannot return an order in ${order.status} state`);
+  }
+
+  if (order.deliveredAt) {
+    const windowEnds = new Date(order.deliveredAt);
+    windowEnds.setDate(windowEnds.getDate() + config.businessRules.returnWindowDays);
+    if (windowEnds < new Date()) {
+      throw new BadRequestError(`Return window of ${config.businessRules.returnWindowDays} days has expired`);
+    }
+  }
+
+  // Units already under an open return cannot be returned twice
+  const existing = await prisma.returnItem.groupBy({
+    by: ['orderItemId'],
+    where: {
+      returnRequest: { orderId, status: { in: ACTIVE_RETURN_STATUSES } },
+    },
+    _sum: { quantity: true, rejectedQty: true },
+  });
+  const alreadyReturned = existing.reduce((acc, row) => {
+    acc[row.orderItemId] = (row._sum.quantity || 0) - (row._sum.rejectedQty || 0);
+    return acc;
+  }, {});
+
+  let requestedAmount = 0;
+  const returnItems = items.map((item) => {
+    const orderItem = order.items.find((oi) => oi.id === item.orderItemId);
+    if (!orderItem) {
+      throw new BadRequestError(`Order item ${item.orderItemId} not found on this order`);
+    }
+
+    const deliveredQty = orderItem.deliveredQty || orderItem.quantity;
+    const returnableQty = deliveredQty - (alreadyReturned[orderItem.id] || 0);
+    if (item.quantity < 1 || item.quantity > returnableQty) {
+      throw new BadRequestError(
+        `Cannot return ${item.quantity} of ${orderItem.productName}. Returnable: ${returnableQty}`,
+      );
+    }
+
+    const itemReason = item.reasonCode || reasonCode;
+    if (!RETURN_REASONS[itemReason]) {
+      throw new BadRequestError(`Invalid return reason for ${orderItem.productName}`);
+    }
+
+    const unitTax = roundTo(parseFloat(orderItem.taxAmount) / orderItem.quantity);
+    requestedAmount += (parseFloat(orderItem.unitPrice) + unitTax) * item.quantity;
+
+    return {
+      orderItemId: orderItem.id,
+      variantId: orderItem.variantId,
+      quantity: item.quantity,
+      unitPrice: orderItem.unitPrice,
+      unitTax,
+      reasonCode: itemReason,
+      note: item.note,
+      evidence: item.evidence || [],
+    };
+  });
+
+  const returnRequest = await prisma.$transaction(async (tx) => {
+    const rmaNumber = await generateRMANumber(tx);
+    const created = await tx.returnRequest.create({
+      data: {
+        rmaNumber,
+        orderId,
+        buyerId,
+        sellerId: order.sellerId,
+        status: RETURN_STATUS.REQUESTED,
+        reasonCode,
+        buyerNote,
+        pickupAddress: pickupAddress || order.shippingAddress,
+        requestedAmount: roundTo(requestedAmount),
+        createdBy: buyerId,
+        items: { create: returnItems },
+        timeline: {
+          create: {
+            status: RETURN_STATUS.REQUESTED,
+            title: 'Return Requested',
+            description: `${returnItems.length} line(s) requested for return: ${RETURN_REASONS[reasonCode]}`,
+            createdBy: buyerId,
+          },
+        },
+      },
+      include: { items: true },
+    });
+
+    await tx.orderTimeline.create({
+      data: {
+        orderId,
+        status: `RETURN_${RETURN_STATUS.REQUESTED}`,
+        title: `Return ${rmaNumber}: Return Requested`,
+        metadata: { returnId: created.id },
+        createdBy: buyerId,
+      },
+    });
+
+    return created;
+  });
+  const { rmaNumber } = returnRequest;
+
+  logger.logAudit('RETURN_REQUESTED', null, { returnId: returnRequest.id, rmaNumber, orderId });
+
+  emitToBusiness(order.sellerId, 'return:new', {
+    returnId: returnRequest.id,
+    rmaNumber,
+    orderId,
+    orderNumber: order.orderNumber,
+    amount: returnRequest.requestedAmount,
+  });
+  emitToOrder(orderId, 'return:status', {
+    returnId: returnRequest.id,
+    rmaNumber,
+    orderId,
+    status: RETURN_STATUS.REQUESTED,
+    timestamp: new Date(),
+  });
+
+  return returnRequest;
+};
+
+/**
+ * Cancel a return before goods are picked up
+ */
+const cancelReturnRequest = async (returnId, buyerId, reason) => {
+  const returnRequest = await getReturnForParty(returnId, buyerId, 'buyer');
+
+  return transitionReturn(returnRequest, RETURN_STATUS.CANCELLED, buyerId, {
+    title: 'Return Cancelled',
+    description: reason || 'Buyer withdrew the return request',
+    data: { closedAt: new Date() },
+  });
+};
+
+// =============================================================================
+// SELLER OPERATIONS
+// =============================================================================
+
+/**
+ * Approve a return request
+ */
+const approveReturn = async (returnId, sellerId, data = {}) => {
+  const returnRequest = await getReturnForParty(returnId, sellerId, 'seller');
+
+  if (data.warehouseId) {
+    const warehouse = await prisma.warehouse.findFirst({
+      where: { id: data.warehouseId, businessId: sellerId },
+    });
+    if (!warehouse) throw new NotFoundError('Warehouse');
+  }
+
+  return transitionReturn(returnRequest, RETURN_STATUS.APPROVED, sellerId, {
+    title: 'Return Approved',
+    description: data.note || 'Seller approved the return',
+    data: {
+      approvedAt: new Date(),
+      sellerNote: data.note,
+      warehouseId: data.warehouseId,
+    },
+  });
+};
+
+/**
+ * Reject a return request
+ */
+const rejectReturn = async (returnId, sellerId, reason) => {
+  if (!reason) {
+    throw new BadRequestError('Rejection reason is required');
+  }
+
+  const returnRequest = await getReturnForParty(returnId, sellerId, 'seller');
+
+  return transitionReturn(returnRequest, RETURN_STATUS.REJECTED, sellerId, {
+    title: 'Return Rejected',
+    description: reason,
+    data: { rejectionReason: reason, closedAt: new Date() },
+  });
+};
+
+/**
+ * Book a reverse pickup from the buyer to the seller warehouse
+ */
+const scheduleReversePickup = async (returnId, sellerId, data = {}) => {
+  const returnRequest = await getReturnForParty(returnId, sellerId, 'seller');
+  assertTransition(returnRequest, RETURN_STATUS.PICKUP_SCHEDULED);
+
+  const warehouseId = data.warehouseId || returnRequest.warehouseId;
+  const warehouse = warehouseId
+    ? await prisma.warehouse.findFirst({ where: { id: warehouseId, businessId: sellerId } })
+    : await prisma.warehouse.findFirst({ where: { businessId: sellerId, isDefault: true } });
+
+  if (!warehouse) {
+    throw new BadRequestError('A destination warehouse is required for reverse pickup');
+  }
+
+  const declaredValue = returnRequest.items.reduce(
+    (sum, item) => sum + parseFloat(item.unitPrice) * item.quantity,
+    0,
+  );
+
+  const shipment = await shippingService.createShipment({
+    orderId: returnRequest.orderId,
+    businessId: sellerId,
+    carrier: data.carrier || shippingService.CARRIERS.DELHIVERY,
+    carrierName: data.carrierName,
+    serviceType: data.serviceType,
+    pickupAddress: returnRequest.pickupAddress || returnRequest.order.shippingAddress,
+    deliveryAddress: {
+      name: warehouse.name,
+      addressLine1: warehouse.addressLine1,
+      addressLine2: warehouse.addressLine2,
+      city: warehouse.city,
+      state: warehouse.state,
+      pincode: warehouse.pincode,
+      country: warehouse.country,
+      phone: warehouse.phone,
+    },
+    items: returnRequest.items.map((item) => ({ variantId: item.variantId, quantity: item.quantity })),
+    weight: data.weight,
+    dimensions: data.dimensions,
+    declaredValue: roundTo(declaredValue),
+    paymentMode: 'PREPAID',
+    isReturn: true,
+  });
+
+  return transitionReturn(returnRequest, RETURN_STATUS.PICKUP_SCHEDULED, sellerId, {
+    title: 'Reverse Pickup Scheduled',
+    description: `Pickup booked with AWB ${shipment.awbNumber}`,
+    metadata: { shipmentId: shipment.id, awbNumber: shipment.awbNumber },
+    data: {
+      pickupScheduledAt: new Date(),
+      shipmentId: shipment.id,
+      awbNumber: shipment.awbNumber,
+      warehouseId: warehouse.id,
+    },
+  });
+};
+
+/**
+ * Record goods received at the warehouse
+ */
+const markReceived = async (returnId, sellerId, data = {}) => {
+  const returnRequest = await getReturnForParty(returnId, sellerId, 'seller');
+  assertTransition(returnRequest, RETURN_STATUS.RECEIVED);
+
+  const received = data.items || [];
+  for (const item of returnRequest.items) {
+    const entry = received.find((r) => r.returnItemId === item.id);
+    const receivedQty = entry ? entry.receivedQty : item.quantity;
+    if (receivedQty < 0 || receivedQty > item.quantity) {
+      throw new BadRequestError(`Received quantity for item ${item.id} must be between 0 and ${item.quantity}`);
+    }
+    await prisma.returnItem.update({ where: { id: item.id }, data: { receivedQty } });
+  }
+
+  return transitionReturn(returnRequest, RETURN_STATUS.RECEIVED, sellerId, {
+    title: 'Return Received',
+    description: data.note || 'Returned goods received at warehouse',
+    data: { receivedAt: new Date() },
+  });
+};
+
+/**
+ * Inspect received units, accepting or rejecting each, and restock accepted units.
+ * Every line is validated before any stock moves; restocking, the inventory log
+ * and the line results then commit together with the status change
+ */
+const inspectReturn = async (returnId, sellerId, data) => {
+  const { items = [], warehouseId: overrideWarehouseId, note } = data;
+  const returnRequest = await getReturnForParty(returnId, sellerId, 'seller');
+  assertTransition(returnRequest, RETURN_STATUS.INSPECTED);
+
+  const warehouseId = overrideWarehouseId || returnRequest.warehouseId;
+
+  const plan = returnRequest.items.map((item) => {
+    const entry = items.find((i) => i.returnItemId === item.id);
+    if (!entry) {
+      throw new BadRequestError(`Inspection result missing for item ${item.id}`);
+    }
+
+    const acceptedQty = entry.acceptedQty || 0;
+    const rejectedQty = entry.rejectedQty || 0;
+    if (acceptedQty < 0 || rejectedQty < 0 || acceptedQty + rejectedQty !== item.receivedQty) {
+      throw new BadRequestError(
+        `Accepted and rejected units for item ${item.id} must add up to ${item.receivedQty} received`,
+      );
+    }
+
+    const restockQty = entry.restock === false ? 0 : acceptedQty;
+    if (restockQty > 0 && !warehouseId) {
+      throw new BadRequestError('Warehouse is required to restock accepted units');
+    }
+
+    return {
+      item,
+      entry,
+      restockQty,
+      result: {
+        acceptedQty,
+        rejectedQty,
+        restockedQty: restockQty,
+        inspectionNote: entry.note,
+        rejectionReason: rejectedQty > 0 ? entry.rejectionReason : null,
+      },
+    };
+  });
+
+  const { restockingFee, refundAmount } = calculateRefundAmount(
+    plan.map(({ item, result }) => ({ ...item, ...result })),
+    data.restockingFeePercentage ?? config.businessRules.restockingFeePercentage,
+  );
+
+  const accepted = plan.reduce((sum, p) => sum + p.result.acceptedQty, 0);
+  const rejected = plan.reduce((sum, p) => sum + p.result.rejectedQty, 0);
+  const restocked = plan.filter((p) => p.restockQty > 0).map((p) => p.item.variantId);
+
+  const updated = await transitionReturn(returnRequest, RETURN_STATUS.INSPECTED, sellerId, {
+    title: 'Inspection Completed',
+    description: note || `${accepted} unit(s) accepted, ${rejected} unit(s) rejected`,
+    metadata: { accepted, rejected, refundAmount },
+    data: {
+      inspectedAt: new Date(),
+      warehouseId,
+      restockingFee,
+      refundAmount,
+    },
+    apply: async (tx) => {
+      for (const { item, entry, restockQty, result } of plan) {
+        if (restockQty > 0) {
+          const before = await tx.warehouseInventory.findUnique({
+            where: { warehouseId_variantId: { warehouseId, variantId: item.variantId } },
+          });
+          // Lot-tracked units go back into the lot they shipped from
+          const inv = await warehouseService.addInventory(warehouseId, item.variantId, restockQty, {
+            lotNumber: entry.lotNumber,
+            orderItemId: item.orderItemId,
+          }, tx);
+          await tx.inventoryLog.create({
+            data: {
+              variantId: item.variantId,
+              type: 'in',
+              quantity: restockQty,
+              previousQty: before?.quantity || 0,
+              newQty: inv.quantity,
+              reason: `Restocked from return ${returnRequest.rmaNumber}`,
+              reference: returnRequest.id,
+              createdBy: sellerId,
+            },
+          });
+        }
+
+        await tx.returnItem.update({ where: { id: item.id }, data: result });
+      }
+    },
+  });
+
+  if (restocked.length) await warehouseService.refreshStockCache(restocked);
+  return updated;
+};
+
+/**
+ * Issue the prorated refund for accepted units, or close if nothing was accepted.
+ * The return is claimed before the gateway is called so a repeated request
+ * cannot refund it twice; the claim is released if the refund fails
+ */
+const processReturnRefund = async (returnId, sellerId) => {
+  const returnRequest = await getReturnForParty(returnId, sellerId, 'seller');
+  const refundAmount = parseFloat(returnRequest.refundAmount || 0);
+
+  if (refundAmount <= 0) {
+    return transitionReturn(returnRequest, RETURN_STATUS.CLOSED, sellerId, {
+      title: 'Return Closed',
+      description: 'No units were accepted; no refund is due',
+      data: { closedAt: new Date() },
+    });
+  }
+
+  await claimReturn(prisma, returnRequest, RETURN_STATUS.REFUNDED);
+
+  let refund;
+  try {
+    refund = await paymentService.refundPayment(
+      returnRequest.orderId,
+      `Return ${returnRequest.rmaNumber}`,
+      refundAmount,
+    );
+  } catch (error) {
+    await prisma.returnRequest.updateMany({
+      where: { id: returnRequest.id, status: RETURN_STATUS.REFUNDED, refundId: null },
+      data: { status: returnRequest.status },
+    });
+    throw error;
+  }
+
+  return transitionReturn(returnRequest, RETURN_STATUS.REFUNDED, sellerId, {
+    claimed: true,
+    title: 'Refund Issued',
+    description: `Refund of ${refundAmount} issued for accepted units`,
+    metadata: { refundId: refund.refundId, amount: refundAmount },
+    data: {
+      refundId: refund.refundId,
+      refundedAt: new Date(),
+      closedAt: new Date(),
+    },
+  });
+};
+
+// =============================================================================
+// QUERIES
+// =============================================================================
+
+/**
+ * Get return by ID with items and timeline
+ */
+const getReturnById = async (returnId, businessId) => {
+  await getReturnForParty(returnId, businessId);
+
+  return prisma.returnRequest.findUnique({
+    where: { id: returnId },
+    include: {
+      items: {
+        include: {
+          orderItem: {
+            select: { productName: true, variantName: true, sku: true, quantity: true },
+          },
+        },
+      },
+      timeline: { orderBy: { createdAt: 'desc' } },
+      order: { select: { id: true, orderNumber: true, status: true } },
+      buyer: { select: { id: true, businessName: true } },
+      seller: { select: { id: true, businessName: true } },
+    },
+  });
+};
+
+/**
+ * List returns for a business as buyer or seller
+ */
+const listReturns = async (businessId, role, filters = {}, pagination = {}) => {
+  const { page = 1, limit = 20 } = pagination;
+  const skip = (page - 1) * limit;
+
+  const where = role === 'seller' ? { sellerId: businessId } : { buyerId: businessId };
+  if (filters.status) where.status = filters.status;
+  if (filters.orderId) where.orderId = filters.orderId;
+
+  const [returns, total] = await Promise.all([
+    prisma.returnRequest.findMany({
+      where,
+      include: {
+        order: { select: { orderNumber: true } },
+        _count: { select: { items: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limit,
+    }),
+    prisma.returnRequest.count({ where }),
+  ]);
+
+  return {
+    returns,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+module.exports = {
+  RETURN_STATUS,
+  RETURN_TRANSITIONS,
+  RETURN_REASONS,
+  calculateRefundAmount,
+  createReturnRequest,
+  cancelReturnRequest,
+  approveReturn,
+  rejectReturn,
+  scheduleReversePickup,
+  markReceived,
+  inspectReturn,
+  processReturnRefund,
+  getReturnById,
+  listReturns,
+};
@@ -6,6 +6,7 @@
 const { prisma } = require('../config/database');
 const logger = require('../config/logger');
 const { AppError } = require('../utils/errors');
+const { roundTo, calculateGST, isInterstate } = require('../utils/helpers');
 
 // =============================================================================
 // CONFIGURATION
@@ -44,6 +45,25 @@ const AWARD_METHODS = {
   MANUAL: 'Manual Selection',
 };
 
+/**
+ * What bidders see of competing bids
+ */
+const BID_VISIBILITY = {
+  OPEN: 'Lowest price visible to all bidders',
+  RANK_ONLY: 'Bidders see only their own rank',
+  SEALED: 'Bidders see only their own bids',
+};
+
+/**
+ * Default weights (percent) for WEIGHTED_SCORE awards
+ */
+const DEFAULT_SCORING_MODEL = {
+  price: 70,
+  leadTime: 10,
+  vendorRating: 10,
+  technical: 10,
+};
+
 // =============================================================================
 // CREATE OPERATIONS
 // =============================================================================
@@ -74,6 +94,10 @@ exports.createReverseAuction = async (buyerId, data) => {
       attachments = [],
       invitedSellers = [],
       isPublic = true,
+      lots = [],
+      bidVisibility = 'OPEN',
+      scoringModel,
+      evaluatorIds = [],
     } = data;
 
     // Validate dates
@@ -89,6 +113,37 @@ exports.createReverseAuction = async (buyerId, data) => {
       throw new AppError('Invalid auction duration', 400);
     }
 
+    if (!AWARD_METHODS[awardMethod]) {
+      throw new AppError('Invalid award method', 400);
+    }
+
+    if (!BID_VISIBILITY[bidVisibility]) {
+      throw new AppError('Invalid bid visibility', 400);
+    }
+
+    const weights = awardMethod === 'WEIGHTED_SCORE'
+      ? normalizeScoringModel(scoringModel || DEFAULT_SCORING_MODEL)
+      : null;
+
+    // Multi-lot events carry quantity and budget per lot
+    const lotRows = lots.map((lot, index) => {
+      if (!lot.title || !(lot.quantity > 0)) {
+        throw new AppError(`Lot ${index + 1} needs a title and a positive quantity`, 400);
+      }
+
+      return {
+        lotNumber: index + 1,
+        title: lot.title,
+        description: lot.description,
+        productId: lot.productId,
+        variantId: lot.variantId,
+        specifications: lot.specifications,
+        quantity: lot.quantity,
+        unit: lot.unit || unit || 'units',
+        maxUnitPrice: lot.maxUnitPrice,
+      };
+    });
+
     // Generate auction number
     const auctionNumber = generateAuctionNumber();
 
@@ -100,7 +155,9 @@ exports.createReverseAuction = async (buyerId, data) => {
         description,
         categoryId,
         specifications,
-        quantity,
+        quantity: lotRows.length > 0
+          ? lotRows.reduce((sum, lot) => sum + lot.quantity, 0)
+          : quantity,
         unit: unit || 'units',
         maxBudget,
         currency,
@@ -110,11 +167,16 @@ exports.createReverseAuction = async (buyerId, data) => {
         deliveryAddress,
         deliveryDeadline: deliveryDeadline ? new Date(deliveryDeadline) : null,
         awardMethod,
+        scoringModel: weights,
+        bidVisibility,
+        isMultiLot: lotRows.length > 0,
+        evaluatorIds,
         qualificationCriteria,
         attachments,
         isPublic,
         status: 'DRAFT',
         extensionsUsed: 0,
+        lots: lotRows.length > 0 ? { create: lotRows } : undefined,
         // Create invitations for private auctions
         invitations: invitedSellers.length > 0 ? {
           create: invitedSellers.map((sellerId) => ({
@@ -126,6 +188,7 @@ exports.createReverseAuction = async (buyerId, data) => {
       include: {
         category: { select: { id: true, name: true } },
         buyer: { select: { id: true, firstName: true, lastName: true } },
+        lots: { orderBy: { lotNumber: 'asc' } },
       },
     });
 
@@ -133,6 +196,7 @@ exports.createReverseAuction = async (buyerId, data) => {
       auctionNumber,
       buyerId,
       isPublic,
+      lots: lotRows.length,
     });
 
     return auction;
@@ -228,6 +292,7 @@ exports.getAuction = async (auctionId, userId) => {
           },
         },
       },
+      lots: { orderBy: { lotNumber: 'asc' } },
       _count: { select: { bids: true } },
     },
   });
@@ -253,13 +318,23 @@ exports.getAuction = async (auctionId, userId) => {
   // Get current lowest bid
   const lowestBid = auction.bids[0] || null;
 
+  // Competing prices stay hidden from bidders unless the auction is open
+  const isOwner = auction.buyerId === userId;
+  const pricesVisible = isOwner || auction.bidVisibility === 'OPEN';
+
   return {
     ...auction,
+    bids: pricesVisible ? auction.bids : [],
+    lots: auction.lots.map((lot) => ({
+      ...lot,
+      currentLowestBid: pricesVisible ? lot.currentLowestBid : null,
+    })),
     statusInfo: REVERSE_AUCTION_STATUS[auction.status],
     awardMethodInfo: AWARD_METHODS[auction.awardMethod],
-    currentLowestBid: lowestBid?.amount || null,
+    bidVisibilityInfo: BID_VISIBILITY[auction.bidVisibility],
+    currentLowestBid: pricesVisible ? lowestBid?.amount || null : null,
     bidCount: auction._count.bids,
-    isOwner: auction.buyerId === userId,
+    isOwner,
     timeRemaining: calculateTimeRemaining(auction.endDate),
   };
 };
@@ -333,7 +408,7 @@ exports.getActiveAuctions = async (options = {}) => {
 
       return {
         ...auction,
-        currentLowestBid: lowestBid?.amount || null,
+        currentLowestBid: auction.bidVisibility === 'OPEN' ? lowestBid?.amount || null : null,
         statusInfo: REVERSE_AUCTION_STATUS[auction.status],
         timeRemaining: calculateTimeRemaining(auction.endDate),
       };
@@ -426,43 +501,17 @@ exports.placeBid = async (auctionId, sellerId, data) => {
       throw new AppError('Auction not found', 404);
     }
 
-    if (!['ACTIVE', 'EXTENDED'].includes(auction.status)) {
-      throw new AppError('Auction is not accepting bids', 400);
-    }
-
-    if (new Date() > auction.endDate) {
-      throw new AppError('Auction has ended', 400);
+    if (auction.isMultiLot) {
+      throw new AppError('Bid on individual lots for multi-lot auctions', 400);
     }
 
-    // Check if seller is invited (for private auctions)
-    if (!auction.isPublic) {
-      const invitation = await prisma.reverseAuctionInvitation.findFirst({
-        where: {
-          auctionId,
-          sellerId,
-          status: 'ACCEPTED',
-        },
-      });
-
-      if (!invitation) {
-        throw new AppError('Not authorized to bid on this auction', 403);
-      }
-    }
+    await assertBiddingOpen(auction, sellerId);
 
     // Validate bid amount
     if (amount > auction.maxBudget) {
       throw new AppError(`Bid must not exceed budget of ${auction.maxBudget}`, 400);
     }
 
-    // Check if bid is lower than current lowest
-    const currentLowest = auction.bids[0]?.amount;
-    if (currentLowest) {
-      const minAmount = currentLowest * (1 - CONFIG.minBidDecrement / 100);
-      if (amount >= currentLowest) {
-        throw new AppError(`Bid must be lower than current lowest: ${currentLowest}`, 400);
-      }
-    }
-
     // Check for existing bid from this seller
     const existingBid = await prisma.reverseAuctionBid.findFirst({
       where: {
@@ -472,6 +521,17 @@ exports.placeBid = async (auctionId, sellerId, data) => {
       },
     });
 
+    // Open auctions must beat the field; otherwise the lowest price is
+    // hidden, so a revision only has to improve on the seller's own bid
+    if (auction.bidVisibility === 'OPEN') {
+      const currentLowest = auction.bids[0]?.amount;
+      if (currentLowest && amount >= currentLowest) {
+        throw new AppError(`Bid must be lower than current lowest: ${currentLowest}`, 400);
+      }
+    } else if (existingBid) {
+      assertImprovedBid(amount, existingBid.amount);
+    }
+
     let bid;
     if (existingBid) {
       // Update existing bid
@@ -634,6 +694,10 @@ exports.awardAuction = async (auctionId, buyerId, bidId, notes = '') => {
       throw new AppError('Auction must be ended before awarding', 400);
     }
 
+    if (auction.isMultiLot) {
+      throw new AppError('Multi-lot auctions are awarded per lot', 400);
+    }
+
     const bid = await prisma.reverseAuctionBid.findUnique({
       where: { id: bidId },
       include: { seller: true },
@@ -758,6 +822,436 @@ exports.cancelAuction = async (auctionId, buyerId, reason) => {
   return { success: true };
 };
 
+// =============================================================================
+// MULTI-LOT OPERATIONS
+// =============================================================================
+
+/**
+ * Place or revise bids on one or more lots
+ * @param {string} auctionId - Auction ID
+ * @param {string} sellerId - Seller business ID
+ * @param {Object[]} bids - [{ lotId, unitPrice, quantity, deliveryDays, notes }]
+ * @returns {Promise<Object[]>} Placed bids
+ */
+exports.placeLotBids = async (auctionId, sellerId, bids) => {
+  try {
+    const auction = await prisma.reverseAuction.findUnique({
+      where: { id: auctionId },
+      include: { lots: true },
+    });
+
+    if (!auction) {
+      throw new AppError('Auction not found', 404);
+    }
+
+    if (!auction.isMultiLot) {
+      throw new AppError('This auction has no lots', 400);
+    }
+
+    await assertBiddingOpen(auction, sellerId);
+
+    const lotsById = new Map(auction.lots.map((lot) => [lot.id, lot]));
+    const previousBids = await prisma.reverseAuctionLotBid.findMany({
+      where: { auctionId, sellerId, status: 'ACTIVE' },
+    });
+    const previousByLot = new Map(previousBids.map((bid) => [bid.lotId, bid]));
+
+    const placed = [];
+    for (const entry of bids) {
+      const lot = lotsById.get(entry.lotId);
+      if (!lot) {
+        throw new AppError(`Lot ${entry.lotId} is not part of this auction`, 400);
+      }
+
+      const unitPrice = parseFloat(entry.unitPrice);
+      const quantity = entry.quantity || lot.quantity;
+
+      if (!(unitPrice > 0)) {
+        throw new AppError(`Unit price for lot ${lot.lotNumber} must be positive`, 400);
+      }
+
+      if (quantity < 1 || quantity > lot.quantity) {
+        throw new AppError(`Quantity for lot ${lot.lotNumber} must be between 1 and ${lot.quantity}`, 400);
+      }
+
+      if (lot.maxUnitPrice && unitPrice > parseFloat(lot.maxUnitPrice)) {
+        throw new AppError(`Bid for lot ${lot.lotNumber} must not exceed ${lot.maxUnitPrice} per unit`, 400);
+      }
+
+      const previous = previousByLot.get(lot.id);
+      const holdsLowest = previous && lot.currentLowestBid
+        && parseFloat(previous.unitPrice) <= parseFloat(lot.currentLowestBid);
+
+      // Same rule as single-lot bids: beat the field when it is visible,
+      // otherwise improve on the seller's own price
+      if (auction.bidVisibility === 'OPEN' && lot.currentLowestBid && !holdsLowest
+        && unitPrice >= parseFloat(lot.currentLowestBid)) {
+        throw new AppError(`Bid for lot ${lot.lotNumber} must be lower than current lowest: ${lot.currentLowestBid}`, 400);
+      }
+
+      if (previous) {
+        assertImprovedBid(unitPrice, previous.unitPrice);
+      }
+
+      const bid = await prisma.reverseAuctionLotBid.upsert({
+        where: { lotId_sellerId: { lotId: lot.id, sellerId } },
+        create: {
+          auctionId,
+          lotId: lot.id,
+          sellerId,
+          unitPrice,
+          quantity,
+          deliveryDays: entry.deliveryDays,
+          notes: entry.notes,
+        },
+        update: {
+          unitPrice,
+          quantity,
+          deliveryDays: entry.deliveryDays,
+          notes: entry.notes,
+          status: 'ACTIVE',
+          withdrawnAt: null,
+          revisions: { increment: 1 },
+        },
+      });
+
+      await updateLotLowestBid(lot.id);
+      placed.push(bid);
+    }
+
+    // Check for auto-extension
+    await checkAndExtendAuction(auctionId);
+
+    logger.info('Reverse auction lot bids placed', {
+      auctionId,
+      sellerId,
+      lots: placed.length,
+    });
+
+    return placed;
+  } catch (error) {
+    logger.error('Place lot bids error', { error: error.message, auctionId, sellerId });
+    throw error;
+  }
+};
+
+/**
+ * Lot standings as the requester may see them: the buyer gets the full
+ * evaluation, bidders get what the auction's visibility allows
+ * @param {string} auctionId - Auction ID
+ * @param {string} userId - Requesting user ID
+ * @param {string} businessId - Requesting business ID
+ * @returns {Promise<Object[]>} Per-lot standings
+ */
+exports.getLotStandings = async (auctionId, userId, businessId) => {
+  const auction = await prisma.reverseAuction.findUnique({
+    where: { id: auctionId },
+    include: { lots: { orderBy: { lotNumber: 'asc' } } },
+  });
+
+  if (!auction) {
+    throw new AppError('Auction not found', 404);
+  }
+
+  if (auction.buyerId === userId) {
+    return exports.evaluateLots(auctionId, userId);
+  }
+
+  if (!auction.isPublic) {
+    const invitation = await prisma.reverseAuctionInvitation.findFirst({
+      where: { auctionId, sellerId: businessId },
+    });
+
+    if (!invitation) {
+      throw new AppError('Not authorized to view this auction', 403);
+    }
+  }
+
+  const activeBids = auction.bidVisibility === 'SEALED'
+    ? await prisma.reverseAuctionLotBid.findMany({ where: { auctionId, sellerId: businessId, status: 'ACTIVE' } })
+    : await prisma.reverseAuctionLotBid.findMany({ where: { auctionId, status: 'ACTIVE' } });
+
+  return auction.lots.map((lot) => {
+    const lotBids = activeBids.filter((bid) => bid.lotId === lot.id);
+    const myBid = lotBids.find((bid) => bid.sellerId === businessId) || null;
+
+    const standing = {
+      id: lot.id,
+      lotNumber: lot.lotNumber,
+      title: lot.title,
+      quantity: lot.quantity,
+      unit: lot.unit,
+      maxUnitPrice: lot.maxUnitPrice,
+      status: lot.status,
+      myBid,
+    };
+
+    if (auction.bidVisibility === 'SEALED') {
+      return standing;
+    }
+
+    // Bidder rank is by price; technical and rating scores stay with the buyer
+    standing.myRank = myBid
+      ? lotBids.filter((bid) => parseFloat(bid.unitPrice) < parseFloat(myBid.unitPrice)).length + 1
+      : null;
+    standing.bidderCount = lotBids.length;
+
+    if (auction.bidVisibility === 'OPEN') {
+      standing.currentLowestBid = lot.currentLowestBid;
+    }
+
+    return standing;
+  });
+};
+
+/**
+ * Record technical compliance scores (0-100) for bidders on lots
+ * @param {string} auctionId - Auction ID
+ * @param {string} evaluatorId - Evaluator user ID
+ * @param {Object[]} scores - [{ lotId, sellerId, score, comments }]
+ * @returns {Promise<Object[]>} Saved evaluations
+ */
+exports.submitTechnicalScores = async (auctionId, evaluatorId, scores) => {
+  const auction = await prisma.reverseAuction.findUnique({
+    where: { id: auctionId },
+    include: { lots: { select: { id: true } } },
+  });
+
+  if (!auction) {
+    throw new AppError('Auction not found', 404);
+  }
+
+  if (auction.buyerId !== evaluatorId && !(auction.evaluatorIds || []).includes(evaluatorId)) {
+    throw new AppError('Not authorized to evaluate this auction', 403);
+  }
+
+  if (['DRAFT', 'CANCELLED', 'AWARDED'].includes(auction.status)) {
+    throw new AppError('Auction is not open for evaluation', 400);
+  }
+
+  const lotIds = new Set(auction.lots.map((lot) => lot.id));
+  const bids = await prisma.reverseAuctionLotBid.findMany({
+    where: { auctionId, status: 'ACTIVE' },
+    select: { lotId: true, sellerId: true },
+  });
+  const bidKeys = new Set(bids.map((bid) => `${bid.lotId}:${bid.sellerId}`));
+
+  const saved = [];
+  for (const entry of scores) {
+    if (!lotIds.has(entry.lotId)) {
+      throw new AppError(`Lot ${entry.lotId} is not part of this auction`, 400);
+    }
+
+    if (!bidKeys.has(`${entry.lotId}:${entry.sellerId}`)) {
+      throw new AppError(`Seller ${entry.sellerId} has no active bid on lot ${entry.lotId}`, 400);
+    }
+
+    if (!(entry.score >= 0 && entry.score <= 100)) {
+      throw new AppError('Technical score must be between 0 and 100', 400);
+    }
+
+    saved.push(await prisma.reverseAuctionEvaluation.upsert({
+      where: {
+        lotId_sellerId_evaluatorId: { lotId: entry.lotId, sellerId: entry.sellerId, evaluatorId },
+      },
+      create: {
+        auctionId,
+        lotId: entry.lotId,
+        sellerId: entry.sellerId,
+        evaluatorId,
+        technicalScore: entry.score,
+        comments: entry.comments,
+      },
+      update: { technicalScore: entry.score, comments: entry.comments },
+    }));
+  }
+
+  logger.info('Technical scores submitted', { auctionId, evaluatorId, count: saved.length });
+
+  return saved;
+};
+
+/**
+ * Rank bids on every lot with the auction's award method and scoring model
+ * @param {string} auctionId - Auction ID
+ * @param {string} buyerId - Buyer user ID
+ * @returns {Promise<Object[]>} Lots with ranked, scored bids
+ */
+exports.evaluateLots = async (auctionId, buyerId) => {
+  const auction = await prisma.reverseAuction.findUnique({
+    where: { id: auctionId },
+    include: { lots: { orderBy: { lotNumber: 'asc' } } },
+  });
+
+  if (!auction) {
+    throw new AppError('Auction not found', 404);
+  }
+
+  if (auction.buyerId !== buyerId) {
+    throw new AppError('Not authorized', 403);
+  }
+
+  const rankings = await buildLotRankings(auction);
+
+  return auction.lots.map((lot) => ({
+    ...lot,
+    bids: rankings.get(lot.id),
+    suggestedAward: allocateLot(lot, rankings.get(lot.id)).map(({ bid, quantity }) => ({
+      bidId: bid.id,
+      sellerId: bid.sellerId,
+      quantity,
+    })),
+  }));
+};
+
+/**
+ * Award lots, whole or split by quantity, and raise one PO per winning
+ * supplier. Without allocations each lot goes to its best-ranked bids in
+ * order until the lot quantity is covered.
+ * @param {string} auctionId - Auction ID
+ * @param {string} buyerId - Buyer user ID
+ * @param {Object} data - { allocations: [{ lotId, bidId, quantity | sharePercent }], notes }
+ * @returns {Promise<Object>} Award result with orders
+ */
+exports.awardLots = async (auctionId, buyerId, data = {}) => {
+  try {
+    const { allocations = [], notes = '' } = data;
+
+    const auction = await prisma.reverseAuction.findUnique({
+      where: { id: auctionId },
+      include: { lots: { orderBy: { lotNumber: 'asc' } } },
+    });
+
+    if (!auction) {
+      throw new AppError('Auction not found', 404);
+    }
+
+    if (auction.buyerId !== buyerId) {
+      throw new AppError('Not authorized', 403);
+    }
+
+    if (auction.status !== 'ENDED') {
+      throw new AppError('Auction must be ended before awarding', 400);
+    }
+
+    if (!auction.isMultiLot) {
+      throw new AppError('Use the single award for auctions without lots', 400);
+    }
+
+    if (auction.awardMethod === 'MANUAL' && allocations.length === 0) {
+      throw new AppError('Manual award needs explicit allocations', 400);
+    }
+
+    const rankings = await buildLotRankings(auction);
+    const plan = allocations.length > 0
+      ? planManualAwards(auction.lots, rankings, allocations)
+      : auction.lots.flatMap((lot) => allocateLot(lot, rankings.get(lot.id))
+        .map((allocation) => ({ lot, ...allocation })));
+
+    if (plan.length === 0) {
+      throw new AppError('No bids to award', 400);
+    }
+
+    const bySeller = new Map();
+    plan.forEach((award) => {
+      const list = bySeller.get(award.bid.sellerId) || [];
+      list.push(award);
+      bySeller.set(award.bid.sellerId, list);
+    });
+
+    const unlinked = plan.find((award) => !award.lot.variantId);
+    if (unlinked) {
+      throw new AppError(`Lot ${unlinked.lot.lotNumber} is not linked to a catalogue variant and cannot be ordered`, 400);
+    }
+
+    const context = await loadOrderContext(auction, plan, [...bySeller.keys()]);
+    const awardedAt = new Date();
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Claiming the auction first means a second award raises no orders
+      const { count } = await tx.reverseAuction.updateMany({
+        where: { id: auctionId, status: 'ENDED' },
+        data: { status: 'AWARDED', awardedAt, awardNotes: notes },
+      });
+      if (count === 0) {
+        throw new AppError('Auction has already been awarded', 409);
+      }
+
+      const orders = [];
+      const awards = [];
+
+      // One purchase order per winning supplier covering all their lots
+      for (const [sellerId, sellerAwards] of bySeller) {
+        const lines = sellerAwards.map(({ lot, bid, quantity }) => ({
+          lot,
+          bid,
+          quantity,
+          unitPrice: parseFloat(bid.unitPrice),
+          totalPrice: roundTo(parseFloat(bid.unitPrice) * quantity, 2),
+        }));
+
+        const order = await tx.order.create({
+          data: buildAwardOrder(auction, sellerId, lines, context),
+        });
+        orders.push(order);
+
+        for (const line of lines) {
+          awards.push(await tx.reverseAuctionAward.create({
+            data: {
+              auctionId,
+              lotId: line.lot.id,
+              bidId: line.bid.id,
+              sellerId,
+              quantity: line.quantity,
+              unitPrice: line.unitPrice,
+              amount: line.totalPrice,
+              score: line.bid.score,
+              orderId: order.id,
+            },
+          }));
+        }
+      }
+
+      const awardedBidIds = [...new Set(plan.map((award) => award.bid.id))];
+      const awardedLotIds = [...new Set(plan.map((award) => award.lot.id))];
+
+      await tx.reverseAuctionLotBid.updateMany({
+        where: { id: { in: awardedBidIds } },
+        data: { status: 'AWARDED' },
+      });
+      await tx.reverseAuctionLotBid.updateMany({
+        where: { auctionId, id: { notIn: awardedBidIds }, status: 'ACTIVE' },
+        data: { status: 'REJECTED' },
+      });
+      await tx.reverseAuctionLot.updateMany({
+        where: { auctionId, id: { in: awardedLotIds } },
+        data: { status: 'AWARDED' },
+      });
+      await tx.reverseAuctionLot.updateMany({
+        where: { auctionId, id: { notIn: awardedLotIds } },
+        data: { status: 'NOT_AWARDED' },
+      });
+
+      return { auction: { ...auction, status: 'AWARDED', awardedAt, awardNotes: notes }, awards, orders };
+    });
+
+    for (const [sellerId, sellerAwards] of bySeller) {
+      await notifyAuctionWinner(sellerId, auction, { lots: sellerAwards.map(({ lot }) => lot.lotNumber) });
+    }
+
+    logger.info('Reverse auction lots awarded', {
+      auctionId,
+      suppliers: bySeller.size,
+      awards: plan.length,
+    });
+
+    return result;
+  } catch (error) {
+    logger.error('Award lots error', { error: error.message, auctionId });
+    throw error;
+  }
+};
+
 // =============================================================================
 // SCHEDULED OPERATIONS
 // =============================================================================
@@ -775,9 +1269,9 @@ exports.endExpiredAuctions = async () => {
   });
 
   for (const auction of expired) {
-    const bidCount = await prisma.reverseAuctionBid.count({
-      where: { auctionId: auction.id, status: 'ACTIVE' },
-    });
+    const bidCount = auction.isMultiLot
+      ? await prisma.reverseAuctionLotBid.count({ where: { auctionId: auction.id, status: 'ACTIVE' } })
+      : await prisma.reverseAuctionBid.count({ where: { auctionId: auction.id, status: 'ACTIVE' } });
 
     await prisma.reverseAuction.update({
       where: { id: auction.id },
@@ -882,6 +1376,340 @@ async function updateAuctionLowestBid(auctionId) {
   });
 }
 
+async function assertBiddingOpen(auction, sellerId) {
+  if (!['ACTIVE', 'EXTENDED'].includes(auction.status)) {
+    throw new AppError('Auction is not accepting bids', 400);
+  }
+
+  if (new Date() > auction.endDate) {
+    throw new AppError('Auction has ended', 400);
+  }
+
+  // Check if seller is invited (for private auctions)
+  if (!auction.isPublic) {
+    const invitation = await prisma.reverseAuctionInvitation.findFirst({
+      where: {
+        auctionId: auction.id,
+        sellerId,
+        status: 'ACCEPTED',
+      },
+    });
+
+    if (!invitation) {
+      throw new AppError('Not authorized to bid on this auction', 403);
+    }
+  }
+}
+
+function assertImprovedBid(amount, previousAmount) {
+  const maxAmount = parseFloat(previousAmount) * (1 - CONFIG.minBidDecrement / 100);
+  if (amount > maxAmount) {
+    throw new AppError(`Revised bid must be at least ${CONFIG.minBidDecrement}% below your previous bid`, 400);
+  }
+}
+
+function normalizeScoringModel(model) {
+  const weights = {};
+  for (const key of Object.keys(DEFAULT_SCORING_MODEL)) {
+    const weight = parseFloat(model[key] || 0);
+    if (!(weight >= 0)) {
+      throw new AppError(`Invalid weight for ${key}`, 400);
+    }
+    weights[key] = weight;
+  }
+
+  if (Object.values(weights).reduce((sum, weight) => sum + weight, 0) <= 0) {
+    throw new AppError('Scoring model needs at least one positive weight', 400);
+  }
+
+  return weights;
+}
+
+/**
+ * Score bids on one lot (0-100 per criterion, weighted average overall).
+ * Price and lead time score relative to the best offer. A criterion no
+ * bidder has data for is dropped and the remaining weights rescaled;
+ * otherwise missing data scores zero.
+ */
+function scoreLotBids(bids, weights, ratings = {}, technical = {}) {
+  if (bids.length === 0) return [];
+
+  const minPrice = Math.min(...bids.map((bid) => parseFloat(bid.unitPrice)));
+  const leadTimes = bids.map((bid) => bid.deliveryDays).filter((days) => days > 0);
+  const minDays = leadTimes.length > 0 ? Math.min(...leadTimes) : null;
+
+  const criteria = {
+    price: (bid) => (minPrice / parseFloat(bid.unitPrice)) * 100,
+    leadTime: minDays ? (bid) => (bid.deliveryDays > 0 ? (minDays / bid.deliveryDays) * 100 : 0) : null,
+    vendorRating: bids.some((bid) => ratings[bid.sellerId] !== undefined)
+      ? (bid) => Math.min(ratings[bid.sellerId] || 0, 100)
+      : null,
+    technical: bids.some((bid) => technical[bid.sellerId] !== undefined)
+      ? (bid) => technical[bid.sellerId] || 0
+      : null,
+  };
+
+  const active = Object.entries(weights).filter(([key, weight]) => weight > 0 && criteria[key]);
+  const weightSum = active.reduce((sum, [, weight]) => sum + weight, 0);
+
+  return bids.map((bid) => {
+    const breakdown = {};
+    let total = 0;
+    active.forEach(([key, weight]) => {
+      breakdown[key] = roundTo(criteria[key](bid), 2);
+      total += breakdown[key] * weight;
+    });
+
+    return { ...bid, score: weightSum > 0 ? roundTo(total / weightSum, 2) : 0, breakdown };
+  });
+}
+
+/**
+ * Order scored bids: by score for WEIGHTED_SCORE, otherwise by price;
+ * earlier bids win ties
+ */
+function rankLotBids(scoredBids, awardMethod) {
+  const byPrice = (a, b) => parseFloat(a.unitPrice) - parseFloat(b.unitPrice);
+  const byTime = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+  return [...scoredBids]
+    .sort((a, b) => (awardMethod === 'WEIGHTED_SCORE' ? b.score - a.score : 0) || byPrice(a, b) || byTime(a, b))
+    .map((bid, index) => ({ ...bid, rank: index + 1 }));
+}
+
+async function buildLotRankings(auction) {
+  const [bids, evaluations] = await Promise.all([
+    prisma.reverseAuctionLotBid.findMany({
+      where: { auctionId: auction.id, status: 'ACTIVE' },
+      include: { seller: { select: { id: true, businessName: true } } },
+    }),
+    prisma.reverseAuctionEvaluation.findMany({ where: { auctionId: auction.id } }),
+  ]);
+
+  const sellerIds = [...new Set(bids.map((bid) => bid.sellerId))];
+  const scorecards = sellerIds.length > 0
+    ? await prisma.vendorScorecard.findMany({
+      where: { vendorId: { in: sellerIds } },
+      select: { vendorId: true, overallScore: true },
+    })
+    : [];
+  const ratings = Object.fromEntries(scorecards.map((card) => [card.vendorId, parseFloat(card.overallScore)]));
+
+  const weights = auction.awardMethod === 'WEIGHTED_SCORE'
+    ? auction.scoringModel || DEFAULT_SCORING_MODEL
+    : { price: 100 };
+
+  const rankings = new Map();
+  for (const lot of auction.lots) {
+    // Average across evaluators
+    const technical = {};
+    const lotEvaluations = evaluations.filter((evaluation) => evaluation.lotId === lot.id);
+    for (const sellerId of new Set(lotEvaluations.map((evaluation) => evaluation.sellerId))) {
+      const sellerScores = lotEvaluations
+        .filter((evaluation) => evaluation.sellerId === sellerId)
+        .map((evaluation) => parseFloat(evaluation.technicalScore));
+      technical[sellerId] = roundTo(sellerScores.reduce((sum, score) => sum + score, 0) / sellerScores.length, 2);
+    }
+
+    const lotBids = bids.filter((bid) => bid.lotId === lot.id);
+    rankings.set(lot.id, rankLotBids(scoreLotBids(lotBids, weights, ratings, technical), auction.awardMethod));
+  }
+
+  return rankings;
+}
+
+/**
+ * Fill a lot from its ranked bids, each up to the quantity offered
+ */
+function allocateLot(lot, rankedBids = []) {
+  const allocations = [];
+  let remaining = lot.quantity;
+
+  for (const bid of rankedBids) {
+    if (remaining <= 0) break;
+    const quantity = Math.min(remaining, bid.quantity);
+    allocations.push({ bid, quantity });
+    remaining -= quantity;
+  }
+
+  return allocations;
+}
+
+function planManualAwards(lots, rankings, allocations) {
+  const lotsById = new Map(lots.map((lot) => [lot.id, lot]));
+  const seenBids = new Set();
+
+  const plan = allocations.map((allocation) => {
+    const lot = lotsById.get(allocation.lotId);
+    if (!lot) {
+      throw new AppError(`Lot ${allocation.lotId} is not part of this auction`, 400);
+    }
+
+    const bid = (rankings.get(lot.id) || []).find((candidate) => candidate.id === allocation.bidId);
+    if (!bid) {
+      throw new AppError(`Bid ${allocation.bidId} is not an active bid on lot ${lot.lotNumber}`, 400);
+    }
+
+    if (seenBids.has(bid.id)) {
+      throw new AppError(`Bid ${bid.id} is allocated more than once`, 400);
+    }
+    seenBids.add(bid.id);
+
+    let quantity = allocation.quantity;
+    if (!quantity && allocation.sharePercent) {
+      quantity = Math.round((lot.quantity * allocation.sharePercent) / 100);
+    }
+
+    return {
+      lot,
+      bid,
+      quantity: quantity || Math.min(bid.quantity, lot.quantity),
+      sharePercent: allocation.sharePercent,
+    };
+  });
+
+  for (const lot of lots) {
+    const lotPlan = plan.filter((award) => award.lot.id === lot.id);
+    if (lotPlan.length === 0) continue;
+
+    // Shares adding up to 100% cover the lot exactly; rounding goes to the first allocation
+    const shareTotal = lotPlan.reduce((sum, award) => sum + (award.sharePercent || 0), 0);
+    const allShares = lotPlan.every((award) => award.sharePercent);
+    let allocated = lotPlan.reduce((sum, award) => sum + award.quantity, 0);
+    if (allShares && Math.abs(shareTotal - 100) < 0.01 && allocated !== lot.quantity) {
+      lotPlan[0].quantity += lot.quantity - allocated;
+      allocated = lot.quantity;
+    }
+
+    if (allocated > lot.quantity) {
+      throw new AppError(`Allocations for lot ${lot.lotNumber} exceed its quantity of ${lot.quantity}`, 400);
+    }
+
+    for (const award of lotPlan) {
+      if (award.quantity < 1 || award.quantity > award.bid.quantity) {
+        throw new AppError(
+          `Allocation for lot ${lot.lotNumber} must be between 1 and the ${award.bid.quantity} units offered`,
+          400,
+        );
+      }
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Everything the award orders snapshot: the buyer's business and addresses,
+ * the winning sellers' states and the awarded lots' catalogue variants
+ */
+async function loadOrderContext(auction, plan, sellerIds) {
+  const buyer = await prisma.business.findFirst({
+    where: { ownerId: auction.buyerId },
+    include: { addresses: true },
+  });
+  if (!buyer) {
+    throw new AppError('Buyer business not found', 404);
+  }
+
+  const preferred = (type) => buyer.addresses.find((address) => address.type === type && address.isDefault)
+    || buyer.addresses.find((address) => address.type === type);
+  const shippingAddress = auction.deliveryAddress || preferred('shipping');
+  const billingAddress = preferred('billing') || shippingAddress;
+  if (!shippingAddress || !billingAddress) {
+    throw new AppError('Add a delivery address to the auction or a shipping address to the business', 400);
+  }
+
+  const [sellers, variants] = await Promise.all([
+    prisma.business.findMany({ where: { id: { in: sellerIds } }, select: { id: true, state: true } }),
+    prisma.productVariant.findMany({
+      where: { id: { in: [...new Set(plan.map((award) => award.lot.variantId))] } },
+      include: { product: true },
+    }),
+  ]);
+
+  return {
+    buyer,
+    billingAddress: { ...billingAddress, id: undefined, businessId: undefined },
+    shippingAddress: { ...shippingAddress, id: undefined, businessId: undefined },
+    sellerStates: new Map(sellers.map((seller) => [seller.id, seller.state])),
+    variants: new Map(variants.map((variant) => [variant.id, variant])),
+  };
+}
+
+/**
+ * Order data for one winning supplier, priced at the awarded bids and taxed
+ * the way order.service prices catalogue orders
+ */
+function buildAwardOrder(auction, sellerId, lines, context) {
+  const interstate = isInterstate(context.sellerStates.get(sellerId), context.shippingAddress.state);
+  const taxBreakdown = { cgst: 0, sgst: 0, igst: 0 };
+
+  const items = lines.map((line) => {
+    const variant = context.variants.get(line.lot.variantId);
+    if (!variant) {
+      throw new AppError(`Lot ${line.lot.lotNumber} refers to a variant that no longer exists`, 400);
+    }
+
+    const taxRate = variant.product.gstRate || 18;
+    const tax = calculateGST(line.totalPrice, taxRate, interstate);
+    ['cgst', 'sgst', 'igst'].forEach((part) => {
+      taxBreakdown[part] = roundTo(taxBreakdown[part] + tax[part], 2);
+    });
+
+    return {
+      variantId: variant.id,
+      productName: variant.product.name,
+      variantName: variant.variantName,
+      sku: variant.sku,
+      hsnCode: variant.product.hsnCode,
+      quantity: line.quantity,
+      unitPrice: line.unitPrice,
+      taxRate,
+      taxAmount: tax.total,
+      totalPrice: roundTo(line.totalPrice + tax.total, 2),
+    };
+  });
+
+  const subtotal = roundTo(lines.reduce((sum, line) => sum + line.totalPrice, 0), 2);
+  const taxAmount = roundTo(items.reduce((sum, item) => sum + item.taxAmount, 0), 2);
+
+  return {
+    orderNumber: generateOrderNumber(),
+    buyerId: context.buyer.id,
+    sellerId,
+    status: 'PENDING_PAYMENT',
+    billingAddress: context.billingAddress,
+    shippingAddress: context.shippingAddress,
+    subtotal,
+    taxAmount,
+    taxBreakdown,
+    totalAmount: roundTo(subtotal + taxAmount, 2),
+    currency: auction.currency,
+    buyerNote: `Awarded in reverse auction ${auction.auctionNumber}`,
+    items: { create: items },
+    timeline: {
+      create: {
+        status: 'PENDING_PAYMENT',
+        title: 'Order Created',
+        description: `Purchase order raised from reverse auction ${auction.auctionNumber}`,
+        createdBy: 'system',
+      },
+    },
+  };
+}
+
+async function updateLotLowestBid(lotId) {
+  const lowestBid = await prisma.reverseAuctionLotBid.findFirst({
+    where: { lotId, status: 'ACTIVE' },
+    orderBy: { unitPrice: 'asc' },
+  });
+
+  await prisma.reverseAuctionLot.update({
+    where: { id: lotId },
+    data: { currentLowestBid: lowestBid?.unitPrice || null },
+  });
+}
+
 async function notifyInvitedSellers(auctionId) {
   logger.info('Notifying invited sellers', { auctionId });
 }
@@ -906,7 +1734,12 @@ module.exports = {
   ...exports,
   REVERSE_AUCTION_STATUS,
   AWARD_METHODS,
+  BID_VISIBILITY,
+  DEFAULT_SCORING_MODEL,
   CONFIG,
+  scoreLotBids,
+  rankLotBids,
+  allocateLot,
 };
 
 
@@ -3,8 +3,9 @@
  * Handles RFQ creation, quotation management, and negotiation workflow
  */
 
-const prisma = require('../config/database');
+const { prisma } = require('../config/database');
 const { cache } = require('../config/redis');
+const config = require('../config');
 const { 
   NotFoundError, 
   BadRequestError, 
@@ -15,10 +16,23 @@ const {
   generateRFQNumber, 
   generateQuotationNumber,
   parsePagination,
-  buildPaginationMeta 
+  buildPaginationMeta,
+  roundTo,
 } = require('../utils/helpers');
+const { conversionFactor, toKilograms } = require('../utils/units');
 const logger = require('../config/logger');
 const emailService = require('./email.service');
+const currencyService = require('./currency.service');
+const shippingService = require('./shipping.service');
+const exportService = require('./export.service');
+const negotiationService = require('./rfqNegotiation.service');
+
+// Quotation statuses a buyer can still act on
+const OPEN_QUOTATION_STATUSES = ['SUBMITTED', 'VIEWED', 'COUNTER_OFFERED', 'REVISED'];
+// RFQ statuses that can still have quotations accepted
+const OPEN_RFQ_STATUSES = ['SUBMITTED', 'OPEN', 'QUOTED', 'NEGOTIATION'];
+const DEFAULT_COMPARISON_CURRENCY = 'INR';
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class RFQService {
   /**
@@ -344,6 +358,7 @@ class RFQService {
       notes,
       termsAndConditions,
       attachments,
+      currency,
     } = data;
 
     // Validate RFQ
@@ -448,6 +463,7 @@ class RFQService {
           shippingCost,
           discount,
           totalAmount,
+          currency: currency || DEFAULT_COMPARISON_CURRENCY,
           paymentTerms,
           deliveryTerms,
           validityDays: validityDays || 7,
@@ -479,6 +495,14 @@ class RFQService {
       return newQuotation;
     });
 
+    // First version in the RFQ-seller negotiation ledger
+    await negotiationService.recordOffer({
+      quotation: { ...quotation, items: quotationItems },
+      party: negotiationService.PARTY.SELLER,
+      userId,
+      incoterms: data.incoterms,
+    });
+
     // Notify buyer
     await this.notifyBuyerQuotation(quotation, rfq);
 
@@ -673,6 +697,8 @@ class RFQService {
       return accepted;
     });
 
+    await negotiationService.recordOutcome(quotation, negotiationService.OFFER_STATUS.ACCEPTED);
+
     // Notify seller
     await this.notifySellerQuotationAccepted(quotation);
 
@@ -704,6 +730,8 @@ class RFQService {
       },
     });
 
+    await negotiationService.recordOutcome(quotation, negotiationService.OFFER_STATUS.REJECTED);
+
     // Notify seller
     await this.notifySellerQuotationRejected(quotation, reason);
 
@@ -713,7 +741,7 @@ class RFQService {
   /**
    * Counter offer on quotation
    */
-  async counterOffer(quotationId, buyerBusinessId, data) {
+  async counterOffer(quotationId, buyerBusinessId, data, userId) {
     const originalQuotation = await prisma.quotation.findUnique({
       where: { id: quotationId },
       include: { items: true, rfq: true },
@@ -741,6 +769,7 @@ class RFQService {
         shippingCost: data.shippingCost || 0,
         discount: data.discount || 0,
         totalAmount: data.totalAmount,
+        currency: originalQuotation.currency,
         paymentTerms: data.paymentTerms,
         deliveryTerms: data.deliveryTerms,
         validityDays: data.validityDays || 3,
@@ -761,6 +790,15 @@ class RFQService {
       data: { status: 'NEGOTIATION' },
     });
 
+    await negotiationService.recordOffer({
+      quotation: counterQuotation,
+      party: negotiationService.PARTY.BUYER,
+      userId,
+      items: data.items,
+      incoterms: data.incoterms,
+      note: data.notes,
+    });
+
     // Notify seller
     await this.notifySellerCounterOffer(counterQuotation, originalQuotation);
 
@@ -770,7 +808,7 @@ class RFQService {
   /**
    * Revise quotation (seller response to counter offer)
    */
-  async reviseQuotation(quotationId, sellerBusinessId, data) {
+  async reviseQuotation(quotationId, sellerBusinessId, data, userId) {
     const originalQuotation = await prisma.quotation.findUnique({
       where: { id: quotationId },
     });
@@ -797,6 +835,7 @@ class RFQService {
         shippingCost: data.shippingCost || 0,
         discount: data.discount || 0,
         totalAmount: data.totalAmount,
+        currency: originalQuotation.currency,
         paymentTerms: data.paymentTerms,
         deliveryTerms: data.deliveryTerms,
         validityDays: data.validityDays || 3,
@@ -813,6 +852,15 @@ class RFQService {
       data: { status: 'REVISED' },
     });
 
+    await negotiationService.recordOffer({
+      quotation: revisedQuotation,
+      party: negotiationService.PARTY.SELLER,
+      userId,
+      items: data.items,
+      incoterms: data.incoterms,
+      note: data.notes,
+    });
+
     return revisedQuotation;
   }
 
@@ -859,6 +907,549 @@ class RFQService {
     return order;
   }
 
+  // ===========================================================================
+  // QUOTATION COMPARISON
+  // ===========================================================================
+
+  /**
+   * Compare open quotations item-by-item across sellers.
+   * Each offer is normalized to the comparison currency and the RFQ item's
+   * unit, and priced at landed cost: goods + GST/VAT + freight + the cost of
+   * paying earlier than the most generous credit terms on the table.
+   */
+  async getQuotationComparison(rfqId, buyerBusinessId, options = {}) {
+    const currency = (options.currency || DEFAULT_COMPARISON_CURRENCY).toUpperCase();
+    const costOfCapitalRate = options.costOfCapitalRate ?? config.businessRules.costOfCapitalRate;
+
+    const rfq = await prisma.rFQ.findUnique({
+      where: { id: rfqId },
+      include: {
+        items: {
+          include: { product: { select: { id: true, name: true, weight: true } } },
+        },
+      },
+    });
+
+    if (!rfq) {
+      throw new NotFoundError('RFQ not found');
+    }
+
+    if (rfq.buyerBusinessId !== buyerBusinessId) {
+      throw new ForbiddenError('You do not have access to this RFQ');
+    }
+
+    const quotations = await prisma.quotation.findMany({
+      where: {
+        rfqId,
+        parentQuotationId: null, // Only root quotations
+        status: { in: OPEN_QUOTATION_STATUSES },
+      },
+      orderBy: { submittedAt: 'asc' },
+      include: {
+        sellerBusiness: {
+          select: {
+            id: true,
+            legalName: true,
+            displayName: true,
+            city: true,
+            state: true,
+            pincode: true,
+            averageRating: true,
+          },
+        },
+        items: true,
+      },
+    });
+
+    // Sequential so exchange rates are fetched once per currency
+    const fxRates = {};
+    const columns = [];
+    for (const quotation of quotations) {
+      const from = quotation.currency || DEFAULT_COMPARISON_CURRENCY;
+      if (fxRates[from] === undefined) {
+        fxRates[from] = (await currencyService.convert(1, from, currency)).rate;
+      }
+      columns.push(await this.buildComparisonColumn(quotation, rfq, currency, fxRates[from]));
+    }
+
+    // Credit is priced against the longest terms offered, so the best terms cost nothing
+    const benchmarkCreditDays = Math.max(0, ...columns.map((column) => column.creditDays));
+    columns.forEach((column) => {
+      const creditShare = (costOfCapitalRate / 100) * ((benchmarkCreditDays - column.creditDays) / 365);
+      column.lines.forEach((line) => {
+        line.costOfCredit = roundTo((line.goodsValue + line.tax + line.freight) * creditShare);
+        line.landedCost = roundTo(line.goodsValue + line.tax + line.freight + line.costOfCredit);
+        line.landedUnitCost = line.quantity ? roundTo(line.landedCost / line.quantity, 4) : null;
+      });
+    });
+
+    const items = rfq.items.map((rfqItem) => {
+      const offers = columns
+        .map((column) => column.lines.find((line) => line.rfqItemId === rfqItem.id))
+        .filter(Boolean);
+      const best = this.pickBestOffer(offers, rfq.requiredByDate);
+      offers.forEach((offer) => {
+        offer.isBestValue = offer === best;
+      });
+
+      return {
+        rfqItemId: rfqItem.id,
+        title: rfqItem.title || rfqItem.name,
+        quantity: rfqItem.quantity,
+        unit: rfqItem.unit,
+        targetPrice: rfqItem.targetPrice ? parseFloat(rfqItem.targetPrice) : null,
+        offers,
+        bestQuotationId: best?.quotationId || null,
+        bestLandedUnitCost: best?.landedUnitCost ?? null,
+      };
+    });
+
+    const sellers = columns.map(({ lines, ...column }) => ({
+      ...column,
+      itemsQuoted: lines.length,
+      coversAllItems: rfq.items.every((rfqItem) =>
+        lines.some((line) => line.rfqItemId === rfqItem.id && line.comparable)),
+      bestLineCount: items.filter((item) => item.bestQuotationId === column.quotationId).length,
+      totals: ['goodsValue', 'tax', 'freight', 'costOfCredit', 'landedCost'].reduce((totals, key) => {
+        totals[key] = roundTo(lines.reduce((sum, line) => sum + line[key], 0));
+        return totals;
+      }, {}),
+    }));
+
+    // Cherry-picking the best line from each seller vs. awarding everything to one
+    const bestMixTotal = roundTo(items.reduce((sum, item) => {
+      const best = item.offers.find((offer) => offer.isBestValue);
+      return sum + (best ? best.landedCost : 0);
+    }, 0));
+    const singleSellerTotals = sellers
+      .filter((seller) => seller.coversAllItems)
+      .map((seller) => seller.totals.landedCost);
+    const bestSingleSellerTotal = singleSellerTotals.length ? Math.min(...singleSellerTotals) : null;
+
+    return {
+      rfqId,
+      rfqNumber: rfq.rfqNumber,
+      currency,
+      costOfCapitalRate,
+      benchmarkCreditDays,
+      requiredByDate: rfq.requiredByDate,
+      sellers,
+      items,
+      summary: {
+        quotationCount: sellers.length,
+        bestMixTotal,
+        bestSingleSellerTotal,
+        splitSavings: bestSingleSellerTotal === null ? null : roundTo(bestSingleSellerTotal - bestMixTotal),
+      },
+    };
+  }
+
+  /**
+   * Normalize one quotation into per-line comparison offers
+   * (cost of credit and landed cost are filled in once all columns are known)
+   */
+  async buildComparisonColumn(quotation, rfq, currency, fxRate) {
+    const seller = quotation.sellerBusiness;
+    const validUntil = quotation.validUntil
+      ? new Date(quotation.validUntil)
+      : new Date(new Date(quotation.submittedAt).getTime() + (quotation.validityDays || 0) * DAY_MS);
+    const isExpired = new Date() > validUntil;
+
+    const lines = quotation.items.map((item) => {
+      const rfqItem = rfq.items.find((ri) => ri.id === item.rfqItemId);
+      if (!rfqItem) return null;
+
+      const factor = conversionFactor(item.unit, rfqItem.unit);
+      const quantity = factor === null ? null : roundTo(item.quantity * factor, 4);
+      const goodsValue = roundTo(item.quantity * parseFloat(item.unitPrice) * fxRate);
+      const weightKg = toKilograms(item.quantity, item.unit)
+        ?? (rfqItem.product?.weight && quantity ? parseFloat(rfqItem.product.weight) * quantity : 0);
+
+      return {
+        quotationId: quotation.id,
+        quotationItemId: item.id,
+        sellerBusinessId: quotation.sellerBusinessId,
+        rfqItemId: rfqItem.id,
+        quotedQuantity: item.quantity,
+        quotedUnit: item.unit,
+        quantity,
+        unit: rfqItem.unit,
+        unitPrice: roundTo(parseFloat(item.unitPrice) * fxRate, 4),
+        normalizedUnitPrice: quantity ? roundTo(goodsValue / quantity, 4) : null,
+        goodsValue,
+        tax: roundTo(goodsValue * parseFloat(item.taxRate ?? 0) / 100),
+        taxRate: parseFloat(item.taxRate ?? 0),
+        freight: 0,
+        weightKg,
+        leadTimeDays: item.leadTimeDays ?? quotation.estimatedDeliveryDays ?? null,
+        coversQuantity: quantity !== null && quantity >= rfqItem.quantity,
+        comparable: quantity !== null && !isExpired,
+        unitMismatch: factor === null,
+      };
+    }).filter(Boolean);
+
+    const freight = await this.estimateQuotationFreight(quotation, rfq, lines, currency, fxRate);
+
+    // Freight is spread across lines by value; delivery adds transit to each line's lead time
+    const totalGoods = lines.reduce((sum, line) => sum + line.goodsValue, 0);
+    lines.forEach((line) => {
+      line.freight = totalGoods ? roundTo(freight.amount * (line.goodsValue / totalGoods)) : 0;
+      line.deliveryDate = line.leadTimeDays === null
+        ? null
+        : new Date(Date.now() + (line.leadTimeDays + freight.transitDays) * DAY_MS);
+      line.meetsRequiredBy = rfq.requiredByDate && line.deliveryDate
+        ? line.deliveryDate <= new Date(rfq.requiredByDate)
+        : null;
+      delete line.weightKg;
+    });
+
+    return {
+      quotationId: quotation.id,
+      quotationNumber: quotation.quotationNumber,
+      sellerBusinessId: quotation.sellerBusinessId,
+      sellerName: seller?.displayName || seller?.legalName || null,
+      sellerRating: seller?.averageRating ?? null,
+      status: quotation.status,
+      quotedCurrency: quotation.currency || DEFAULT_COMPARISON_CURRENCY,
+      fxRate,
+      paymentTerms: quotation.paymentTerms,
+      creditDays: this.parseCreditDays(quotation.paymentTerms),
+      freightSource: freight.source,
+      transitDays: freight.transitDays,
+      validUntil,
+      isExpired,
+      lines,
+    };
+  }
+
+  /**
+   * Freight for a quotation in the comparison currency: the seller's quoted
+   * shipping when given, otherwise a standard-service carrier estimate
+   */
+  async estimateQuotationFreight(quotation, rfq, lines, currency, fxRate) {
+    const quoted = parseFloat(quotation.shippingCost || 0);
+    if (quoted > 0) {
+      return { amount: roundTo(quoted * fxRate), source: 'QUOTED', transitDays: 0 };
+    }
+
+    const originPincode = quotation.sellerBusiness?.pincode;
+    const weight = lines.reduce((sum, line) => sum + line.weightKg, 0);
+    if (!originPincode || !rfq.deliveryPincode || weight <= 0) {
+      return { amount: 0, source: 'UNAVAILABLE', transitDays: 0 };
+    }
+
+    try {
+      const rates = await shippingService.getRates({
+        originPincode,
+        destinationPincode: rfq.deliveryPincode,
+        weight,
+      });
+      const rate = rates.find((r) => r.serviceType === shippingService.SERVICE_TYPE.STANDARD)
+        || rates.reduce((cheapest, r) => (!cheapest || r.rate < cheapest.rate ? r : cheapest), null);
+      if (!rate) {
+        return { amount: 0, source: 'UNAVAILABLE', transitDays: 0 };
+      }
+
+      // Carrier rates are quoted in INR
+      const { convertedAmount } = await currencyService.convert(rate.rate, DEFAULT_COMPARISON_CURRENCY, currency);
+      return { amount: convertedAmount, source: 'ESTIMATED', transitDays: rate.estimatedDays || 0 };
+    } catch (error) {
+      logger.warn('Freight estimate failed for quotation', { quotationId: quotation.id, error: error.message });
+      return { amount: 0, source: 'UNAVAILABLE', transitDays: 0 };
+    }
+  }
+
+  /**
+   * Credit period in days from free-text payment terms
+   * ("Net 30", "45 days credit", "50% advance, balance 30 days", "Advance")
+   */
+  parseCreditDays(paymentTerms) {
+    if (!paymentTerms) return 0;
+
+    const text = String(paymentTerms).toLowerCase();
+    const daysMatch = text.match(/net\s*-?\s*(\d{1,3})/) || text.match(/(\d{1,3})\s*days?/);
+    if (!daysMatch) return 0;
+
+    // Only the balance after any advance enjoys the credit period
+    const advanceMatch = text.match(/(\d{1,3})\s*%\s*(?:advance|upfront)/);
+    const creditShare = advanceMatch ? Math.max(0, 100 - parseInt(advanceMatch[1], 10)) / 100 : 1;
+
+    return roundTo(parseInt(daysMatch[1], 10) * creditShare, 1);
+  }
+
+  /**
+   * Best value for a line: lowest landed unit cost among comparable offers,
+   * preferring offers that arrive by the required date; ties go to earlier delivery
+   */
+  pickBestOffer(offers, requiredByDate) {
+    let candidates = offers.filter((offer) => offer.comparable);
+    if (requiredByDate && candidates.some((offer) => offer.meetsRequiredBy)) {
+      candidates = candidates.filter((offer) => offer.meetsRequiredBy);
+    }
+
+    return candidates.reduce((best, offer) => {
+      if (!best || offer.landedUnitCost < best.landedUnitCost) return offer;
+      if (offer.landedUnitCost === best.landedUnitCost && offer.deliveryDate && best.deliveryDate
+        && offer.deliveryDate < best.deliveryDate) {
+        return offer;
+      }
+      return best;
+    }, null);
+  }
+
+  /**
+   * Accept selected lines across sellers (defaults to the best value per line)
+   * and raise one order per seller. A quotation accepted only in part is
+   * split: the chosen lines move to an accepted child quotation and the
+   * original is marked PARTIALLY_ACCEPTED.
+   */
+  async acceptQuotationLines(rfqId, buyerBusinessId, data = {}) {
+    const comparison = await this.getQuotationComparison(rfqId, buyerBusinessId, { currency: data.currency });
+
+    const picks = data.selections?.length
+      ? data.selections.map(({ rfqItemId, quotationId }) => {
+        const item = comparison.items.find((i) => i.rfqItemId === rfqItemId);
+        const offer = item?.offers.find((o) => o.quotationId === quotationId);
+        if (!offer) {
+          throw new BadRequestError(`Quotation ${quotationId} has no offer for RFQ item ${rfqItemId}`);
+        }
+        if (!offer.comparable) {
+          throw new BadRequestError(`The offer for RFQ item ${rfqItemId} has expired or uses an incompatible unit`);
+        }
+        return offer;
+      })
+      : comparison.items.map((item) => item.offers.find((offer) => offer.isBestValue)).filter(Boolean);
+
+    if (picks.length === 0) {
+      throw new BadRequestError('No quotation lines available to accept');
+    }
+
+    if (new Set(picks.map((pick) => pick.rfqItemId)).size !== picks.length) {
+      throw new BadRequestError('Each RFQ item can be accepted from one seller only');
+    }
+
+    const linesByQuotation = picks.reduce((groups, pick) => {
+      (groups[pick.quotationId] = groups[pick.quotationId] || []).push(pick.quotationItemId);
+      return groups;
+    }, {});
+
+    const quotations = await prisma.quotation.findMany({
+      where: { id: { in: Object.keys(linesByQuotation) } },
+      include: { items: true },
+    });
+
+    const accepted = await prisma.$transaction(async (tx) => {
+      // Claim the RFQ first so a concurrent accept cannot award it a second time
+      const claimed = await tx.rFQ.updateMany({
+        where: { id: rfqId, status: { in: OPEN_RFQ_STATUSES } },
+        data: { status: 'ACCEPTED' },
+      });
+      if (claimed.count === 0) {
+        throw new ConflictError('Quotations for this RFQ have already been accepted');
+      }
+
+      const acceptedQuotations = [];
+
+      for (const quotation of quotations) {
+        const itemIds = linesByQuotation[quotation.id];
+
+        if (itemIds.length === quotation.items.length) {
+          await this.claimQuotation(tx, quotation, { status: 'ACCEPTED', acceptedAt: new Date() });
+          acceptedQuotations.push(await tx.quotation.findUnique({ where: { id: quotation.id } }));
+          continue;
+        }
+
+        acceptedQuotations.push(await this.splitAcceptedLines(tx, quotation, itemIds));
+      }
+
+      // Sellers with no winning line are rejected
+      await tx.quotation.updateMany({
+        where: {
+          rfqId,
+          parentQuotationId: null,
+          id: { notIn: quotations.map((q) => q.id) },
+          status: { in: OPEN_QUOTATION_STATUSES },
+        },
+        data: {
+          status: 'REJECTED',
+          rejectedAt: new Date(),
+        },
+      });
+
+      return acceptedQuotations;
+    });
+
+    // One order per seller; a failure leaves that quotation accepted for a retry
+    const orders = [];
+    const failed = [];
+    for (const quotation of accepted) {
+      await negotiationService.recordOutcome(quotation, negotiationService.OFFER_STATUS.ACCEPTED);
+      await this.notifySellerQuotationAccepted(quotation);
+      try {
+        orders.push(await this.createOrderFromQuotation(quotation.id, buyerBusinessId));
+      } catch (error) {
+        logger.error('Failed to create order from accepted quotation lines', {
+          quotationId: quotation.id,
+          error: error.message,
+        });
+        failed.push({ quotationId: quotation.id, error: error.message });
+      }
+    }
+
+    return {
+      acceptedQuotations: accepted,
+      lines: picks.map(({ rfqItemId, quotationId, landedCost }) => ({ rfqItemId, quotationId, landedCost })),
+      orders,
+      failed,
+    };
+  }
+
+  /**
+   * Move a quotation out of the open statuses, failing if another request
+   * already accepted, rejected or withdrew it since it was read
+   */
+  async claimQuotation(tx, quotation, data) {
+    const { count } = await tx.quotation.updateMany({
+      where: { id: quotation.id, status: { in: OPEN_QUOTATION_STATUSES } },
+      data,
+    });
+
+    if (count === 0) {
+      throw new ConflictError(`Quotation ${quotation.quotationNumber} is no longer open for acceptance`);
+    }
+  }
+
+  /**
+   * Move the accepted lines of a quotation into an accepted child quotation
+   */
+  async splitAcceptedLines(tx, quotation, itemIds) {
+    await this.claimQuotation(tx, quotation, { status: 'PARTIALLY_ACCEPTED', acceptedAt: new Date() });
+
+    const items = quotation.items.filter((item) => itemIds.includes(item.id));
+    const subtotal = roundTo(items.reduce((sum, item) => sum + item.quantity * parseFloat(item.unitPrice), 0));
+    const taxAmount = roundTo(items.reduce((sum, item) => sum + parseFloat(item.taxAmount || 0), 0));
+    const share = parseFloat(quotation.subtotal) ? subtotal / parseFloat(quotation.subtotal) : 0;
+    const shippingCost = roundTo(parseFloat(quotation.shippingCost || 0) * share);
+    const discount = roundTo(parseFloat(quotation.discount || 0) * share);
+
+    const child = await tx.quotation.create({
+      data: {
+        quotationNumber: await generateQuotationNumber(tx),
+        rfqId: quotation.rfqId,
+        sellerBusinessId: quotation.sellerBusinessId,
+        buyerBusinessId: quotation.buyerBusinessId,
+        parentQuotationId: quotation.id,
+        status: 'ACCEPTED',
+        subtotal,
+        taxAmount,
+        shippingCost,
+        discount,
+        totalAmount: roundTo(subtotal + taxAmount + shippingCost - discount),
+        currency: quotation.currency,
+        paymentTerms: quotation.paymentTerms,
+        deliveryTerms: quotation.deliveryTerms,
+        validityDays: quotation.validityDays,
+        estimatedDeliveryDays: quotation.estimatedDeliveryDays,
+        termsAndConditions: quotation.termsAndConditions,
+        notes: `Partial acceptance of ${quotation.quotationNumber}`,
+        submittedAt: quotation.submittedAt,
+        acceptedAt: new Date(),
+      },
+    });
+
+    await tx.quotationItem.createMany({
+      data: items.map(({ id: _id, quotationId: _parentId, createdAt: _c, updatedAt: _u, ...item }) => ({
+        ...item,
+        quotationId: child.id,
+      })),
+    });
+
+    return child;
+  }
+
+  /**
+   * Export the comparison matrix to Excel
+   */
+  async exportQuotationComparison(rfqId, buyerBusinessId, options = {}) {
+    const comparison = await this.getQuotationComparison(rfqId, buyerBusinessId, options);
+    const sellerName = (quotationId) => comparison.sellers.find((s) => s.quotationId === quotationId)?.sellerName;
+
+    // Matrix: one row per RFQ item, one landed-unit-cost column per seller
+    const matrixColumns = [
+      { key: 'item', title: 'Item', width: 30 },
+      { key: 'quantity', title: 'Quantity', width: 10 },
+      { key: 'unit', title: 'Unit', width: 10 },
+      ...comparison.sellers.map((seller) => ({
+        key: seller.quotationId,
+        title: `${seller.sellerName || seller.quotationNumber} (${comparison.currency}/unit)`,
+        width: 22,
+      })),
+      { key: 'bestSeller', title: 'Best Value', width: 25 },
+    ];
+    const matrixRows = comparison.items.map((item) => ({
+      item: item.title,
+      quantity: item.quantity,
+      unit: item.unit,
+      ...Object.fromEntries(item.offers.map((offer) => [
+        offer.quotationId,
+        offer.landedUnitCost === null ? 'n/a' : `${offer.landedUnitCost}${offer.isBestValue ? ' *' : ''}`,
+      ])),
+      bestSeller: sellerName(item.bestQuotationId) || '-',
+    }));
+
+    const detailColumns = [
+      { key: 'item', title: 'Item', width: 30 },
+      { key: 'seller', title: 'Seller', width: 25 },
+      { key: 'quoted', title: 'Quoted', width: 15 },
+      { key: 'normalizedUnitPrice', title: 'Unit Price', width: 12 },
+      { key: 'goodsValue', title: 'Goods', width: 12 },
+      { key: 'tax', title: 'GST/VAT', width: 12 },
+      { key: 'freight', title: 'Freight', width: 12 },
+      { key: 'costOfCredit', title: 'Cost of Credit', width: 14 },
+      { key: 'landedCost', title: 'Landed Cost', width: 14 },
+      { key: 'landedUnitCost', title: 'Landed / Unit', width: 14 },
+      { key: 'deliveryDate', title: 'Delivery By', width: 12 },
+      { key: 'bestValue', title: 'Best Value', width: 10 },
+    ];
+    const detailRows = comparison.items.flatMap((item) => item.offers.map((offer) => ({
+      item: item.title,
+      seller: sellerName(offer.quotationId),
+      quoted: `${offer.quotedQuantity} ${offer.quotedUnit}`,
+      normalizedUnitPrice: offer.normalizedUnitPrice,
+      goodsValue: offer.goodsValue,
+      tax: offer.tax,
+      freight: offer.freight,
+      costOfCredit: offer.costOfCredit,
+      landedCost: offer.landedCost,
+      landedUnitCost: offer.landedUnitCost,
+      deliveryDate: offer.deliveryDate ? offer.deliveryDate.toISOString().slice(0, 10) : '',
+      bestValue: offer.isBestValue ? 'Yes' : '',
+    })));
+
+    const sellerColumns = [
+      { key: 'seller', title: 'Seller', width: 25 },
+      { key: 'quotationNumber', title: 'Quotation', width: 18 },
+      { key: 'paymentTerms', title: 'Payment Terms', width: 20 },
+      { key: 'freightSource', title: 'Freight', width: 12 },
+      { key: 'landedCost', title: 'Landed Total', width: 14 },
+      { key: 'bestLineCount', title: 'Best Lines', width: 10 },
+    ];
+    const sellerRows = comparison.sellers.map((seller) => ({
+      seller: seller.sellerName,
+      quotationNumber: seller.quotationNumber,
+      paymentTerms: seller.paymentTerms || '',
+      freightSource: seller.freightSource,
+      landedCost: seller.totals.landedCost,
+      bestLineCount: seller.bestLineCount,
+    }));
+
+    return exportService.exportMultiSheet([
+      { name: 'Comparison', columns: matrixColumns, data: matrixRows },
+      { name: 'Line Detail', columns: detailColumns, data: detailRows },
+      { name: 'Sellers', columns: sellerColumns, data: sellerRows },
+    ], { prefix: `rfq-comparison-${comparison.rfqNumber}` });
+  }
+
   /**
    * Cancel RFQ
    */
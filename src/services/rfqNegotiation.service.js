@@ -0,0 +1,457 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - RFQ NEGOTIATION LEDGER SERVICE
+// Versioned offers per RFQ-seller pair with per-field diffs and expiry
+// =============================================================================
+
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+const { NotFoundError, ForbiddenError, BadRequestError } = require('../utils/errors');
+const { roundTo } = require('../utils/helpers');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const PARTY = {
+  BUYER: 'BUYER',
+  SELLER: 'SELLER',
+};
+
+const OFFER_STATUS = {
+  OPEN: 'OPEN',
+  SUPERSEDED: 'SUPERSEDED',
+  EXPIRED: 'EXPIRED',
+  ACCEPTED: 'ACCEPTED',
+  REJECTED: 'REJECTED',
+};
+
+const THREAD_STATUS = {
+  OPEN: 'OPEN',
+  AGREED: 'AGREED',
+  CLOSED: 'CLOSED',
+};
+
+// Header terms tracked version to version
+const TERM_FIELDS = [
+  { field: 'totalAmount', label: 'Total price' },
+  { field: 'shippingCost', label: 'Freight' },
+  { field: 'discount', label: 'Discount' },
+  { field: 'paymentTerms', label: 'Payment terms' },
+  { field: 'incoterms', label: 'Incoterms' },
+  { field: 'deliveryTerms', label: 'Delivery terms' },
+  { field: 'leadTimeDays', label: 'Lead time (days)' },
+  { field: 'validityDays', label: 'Validity (days)' },
+];
+
+// Line terms tracked per RFQ item
+const ITEM_FIELDS = [
+  { field: 'unitPrice', label: 'Unit price' },
+  { field: 'quantity', label: 'Quantity' },
+  { field: 'leadTimeDays', label: 'Lead time (days)' },
+];
+
+// Quotation statuses that lapse with their offer
+const OPEN_QUOTATION_STATUSES = ['SUBMITTED', 'VIEWED', 'COUNTER_OFFERED', 'REVISED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// =============================================================================
+// TERMS & DIFFS
+// =============================================================================
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
+/**
+ * Snapshot the negotiable terms of a quotation. Counter-offers and revisions
+ * may omit lines or terms; those carry over from the previous version.
+ */
+const buildTerms = (quotation, { items, incoterms } = {}, previous = null) => {
+  const sourceItems = items?.length ? items : quotation.items;
+
+  return {
+    currency: quotation.currency || previous?.currency || 'INR',
+    totalAmount: toNumber(quotation.totalAmount),
+    shippingCost: toNumber(quotation.shippingCost) ?? previous?.shippingCost ?? null,
+    discount: toNumber(quotation.discount) ?? previous?.discount ?? null,
+    paymentTerms: quotation.paymentTerms ?? previous?.paymentTerms ?? null,
+    incoterms: incoterms ?? previous?.incoterms ?? null,
+    deliveryTerms: quotation.deliveryTerms ?? previous?.deliveryTerms ?? null,
+    leadTimeDays: quotation.estimatedDeliveryDays ?? previous?.leadTimeDays ?? null,
+    validityDays: quotation.validityDays ?? previous?.validityDays ?? null,
+    items: sourceItems?.length
+      ? sourceItems.map((item) => ({
+        rfqItemId: item.rfqItemId,
+        quantity: toNumber(item.quantity),
+        unit: item.unit || null,
+        unitPrice: toNumber(item.unitPrice),
+        leadTimeDays: item.leadTimeDays ?? null,
+      }))
+      : previous?.items || [],
+  };
+};
+
+const describeChange = (field, label, from, to, rfqItemId) => {
+  const change = { field, label, from, to };
+  if (rfqItemId) change.rfqItemId = rfqItemId;
+
+  if (typeof from === 'number' && typeof to === 'number') {
+    change.change = roundTo(to - from);
+    change.changePercent = from ? roundTo(((to - from) / from) * 100) : null;
+  }
+
+  return change;
+};
+
+/**
+ * Per-field changes between two term snapshots. Line fields are keyed
+ * `items.<rfqItemId>.<field>`; a line added or dropped shows as null on one side.
+ */
+const diffTerms = (before, after) => {
+  const changes = [];
+
+  TERM_FIELDS.forEach(({ field, label }) => {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (from !== to) changes.push(describeChange(field, label, from, to));
+  });
+
+  const beforeItems = new Map((before?.items || []).map((item) => [item.rfqItemId, item]));
+  const afterItems = new Map((after?.items || []).map((item) => [item.rfqItemId, item]));
+  const rfqItemIds = [...new Set([...beforeItems.keys(), ...afterItems.keys()])];
+
+  rfqItemIds.forEach((rfqItemId) => {
+    ITEM_FIELDS.forEach(({ field, label }) => {
+      const from = beforeItems.get(rfqItemId)?.[field] ?? null;
+      const to = afterItems.get(rfqItemId)?.[field] ?? null;
+      if (from !== to) changes.push(describeChange(`items.${rfqItemId}.${field}`, label, from, to, rfqItemId));
+    });
+  });
+
+  return changes;
+};
+
+const formatValue = (value) => (value === null || value === undefined ? '—' : String(value));
+
+/**
+ * One-line summary of an offer for the chat and timeline
+ */
+const summarizeOffer = (party, version, diff) => {
+  const who = party === PARTY.BUYER ? 'Buyer counter-offer' : 'Seller offer';
+  if (!diff) return `${who} v${version} submitted`;
+  if (diff.length === 0) return `${who} v${version}: terms unchanged`;
+
+  const parts = diff.map((c) => {
+    const percent = c.changePercent ? ` (${c.changePercent > 0 ? '+' : ''}${c.changePercent}%)` : '';
+    return `${c.label}${c.rfqItemId ? ` [${c.rfqItemId}]` : ''}: ${formatValue(c.from)} → ${formatValue(c.to)}${percent}`;
+  });
+
+  return `${who} v${version}: ${parts.join('; ')}`;
+};
+
+/**
+ * Who set each term currently on the table: the last version that changed it
+ */
+const attributeTerms = (offers) => {
+  const authors = {};
+
+  offers.forEach((offer) => {
+    const changed = offer.diff
+      ? offer.diff.map((c) => c.field)
+      : diffTerms(null, offer.terms).map((c) => c.field);
+
+    changed.forEach((field) => {
+      authors[field] = {
+        version: offer.version,
+        proposedBy: offer.proposedBy,
+        proposedByUserId: offer.proposedByUserId,
+      };
+    });
+  });
+
+  return authors;
+};
+
+// =============================================================================
+// LEDGER
+// =============================================================================
+
+/**
+ * Post an offer into the buyer-seller RFQ chat. The ledger is the record of
+ * truth, so a chat failure is logged rather than surfaced.
+ */
+const postToChat = async (thread, offer, userId, senderBusinessId, content) => {
+  if (!userId) return null;
+
+  try {
+    // Required lazily so loading the service doesn't pull in the HTTP layer
+    const chatController = require('../controllers/chat.controller');
+    const { chat } = await chatController.postRFQNegotiationMessage({
+      chatId: thread.chatId,
+      rfqId: thread.rfqId,
+      buyerBusinessId: thread.buyerBusinessId,
+      sellerBusinessId: thread.sellerBusinessId,
+      senderId: userId,
+      senderBusinessId,
+      quotationId: offer.quotationId,
+      content,
+      metadata: {
+        kind: 'RFQ_NEGOTIATION_OFFER',
+        threadId: thread.id,
+        offerId: offer.id,
+        version: offer.version,
+        diff: offer.diff,
+      },
+    });
+
+    if (chat.id !== thread.chatId) {
+      await prisma.negotiationThread.update({ where: { id: thread.id }, data: { chatId: chat.id } });
+    }
+
+    return chat.id;
+  } catch (error) {
+    logger.error('Failed to post negotiation offer to RFQ chat', { threadId: thread.id, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Record a quotation, counter-offer or revision as the next version in the
+ * RFQ-seller ledger. Earlier open versions are superseded.
+ */
+const recordOffer = async ({ quotation, party, userId, items, incoterms, note }) => {
+  const thread = await prisma.negotiationThread.upsert({
+    where: {
+      rfqId_sellerBusinessId: { rfqId: quotation.rfqId, sellerBusinessId: quotation.sellerBusinessId },
+    },
+    create: {
+      rfqId: quotation.rfqId,
+      buyerBusinessId: quotation.buyerBusinessId,
+      sellerBusinessId: quotation.sellerBusinessId,
+    },
+    update: {},
+  });
+
+  const previous = await prisma.negotiationOffer.findFirst({
+    where: { threadId: thread.id },
+    orderBy: { version: 'desc' },
+  });
+
+  const terms = buildTerms(quotation, { items, incoterms }, previous?.terms);
+  const diff = previous ? diffTerms(previous.terms, terms) : null;
+  const version = thread.currentVersion + 1;
+  const expiresAt = terms.validityDays ? new Date(Date.now() + terms.validityDays * DAY_MS) : null;
+
+  const offer = await prisma.$transaction(async (tx) => {
+    await tx.negotiationOffer.updateMany({
+      where: { threadId: thread.id, status: OFFER_STATUS.OPEN },
+      data: { status: OFFER_STATUS.SUPERSEDED, respondedAt: new Date() },
+    });
+
+    const created = await tx.negotiationOffer.create({
+      data: {
+        threadId: thread.id,
+        version,
+        quotationId: quotation.id,
+        proposedBy: party,
+        proposedByUserId: userId || null,
+        terms,
+        diff,
+        note: note || null,
+        expiresAt,
+      },
+    });
+
+    await tx.negotiationThread.update({
+      where: { id: thread.id },
+      data: { currentVersion: version, lastOfferAt: new Date(), status: THREAD_STATUS.OPEN },
+    });
+
+    return created;
+  });
+
+  const senderBusinessId = party === PARTY.BUYER ? thread.buyerBusinessId : thread.sellerBusinessId;
+  await postToChat(thread, offer, userId, senderBusinessId, summarizeOffer(party, version, diff));
+
+  logger.info('Negotiation offer recorded', { threadId: thread.id, version, party });
+
+  return offer;
+};
+
+/**
+ * Close the ledger for a quotation that was accepted or rejected
+ */
+const recordOutcome = async (quotation, outcome) => {
+  if (![OFFER_STATUS.ACCEPTED, OFFER_STATUS.REJECTED].includes(outcome)) {
+    throw new BadRequestError(`Invalid negotiation outcome: ${outcome}`);
+  }
+
+  const thread = await prisma.negotiationThread.findUnique({
+    where: {
+      rfqId_sellerBusinessId: { rfqId: quotation.rfqId, sellerBusinessId: quotation.sellerBusinessId },
+    },
+  });
+  if (!thread) return null;
+
+  await prisma.negotiationOffer.updateMany({
+    where: { threadId: thread.id, version: thread.currentVersion, status: OFFER_STATUS.OPEN },
+    data: { status: outcome, respondedAt: new Date() },
+  });
+
+  return prisma.negotiationThread.update({
+    where: { id: thread.id },
+    data: { status: outcome === OFFER_STATUS.ACCEPTED ? THREAD_STATUS.AGREED : THREAD_STATUS.CLOSED },
+  });
+};
+
+/**
+ * Lapse open offers past their expiry, along with their quotations. A thread
+ * whose latest offer lapses is closed. Run from the scheduler.
+ */
+const expireStaleOffers = async (now = new Date()) => {
+  const stale = await prisma.negotiationOffer.findMany({
+    where: { status: OFFER_STATUS.OPEN, expiresAt: { lt: now } },
+    include: { thread: true },
+    take: 500,
+  });
+
+  if (stale.length === 0) return { expired: 0 };
+
+  await prisma.$transaction(async (tx) => {
+    await tx.negotiationOffer.updateMany({
+      where: { id: { in: stale.map((offer) => offer.id) } },
+      data: { status: OFFER_STATUS.EXPIRED, respondedAt: now },
+    });
+
+    await tx.quotation.updateMany({
+      where: {
+        id: { in: stale.map((offer) => offer.quotationId) },
+        status: { in: OPEN_QUOTATION_STATUSES },
+      },
+      data: { status: 'EXPIRED' },
+    });
+
+    const lapsedThreadIds = stale
+      .filter((offer) => offer.version === offer.thread.currentVersion)
+      .map((offer) => offer.threadId);
+
+    if (lapsedThreadIds.length > 0) {
+      await tx.negotiationThread.updateMany({
+        where: { id: { in: lapsedThreadIds } },
+        data: { status: THREAD_STATUS.CLOSED },
+      });
+    }
+  });
+
+  return { expired: stale.length };
+};
+
+// =============================================================================
+// TIMELINE
+// =============================================================================
+
+const getThreadForParty = async (rfqId, sellerBusinessId, businessId) => {
+  const thread = await prisma.negotiationThread.findUnique({
+    where: { rfqId_sellerBusinessId: { rfqId, sellerBusinessId } },
+    include: { offers: { orderBy: { version: 'asc' } } },
+  });
+
+  if (!thread) {
+    throw new NotFoundError('Negotiation');
+  }
+
+  if (![thread.buyerBusinessId, thread.sellerBusinessId].includes(businessId)) {
+    throw new ForbiddenError('You are not a party to this negotiation');
+  }
+
+  return thread;
+};
+
+/**
+ * Full negotiation timeline for an RFQ-seller pair, with diffs and
+ * attribution of each current term to the party that proposed it
+ */
+const getTimeline = async (rfqId, sellerBusinessId, businessId) => {
+  const { offers, ...thread } = await getThreadForParty(rfqId, sellerBusinessId, businessId);
+  const now = new Date();
+
+  return {
+    thread,
+    currentTerms: offers.length ? offers[offers.length - 1].terms : null,
+    termAuthors: attributeTerms(offers),
+    timeline: offers.map((offer) => ({
+      id: offer.id,
+      version: offer.version,
+      quotationId: offer.quotationId,
+      proposedBy: offer.proposedBy,
+      proposedByUserId: offer.proposedByUserId,
+      status: offer.status,
+      summary: summarizeOffer(offer.proposedBy, offer.version, offer.diff),
+      terms: offer.terms,
+      diff: offer.diff || [],
+      note: offer.note,
+      expiresAt: offer.expiresAt,
+      isExpired: offer.status === OFFER_STATUS.EXPIRED
+        || (offer.status === OFFER_STATUS.OPEN && offer.expiresAt && offer.expiresAt < now),
+      createdAt: offer.createdAt,
+    })),
+  };
+};
+
+/**
+ * Diff any two versions, listing which versions in between touched each field
+ */
+const compareVersions = async (rfqId, sellerBusinessId, businessId, fromVersion, toVersion) => {
+  const { offers } = await getThreadForParty(rfqId, sellerBusinessId, businessId);
+  const from = offers.find((offer) => offer.version === fromVersion);
+  const to = offers.find((offer) => offer.version === toVersion);
+
+  if (!from || !to) {
+    throw new NotFoundError('Negotiation version');
+  }
+
+  const [low, high] = fromVersion <= toVersion ? [fromVersion, toVersion] : [toVersion, fromVersion];
+  const between = offers.filter((offer) => offer.version > low && offer.version <= high);
+
+  return {
+    from: { version: from.version, proposedBy: from.proposedBy, createdAt: from.createdAt },
+    to: { version: to.version, proposedBy: to.proposedBy, createdAt: to.createdAt },
+    diff: diffTerms(from.terms, to.terms).map((change) => ({
+      ...change,
+      changedIn: between
+        .filter((offer) => (offer.diff || []).some((c) => c.field === change.field))
+        .map((offer) => ({ version: offer.version, proposedBy: offer.proposedBy })),
+    })),
+  };
+};
+
+/**
+ * Negotiation threads on an RFQ: all of them for the buyer, the seller's own otherwise
+ */
+const listThreads = (rfqId, businessId) => {
+  return prisma.negotiationThread.findMany({
+    where: {
+      rfqId,
+      OR: [{ buyerBusinessId: businessId }, { sellerBusinessId: businessId }],
+    },
+    orderBy: { lastOfferAt: 'desc' },
+    include: {
+      offers: { orderBy: { version: 'desc' }, take: 1 },
+    },
+  });
+};
+
+module.exports = {
+  PARTY,
+  OFFER_STATUS,
+  THREAD_STATUS,
+  buildTerms,
+  diffTerms,
+  summarizeOffer,
+  attributeTerms,
+  recordOffer,
+  recordOutcome,
+  expireStaleOffers,
+  getTimeline,
+  compareVersions,
+  listThreads,
+};
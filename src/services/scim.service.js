@@ -0,0 +1,821 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - SCIM 2.0 SERVICE
+// User and group provisioning from a tenant's identity provider (RFC 7643/7644)
+// =============================================================================
+
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+const config = require('../config');
+const ssoService = require('./sso.service');
+const multiTenancyService = require('./multiTenancy.service');
+const { withinTenant } = require('../utils/tenantContext');
+const { BadRequestError, NotFoundError, ConflictError, UnauthorizedError } = require('../utils/errors');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const SCIM_SCHEMAS = {
+  USER: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  GROUP: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  LIST: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  PATCH: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  ERROR: 'urn:ietf:params:scim:api:messages:2.0:Error',
+  SERVICE_PROVIDER_CONFIG: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+};
+
+const SCIM_TOKEN_PREFIX = 'scim_';
+
+const PAGE = {
+  DEFAULT_COUNT: 100,
+  MAX_COUNT: 200,
+};
+
+// Filterable attributes (`<attribute> eq "<value>"`, what Okta and Azure AD send)
+const USER_FILTERS = {
+  id: (value) => ({ userId: value }),
+  username: (value) => ({ user: { email: value.toLowerCase() } }),
+  'emails.value': (value) => ({ user: { email: value.toLowerCase() } }),
+  externalid: (value) => ({ externalId: value }),
+};
+
+const GROUP_FILTERS = {
+  id: (value) => ({ id: value }),
+  displayname: (value) => ({ displayName: value }),
+  externalid: (value) => ({ externalId: value }),
+};
+
+// =============================================================================
+// TOKENS
+// =============================================================================
+
+/**
+ * Issue a SCIM bearer token for a tenant's IdP. The token is returned once.
+ * @param {string} tenantId - Tenant ID
+ * @param {string} name - Label (e.g. "Okta production")
+ * @param {string} createdById - Issuing administrator
+ * @returns {Promise<Object>} Token record with the plain token
+ */
+exports.createToken = async (tenantId, name, createdById) => {
+  const token = `${SCIM_TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+  const record = await prisma.scimToken.create({
+    data: {
+      tenantId,
+      name,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, SCIM_TOKEN_PREFIX.length + 6),
+      createdById,
+    },
+  });
+
+  logger.info('SCIM token issued', { tenantId, tokenId: record.id });
+
+  return {
+    id: record.id,
+    name: record.name,
+    tokenPrefix: record.tokenPrefix,
+    createdAt: record.createdAt,
+    token,
+    message: 'Store this token securely. It will not be shown again.',
+  };
+};
+
+/**
+ * List a tenant's SCIM tokens (without secrets)
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<Object[]>} Tokens
+ */
+exports.listTokens = (tenantId) => {
+  return prisma.scimToken.findMany({
+    where: { tenantId },
+    select: {
+      id: true,
+      name: true,
+      tokenPrefix: true,
+      lastUsedAt: true,
+      revokedAt: true,
+      createdAt: true,
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+};
+
+/**
+ * Revoke a SCIM token
+ * @param {string} tenantId - Tenant ID
+ * @param {string} tokenId - Token ID
+ * @returns {Promise<void>}
+ */
+exports.revokeToken = async (tenantId, tokenId) => {
+  const { count } = await prisma.scimToken.updateMany({
+    where: { id: tokenId, tenantId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  if (count === 0) {
+    throw new NotFoundError('SCIM token');
+  }
+
+  logger.info('SCIM token revoked', { tenantId, tokenId });
+};
+
+/**
+ * Resolve a bearer token to the tenant it provisions
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object>} { id, tenantId }
+ */
+exports.authenticate = async (token) => {
+  if (!token || !token.startsWith(SCIM_TOKEN_PREFIX)) {
+    throw new UnauthorizedError('SCIM bearer token required');
+  }
+
+  const record = await prisma.scimToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!record || record.revokedAt) {
+    throw new UnauthorizedError('Invalid SCIM token');
+  }
+
+  await prisma.scimToken.update({
+    where: { id: record.id },
+    data: { lastUsedAt: new Date() },
+  });
+
+  return { id: record.id, tenantId: record.tenantId };
+};
+
+// =============================================================================
+// USERS
+// =============================================================================
+
+/**
+ * List provisioned users
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} query - { filter, startIndex, count }
+ * @returns {Promise<Object>} SCIM ListResponse
+ */
+exports.listUsers = (tenantId, query = {}) => withinTenant(tenantId, async () => {
+  const { startIndex, count } = parsePaging(query);
+  const where = { tenantId, ...parseFilter(query.filter, USER_FILTERS) };
+
+  const [members, total] = await Promise.all([
+    prisma.tenantMember.findMany({
+      where,
+      include: { user: true },
+      orderBy: { createdAt: 'asc' },
+      skip: startIndex - 1,
+      take: count,
+    }),
+    prisma.tenantMember.count({ where }),
+  ]);
+
+  const groups = await groupsByUser(tenantId, members.map((member) => member.userId));
+
+  return listResponse(members.map((member) => toScimUser(member, groups[member.userId])), total, startIndex);
+});
+
+/**
+ * Get a provisioned user
+ * @param {string} tenantId - Tenant ID
+ * @param {string} userId - SCIM id (user ID)
+ * @returns {Promise<Object>} SCIM User
+ */
+exports.getUser = (tenantId, userId) => withinTenant(tenantId, async () => {
+  const member = await findMember(tenantId, userId);
+  const groups = await groupsByUser(tenantId, [userId]);
+
+  return toScimUser(member, groups[userId]);
+});
+
+/**
+ * Provision a user: creates the account when the email is new, otherwise
+ * adds the existing account to the tenant
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} resource - SCIM User
+ * @returns {Promise<Object>} SCIM User
+ */
+exports.createUser = (tenantId, resource) => withinTenant(tenantId, async () => {
+  const email = primaryEmail(resource);
+
+  let user = await prisma.user.findUnique({ where: { email } });
+
+  if (user) {
+    const existing = await prisma.tenantMember.findUnique({
+      where: { tenantId_userId: { tenantId, userId: user.id } },
+    });
+    if (existing) {
+      throw new ConflictError(`User ${email} is already provisioned`);
+    }
+  } else {
+    user = await ssoService.createExternalUser({
+      email,
+      firstName: resource.name?.givenName,
+      lastName: resource.name?.familyName,
+    });
+  }
+
+  // Roles come from group membership, synced as groups change
+  await multiTenancyService.addTenantUser(tenantId, user.id, 'member', {
+    source: 'scim',
+    externalId: resource.externalId || null,
+    active: resource.active === undefined ? true : parseBoolean(resource.active, 'active'),
+  });
+
+  logger.info('SCIM user provisioned', { tenantId, userId: user.id });
+
+  return exports.getUser(tenantId, user.id);
+});
+
+/**
+ * Replace a user (PUT)
+ * @param {string} tenantId - Tenant ID
+ * @param {string} userId - SCIM id
+ * @param {Object} resource - SCIM User
+ * @returns {Promise<Object>} SCIM User
+ */
+exports.replaceUser = (tenantId, userId, resource) => withinTenant(tenantId, async () => {
+  const member = await findMember(tenantId, userId);
+
+  await applyUserChanges(member, {
+    email: primaryEmail(resource),
+    firstName: resource.name?.givenName,
+    lastName: resource.name?.familyName,
+    externalId: resource.externalId || null,
+    active: resource.active === undefined ? true : parseBoolean(resource.active, 'active'),
+  });
+
+  return exports.getUser(tenantId, userId);
+});
+
+/**
+ * Patch a user (PATCH). Deprovisioning arrives as `active: false`.
+ * @param {string} tenantId - Tenant ID
+ * @param {string} userId - SCIM id
+ * @param {Object} patch - SCIM PatchOp
+ * @returns {Promise<Object>} SCIM User
+ */
+exports.patchUser = (tenantId, userId, patch) => withinTenant(tenantId, async () => {
+  const member = await findMember(tenantId, userId);
+  const changes = {};
+
+  for (const operation of patchOperations(patch)) {
+    if (operation.type === 'remove') continue;
+
+    const values = operation.path ? { [operation.path]: operation.value } : operation.value;
+    Object.assign(changes, userChangesFrom(values));
+  }
+
+  await applyUserChanges(member, changes);
+
+  return exports.getUser(tenantId, userId);
+});
+
+/**
+ * Remove a user from the tenant (DELETE). The account itself is kept.
+ * @param {string} tenantId - Tenant ID
+ * @param {string} userId - SCIM id
+ * @returns {Promise<void>}
+ */
+exports.deleteUser = (tenantId, userId) => withinTenant(tenantId, async () => {
+  await findMember(tenantId, userId);
+
+  await prisma.scimGroupMember.deleteMany({
+    where: { userId, group: { tenantId } },
+  });
+  await multiTenancyService.removeTenantUser(tenantId, userId);
+
+  logger.info('SCIM user deprovisioned', { tenantId, userId });
+});
+
+// =============================================================================
+// GROUPS
+// =============================================================================
+
+/**
+ * List groups
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} query - { filter, startIndex, count, excludedAttributes }
+ * @returns {Promise<Object>} SCIM ListResponse
+ */
+exports.listGroups = async (tenantId, query = {}) => {
+  const { startIndex, count } = parsePaging(query);
+  const where = { tenantId, ...parseFilter(query.filter, GROUP_FILTERS) };
+  const withMembers = !String(query.excludedAttributes || '').includes('members');
+
+  const [groups, total] = await Promise.all([
+    prisma.scimGroup.findMany({
+      where,
+      include: withMembers ? { members: { include: { user: { select: { email: true } } } } } : undefined,
+      orderBy: { createdAt: 'asc' },
+      skip: startIndex - 1,
+      take: count,
+    }),
+    prisma.scimGroup.count({ where }),
+  ]);
+
+  return listResponse(groups.map(toScimGroup), total, startIndex);
+};
+
+/**
+ * Get a group
+ * @param {string} tenantId - Tenant ID
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object>} SCIM Group
+ */
+exports.getGroup = async (tenantId, groupId) => {
+  return toScimGroup(await findGroup(tenantId, groupId));
+};
+
+/**
+ * Create a group; members receive the tenant role its name maps to
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} resource - SCIM Group
+ * @returns {Promise<Object>} SCIM Group
+ */
+exports.createGroup = (tenantId, resource) => withinTenant(tenantId, async () => {
+  if (!resource.displayName) {
+    throw scimError(BadRequestError, 'displayName is required', 'invalidValue');
+  }
+
+  const existing = await prisma.scimGroup.findUnique({
+    where: { tenantId_displayName: { tenantId, displayName: resource.displayName } },
+  });
+  if (existing) {
+    throw new ConflictError(`Group ${resource.displayName} already exists`);
+  }
+
+  const memberIds = await assertMembers(tenantId, memberValues(resource.members));
+
+  const group = await prisma.scimGroup.create({
+    data: {
+      tenantId,
+      displayName: resource.displayName,
+      externalId: resource.externalId || null,
+      members: { create: memberIds.map((userId) => ({ userId })) },
+    },
+  });
+
+  await syncRoles(tenantId, memberIds);
+
+  logger.info('SCIM group created', { tenantId, groupId: group.id });
+
+  return exports.getGroup(tenantId, group.id);
+});
+
+/**
+ * Replace a group (PUT)
+ * @param {string} tenantId - Tenant ID
+ * @param {string} groupId - Group ID
+ * @param {Object} resource - SCIM Group
+ * @returns {Promise<Object>} SCIM Group
+ */
+exports.replaceGroup = (tenantId, groupId, resource) => withinTenant(tenantId, async () => {
+  const group = await findGroup(tenantId, groupId);
+
+  await updateGroup(tenantId, group, {
+    displayName: resource.displayName || group.displayName,
+    externalId: resource.externalId || null,
+    members: memberValues(resource.members),
+  });
+
+  return exports.getGroup(tenantId, groupId);
+});
+
+/**
+ * Patch a group (PATCH): rename, add or remove members
+ * @param {string} tenantId - Tenant ID
+ * @param {string} groupId - Group ID
+ * @param {Object} patch - SCIM PatchOp
+ * @returns {Promise<Object>} SCIM Group
+ */
+exports.patchGroup = (tenantId, groupId, patch) => withinTenant(tenantId, async () => {
+  const group = await findGroup(tenantId, groupId);
+  let members = group.members.map((member) => member.userId);
+  const changes = {};
+
+  for (const { type, path, value } of patchOperations(patch)) {
+    const attribute = path?.toLowerCase();
+
+    if (!path) {
+      const values = value || {};
+      if (values.displayName) changes.displayName = values.displayName;
+      if (values.externalId !== undefined) changes.externalId = values.externalId;
+      if (values.members) members = applyMemberOperation(members, type, memberValues(values.members));
+    } else if (attribute === 'displayname') {
+      changes.displayName = value;
+    } else if (attribute === 'externalid') {
+      changes.externalId = value;
+    } else if (attribute === 'members') {
+      members = applyMemberOperation(members, type, memberValues(value));
+    } else {
+      // members[value eq "<id>"]: remove one member
+      const match = /^members\[value eq "([^"]+)"\]$/i.exec(path);
+      if (!match || type !== 'remove') {
+        throw scimError(BadRequestError, `Unsupported patch path: ${path}`, 'invalidPath');
+      }
+      members = members.filter((userId) => userId !== match[1]);
+    }
+  }
+
+  await updateGroup(tenantId, group, { ...changes, members });
+
+  return exports.getGroup(tenantId, groupId);
+});
+
+/**
+ * Delete a group; former members fall back to their remaining groups' roles
+ * @param {string} tenantId - Tenant ID
+ * @param {string} groupId - Group ID
+ * @returns {Promise<void>}
+ */
+exports.deleteGroup = (tenantId, groupId) => withinTenant(tenantId, async () => {
+  const group = await findGroup(tenantId, groupId);
+
+  await prisma.scimGroup.delete({ where: { id: group.id } });
+  await syncRoles(tenantId, group.members.map((member) => member.userId));
+
+  logger.info('SCIM group deleted', { tenantId, groupId });
+});
+
+// =============================================================================
+// DISCOVERY
+// =============================================================================
+
+/**
+ * Capabilities advertised to the IdP
+ * @returns {Object} SCIM ServiceProviderConfig
+ */
+exports.getServiceProviderConfig = () => ({
+  schemas: [SCIM_SCHEMAS.SERVICE_PROVIDER_CONFIG],
+  patch: { supported: true },
+  bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+  filter: { supported: true, maxResults: PAGE.MAX_COUNT },
+  changePassword: { supported: false },
+  sort: { supported: false },
+  etag: { supported: false },
+  authenticationSchemes: [{
+    type: 'oauthbearertoken',
+    name: 'OAuth Bearer Token',
+    description: 'Tenant SCIM token issued from the SSO settings',
+    primary: true,
+  }],
+  meta: { resourceType: 'ServiceProviderConfig', location: `${scimBaseUrl()}/ServiceProviderConfig` },
+});
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+async function findMember(tenantId, userId) {
+  const member = await prisma.tenantMember.findUnique({
+    where: { tenantId_userId: { tenantId, userId } },
+    include: { user: true },
+  });
+
+  if (!member) {
+    throw new NotFoundError('User');
+  }
+
+  return member;
+}
+
+async function findGroup(tenantId, groupId) {
+  const group = await prisma.scimGroup.findFirst({
+    where: { id: groupId, tenantId },
+    include: { members: { include: { user: { select: { email: true } } } } },
+  });
+
+  if (!group) {
+    throw new NotFoundError('Group');
+  }
+
+  return group;
+}
+
+/**
+ * Apply changed user attributes. Membership attributes always apply; the
+ * shared account's profile only changes when the tenant has verified the
+ * email domain, so a tenant cannot rewrite accounts it does not own.
+ */
+async function applyUserChanges(member, changes) {
+  const { tenantId, user } = member;
+  const membership = {};
+  const profile = {};
+
+  if (changes.active !== undefined) membership.active = changes.active;
+  if (changes.externalId !== undefined) membership.externalId = changes.externalId;
+
+  if (changes.firstName !== undefined) profile.firstName = changes.firstName;
+  if (changes.lastName !== undefined) profile.lastName = changes.lastName;
+  if (changes.email !== undefined && changes.email !== user.email) profile.email = changes.email;
+
+  if (Object.keys(membership).length) {
+    await prisma.tenantMember.update({
+      where: { id: member.id },
+      data: membership,
+    });
+
+    if (membership.active === false) {
+      logger.info('SCIM user deactivated', { tenantId, userId: user.id });
+    }
+  }
+
+  if (Object.keys(profile).length) {
+    const owned = await ssoService.isVerifiedDomainEmail(tenantId, user.email)
+      && (!profile.email || await ssoService.isVerifiedDomainEmail(tenantId, profile.email));
+
+    if (!owned) {
+      logger.info('SCIM profile change ignored: email domain not verified', { tenantId, userId: user.id });
+      return;
+    }
+
+    if (profile.email && await prisma.user.findUnique({ where: { email: profile.email } })) {
+      throw new ConflictError(`User ${profile.email} already exists`);
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: profile,
+    });
+  }
+}
+
+/**
+ * Map SCIM attributes (from a PUT body, a PATCH path or a PATCH value object)
+ * to the fields applyUserChanges understands
+ */
+function userChangesFrom(values) {
+  const changes = {};
+
+  for (const [path, value] of Object.entries(values || {})) {
+    const attribute = path.toLowerCase();
+
+    if (attribute === 'active') {
+      changes.active = parseBoolean(value, 'active');
+    } else if (attribute === 'externalid') {
+      changes.externalId = value || null;
+    } else if (attribute === 'username') {
+      changes.email = normalizeEmail(value);
+    } else if (attribute === 'name') {
+      Object.assign(changes, userChangesFrom({
+        'name.givenName': value.givenName,
+        'name.familyName': value.familyName,
+      }));
+    } else if (attribute === 'name.givenname' && value !== undefined) {
+      changes.firstName = value;
+    } else if (attribute === 'name.familyname' && value !== undefined) {
+      changes.lastName = value;
+    } else if (attribute.startsWith('emails')) {
+      const email = Array.isArray(value) ? primaryEmail({ emails: value }) : value;
+      changes.email = normalizeEmail(email);
+    }
+    // Other attributes (title, phoneNumbers, addresses...) are not stored
+  }
+
+  return changes;
+}
+
+function patchOperations(patch) {
+  if (!patch || !(patch.schemas || []).includes(SCIM_SCHEMAS.PATCH) || !Array.isArray(patch.Operations)) {
+    throw scimError(BadRequestError, 'Body must be a SCIM PatchOp', 'invalidSyntax');
+  }
+
+  return patch.Operations.map((operation) => {
+    const type = String(operation.op || '').toLowerCase();
+    if (!['add', 'replace', 'remove'].includes(type)) {
+      throw scimError(BadRequestError, `Unsupported patch operation: ${operation.op}`, 'invalidSyntax');
+    }
+    return { type, path: operation.path, value: operation.value };
+  });
+}
+
+function applyMemberOperation(members, type, values) {
+  if (type === 'add') return [...new Set([...members, ...values])];
+  if (type === 'remove') return values.length ? members.filter((userId) => !values.includes(userId)) : [];
+  return values;
+}
+
+async function updateGroup(tenantId, group, { members, ...changes }) {
+  const before = group.members.map((member) => member.userId);
+  const after = await assertMembers(tenantId, members);
+
+  await prisma.$transaction([
+    prisma.scimGroup.update({
+      where: { id: group.id },
+      data: changes,
+    }),
+    prisma.scimGroupMember.deleteMany({
+      where: { groupId: group.id, userId: { notIn: after } },
+    }),
+    prisma.scimGroupMember.createMany({
+      data: after.filter((userId) => !before.includes(userId)).map((userId) => ({ groupId: group.id, userId })),
+      skipDuplicates: true,
+    }),
+  ]);
+
+  await syncRoles(tenantId, [...new Set([...before, ...after])]);
+}
+
+/**
+ * Group members must already be provisioned in the tenant
+ */
+async function assertMembers(tenantId, userIds) {
+  if (!userIds.length) return [];
+
+  const members = await prisma.tenantMember.findMany({
+    where: { tenantId, userId: { in: userIds } },
+    select: { userId: true },
+  });
+
+  const known = members.map((member) => member.userId);
+  const unknown = userIds.filter((userId) => !known.includes(userId));
+  if (unknown.length) {
+    throw scimError(BadRequestError, `Unknown group members: ${unknown.join(', ')}`, 'invalidValue');
+  }
+
+  return [...new Set(userIds)];
+}
+
+/**
+ * Recompute tenant roles from the groups each user belongs to
+ */
+async function syncRoles(tenantId, userIds) {
+  if (!userIds.length) return;
+
+  const mapping = await roleMapping(tenantId);
+  const groups = await groupsByUser(tenantId, userIds);
+
+  for (const userId of userIds) {
+    const role = ssoService.resolveRole((groups[userId] || []).map((group) => group.displayName), mapping);
+
+    await prisma.tenantMember.updateMany({
+      where: { tenantId, userId, role: { not: role } },
+      data: { role },
+    });
+  }
+}
+
+async function roleMapping(tenantId) {
+  const sso = await prisma.ssoConfiguration.findUnique({
+    where: { tenantId },
+    select: { roleMapping: true },
+  });
+
+  return sso?.roleMapping || undefined;
+}
+
+async function groupsByUser(tenantId, userIds) {
+  if (!userIds.length) return {};
+
+  const memberships = await prisma.scimGroupMember.findMany({
+    where: { userId: { in: userIds }, group: { tenantId } },
+    include: { group: { select: { id: true, displayName: true } } },
+  });
+
+  return memberships.reduce((acc, { userId, group }) => {
+    (acc[userId] = acc[userId] || []).push(group);
+    return acc;
+  }, {});
+}
+
+function toScimUser(member, groups = []) {
+  const { user } = member;
+
+  return {
+    schemas: [SCIM_SCHEMAS.USER],
+    id: user.id,
+    externalId: member.externalId || undefined,
+    userName: user.email,
+    name: {
+      givenName: user.firstName,
+      familyName: user.lastName,
+      formatted: `${user.firstName} ${user.lastName}`.trim(),
+    },
+    displayName: `${user.firstName} ${user.lastName}`.trim(),
+    emails: [{ value: user.email, type: 'work', primary: true }],
+    active: member.active,
+    groups: groups.map((group) => ({
+      value: group.id,
+      display: group.displayName,
+      $ref: `${scimBaseUrl()}/Groups/${group.id}`,
+    })),
+    meta: {
+      resourceType: 'User',
+      created: member.createdAt,
+      lastModified: member.updatedAt || member.createdAt,
+      location: `${scimBaseUrl()}/Users/${user.id}`,
+    },
+  };
+}
+
+function toScimGroup(group) {
+  return {
+    schemas: [SCIM_SCHEMAS.GROUP],
+    id: group.id,
+    externalId: group.externalId || undefined,
+    displayName: group.displayName,
+    ...(group.members && {
+      members: group.members.map((member) => ({
+        value: member.userId,
+        display: member.user?.email,
+        $ref: `${scimBaseUrl()}/Users/${member.userId}`,
+      })),
+    }),
+    meta: {
+      resourceType: 'Group',
+      created: group.createdAt,
+      lastModified: group.updatedAt,
+      location: `${scimBaseUrl()}/Groups/${group.id}`,
+    },
+  };
+}
+
+function listResponse(resources, total, startIndex) {
+  return {
+    schemas: [SCIM_SCHEMAS.LIST],
+    totalResults: total,
+    itemsPerPage: resources.length,
+    startIndex,
+    Resources: resources,
+  };
+}
+
+function parsePaging(query) {
+  const startIndex = Math.max(parseInt(query.startIndex, 10) || 1, 1);
+  const count = Math.min(Math.max(parseInt(query.count, 10) || PAGE.DEFAULT_COUNT, 0), PAGE.MAX_COUNT);
+  return { startIndex, count };
+}
+
+/**
+ * Translate a single `attribute eq "value"` filter to a Prisma where clause
+ */
+function parseFilter(filter, attributes) {
+  if (!filter) return {};
+
+  const match = /^\s*([\w.]+)\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i.exec(filter);
+  const toWhere = match && attributes[match[1].toLowerCase()];
+
+  if (!toWhere) {
+    throw scimError(BadRequestError, `Unsupported filter: ${filter}`, 'invalidFilter');
+  }
+
+  return toWhere(match[2].replace(/\\(.)/g, '$1'));
+}
+
+function memberValues(members = []) {
+  return [].concat(members || []).map((member) => member.value).filter(Boolean);
+}
+
+function primaryEmail(resource) {
+  const emails = resource.emails || [];
+  const email = (emails.find((entry) => entry.primary) || emails[0])?.value || resource.userName;
+
+  if (!email) {
+    throw scimError(BadRequestError, 'userName is required', 'invalidValue');
+  }
+
+  return normalizeEmail(email);
+}
+
+function normalizeEmail(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) {
+    throw scimError(BadRequestError, `userName must be an email address: ${email}`, 'invalidValue');
+  }
+
+  return normalized;
+}
+
+// Azure AD sends booleans as "True"/"False" strings
+function parseBoolean(value, attribute) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string' && ['true', 'false'].includes(value.toLowerCase())) {
+    return value.toLowerCase() === 'true';
+  }
+  throw scimError(BadRequestError, `${attribute} must be a boolean`, 'invalidValue');
+}
+
+function scimError(ErrorClass, message, scimType) {
+  return new ErrorClass(message, { scimType });
+}
+
+function scimBaseUrl() {
+  return `${config.app.url}/api/v1/scim/v2`;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// =============================================================================
+// MODULE EXPORTS
+// =============================================================================
+
+module.exports = {
+  ...exports,
+  SCIM_SCHEMAS,
+};
@@ -10,6 +10,8 @@ const logger = require('../config/logger');
 const { NotFoundError, BadRequestError, ExternalServiceError } = require('../utils/errors');
 const { generateId, formatCurrency } = require('../utils/helpers');
 const { emitToUser } = require('./socket.service');
+const ediService = require('./edi.service');
+const inventoryLotService = require('./inventoryLot.service');
 
 // =============================================================================
 // CONSTANTS
@@ -75,7 +77,7 @@ const getMockRates = async (params, chargeableWeight) => {
 // =============================================================================
 
 const createShipment = async (shipmentData) => {
-  const { orderId, businessId, carrier, pickupAddress, deliveryAddress, items, weight, dimensions, declaredValue, paymentMode } = shipmentData;
+  const { orderId, businessId, carrier, pickupAddress, deliveryAddress, items, weight, dimensions, packages, declaredValue, paymentMode, isReturn = false } = shipmentData;
 
   const awbNumber = `AWB${Date.now()}${Math.floor(Math.random() * 1000)}`;
 
@@ -84,20 +86,34 @@ const createShipment = async (shipmentData) => {
       orderId, businessId, awbNumber, carrier, carrierName: shipmentData.carrierName || carrier,
       serviceType: shipmentData.serviceType || SERVICE_TYPE.STANDARD, status: SHIPMENT_STATUS.BOOKED,
       pickupAddress, deliveryAddress, weight, dimensions, declaredValue, paymentMode,
+      packageCount: packages?.length || 1, packages,
       trackingUrl: getTrackingUrl(carrier, awbNumber),
       estimatedDelivery: new Date(Date.now() + (shipmentData.estimatedDays || 5) * 24 * 60 * 60 * 1000),
     },
   });
 
-  await prisma.order.update({ where: { id: orderId }, data: { trackingNumber: awbNumber, shippingCarrier: carrier, status: 'SHIPPED' } });
+  logger.info('Shipment created', { shipmentId: shipment.id, awbNumber, carrier, orderId, isReturn });
+
+  // Reverse pickups must not move the forward order back to SHIPPED
+  if (isReturn) return shipment;
+
+  // Reserved lots leave the warehouse with this shipment
+  const lots = await inventoryLotService.shipOrder(prisma, orderId, shipment.id);
+  if (lots.length > 0) {
+    await prisma.shipment.update({ where: { id: shipment.id }, data: { lots } });
+    shipment.lots = lots;
+  }
 
-  logger.info('Shipment created', { shipmentId: shipment.id, awbNumber, carrier, orderId });
+  await prisma.order.update({ where: { id: orderId }, data: { trackingNumber: awbNumber, shippingCarrier: carrier, status: 'SHIPPED' } });
 
   const order = await prisma.order.findUnique({ where: { id: orderId }, select: { buyer: { select: { owner: { select: { id: true } } } } } });
   if (order?.buyer?.owner?.id) {
     emitToUser(order.buyer.owner.id, 'order:shipped', { orderId, awbNumber, trackingUrl: shipment.trackingUrl });
   }
 
+  // Advance ship notice (856 / DESADV) for orders placed over EDI
+  await ediService.sendShipNotice(shipment);
+
   return shipment;
 };
 
@@ -1,46 +1,72 @@
 // =============================================================================
 // AIRAVAT B2B MARKETPLACE - SSO SERVICE
-// Single Sign-On for Enterprise (SAML, Azure AD, Okta)
+// Single Sign-On for Enterprise (SAML 2.0, OIDC: Azure AD, Okta, Google)
 // =============================================================================
 
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const zlib = require('zlib');
+const axios = require('axios');
+const bcrypt = require('bcryptjs');
+const { DOMParser } = require('@xmldom/xmldom');
+const { SignedXml } = require('xml-crypto');
+const { createRemoteJWKSet, jwtVerify } = require('jose');
 const { prisma } = require('../config/database');
 const logger = require('../config/logger');
-const { AppError, BadRequestError, NotFoundError } = require('../utils/errors');
-const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
 const config = require('../config');
+const dataEncryption = require('./dataEncryption.service');
+const { generateAuthTokens } = require('./auth.service');
+const multiTenancyService = require('./multiTenancy.service');
+const { withinTenant } = require('../utils/tenantContext');
+const { BadRequestError, NotFoundError, ForbiddenError, UnauthorizedError } = require('../utils/errors');
 
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
 /**
- * Supported SSO providers
+ * Supported SSO providers. OIDC providers resolve their endpoints from the
+ * issuer's discovery document.
  */
 const SSO_PROVIDERS = {
   SAML: {
     id: 'saml',
     name: 'SAML 2.0',
+    protocol: 'saml',
     description: 'Generic SAML 2.0 Identity Provider',
-    configFields: ['entityId', 'ssoUrl', 'certificate', 'logoutUrl'],
+    configFields: ['entityId', 'ssoUrl', 'certificate'],
+  },
+  OIDC: {
+    id: 'oidc',
+    name: 'OpenID Connect',
+    protocol: 'oidc',
+    description: 'Generic OpenID Connect Provider',
+    configFields: ['issuer', 'clientId', 'clientSecret'],
+    issuer: (ssoConfig) => ssoConfig.issuer,
   },
   AZURE_AD: {
     id: 'azure_ad',
     name: 'Azure Active Directory',
+    protocol: 'oidc',
     description: 'Microsoft Azure AD / Entra ID',
     configFields: ['tenantId', 'clientId', 'clientSecret'],
+    issuer: (ssoConfig) => `https://login.microsoftonline.com/${ssoConfig.tenantId}/v2.0`,
   },
   OKTA: {
     id: 'okta',
     name: 'Okta',
+    protocol: 'oidc',
     description: 'Okta Identity Provider',
     configFields: ['domain', 'clientId', 'clientSecret'],
+    issuer: (ssoConfig) => `https://${ssoConfig.domain}`,
   },
   GOOGLE: {
     id: 'google',
     name: 'Google Workspace',
+    protocol: 'oidc',
     description: 'Google Workspace SSO',
     configFields: ['clientId', 'clientSecret', 'hostedDomain'],
+    issuer: () => 'https://accounts.google.com',
   },
 };
 
@@ -49,12 +75,43 @@ const SSO_PROVIDERS = {
  */
 const SSO_STATES = {
   INITIATED: 'initiated',
-  PENDING: 'pending',
+  PENDING: 'pending', // Callback received, being validated (a state is usable once)
   COMPLETED: 'completed',
   FAILED: 'failed',
   EXPIRED: 'expired',
 };
 
+/**
+ * IdP groups mapped to tenant roles when the tenant configures no mapping
+ */
+const DEFAULT_ROLE_MAPPING = {
+  admins: 'admin',
+  managers: 'manager',
+  users: 'member',
+};
+
+const DEFAULT_ROLE = 'member';
+
+const SAML_NS = {
+  PROTOCOL: 'urn:oasis:names:tc:SAML:2.0:protocol',
+  ASSERTION: 'urn:oasis:names:tc:SAML:2.0:assertion',
+  DSIG: 'http://www.w3.org/2000/09/xmldsig#',
+};
+
+const SAML_STATUS_SUCCESS = 'urn:oasis:names:tc:SAML:2.0:status:Success';
+const SAML_BEARER = 'urn:oasis:names:tc:SAML:2.0:cm:bearer';
+
+// Attribute names used by common IdPs (Okta, Azure AD, ADFS, OneLogin)
+const SAML_ATTRIBUTES = {
+  email: ['email', 'mail', 'emailaddress', 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress'],
+  firstName: ['firstName', 'givenName', 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname'],
+  lastName: ['lastName', 'surname', 'sn', 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname'],
+  groups: ['groups', 'memberOf', 'http://schemas.microsoft.com/ws/2008/06/identity/claims/groups'],
+};
+
+// Discovery documents and JWKS clients, per issuer
+const oidcProviders = new Map();
+
 // =============================================================================
 // SSO CONFIGURATION
 // =============================================================================
@@ -62,18 +119,21 @@ const SSO_STATES = {
 /**
  * Configure SSO for a tenant
  * @param {string} tenantId - Tenant ID
- * @param {Object} config - SSO configuration
+ * @param {Object} ssoConfig - { provider, config, enabled, enforced, roleMapping, jitProvisioning }
  * @returns {Promise<Object>} SSO configuration
  */
 exports.configureSso = async (tenantId, ssoConfig) => {
   try {
-    const { provider, config: providerConfig, enabled = true, enforced = false } = ssoConfig;
-
-    if (!SSO_PROVIDERS[provider.toUpperCase()]) {
-      throw new BadRequestError(`Unsupported SSO provider: ${provider}`);
-    }
+    const {
+      provider,
+      config: providerConfig,
+      enabled = true,
+      enforced = false,
+      roleMapping,
+      jitProvisioning = true,
+    } = ssoConfig;
 
-    const providerInfo = SSO_PROVIDERS[provider.toUpperCase()];
+    const providerInfo = getProvider(provider);
 
     // Validate required fields
     for (const field of providerInfo.configFields) {
@@ -82,8 +142,12 @@ exports.configureSso = async (tenantId, ssoConfig) => {
       }
     }
 
-    // Encrypt sensitive data
-    const encryptedConfig = encryptConfig(providerConfig);
+    if (providerInfo.protocol === 'saml') {
+      providerConfig.certificate = [].concat(providerConfig.certificate).map(normalizeCertificate);
+      providerConfig.certificate.forEach(assertCertificateUsable);
+    }
+
+    const encryptedConfig = encryptConfig(tenantId, providerConfig);
 
     const sso = await prisma.ssoConfiguration.upsert({
       where: { tenantId },
@@ -93,7 +157,8 @@ exports.configureSso = async (tenantId, ssoConfig) => {
         config: encryptedConfig,
         enabled,
         enforced,
-        updatedAt: new Date(),
+        jitProvisioning,
+        ...(roleMapping !== undefined && { roleMapping }),
       },
       create: {
         tenantId,
@@ -102,6 +167,8 @@ exports.configureSso = async (tenantId, ssoConfig) => {
         config: encryptedConfig,
         enabled,
         enforced,
+        jitProvisioning,
+        roleMapping: roleMapping || null,
         acsUrl: generateAcsUrl(tenantId),
         entityId: generateEntityId(tenantId),
         metadataUrl: generateMetadataUrl(tenantId),
@@ -110,15 +177,7 @@ exports.configureSso = async (tenantId, ssoConfig) => {
 
     logger.info('SSO configured', { tenantId, provider: providerInfo.id });
 
-    return {
-      id: sso.id,
-      provider: sso.providerName,
-      enabled: sso.enabled,
-      enforced: sso.enforced,
-      acsUrl: sso.acsUrl,
-      entityId: sso.entityId,
-      metadataUrl: sso.metadataUrl,
-    };
+    return formatConfiguration(sso);
   } catch (error) {
     logger.error('Configure SSO error', { error: error.message, tenantId });
     throw error;
@@ -141,12 +200,7 @@ exports.getSsoConfig = async (tenantId) => {
 
   return {
     configured: true,
-    provider: sso.providerName,
-    enabled: sso.enabled,
-    enforced: sso.enforced,
-    acsUrl: sso.acsUrl,
-    entityId: sso.entityId,
-    metadataUrl: sso.metadataUrl,
+    ...formatConfiguration(sso),
     createdAt: sso.createdAt,
   };
 };
@@ -170,36 +224,60 @@ exports.disableSso = async (tenantId) => {
 // =============================================================================
 
 /**
- * Initiate SSO login
+ * Initiate SSO login: a SAML AuthnRequest (HTTP-Redirect binding) or an OIDC
+ * authorization code request with PKCE
  * @param {string} tenantId - Tenant ID
- * @param {string} returnUrl - Return URL after login
- * @returns {Promise<Object>} SSO initiation result
+ * @param {string} returnUrl - Frontend path to return to after login
+ * @returns {Promise<Object>} { redirectUrl, state }
  */
 exports.initiateSsoLogin = async (tenantId, returnUrl = '/') => {
-  const sso = await prisma.ssoConfiguration.findUnique({
-    where: { tenantId },
-  });
+  const sso = await getEnabledConfiguration(tenantId);
+  const ssoConfig = decryptConfig(tenantId, sso.config);
+  const providerInfo = getProvider(sso.provider);
 
-  if (!sso || !sso.enabled) {
-    throw new BadRequestError('SSO not configured or disabled');
+  if (!isSafeReturnUrl(returnUrl)) {
+    throw new BadRequestError('returnUrl must be a path on this site');
   }
 
-  // Generate state token
   const state = generateStateToken();
+  const session = {
+    tenantId,
+    configurationId: sso.id,
+    state,
+    returnUrl,
+    status: SSO_STATES.INITIATED,
+    expiresAt: new Date(Date.now() + config.sso.sessionTtlMinutes * 60 * 1000),
+  };
 
-  // Store SSO session
-  await prisma.ssoSession.create({
-    data: {
-      tenantId,
+  let redirectUrl;
+
+  if (providerInfo.protocol === 'saml') {
+    const requestId = `_${crypto.randomBytes(20).toString('hex')}`;
+    session.requestId = requestId;
+    redirectUrl = buildSamlRedirectUrl(sso, ssoConfig, requestId, state);
+  } else {
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const nonce = generateStateToken();
+    session.codeVerifier = dataEncryption.encrypt(codeVerifier, { aad: { tenantId, state } });
+    session.nonce = nonce;
+
+    const provider = await getOidcProvider(providerInfo.issuer(ssoConfig));
+    const url = new URL(provider.metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+      client_id: ssoConfig.clientId,
+      response_type: 'code',
+      redirect_uri: sso.acsUrl,
+      scope: 'openid email profile',
       state,
-      returnUrl,
-      status: SSO_STATES.INITIATED,
-      expiresAt: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
-    },
-  });
+      nonce,
+      code_challenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+      code_challenge_method: 'S256',
+      ...(ssoConfig.hostedDomain && { hd: ssoConfig.hostedDomain }),
+    }).toString();
+    redirectUrl = url.toString();
+  }
 
-  // Generate redirect URL based on provider
-  const redirectUrl = await generateRedirectUrl(sso, state);
+  await prisma.ssoSession.create({ data: session });
 
   return {
     redirectUrl,
@@ -208,130 +286,115 @@ exports.initiateSsoLogin = async (tenantId, returnUrl = '/') => {
 };
 
 /**
- * Handle SSO callback
- * @param {string} state - State token
- * @param {Object} assertion - Identity assertion from provider
- * @returns {Promise<Object>} Authentication result
+ * Handle the IdP's response: a SAML Response posted to the ACS, or an OIDC
+ * authorization code redirect. Returns a one-time code the frontend exchanges
+ * for tokens (tokens never travel in a redirect URL).
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} params - { SAMLResponse, RelayState } or { code, state, error }
+ * @returns {Promise<Object>} { exchangeCode, returnUrl }
  */
-exports.handleSsoCallback = async (state, assertion) => {
-  try {
-    // Find SSO session
-    const session = await prisma.ssoSession.findFirst({
-      where: {
-        state,
-        status: SSO_STATES.INITIATED,
-        expiresAt: { gte: new Date() },
-      },
-    });
+exports.handleSsoCallback = async (tenantId, params) => {
+  const state = params.RelayState || params.state;
+  let session;
 
-    if (!session) {
-      throw new BadRequestError('Invalid or expired SSO session');
+  try {
+    if (!state) {
+      throw new BadRequestError('Missing SSO state');
     }
 
-    // Get SSO config
-    const sso = await prisma.ssoConfiguration.findUnique({
-      where: { tenantId: session.tenantId },
-    });
+    session = await claimSession(tenantId, state);
 
-    if (!sso) {
-      throw new NotFoundError('SSO configuration not found');
+    const sso = await getEnabledConfiguration(tenantId);
+    if (session.configurationId !== sso.id) {
+      throw new BadRequestError('SSO configuration changed during login');
     }
 
-    // Validate assertion based on provider
-    const userInfo = await validateAssertion(sso, assertion);
+    const ssoConfig = decryptConfig(tenantId, sso.config);
+    const providerInfo = getProvider(sso.provider);
 
-    // Find or create user
-    let user = await prisma.user.findFirst({
-      where: {
-        OR: [
-          { email: userInfo.email },
-          { ssoId: userInfo.id, ssoProvider: sso.provider },
-        ],
-      },
-    });
-
-    if (!user) {
-      // Auto-provision user
-      user = await prisma.user.create({
-        data: {
-          email: userInfo.email,
-          firstName: userInfo.firstName || userInfo.name?.split(' ')[0] || '',
-          lastName: userInfo.lastName || userInfo.name?.split(' ').slice(1).join(' ') || '',
-          ssoId: userInfo.id,
-          ssoProvider: sso.provider,
-          emailVerified: true,
-          status: 'ACTIVE',
-          metadata: {
-            provisionedViaSso: true,
-            ssoGroups: userInfo.groups || [],
-          },
-        },
-      });
+    const identity = providerInfo.protocol === 'saml'
+      ? await validateSamlResponse(sso, ssoConfig, session, params.SAMLResponse)
+      : await validateOidcCallback(sso, ssoConfig, providerInfo, session, params);
 
-      // Add to tenant
-      await prisma.tenantMember.create({
-        data: {
-          tenantId: session.tenantId,
-          userId: user.id,
-          role: determineUserRole(userInfo.groups || []),
-        },
-      });
-    } else {
-      // Update user info
-      await prisma.user.update({
-        where: { id: user.id },
-        data: {
-          ssoId: userInfo.id,
-          ssoProvider: sso.provider,
-          lastLoginAt: new Date(),
-        },
-      });
-    }
+    const user = await provisionSsoUser(sso, identity);
 
-    // Update session
+    const exchangeCode = generateStateToken();
     await prisma.ssoSession.update({
       where: { id: session.id },
       data: {
         status: SSO_STATES.COMPLETED,
         userId: user.id,
+        exchangeCodeHash: hashToken(exchangeCode),
         completedAt: new Date(),
       },
     });
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.id, tenantId: session.tenantId, sso: true },
-      config.jwt.secret,
-      { expiresIn: config.jwt.expiresIn }
-    );
-
-    logger.info('SSO login successful', { userId: user.id, tenantId: session.tenantId });
+    logger.info('SSO login successful', { userId: user.id, tenantId, provider: sso.provider });
 
     return {
-      success: true,
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-      },
+      exchangeCode,
       returnUrl: session.returnUrl,
     };
   } catch (error) {
-    // Update session as failed
-    if (state) {
-      await prisma.ssoSession.updateMany({
-        where: { state },
+    if (session) {
+      await prisma.ssoSession.update({
+        where: { id: session.id },
         data: { status: SSO_STATES.FAILED, error: error.message },
       });
     }
 
-    logger.error('SSO callback error', { error: error.message, state });
+    logger.error('SSO callback error', { error: error.message, tenantId });
     throw error;
   }
 };
 
+/**
+ * Exchange the one-time code from the callback redirect for auth tokens
+ * @param {string} code - Exchange code
+ * @returns {Promise<Object>} { user, accessToken, refreshToken, returnUrl }
+ */
+exports.exchangeLoginCode = async (code) => {
+  const session = await prisma.ssoSession.findUnique({
+    where: { exchangeCodeHash: hashToken(code) },
+  });
+
+  const oldest = new Date(Date.now() - config.sso.exchangeCodeTtlSeconds * 1000);
+  if (!session || session.status !== SSO_STATES.COMPLETED || session.exchangedAt || session.completedAt < oldest) {
+    throw new UnauthorizedError('Invalid or expired SSO code');
+  }
+
+  // Single use, even under concurrent exchanges
+  const { count } = await prisma.ssoSession.updateMany({
+    where: { id: session.id, exchangedAt: null },
+    data: { exchangedAt: new Date() },
+  });
+  if (count === 0) {
+    throw new UnauthorizedError('Invalid or expired SSO code');
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: session.userId },
+    select: { id: true, email: true, firstName: true, lastName: true, role: true, isActive: true },
+  });
+  if (!user || !user.isActive) {
+    throw new UnauthorizedError('Account is deactivated');
+  }
+
+  // Tokens carry the tenant the user signed in to
+  const tokens = await withinTenant(session.tenantId, () => generateAuthTokens(user));
+
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+    },
+    ...tokens,
+    returnUrl: session.returnUrl,
+  };
+};
+
 /**
  * Handle SSO logout
  * @param {string} tenantId - Tenant ID
@@ -347,8 +410,8 @@ exports.handleSsoLogout = async (tenantId, userId) => {
     return { logoutUrl: null };
   }
 
-  const config = decryptConfig(sso.config);
-  const logoutUrl = config.logoutUrl || null;
+  const ssoConfig = decryptConfig(tenantId, sso.config);
+  const logoutUrl = ssoConfig.logoutUrl || null;
 
   // Invalidate all sessions for user
   await prisma.ssoSession.updateMany({
@@ -376,18 +439,18 @@ exports.getSamlMetadata = async (tenantId) => {
   });
 
   if (!sso || sso.provider !== 'saml') {
-    throw new NotFoundError('SAML not configured');
+    throw new NotFoundError('SAML configuration');
   }
 
   const metadata = `<?xml version="1.0"?>
 <md:EntityDescriptor xmlns:md="urn:oasis:names:tc:SAML:2.0:metadata"
-                     entityID="${sso.entityId}">
+                     entityID="${escapeXml(sso.entityId)}">
   <md:SPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol"
-                      AuthnRequestsSigned="true"
+                      AuthnRequestsSigned="false"
                       WantAssertionsSigned="true">
     <md:NameIDFormat>urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress</md:NameIDFormat>
     <md:AssertionConsumerService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST"
-                                 Location="${sso.acsUrl}"
+                                 Location="${escapeXml(sso.acsUrl)}"
                                  index="0"/>
   </md:SPSSODescriptor>
 </md:EntityDescriptor>`;
@@ -395,6 +458,470 @@ exports.getSamlMetadata = async (tenantId) => {
   return metadata;
 };
 
+/**
+ * Build the HTTP-Redirect binding URL carrying a fresh AuthnRequest
+ */
+function buildSamlRedirectUrl(sso, ssoConfig, requestId, relayState) {
+  const authnRequest = [
+    '<samlp:AuthnRequest',
+    ` xmlns:samlp="${SAML_NS.PROTOCOL}" xmlns:saml="${SAML_NS.ASSERTION}"`,
+    ` ID="${requestId}" Version="2.0" IssueInstant="${new Date().toISOString()}"`,
+    ` Destination="${escapeXml(ssoConfig.ssoUrl)}"`,
+    ` AssertionConsumerServiceURL="${escapeXml(sso.acsUrl)}"`,
+    ' ProtocolBinding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST">',
+    `<saml:Issuer>${escapeXml(sso.entityId)}</saml:Issuer>`,
+    '<samlp:NameIDPolicy Format="urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress" AllowCreate="true"/>',
+    '</samlp:AuthnRequest>',
+  ].join('');
+
+  const url = new URL(ssoConfig.ssoUrl);
+  url.searchParams.set('SAMLRequest', zlib.deflateRawSync(authnRequest).toString('base64'));
+  url.searchParams.set('RelayState', relayState);
+  return url.toString();
+}
+
+/**
+ * Validate a SAML Response: XML signature against the configured IdP
+ * certificate, then issuer, audience, recipient, InResponseTo and validity
+ * window of the signed assertion. Only signed content is ever read, so
+ * signature-wrapping payloads are ignored.
+ * @returns {Promise<Object>} Identity { subject, email, firstName, lastName, groups }
+ */
+async function validateSamlResponse(sso, ssoConfig, session, samlResponse) {
+  if (!samlResponse) {
+    throw new BadRequestError('Missing SAMLResponse');
+  }
+
+  const xml = Buffer.from(samlResponse, 'base64').toString('utf8');
+  const response = parseXml(xml).documentElement;
+
+  if (!response || response.localName !== 'Response' || response.namespaceURI !== SAML_NS.PROTOCOL) {
+    throw new BadRequestError('Not a SAML Response');
+  }
+
+  const statusCode = firstElement(response, SAML_NS.PROTOCOL, 'StatusCode');
+  if (!statusCode || statusCode.getAttribute('Value') !== SAML_STATUS_SUCCESS) {
+    throw new UnauthorizedError('Identity provider rejected the login');
+  }
+
+  if (response.getAttribute('Destination') && response.getAttribute('Destination') !== sso.acsUrl) {
+    throw new UnauthorizedError('SAML Response was issued for another destination');
+  }
+
+  if (response.getAttribute('InResponseTo') !== session.requestId) {
+    throw new UnauthorizedError('SAML Response does not answer this login request');
+  }
+
+  if (firstElement(response, SAML_NS.ASSERTION, 'EncryptedAssertion')) {
+    throw new BadRequestError('Encrypted assertions are not supported; disable assertion encryption at the IdP');
+  }
+
+  const assertion = verifySignedAssertion(xml, response, ssoConfig.certificate);
+  const now = Date.now();
+  const skew = config.sso.clockSkewSeconds * 1000;
+
+  const issuer = childElement(assertion, SAML_NS.ASSERTION, 'Issuer');
+  if (!issuer || issuer.textContent.trim() !== ssoConfig.entityId) {
+    throw new UnauthorizedError('SAML assertion issuer is not the configured identity provider');
+  }
+
+  const conditions = childElement(assertion, SAML_NS.ASSERTION, 'Conditions');
+  if (!conditions) {
+    throw new UnauthorizedError('SAML assertion has no conditions');
+  }
+  assertTimeWindow(conditions.getAttribute('NotBefore'), conditions.getAttribute('NotOnOrAfter'), now, skew);
+
+  const audiences = Array.from(conditions.getElementsByTagNameNS(SAML_NS.ASSERTION, 'Audience'))
+    .map((node) => node.textContent.trim());
+  if (!audiences.includes(sso.entityId)) {
+    throw new UnauthorizedError('SAML assertion is not intended for this service provider');
+  }
+
+  const subject = childElement(assertion, SAML_NS.ASSERTION, 'Subject');
+  const nameId = subject && childElement(subject, SAML_NS.ASSERTION, 'NameID');
+  if (!nameId || !nameId.textContent.trim()) {
+    throw new UnauthorizedError('SAML assertion has no subject');
+  }
+
+  const bearer = Array.from(subject.getElementsByTagNameNS(SAML_NS.ASSERTION, 'SubjectConfirmation'))
+    .find((node) => node.getAttribute('Method') === SAML_BEARER);
+  const confirmation = bearer && childElement(bearer, SAML_NS.ASSERTION, 'SubjectConfirmationData');
+  if (!confirmation) {
+    throw new UnauthorizedError('SAML assertion has no bearer subject confirmation');
+  }
+  if (confirmation.getAttribute('Recipient') !== sso.acsUrl) {
+    throw new UnauthorizedError('SAML assertion was issued for another recipient');
+  }
+  if (confirmation.getAttribute('InResponseTo') !== session.requestId) {
+    throw new UnauthorizedError('SAML assertion does not answer this login request');
+  }
+  const notOnOrAfter = confirmation.getAttribute('NotOnOrAfter');
+  if (!notOnOrAfter) {
+    throw new UnauthorizedError('SAML subject confirmation has no expiry');
+  }
+  assertTimeWindow(null, notOnOrAfter, now, skew);
+
+  await recordAssertion(session.tenantId, assertion.getAttribute('ID'), new Date(Date.parse(notOnOrAfter) + skew));
+
+  const attributes = readSamlAttributes(assertion);
+  const email = attributes.email[0] || nameId.textContent.trim();
+
+  return {
+    subject: nameId.textContent.trim(),
+    email,
+    firstName: attributes.firstName[0],
+    lastName: attributes.lastName[0],
+    groups: attributes.groups,
+  };
+}
+
+/**
+ * Check the enveloped signature over the Response or its Assertion and
+ * return the signed Assertion, re-parsed from the signed bytes
+ */
+function verifySignedAssertion(xml, response, certificates) {
+  const assertions = response.getElementsByTagNameNS(SAML_NS.ASSERTION, 'Assertion');
+  if (assertions.length !== 1) {
+    throw new UnauthorizedError('SAML Response must contain exactly one assertion');
+  }
+
+  const candidates = [response, assertions[0]];
+
+  for (const signedNode of candidates) {
+    const signature = childElement(signedNode, SAML_NS.DSIG, 'Signature');
+    if (!signature) continue;
+
+    const signedXml = checkSignature(xml, signature, certificates);
+    const references = signedXml.getReferences();
+    if (references.length !== 1 || references[0].uri !== `#${signedNode.getAttribute('ID')}`) {
+      throw new UnauthorizedError('SAML signature does not cover the signed element');
+    }
+
+    const signedDocument = parseXml(signedXml.getSignedReferences()[0]).documentElement;
+    const assertion = signedDocument.localName === 'Assertion'
+      ? signedDocument
+      : signedDocument.getElementsByTagNameNS(SAML_NS.ASSERTION, 'Assertion')[0];
+
+    if (!assertion) {
+      throw new UnauthorizedError('SAML signature does not cover an assertion');
+    }
+    return assertion;
+  }
+
+  throw new UnauthorizedError('SAML Response is not signed');
+}
+
+/**
+ * Verify one XML signature against any of the configured certificates
+ * (several during an IdP certificate rollover)
+ */
+function checkSignature(xml, signature, certificates) {
+  for (const certificate of [].concat(certificates)) {
+    assertCertificateUsable(certificate);
+
+    // Keys embedded in the message are never trusted: only the configured certificate
+    const signedXml = new SignedXml({ publicCert: certificate, getCertFromKeyInfo: () => null });
+    signedXml.loadSignature(signature);
+
+    try {
+      if (signedXml.checkSignature(xml)) {
+        return signedXml;
+      }
+    } catch (error) {
+      logger.debug('SAML signature check failed', { error: error.message });
+    }
+  }
+
+  throw new UnauthorizedError('SAML signature is invalid');
+}
+
+function readSamlAttributes(assertion) {
+  const values = {};
+
+  for (const attribute of Array.from(assertion.getElementsByTagNameNS(SAML_NS.ASSERTION, 'Attribute'))) {
+    values[attribute.getAttribute('Name')] = Array.from(
+      attribute.getElementsByTagNameNS(SAML_NS.ASSERTION, 'AttributeValue'),
+    ).map((node) => node.textContent.trim());
+  }
+
+  return Object.fromEntries(Object.entries(SAML_ATTRIBUTES).map(([field, names]) => [
+    field,
+    names.flatMap((name) => values[name] || []),
+  ]));
+}
+
+/**
+ * Store a one-time assertion ID; a second use of the same ID is a replay
+ */
+async function recordAssertion(tenantId, assertionId, expiresAt) {
+  if (!assertionId) {
+    throw new UnauthorizedError('SAML assertion has no ID');
+  }
+
+  try {
+    await prisma.ssoAssertionReplay.create({
+      data: { tenantId, assertionId, expiresAt },
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw new UnauthorizedError('SAML assertion has already been used');
+    }
+    throw error;
+  }
+}
+
+// =============================================================================
+// OIDC SPECIFIC
+// =============================================================================
+
+/**
+ * Redeem the authorization code (with the PKCE verifier) and verify the ID
+ * token against the issuer's JWKS
+ * @returns {Promise<Object>} Identity { subject, email, firstName, lastName, groups }
+ */
+async function validateOidcCallback(sso, ssoConfig, providerInfo, session, params) {
+  if (params.error) {
+    throw new UnauthorizedError(`Identity provider rejected the login: ${params.error}`);
+  }
+  if (!params.code) {
+    throw new BadRequestError('Missing authorization code');
+  }
+
+  const issuer = providerInfo.issuer(ssoConfig);
+  const provider = await getOidcProvider(issuer);
+  const codeVerifier = dataEncryption.decrypt(session.codeVerifier, {
+    aad: { tenantId: session.tenantId, state: session.state },
+  });
+
+  let tokens;
+  try {
+    const { data } = await axios.post(provider.metadata.token_endpoint, new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: params.code,
+      redirect_uri: sso.acsUrl,
+      client_id: ssoConfig.clientId,
+      client_secret: ssoConfig.clientSecret,
+      code_verifier: codeVerifier,
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000,
+    });
+    tokens = data;
+  } catch (error) {
+    logger.warn('OIDC code exchange failed', { tenantId: session.tenantId, error: error.response?.data || error.message });
+    throw new UnauthorizedError('Authorization code could not be redeemed');
+  }
+
+  if (!tokens.id_token) {
+    throw new UnauthorizedError('Identity provider returned no ID token');
+  }
+
+  let claims;
+  try {
+    ({ payload: claims } = await jwtVerify(tokens.id_token, provider.jwks, {
+      issuer: provider.metadata.issuer,
+      audience: ssoConfig.clientId,
+      clockTolerance: config.sso.clockSkewSeconds,
+    }));
+  } catch (error) {
+    throw new UnauthorizedError(`ID token is invalid: ${error.message}`);
+  }
+
+  if (!claims.nonce || claims.nonce !== session.nonce) {
+    throw new UnauthorizedError('ID token nonce does not match this login request');
+  }
+  if (ssoConfig.hostedDomain && claims.hd !== ssoConfig.hostedDomain) {
+    throw new UnauthorizedError('Account does not belong to the configured hosted domain');
+  }
+  if (!claims.email || claims.email_verified === false) {
+    throw new UnauthorizedError('Identity provider did not return a verified email');
+  }
+
+  const [firstName, ...rest] = (claims.name || '').split(' ');
+
+  return {
+    subject: claims.sub,
+    email: claims.email,
+    firstName: claims.given_name || firstName,
+    lastName: claims.family_name || rest.join(' '),
+    groups: [].concat(claims.groups || claims.roles || []),
+  };
+}
+
+/**
+ * Discovery document and JWKS key set of an issuer, cached in process
+ * (jose refreshes the key set itself when it meets an unknown key ID)
+ */
+async function getOidcProvider(issuer) {
+  const cached = oidcProviders.get(issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached;
+  }
+
+  let metadata;
+  try {
+    ({ data: metadata } = await axios.get(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`, {
+      timeout: 10000,
+    }));
+  } catch (error) {
+    logger.error('OIDC discovery failed', { issuer, error: error.message });
+    throw new BadRequestError('Identity provider discovery failed');
+  }
+
+  if (metadata.issuer.replace(/\/$/, '') !== issuer.replace(/\/$/, '')) {
+    throw new BadRequestError('Identity provider discovery returned another issuer');
+  }
+
+  const provider = {
+    metadata,
+    jwks: createRemoteJWKSet(new URL(metadata.jwks_uri)),
+    expiresAt: Date.now() + config.sso.discoveryCacheSeconds * 1000,
+  };
+  oidcProviders.set(issuer, provider);
+
+  return provider;
+}
+
+// =============================================================================
+// USER PROVISIONING
+// =============================================================================
+
+/**
+ * Resolve the tenant role for a set of IdP groups: the first mapping entry
+ * naming one of the groups wins
+ * @param {string[]} groups - IdP group names
+ * @param {Object} roleMapping - { "<IdP group>": "<tenant role>" }
+ * @returns {string} Tenant role
+ */
+exports.resolveRole = (groups = [], roleMapping) => {
+  const names = groups.map((group) => group.toLowerCase());
+
+  for (const [group, role] of Object.entries(roleMapping || DEFAULT_ROLE_MAPPING)) {
+    if (names.includes(group.toLowerCase())) {
+      return role;
+    }
+  }
+
+  return DEFAULT_ROLE;
+};
+
+/**
+ * Whether an email address belongs to a domain the tenant has verified
+ * @param {string} tenantId - Tenant ID
+ * @param {string} email - Email address
+ * @returns {Promise<boolean>}
+ */
+exports.isVerifiedDomainEmail = async (tenantId, email) => {
+  const domain = email.split('@')[1]?.toLowerCase();
+  if (!domain) return false;
+
+  const verification = await prisma.domainVerification.findUnique({
+    where: { tenantId_domain: { tenantId, domain } },
+  });
+
+  return Boolean(verification?.verified);
+};
+
+/**
+ * Create a user who signs in through the tenant's IdP only (no usable password)
+ * @param {Object} data - { email, firstName, lastName }
+ * @returns {Promise<Object>} User
+ */
+exports.createExternalUser = async ({ email, firstName, lastName }) => {
+  const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+  return prisma.user.create({
+    data: {
+      email: email.toLowerCase(),
+      firstName: firstName || email.split('@')[0],
+      lastName: lastName || '',
+      passwordHash,
+      emailVerified: true,
+    },
+  });
+};
+
+/**
+ * Find or create the user behind a verified SSO identity and keep their
+ * tenant membership in line with the IdP's groups. An identity is linked to
+ * an existing account only when the tenant has verified the email's domain.
+ */
+async function provisionSsoUser(sso, identity) {
+  const { tenantId } = sso;
+
+  const linked = await prisma.ssoIdentity.findUnique({
+    where: { tenantId_subject: { tenantId, subject: identity.subject } },
+    include: { user: true },
+  });
+
+  let user = linked?.user;
+
+  if (!user) {
+    if (!(await exports.isVerifiedDomainEmail(tenantId, identity.email))) {
+      throw new ForbiddenError('Email domain is not verified for this tenant');
+    }
+
+    user = await prisma.user.findUnique({ where: { email: identity.email.toLowerCase() } });
+
+    if (!user) {
+      if (!sso.jitProvisioning) {
+        throw new ForbiddenError('User has not been provisioned for this tenant');
+      }
+      user = await exports.createExternalUser(identity);
+    }
+  }
+
+  if (!user.isActive || user.isBanned) {
+    throw new ForbiddenError('Account is deactivated');
+  }
+
+  await withinTenant(tenantId, async () => {
+    const membership = await prisma.tenantMember.findUnique({
+      where: { tenantId_userId: { tenantId, userId: user.id } },
+    });
+
+    if (membership && !membership.active) {
+      throw new ForbiddenError('Account is deactivated for this tenant');
+    }
+
+    if (!membership) {
+      if (!sso.jitProvisioning) {
+        throw new ForbiddenError('User has not been provisioned for this tenant');
+      }
+      await multiTenancyService.addTenantUser(
+        tenantId,
+        user.id,
+        exports.resolveRole(identity.groups, sso.roleMapping),
+        { source: 'sso' },
+      );
+    } else if (membership.source === 'sso' && identity.groups.length) {
+      await prisma.tenantMember.update({
+        where: { id: membership.id },
+        data: { role: exports.resolveRole(identity.groups, sso.roleMapping) },
+      });
+    }
+  });
+
+  await prisma.ssoIdentity.upsert({
+    where: { tenantId_subject: { tenantId, subject: identity.subject } },
+    update: { lastLoginAt: new Date() },
+    create: {
+      tenantId,
+      provider: sso.provider,
+      subject: identity.subject,
+      userId: user.id,
+      lastLoginAt: new Date(),
+    },
+  });
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { lastLoginAt: new Date() },
+  });
+
+  return user;
+}
+
 // =============================================================================
 // DOMAIN VERIFICATION
 // =============================================================================
@@ -408,30 +935,30 @@ exports.getSamlMetadata = async (tenantId) => {
 exports.verifyDomain = async (tenantId, domain) => {
   // Generate verification token
   const token = `airavat-domain-verify=${crypto.randomBytes(16).toString('hex')}`;
+  const normalized = domain.toLowerCase();
 
-  const verification = await prisma.domainVerification.upsert({
+  await prisma.domainVerification.upsert({
     where: {
-      tenantId_domain: { tenantId, domain },
+      tenantId_domain: { tenantId, domain: normalized },
     },
     update: {
       token,
       verified: false,
-      updatedAt: new Date(),
     },
     create: {
       tenantId,
-      domain,
+      domain: normalized,
       token,
       verified: false,
     },
   });
 
   return {
-    domain,
+    domain: normalized,
     verificationMethod: 'DNS_TXT',
     record: {
       type: 'TXT',
-      name: `_airavat.${domain}`,
+      name: `_airavat.${normalized}`,
       value: token,
     },
     instructions: 'Add this TXT record to your DNS and click verify',
@@ -447,16 +974,15 @@ exports.verifyDomain = async (tenantId, domain) => {
 exports.checkDomainVerification = async (tenantId, domain) => {
   const verification = await prisma.domainVerification.findUnique({
     where: {
-      tenantId_domain: { tenantId, domain },
+      tenantId_domain: { tenantId, domain: domain.toLowerCase() },
     },
   });
 
   if (!verification) {
-    throw new NotFoundError('Domain verification not found');
+    throw new NotFoundError('Domain verification');
   }
 
-  // In production, check DNS records
-  const dnsVerified = await checkDnsRecord(domain, verification.token);
+  const dnsVerified = await checkDnsRecord(verification.domain, verification.token);
 
   if (dnsVerified) {
     await prisma.domainVerification.update({
@@ -466,7 +992,7 @@ exports.checkDomainVerification = async (tenantId, domain) => {
   }
 
   return {
-    domain,
+    domain: verification.domain,
     verified: dnsVerified,
     verifiedAt: dnsVerified ? new Date() : null,
   };
@@ -489,91 +1015,189 @@ exports.getVerifiedDomains = async (tenantId) => {
 // HELPER FUNCTIONS
 // =============================================================================
 
-function generateStateToken() {
-  return crypto.randomBytes(32).toString('hex');
+function getProvider(provider) {
+  // Accepts the provider key (AZURE_AD) or its stored id (azure_ad)
+  const providerInfo = SSO_PROVIDERS[String(provider).toUpperCase()];
+
+  if (!providerInfo) {
+    throw new BadRequestError(`Unsupported SSO provider: ${provider}`);
+  }
+
+  return providerInfo;
 }
 
-function generateAcsUrl(tenantId) {
-  const baseUrl = config.app.url || 'https://api.airavat.com';
-  return `${baseUrl}/api/v1/sso/${tenantId}/callback`;
+async function getEnabledConfiguration(tenantId) {
+  const sso = await prisma.ssoConfiguration.findUnique({
+    where: { tenantId },
+  });
+
+  if (!sso || !sso.enabled) {
+    throw new BadRequestError('SSO not configured or disabled');
+  }
+
+  return sso;
 }
 
-function generateEntityId(tenantId) {
-  const baseUrl = config.app.url || 'https://api.airavat.com';
-  return `${baseUrl}/sso/${tenantId}`;
+/**
+ * Move a live session from initiated to pending; a state can be redeemed once
+ */
+async function claimSession(tenantId, state) {
+  const { count } = await prisma.ssoSession.updateMany({
+    where: {
+      tenantId,
+      state,
+      status: SSO_STATES.INITIATED,
+      expiresAt: { gte: new Date() },
+    },
+    data: { status: SSO_STATES.PENDING },
+  });
+
+  if (count === 0) {
+    throw new BadRequestError('Invalid or expired SSO session');
+  }
+
+  return prisma.ssoSession.findUnique({ where: { state } });
 }
 
-function generateMetadataUrl(tenantId) {
-  const baseUrl = config.app.url || 'https://api.airavat.com';
-  return `${baseUrl}/api/v1/sso/${tenantId}/metadata`;
+function formatConfiguration(sso) {
+  return {
+    id: sso.id,
+    provider: sso.providerName,
+    enabled: sso.enabled,
+    enforced: sso.enforced,
+    jitProvisioning: sso.jitProvisioning,
+    roleMapping: sso.roleMapping || DEFAULT_ROLE_MAPPING,
+    acsUrl: sso.acsUrl,
+    entityId: sso.entityId,
+    metadataUrl: sso.metadataUrl,
+  };
 }
 
-async function generateRedirectUrl(sso, state) {
-  const ssoConfig = decryptConfig(sso.config);
-
-  switch (sso.provider) {
-    case 'saml':
-      return `${ssoConfig.ssoUrl}?SAMLRequest=&RelayState=${state}`;
-    case 'azure_ad':
-      return `https://login.microsoftonline.com/${ssoConfig.tenantId}/oauth2/v2.0/authorize?client_id=${ssoConfig.clientId}&response_type=code&redirect_uri=${sso.acsUrl}&state=${state}&scope=openid%20email%20profile`;
-    case 'okta':
-      return `https://${ssoConfig.domain}/oauth2/v1/authorize?client_id=${ssoConfig.clientId}&response_type=code&redirect_uri=${sso.acsUrl}&state=${state}&scope=openid%20email%20profile`;
-    case 'google':
-      return `https://accounts.google.com/o/oauth2/v2/auth?client_id=${ssoConfig.clientId}&response_type=code&redirect_uri=${sso.acsUrl}&state=${state}&scope=openid%20email%20profile&hd=${ssoConfig.hostedDomain}`;
-    default:
-      throw new BadRequestError(`Unsupported provider: ${sso.provider}`);
+function parseXml(xml) {
+  // DTDs are never legitimate in SAML and enable entity expansion attacks
+  if (/<!DOCTYPE/i.test(xml)) {
+    throw new BadRequestError('SAML messages must not contain a DOCTYPE');
+  }
+
+  const errors = [];
+  const document = new DOMParser({
+    onError: (level, message) => {
+      if (level !== 'warning') errors.push(message);
+    },
+  }).parseFromString(xml, 'text/xml');
+
+  if (errors.length || !document.documentElement) {
+    throw new BadRequestError('Malformed SAML message');
   }
+
+  return document;
 }
 
-async function validateAssertion(sso, assertion) {
-  // In production, properly validate SAML assertions or OAuth tokens
-  // This is a simplified version
-  const { email, id, name, firstName, lastName, groups } = assertion;
+function firstElement(node, namespace, localName) {
+  return node.getElementsByTagNameNS(namespace, localName)[0] || null;
+}
 
-  if (!email) {
-    throw new BadRequestError('Email is required from identity provider');
+function childElement(node, namespace, localName) {
+  return Array.from(node.childNodes).find(
+    (child) => child.nodeType === 1 && child.namespaceURI === namespace && child.localName === localName,
+  ) || null;
+}
+
+function assertTimeWindow(notBefore, notOnOrAfter, now, skew) {
+  if (notBefore && now + skew < Date.parse(notBefore)) {
+    throw new UnauthorizedError('SAML assertion is not yet valid');
+  }
+  if (notOnOrAfter && now - skew >= Date.parse(notOnOrAfter)) {
+    throw new UnauthorizedError('SAML assertion has expired');
   }
+}
 
-  return {
-    email,
-    id: id || email,
-    name,
-    firstName,
-    lastName,
-    groups: groups || [],
-  };
+/**
+ * Accept a certificate as PEM or as the bare base64 found in IdP metadata
+ */
+function normalizeCertificate(certificate) {
+  if (certificate.includes('BEGIN CERTIFICATE')) {
+    return certificate.trim();
+  }
+
+  const body = certificate.replace(/\s+/g, '').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN CERTIFICATE-----\n${body}\n-----END CERTIFICATE-----`;
 }
 
-function determineUserRole(groups) {
-  // Map IdP groups to tenant roles
-  const groupMapping = {
-    admins: 'admin',
-    managers: 'manager',
-    users: 'member',
-  };
+function assertCertificateUsable(certificate) {
+  let x509;
+  try {
+    x509 = new crypto.X509Certificate(certificate);
+  } catch (error) {
+    throw new BadRequestError('IdP certificate is not a valid X.509 certificate');
+  }
 
-  for (const [group, role] of Object.entries(groupMapping)) {
-    if (groups.some((g) => g.toLowerCase().includes(group))) {
-      return role;
-    }
+  const now = Date.now();
+  if (now < Date.parse(x509.validFrom) || now > Date.parse(x509.validTo)) {
+    throw new UnauthorizedError('IdP certificate is expired or not yet valid');
   }
+}
 
-  return 'member';
+function isSafeReturnUrl(returnUrl) {
+  return typeof returnUrl === 'string' && returnUrl.startsWith('/') && !returnUrl.startsWith('//')
+    && !returnUrl.includes('\\');
 }
 
-function encryptConfig(ssoConfig) {
-  // In production, use proper encryption
-  return Buffer.from(JSON.stringify(ssoConfig)).toString('base64');
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
-function decryptConfig(encrypted) {
-  // In production, use proper decryption
-  return JSON.parse(Buffer.from(encrypted, 'base64').toString());
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateStateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function generateAcsUrl(tenantId) {
+  const baseUrl = config.app.url || 'https://api.airavat.com';
+  return `${baseUrl}/api/v1/sso/${tenantId}/callback`;
+}
+
+function generateEntityId(tenantId) {
+  const baseUrl = config.app.url || 'https://api.airavat.com';
+  return `${baseUrl}/sso/${tenantId}`;
+}
+
+function generateMetadataUrl(tenantId) {
+  const baseUrl = config.app.url || 'https://api.airavat.com';
+  return `${baseUrl}/api/v1/sso/${tenantId}/metadata`;
+}
+
+/**
+ * Provider secrets (client secrets, certificates) are stored AES-256-GCM
+ * encrypted, bound to the tenant so a row cannot be replayed onto another
+ */
+function encryptConfig(tenantId, ssoConfig) {
+  return dataEncryption.encrypt(JSON.stringify(ssoConfig), { aad: { tenantId } });
+}
+
+function decryptConfig(tenantId, encrypted) {
+  return JSON.parse(dataEncryption.decrypt(encrypted, { aad: { tenantId } }));
 }
 
 async function checkDnsRecord(domain, token) {
-  // In production, use DNS library to verify
-  return true;
+  try {
+    const records = await dns.resolveTxt(`_airavat.${domain}`);
+    return records.some((chunks) => chunks.join('') === token);
+  } catch (error) {
+    logger.debug('Domain verification lookup failed', { domain, error: error.message });
+    return false;
+  }
 }
 
 // =============================================================================
@@ -584,7 +1208,5 @@ module.exports = {
   ...exports,
   SSO_PROVIDERS,
   SSO_STATES,
+  DEFAULT_ROLE_MAPPING,
 };
-
-
-
@@ -0,0 +1,596 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - TAX WITHHOLDING SERVICE
+// GST TCS (Sec 52) and income-tax TDS (Sec 194-O) withheld from seller
+// settlements, statutory ledger, GSTR-8 / Form 26Q data and certificates
+// =============================================================================
+
+const dayjs = require('dayjs');
+const PDFDocument = require('pdfkit');
+const { prisma } = require('../config/database');
+const config = require('../config');
+const logger = require('../config/logger');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+const {
+  getFinancialYear,
+  roundTo,
+  formatCurrency,
+  formatDate,
+  maskPAN,
+} = require('../utils/helpers');
+const gstService = require('./gst.service');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const WITHHOLDING_TYPE = {
+  TCS: 'TCS',
+  TDS: 'TDS',
+};
+
+const SECTIONS = {
+  TCS: 'CGST_52',
+  TDS: '194O',
+};
+
+const DEDUCTION_STATUS = {
+  WITHHELD: 'WITHHELD',
+  SETTLED: 'SETTLED',
+  DEPOSITED: 'DEPOSITED',
+};
+
+const QUARTERS = ['Q1', 'Q2', 'Q3', 'Q4'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Financial-year quarter for a date (Q1 = Apr-Jun)
+ */
+const getFinancialQuarter = (date = new Date()) => QUARTERS[Math.floor(((dayjs(date).month() + 9) % 12) / 3)];
+
+/**
+ * Date range covered by a financial-year quarter ("2024-25", "Q2")
+ */
+const getQuarterRange = (financialYear, quarter) => {
+  const startYear = parseInt(financialYear.slice(0, 4));
+  const startMonth = 3 + QUARTERS.indexOf(quarter) * 3;
+  const start = dayjs(new Date(startYear, startMonth, 1));
+  return { startDate: start.toDate(), endDate: start.add(3, 'month').subtract(1, 'ms').toDate() };
+};
+
+const isValidPAN = (pan) => /^[A-Z]{5}[0-9]{4}[A-Z]$/.test(pan || '');
+
+/**
+ * Seller PAN: furnished PAN, or the PAN embedded in the GSTIN
+ */
+const getSellerPan = (seller) => {
+  if (isValidPAN(seller.pan)) return seller.pan;
+  if (seller.gstin && gstService.isValidGSTINFormat(seller.gstin)) return seller.gstin.substring(2, 12);
+  return null;
+};
+
+/**
+ * Whether the supply crosses state lines (TCS is then collected as IGST)
+ */
+const isInterStateOrder = (order) => {
+  const sellerCode = order.seller.gstin?.substring(0, 2) || gstService.getStateCode(order.seller.state);
+  const buyerCode = order.buyer?.gstin && gstService.isValidGSTINFormat(order.buyer.gstin)
+    ? order.buyer.gstin.substring(0, 2)
+    : gstService.getStateCode(order.shippingAddress?.state || order.buyer?.state);
+  return sellerCode !== buyerCode;
+};
+
+// =============================================================================
+// CALCULATION
+// =============================================================================
+
+/**
+ * Compute TCS and TDS for an order
+ * TCS applies to GST-registered sellers on the net taxable value; TDS applies
+ * to every seller on gross sales excluding GST, at a higher rate without PAN
+ */
+const calculateWithholding = (order) => {
+  const { tcsRate, tdsRate, tdsRateWithoutPan } = config.businessRules;
+  const baseAmount = roundTo(Math.max(parseFloat(order.subtotal) - parseFloat(order.discountAmount || 0), 0));
+
+  let tcs = null;
+  if (order.seller.gstin) {
+    const amount = roundTo((baseAmount * tcsRate) / 100);
+    const interState = isInterStateOrder(order);
+    const half = roundTo(amount / 2);
+    tcs = {
+      rate: tcsRate,
+      amount,
+      igstAmount: interState ? amount : 0,
+      cgstAmount: interState ? 0 : half,
+      sgstAmount: interState ? 0 : roundTo(amount - half),
+    };
+  }
+
+  const sellerPan = getSellerPan(order.seller);
+  const rate = sellerPan ? tdsRate : tdsRateWithoutPan;
+  const tds = {
+    rate,
+    amount: roundTo((baseAmount * rate) / 100),
+    panAvailable: Boolean(sellerPan),
+  };
+
+  return {
+    baseAmount,
+    tcs,
+    tds,
+    totalWithheld: roundTo((tcs ? tcs.amount : 0) + tds.amount),
+  };
+};
+
+/**
+ * Persist TCS/TDS for an order in the statutory ledger (idempotent per order)
+ */
+const recordWithholding = async (orderId, client = prisma) => {
+  const order = await client.order.findUnique({
+    where: { id: orderId },
+    include: {
+      seller: { select: { id: true, businessName: true, legalName: true, gstin: true, pan: true, state: true } },
+      buyer: { select: { gstin: true, state: true } },
+    },
+  });
+
+  if (!order) {
+    throw new NotFoundError('Order');
+  }
+
+  const withholding = calculateWithholding(order);
+  const now = new Date();
+  const common = {
+    orderId,
+    sellerId: order.sellerId,
+    sellerGstin: order.seller.gstin,
+    sellerPan: getSellerPan(order.seller),
+    sellerName: order.seller.legalName || order.seller.businessName,
+    baseAmount: withholding.baseAmount,
+    period: dayjs(now).format('YYYY-MM'),
+    financialYear: getFinancialYear(now),
+    quarter: getFinancialQuarter(now),
+    deductedAt: now,
+  };
+  const reference = `ORDER:${orderId}`;
+
+  const entries = [{ type: WITHHOLDING_TYPE.TDS, rate: withholding.tds.rate, amount: withholding.tds.amount }];
+  if (withholding.tcs) {
+    entries.push({ type: WITHHOLDING_TYPE.TCS, ...withholding.tcs });
+  }
+
+  await Promise.all(entries.map(({ type, ...amounts }) => client.statutoryDeduction.upsert({
+    where: { type_reference: { type, reference } },
+    create: { type, section: SECTIONS[type], reference, ...common, ...amounts },
+    update: {},
+  })));
+
+  logger.info('Statutory withholding recorded', {
+    orderId,
+    tcs: withholding.tcs?.amount || 0,
+    tds: withholding.tds.amount,
+  });
+
+  return withholding;
+};
+
+/**
+ * Reverse TCS for a credit note, since TCS is due on the net value of supplies
+ */
+const reverseTCSForCreditNote = async (creditNote) => {
+  if (creditNote.noteType !== 'CREDIT') return null;
+
+  const original = await prisma.statutoryDeduction.findUnique({
+    where: { type_reference: { type: WITHHOLDING_TYPE.TCS, reference: `ORDER:${creditNote.orderId}` } },
+  });
+  if (!original) return null;
+
+  const rate = parseFloat(original.rate);
+  const amount = roundTo((parseFloat(creditNote.taxableValue) * rate) / 100);
+  const interState = parseFloat(original.igstAmount) > 0;
+  const half = roundTo(amount / 2);
+  const now = new Date();
+
+  return prisma.statutoryDeduction.upsert({
+    where: { type_reference: { type: WITHHOLDING_TYPE.TCS, reference: `CN:${creditNote.id}` } },
+    create: {
+      type: WITHHOLDING_TYPE.TCS,
+      section: SECTIONS.TCS,
+      reference: `CN:${creditNote.id}`,
+      orderId: creditNote.orderId,
+      creditNoteId: creditNote.id,
+      sellerId: original.sellerId,
+      sellerGstin: original.sellerGstin,
+      sellerPan: original.sellerPan,
+      sellerName: original.sellerName,
+      baseAmount: -parseFloat(creditNote.taxableValue),
+      rate,
+      amount: -amount,
+      igstAmount: interState ? -amount : 0,
+      cgstAmount: interState ? 0 : -half,
+      sgstAmount: interState ? 0 : -roundTo(amount - half),
+      period: dayjs(now).format('YYYY-MM'),
+      financialYear: getFinancialYear(now),
+      quarter: getFinancialQuarter(now),
+      deductedAt: now,
+    },
+    update: {},
+  });
+};
+
+/**
+ * Undo a credit note's TCS reversal when the note is cancelled. A reversal
+ * still withheld is voided; one already settled or deposited belongs to a
+ * filed period, so it is offset by a fresh entry in the current one.
+ */
+const cancelTCSReversal = async (creditNoteId, client = prisma) => {
+  const reversal = await client.statutoryDeduction.findUnique({
+    where: { type_reference: { type: WITHHOLDING_TYPE.TCS, reference: `CN:${creditNoteId}` } },
+  });
+  if (!reversal) return null;
+
+  if (reversal.status === DEDUCTION_STATUS.WITHHELD) {
+    await client.statutoryDeduction.delete({ where: { id: reversal.id } });
+    logger.info('Credit note TCS reversal voided', { creditNoteId, deductionId: reversal.id });
+    return null;
+  }
+
+  const now = new Date();
+  const reference = `CN-CANCEL:${creditNoteId}`;
+  const offset = await client.statutoryDeduction.upsert({
+    where: { type_reference: { type: WITHHOLDING_TYPE.TCS, reference } },
+    create: {
+      type: WITHHOLDING_TYPE.TCS,
+      section: SECTIONS.TCS,
+      reference,
+      orderId: reversal.orderId,
+      creditNoteId,
+      sellerId: reversal.sellerId,
+      sellerGstin: reversal.sellerGstin,
+      sellerPan: reversal.sellerPan,
+      sellerName: reversal.sellerName,
+      baseAmount: -parseFloat(reversal.baseAmount),
+      rate: reversal.rate,
+      amount: -parseFloat(reversal.amount),
+      igstAmount: -parseFloat(reversal.igstAmount),
+      cgstAmount: -parseFloat(reversal.cgstAmount),
+      sgstAmount: -parseFloat(reversal.sgstAmount),
+      period: dayjs(now).format('YYYY-MM'),
+      financialYear: getFinancialYear(now),
+      quarter: getFinancialQuarter(now),
+      deductedAt: now,
+    },
+    update: {},
+  });
+
+  logger.info('Credit note TCS reversal offset', { creditNoteId, deductionId: offset.id });
+  return offset;
+};
+
+// =============================================================================
+// SETTLEMENT & DEPOSIT
+// =============================================================================
+
+/**
+ * Mark deductions on paid-out orders as settled
+ */
+const markSettled = (payoutRequestId, orderIds, client = prisma) => {
+  return client.statutoryDeduction.updateMany({
+    where: {
+      orderId: { in: orderIds },
+      status: DEDUCTION_STATUS.WITHHELD,
+    },
+    data: {
+      status: DEDUCTION_STATUS.SETTLED,
+      payoutRequestId,
+      settledAt: new Date(),
+    },
+  });
+};
+
+/**
+ * Record a government deposit (challan) for a type and period
+ * TCS is deposited monthly (period 2024-07); TDS by challan for the same month
+ */
+const recordDeposit = async (type, period, challanNumber) => {
+  const result = await prisma.statutoryDeduction.updateMany({
+    where: {
+      type,
+      period,
+      status: { in: [DEDUCTION_STATUS.WITHHELD, DEDUCTION_STATUS.SETTLED] },
+    },
+    data: {
+      status: DEDUCTION_STATUS.DEPOSITED,
+      challanNumber,
+      depositedAt: new Date(),
+    },
+  });
+
+  logger.logAudit('STATUTORY_DEPOSIT_RECORDED', null, { type, period, challanNumber, entries: result.count });
+
+  return { type, period, challanNumber, entries: result.count };
+};
+
+// =============================================================================
+// LEDGER & RETURNS
+// =============================================================================
+
+/**
+ * Statutory ledger for a seller
+ */
+const getSellerLedger = async (sellerId, filters = {}, pagination = {}) => {
+  const { page = 1, limit = 20 } = pagination;
+  const skip = (page - 1) * limit;
+
+  const where = { sellerId };
+  if (filters.type) where.type = filters.type;
+  if (filters.financialYear) where.financialYear = filters.financialYear;
+  if (filters.quarter) where.quarter = filters.quarter;
+  if (filters.period) where.period = filters.period;
+
+  const [entries, total, totals] = await Promise.all([
+    prisma.statutoryDeduction.findMany({
+      where,
+      skip,
+      take: limit,
+      orderBy: { deductedAt: 'desc' },
+      include: { order: { select: { orderNumber: true } } },
+    }),
+    prisma.statutoryDeduction.count({ where }),
+    prisma.statutoryDeduction.groupBy({
+      by: ['type'],
+      where,
+      _sum: { baseAmount: true, amount: true },
+    }),
+  ]);
+
+  return {
+    entries,
+    totals: totals.map((row) => ({
+      type: row.type,
+      baseAmount: parseFloat(row._sum.baseAmount || 0),
+      amount: parseFloat(row._sum.amount || 0),
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * GSTR-8 data: TCS per supplier GSTIN for a month
+ */
+const generateGSTR8 = async (month, year) => {
+  const period = `${year}-${String(month).padStart(2, '0')}`;
+
+  const entries = await prisma.statutoryDeduction.findMany({
+    where: { type: WITHHOLDING_TYPE.TCS, period },
+  });
+
+  const bySupplier = new Map();
+  entries.forEach((entry) => {
+    if (!bySupplier.has(entry.sellerGstin)) {
+      bySupplier.set(entry.sellerGstin, {
+        stin: entry.sellerGstin,
+        grsval: 0,
+        retval: 0,
+        netval: 0,
+        iamt: 0,
+        camt: 0,
+        samt: 0,
+      });
+    }
+    const row = bySupplier.get(entry.sellerGstin);
+    const base = parseFloat(entry.baseAmount);
+    if (base >= 0) row.grsval += base; else row.retval += -base;
+    row.netval += base;
+    row.iamt += parseFloat(entry.igstAmount);
+    row.camt += parseFloat(entry.cgstAmount);
+    row.samt += parseFloat(entry.sgstAmount);
+  });
+
+  const tcs = [...bySupplier.values()].map((row) => ({
+    ...row,
+    grsval: roundTo(row.grsval),
+    retval: roundTo(row.retval),
+    netval: roundTo(row.netval),
+    iamt: roundTo(row.iamt),
+    camt: roundTo(row.camt),
+    samt: roundTo(row.samt),
+  }));
+
+  return {
+    gstin: config.gst.operatorGstin,
+    fp: `${String(month).padStart(2, '0')}${year}`,
+    tcs,
+    summary: {
+      suppliers: tcs.length,
+      netValue: roundTo(tcs.reduce((sum, row) => sum + row.netval, 0)),
+      totalTcs: roundTo(tcs.reduce((sum, row) => sum + row.iamt + row.camt + row.samt, 0)),
+    },
+  };
+};
+
+/**
+ * Form 26Q data: 194-O deductee records for a quarter
+ */
+const generateForm26Q = async (financialYear, quarter) => {
+  if (!QUARTERS.includes(quarter)) {
+    throw new BadRequestError('Quarter must be one of Q1, Q2, Q3, Q4');
+  }
+
+  const entries = await prisma.statutoryDeduction.findMany({
+    where: { type: WITHHOLDING_TYPE.TDS, financialYear, quarter },
+    orderBy: { deductedAt: 'asc' },
+  });
+
+  const deductees = entries.map((entry, index) => ({
+    serialNumber: index + 1,
+    section: SECTIONS.TDS,
+    deducteePan: entry.sellerPan || 'PANNOTAVBL',
+    deducteeName: entry.sellerName,
+    amountPaidOrCredited: parseFloat(entry.baseAmount),
+    dateOfPaymentOrCredit: dayjs(entry.deductedAt).format('DD/MM/YYYY'),
+    rate: parseFloat(entry.rate),
+    tdsDeducted: parseFloat(entry.amount),
+    dateOfDeduction: dayjs(entry.deductedAt).format('DD/MM/YYYY'),
+    challanNumber: entry.challanNumber,
+    remark: entry.sellerPan ? null : 'C', // Higher rate: PAN not furnished
+  }));
+
+  const missingChallan = deductees.filter((row) => !row.challanNumber).length;
+
+  return {
+    deductor: {
+      tan: config.incomeTax.tan,
+      pan: config.incomeTax.pan,
+      name: config.incomeTax.deductorName,
+    },
+    financialYear,
+    quarter,
+    deductees,
+    summary: {
+      deductees: new Set(deductees.map((row) => row.deducteePan)).size,
+      totalAmountPaid: roundTo(deductees.reduce((sum, row) => sum + row.amountPaidOrCredited, 0)),
+      totalTds: roundTo(deductees.reduce((sum, row) => sum + row.tdsDeducted, 0)),
+      missingChallan,
+    },
+  };
+};
+
+// =============================================================================
+// CERTIFICATES
+// =============================================================================
+
+/**
+ * Render a seller's TCS or TDS certificate for a financial-year quarter
+ */
+const generateCertificate = async (sellerId, type, financialYear, quarter) => {
+  if (!Object.values(WITHHOLDING_TYPE).includes(type)) {
+    throw new BadRequestError('Certificate type must be TCS or TDS');
+  }
+  if (!QUARTERS.includes(quarter)) {
+    throw new BadRequestError('Quarter must be one of Q1, Q2, Q3, Q4');
+  }
+
+  const entries = await prisma.statutoryDeduction.findMany({
+    where: { sellerId, type, financialYear, quarter },
+    orderBy: { deductedAt: 'asc' },
+    include: { order: { select: { orderNumber: true } } },
+  });
+
+  if (entries.length === 0) {
+    throw new NotFoundError(`${type} deductions for ${financialYear} ${quarter}`);
+  }
+
+  const { startDate, endDate } = getQuarterRange(financialYear, quarter);
+  const seller = entries[0];
+  const totalBase = roundTo(entries.reduce((sum, entry) => sum + parseFloat(entry.baseAmount), 0));
+  const totalAmount = roundTo(entries.reduce((sum, entry) => sum + parseFloat(entry.amount), 0));
+
+  const doc = new PDFDocument({ margin: 50, size: 'A4' });
+  const buffers = [];
+  doc.on('data', buffers.push.bind(buffers));
+
+  // Header
+  const title = type === WITHHOLDING_TYPE.TDS
+    ? 'Certificate of Tax Deducted at Source (Section 194-O)'
+    : 'Statement of Tax Collected at Source (Section 52, CGST Act)';
+  doc.fontSize(14).text(title, { align: 'center' });
+  doc.fontSize(10).text(`Period: ${formatDate(startDate)} - ${formatDate(endDate)} (FY ${financialYear}, ${quarter})`, {
+    align: 'center',
+  });
+  doc.moveDown(2);
+
+  // Parties
+  doc.font('Helvetica-Bold').text(type === WITHHOLDING_TYPE.TDS ? 'Deductor' : 'Collector');
+  doc.font('Helvetica').text(config.incomeTax.deductorName);
+  if (type === WITHHOLDING_TYPE.TDS) {
+    doc.text(`TAN: ${config.incomeTax.tan || 'N/A'}`);
+  } else {
+    doc.text(`GSTIN: ${config.gst.operatorGstin || 'N/A'}`);
+  }
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').text(type === WITHHOLDING_TYPE.TDS ? 'Deductee' : 'Supplier');
+  doc.font('Helvetica').text(seller.sellerName);
+  if (type === WITHHOLDING_TYPE.TDS) {
+    doc.text(`PAN: ${seller.sellerPan ? maskPAN(seller.sellerPan) : 'Not furnished'}`);
+  } else {
+    doc.text(`GSTIN: ${seller.sellerGstin}`);
+  }
+  doc.moveDown();
+
+  // Entries table
+  const tableTop = doc.y + 10;
+  doc.fontSize(9).font('Helvetica-Bold');
+  doc.text('Date', 50, tableTop);
+  doc.text('Order', 120, tableTop);
+  doc.text('Amount', 260, tableTop);
+  doc.text('Rate', 350, tableTop);
+  doc.text(type, 400, tableTop);
+  doc.text('Challan', 470, tableTop);
+  doc.moveTo(50, tableTop + 15).lineTo(550, tableTop + 15).stroke();
+
+  doc.font('Helvetica').fontSize(8);
+  let y = tableTop + 25;
+
+  for (const entry of entries) {
+    if (y > 700) {
+      doc.addPage();
+      y = 50;
+    }
+
+    doc.text(formatDate(entry.deductedAt), 50, y);
+    doc.text(entry.order?.orderNumber || entry.reference, 120, y);
+    doc.text(formatCurrency(entry.baseAmount), 260, y);
+    doc.text(`${parseFloat(entry.rate)}%`, 350, y);
+    doc.text(formatCurrency(entry.amount), 400, y);
+    doc.text(entry.challanNumber || 'Pending', 470, y);
+    y += 18;
+  }
+
+  // Totals
+  doc.moveTo(50, y).lineTo(550, y).stroke();
+  doc.font('Helvetica-Bold').fontSize(9);
+  doc.text(`Total amount: ${formatCurrency(totalBase)}`, 260, y + 10);
+  doc.text(`Total ${type}: ${formatCurrency(totalAmount)}`, 260, y + 25);
+
+  doc.font('Helvetica').fontSize(8).text(
+    'This is a computer generated statement. Credit can be verified on the GST / TRACES portal once filed.',
+    50,
+    750,
+    { align: 'center' },
+  );
+
+  doc.end();
+
+  return new Promise((resolve) => {
+    doc.on('end', () => {
+      resolve(Buffer.concat(buffers));
+    });
+  });
+};
+
+module.exports = {
+  WITHHOLDING_TYPE,
+  SECTIONS,
+  DEDUCTION_STATUS,
+  getFinancialQuarter,
+  calculateWithholding,
+  recordWithholding,
+  reverseTCSForCreditNote,
+  cancelTCSReversal,
+  markSettled,
+  recordDeposit,
+  getSellerLedger,
+  generateGSTR8,
+  generateForm26Q,
+  generateCertificate,
+};
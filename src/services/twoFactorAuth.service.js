@@ -18,7 +18,7 @@ const { generateId } = require('../utils/helpers');
 // =============================================================================
 
 const TFA_METHOD = { SMS: 'SMS', EMAIL: 'EMAIL', AUTHENTICATOR: 'AUTHENTICATOR' };
-const OTP_PURPOSE = { LOGIN: 'LOGIN', TRANSACTION: 'TRANSACTION', CHANGE_PASSWORD: 'CHANGE_PASSWORD', ENABLE_2FA: 'ENABLE_2FA', RESET_2FA: 'RESET_2FA' };
+const OTP_PURPOSE = { LOGIN: 'LOGIN', TRANSACTION: 'TRANSACTION', CHANGE_PASSWORD: 'CHANGE_PASSWORD', ENABLE_2FA: 'ENABLE_2FA', RESET_2FA: 'RESET_2FA', CONTRACT_SIGNATURE: 'CONTRACT_SIGNATURE' };
 const OTP_EXPIRY_MINUTES = 5;
 const MAX_OTP_ATTEMPTS = 5;
 const BACKUP_CODE_COUNT = 10;
@@ -78,12 +78,13 @@ const verifyOTP = async (userId, otp, purpose) => {
     throw new BadRequestError(`Invalid OTP. ${remainingAttempts} attempts remaining.`);
   }
 
-  await prisma.otpCode.update({ where: { id: otpRecord.id }, data: { verified: true, verifiedAt: new Date() } });
+  const verifiedAt = new Date();
+  await prisma.otpCode.update({ where: { id: otpRecord.id }, data: { verified: true, verifiedAt } });
 
   const verificationToken = generateVerificationToken(userId, purpose);
   logger.info('OTP verified', { userId, purpose });
 
-  return { verified: true, verificationToken, expiresIn: 300 };
+  return { verified: true, verificationToken, expiresIn: 300, method: otpRecord.method, verifiedAt };
 };
 
 const generateNumericOTP = (length) => {
@@ -1,6 +1,7 @@
 // =============================================================================
 // AIRAVAT B2B MARKETPLACE - WALLET SERVICE
-// Business Wallet with Redis caching and real-time updates
+// Business Wallet with Redis caching and real-time updates. Balances are
+// derived from the general ledger; wallet.balance is a projection of it.
 // =============================================================================
 
 const { prisma } = require('../config/database');
@@ -14,6 +15,7 @@ const {
 } = require('../utils/errors');
 const { generateId, formatCurrency } = require('../utils/helpers');
 const { emitToBusiness } = require('./socket.service');
+const ledgerService = require('./ledger.service');
 
 // =============================================================================
 // CONSTANTS
@@ -68,6 +70,51 @@ const invalidateWalletCache = async (businessId) => {
   await cache.del(getWalletCacheKey(businessId));
 };
 
+const { ACCOUNTS } = ledgerService;
+const walletAccount = (businessId) => ledgerService.subAccount(ACCOUNTS.CUSTOMER_WALLET, businessId);
+const holdAccount = (businessId) => ledgerService.subAccount(ACCOUNTS.WALLET_WITHDRAWAL_PENDING, businessId);
+
+/**
+ * Ledger-derived balances: available funds plus amounts held for withdrawal
+ */
+const getLedgerBalances = async (businessId, client) => {
+  const balances = await ledgerService.getBalances([walletAccount(businessId), holdAccount(businessId)], client);
+  const available = balances[walletAccount(businessId)];
+  const hold = balances[holdAccount(businessId)];
+
+  return { balance: available + hold, holdBalance: hold, availableBalance: available };
+};
+
+/**
+ * Bring a wallet that predates the ledger into it before its first posting.
+ * The row lock serializes first postings; the carried-over balance comes from
+ * the projection as it stood, and the ledger is the record from then on.
+ */
+const openWalletLedger = async (walletId, tx) => {
+  await tx.$queryRaw`SELECT id FROM "Wallet" WHERE id = ${walletId} FOR UPDATE`;
+  const wallet = await tx.wallet.findUnique({ where: { id: walletId } });
+  const hold = parseFloat(wallet.holdBalance || 0);
+
+  return ledgerService.openBalances({
+    reference: `OPENING:WALLET:${wallet.id}`,
+    description: 'Wallet opening balance',
+    sourceId: wallet.id,
+    balances: {
+      [walletAccount(wallet.businessId)]: parseFloat(wallet.balance || 0) - hold,
+      [holdAccount(wallet.businessId)]: hold,
+    },
+  }, tx);
+};
+
+/**
+ * Refresh the wallet's balance projection inside the posting transaction
+ */
+const syncWalletBalance = async (walletId, businessId, tx) => {
+  const { balance, holdBalance } = await getLedgerBalances(businessId, tx);
+
+  return tx.wallet.update({ where: { id: walletId }, data: { balance, holdBalance } });
+};
+
 // =============================================================================
 // WALLET MANAGEMENT
 // =============================================================================
@@ -97,21 +144,22 @@ const getWalletDetails = async (businessId) => {
     throw new ForbiddenError(`Wallet is ${wallet.status.toLowerCase()}`);
   }
 
-  const [recentTransactions, stats] = await Promise.all([
+  const [recentTransactions, stats, { balance, holdBalance, availableBalance }] = await Promise.all([
     prisma.walletTransaction.findMany({
       where: { walletId: wallet.id },
       orderBy: { createdAt: 'desc' },
       take: 10,
     }),
     getWalletStats(wallet.id),
+    getLedgerBalances(businessId),
   ]);
 
-  const availableBalance = parseFloat(wallet.balance) - parseFloat(wallet.holdBalance);
-
   return {
     ...wallet,
+    balance,
+    holdBalance,
     availableBalance,
-    formattedBalance: formatCurrency(wallet.balance),
+    formattedBalance: formatCurrency(balance),
     formattedAvailable: formatCurrency(availableBalance),
     recentTransactions,
     stats,
@@ -189,20 +237,36 @@ const completeDeposit = async (transactionId, paymentDetails) => {
     throw new BadRequestError('Transaction already processed');
   }
 
-  const [updatedTransaction, updatedWallet] = await prisma.$transaction([
-    prisma.walletTransaction.update({
+  const businessId = transaction.wallet.businessId;
+
+  const updatedWallet = await prisma.$transaction(async (tx) => {
+    await openWalletLedger(transaction.walletId, tx);
+
+    const { journal } = await ledgerService.postJournal({
+      reference: `WALLET_DEPOSIT:${transactionId}`,
+      description: 'Wallet deposit',
+      sourceType: 'WALLET',
+      sourceId: transaction.id,
+      lines: [
+        { accountCode: ACCOUNTS.GATEWAY_CLEARING, debit: transaction.amount },
+        { accountCode: walletAccount(businessId), credit: transaction.amount },
+      ],
+    }, tx);
+
+    await tx.walletTransaction.update({
       where: { id: transaction.id },
-      data: { status: TRANSACTION_STATUS.COMPLETED, metadata: { ...transaction.metadata, paymentDetails } },
-    }),
-    prisma.wallet.update({
-      where: { id: transaction.walletId },
-      data: { balance: { increment: transaction.amount } },
-    }),
-  ]);
+      data: {
+        status: TRANSACTION_STATUS.COMPLETED,
+        metadata: { ...transaction.metadata, paymentDetails, journalId: journal.id },
+      },
+    });
+
+    return syncWalletBalance(transaction.walletId, businessId, tx);
+  });
 
-  await invalidateWalletCache(transaction.wallet.businessId);
+  await invalidateWalletCache(businessId);
 
-  emitToBusiness(transaction.wallet.businessId, 'wallet:updated', {
+  emitToBusiness(businessId, 'wallet:updated', {
     type: 'deposit', amount: transaction.amount, newBalance: updatedWallet.balance,
   });
 
@@ -225,15 +289,24 @@ const requestWithdrawal = async (businessId, amount, bankDetails) => {
     throw new ForbiddenError(`Cannot withdraw from ${wallet.status.toLowerCase()} wallet`);
   }
 
-  const availableBalance = parseFloat(wallet.balance) - parseFloat(wallet.holdBalance);
-  if (amount > availableBalance) {
-    throw new BadRequestError(`Insufficient balance. Available: ${formatCurrency(availableBalance)}`);
-  }
-
   const transactionId = generateTransactionId('WTH');
 
-  const [transaction] = await prisma.$transaction([
-    prisma.walletTransaction.create({
+  // The ledger rejects the hold if it would take the wallet below zero
+  const transaction = await prisma.$transaction(async (tx) => {
+    await openWalletLedger(wallet.id, tx);
+
+    const { journal } = await ledgerService.postJournal({
+      reference: `WALLET_WITHDRAWAL:${transactionId}`,
+      description: 'Wallet withdrawal requested',
+      sourceType: 'WALLET',
+      sourceId: transactionId,
+      lines: [
+        { accountCode: walletAccount(businessId), debit: amount },
+        { accountCode: holdAccount(businessId), credit: amount },
+      ],
+    }, tx);
+
+    const created = await tx.walletTransaction.create({
       data: {
         walletId: wallet.id,
         transactionId,
@@ -242,11 +315,16 @@ const requestWithdrawal = async (businessId, amount, bankDetails) => {
         description: 'Withdrawal to bank account',
         category: TRANSACTION_CATEGORY.WITHDRAWAL,
         status: TRANSACTION_STATUS.PENDING,
-        metadata: { bankDetails: { accountNumber: bankDetails.accountNumber?.slice(-4), ifsc: bankDetails.ifsc } },
+        metadata: {
+          bankDetails: { accountNumber: bankDetails.accountNumber?.slice(-4), ifsc: bankDetails.ifsc },
+          journalId: journal.id,
+        },
       },
-    }),
-    prisma.wallet.update({ where: { id: wallet.id }, data: { holdBalance: { increment: amount } } }),
-  ]);
+    });
+
+    await syncWalletBalance(wallet.id, businessId, tx);
+    return created;
+  });
 
   await invalidateWalletCache(businessId);
   emitToBusiness(businessId, 'wallet:withdrawal_requested', { transactionId, amount });
@@ -263,23 +341,35 @@ const payFromWallet = async (businessId, orderId, amount) => {
   const wallet = await getOrCreateWallet(businessId);
   if (wallet.status !== WALLET_STATUS.ACTIVE) throw new ForbiddenError('Wallet is not active');
 
-  const availableBalance = parseFloat(wallet.balance) - parseFloat(wallet.holdBalance);
-  if (amount > availableBalance) {
-    throw new BadRequestError(`Insufficient wallet balance. Available: ${formatCurrency(availableBalance)}`);
-  }
-
   const transactionId = generateTransactionId('PAY');
 
-  await prisma.$transaction([
-    prisma.walletTransaction.create({
+  // Balance check and debit happen under the ledger's account lock, so
+  // concurrent payments cannot overdraw the wallet
+  await prisma.$transaction(async (tx) => {
+    await openWalletLedger(wallet.id, tx);
+
+    const { journal } = await ledgerService.postJournal({
+      reference: `WALLET_PAY:${transactionId}`,
+      description: 'Wallet payment for order',
+      sourceType: 'WALLET',
+      sourceId: orderId,
+      lines: [
+        { accountCode: walletAccount(businessId), debit: amount },
+        { accountCode: ACCOUNTS.ORDERS_CLEARING, credit: amount },
+      ],
+    }, tx);
+
+    await tx.walletTransaction.create({
       data: {
         walletId: wallet.id, transactionId, type: TRANSACTION_TYPE.DEBIT, amount: -amount,
         description: 'Payment for order', category: TRANSACTION_CATEGORY.PAYMENT,
         status: TRANSACTION_STATUS.COMPLETED, referenceType: 'order', referenceId: orderId,
+        metadata: { journalId: journal.id },
       },
-    }),
-    prisma.wallet.update({ where: { id: wallet.id }, data: { balance: { decrement: amount } } }),
-  ]);
+    });
+
+    await syncWalletBalance(wallet.id, businessId, tx);
+  });
 
   await invalidateWalletCache(businessId);
   logger.info('Wallet payment completed', { transactionId, orderId, amount });
@@ -290,16 +380,31 @@ const refundToWallet = async (businessId, orderId, amount, reason) => {
   const wallet = await getOrCreateWallet(businessId);
   const transactionId = generateTransactionId('REF');
 
-  await prisma.$transaction([
-    prisma.walletTransaction.create({
+  await prisma.$transaction(async (tx) => {
+    await openWalletLedger(wallet.id, tx);
+
+    const { journal } = await ledgerService.postJournal({
+      reference: `WALLET_REFUND:${transactionId}`,
+      description: `Wallet refund: ${reason}`,
+      sourceType: 'WALLET',
+      sourceId: orderId,
+      lines: [
+        { accountCode: ACCOUNTS.ORDERS_CLEARING, debit: amount },
+        { accountCode: walletAccount(businessId), credit: amount },
+      ],
+    }, tx);
+
+    await tx.walletTransaction.create({
       data: {
         walletId: wallet.id, transactionId, type: TRANSACTION_TYPE.CREDIT, amount,
         description: `Refund: ${reason}`, category: TRANSACTION_CATEGORY.REFUND,
         status: TRANSACTION_STATUS.COMPLETED, referenceType: 'order', referenceId: orderId,
+        metadata: { journalId: journal.id },
       },
-    }),
-    prisma.wallet.update({ where: { id: wallet.id }, data: { balance: { increment: amount } } }),
-  ]);
+    });
+
+    await syncWalletBalance(wallet.id, businessId, tx);
+  });
 
   await invalidateWalletCache(businessId);
   emitToBusiness(businessId, 'wallet:refund', { transactionId, amount, orderId });
@@ -338,7 +443,7 @@ const getTransactions = async (businessId, options = {}) => {
 
 module.exports = {
   WALLET_STATUS, TRANSACTION_STATUS, TRANSACTION_TYPE, TRANSACTION_CATEGORY,
-  getOrCreateWallet, getWalletDetails, getWalletStats,
+  getOrCreateWallet, getWalletDetails, getWalletStats, openWalletLedger,
   initiateDeposit, completeDeposit, requestWithdrawal,
   payFromWallet, refundToWallet, getTransactions,
 };
@@ -6,16 +6,34 @@
 const { prisma } = require('../config/database');
 const { cache, inventory } = require('../config/redis');
 const logger = require('../config/logger');
-const { NotFoundError, BadRequestError, ForbiddenError } = require('../utils/errors');
-const { generateId } = require('../utils/helpers');
+const { NotFoundError, BadRequestError, ForbiddenError, ConflictError } = require('../utils/errors');
+const { generateId, roundTo } = require('../utils/helpers');
 const { emitToBusiness } = require('./socket.service');
+const inventoryLotService = require('./inventoryLot.service');
+const eWayBillService = require('./eWayBill.service');
 
 // =============================================================================
 // CONSTANTS
 // =============================================================================
 
 const WAREHOUSE_STATUS = { ACTIVE: 'ACTIVE', INACTIVE: 'INACTIVE', MAINTENANCE: 'MAINTENANCE' };
-const TRANSFER_STATUS = { PENDING: 'PENDING', APPROVED: 'APPROVED', IN_TRANSIT: 'IN_TRANSIT', COMPLETED: 'COMPLETED', CANCELLED: 'CANCELLED' };
+const TRANSFER_STATUS = {
+  PENDING: 'PENDING',
+  APPROVED: 'APPROVED',
+  IN_TRANSIT: 'IN_TRANSIT',
+  PARTIALLY_RECEIVED: 'PARTIALLY_RECEIVED',
+  COMPLETED: 'COMPLETED',
+  CANCELLED: 'CANCELLED',
+};
+// InventoryLog reason codes for transfer movements
+const TRANSFER_REASON = {
+  OUT: 'TRANSFER_OUT',
+  IN: 'TRANSFER_IN',
+  SHORT: 'TRANSFER_SHORT',
+  EXCESS: 'TRANSFER_EXCESS',
+  DAMAGED: 'TRANSFER_DAMAGED',
+};
+const RECEIVABLE_STATUSES = [TRANSFER_STATUS.IN_TRANSIT, TRANSFER_STATUS.PARTIALLY_RECEIVED];
 const CACHE_TTL = { WAREHOUSE: 300, INVENTORY: 60 };
 
 // =============================================================================
@@ -36,7 +54,7 @@ const createWarehouse = async (businessId, warehouseData) => {
       country: warehouseData.country || 'India', phone: warehouseData.phone, email: warehouseData.email,
       managerName: warehouseData.managerName, managerPhone: warehouseData.managerPhone,
       capacity: warehouseData.capacity, operatingHours: warehouseData.operatingHours,
-      isDefault: warehouseData.isDefault || false, status: WAREHOUSE_STATUS.ACTIVE,
+      isDefault: warehouseData.isDefault || false, status: WAREHOUSE_STATUS.ACTIVE, gstin: warehouseData.gstin,
       geoLocation: warehouseData.geoLocation, serviceablePincodes: warehouseData.serviceablePincodes || [],
     },
   });
@@ -88,9 +106,9 @@ const getWarehouse = async (warehouseId, businessId) => {
   const warehouse = await prisma.warehouse.findFirst({ where: { id: warehouseId, businessId } });
   if (!warehouse) throw new NotFoundError('Warehouse');
 
-  const inventorySummary = await prisma.warehouseInventory.aggregate({ where: { warehouseId }, _sum: { quantity: true, reservedQuantity: true }, _count: true });
+  const inventorySummary = await prisma.warehouseInventory.aggregate({ where: { warehouseId }, _sum: { quantity: true, reservedQuantity: true, inTransitQuantity: true }, _count: true });
 
-  const result = { ...warehouse, inventory: { totalProducts: inventorySummary._count, totalQuantity: inventorySummary._sum.quantity || 0, reservedQuantity: inventorySummary._sum.reservedQuantity || 0 } };
+  const result = { ...warehouse, inventory: { totalProducts: inventorySummary._count, totalQuantity: inventorySummary._sum.quantity || 0, reservedQuantity: inventorySummary._sum.reservedQuantity || 0, inTransitQuantity: inventorySummary._sum.inTransitQuantity || 0 } };
   await cache.set(cacheKey, result, CACHE_TTL.WAREHOUSE);
   return result;
 };
@@ -121,43 +139,79 @@ const getWarehouses = async (businessId, options = {}) => {
 // INVENTORY MANAGEMENT
 // =============================================================================
 
-const addInventory = async (warehouseId, variantId, quantity, options = {}) => {
-  const warehouse = await prisma.warehouse.findUnique({ where: { id: warehouseId } });
+const addInventory = async (warehouseId, variantId, quantity, options = {}, client = prisma) => {
+  const warehouse = await client.warehouse.findUnique({ where: { id: warehouseId } });
   if (!warehouse) throw new NotFoundError('Warehouse');
 
-  const variant = await prisma.productVariant.findUnique({ where: { id: variantId } });
+  const variant = await client.productVariant.findUnique({ where: { id: variantId }, include: { product: true } });
   if (!variant) throw new NotFoundError('Product variant');
 
-  const inv = await prisma.warehouseInventory.upsert({
+  // Lot-tracked stock is received into its lot; the warehouse row is the sum of its lots
+  let lot;
+  if (variant.product.lotTracked) {
+    lot = await inventoryLotService.receiveLot({ ...options, warehouseId, variantId, quantity, lotNumber: options.lotNumber || options.batchNumber }, client);
+  }
+
+  const inv = await client.warehouseInventory.upsert({
     where: { warehouseId_variantId: { warehouseId, variantId } },
-    create: { warehouseId, variantId, quantity, reservedQuantity: 0, reorderPoint: options.reorderPoint || 10, reorderQuantity: options.reorderQuantity || 50, location: options.location, batchNumber: options.batchNumber, expiryDate: options.expiryDate },
-    update: { quantity: { increment: quantity }, location: options.location || undefined },
+    create: { warehouseId, variantId, quantity, reservedQuantity: 0, reorderPoint: options.reorderPoint || 10, reorderQuantity: options.reorderQuantity || 50, location: options.location },
+    update: { quantity: variant.product.lotTracked ? undefined : { increment: quantity }, location: options.location || undefined },
   });
 
-  await updateTotalStock(variantId);
-  await inventory.setStock(variantId, await getTotalStock(variantId));
+  await updateTotalStock(variantId, client);
 
   logger.info('Inventory added', { warehouseId, variantId, quantity, newQuantity: inv.quantity });
+  return lot ? { ...inv, lot } : inv;
+};
+
+const receiveStock = async (businessId, receipt, createdBy) => {
+  const { warehouseId, variantId, quantity, ...lotData } = receipt;
+  const warehouse = await prisma.warehouse.findFirst({ where: { id: warehouseId, businessId } });
+  if (!warehouse) throw new NotFoundError('Warehouse');
+
+  const variant = await prisma.productVariant.findFirst({ where: { id: variantId, product: { businessId } } });
+  if (!variant) throw new NotFoundError('Product variant');
+
+  const inv = await addInventory(warehouseId, variantId, quantity, lotData);
+  await prisma.inventoryLog.create({
+    data: { variantId, type: 'in', quantity, previousQty: inv.quantity - quantity, newQty: inv.quantity, reason: lotData.lotNumber ? `Lot ${lotData.lotNumber} received` : 'Stock received', reference: inv.lot?.id || warehouseId, createdBy },
+  });
+
   return inv;
 };
 
-const removeInventory = async (warehouseId, variantId, quantity) => {
-  const inv = await prisma.warehouseInventory.findUnique({ where: { warehouseId_variantId: { warehouseId, variantId } } });
+const removeInventory = async (warehouseId, variantId, quantity, options = {}, client = prisma) => {
+  const inv = await client.warehouseInventory.findUnique({ where: { warehouseId_variantId: { warehouseId, variantId } }, include: { variant: { include: { product: true } } } });
   if (!inv) throw new NotFoundError('Inventory');
 
   const availableQuantity = inv.quantity - inv.reservedQuantity;
   if (quantity > availableQuantity) throw new BadRequestError(`Insufficient available stock. Available: ${availableQuantity}`);
 
-  const updated = await prisma.warehouseInventory.update({ where: { id: inv.id }, data: { quantity: { decrement: quantity } } });
+  // Lot-tracked stock leaves from the named lot, or first-expiry-first-out
+  let lots;
+  if (inv.variant.product.lotTracked) {
+    lots = await inventoryLotService.removeFromLots({ ...options, warehouseId, variantId, quantity }, client);
+  } else {
+    await client.warehouseInventory.update({ where: { id: inv.id }, data: { quantity: { decrement: quantity } } });
+  }
 
-  await updateTotalStock(variantId);
-  await inventory.setStock(variantId, await getTotalStock(variantId));
+  await updateTotalStock(variantId, client);
 
   logger.info('Inventory removed', { warehouseId, variantId, quantity });
-  return updated;
+  return { ...inv, quantity: inv.quantity - quantity, variant: undefined, lots };
 };
 
-const reserveInventory = async (variantId, quantity, orderId) => {
+const reserveInventory = async (variantId, quantity, orderId, options = {}) => {
+  const variant = await prisma.productVariant.findUnique({ where: { id: variantId }, include: { product: true } });
+  if (!variant) throw new NotFoundError('Product variant');
+
+  // Lot-tracked stock is reserved first-expiry-first-out across warehouses
+  if (variant.product.lotTracked) {
+    if (!options.orderItemId) throw new BadRequestError('Order item is required to reserve lot-tracked stock');
+    const allocations = await inventoryLotService.allocate(prisma, { variantId, quantity, orderId, orderItemId: options.orderItemId, product: variant.product });
+    return allocations.map(({ warehouseId, lotNumber, expiryDate, expiryState, quantity: lotQuantity }) => ({ warehouseId, variantId, quantity: lotQuantity, orderId, lotNumber, expiryDate, expiryState }));
+  }
+
   const inventories = await prisma.warehouseInventory.findMany({
     where: { variantId, warehouse: { status: WAREHOUSE_STATUS.ACTIVE } },
     include: { warehouse: { select: { isDefault: true } } },
@@ -214,20 +268,96 @@ const getWarehouseInventory = async (warehouseId, options = {}) => {
   return { inventory: inv.map((i) => ({ ...i, availableQuantity: i.quantity - i.reservedQuantity, isLowStock: i.quantity <= i.reorderPoint })), pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } };
 };
 
-const getTotalStock = async (variantId) => {
-  const result = await prisma.warehouseInventory.aggregate({ where: { variantId, warehouse: { status: WAREHOUSE_STATUS.ACTIVE } }, _sum: { quantity: true } });
-  return result._sum.quantity || 0;
+/**
+ * Units on hand in active warehouses and units in transit between them
+ */
+const getTotalStock = async (variantId, client = prisma) => {
+  const result = await client.warehouseInventory.aggregate({
+    where: { variantId, warehouse: { status: WAREHOUSE_STATUS.ACTIVE } },
+    _sum: { quantity: true, inTransitQuantity: true },
+  });
+  const onHand = result._sum.quantity || 0;
+  const inTransit = result._sum.inTransitQuantity || 0;
+  return { onHand, inTransit, total: onHand + inTransit };
+};
+
+/**
+ * Recompute the variant's sellable stock. Inside a transaction the cache is
+ * refreshed by the caller once it commits (see refreshStockCache)
+ */
+const updateTotalStock = async (variantId, client = prisma) => {
+  const variant = await client.productVariant.findUnique({ where: { id: variantId }, include: { product: true } });
+
+  // Expired, recalled and short-dated lots are on hand but not for sale
+  if (variant?.product.lotTracked) return inventoryLotService.syncVariantStock(variantId, variant.product, client);
+
+  // Units in transit cannot be picked until they are received
+  const { onHand } = await getTotalStock(variantId, client);
+  await client.productVariant.update({ where: { id: variantId }, data: { stockQuantity: onHand } });
+  if (client === prisma) await inventory.setStock(variantId, onHand);
+  return onHand;
 };
 
-const updateTotalStock = async (variantId) => {
-  const total = await getTotalStock(variantId);
-  await prisma.productVariant.update({ where: { id: variantId }, data: { stockQuantity: total } });
+/**
+ * Push committed stock counters to the cache after a transaction moved stock
+ */
+const refreshStockCache = async (variantIds) => {
+  const variants = await prisma.productVariant.findMany({
+    where: { id: { in: [...new Set(variantIds)] } },
+    select: { id: true, stockQuantity: true },
+  });
+  await Promise.all(variants.map((v) => inventory.setStock(v.id, v.stockQuantity)));
 };
 
 // =============================================================================
 // INVENTORY TRANSFERS
 // =============================================================================
 
+const unitCostOf = (variant, lot) => Number(lot?.unitCost ?? variant.costPrice ?? variant.basePrice ?? 0);
+
+const assertTransferable = async (warehouseId, items) => {
+  for (const item of items) {
+    const inv = await prisma.warehouseInventory.findUnique({
+      where: { warehouseId_variantId: { warehouseId, variantId: item.variantId } },
+    });
+    const available = inv ? inv.quantity - inv.reservedQuantity : 0;
+    if (available < item.quantity) {
+      throw new BadRequestError(`Insufficient stock for ${item.variantId}. Available: ${available}`);
+    }
+  }
+};
+
+const logTransferMovement = (transfer, entry, createdBy, client = prisma) => client.inventoryLog.create({
+  data: {
+    ...entry,
+    newQty: entry.newQty ?? entry.previousQty,
+    reason: `Transfer ${transfer.transferNumber}`,
+    reference: transfer.id,
+    createdBy,
+  },
+});
+
+// Received and damaged counts include any excess; short units are settled
+const outstandingOf = (line) => Math.max(
+  line.dispatchedQuantity + line.excessQuantity - line.receivedQuantity - line.damagedQuantity - line.shortQuantity,
+  0,
+);
+
+/**
+ * Short, excess and damaged units across a transfer's lines, valued at cost
+ */
+const summarizeDiscrepancies = (lines) => {
+  const summary = {};
+  ['short', 'excess', 'damaged'].forEach((kind) => {
+    const affected = lines.filter((line) => line[`${kind}Quantity`] > 0);
+    summary[kind] = {
+      units: affected.reduce((sum, line) => sum + line[`${kind}Quantity`], 0),
+      value: roundTo(affected.reduce((sum, line) => sum + line[`${kind}Quantity`] * Number(line.unitCost), 0)),
+    };
+  });
+  return summary;
+};
+
 const createTransfer = async (businessId, transferData) => {
   const { fromWarehouseId, toWarehouseId, items, notes } = transferData;
 
@@ -240,11 +370,7 @@ const createTransfer = async (businessId, transferData) => {
   if (!toWh) throw new NotFoundError('Destination warehouse');
   if (fromWarehouseId === toWarehouseId) throw new BadRequestError('Source and destination cannot be the same');
 
-  for (const item of items) {
-    const inv = await prisma.warehouseInventory.findUnique({ where: { warehouseId_variantId: { warehouseId: fromWarehouseId, variantId: item.variantId } } });
-    const available = inv ? inv.quantity - inv.reservedQuantity : 0;
-    if (available < item.quantity) throw new BadRequestError(`Insufficient stock for ${item.variantId}. Available: ${available}`);
-  }
+  await assertTransferable(fromWarehouseId, items);
 
   const transfer = await prisma.inventoryTransfer.create({
     data: { businessId, fromWarehouseId, toWarehouseId, transferNumber: `TRF-${Date.now().toString(36).toUpperCase()}`, items, notes, status: TRANSFER_STATUS.PENDING },
@@ -258,27 +384,290 @@ const approveTransfer = async (transferId, businessId) => {
   const transfer = await prisma.inventoryTransfer.findFirst({ where: { id: transferId, businessId, status: TRANSFER_STATUS.PENDING } });
   if (!transfer) throw new NotFoundError('Transfer');
 
-  for (const item of transfer.items) {
-    await removeInventory(transfer.fromWarehouseId, item.variantId, item.quantity);
-    await addInventory(transfer.toWarehouseId, item.variantId, item.quantity);
+  const approved = await prisma.inventoryTransfer.update({
+    where: { id: transferId },
+    data: { status: TRANSFER_STATUS.APPROVED, approvedAt: new Date() },
+  });
+
+  logger.info('Inventory transfer approved', { transferId });
+  return approved;
+};
+
+/**
+ * Take the units out of the source and put them in transit to the
+ * destination. Lots keep their numbers and dates on the transfer lines. An
+ * e-way bill is raised when the move crosses a state line above the value
+ * limit, unless generateEWayBill says otherwise.
+ */
+const dispatchTransfer = async (transferId, businessId, data = {}, dispatchedById) => {
+  const transfer = await prisma.inventoryTransfer.findFirst({
+    where: { id: transferId, businessId, status: TRANSFER_STATUS.APPROVED },
+    include: { fromWarehouse: true, toWarehouse: true },
+  });
+  if (!transfer) throw new NotFoundError('Transfer');
+
+  const { transport = {} } = data;
+  await assertTransferable(transfer.fromWarehouseId, transfer.items);
+
+  const variants = await prisma.productVariant.findMany({
+    where: { id: { in: transfer.items.map((item) => item.variantId) } },
+  });
+  const variantById = new Map(variants.map((variant) => [variant.id, variant]));
+
+  // Checked before any stock moves, on the variants' own costs
+  const estimatedValue = transfer.items.reduce(
+    (sum, item) => sum + item.quantity * unitCostOf(variantById.get(item.variantId)),
+    0,
+  );
+  const required = eWayBillService.isTransferEWBRequired(
+    transfer.fromWarehouse.state,
+    transfer.toWarehouse.state,
+    estimatedValue,
+  );
+  const withEWayBill = data.generateEWayBill ?? required;
+  if (withEWayBill && !transport.vehicleNumber && !transport.transporterId) {
+    throw new BadRequestError('Vehicle number or transporter ID is required for the e-way bill');
   }
+  if (withEWayBill) {
+    const business = await prisma.business.findUnique({ where: { id: businessId }, select: { gstin: true } });
+    eWayBillService.resolveTransferParties(transfer.fromWarehouse, transfer.toWarehouse, business?.gstin);
+  }
+
+  // Claiming the transfer first means a second dispatch moves nothing, and a
+  // failure part-way rolls every line back so the dispatch can be retried
+  const { lines, eWayBill } = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.inventoryTransfer.updateMany({
+      where: { id: transferId, status: TRANSFER_STATUS.APPROVED },
+      data: { status: TRANSFER_STATUS.IN_TRANSIT },
+    });
+    if (count === 0) throw new ConflictError('Transfer has already been dispatched');
+
+    const dispatched = [];
+    for (const item of transfer.items) {
+      const removed = await removeInventory(
+        transfer.fromWarehouseId, item.variantId, item.quantity, { lotNumber: item.lotNumber }, tx,
+      );
+      const variant = variantById.get(item.variantId);
+
+      for (const lot of removed.lots || [{ quantity: item.quantity }]) {
+        dispatched.push({
+          transferId,
+          variantId: item.variantId,
+          lotNumber: lot.lotNumber || '',
+          expiryDate: lot.expiryDate || null,
+          manufacturedAt: lot.manufacturedAt || null,
+          unitCost: unitCostOf(variant, lot),
+          dispatchedQuantity: lot.quantity,
+        });
+      }
+
+      await tx.warehouseInventory.upsert({
+        where: { warehouseId_variantId: { warehouseId: transfer.toWarehouseId, variantId: item.variantId } },
+        create: {
+          warehouseId: transfer.toWarehouseId,
+          variantId: item.variantId,
+          quantity: 0,
+          reservedQuantity: 0,
+          inTransitQuantity: item.quantity,
+        },
+        update: { inTransitQuantity: { increment: item.quantity } },
+      });
+
+      await logTransferMovement(transfer, {
+        variantId: item.variantId, type: 'out', quantity: item.quantity,
+        previousQty: removed.quantity + item.quantity, newQty: removed.quantity, reasonCode: TRANSFER_REASON.OUT,
+      }, dispatchedById, tx);
+    }
 
-  await prisma.inventoryTransfer.update({ where: { id: transferId }, data: { status: TRANSFER_STATUS.COMPLETED, completedAt: new Date() } });
+    await tx.inventoryTransferLine.createMany({ data: dispatched });
+    await tx.inventoryTransfer.update({
+      where: { id: transferId },
+      data: {
+        transport,
+        declaredValue: roundTo(dispatched.reduce((sum, line) => sum + line.dispatchedQuantity * line.unitCost, 0)),
+        expectedArrival: data.expectedArrival ? new Date(data.expectedArrival) : null,
+        dispatchedById,
+        dispatchedAt: new Date(),
+      },
+    });
+
+    // Raised inside the dispatch so goods never go in transit without the bill they need
+    const bill = withEWayBill ? await eWayBillService.generateTransferEWayBill(transferId, transport, tx) : null;
+    return { lines: dispatched, eWayBill: bill };
+  });
+  await refreshStockCache(transfer.items.map((item) => item.variantId));
 
-  logger.info('Inventory transfer completed', { transferId });
-  emitToBusiness(businessId, 'inventory:transfer_completed', { transferId });
+  if (required && !eWayBill) logger.warn('Inter-state transfer dispatched without an e-way bill', { transferId });
 
-  return { success: true };
+  logger.info('Inventory transfer dispatched', { transferId, lines: lines.length, ewbNumber: eWayBill?.ewbNumber });
+  emitToBusiness(businessId, 'inventory:transfer_dispatched', { transferId, ewbNumber: eWayBill?.ewbNumber });
+
+  return getTransfer(transferId, businessId);
+};
+
+/**
+ * Book arrived units into the destination. Each entry gives the good and
+ * damaged units counted for a transfer line; units beyond what was dispatched
+ * are excess. The transfer completes once every line is accounted for, or
+ * when the receipt is closed, which records whatever never arrived as short.
+ */
+const receiveTransfer = async (transferId, businessId, { lines: entries = [], close = false }, receivedById) => {
+  const transfer = await prisma.inventoryTransfer.findFirst({
+    where: { id: transferId, businessId, status: { in: RECEIVABLE_STATUSES } },
+  });
+  if (!transfer) throw new NotFoundError('Transfer');
+
+  const destination = (variantId) => ({ warehouseId_variantId: { warehouseId: transfer.toWarehouseId, variantId } });
+  const now = new Date();
+
+  const { data, discrepancies, variantIds } = await prisma.$transaction(async (tx) => {
+    // The claim holds the transfer row, so concurrent receipts queue here and
+    // each one reads the lines as the previous receipt left them
+    const { count } = await tx.inventoryTransfer.updateMany({
+      where: { id: transferId, status: { in: RECEIVABLE_STATUSES } },
+      data: { receivedById },
+    });
+    if (count === 0) throw new ConflictError('Transfer has already been received');
+
+    const current = await tx.inventoryTransferLine.findMany({ where: { transferId } });
+    const lineById = new Map(current.map((line) => [line.id, line]));
+
+    for (const entry of entries) {
+      const line = lineById.get(entry.lineId);
+      if (!line) throw new NotFoundError('Transfer line');
+
+      const received = entry.receivedQuantity || 0;
+      const damaged = entry.damagedQuantity || 0;
+      const outstanding = outstandingOf(line);
+      const goodFromTransit = Math.min(received, outstanding);
+      const damagedFromTransit = Math.min(damaged, outstanding - goodFromTransit);
+      const excess = received + damaged - goodFromTransit - damagedFromTransit;
+
+      if (received > 0) {
+        const inv = await addInventory(transfer.toWarehouseId, line.variantId, received, {
+          lotNumber: line.lotNumber || undefined,
+          expiryDate: line.expiryDate,
+          manufacturedAt: line.manufacturedAt,
+          unitCost: line.unitCost,
+        }, tx);
+        const before = inv.quantity - received;
+        const movements = [[goodFromTransit, TRANSFER_REASON.IN], [received - goodFromTransit, TRANSFER_REASON.EXCESS]];
+        let previousQty = before;
+        for (const [quantity, reasonCode] of movements.filter(([quantity]) => quantity > 0)) {
+          await logTransferMovement(transfer, {
+            variantId: line.variantId, type: 'in', quantity, previousQty, newQty: previousQty + quantity, reasonCode,
+          }, receivedById, tx);
+          previousQty += quantity;
+        }
+      }
+
+      if (damaged > 0) {
+        const inv = await tx.warehouseInventory.findUnique({ where: destination(line.variantId) });
+        await logTransferMovement(transfer, {
+          variantId: line.variantId, type: 'out', quantity: damaged, previousQty: inv?.quantity || 0,
+          reasonCode: TRANSFER_REASON.DAMAGED,
+        }, receivedById, tx);
+      }
+
+      if (goodFromTransit + damagedFromTransit > 0) {
+        await tx.warehouseInventory.update({
+          where: destination(line.variantId),
+          data: { inTransitQuantity: { decrement: goodFromTransit + damagedFromTransit } },
+        });
+      }
+
+      const updated = await tx.inventoryTransferLine.update({
+        where: { id: line.id },
+        data: {
+          receivedQuantity: { increment: received },
+          damagedQuantity: { increment: damaged },
+          excessQuantity: { increment: excess },
+          notes: entry.notes,
+        },
+      });
+      lineById.set(line.id, updated);
+    }
+
+    const lines = [...lineById.values()];
+    const settled = lines.every((line) => outstandingOf(line) === 0);
+    const update = { receivedAt: transfer.receivedAt || now, receivedById };
+    let summary = null;
+
+    if (settled || close) {
+      for (const line of lines.filter((candidate) => outstandingOf(candidate) > 0)) {
+        const short = outstandingOf(line);
+        await tx.warehouseInventory.update({
+          where: destination(line.variantId),
+          data: { inTransitQuantity: { decrement: short } },
+        });
+        const inv = await tx.warehouseInventory.findUnique({ where: destination(line.variantId) });
+        await logTransferMovement(transfer, {
+          variantId: line.variantId, type: 'out', quantity: short, previousQty: inv.quantity,
+          reasonCode: TRANSFER_REASON.SHORT,
+        }, receivedById, tx);
+        lineById.set(line.id, await tx.inventoryTransferLine.update({
+          where: { id: line.id },
+          data: { shortQuantity: short },
+        }));
+      }
+
+      summary = summarizeDiscrepancies([...lineById.values()]);
+      const hasDiscrepancy = Object.values(summary).some((kind) => kind.units > 0);
+      Object.assign(update, { status: TRANSFER_STATUS.COMPLETED, completedAt: now, hasDiscrepancy });
+    } else {
+      update.status = TRANSFER_STATUS.PARTIALLY_RECEIVED;
+    }
+
+    await tx.inventoryTransfer.update({ where: { id: transferId }, data: update });
+    return { data: update, discrepancies: summary, variantIds: lines.map((line) => line.variantId) };
+  });
+  await refreshStockCache(variantIds);
+
+  if (data.status === TRANSFER_STATUS.COMPLETED) {
+    if (data.hasDiscrepancy) {
+      logger.warn('Inventory transfer received with discrepancies', { transferId, ...discrepancies });
+      emitToBusiness(businessId, 'inventory:transfer_discrepancy', {
+        transferId,
+        transferNumber: transfer.transferNumber,
+        discrepancies,
+      });
+    }
+    emitToBusiness(businessId, 'inventory:transfer_completed', { transferId });
+  }
+
+  logger.info('Inventory transfer received', { transferId, status: data.status });
+  return getTransfer(transferId, businessId);
 };
 
 const cancelTransfer = async (transferId, businessId, reason) => {
-  const transfer = await prisma.inventoryTransfer.findFirst({ where: { id: transferId, businessId, status: TRANSFER_STATUS.PENDING } });
+  const transfer = await prisma.inventoryTransfer.findFirst({
+    where: { id: transferId, businessId, status: { in: [TRANSFER_STATUS.PENDING, TRANSFER_STATUS.APPROVED] } },
+  });
   if (!transfer) throw new NotFoundError('Transfer');
 
   await prisma.inventoryTransfer.update({ where: { id: transferId }, data: { status: TRANSFER_STATUS.CANCELLED, cancelReason: reason, cancelledAt: new Date() } });
   return { success: true };
 };
 
+const getTransfer = async (transferId, businessId) => {
+  const transfer = await prisma.inventoryTransfer.findFirst({
+    where: { id: transferId, businessId },
+    include: {
+      fromWarehouse: { select: { name: true, code: true, state: true } },
+      toWarehouse: { select: { name: true, code: true, state: true } },
+      lines: true,
+      eWayBills: { select: { ewbNumber: true, validUpto: true, status: true } },
+    },
+  });
+  if (!transfer) throw new NotFoundError('Transfer');
+
+  return {
+    ...transfer,
+    lines: transfer.lines.map((line) => ({ ...line, outstandingQuantity: outstandingOf(line) })),
+    discrepancies: summarizeDiscrepancies(transfer.lines),
+  };
+};
+
 const getTransfers = async (businessId, options = {}) => {
   const { page = 1, limit = 20, status, warehouseId } = options;
   const skip = (page - 1) * limit;
@@ -294,14 +683,129 @@ const getTransfers = async (businessId, options = {}) => {
   return { transfers, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } };
 };
 
+// =============================================================================
+// TRANSFER REPORTS
+// =============================================================================
+
+/**
+ * Stock on the road: outstanding units and value per open transfer and per
+ * destination, with overdue arrivals and e-way bill validity
+ */
+const getInTransitReport = async (businessId, options = {}) => {
+  const now = new Date();
+  const transfers = await prisma.inventoryTransfer.findMany({
+    where: {
+      businessId,
+      status: { in: RECEIVABLE_STATUSES },
+      ...(options.warehouseId ? { toWarehouseId: options.warehouseId } : {}),
+    },
+    include: {
+      toWarehouse: { select: { name: true, code: true } },
+      lines: true,
+      eWayBills: { select: { ewbNumber: true, validUpto: true, status: true } },
+    },
+    orderBy: { dispatchedAt: 'asc' },
+  });
+
+  const byDestination = new Map();
+  const rows = transfers.map((transfer) => {
+    const units = transfer.lines.reduce((sum, line) => sum + outstandingOf(line), 0);
+    const value = roundTo(transfer.lines.reduce((sum, line) => sum + outstandingOf(line) * Number(line.unitCost), 0));
+    const eWayBill = transfer.eWayBills.find((bill) => bill.status !== 'CANCELLED') || null;
+
+    const destination = byDestination.get(transfer.toWarehouseId)
+      || { warehouse: transfer.toWarehouse, transfers: 0, units: 0, value: 0 };
+    byDestination.set(transfer.toWarehouseId, {
+      ...destination,
+      transfers: destination.transfers + 1,
+      units: destination.units + units,
+      value: roundTo(destination.value + value),
+    });
+
+    return {
+      transferId: transfer.id,
+      transferNumber: transfer.transferNumber,
+      status: transfer.status,
+      fromWarehouseId: transfer.fromWarehouseId,
+      toWarehouse: transfer.toWarehouse,
+      dispatchedAt: transfer.dispatchedAt,
+      expectedArrival: transfer.expectedArrival,
+      daysInTransit: Math.floor((now - new Date(transfer.dispatchedAt)) / (24 * 60 * 60 * 1000)),
+      isOverdue: Boolean(transfer.expectedArrival && new Date(transfer.expectedArrival) < now),
+      outstandingUnits: units,
+      outstandingValue: value,
+      eWayBill: eWayBill && { ...eWayBill, isExpired: new Date(eWayBill.validUpto) < now },
+    };
+  });
+
+  return {
+    transfers: rows,
+    byDestination: [...byDestination.values()],
+    totals: {
+      units: rows.reduce((sum, row) => sum + row.outstandingUnits, 0),
+      value: roundTo(rows.reduce((sum, row) => sum + row.outstandingValue, 0)),
+    },
+  };
+};
+
+/**
+ * Completed transfers that arrived short, over or damaged
+ */
+const getTransferDiscrepancyReport = async (businessId, options = {}) => {
+  const where = { businessId, status: TRANSFER_STATUS.COMPLETED, hasDiscrepancy: true };
+  if (options.from || options.to) {
+    where.completedAt = {
+      ...(options.from && { gte: new Date(options.from) }),
+      ...(options.to && { lte: new Date(options.to) }),
+    };
+  }
+  if (options.warehouseId) {
+    where.OR = [{ fromWarehouseId: options.warehouseId }, { toWarehouseId: options.warehouseId }];
+  }
+
+  const transfers = await prisma.inventoryTransfer.findMany({
+    where,
+    include: {
+      fromWarehouse: { select: { name: true, code: true } },
+      toWarehouse: { select: { name: true, code: true } },
+      lines: true,
+    },
+    orderBy: { completedAt: 'desc' },
+  });
+
+  const rows = transfers.map((transfer) => ({
+    transferId: transfer.id,
+    transferNumber: transfer.transferNumber,
+    fromWarehouse: transfer.fromWarehouse,
+    toWarehouse: transfer.toWarehouse,
+    completedAt: transfer.completedAt,
+    discrepancies: summarizeDiscrepancies(transfer.lines),
+    lines: transfer.lines
+      .filter((line) => line.shortQuantity || line.excessQuantity || line.damagedQuantity)
+      .map((line) => ({
+        variantId: line.variantId,
+        lotNumber: line.lotNumber,
+        dispatchedQuantity: line.dispatchedQuantity,
+        receivedQuantity: line.receivedQuantity,
+        shortQuantity: line.shortQuantity,
+        excessQuantity: line.excessQuantity,
+        damagedQuantity: line.damagedQuantity,
+        notes: line.notes,
+      })),
+  }));
+
+  return { transfers: rows, totals: summarizeDiscrepancies(transfers.flatMap((transfer) => transfer.lines)) };
+};
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
 
 module.exports = {
-  WAREHOUSE_STATUS, TRANSFER_STATUS,
+  WAREHOUSE_STATUS, TRANSFER_STATUS, TRANSFER_REASON,
   createWarehouse, updateWarehouse, deleteWarehouse, getWarehouse, getWarehouses,
-  addInventory, removeInventory, reserveInventory, releaseReservedInventory, confirmReservation,
-  getWarehouseInventory, getTotalStock, updateTotalStock,
-  createTransfer, approveTransfer, cancelTransfer, getTransfers,
+  addInventory, receiveStock, removeInventory, reserveInventory, releaseReservedInventory, confirmReservation,
+  getWarehouseInventory, getTotalStock, updateTotalStock, refreshStockCache,
+  createTransfer, approveTransfer, dispatchTransfer, receiveTransfer, cancelTransfer, getTransfer, getTransfers,
+  getInTransitReport, getTransferDiscrepancyReport,
 };
@@ -0,0 +1,882 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - WAREHOUSE OPERATIONS SERVICE
+// Zones, bins and putaway; batched pick lists routed by bin sequence;
+// scan-to-confirm picking and packing into carrier shipments
+// =============================================================================
+
+const { prisma } = require('../config/database');
+const logger = require('../config/logger');
+const { NotFoundError, BadRequestError, ConflictError, OrderStateError } = require('../utils/errors');
+const { generatePickListNumber, roundTo } = require('../utils/helpers');
+const barcodeScanner = require('./barcodeScanner.service');
+const inventoryLotService = require('./inventoryLot.service');
+const orderService = require('./order.service');
+const shippingService = require('./shipping.service');
+const { emitToBusiness } = require('./socket.service');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const ZONE_TYPE = {
+  RECEIVING: 'RECEIVING',
+  STORAGE: 'STORAGE',
+  PICKING: 'PICKING',
+  BULK: 'BULK',
+  PACKING: 'PACKING',
+  DISPATCH: 'DISPATCH',
+  QUARANTINE: 'QUARANTINE',
+};
+
+const PICK_LIST_STATUS = { OPEN: 'OPEN', IN_PROGRESS: 'IN_PROGRESS', COMPLETED: 'COMPLETED', CANCELLED: 'CANCELLED' };
+const PICK_LINE_STATUS = { PENDING: 'PENDING', PICKED: 'PICKED', SHORT: 'SHORT', CANCELLED: 'CANCELLED' };
+
+// Zones stock is picked from; receiving, packing and quarantine stock is not
+const PICKABLE_ZONES = [ZONE_TYPE.PICKING, ZONE_TYPE.STORAGE, ZONE_TYPE.BULK];
+
+// Zones stock is put away into when no putaway rule matches
+const DEFAULT_PUTAWAY_ZONES = [ZONE_TYPE.PICKING, ZONE_TYPE.STORAGE];
+
+const DEFAULT_BATCH_SIZE = 10;
+const NO_LOT = ''; // BinStock / PickListLine lot for products that are not lot-tracked
+
+const PICK_LIST_INCLUDE = {
+  lines: {
+    include: { bin: { select: { code: true, barcode: true, zone: { select: { code: true } } } } },
+    orderBy: { sequence: 'asc' },
+  },
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const getWarehouseForBusiness = async (businessId, warehouseId) => {
+  const warehouse = await prisma.warehouse.findFirst({ where: { id: warehouseId, businessId } });
+  if (!warehouse) throw new NotFoundError('Warehouse');
+  return warehouse;
+};
+
+const getVariantForBusiness = async (businessId, variantId) => {
+  const variant = await prisma.productVariant.findFirst({
+    where: { id: variantId, product: { businessId } },
+    include: { product: true },
+  });
+  if (!variant) throw new NotFoundError('Product variant');
+  return variant;
+};
+
+/**
+ * Walk order: zone sequence, then bin sequence within the zone, then bin code
+ */
+const byRoute = (a, b) => (a.zone.pickSequence - b.zone.pickSequence)
+  || (a.pickSequence - b.pickSequence)
+  || a.code.localeCompare(b.code);
+
+const unitsIn = (bin) => bin.stock.reduce((sum, stock) => sum + stock.quantity, 0);
+
+const hasRoom = (bin, quantity) => bin.maxUnits === null || bin.maxUnits === undefined
+  || unitsIn(bin) + quantity <= bin.maxUnits;
+
+const lotLabel = (lotNumber) => (lotNumber ? ` (lot ${lotNumber})` : '');
+
+const stockKey = (binId, variantId, lotNumber) => ({ binId_variantId_lotNumber: { binId, variantId, lotNumber } });
+
+/**
+ * warehouseInventory.location mirrors the first bin on the pick route holding the SKU
+ */
+const syncInventoryLocation = async (warehouseId, variantId) => {
+  const stock = await prisma.binStock.findMany({
+    where: { variantId, quantity: { gt: 0 }, bin: { warehouseId } },
+    include: { bin: { include: { zone: true } } },
+  });
+  const [first] = stock.map((row) => row.bin).sort(byRoute);
+
+  await prisma.warehouseInventory.updateMany({
+    where: { warehouseId, variantId },
+    data: { location: first?.code || null },
+  });
+};
+
+// =============================================================================
+// LAYOUT
+// =============================================================================
+
+const createZone = async (businessId, warehouseId, data) => {
+  await getWarehouseForBusiness(businessId, warehouseId);
+  const code = data.code.toUpperCase();
+
+  const existing = await prisma.warehouseZone.findFirst({ where: { warehouseId, code } });
+  if (existing) throw new ConflictError(`Zone ${code} already exists in this warehouse`);
+
+  const zone = await prisma.warehouseZone.create({
+    data: {
+      warehouseId, code, name: data.name,
+      type: data.type || ZONE_TYPE.STORAGE,
+      pickSequence: data.pickSequence ?? 0,
+    },
+  });
+
+  logger.info('Warehouse zone created', { warehouseId, zoneId: zone.id, code });
+  return zone;
+};
+
+/**
+ * Add bins to a zone. Labels default to "<warehouse code>-<bin code>" and bins
+ * without a pick sequence are walked in the order given, after existing ones.
+ */
+const createBins = async (businessId, warehouseId, { zoneId, bins }) => {
+  const warehouse = await getWarehouseForBusiness(businessId, warehouseId);
+
+  const zone = await prisma.warehouseZone.findFirst({ where: { id: zoneId, warehouseId } });
+  if (!zone) throw new NotFoundError('Zone');
+
+  const existingInZone = await prisma.warehouseBin.count({ where: { zoneId } });
+  const rows = bins.map((bin, index) => {
+    const code = bin.code.toUpperCase();
+    return {
+      warehouseId, zoneId, code,
+      barcode: (bin.barcode || `${warehouse.code}-${code}`).toUpperCase(),
+      aisle: bin.aisle, rack: bin.rack, level: bin.level,
+      pickSequence: bin.pickSequence ?? existingInZone + index,
+      maxUnits: bin.maxUnits ?? null,
+    };
+  });
+
+  const codes = rows.map((row) => row.code);
+  const barcodes = rows.map((row) => row.barcode);
+  if (new Set(codes).size !== codes.length || new Set(barcodes).size !== barcodes.length) {
+    throw new BadRequestError('Bin codes and labels must be unique');
+  }
+
+  const clashes = await prisma.warehouseBin.findMany({
+    where: { OR: [{ warehouseId, code: { in: codes } }, { barcode: { in: barcodes } }] },
+  });
+  if (clashes.length) {
+    throw new ConflictError(`Bins already exist: ${clashes.map((bin) => bin.code).join(', ')}`);
+  }
+
+  await prisma.warehouseBin.createMany({ data: rows });
+
+  logger.info('Warehouse bins created', { warehouseId, zoneId, count: rows.length });
+  return prisma.warehouseBin.findMany({
+    where: { warehouseId, code: { in: codes } },
+    orderBy: [{ pickSequence: 'asc' }, { code: 'asc' }],
+  });
+};
+
+/**
+ * Zones and bins in walk order, with what each bin holds
+ */
+const getLayout = async (businessId, warehouseId) => {
+  const warehouse = await getWarehouseForBusiness(businessId, warehouseId);
+
+  const zones = await prisma.warehouseZone.findMany({
+    where: { warehouseId },
+    include: {
+      bins: {
+        include: { stock: { where: { quantity: { gt: 0 } }, include: { variant: { select: { sku: true } } } } },
+        orderBy: [{ pickSequence: 'asc' }, { code: 'asc' }],
+      },
+    },
+    orderBy: [{ pickSequence: 'asc' }, { code: 'asc' }],
+  });
+
+  return {
+    warehouse: { id: warehouse.id, code: warehouse.code, name: warehouse.name },
+    zones: zones.map((zone) => ({
+      ...zone,
+      bins: zone.bins.map((bin) => ({ ...bin, units: unitsIn(bin) })),
+    })),
+  };
+};
+
+// =============================================================================
+// PUTAWAY
+// =============================================================================
+
+/**
+ * How specifically a rule matches a variant; null when it doesn't
+ */
+const ruleRank = (rule, variant) => {
+  if (rule.variantId) return rule.variantId === variant.id ? 0 : null;
+  if (rule.productId) return rule.productId === variant.productId ? 1 : null;
+  if (rule.categoryId) return rule.categoryId === variant.product.categoryId ? 2 : null;
+  return 3;
+};
+
+const createPutawayRule = async (businessId, warehouseId, data) => {
+  await getWarehouseForBusiness(businessId, warehouseId);
+
+  const zone = await prisma.warehouseZone.findFirst({ where: { id: data.zoneId, warehouseId } });
+  if (!zone) throw new NotFoundError('Zone');
+
+  if (data.variantId) await getVariantForBusiness(businessId, data.variantId);
+  if (data.productId) {
+    const product = await prisma.product.findFirst({ where: { id: data.productId, businessId } });
+    if (!product) throw new NotFoundError('Product');
+  }
+
+  return prisma.putawayRule.create({
+    data: {
+      warehouseId, zoneId: zone.id, priority: data.priority ?? 100,
+      variantId: data.variantId, productId: data.productId, categoryId: data.categoryId,
+    },
+  });
+};
+
+/**
+ * Bin for incoming stock: zones from the most specific matching putaway rule
+ * first. Within a zone, a bin already holding the SKU and lot is topped up
+ * before an empty one is opened; SKUs are never mixed in a bin.
+ */
+const findPutawayBin = async (warehouseId, variant, quantity, lotNumber) => {
+  const rules = await prisma.putawayRule.findMany({
+    where: { warehouseId, isActive: true },
+    orderBy: { priority: 'asc' },
+  });
+
+  const zoneIds = [...new Set(rules
+    .map((rule) => ({ rule, rank: ruleRank(rule, variant) }))
+    .filter(({ rank }) => rank !== null)
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ rule }) => rule.zoneId))];
+
+  const zones = await prisma.warehouseZone.findMany({
+    where: {
+      warehouseId,
+      isActive: true,
+      ...(zoneIds.length ? { id: { in: zoneIds } } : { type: { in: DEFAULT_PUTAWAY_ZONES } }),
+    },
+    include: { bins: { where: { isActive: true }, include: { stock: true } } },
+    orderBy: { pickSequence: 'asc' },
+  });
+  const candidates = zoneIds.length ? zoneIds.map((id) => zones.find((zone) => zone.id === id)).filter(Boolean) : zones;
+
+  for (const zone of candidates) {
+    const bins = zone.bins.map((bin) => ({ ...bin, zone })).sort(byRoute);
+    const holding = bins.find((bin) => hasRoom(bin, quantity) && bin.stock.some(
+      (stock) => stock.variantId === variant.id && stock.lotNumber === lotNumber && stock.quantity > 0,
+    ));
+    const bin = holding || bins.find((candidate) => unitsIn(candidate) === 0 && hasRoom(candidate, quantity));
+    if (bin) return bin;
+  }
+
+  throw new BadRequestError(`No bin has room for ${quantity} units of ${variant.sku}${lotLabel(lotNumber)}`);
+};
+
+const suggestPutaway = async (businessId, warehouseId, { variantId, quantity, lotNumber }) => {
+  await getWarehouseForBusiness(businessId, warehouseId);
+  const variant = await getVariantForBusiness(businessId, variantId);
+
+  const bin = await findPutawayBin(warehouseId, variant, quantity, lotNumber || NO_LOT);
+  return {
+    bin: { id: bin.id, code: bin.code, barcode: bin.barcode, units: unitsIn(bin), maxUnits: bin.maxUnits },
+    zone: { id: bin.zone.id, code: bin.zone.code, type: bin.zone.type },
+  };
+};
+
+/**
+ * Put received stock into a bin: the scanned one, or the suggested one
+ */
+const putaway = async (businessId, warehouseId, data, userId) => {
+  const { variantId, quantity, binBarcode } = data;
+  const lotNumber = data.lotNumber || NO_LOT;
+
+  await getWarehouseForBusiness(businessId, warehouseId);
+  const variant = await getVariantForBusiness(businessId, variantId);
+  if (variant.product.lotTracked && !lotNumber) {
+    throw new BadRequestError(`${variant.sku} is lot-tracked; give the lot being put away`);
+  }
+  if (!variant.product.lotTracked && lotNumber) throw new BadRequestError(`${variant.sku} is not lot-tracked`);
+
+  // Bins can't hold more than the warehouse has on hand
+  const onHand = lotNumber
+    ? await prisma.inventoryLot.findUnique({
+      where: { warehouseId_variantId_lotNumber: { warehouseId, variantId, lotNumber } },
+    })
+    : await prisma.warehouseInventory.findUnique({ where: { warehouseId_variantId: { warehouseId, variantId } } });
+  const binned = await prisma.binStock.aggregate({
+    where: { variantId, lotNumber, bin: { warehouseId } },
+    _sum: { quantity: true },
+  });
+  const unbinned = (onHand?.quantity || 0) - (binned._sum.quantity || 0);
+  if (quantity > unbinned) {
+    throw new BadRequestError(
+      `Only ${Math.max(unbinned, 0)} units of ${variant.sku}${lotLabel(lotNumber)} are waiting for putaway`,
+    );
+  }
+
+  let bin;
+  if (binBarcode) {
+    const scan = await barcodeScanner.resolveWarehouseScan(binBarcode, businessId, userId);
+    if (scan.type !== 'BIN' || scan.bin.warehouseId !== warehouseId) {
+      throw new BadRequestError(`${binBarcode} is not a bin in this warehouse`);
+    }
+    bin = await prisma.warehouseBin.findUnique({ where: { id: scan.bin.id }, include: { stock: true } });
+    if (!hasRoom(bin, quantity)) {
+      throw new BadRequestError(`Bin ${bin.code} has room for ${bin.maxUnits - unitsIn(bin)} units`);
+    }
+  } else {
+    bin = await findPutawayBin(warehouseId, variant, quantity, lotNumber);
+  }
+
+  const stock = await prisma.binStock.upsert({
+    where: stockKey(bin.id, variantId, lotNumber),
+    create: { binId: bin.id, variantId, lotNumber, quantity },
+    update: { quantity: { increment: quantity } },
+  });
+  await syncInventoryLocation(warehouseId, variantId);
+
+  logger.info('Stock put away', { warehouseId, binId: bin.id, variantId, lotNumber, quantity, userId });
+  return { bin: { id: bin.id, code: bin.code, barcode: bin.barcode }, stock };
+};
+
+// =============================================================================
+// PICK LISTS
+// =============================================================================
+
+/**
+ * Binned stock that can still be promised to a pick: on hand in pickable bins,
+ * less what open pick lines are already due to take
+ */
+const loadPickFaces = async (warehouseId) => {
+  const [stock, openLines] = await Promise.all([
+    prisma.binStock.findMany({
+      where: {
+        quantity: { gt: 0 },
+        bin: { warehouseId, isActive: true, zone: { type: { in: PICKABLE_ZONES }, isActive: true } },
+      },
+      include: { bin: { include: { zone: true } } },
+    }),
+    prisma.pickListLine.findMany({ where: { status: PICK_LINE_STATUS.PENDING, bin: { warehouseId } } }),
+  ]);
+
+  const faceKey = (row) => `${row.binId}:${row.variantId}:${row.lotNumber}`;
+  const promised = new Map();
+  openLines.forEach((line) => {
+    promised.set(faceKey(line), (promised.get(faceKey(line)) || 0) + line.quantity - line.pickedQuantity);
+  });
+
+  return stock
+    .map((row) => ({ ...row, free: row.quantity - (promised.get(faceKey(row)) || 0) }))
+    .filter((face) => face.free > 0)
+    .sort((a, b) => byRoute(a.bin, b.bin));
+};
+
+/**
+ * Lines taking a demand from the first faces on the route. Nothing is
+ * committed: the caller applies `taken` once the whole order fits.
+ */
+const fillDemand = (demand, faces, taken = new Map()) => {
+  const lines = [];
+  let remaining = demand.quantity;
+
+  for (const face of faces) {
+    if (remaining === 0) break;
+    if (face.variantId !== demand.variantId || face.lotNumber !== demand.lotNumber) continue;
+
+    const quantity = Math.min(face.free - (taken.get(face) || 0), remaining);
+    if (quantity <= 0) continue;
+
+    taken.set(face, (taken.get(face) || 0) + quantity);
+    lines.push({
+      orderId: demand.orderId, orderItemId: demand.orderItemId, variantId: demand.variantId,
+      lotNumber: demand.lotNumber, quantity, bin: face.bin,
+    });
+    remaining -= quantity;
+  }
+
+  return { lines, remaining };
+};
+
+/**
+ * What an order needs picked in this warehouse: lot-tracked lines per reserved lot
+ */
+const orderDemands = async (order, warehouseId) => {
+  const lotItemIds = order.items.filter((item) => item.variant.product.lotTracked).map((item) => item.id);
+  const allocations = lotItemIds.length
+    ? await prisma.lotAllocation.findMany({
+      where: { orderItemId: { in: lotItemIds }, status: inventoryLotService.ALLOCATION_STATUS.RESERVED },
+      include: { lot: true },
+    })
+    : [];
+
+  if (allocations.some((allocation) => allocation.lot.warehouseId !== warehouseId)) {
+    return { reason: 'Lots are reserved in another warehouse' };
+  }
+
+  const demands = [];
+  for (const item of order.items) {
+    const base = { orderId: order.id, orderItemId: item.id, variantId: item.variantId, sku: item.sku };
+    if (!item.variant.product.lotTracked) {
+      demands.push({ ...base, lotNumber: NO_LOT, quantity: item.quantity });
+      continue;
+    }
+
+    const reserved = allocations.filter((allocation) => allocation.orderItemId === item.id);
+    if (reserved.reduce((sum, allocation) => sum + allocation.quantity, 0) !== item.quantity) {
+      return { reason: `${item.sku} is not fully reserved to lots` };
+    }
+    reserved.forEach((allocation) => demands.push({
+      ...base, lotNumber: allocation.lot.lotNumber, quantity: allocation.quantity,
+    }));
+  }
+
+  return { demands };
+};
+
+/**
+ * Batch confirmed orders onto pick lists, one walk of the warehouse per list.
+ * Orders that can't be picked in full from this warehouse's bins are skipped.
+ * Picking moves each order to PROCESSING.
+ */
+const generatePickLists = async (businessId, warehouseId, options = {}, createdById = null) => {
+  const { orderIds, batchSize = DEFAULT_BATCH_SIZE, assignedToId } = options;
+  await getWarehouseForBusiness(businessId, warehouseId);
+
+  const orders = await prisma.order.findMany({
+    where: { sellerId: businessId, status: 'CONFIRMED', ...(orderIds ? { id: { in: orderIds } } : {}) },
+    include: { items: { include: { variant: { include: { product: { select: { lotTracked: true } } } } } } },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const faces = await loadPickFaces(warehouseId);
+  const planned = [];
+  const skipped = [];
+
+  for (const order of orders) {
+    const { demands, reason } = await orderDemands(order, warehouseId);
+    if (reason) {
+      skipped.push({ orderId: order.id, orderNumber: order.orderNumber, reason });
+      continue;
+    }
+
+    const taken = new Map();
+    const fills = demands.map((demand) => ({ demand, ...fillDemand(demand, faces, taken) }));
+    const short = fills.find(({ remaining }) => remaining > 0);
+    if (short) {
+      skipped.push({
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        reason: `Not enough ${short.demand.sku}${lotLabel(short.demand.lotNumber)} in pickable bins`,
+      });
+      continue;
+    }
+
+    taken.forEach((quantity, face) => {
+      face.free -= quantity;
+    });
+    planned.push({ order, lines: fills.flatMap(({ lines }) => lines) });
+  }
+
+  const pickLists = [];
+  for (let start = 0; start < planned.length; start += batchSize) {
+    const batch = planned.slice(start, start + batchSize);
+    const route = batch.flatMap(({ lines }) => lines).sort((a, b) => byRoute(a.bin, b.bin));
+
+    const pickList = await prisma.$transaction(async (tx) => {
+      const created = await tx.pickList.create({
+        data: {
+          pickListNumber: await generatePickListNumber(tx),
+          businessId, warehouseId, assignedToId, createdById,
+          orderIds: batch.map(({ order }) => order.id),
+        },
+      });
+      await tx.pickListLine.createMany({
+        data: route.map(({ bin, ...line }, index) => ({
+          ...line, pickListId: created.id, binId: bin.id, sequence: index + 1,
+        })),
+      });
+      return tx.pickList.findUnique({ where: { id: created.id }, include: PICK_LIST_INCLUDE });
+    });
+
+    for (const { order } of batch) {
+      await orderService.updateOrderStatus(order.id, businessId, 'PROCESSING', {
+        description: `Picking on ${pickList.pickListNumber}`,
+      });
+    }
+    pickLists.push(pickList);
+  }
+
+  logger.info('Pick lists generated', {
+    businessId, warehouseId, pickLists: pickLists.length, orders: planned.length, skipped: skipped.length,
+  });
+  return { pickLists, skipped };
+};
+
+const getPickList = async (businessId, pickListId) => {
+  const pickList = await prisma.pickList.findFirst({
+    where: { id: pickListId, businessId },
+    include: PICK_LIST_INCLUDE,
+  });
+  if (!pickList) throw new NotFoundError('Pick list');
+
+  return { ...pickList, nextLine: pickList.lines.find((line) => line.status === PICK_LINE_STATUS.PENDING) || null };
+};
+
+const listPickLists = async (businessId, options = {}) => {
+  const { page = 1, limit = 20, warehouseId, status } = options;
+  const skip = (page - 1) * limit;
+  const where = { businessId };
+  if (warehouseId) where.warehouseId = warehouseId;
+  if (status) where.status = status;
+
+  const [pickLists, total] = await Promise.all([
+    prisma.pickList.findMany({ where, skip, take: limit, orderBy: { createdAt: 'desc' } }),
+    prisma.pickList.count({ where }),
+  ]);
+
+  return { pickLists, pagination: { page, limit, total, totalPages: Math.ceil(total / limit) } };
+};
+
+/**
+ * Move a pick list on once a line changes: started on the first pick,
+ * completed when nothing is left to pick
+ */
+const settlePickList = async (client, pickListId, { started = false } = {}) => {
+  const pickList = await client.pickList.findUnique({ where: { id: pickListId }, include: { lines: true } });
+  const now = new Date();
+  const data = {};
+
+  if (started && !pickList.startedAt) Object.assign(data, { status: PICK_LIST_STATUS.IN_PROGRESS, startedAt: now });
+  if (pickList.lines.every((line) => line.status === PICK_LINE_STATUS.CANCELLED)) {
+    Object.assign(data, { status: PICK_LIST_STATUS.CANCELLED, completedAt: now });
+  } else if (!pickList.lines.some((line) => line.status === PICK_LINE_STATUS.PENDING)) {
+    Object.assign(data, { status: PICK_LIST_STATUS.COMPLETED, completedAt: now });
+  }
+
+  if (Object.keys(data).length === 0) return pickList;
+  return client.pickList.update({ where: { id: pickListId }, data });
+};
+
+/**
+ * Confirm a pick by scanning the bin label and then the item. Units come off
+ * the bin's stock and are credited to the pick list's open lines for that bin
+ * in route order.
+ */
+const scanPick = async (businessId, pickListId, scan, userId) => {
+  const { binBarcode, itemBarcode, lotNumber, quantity = 1 } = scan;
+  const pickList = await getPickList(businessId, pickListId);
+  if (![PICK_LIST_STATUS.OPEN, PICK_LIST_STATUS.IN_PROGRESS].includes(pickList.status)) {
+    throw new BadRequestError(`Pick list is ${pickList.status.toLowerCase()}`);
+  }
+
+  const binScan = await barcodeScanner.resolveWarehouseScan(binBarcode, businessId, userId);
+  if (binScan.type !== 'BIN') throw new BadRequestError(`${binBarcode} is not a bin label`);
+  const itemScan = await barcodeScanner.resolveWarehouseScan(itemBarcode, businessId, userId);
+  if (itemScan.type !== 'VARIANT') throw new BadRequestError(`${itemBarcode} is not a known item`);
+
+  const { bin } = binScan;
+  const { variant } = itemScan;
+  const lines = pickList.lines.filter((line) => line.status === PICK_LINE_STATUS.PENDING
+    && line.binId === bin.id && line.variantId === variant.id && (!lotNumber || line.lotNumber === lotNumber));
+  if (lines.length === 0) {
+    throw new BadRequestError(`${variant.sku}${lotLabel(lotNumber)} is not due from bin ${bin.code} on this pick list`);
+  }
+  if (new Set(lines.map((line) => line.lotNumber)).size > 1) {
+    throw new BadRequestError(`Bin ${bin.code} holds several lots of ${variant.sku}; give the lot being picked`);
+  }
+
+  const due = lines.reduce((sum, line) => sum + line.quantity - line.pickedQuantity, 0);
+  if (quantity > due) throw new BadRequestError(`Only ${due} units of ${variant.sku} are due from bin ${bin.code}`);
+
+  const { lotNumber: pickedLot } = lines[0];
+  const stock = await prisma.binStock.findUnique({ where: stockKey(bin.id, variant.id, pickedLot) });
+  if (!stock || stock.quantity < quantity) {
+    throw new BadRequestError(
+      `Bin ${bin.code} holds ${stock?.quantity || 0} units of ${variant.sku}; report a short pick`,
+    );
+  }
+
+  const now = new Date();
+  const confirmed = await prisma.$transaction(async (tx) => {
+    // Guarded on the bin still holding the units: a concurrent pick may have emptied it since it was read
+    const { count: taken } = await tx.binStock.updateMany({
+      where: { binId: bin.id, variantId: variant.id, lotNumber: pickedLot, quantity: { gte: quantity } },
+      data: { quantity: { decrement: quantity } },
+    });
+    if (taken === 0) {
+      throw new ConflictError(`Bin ${bin.code} no longer holds ${quantity} units of ${variant.sku}; rescan or report a short pick`);
+    }
+
+    const updated = [];
+    let remaining = quantity;
+    for (const line of lines) {
+      if (remaining === 0) break;
+      const take = Math.min(remaining, line.quantity - line.pickedQuantity);
+      const { count } = await tx.pickListLine.updateMany({
+        where: { id: line.id, status: PICK_LINE_STATUS.PENDING, pickedQuantity: { lte: line.quantity - take } },
+        data: { pickedQuantity: { increment: take }, pickedAt: now, pickedById: userId },
+      });
+      if (count === 0) throw new ConflictError('This pick list changed while the scan was confirmed; rescan the item');
+
+      const picked = await tx.pickListLine.findUnique({ where: { id: line.id } });
+      updated.push(picked.pickedQuantity === picked.quantity
+        ? await tx.pickListLine.update({ where: { id: line.id }, data: { status: PICK_LINE_STATUS.PICKED } })
+        : picked);
+      remaining -= take;
+    }
+
+    await settlePickList(tx, pickListId, { started: true });
+    return updated;
+  });
+  await syncInventoryLocation(pickList.warehouseId, variant.id);
+
+  logger.info('Pick confirmed', { pickListId, binId: bin.id, variantId: variant.id, quantity, userId });
+  return { confirmed, pickList: await getPickList(businessId, pickListId) };
+};
+
+/**
+ * Record that a bin held less than its line needs. The bin is zeroed for the
+ * SKU (a cycle count will reconcile it) and the shortfall is re-slotted to
+ * other bins; whatever can't be is flagged to the seller.
+ */
+const reportShortPick = async (businessId, pickListId, lineId, { reason } = {}, userId = null) => {
+  const pickList = await getPickList(businessId, pickListId);
+  const line = pickList.lines.find((candidate) => candidate.id === lineId);
+  if (!line) throw new NotFoundError('Pick list line');
+  if (line.status !== PICK_LINE_STATUS.PENDING) {
+    throw new BadRequestError('Only lines still to pick can be reported short');
+  }
+
+  const demand = { ...line, quantity: line.quantity - line.pickedQuantity };
+  const faces = (await loadPickFaces(pickList.warehouseId)).filter((face) => face.binId !== line.binId);
+  const { lines: replacements, remaining } = fillDemand(demand, faces);
+  const lastSequence = Math.max(...pickList.lines.map((candidate) => candidate.sequence));
+
+  await prisma.$transaction(async (tx) => {
+    await tx.pickListLine.update({
+      where: { id: line.id },
+      data: { status: PICK_LINE_STATUS.SHORT, shortReason: reason || null, pickedById: userId },
+    });
+    await tx.binStock.updateMany({
+      where: { binId: line.binId, variantId: line.variantId, lotNumber: line.lotNumber },
+      data: { quantity: 0 },
+    });
+    if (replacements.length) {
+      await tx.pickListLine.createMany({
+        data: replacements.sort((a, b) => byRoute(a.bin, b.bin)).map(({ bin, ...replacement }, index) => ({
+          ...replacement, pickListId, binId: bin.id, sequence: lastSequence + index + 1,
+        })),
+      });
+    }
+    await settlePickList(tx, pickListId, { started: true });
+  });
+  await syncInventoryLocation(pickList.warehouseId, line.variantId);
+
+  if (remaining > 0) {
+    emitToBusiness(businessId, 'warehouse:short_pick', {
+      pickListId, pickListNumber: pickList.pickListNumber, orderId: line.orderId,
+      variantId: line.variantId, lotNumber: line.lotNumber || null, binCode: line.bin.code, unfilled: remaining,
+    });
+  }
+
+  const reslotted = demand.quantity - remaining;
+  logger.warn('Short pick reported', { pickListId, lineId, binId: line.binId, reslotted, unfilled: remaining });
+  return { pickList: await getPickList(businessId, pickListId), reslotted, unfilled: remaining };
+};
+
+/**
+ * Put picked units of a cancelled order back into the bins they came from
+ */
+const cancelOrderPicks = async (orderId) => {
+  const lines = await prisma.pickListLine.findMany({
+    where: { orderId, status: { not: PICK_LINE_STATUS.CANCELLED } },
+    include: { pickList: { select: { warehouseId: true } } },
+  });
+  if (lines.length === 0) return { putBack: 0 };
+
+  await prisma.$transaction(async (tx) => {
+    for (const line of lines.filter((candidate) => candidate.pickedQuantity > 0)) {
+      await tx.binStock.upsert({
+        where: stockKey(line.binId, line.variantId, line.lotNumber),
+        create: {
+          binId: line.binId, variantId: line.variantId, lotNumber: line.lotNumber, quantity: line.pickedQuantity,
+        },
+        update: { quantity: { increment: line.pickedQuantity } },
+      });
+    }
+    await tx.pickListLine.updateMany({
+      where: { id: { in: lines.map((line) => line.id) } },
+      data: { status: PICK_LINE_STATUS.CANCELLED },
+    });
+    for (const pickListId of new Set(lines.map((line) => line.pickListId))) {
+      await settlePickList(tx, pickListId);
+    }
+  });
+
+  for (const line of lines.filter((candidate) => candidate.pickedQuantity > 0)) {
+    await syncInventoryLocation(line.pickList.warehouseId, line.variantId);
+  }
+
+  const putBack = lines.reduce((sum, line) => sum + line.pickedQuantity, 0);
+  logger.info('Order picks cancelled', { orderId, lines: lines.length, putBack });
+  return { putBack };
+};
+
+// =============================================================================
+// PACKING & DISPATCH
+// =============================================================================
+
+/**
+ * Units per order line and lot, from pick lines or carton contents
+ */
+const tally = (entries) => entries.reduce((totals, entry) => {
+  const key = `${entry.orderItemId}:${entry.lotNumber}`;
+  const total = totals.get(key)
+    || { orderItemId: entry.orderItemId, variantId: entry.variantId, lotNumber: entry.lotNumber, quantity: 0 };
+  total.quantity += entry.quantity;
+  return totals.set(key, total);
+}, new Map());
+
+/**
+ * Pack picked units into a carton. Once every ordered unit is packed the
+ * order moves to READY_TO_SHIP.
+ */
+const packCarton = async (businessId, orderId, carton, userId = null) => {
+  const order = await prisma.order.findFirst({
+    where: { id: orderId, sellerId: businessId },
+    include: { items: true },
+  });
+  if (!order) throw new NotFoundError('Order');
+  if (order.status !== 'PROCESSING') throw new OrderStateError(order.status, 'pack');
+
+  const [lines, cartons] = await Promise.all([
+    prisma.pickListLine.findMany({
+      where: { orderId, status: { not: PICK_LINE_STATUS.CANCELLED }, pickedQuantity: { gt: 0 } },
+      include: { pickList: { select: { warehouseId: true } } },
+      orderBy: { sequence: 'asc' },
+    }),
+    prisma.packingCarton.findMany({ where: { orderId }, orderBy: { cartonNumber: 'asc' } }),
+  ]);
+  if (lines.length === 0) throw new BadRequestError('Nothing has been picked for this order');
+
+  // Picked units not yet in a carton
+  const packed = tally(cartons.flatMap((existing) => existing.contents));
+  const unpacked = [...tally(lines.map((line) => ({ ...line, quantity: line.pickedQuantity }))).entries()]
+    .map(([key, total]) => ({ ...total, quantity: total.quantity - (packed.get(key)?.quantity || 0) }));
+
+  const contents = [];
+  for (const { orderItemId, quantity, lotNumber } of carton.items) {
+    let remaining = quantity;
+    for (const entry of unpacked) {
+      if (remaining === 0) break;
+      if (entry.orderItemId !== orderItemId || (lotNumber && entry.lotNumber !== lotNumber)) continue;
+      const take = Math.min(entry.quantity, remaining);
+      if (take <= 0) continue;
+      contents.push({ orderItemId, variantId: entry.variantId, lotNumber: entry.lotNumber, quantity: take });
+      entry.quantity -= take;
+      remaining -= take;
+    }
+    if (remaining > 0) {
+      throw new BadRequestError(
+        `Only ${quantity - remaining} picked units of order line ${orderItemId}${lotLabel(lotNumber)} are left to pack`,
+      );
+    }
+  }
+
+  const created = await prisma.packingCarton.create({
+    data: {
+      orderId, warehouseId: lines[0].pickList.warehouseId, cartonNumber: cartons.length + 1, contents,
+      weightKg: carton.weightKg, lengthCm: carton.lengthCm, widthCm: carton.widthCm, heightCm: carton.heightCm,
+      packedById: userId,
+    },
+  });
+
+  const packedByItem = new Map();
+  [...cartons, created].flatMap((existing) => existing.contents).forEach((entry) => {
+    packedByItem.set(entry.orderItemId, (packedByItem.get(entry.orderItemId) || 0) + entry.quantity);
+  });
+  const readyToShip = order.items.every((item) => (packedByItem.get(item.id) || 0) >= item.quantity);
+
+  if (readyToShip) {
+    const count = cartons.length + 1;
+    await orderService.updateOrderStatus(orderId, businessId, 'READY_TO_SHIP', {
+      description: `Packed in ${count} carton${count === 1 ? '' : 's'}`,
+      extra: { cartons: count },
+    });
+  }
+
+  logger.info('Carton packed', { orderId, cartonNumber: created.cartonNumber, units: contents.length, readyToShip });
+  return { carton: created, readyToShip };
+};
+
+const warehouseAddress = (warehouse) => ({
+  name: warehouse.name,
+  addressLine1: warehouse.addressLine1,
+  addressLine2: warehouse.addressLine2,
+  city: warehouse.city,
+  state: warehouse.state,
+  pincode: warehouse.pincode,
+  country: warehouse.country,
+  phone: warehouse.phone,
+});
+
+/**
+ * Book the carrier for a packed order, with the packed cartons' weight and
+ * dimensions
+ */
+const dispatchOrder = async (businessId, orderId, carrierDetails = {}) => {
+  const order = await prisma.order.findFirst({
+    where: { id: orderId, sellerId: businessId },
+    include: { items: true },
+  });
+  if (!order) throw new NotFoundError('Order');
+  if (order.status !== 'READY_TO_SHIP') throw new OrderStateError(order.status, 'dispatch');
+
+  const cartons = await prisma.packingCarton.findMany({
+    where: { orderId, shipmentId: null },
+    orderBy: { cartonNumber: 'asc' },
+  });
+  if (cartons.length === 0) throw new BadRequestError('Order has no packed cartons');
+
+  const warehouse = await prisma.warehouse.findUnique({ where: { id: cartons[0].warehouseId } });
+  const packages = cartons.map((carton) => ({
+    cartonNumber: carton.cartonNumber,
+    weightKg: Number(carton.weightKg),
+    lengthCm: Number(carton.lengthCm),
+    widthCm: Number(carton.widthCm),
+    heightCm: Number(carton.heightCm),
+  }));
+  const [single] = packages;
+
+  const shipment = await shippingService.createShipment({
+    orderId,
+    businessId,
+    carrier: carrierDetails.carrier || shippingService.CARRIERS.DELHIVERY,
+    carrierName: carrierDetails.carrierName,
+    serviceType: carrierDetails.serviceType,
+    estimatedDays: carrierDetails.estimatedDays,
+    pickupAddress: warehouseAddress(warehouse),
+    deliveryAddress: order.shippingAddress,
+    items: [...tally(cartons.flatMap((carton) => carton.contents)).values()],
+    weight: roundTo(packages.reduce((sum, carton) => sum + carton.weightKg, 0), 3),
+    dimensions: packages.length === 1
+      ? { length: single.lengthCm, width: single.widthCm, height: single.heightCm }
+      : undefined,
+    packages,
+    declaredValue: Number(order.totalAmount),
+    paymentMode: carrierDetails.paymentMode || 'PREPAID',
+  });
+
+  await prisma.packingCarton.updateMany({
+    where: { id: { in: cartons.map((carton) => carton.id) } },
+    data: { shipmentId: shipment.id },
+  });
+
+  logger.info('Packed order dispatched', { orderId, shipmentId: shipment.id, cartons: cartons.length });
+  return { shipment, cartons: packages };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = {
+  ZONE_TYPE, PICK_LIST_STATUS, PICK_LINE_STATUS,
+  createZone, createBins, getLayout,
+  createPutawayRule, suggestPutaway, putaway,
+  generatePickLists, getPickList, listPickLists, scanPick, reportShortPick, cancelOrderPicks,
+  packCarton, dispatchOrder,
+};
@@ -1,11 +1,22 @@
 // =============================================================================
 // AIRAVAT B2B MARKETPLACE - WEBHOOK SERVICE
-// Event-driven webhooks for third-party integrations
+// Event-driven webhooks for third-party integrations: subscriptions, versioned
+// payloads, signed delivery with retries, dead-letter queue and replay
 // =============================================================================
 
 const { prisma } = require('../config/database');
+const config = require('../config');
 const logger = require('../config/logger');
-const { AppError, BadRequestError, NotFoundError } = require('../utils/errors');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { sha256 } = require('../utils/hashChain');
+const {
+  EVENTS: WEBHOOK_EVENTS,
+  resolveEventType,
+  latestVersion,
+  hasVersion,
+  renderPayload,
+} = require('../utils/webhookCatalog');
+const { addJob } = require('../jobs/queue');
 const crypto = require('crypto');
 const axios = require('axios');
 
@@ -13,73 +24,31 @@ const axios = require('axios');
 // CONFIGURATION
 // =============================================================================
 
-/**
- * Webhook event types
- */
-const WEBHOOK_EVENTS = {
-  // Order events
-  'order.created': { category: 'orders', description: 'When a new order is placed' },
-  'order.confirmed': { category: 'orders', description: 'When an order is confirmed' },
-  'order.shipped': { category: 'orders', description: 'When an order is shipped' },
-  'order.delivered': { category: 'orders', description: 'When an order is delivered' },
-  'order.cancelled': { category: 'orders', description: 'When an order is cancelled' },
-  'order.refunded': { category: 'orders', description: 'When an order is refunded' },
-
-  // Payment events
-  'payment.received': { category: 'payments', description: 'When a payment is received' },
-  'payment.failed': { category: 'payments', description: 'When a payment fails' },
-  'payment.refunded': { category: 'payments', description: 'When a payment is refunded' },
-
-  // Product events
-  'product.created': { category: 'products', description: 'When a product is created' },
-  'product.updated': { category: 'products', description: 'When a product is updated' },
-  'product.deleted': { category: 'products', description: 'When a product is deleted' },
-  'product.stock_low': { category: 'products', description: 'When stock falls below threshold' },
-  'product.out_of_stock': { category: 'products', description: 'When product goes out of stock' },
-
-  // RFQ events
-  'rfq.created': { category: 'rfq', description: 'When an RFQ is created' },
-  'rfq.quotation_received': { category: 'rfq', description: 'When a quotation is received' },
-  'rfq.awarded': { category: 'rfq', description: 'When an RFQ is awarded' },
-  'rfq.closed': { category: 'rfq', description: 'When an RFQ is closed' },
-
-  // User events
-  'user.registered': { category: 'users', description: 'When a new user registers' },
-  'user.verified': { category: 'users', description: 'When a user is verified' },
-  'business.verified': { category: 'users', description: 'When a business is verified' },
-
-  // Inquiry events
-  'inquiry.received': { category: 'inquiries', description: 'When an inquiry is received' },
-  'inquiry.responded': { category: 'inquiries', description: 'When an inquiry is responded' },
-
-  // Lead events
-  'lead.captured': { category: 'leads', description: 'When a new lead is captured' },
-  'lead.converted': { category: 'leads', description: 'When a lead is converted' },
-
-  // Review events
-  'review.created': { category: 'reviews', description: 'When a review is posted' },
-  'review.approved': { category: 'reviews', description: 'When a review is approved' },
-};
-
 /**
  * Webhook delivery status
  */
 const DELIVERY_STATUS = {
   PENDING: 'pending',
-  SUCCESS: 'success',
-  FAILED: 'failed',
   RETRYING: 'retrying',
+  SUCCESS: 'success',
+  DEAD: 'dead', // In the dead-letter queue
 };
 
 /**
  * Retry configuration
  */
 const RETRY_CONFIG = {
-  maxRetries: 5,
   retryDelays: [60, 300, 900, 3600, 7200], // seconds: 1m, 5m, 15m, 1h, 2h
+  maxAttempts: 6, // First attempt plus one per retry delay
   timeout: 30000, // 30 seconds
 };
 
+// Stuck deliveries (lost queue job, crashed worker) are picked up again after this
+const DELIVERY_LEASE_SECONDS = 300;
+
+// Upper bound on deliveries requeued by one replay request
+const MAX_REPLAY = 1000;
+
 // =============================================================================
 // WEBHOOK MANAGEMENT
 // =============================================================================
@@ -87,91 +56,80 @@ const RETRY_CONFIG = {
 /**
  * Create a webhook endpoint
  * @param {string} businessId - Business ID
- * @param {Object} data - Webhook data
- * @returns {Promise<Object>} Created webhook
+ * @param {Object} data - { url, events, description, eventVersions? }
+ * @returns {Promise<Object>} Created webhook, including the secret (shown once)
  */
 exports.createWebhook = async (businessId, data) => {
-  try {
-    const { url, events, description, secret } = data;
+  const { url, description, secret } = data;
 
-    // Validate URL
-    if (!isValidUrl(url)) {
-      throw new BadRequestError('Invalid webhook URL');
-    }
-
-    // Validate events
-    for (const event of events) {
-      if (!WEBHOOK_EVENTS[event]) {
-        throw new BadRequestError(`Invalid event type: ${event}`);
-      }
-    }
+  if (!isValidUrl(url)) {
+    throw new BadRequestError('Invalid webhook URL');
+  }
 
-    // Generate secret if not provided
-    const webhookSecret = secret || generateWebhookSecret();
+  const events = normalizeEvents(data.events);
+  const webhookSecret = secret || generateWebhookSecret();
 
-    const webhook = await prisma.webhook.create({
-      data: {
-        businessId,
-        url,
-        events,
-        description,
-        secret: webhookSecret,
-        isActive: true,
-        metadata: {
-          createdFrom: 'api',
-          version: '1.0',
-        },
-      },
-    });
+  const webhook = await prisma.webhook.create({
+    data: {
+      businessId,
+      url,
+      events,
+      eventVersions: pinVersions(events, data.eventVersions),
+      description,
+      secret: webhookSecret,
+      isActive: true,
+      metadata: { createdFrom: 'api' },
+    },
+  });
 
-    logger.info('Webhook created', { webhookId: webhook.id, businessId });
+  logger.info('Webhook created', { webhookId: webhook.id, businessId });
 
-    return {
-      ...webhook,
-      secret: webhookSecret, // Return once for storage
-    };
-  } catch (error) {
-    logger.error('Create webhook error', { error: error.message, businessId });
-    throw error;
-  }
+  return {
+    ...webhook,
+    secret: webhookSecret, // Return once for storage
+  };
 };
 
 /**
- * Update a webhook
+ * Update a webhook. Re-activating a disabled webhook clears its failure streak.
  * @param {string} webhookId - Webhook ID
  * @param {string} businessId - Business ID
- * @param {Object} updates - Updates
+ * @param {Object} updates - { url, events, description, isActive, eventVersions }
  * @returns {Promise<Object>} Updated webhook
  */
 exports.updateWebhook = async (webhookId, businessId, updates) => {
-  const webhook = await prisma.webhook.findFirst({
-    where: { id: webhookId, businessId },
-  });
+  const webhook = await findOwnWebhook(webhookId, businessId);
 
-  if (!webhook) {
-    throw new NotFoundError('Webhook not found');
-  }
-
-  const allowedUpdates = ['url', 'events', 'description', 'isActive'];
   const updateData = {};
 
-  for (const key of allowedUpdates) {
-    if (updates[key] !== undefined) {
-      updateData[key] = updates[key];
+  if (updates.url !== undefined) {
+    if (!isValidUrl(updates.url)) {
+      throw new BadRequestError('Invalid webhook URL');
     }
+    updateData.url = updates.url;
   }
 
-  // Validate URL if updated
-  if (updateData.url && !isValidUrl(updateData.url)) {
-    throw new BadRequestError('Invalid webhook URL');
+  if (updates.description !== undefined) {
+    updateData.description = updates.description;
   }
 
-  // Validate events if updated
-  if (updateData.events) {
-    for (const event of updateData.events) {
-      if (!WEBHOOK_EVENTS[event]) {
-        throw new BadRequestError(`Invalid event type: ${event}`);
-      }
+  // New events are pinned to their latest version; existing pins are kept unless changed
+  if (updates.events !== undefined || updates.eventVersions !== undefined) {
+    const events = updates.events !== undefined ? normalizeEvents(updates.events) : webhook.events;
+    updateData.events = events;
+    updateData.eventVersions = pinVersions(events, updates.eventVersions, webhook.eventVersions || {});
+  }
+
+  if (updates.isActive !== undefined) {
+    updateData.isActive = updates.isActive;
+
+    if (updates.isActive && !webhook.isActive) {
+      Object.assign(updateData, {
+        consecutiveFailures: 0,
+        failingSince: null,
+        disabledAt: null,
+        disabledReason: null,
+      });
     }
   }
 
@@ -182,7 +140,7 @@ exports.updateWebhook = async (webhookId, businessId, updates) => {
 
   logger.info('Webhook updated', { webhookId });
 
-  return updated;
+  return withoutSecrets(updated);
 };
 
 /**
@@ -192,13 +150,7 @@ exports.updateWebhook = async (webhookId, businessId, updates) => {
  * @returns {Promise<void>}
  */
 exports.deleteWebhook = async (webhookId, businessId) => {
-  const webhook = await prisma.webhook.findFirst({
-    where: { id: webhookId, businessId },
-  });
-
-  if (!webhook) {
-    throw new NotFoundError('Webhook not found');
-  }
+  await findOwnWebhook(webhookId, businessId);
 
   await prisma.webhook.delete({ where: { id: webhookId } });
 
@@ -218,11 +170,17 @@ exports.getWebhooks = async (businessId) => {
       id: true,
       url: true,
       events: true,
+      eventVersions: true,
       description: true,
       isActive: true,
       lastTriggeredAt: true,
       successCount: true,
       failureCount: true,
+      consecutiveFailures: true,
+      disabledAt: true,
+      disabledReason: true,
+      secretRotatedAt: true,
+      previousSecretExpiresAt: true,
       createdAt: true,
     },
   });
@@ -231,33 +189,36 @@ exports.getWebhooks = async (businessId) => {
 };
 
 /**
- * Rotate webhook secret
+ * Rotate webhook secret. Deliveries are signed with both the new and the old
+ * secret until the overlap window ends, so receivers can switch without gaps.
  * @param {string} webhookId - Webhook ID
  * @param {string} businessId - Business ID
- * @returns {Promise<Object>} New secret
+ * @param {Object} options - { overlapHours }
+ * @returns {Promise<Object>} New secret and when the old one stops being used
  */
-exports.rotateSecret = async (webhookId, businessId) => {
-  const webhook = await prisma.webhook.findFirst({
-    where: { id: webhookId, businessId },
-  });
-
-  if (!webhook) {
-    throw new NotFoundError('Webhook not found');
-  }
+exports.rotateSecret = async (webhookId, businessId, options = {}) => {
+  const webhook = await findOwnWebhook(webhookId, businessId);
 
+  const overlapHours = options.overlapHours ?? config.webhooks.secretOverlapHours;
   const newSecret = generateWebhookSecret();
+  const now = new Date();
+  const previousSecretExpiresAt = overlapHours > 0
+    ? new Date(now.getTime() + overlapHours * 60 * 60 * 1000)
+    : null;
 
   await prisma.webhook.update({
     where: { id: webhookId },
     data: {
       secret: newSecret,
-      secretRotatedAt: new Date(),
+      secretRotatedAt: now,
+      previousSecret: previousSecretExpiresAt ? webhook.secret : null,
+      previousSecretExpiresAt,
     },
   });
 
-  logger.info('Webhook secret rotated', { webhookId });
+  logger.info('Webhook secret rotated', { webhookId, overlapHours });
 
-  return { secret: newSecret };
+  return { secret: newSecret, previousSecretExpiresAt };
 };
 
 // =============================================================================
@@ -265,208 +226,405 @@ exports.rotateSecret = async (webhookId, businessId) => {
 // =============================================================================
 
 /**
- * Trigger a webhook event
- * @param {string} eventType - Event type
- * @param {Object} payload - Event payload
- * @param {Object} context - Event context
+ * Fan an event out to every active subscription. Called by the outbox relay;
+ * the idempotency key yields a stable event ID, so a redelivered outbox event
+ * does not create a second delivery per webhook.
+ * @param {string} eventType - Event type (legacy aliases accepted)
+ * @param {Object} payload - Producer data, rendered per subscriber version at send time
+ * @param {string[]} businessIds - Limit to these businesses' webhooks (empty = all)
+ * @param {Object} options - { idempotencyKey }
  * @returns {Promise<Object>} Dispatch results
  */
-exports.triggerEvent = async (eventType, payload, context = {}) => {
-  try {
-    const { businessId, userId } = context;
+exports.dispatch = async (eventType, payload, businessIds = [], options = {}) => {
+  const canonicalType = resolveEventType(eventType);
 
-    if (!WEBHOOK_EVENTS[eventType]) {
-      logger.warn('Unknown webhook event type', { eventType });
-      return { dispatched: 0 };
-    }
+  if (!canonicalType) {
+    logger.warn('Unknown webhook event type', { eventType });
+    return { dispatched: 0 };
+  }
 
-    // Find all active webhooks subscribed to this event
-    const webhooks = await prisma.webhook.findMany({
-      where: {
-        isActive: true,
-        events: { has: eventType },
-        ...(businessId && { businessId }),
-      },
-    });
+  const webhooks = await prisma.webhook.findMany({
+    where: {
+      isActive: true,
+      events: { has: canonicalType },
+      ...(businessIds.length > 0 && { businessId: { in: businessIds } }),
+    },
+    select: { id: true, eventVersions: true },
+  });
 
-    if (webhooks.length === 0) {
-      return { dispatched: 0 };
-    }
+  if (webhooks.length === 0) {
+    return { dispatched: 0 };
+  }
 
-    const eventId = generateEventId();
-    const timestamp = new Date().toISOString();
+  const eventId = options.idempotencyKey
+    ? `evt_${sha256(options.idempotencyKey).substring(0, 24)}`
+    : generateEventId();
 
-    const results = [];
+  await prisma.webhookDelivery.createMany({
+    data: webhooks.map((webhook) => ({
+      webhookId: webhook.id,
+      eventId,
+      eventType: canonicalType,
+      payload,
+      payloadVersion: pinnedVersion(webhook, canonicalType),
+      status: DELIVERY_STATUS.PENDING,
+    })),
+    skipDuplicates: true,
+  });
 
-    for (const webhook of webhooks) {
-      // Create delivery record
-      const delivery = await prisma.webhookDelivery.create({
-        data: {
-          webhookId: webhook.id,
-          eventId,
-          eventType,
-          payload,
-          status: DELIVERY_STATUS.PENDING,
-          attempts: 0,
-        },
-      });
+  // Enqueue whatever has not been attempted yet (including rows left by an earlier, failed dispatch)
+  const pending = await prisma.webhookDelivery.findMany({
+    where: { eventId, status: DELIVERY_STATUS.PENDING, attempts: 0 },
+    select: { id: true, attempts: true, replayCount: true },
+  });
 
-      // Dispatch asynchronously
-      dispatchWebhook(webhook, delivery, payload, eventType, timestamp)
-        .then((result) => results.push(result))
-        .catch((error) => {
-          logger.error('Webhook dispatch error', { error: error.message, webhookId: webhook.id });
-        });
-    }
+  for (const delivery of pending) {
+    await enqueueDelivery(delivery);
+  }
 
-    logger.info('Webhook event triggered', { 
-      eventType, 
-      eventId, 
-      webhooksCount: webhooks.length,
-    });
+  logger.info('Webhook event dispatched', {
+    eventType: canonicalType,
+    eventId,
+    webhooksCount: webhooks.length,
+  });
 
-    return {
-      eventId,
-      eventType,
-      dispatched: webhooks.length,
-    };
-  } catch (error) {
-    logger.error('Trigger event error', { error: error.message, eventType });
-    throw error;
-  }
+  return {
+    eventId,
+    eventType: canonicalType,
+    dispatched: webhooks.length,
+  };
 };
 
+// =============================================================================
+// DELIVERY
+// =============================================================================
+
 /**
- * Dispatch a single webhook
- * @param {Object} webhook - Webhook record
- * @param {Object} delivery - Delivery record
- * @param {Object} payload - Event payload
- * @param {string} eventType - Event type
- * @param {string} timestamp - Timestamp
+ * Attempt one delivery (called by the webhook queue processor). HTTP failures
+ * are recorded on the delivery row and retried from there, never thrown.
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object>} Attempt result
  */
-async function dispatchWebhook(webhook, delivery, payload, eventType, timestamp) {
-  const signature = generateSignature(payload, webhook.secret);
-
-    const headers = {
-      'Content-Type': 'application/json',
-    'X-Airavat-Event': eventType,
-    'X-Airavat-Delivery': delivery.id,
-    'X-Airavat-Signature': signature,
-    'X-Airavat-Timestamp': timestamp,
-    'User-Agent': 'Airavat-Webhook/1.0',
-  };
-
-  const body = {
-    event: eventType,
-    timestamp,
-    data: payload,
-  };
+exports.deliver = async (deliveryId) => {
+  const delivery = await prisma.webhookDelivery.findUnique({
+    where: { id: deliveryId },
+    include: { webhook: true },
+  });
 
-  try {
-    const response = await axios.post(webhook.url, body, {
-          headers,
-      timeout: RETRY_CONFIG.timeout,
-          validateStatus: (status) => status >= 200 && status < 300,
-        });
+  if (!delivery || [DELIVERY_STATUS.SUCCESS, DELIVERY_STATUS.DEAD].includes(delivery.status)) {
+    return { skipped: true };
+  }
 
-    // Success
+  if (!delivery.webhook.isActive) {
     await prisma.webhookDelivery.update({
       where: { id: delivery.id },
       data: {
-        status: DELIVERY_STATUS.SUCCESS,
-        responseStatus: response.status,
-        responseHeaders: response.headers,
-        responseBody: typeof response.data === 'string' 
-          ? response.data.substring(0, 1000) 
-          : JSON.stringify(response.data).substring(0, 1000),
-        deliveredAt: new Date(),
-        attempts: { increment: 1 },
+        status: DELIVERY_STATUS.DEAD,
+        error: 'Webhook is disabled',
+        nextRetryAt: null,
+        deadLetteredAt: new Date(),
       },
     });
+    return { success: false, deadLettered: true };
+  }
 
-    await prisma.webhook.update({
-      where: { id: webhook.id },
-      data: {
-        lastTriggeredAt: new Date(),
-        successCount: { increment: 1 },
-      },
+  const { webhook } = delivery;
+  const body = JSON.stringify({
+    id: delivery.eventId,
+    event: delivery.eventType,
+    version: delivery.payloadVersion,
+    createdAt: delivery.createdAt.toISOString(),
+    data: renderPayload(delivery.eventType, delivery.payloadVersion, delivery.payload),
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Airavat-Event': delivery.eventType,
+    'X-Airavat-Event-Id': delivery.eventId,
+    'X-Airavat-Delivery': delivery.id,
+    'X-Airavat-Payload-Version': String(delivery.payloadVersion),
+    'X-Airavat-Timestamp': String(timestamp),
+    'X-Airavat-Signature': generateSignature(body, activeSecrets(webhook), timestamp),
+    'User-Agent': 'Airavat-Webhook/2.0',
+  };
+
+  try {
+    const response = await axios.post(webhook.url, body, {
+      headers,
+      timeout: RETRY_CONFIG.timeout,
+      validateStatus: () => true, // Non-2xx is handled below
     });
 
-    return { success: true, webhookId: webhook.id };
+    if (response.status >= 200 && response.status < 300) {
+      await recordSuccess(delivery, response);
+      return { success: true, statusCode: response.status };
+    }
+
+    return recordFailure(delivery, `Webhook returned status ${response.status}`, response);
   } catch (error) {
-    // Failed
-    const attempts = delivery.attempts + 1;
-    const shouldRetry = attempts < RETRY_CONFIG.maxRetries;
+    return recordFailure(delivery, error.message, error.response);
+  }
+};
 
-    await prisma.webhookDelivery.update({
-      where: { id: delivery.id },
-      data: {
-        status: shouldRetry ? DELIVERY_STATUS.RETRYING : DELIVERY_STATUS.FAILED,
-        error: error.message,
-        responseStatus: error.response?.status,
-        attempts,
-        nextRetryAt: shouldRetry 
-          ? new Date(Date.now() + RETRY_CONFIG.retryDelays[attempts - 1] * 1000)
-          : null,
-      },
-    });
+async function recordSuccess(delivery, response) {
+  await prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      status: DELIVERY_STATUS.SUCCESS,
+      responseStatus: response.status,
+      responseHeaders: response.headers,
+      responseBody: truncateBody(response.data),
+      error: null,
+      nextRetryAt: null,
+      deliveredAt: new Date(),
+      attempts: { increment: 1 },
+    },
+  });
+
+  await prisma.webhook.update({
+    where: { id: delivery.webhookId },
+    data: {
+      lastTriggeredAt: new Date(),
+      successCount: { increment: 1 },
+      consecutiveFailures: 0,
+      failingSince: null,
+    },
+  });
+}
+
+/**
+ * Schedule the next retry, or move the delivery to the dead-letter queue once
+ * attempts are exhausted; disables the webhook after sustained failures
+ */
+async function recordFailure(delivery, errorMessage, response) {
+  const now = new Date();
+  const attempts = delivery.attempts + 1;
+  const exhausted = attempts >= RETRY_CONFIG.maxAttempts;
+
+  await prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      status: exhausted ? DELIVERY_STATUS.DEAD : DELIVERY_STATUS.RETRYING,
+      error: errorMessage,
+      responseStatus: response?.status,
+      responseBody: response ? truncateBody(response.data) : undefined,
+      attempts,
+      nextRetryAt: exhausted ? null : new Date(now.getTime() + RETRY_CONFIG.retryDelays[attempts - 1] * 1000),
+      deadLetteredAt: exhausted ? now : null,
+    },
+  });
+
+  const webhook = await prisma.webhook.update({
+    where: { id: delivery.webhookId },
+    data: {
+      lastTriggeredAt: now,
+      failureCount: { increment: 1 },
+      consecutiveFailures: { increment: 1 },
+      failingSince: delivery.webhook.failingSince || now,
+    },
+  });
+
+  const disabled = await disableIfFailing(webhook, now);
+
+  logger.warn('Webhook delivery failed', {
+    deliveryId: delivery.id,
+    webhookId: delivery.webhookId,
+    attempts,
+    deadLettered: exhausted,
+    error: errorMessage,
+  });
+
+  return { success: false, error: errorMessage, deadLettered: exhausted, webhookDisabled: disabled };
+}
 
-    await prisma.webhook.update({
-      where: { id: webhook.id },
+/**
+ * Auto-disable when failures are both numerous and sustained, so a short
+ * outage on the receiver's side doesn't switch the subscription off
+ */
+async function disableIfFailing(webhook, now) {
+  const { autoDisableFailures, autoDisableHours } = config.webhooks;
+  const failingFor = webhook.failingSince ? now - new Date(webhook.failingSince) : 0;
+
+  if (!webhook.isActive
+    || webhook.consecutiveFailures < autoDisableFailures
+    || failingFor < autoDisableHours * 60 * 60 * 1000) {
+    return false;
+  }
+
+  const reason = `${webhook.consecutiveFailures} consecutive failed deliveries since ${new Date(webhook.failingSince).toISOString()}`;
+
+  await prisma.webhook.update({
+    where: { id: webhook.id },
+    data: { isActive: false, disabledAt: now, disabledReason: reason },
+  });
+
+  logger.warn('Webhook disabled due to sustained failures', { webhookId: webhook.id, reason });
+
+  return true;
+}
+
+/**
+ * Requeue deliveries whose retry is due. Retry state lives on the delivery
+ * row, so nothing is lost if the process restarts between attempts.
+ * @param {number} limit - Maximum deliveries per run
+ * @returns {Promise<Object>} Retry counts
+ */
+exports.processDueRetries = async (limit = 100) => {
+  const now = new Date();
+
+  const due = await prisma.webhookDelivery.findMany({
+    where: {
+      OR: [
+        { status: DELIVERY_STATUS.RETRYING, nextRetryAt: { lte: now } },
+        // Queued but never attempted (job lost with Redis, or worker died)
+        {
+          status: DELIVERY_STATUS.PENDING,
+          nextRetryAt: null,
+          createdAt: { lt: new Date(now.getTime() - DELIVERY_LEASE_SECONDS * 1000) },
+        },
+      ],
+    },
+    orderBy: { createdAt: 'asc' },
+    take: limit,
+    select: { id: true, status: true, nextRetryAt: true, attempts: true, replayCount: true },
+  });
+
+  let retried = 0;
+
+  for (const delivery of due) {
+    // Lease the row: a second instance skips it, and it comes back if this attempt is lost
+    const claim = await prisma.webhookDelivery.updateMany({
+      where: { id: delivery.id, status: delivery.status, nextRetryAt: delivery.nextRetryAt },
       data: {
-        lastTriggeredAt: new Date(),
-        failureCount: { increment: 1 },
+        status: DELIVERY_STATUS.RETRYING,
+        nextRetryAt: new Date(now.getTime() + DELIVERY_LEASE_SECONDS * 1000),
       },
     });
+    if (claim.count === 0) continue;
 
-    // Schedule retry if applicable
-    if (shouldRetry) {
-      scheduleRetry(delivery.id, RETRY_CONFIG.retryDelays[attempts - 1]);
+    try {
+      await enqueueDelivery(delivery);
+      retried++;
+    } catch (error) {
+      logger.error('Retry delivery error', { error: error.message, deliveryId: delivery.id });
     }
-
-    return { success: false, webhookId: webhook.id, error: error.message };
   }
-}
+
+  return { due: due.length, retried };
+};
+
+// =============================================================================
+// DEAD-LETTER QUEUE & REPLAY
+// =============================================================================
 
 /**
- * Retry a failed webhook delivery
- * @param {string} deliveryId - Delivery ID
+ * Deliveries that exhausted their retries (or hit a disabled webhook)
+ * @param {string} businessId - Business ID
+ * @param {Object} filters - { webhookId, eventType, from, to, skip, limit }
+ * @returns {Promise<Object>} { deliveries, total }
  */
-async function retryDelivery(deliveryId) {
-  const delivery = await prisma.webhookDelivery.findUnique({
-    where: { id: deliveryId },
-    include: { webhook: true },
+exports.listDeadLetters = async (businessId, filters = {}) => {
+  const { webhookId, eventType, from, to, skip = 0, limit = 20 } = filters;
+
+  const where = {
+    status: DELIVERY_STATUS.DEAD,
+    webhook: { businessId },
+    ...(webhookId && { webhookId }),
+    ...(eventType && { eventType: resolveEventType(eventType) || eventType }),
+    ...((from || to) && { createdAt: dateRange(from, to) }),
+  };
+
+  const [deliveries, total] = await Promise.all([
+    prisma.webhookDelivery.findMany({
+      where,
+      select: {
+        id: true,
+        webhookId: true,
+        eventId: true,
+        eventType: true,
+        payloadVersion: true,
+        attempts: true,
+        responseStatus: true,
+        error: true,
+        replayCount: true,
+        deadLetteredAt: true,
+        createdAt: true,
+      },
+      orderBy: { deadLetteredAt: 'desc' },
+      skip,
+      take: limit,
+    }),
+    prisma.webhookDelivery.count({ where }),
+  ]);
+
+  return { deliveries, total };
+};
+
+/**
+ * Replay deliveries: every delivery of one event (whatever its outcome), or
+ * the dead letters created within a time range. Replays keep the event ID so
+ * receivers can still de-duplicate.
+ * @param {string} businessId - Business ID
+ * @param {Object} criteria - { eventId } or { from, to }, optionally { webhookId }
+ * @returns {Promise<Object>} { matched, replayed, skipped }
+ */
+exports.replay = async (businessId, criteria = {}) => {
+  const { webhookId, eventId, from, to } = criteria;
+
+  if (!eventId && !from && !to) {
+    throw new BadRequestError('Provide an event ID or a time range to replay');
+  }
+
+  const where = {
+    webhook: { businessId },
+    ...(webhookId && { webhookId }),
+    ...(eventId
+      ? { eventId }
+      : { status: DELIVERY_STATUS.DEAD, createdAt: dateRange(from, to) }),
+  };
+
+  const deliveries = await prisma.webhookDelivery.findMany({
+    where,
+    include: { webhook: { select: { isActive: true } } },
+    orderBy: { createdAt: 'asc' },
+    take: MAX_REPLAY,
   });
 
-  if (!delivery || delivery.status === DELIVERY_STATUS.SUCCESS) {
-    return;
+  if (eventId && deliveries.length === 0) {
+    throw new NotFoundError('Webhook event');
   }
 
-  if (delivery.attempts >= RETRY_CONFIG.maxRetries) {
-    await prisma.webhookDelivery.update({
-      where: { id: deliveryId },
-      data: { status: DELIVERY_STATUS.FAILED },
+  const skipped = [];
+  let replayed = 0;
+
+  for (const delivery of deliveries) {
+    if (!delivery.webhook.isActive) {
+      skipped.push({ deliveryId: delivery.id, reason: 'Webhook is disabled' });
+      continue;
+    }
+
+    const reset = await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        error: null,
+        nextRetryAt: null,
+        deadLetteredAt: null,
+        replayCount: { increment: 1 },
+        lastReplayedAt: new Date(),
+      },
     });
-    return;
+
+    await enqueueDelivery(reset);
+    replayed++;
   }
 
-  await dispatchWebhook(
-    delivery.webhook,
-    delivery,
-    delivery.payload,
-    delivery.eventType,
-    new Date().toISOString()
-  );
-}
+  logger.info('Webhook deliveries replayed', { businessId, eventId, from, to, replayed });
 
-function scheduleRetry(deliveryId, delaySeconds) {
-  // In production, use a job queue like Bull
-  setTimeout(() => {
-    retryDelivery(deliveryId).catch((error) => {
-      logger.error('Retry delivery error', { error: error.message, deliveryId });
-    });
-  }, delaySeconds * 1000);
-}
+  return { matched: deliveries.length, replayed, skipped };
+};
 
 // =============================================================================
 // WEBHOOK TESTING
@@ -479,33 +637,26 @@ function scheduleRetry(deliveryId, delaySeconds) {
  * @returns {Promise<Object>} Test result
  */
 exports.testWebhook = async (webhookId, businessId) => {
-  const webhook = await prisma.webhook.findFirst({
-    where: { id: webhookId, businessId },
+  const webhook = await findOwnWebhook(webhookId, businessId);
+
+  const body = JSON.stringify({
+    id: generateEventId(),
+    event: 'test',
+    version: 1,
+    createdAt: new Date().toISOString(),
+    data: { test: true, message: 'This is a test webhook from Airavat' },
   });
-
-  if (!webhook) {
-    throw new NotFoundError('Webhook not found');
-  }
-
-  const testPayload = {
-    test: true,
-    message: 'This is a test webhook from Airavat',
-    timestamp: new Date().toISOString(),
-  };
-
-  const signature = generateSignature(testPayload, webhook.secret);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startTime = Date.now();
 
   try {
-    const response = await axios.post(webhook.url, {
-      event: 'test',
-      timestamp: testPayload.timestamp,
-      data: testPayload,
-    }, {
+    const response = await axios.post(webhook.url, body, {
       headers: {
         'Content-Type': 'application/json',
         'X-Airavat-Event': 'test',
-        'X-Airavat-Signature': signature,
-        'User-Agent': 'Airavat-Webhook/1.0',
+        'X-Airavat-Timestamp': String(timestamp),
+        'X-Airavat-Signature': generateSignature(body, activeSecrets(webhook), timestamp),
+        'User-Agent': 'Airavat-Webhook/2.0',
       },
       timeout: 10000,
     });
@@ -513,7 +664,7 @@ exports.testWebhook = async (webhookId, businessId) => {
     return {
       success: true,
       statusCode: response.status,
-      responseTime: response.headers['x-response-time'],
+      responseTime: Date.now() - startTime,
     };
   } catch (error) {
     return {
@@ -528,24 +679,19 @@ exports.testWebhook = async (webhookId, businessId) => {
  * Get webhook delivery history
  * @param {string} webhookId - Webhook ID
  * @param {string} businessId - Business ID
- * @param {Object} options - Query options
- * @returns {Promise<Object>} Delivery history
+ * @param {Object} options - { status, skip, limit }
+ * @returns {Promise<Object>} { deliveries, total }
  */
 exports.getDeliveryHistory = async (webhookId, businessId, options = {}) => {
-  const { page = 1, limit = 20 } = options;
-  const skip = (page - 1) * limit;
+  const { status, skip = 0, limit = 20 } = options;
 
-  const webhook = await prisma.webhook.findFirst({
-    where: { id: webhookId, businessId },
-  });
+  await findOwnWebhook(webhookId, businessId);
 
-  if (!webhook) {
-    throw new NotFoundError('Webhook not found');
-  }
+  const where = { webhookId, ...(status && { status }) };
 
   const [deliveries, total] = await Promise.all([
     prisma.webhookDelivery.findMany({
-      where: { webhookId },
+      where,
       skip,
       take: limit,
       orderBy: { createdAt: 'desc' },
@@ -553,32 +699,125 @@ exports.getDeliveryHistory = async (webhookId, businessId, options = {}) => {
         id: true,
         eventId: true,
         eventType: true,
+        payloadVersion: true,
         status: true,
         responseStatus: true,
         attempts: true,
         error: true,
+        nextRetryAt: true,
         deliveredAt: true,
+        deadLetteredAt: true,
+        replayCount: true,
         createdAt: true,
       },
     }),
-    prisma.webhookDelivery.count({ where: { webhookId } }),
-    ]);
+    prisma.webhookDelivery.count({ where }),
+  ]);
 
-    return {
-    deliveries,
-    pagination: {
-      page,
-      limit,
-      total,
-      totalPages: Math.ceil(total / limit),
-    },
-  };
+  return { deliveries, total };
 };
 
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
 
+async function findOwnWebhook(webhookId, businessId) {
+  const webhook = await prisma.webhook.findFirst({
+    where: { id: webhookId, businessId },
+  });
+
+  if (!webhook) {
+    throw new NotFoundError('Webhook');
+  }
+
+  return webhook;
+}
+
+function normalizeEvents(events = []) {
+  const normalized = events.map((event) => {
+    const canonical = resolveEventType(event);
+    if (!canonical) {
+      throw new BadRequestError(`Invalid event type: ${event}`);
+    }
+    return canonical;
+  });
+
+  return [...new Set(normalized)];
+}
+
+/**
+ * Payload version per subscribed event: explicit pins win, then existing pins,
+ * then the latest version at subscription time (so later versions never
+ * change a live integration's payloads)
+ */
+function pinVersions(events, requested = {}, current = {}) {
+  const pins = {};
+
+  for (const [event, version] of Object.entries(requested || {})) {
+    const canonical = resolveEventType(event);
+    if (!canonical || !events.includes(canonical)) {
+      throw new BadRequestError(`Cannot pin a version for unsubscribed event: ${event}`);
+    }
+    if (!hasVersion(canonical, version)) {
+      throw new BadRequestError(`Event ${canonical} has no payload version ${version}`);
+    }
+    pins[canonical] = Number(version);
+  }
+
+  for (const event of events) {
+    if (pins[event] === undefined) {
+      pins[event] = current[event] || latestVersion(event);
+    }
+  }
+
+  return pins;
+}
+
+function pinnedVersion(webhook, eventType) {
+  return webhook.eventVersions?.[eventType] || latestVersion(eventType);
+}
+
+/**
+ * Secrets to sign with: the current one, plus the previous one during the
+ * rotation overlap window
+ */
+function activeSecrets(webhook, now = new Date()) {
+  const secrets = [webhook.secret];
+
+  if (webhook.previousSecret && webhook.previousSecretExpiresAt && new Date(webhook.previousSecretExpiresAt) > now) {
+    secrets.push(webhook.previousSecret);
+  }
+
+  return secrets;
+}
+
+function enqueueDelivery(delivery) {
+  // Retries are driven by nextRetryAt, so each queued job is a single attempt
+  return addJob('webhookDelivery', { deliveryId: delivery.id }, {
+    jobId: `${delivery.id}:${delivery.replayCount || 0}:${delivery.attempts}`,
+    attempts: 1,
+  });
+}
+
+function dateRange(from, to) {
+  return {
+    ...(from && { gte: new Date(from) }),
+    ...(to && { lte: new Date(to) }),
+  };
+}
+
+function truncateBody(data) {
+  if (data === undefined || data === null) return null;
+  return (typeof data === 'string' ? data : JSON.stringify(data)).substring(0, 1000);
+}
+
+function withoutSecrets(webhook) {
+  const safe = { ...webhook };
+  delete safe.secret;
+  delete safe.previousSecret;
+  return safe;
+}
+
 function isValidUrl(url) {
   try {
     const parsed = new URL(url);
@@ -596,40 +835,48 @@ function generateEventId() {
   return `evt_${crypto.randomBytes(12).toString('hex')}`;
 }
 
-function generateSignature(payload, secret) {
-  const timestamp = Math.floor(Date.now() / 1000);
-  const message = `${timestamp}.${JSON.stringify(payload)}`;
-  const signature = crypto
+/**
+ * Signature header: `t=<unix seconds>,v1=<hmac>[,v1=<hmac>]` with one HMAC per
+ * active secret, computed over `<t>.<raw body>`
+ */
+function generateSignature(body, secrets, timestamp = Math.floor(Date.now() / 1000)) {
+  const signatures = [].concat(secrets).map((secret) => crypto
     .createHmac('sha256', secret)
-    .update(message)
-    .digest('hex');
-  return `t=${timestamp},v1=${signature}`;
+    .update(`${timestamp}.${body}`)
+    .digest('hex'));
+
+  return [`t=${timestamp}`, ...signatures.map((signature) => `v1=${signature}`)].join(',');
 }
 
 /**
- * Verify webhook signature (for incoming webhooks)
- * @param {string} payload - Raw payload
- * @param {string} signature - Signature header
- * @param {string} secret - Webhook secret
+ * Verify a webhook signature (receiver side, also used by the SDK docs)
+ * @param {string} payload - Raw request body
+ * @param {string} signature - X-Airavat-Signature header
+ * @param {string|string[]} secrets - Secret, or current and previous secrets
  * @returns {boolean} Is valid
  */
-exports.verifySignature = (payload, signature, secret) => {
-  const parts = signature.split(',');
+exports.verifySignature = (payload, signature, secrets) => {
+  const parts = (signature || '').split(',');
   const timestamp = parts.find((p) => p.startsWith('t='))?.slice(2);
-  const sig = parts.find((p) => p.startsWith('v1='))?.slice(3);
+  const candidates = parts.filter((p) => p.startsWith('v1=')).map((p) => p.slice(3));
 
-  if (!timestamp || !sig) return false;
+  if (!timestamp || candidates.length === 0) return false;
 
   // Check timestamp (within 5 minutes)
-  const age = Math.abs(Date.now() / 1000 - parseInt(timestamp));
+  const age = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
   if (age > 300) return false;
 
-  const expected = crypto
-    .createHmac('sha256', secret)
-    .update(`${timestamp}.${payload}`)
-    .digest('hex');
+  return [].concat(secrets).some((secret) => {
+    const expected = Buffer.from(crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex'));
 
-  return crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected));
+    return candidates.some((candidate) => {
+      const received = Buffer.from(candidate);
+      return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+  });
 };
 
 // =============================================================================
@@ -640,4 +887,6 @@ module.exports = {
   ...exports,
   WEBHOOK_EVENTS,
   DELIVERY_STATUS,
+  RETRY_CONFIG,
+  generateSignature,
 };
@@ -0,0 +1,452 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - EDI CODEC
+// Envelope-aware parsing and serialization of ANSI X12 and UN/EDIFACT
+// =============================================================================
+
+const X12_DEFAULT_DELIMITERS = { element: '*', component: '>', segment: '~' };
+const EDIFACT_DEFAULT_DELIMITERS = { component: ':', element: '+', decimal: '.', release: '?', segment: '\'' };
+
+// ISA elements are fixed width; the envelope is invalid otherwise
+const ISA_WIDTHS = [2, 10, 2, 10, 2, 15, 2, 15, 6, 4, 1, 5, 9, 1, 1, 1];
+
+const X12_FUNCTIONAL_IDS = {
+  810: 'IN',
+  850: 'PO',
+  855: 'PR',
+  856: 'SH',
+  997: 'FA',
+};
+
+const pad = (value, width) => String(value ?? '').slice(0, width).padEnd(width, ' ');
+const padNumber = (value, width) => String(value).padStart(width, '0');
+
+const detectStandard = (raw) => {
+  const text = String(raw || '').replace(/^\uFEFF/, '').trimStart();
+  if (text.startsWith('ISA')) return 'X12';
+  if (text.startsWith('UNA') || text.startsWith('UNB')) return 'EDIFACT';
+  return null;
+};
+
+/**
+ * yyyymmdd / hhmm stamps used in both envelopes
+ */
+const stamp = (date = new Date()) => {
+  const iso = date.toISOString();
+  return {
+    ccyymmdd: iso.slice(0, 10).replace(/-/g, ''),
+    yymmdd: iso.slice(2, 10).replace(/-/g, ''),
+    hhmm: iso.slice(11, 16).replace(':', ''),
+  };
+};
+
+const parseEdiDate = (value) => {
+  if (!value) return null;
+  const digits = String(value).replace(/\D/g, '');
+  const full = digits.length === 6 ? `20${digits}` : digits.slice(0, 8);
+  if (full.length !== 8) return null;
+  const date = new Date(`${full.slice(0, 4)}-${full.slice(4, 6)}-${full.slice(6, 8)}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// =============================================================================
+// ANSI X12
+// =============================================================================
+
+/**
+ * Parse an X12 interchange into groups and transaction sets.
+ * Envelope mismatches are reported in `errors` rather than thrown so the
+ * caller can still log the document and answer with a rejecting 997.
+ */
+const parseX12 = (raw) => {
+  const text = String(raw || '').replace(/^\uFEFF/, '').trimStart();
+  if (!text.startsWith('ISA') || text.length < 106) {
+    throw new Error('Not an X12 interchange: ISA segment missing or truncated');
+  }
+
+  const element = text[3];
+  let separators = 0;
+  let index = 0;
+  while (separators < 16 && index < text.length) {
+    if (text[index] === element) separators++;
+    index++;
+  }
+  const delimiters = { element, component: text[index], segment: text[index + 1] };
+
+  const segments = text
+    .split(delimiters.segment)
+    .map((segment) => segment.replace(/^[\r\n]+|[\r\n]+$/g, ''))
+    .filter(Boolean)
+    .map((segment) => {
+      const [tag, ...elements] = segment.split(element);
+      return { tag: tag.trim(), elements };
+    });
+
+  const errors = [];
+  const isa = segments[0];
+  isa.elements.forEach((value, position) => {
+    if (position < 15 && value.length !== ISA_WIDTHS[position]) {
+      errors.push({ code: 'ISA_WIDTH', message: `ISA${padNumber(position + 1, 2)} must be ${ISA_WIDTHS[position]} characters` });
+    }
+  });
+
+  const interchange = {
+    standard: 'X12',
+    delimiters,
+    header: {
+      senderQualifier: isa.elements[4]?.trim(),
+      senderId: isa.elements[5]?.trim(),
+      receiverQualifier: isa.elements[6]?.trim(),
+      receiverId: isa.elements[7]?.trim(),
+      date: isa.elements[8],
+      time: isa.elements[9],
+      version: isa.elements[11],
+      controlNumber: isa.elements[12],
+      ackRequested: isa.elements[13] === '1',
+      usage: isa.elements[14],
+    },
+    groups: [],
+    errors,
+  };
+
+  let group = null;
+  let transaction = null;
+
+  segments.slice(1).forEach((segment) => {
+    switch (segment.tag) {
+      case 'GS':
+        group = {
+          functionalId: segment.elements[0],
+          senderId: segment.elements[1],
+          receiverId: segment.elements[2],
+          controlNumber: segment.elements[5],
+          version: segment.elements[7],
+          transactions: [],
+          errors: [],
+        };
+        interchange.groups.push(group);
+        break;
+
+      case 'ST':
+        if (!group) {
+          errors.push({ code: 'ST_OUTSIDE_GROUP', message: 'ST segment found outside a functional group' });
+          break;
+        }
+        transaction = {
+          type: segment.elements[0],
+          controlNumber: segment.elements[1],
+          segments: [segment],
+          errors: [],
+        };
+        group.transactions.push(transaction);
+        break;
+
+      case 'SE':
+        if (!transaction) {
+          errors.push({ code: 'SE_WITHOUT_ST', message: 'SE segment without a matching ST' });
+          break;
+        }
+        transaction.segments.push(segment);
+        if (Number(segment.elements[0]) !== transaction.segments.length) {
+          transaction.errors.push({
+            code: 'SEGMENT_COUNT',
+            message: `SE01 is ${segment.elements[0]} but the set has ${transaction.segments.length} segments`,
+          });
+        }
+        if (segment.elements[1] !== transaction.controlNumber) {
+          transaction.errors.push({ code: 'CONTROL_NUMBER', message: 'SE02 does not match ST02' });
+        }
+        transaction = null;
+        break;
+
+      case 'GE':
+        if (!group) break;
+        if (Number(segment.elements[0]) !== group.transactions.length) {
+          group.errors.push({
+            code: 'TRANSACTION_COUNT',
+            message: `GE01 is ${segment.elements[0]} but the group has ${group.transactions.length} sets`,
+          });
+        }
+        if (segment.elements[1] !== group.controlNumber) {
+          group.errors.push({ code: 'CONTROL_NUMBER', message: 'GE02 does not match GS06' });
+        }
+        group = null;
+        break;
+
+      case 'IEA':
+        if (Number(segment.elements[0]) !== interchange.groups.length) {
+          errors.push({ code: 'GROUP_COUNT', message: `IEA01 is ${segment.elements[0]} but there are ${interchange.groups.length} groups` });
+        }
+        if (segment.elements[1] !== interchange.header.controlNumber) {
+          errors.push({ code: 'CONTROL_NUMBER', message: 'IEA02 does not match ISA13' });
+        }
+        interchange.closed = true;
+        break;
+
+      default:
+        if (transaction) {
+          transaction.segments.push(segment);
+        }
+    }
+  });
+
+  if (transaction) {
+    transaction.errors.push({ code: 'MISSING_SE', message: `Transaction ${transaction.controlNumber} has no SE trailer` });
+  }
+  if (!interchange.closed) {
+    errors.push({ code: 'MISSING_IEA', message: 'Interchange has no IEA trailer' });
+  }
+
+  return interchange;
+};
+
+/**
+ * Serialize X12 transaction sets inside ISA/GS envelopes.
+ * Each transaction's `segments` excludes ST/SE, which are added here.
+ */
+const buildX12 = ({
+  sender,
+  receiver,
+  controlNumber,
+  groupControlNumber,
+  functionalId,
+  version = '004010',
+  usage = 'P',
+  ackRequested = false,
+  transactions,
+  delimiters = X12_DEFAULT_DELIMITERS,
+  date = new Date(),
+}) => {
+  const { element, segment: terminator, component } = delimiters;
+  const { ccyymmdd, yymmdd, hhmm } = stamp(date);
+  const line = (fields) => `${fields.map((field) => (Array.isArray(field) ? field.join(component) : field ?? '')).join(element)}`
+    .replace(new RegExp(`\\${element}+$`), '');
+
+  const isa = [
+    'ISA', '00', pad('', 10), '00', pad('', 10),
+    pad(sender.qualifier, 2), pad(sender.id, 15),
+    pad(receiver.qualifier, 2), pad(receiver.id, 15),
+    yymmdd, hhmm, 'U', version.slice(0, 5), padNumber(controlNumber, 9),
+    ackRequested ? '1' : '0', usage, component,
+  ].join(element);
+
+  const body = [isa];
+  body.push(line(['GS', functionalId, sender.groupId || sender.id, receiver.groupId || receiver.id,
+    ccyymmdd, hhmm, groupControlNumber, 'X', version]));
+
+  transactions.forEach((transaction) => {
+    const setControl = padNumber(transaction.controlNumber, 4);
+    body.push(line(['ST', transaction.type, setControl]));
+    transaction.segments.forEach((segment) => body.push(line(segment)));
+    body.push(line(['SE', transaction.segments.length + 2, setControl]));
+  });
+
+  body.push(line(['GE', transactions.length, groupControlNumber]));
+  body.push(line(['IEA', 1, padNumber(controlNumber, 9)]));
+
+  return `${body.join(`${terminator}\n`)}${terminator}\n`;
+};
+
+// =============================================================================
+// UN/EDIFACT
+// =============================================================================
+
+/**
+ * Split on a delimiter while honouring the release (escape) character
+ */
+const splitReleased = (text, delimiter, release) => {
+  const parts = [];
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === release && i + 1 < text.length) {
+      current += char + text[i + 1];
+      i++;
+    } else if (char === delimiter) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+const unescapeReleased = (text, release) => text.replace(new RegExp(`\\${release}(.)`, 'g'), '$1');
+
+/**
+ * Parse an EDIFACT interchange. Elements are arrays of components.
+ */
+const parseEdifact = (raw) => {
+  let text = String(raw || '').replace(/^\uFEFF/, '').trimStart();
+  const delimiters = { ...EDIFACT_DEFAULT_DELIMITERS };
+
+  if (text.startsWith('UNA')) {
+    const advice = text.slice(3, 9);
+    Object.assign(delimiters, {
+      component: advice[0],
+      element: advice[1],
+      decimal: advice[2],
+      release: advice[3],
+      segment: advice[5],
+    });
+    text = text.slice(9);
+  }
+  if (!text.trimStart().startsWith('UNB')) {
+    throw new Error('Not an EDIFACT interchange: UNB segment missing');
+  }
+
+  const { element, component, release, segment: terminator } = delimiters;
+  const segments = splitReleased(text, terminator, release)
+    .map((segment) => segment.replace(/^[\r\n\s]+/, '').replace(/[\r\n]+$/, ''))
+    .filter(Boolean)
+    .map((segment) => {
+      const [tag, ...elements] = splitReleased(segment, element, release);
+      return {
+        tag: tag.trim(),
+        elements: elements.map((value) => splitReleased(value, component, release)
+          .map((part) => unescapeReleased(part, release))),
+      };
+    });
+
+  const errors = [];
+  const unb = segments[0];
+  const interchange = {
+    standard: 'EDIFACT',
+    delimiters,
+    header: {
+      syntax: unb.elements[0]?.join(':'),
+      senderId: unb.elements[1]?.[0],
+      senderQualifier: unb.elements[1]?.[1],
+      receiverId: unb.elements[2]?.[0],
+      receiverQualifier: unb.elements[2]?.[1],
+      date: unb.elements[3]?.[0],
+      time: unb.elements[3]?.[1],
+      controlNumber: unb.elements[4]?.[0],
+      ackRequested: unb.elements[8]?.[0] === '1',
+      usage: unb.elements[10]?.[0] === '1' ? 'T' : 'P',
+    },
+    messages: [],
+    errors,
+  };
+
+  let message = null;
+  segments.slice(1).forEach((segment) => {
+    switch (segment.tag) {
+      case 'UNH':
+        message = {
+          reference: segment.elements[0]?.[0],
+          type: segment.elements[1]?.[0],
+          version: segment.elements[1]?.slice(1, 4).join(':'),
+          segments: [segment],
+          errors: [],
+        };
+        interchange.messages.push(message);
+        break;
+
+      case 'UNT':
+        if (!message) {
+          errors.push({ code: 'UNT_WITHOUT_UNH', message: 'UNT segment without a matching UNH' });
+          break;
+        }
+        message.segments.push(segment);
+        if (Number(segment.elements[0]?.[0]) !== message.segments.length) {
+          message.errors.push({
+            code: 'SEGMENT_COUNT',
+            message: `UNT01 is ${segment.elements[0]?.[0]} but the message has ${message.segments.length} segments`,
+          });
+        }
+        if (segment.elements[1]?.[0] !== message.reference) {
+          message.errors.push({ code: 'CONTROL_NUMBER', message: 'UNT02 does not match UNH01' });
+        }
+        message = null;
+        break;
+
+      case 'UNZ':
+        if (Number(segment.elements[0]?.[0]) !== interchange.messages.length) {
+          errors.push({
+            code: 'MESSAGE_COUNT',
+            message: `UNZ01 is ${segment.elements[0]?.[0]} but there are ${interchange.messages.length} messages`,
+          });
+        }
+        if (segment.elements[1]?.[0] !== interchange.header.controlNumber) {
+          errors.push({ code: 'CONTROL_NUMBER', message: 'UNZ02 does not match UNB05' });
+        }
+        interchange.closed = true;
+        break;
+
+      default:
+        if (message) {
+          message.segments.push(segment);
+        }
+    }
+  });
+
+  if (message) {
+    message.errors.push({ code: 'MISSING_UNT', message: `Message ${message.reference} has no UNT trailer` });
+  }
+  if (!interchange.closed) {
+    errors.push({ code: 'MISSING_UNZ', message: 'Interchange has no UNZ trailer' });
+  }
+
+  return interchange;
+};
+
+/**
+ * Serialize EDIFACT messages inside UNA/UNB envelopes.
+ * Each message's `segments` excludes UNH/UNT, which are added here.
+ */
+const buildEdifact = ({ sender, receiver, controlNumber, messages, usage = 'P', ackRequested = false, date = new Date() }) => {
+  const { component, element, decimal, release, segment: terminator } = EDIFACT_DEFAULT_DELIMITERS;
+  const special = new RegExp(`[${[component, element, release, terminator].map((char) => `\\${char}`).join('')}]`, 'g');
+  const escape = (value) => String(value ?? '').replace(special, (char) => `${release}${char}`);
+  const line = (fields) => fields
+    .map((field) => (Array.isArray(field) ? field.map(escape).join(component).replace(/:+$/, '') : escape(field)))
+    .join(element)
+    .replace(/\++$/, '');
+
+  const { yymmdd, hhmm } = stamp(date);
+  const reference = String(controlNumber);
+  const body = [`UNA${component}${element}${decimal}${release} ${terminator}`.slice(0, -1)];
+  body.push(line([
+    'UNB',
+    ['UNOC', '3'],
+    [sender.id, sender.qualifier],
+    [receiver.id, receiver.qualifier],
+    [yymmdd, hhmm],
+    reference,
+    '', '', '',
+    ackRequested ? '1' : '',
+    '',
+    usage === 'T' ? '1' : '',
+  ]));
+
+  messages.forEach((message) => {
+    body.push(line(['UNH', message.reference, [message.type, 'D', message.release || '96A', 'UN']]));
+    message.segments.forEach((segment) => body.push(line(segment)));
+    body.push(line(['UNT', message.segments.length + 2, message.reference]));
+  });
+
+  body.push(line(['UNZ', messages.length, reference]));
+
+  return `${body.join(`${terminator}\n`)}${terminator}\n`;
+};
+
+/**
+ * Component accessor for EDIFACT segments: el(segment, 2, 1) is element 2, component 1
+ */
+const el = (segment, elementIndex, componentIndex = 0) => segment?.elements?.[elementIndex]?.[componentIndex] || null;
+
+module.exports = {
+  X12_FUNCTIONAL_IDS,
+  X12_DEFAULT_DELIMITERS,
+  EDIFACT_DEFAULT_DELIMITERS,
+  detectStandard,
+  parseEdiDate,
+  stamp,
+  parseX12,
+  buildX12,
+  parseEdifact,
+  buildEdifact,
+  el,
+};
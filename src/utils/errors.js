@@ -141,6 +141,15 @@ class PaymentFailedError extends ApiError {
   }
 }
 
+class InsufficientFundsError extends ApiError {
+  constructor(accountName, available, requested) {
+    super(`Insufficient balance in ${accountName}. Available: ${available}, Requested: ${requested}`, 400, 'INSUFFICIENT_FUNDS', {
+      available,
+      requested,
+    });
+  }
+}
+
 class OrderStateError extends ApiError {
   constructor(currentState, action) {
     super(`Cannot ${action} order in ${currentState} state`, 400, 'INVALID_ORDER_STATE');
@@ -159,8 +168,15 @@ class SubscriptionRequiredError extends ApiError {
   }
 }
 
+class TenantIsolationError extends ApiError {
+  constructor(model, operation) {
+    super('Cross-tenant access denied', 403, 'TENANT_ISOLATION_VIOLATION', { model, operation });
+  }
+}
+
 module.exports = {
   ApiError,
+  AppError: ApiError, // Name the older services import the base class under
   BadRequestError,
   UnauthorizedError,
   ForbiddenError,
@@ -173,7 +189,9 @@ module.exports = {
   ServiceUnavailableError,
   InsufficientStockError,
   PaymentFailedError,
+  InsufficientFundsError,
   OrderStateError,
   VerificationRequiredError,
   SubscriptionRequiredError,
+  TenantIsolationError,
 };
@@ -0,0 +1,201 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - HASH CHAIN UTILITY
+// Canonical hashing, Merkle trees and proof verification for the financial
+// audit chain. Depends only on Node's crypto so auditors can run it offline.
+// =============================================================================
+
+const crypto = require('crypto');
+
+/**
+ * Hash that the first entry in the chain links to
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Deterministic JSON: object keys sorted at every level
+ */
+function canonicalize(value) {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+
+  const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+  return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Fields of an audit entry covered by its chained hash
+ */
+function chainPayload(entry) {
+  return {
+    sequence: entry.sequence,
+    previousHash: entry.previousHash,
+    category: entry.category,
+    action: entry.action,
+    entityType: entry.entityType,
+    entityId: entry.entityId,
+    userId: entry.userId || null,
+    businessId: entry.businessId || null,
+    severity: entry.severity,
+    details: entry.details || null,
+    metadata: entry.metadata || null,
+    createdAt: new Date(entry.createdAt).toISOString(),
+  };
+}
+
+/**
+ * Chained hash of an audit entry: covers its content and predecessor's hash
+ */
+function hashAuditEntry(entry) {
+  return sha256(canonicalize(chainPayload(entry)));
+}
+
+// =============================================================================
+// MERKLE TREE
+// Leaves and nodes are domain-separated (RFC 6962 style); an odd node at the
+// end of a level is promoted unchanged.
+// =============================================================================
+
+function leafHash(hash) {
+  return sha256(`00${hash}`);
+}
+
+function nodeHash(left, right) {
+  return sha256(`01${left}${right}`);
+}
+
+function nextLevel(level) {
+  const next = [];
+  for (let i = 0; i < level.length; i += 2) {
+    next.push(i + 1 < level.length ? nodeHash(level[i], level[i + 1]) : level[i]);
+  }
+  return next;
+}
+
+/**
+ * Merkle root over entry hashes, in sequence order
+ */
+function merkleRoot(hashes) {
+  if (hashes.length === 0) return null;
+
+  let level = hashes.map(leafHash);
+  while (level.length > 1) {
+    level = nextLevel(level);
+  }
+  return level[0];
+}
+
+/**
+ * Audit path for the leaf at index: sibling hashes from leaf to root
+ */
+function merkleProof(hashes, index) {
+  const path = [];
+  let level = hashes.map(leafHash);
+  let position = index;
+
+  while (level.length > 1) {
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+    if (sibling < level.length) {
+      path.push({ position: position % 2 === 0 ? 'right' : 'left', hash: level[sibling] });
+    }
+    level = nextLevel(level);
+    position = Math.floor(position / 2);
+  }
+
+  return path;
+}
+
+/**
+ * Recompute the root from an entry hash and its audit path
+ */
+function rootFromProof(hash, path) {
+  return path.reduce(
+    (current, step) => (step.position === 'left' ? nodeHash(step.hash, current) : nodeHash(current, step.hash)),
+    leafHash(hash),
+  );
+}
+
+// =============================================================================
+// CHECKPOINTS
+// =============================================================================
+
+/**
+ * Canonical checkpoint payload that is signed and written to the anchor file
+ */
+function checkpointPayload(checkpoint) {
+  return canonicalize({
+    fromSequence: checkpoint.fromSequence,
+    toSequence: checkpoint.toSequence,
+    entryCount: checkpoint.entryCount,
+    merkleRoot: checkpoint.merkleRoot,
+    lastEntryHash: checkpoint.lastEntryHash,
+    previousRoot: checkpoint.previousRoot || null,
+    createdAt: new Date(checkpoint.createdAt).toISOString(),
+  });
+}
+
+/**
+ * Fingerprint of a signing key: first 32 hex chars of sha256 over its SPKI DER.
+ * Accepts a PEM string or a public/private KeyObject.
+ */
+function keyFingerprint(key) {
+  const der = crypto.createPublicKey(key).export({ type: 'spki', format: 'der' });
+  return sha256(der).substring(0, 32);
+}
+
+function verifyCheckpointSignature(checkpoint, publicKeyPem) {
+  if (!checkpoint.signature || !publicKeyPem) return false;
+
+  return crypto.verify(
+    null,
+    Buffer.from(checkpointPayload(checkpoint)),
+    publicKeyPem,
+    Buffer.from(checkpoint.signature, 'base64'),
+  );
+}
+
+/**
+ * Verify a proof produced by the audit proof endpoint. The public key carried
+ * in the proof is not trusted on its own: the signature is checked against the
+ * verifier's copy of the platform key, or the proof's key must match a pinned
+ * fingerprint.
+ * @param {Object} proof
+ * @param {{publicKey?: string, fingerprint?: string}} trusted
+ * @returns {{valid: boolean, checks: Object}}
+ */
+function verifyProof(proof, trusted = {}) {
+  if (!trusted.publicKey && !trusted.fingerprint) {
+    throw new TypeError('verifyProof requires a trusted public key or a pinned key fingerprint');
+  }
+
+  const publicKey = trusted.publicKey || proof.publicKey;
+  const hash = hashAuditEntry(proof.entry);
+  const checks = {
+    entryHash: hash === proof.entryHash,
+    merklePath: rootFromProof(proof.entryHash, proof.merkleProof) === proof.checkpoint.merkleRoot,
+    trustedKey: Boolean(publicKey) && (!trusted.fingerprint || keyFingerprint(publicKey) === trusted.fingerprint),
+    signature: verifyCheckpointSignature(proof.checkpoint, publicKey),
+  };
+
+  return { valid: Object.values(checks).every(Boolean), checks };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  sha256,
+  canonicalize,
+  chainPayload,
+  hashAuditEntry,
+  merkleRoot,
+  merkleProof,
+  rootFromProof,
+  checkpointPayload,
+  keyFingerprint,
+  verifyCheckpointSignature,
+  verifyProof,
+};
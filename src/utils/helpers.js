@@ -113,6 +113,69 @@ const generateInvoiceNumber = async (prisma) => {
   return `INV-${year}-${String(count + 1).padStart(6, '0')}`;
 };
 
+/**
+ * Generate return authorization number: RMA-2024-000001
+ */
+const generateRMANumber = async (prisma) => {
+  const year = new Date().getFullYear();
+  const count = await prisma.returnRequest.count({
+    where: {
+      createdAt: {
+        gte: new Date(`${year}-01-01`),
+        lt: new Date(`${year + 1}-01-01`),
+      },
+    },
+  });
+
+  return `RMA-${year}-${String(count + 1).padStart(6, '0')}`;
+};
+
+/**
+ * Generate pick list number: PICK-2024-000001
+ */
+const generatePickListNumber = async (prisma) => {
+  const year = new Date().getFullYear();
+  const count = await prisma.pickList.count({
+    where: {
+      createdAt: {
+        gte: new Date(`${year}-01-01`),
+        lt: new Date(`${year + 1}-01-01`),
+      },
+    },
+  });
+
+  return `PICK-${year}-${String(count + 1).padStart(6, '0')}`;
+};
+
+/**
+ * Generate cycle count sheet number: CC-2024-000001
+ */
+const generateCycleCountNumber = async (prisma) => {
+  const year = new Date().getFullYear();
+  const count = await prisma.cycleCount.count({
+    where: {
+      createdAt: {
+        gte: new Date(`${year}-01-01`),
+        lt: new Date(`${year + 1}-01-01`),
+      },
+    },
+  });
+
+  return `CC-${year}-${String(count + 1).padStart(6, '0')}`;
+};
+
+/**
+ * Generate credit/debit note number per seller and financial year: CN/24-25/000001
+ */
+const generateCreditNoteNumber = async (prisma, sellerId, noteType, financialYear = getFinancialYear()) => {
+  const count = await prisma.creditNote.count({
+    where: { sellerId, noteType, financialYear },
+  });
+
+  const prefix = noteType === 'DEBIT' ? 'DN' : 'CN';
+  return `${prefix}/${financialYear.slice(2)}/${String(count + 1).padStart(6, '0')}`;
+};
+
 /**
  * Generate SKU code
  */
@@ -262,6 +325,15 @@ const isFuture = (date) => {
   return dayjs(date).isAfter(dayjs());
 };
 
+/**
+ * Get Indian financial year (April-March) for a date: 2024-25
+ */
+const getFinancialYear = (date = new Date()) => {
+  const d = dayjs(date);
+  const startYear = d.month() >= 3 ? d.year() : d.year() - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
 /**
  * Add business days (excluding weekends)
  */
@@ -534,6 +606,10 @@ module.exports = {
   generateRFQNumber,
   generateQuotationNumber,
   generateInvoiceNumber,
+  generateRMANumber,
+  generatePickListNumber,
+  generateCycleCountNumber,
+  generateCreditNoteNumber,
   generateSKU,
   maskEmail,
   maskPhone,
@@ -554,6 +630,7 @@ module.exports = {
   getDateRange,
   isPast,
   isFuture,
+  getFinancialYear,
   addBusinessDays,
   
   // Number
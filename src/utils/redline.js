@@ -0,0 +1,103 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - REDLINE UTILITY
+// Line-level diffs between document versions
+// =============================================================================
+
+const OP = {
+  EQUAL: 'equal',
+  INSERT: 'insert',
+  DELETE: 'delete',
+};
+
+// Beyond this many LCS cells a changed field is shown as replaced outright
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Text form of a field value for diffing
+ */
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+};
+
+const splitLines = (text) => (text === '' ? [] : text.split(/\r?\n/));
+
+/**
+ * Line diff via longest common subsequence
+ * @returns {Array<{op: string, text: string}>}
+ */
+function diffLines(before, after) {
+  const a = splitLines(toText(before));
+  const b = splitLines(toText(after));
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map((text) => ({ op: OP.DELETE, text })),
+      ...b.map((text) => ({ op: OP.INSERT, text })),
+    ];
+  }
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ op: OP.EQUAL, text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      changes.push({ op: OP.DELETE, text: a[i] });
+      i++;
+    } else {
+      changes.push({ op: OP.INSERT, text: b[j] });
+      j++;
+    }
+  }
+  while (i < a.length) changes.push({ op: OP.DELETE, text: a[i++] });
+  while (j < b.length) changes.push({ op: OP.INSERT, text: b[j++] });
+
+  return changes;
+}
+
+/**
+ * Redline of two snapshots: one entry per changed top-level field
+ * @returns {Array<{field: string, changes: Array}>}
+ */
+function diffSnapshots(before = {}, after = {}) {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields
+    .filter((field) => toText(before[field]) !== toText(after[field]))
+    .map((field) => ({ field, changes: diffLines(before[field], after[field]) }));
+}
+
+/**
+ * Count of inserted and deleted lines in a redline
+ */
+function summarize(redline) {
+  return redline.reduce((totals, { changes }) => {
+    changes.forEach(({ op }) => {
+      if (op === OP.INSERT) totals.insertions++;
+      if (op === OP.DELETE) totals.deletions++;
+    });
+    return totals;
+  }, { fields: redline.length, insertions: 0, deletions: 0 });
+}
+
+module.exports = {
+  OP,
+  toText,
+  diffLines,
+  diffSnapshots,
+  summarize,
+};
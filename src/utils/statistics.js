@@ -0,0 +1,255 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - STATISTICS HELPERS
+// Distribution functions and proportion tests for experiment analysis, and
+// the time-series models behind sales and demand forecasts.
+// Closed-form approximations, accurate well beyond the precision reported.
+// =============================================================================
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26 erf)
+ */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Inverse of the standard normal distribution (Acklam's rational approximation)
+ */
+function normalQuantile(p) {
+  if (p <= 0 || p >= 1) {
+    throw new RangeError('Probability must be between 0 and 1 (exclusive)');
+  }
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716,
+    2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734,
+    4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low || p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(p < low ? p : 1 - p));
+    const x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+      / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    return p < low ? x : -x;
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+    / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Two-sided critical value, e.g. 1.96 for 95% confidence
+ */
+const criticalValue = (confidence) => normalQuantile(1 - (1 - confidence) / 2);
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ */
+function logGamma(x) {
+  const coefficients = [76.18009172947146, -86.50532032941678, 24.01409824083091, -1.231739572450155,
+    0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+
+  for (const coefficient of coefficients) {
+    y += 1;
+    series += coefficient / y;
+  }
+  return -tmp + Math.log((Math.sqrt(2 * Math.PI) * series) / x);
+}
+
+/**
+ * Upper regularized incomplete gamma function Q(s, x)
+ * (series below s + 1, continued fraction above; Numerical Recipes 6.2)
+ */
+function upperRegularizedGamma(s, x) {
+  if (x <= 0) return 1;
+  const logPrefix = -x + s * Math.log(x) - logGamma(s);
+
+  if (x < s + 1) {
+    let term = 1 / s;
+    let sum = term;
+    for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+      term *= x / (s + n);
+      sum += term;
+    }
+    return 1 - sum * Math.exp(logPrefix);
+  }
+
+  const tiny = 1e-300;
+  let b = x + 1 - s;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - s);
+    b += 2;
+    d = an * d + b;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = b + an / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return Math.exp(logPrefix) * h;
+}
+
+/**
+ * P(X >= statistic) for a chi-square distribution
+ */
+const chiSquareSurvival = (statistic, degreesOfFreedom) => upperRegularizedGamma(degreesOfFreedom / 2, statistic / 2);
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+/**
+ * Wilson score interval for a proportion
+ * @param {number} successes - Successes
+ * @param {number} trials - Trials
+ * @param {number} [confidence=0.95] - Confidence level
+ * @returns {{ rate: number, lower: number, upper: number }}
+ */
+function wilsonInterval(successes, trials, confidence = 0.95) {
+  if (trials === 0) return { rate: 0, lower: 0, upper: 0 };
+
+  const z = criticalValue(confidence);
+  const rate = successes / trials;
+  const denominator = 1 + (z * z) / trials;
+  const centre = (rate + (z * z) / (2 * trials)) / denominator;
+  const margin = (z * Math.sqrt((rate * (1 - rate)) / trials + (z * z) / (4 * trials * trials))) / denominator;
+
+  return { rate, lower: Math.max(0, centre - margin), upper: Math.min(1, centre + margin) };
+}
+
+/**
+ * Compare a treatment conversion rate with control: difference with its
+ * (unpooled) confidence interval and a two-sided pooled z-test
+ * @returns {{ difference, lower, upper, relativeLift, zScore, pValue }}
+ */
+function twoProportionTest(control, treatment, confidence = 0.95) {
+  const p1 = control.trials ? control.successes / control.trials : 0;
+  const p2 = treatment.trials ? treatment.successes / treatment.trials : 0;
+  const difference = p2 - p1;
+
+  if (!control.trials || !treatment.trials) {
+    return { difference, lower: null, upper: null, relativeLift: null, zScore: null, pValue: null };
+  }
+
+  const z = criticalValue(confidence);
+  const standardError = Math.sqrt((p1 * (1 - p1)) / control.trials + (p2 * (1 - p2)) / treatment.trials);
+  const pooled = (control.successes + treatment.successes) / (control.trials + treatment.trials);
+  const pooledError = Math.sqrt(pooled * (1 - pooled) * (1 / control.trials + 1 / treatment.trials));
+  const zScore = pooledError > 0 ? difference / pooledError : 0;
+
+  return {
+    difference,
+    lower: difference - z * standardError,
+    upper: difference + z * standardError,
+    relativeLift: p1 > 0 ? difference / p1 : null,
+    zScore,
+    pValue: pooledError > 0 ? 2 * (1 - normalCdf(Math.abs(zScore))) : 1,
+  };
+}
+
+/**
+ * Pearson chi-square goodness-of-fit of observed counts against expected
+ * proportions (used for sample ratio mismatch)
+ * @param {number[]} observed - Observed counts
+ * @param {number[]} proportions - Expected proportions (normalized here)
+ * @returns {{ statistic: number, degreesOfFreedom: number, pValue: number }}
+ */
+function chiSquareGoodnessOfFit(observed, proportions) {
+  const total = observed.reduce((sum, count) => sum + count, 0);
+  const weight = proportions.reduce((sum, proportion) => sum + proportion, 0);
+  const degreesOfFreedom = observed.length - 1;
+
+  if (total === 0 || degreesOfFreedom < 1) {
+    return { statistic: 0, degreesOfFreedom, pValue: 1 };
+  }
+
+  const statistic = observed.reduce((sum, count, i) => {
+    const expected = (total * proportions[i]) / weight;
+    return sum + (expected > 0 ? ((count - expected) ** 2) / expected : 0);
+  }, 0);
+
+  return { statistic, degreesOfFreedom, pValue: chiSquareSurvival(statistic, degreesOfFreedom) };
+}
+
+// =============================================================================
+// TIME SERIES
+// =============================================================================
+
+/**
+ * Population standard deviation
+ */
+function standardDeviation(values) {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n;
+  return Math.sqrt(variance);
+}
+
+/**
+ * Mean of the last `window` values
+ */
+function movingAverage(values, window = 7) {
+  const recent = values.slice(-window);
+  return recent.length ? recent.reduce((sum, v) => sum + v, 0) / recent.length : 0;
+}
+
+/**
+ * Simple exponential smoothing across the series; returns the final level
+ */
+function exponentialSmoothing(values, alpha = 0.3) {
+  if (values.length === 0) return 0;
+  return values.slice(1).reduce((level, v) => alpha * v + (1 - alpha) * level, values[0]);
+}
+
+/**
+ * Least-squares line through the series, with x running 0..n-1
+ * @returns {{ intercept: number, slope: number }}
+ */
+function linearTrend(values) {
+  const n = values.length;
+  if (n < 2) return { intercept: values[0] || 0, slope: 0 };
+
+  let sumX = 0;
+  let sumY = 0;
+  let sumXY = 0;
+  let sumX2 = 0;
+  values.forEach((y, x) => {
+    sumX += x;
+    sumY += y;
+    sumXY += x * y;
+    sumX2 += x * x;
+  });
+
+  const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
+  return { intercept: (sumY - slope * sumX) / n, slope };
+}
+
+module.exports = {
+  normalCdf,
+  normalQuantile,
+  chiSquareSurvival,
+  wilsonInterval,
+  twoProportionTest,
+  chiSquareGoodnessOfFit,
+  standardDeviation,
+  movingAverage,
+  exponentialSmoothing,
+  linearTrend,
+};
@@ -0,0 +1,103 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - TENANT CONTEXT
+// Request-scoped white-label tenant, carried through async calls the same way
+// tracing.middleware.js carries the trace context
+// =============================================================================
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const asyncLocalStorage = new AsyncLocalStorage();
+
+/**
+ * Models whose rows belong to one tenant. The Prisma tenant-isolation
+ * extension stamps and checks `tenantId` on every query against these;
+ * a null tenantId is the main (non-white-label) marketplace.
+ */
+const TENANT_SCOPED_MODELS = [
+  'Business',
+  'Product',
+  'Order',
+  'RFQ',
+  'Quotation',
+  'Review',
+  'Promotion',
+  'Webhook',
+  'TenantMember',
+  'TenantRole',
+];
+
+/**
+ * How the tenant of the current request was identified
+ */
+const TENANT_SOURCE = {
+  PLATFORM: 'platform', // No tenant: main marketplace
+  DOMAIN: 'domain',
+  API_KEY: 'apiKey',
+  TOKEN: 'token',
+  JOB: 'job',
+  SCIM: 'scim',
+  SYSTEM: 'system', // Explicitly unscoped (admin tooling, migrations)
+};
+
+/**
+ * Get the current tenant context (undefined outside a request or runAs* call)
+ */
+function getTenantContext() {
+  return asyncLocalStorage.getStore();
+}
+
+/**
+ * Current tenant ID; null for the main marketplace or outside any context
+ */
+function getTenantId() {
+  return getTenantContext()?.tenantId ?? null;
+}
+
+/**
+ * Run a function for a tenant (background jobs acting on a tenant's data)
+ * @param {string|null} tenantId - Tenant ID, null for the main marketplace
+ * @param {Function} fn - Function to run
+ * @param {Object} extra - Extra context (userId, ip, source...)
+ */
+function runWithTenant(tenantId, fn, extra = {}) {
+  return asyncLocalStorage.run({
+    tenantId,
+    source: TENANT_SOURCE.JOB,
+    ...extra,
+  }, fn);
+}
+
+/**
+ * Run a function with tenant isolation switched off. Only for code that
+ * must see every tenant, e.g. platform admin reports.
+ */
+function runAsSystem(fn) {
+  return asyncLocalStorage.run({ tenantId: null, source: TENANT_SOURCE.SYSTEM, bypass: true }, fn);
+}
+
+/**
+ * Run a function as one tenant while keeping the caller's identity (userId,
+ * ip) for auditing: tenant management and identity provisioning address
+ * tenants by ID, including from the platform host
+ * @param {string} tenantId - Tenant ID
+ * @param {Function} fn - Function to run
+ */
+function withinTenant(tenantId, fn) {
+  return runWithTenant(tenantId, fn, { ...getTenantContext(), tenantId, bypass: false });
+}
+
+function isTenantScoped(model) {
+  return TENANT_SCOPED_MODELS.includes(model);
+}
+
+module.exports = {
+  TENANT_SCOPED_MODELS,
+  TENANT_SOURCE,
+  asyncLocalStorage,
+  getTenantContext,
+  getTenantId,
+  runWithTenant,
+  runAsSystem,
+  withinTenant,
+  isTenantScoped,
+};
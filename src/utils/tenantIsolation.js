@@ -0,0 +1,371 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - TENANT ISOLATION (PRISMA EXTENSION)
+// Injects and verifies tenantId on every query against tenant-scoped models,
+// including tenant-scoped relations reached through include/select.
+//
+// Not covered: raw SQL ($queryRaw, $executeRaw) bypasses the extension and
+// must filter on tenant_id itself, and relation filters inside `where`
+// (some/every/is) are not rewritten; they narrow the result but return no
+// rows of the related model.
+// =============================================================================
+
+const logger = require('../config/logger');
+const { TenantIsolationError } = require('./errors');
+const { getTenantContext, isTenantScoped } = require('./tenantContext');
+
+// Operations whose `where` is a plain filter: the tenant is ANDed in
+const FILTERED_OPERATIONS = [
+  'findMany',
+  'findFirst',
+  'findFirstOrThrow',
+  'count',
+  'aggregate',
+  'groupBy',
+  'updateMany',
+  'deleteMany',
+];
+
+// Lookups by unique key: the row is fetched, then its tenant is checked
+const UNIQUE_READ_OPERATIONS = ['findUnique', 'findUniqueOrThrow'];
+
+// Writes by unique key: the owner is checked before the write runs
+const UNIQUE_WRITE_OPERATIONS = ['update', 'delete', 'upsert'];
+
+const CROSS_TENANT_ACTION = 'tenant.cross_access_denied';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const delegateName = (model) => model.charAt(0).toLowerCase() + model.slice(1);
+
+const isScalarFilter = (value) => value === null || typeof value === 'string';
+
+/**
+ * Add the tenant to a where clause. An explicit different tenant is an
+ * attempt to read across tenants, not a filter to combine.
+ */
+function scopeWhere(where = {}, tenantId) {
+  if (where.tenantId === undefined) {
+    return { ...where, tenantId };
+  }
+
+  if (isScalarFilter(where.tenantId)) {
+    return where.tenantId === tenantId ? where : null;
+  }
+
+  return { AND: [where, { tenantId }] };
+}
+
+/**
+ * Stamp the tenant on data being written; null when the data names another tenant
+ */
+function scopeData(data, tenantId, { stamp }) {
+  if (!data) return data;
+
+  if (data.tenantId !== undefined) {
+    return data.tenantId === tenantId ? data : null;
+  }
+
+  return stamp ? { ...data, tenantId } : data;
+}
+
+/**
+ * Log and audit a refused cross-tenant access. Never throws: auditing must
+ * not mask the denial itself.
+ * @param {Object} client - Prisma client to write the audit row with
+ * @param {Object} context - Tenant context of the request
+ * @param {Object} details - { model, operation, entityId, requestedTenantId }
+ */
+async function auditCrossTenantAccess(client, context, { model, operation, entityId, requestedTenantId }) {
+  logger.warn('Cross-tenant access denied', {
+    model,
+    operation,
+    entityId,
+    tenantId: context.tenantId,
+    requestedTenantId,
+    userId: context.userId,
+  });
+
+  try {
+    await client.auditLog.create({
+      data: {
+        userId: context.userId || null,
+        action: CROSS_TENANT_ACTION,
+        entity: model,
+        entityId: entityId || null,
+        newValues: {
+          operation,
+          tenantId: context.tenantId,
+          requestedTenantId: requestedTenantId === undefined ? null : requestedTenantId,
+          source: context.source,
+        },
+        ipAddress: context.ip || null,
+        userAgent: context.userAgent || null,
+      },
+    });
+  } catch (error) {
+    logger.error('Failed to audit cross-tenant access', { error: error.message, model, operation });
+  }
+}
+
+// =============================================================================
+// NESTED RELATIONS
+// =============================================================================
+
+/**
+ * Relation fields per model from Prisma's datamodel (`Prisma.dmmf.datamodel`)
+ * @returns {Object} { Order: { buyer: { model: 'Business', isList: false } } }
+ */
+function relationMap(datamodel) {
+  const map = {};
+  (datamodel?.models || []).forEach((model) => {
+    map[model.name] = {};
+    model.fields
+      .filter((field) => field.kind === 'object')
+      .forEach((field) => {
+        map[model.name][field.name] = { model: field.type, isList: field.isList };
+      });
+  });
+  return map;
+}
+
+/**
+ * Scope tenant-scoped relations in an include/select tree. To-many relations
+ * get the tenant added to their `where`; to-one relations cannot be filtered,
+ * so their tenantId is selected and checked on the result by findForeignRelation.
+ * @returns {Object|null} Scoped args, null when a nested filter names another tenant
+ */
+function scopeRelations(model, args, tenantId, relations) {
+  const scoped = { ...args };
+
+  for (const key of ['include', 'select']) {
+    if (!args[key]) continue;
+
+    const projection = { ...args[key] };
+    for (const [field, value] of Object.entries(args[key])) {
+      if (field === '_count' && value?.select) {
+        const counts = scopeCounts(model, value.select, tenantId, relations);
+        if (!counts) return null;
+        projection._count = { ...value, select: counts };
+        continue;
+      }
+
+      const relation = relations[model]?.[field];
+      if (!relation || !value) continue;
+
+      const nested = scopeRelations(relation.model, value === true ? {} : value, tenantId, relations);
+      if (!nested) return null;
+
+      if (isTenantScoped(relation.model)) {
+        if (relation.isList) {
+          nested.where = scopeWhere(nested.where, tenantId);
+          if (!nested.where) return null;
+        } else if (nested.select && !nested.select.tenantId) {
+          nested.select = { ...nested.select, tenantId: true };
+        }
+      }
+
+      projection[field] = Object.keys(nested).length > 0 ? nested : value;
+    }
+    scoped[key] = projection;
+  }
+
+  return scoped;
+}
+
+/**
+ * Scope relation counts (`_count: { select: { products: true } }`)
+ */
+function scopeCounts(model, select, tenantId, relations) {
+  const scoped = { ...select };
+
+  for (const [field, value] of Object.entries(select)) {
+    const relation = relations[model]?.[field];
+    if (!relation || !value || !isTenantScoped(relation.model)) continue;
+
+    const where = scopeWhere(value === true ? undefined : value.where, tenantId);
+    if (!where) return null;
+    scoped[field] = { ...(value === true ? {} : value), where };
+  }
+
+  return scoped;
+}
+
+/**
+ * Find a to-one tenant-scoped relation in a result that belongs to another tenant
+ * @returns {Object|null} { model, id, tenantId } of the first foreign row
+ */
+function findForeignRelation(model, args, result, tenantId, relations) {
+  const records = [].concat(result).filter((record) => record && typeof record === 'object');
+
+  for (const key of ['include', 'select']) {
+    if (!args[key]) continue;
+
+    for (const [field, value] of Object.entries(args[key])) {
+      const relation = relations[model]?.[field];
+      if (!relation || !value) continue;
+
+      for (const record of records) {
+        const related = record[field];
+        if (!related) continue;
+
+        if (!relation.isList && isTenantScoped(relation.model) && related.tenantId !== tenantId) {
+          return { model: relation.model, id: related.id, tenantId: related.tenantId };
+        }
+
+        const foreign = findForeignRelation(relation.model, value === true ? {} : value, related, tenantId, relations);
+        if (foreign) return foreign;
+      }
+    }
+  }
+
+  return null;
+}
+
+// =============================================================================
+// EXTENSION
+// =============================================================================
+
+/**
+ * Build the tenant-isolation client extension
+ * @param {Object} baseClient - Unextended Prisma client (ownership checks and audit writes)
+ * @param {Object} datamodel - Prisma datamodel, used to scope nested relations
+ * @returns {Object} Prisma extension definition for `$extends`
+ */
+function tenantIsolationExtension(baseClient, datamodel) {
+  const relations = relationMap(datamodel);
+
+  async function deny(context, details) {
+    // Through the base client so the audit row survives the caller's transaction rolling back
+    await auditCrossTenantAccess(baseClient, context, details);
+    throw new TenantIsolationError(details.model, details.operation);
+  }
+
+  async function handle({ model, operation, args = {}, query }) {
+    const context = getTenantContext();
+
+    // Outside a request (jobs, scripts) and inside runAsSystem nothing is scoped
+    if (!context || context.bypass) {
+      return query(args);
+    }
+
+    const { tenantId } = context;
+
+    // Scoped relations are reachable from any model, scoped or not
+    const scopedArgs = scopeRelations(model, args, tenantId, relations);
+    if (!scopedArgs) {
+      return deny(context, { model, operation });
+    }
+
+    const result = isTenantScoped(model)
+      ? await scopeOperation({ context, model, operation, args: scopedArgs, query })
+      : await query(scopedArgs);
+
+    const foreign = findForeignRelation(model, scopedArgs, result, tenantId, relations);
+    if (foreign) {
+      return deny(context, {
+        model: foreign.model, operation, entityId: foreign.id, requestedTenantId: foreign.tenantId,
+      });
+    }
+
+    return result;
+  }
+
+  async function scopeOperation({ context, model, operation, args, query }) {
+    const { tenantId } = context;
+    const entityId = args.where?.id;
+
+    if (FILTERED_OPERATIONS.includes(operation)) {
+      const where = scopeWhere(args.where, tenantId);
+      if (!where) {
+        return deny(context, { model, operation, requestedTenantId: args.where.tenantId });
+      }
+
+      let data = args.data;
+      if (operation === 'updateMany') {
+        data = scopeData(args.data, tenantId, { stamp: false });
+        if (!data) {
+          return deny(context, { model, operation, requestedTenantId: args.data.tenantId });
+        }
+      }
+
+      return query({ ...args, where, ...(data && { data }) });
+    }
+
+    if (UNIQUE_READ_OPERATIONS.includes(operation)) {
+      // Make sure tenantId comes back even when the caller selects other fields
+      const selectsTenant = !args.select || args.select.tenantId;
+      const result = await query(selectsTenant ? args : { ...args, select: { ...args.select, tenantId: true } });
+
+      if (result && result.tenantId !== tenantId) {
+        return deny(context, { model, operation, entityId: result.id, requestedTenantId: result.tenantId });
+      }
+
+      if (result && !selectsTenant) {
+        delete result.tenantId;
+      }
+      return result;
+    }
+
+    if (operation === 'create') {
+      const data = scopeData(args.data, tenantId, { stamp: true });
+      if (!data) {
+        return deny(context, { model, operation, requestedTenantId: args.data.tenantId });
+      }
+      return query({ ...args, data });
+    }
+
+    if (operation === 'createMany') {
+      const rows = [].concat(args.data).map((row) => scopeData(row, tenantId, { stamp: true }));
+      const foreign = rows.findIndex((row) => !row);
+      if (foreign !== -1) {
+        return deny(context, { model, operation, requestedTenantId: [].concat(args.data)[foreign].tenantId });
+      }
+      return query({ ...args, data: rows });
+    }
+
+    if (UNIQUE_WRITE_OPERATIONS.includes(operation)) {
+      const existing = await baseClient[delegateName(model)].findUnique({
+        where: args.where,
+        select: { id: true, tenantId: true },
+      });
+
+      if (existing && existing.tenantId !== tenantId) {
+        return deny(context, { model, operation, entityId: existing.id, requestedTenantId: existing.tenantId });
+      }
+
+      const scoped = { ...args, where: { ...args.where, tenantId } };
+
+      if (operation === 'update') {
+        scoped.data = scopeData(args.data, tenantId, { stamp: false });
+      }
+      if (operation === 'upsert') {
+        scoped.create = scopeData(args.create, tenantId, { stamp: true });
+        scoped.update = scopeData(args.update, tenantId, { stamp: false });
+      }
+      if ((operation === 'update' && !scoped.data) || (operation === 'upsert' && (!scoped.create || !scoped.update))) {
+        return deny(context, { model, operation, entityId });
+      }
+
+      return query(scoped);
+    }
+
+    return query(args);
+  }
+
+  return {
+    name: 'tenantIsolation',
+    query: {
+      $allModels: {
+        $allOperations: handle,
+      },
+    },
+  };
+}
+
+module.exports = {
+  tenantIsolationExtension,
+  auditCrossTenantAccess,
+  CROSS_TENANT_ACTION,
+};
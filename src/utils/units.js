@@ -0,0 +1,111 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - UNIT OF MEASURE HELPERS
+// Normalizes quantities quoted in different units of the same dimension
+// =============================================================================
+
+/**
+ * Conversion factors to the base unit of each dimension
+ * (kg for mass, metre for length, litre for volume, piece for count)
+ */
+const UNITS = {
+  // Mass
+  mg: { dimension: 'MASS', factor: 0.000001 },
+  g: { dimension: 'MASS', factor: 0.001 },
+  kg: { dimension: 'MASS', factor: 1 },
+  quintal: { dimension: 'MASS', factor: 100 },
+  tonne: { dimension: 'MASS', factor: 1000 },
+  lb: { dimension: 'MASS', factor: 0.45359237 },
+
+  // Length
+  mm: { dimension: 'LENGTH', factor: 0.001 },
+  cm: { dimension: 'LENGTH', factor: 0.01 },
+  m: { dimension: 'LENGTH', factor: 1 },
+  km: { dimension: 'LENGTH', factor: 1000 },
+  inch: { dimension: 'LENGTH', factor: 0.0254 },
+  ft: { dimension: 'LENGTH', factor: 0.3048 },
+
+  // Volume
+  ml: { dimension: 'VOLUME', factor: 0.001 },
+  l: { dimension: 'VOLUME', factor: 1 },
+  kl: { dimension: 'VOLUME', factor: 1000 },
+
+  // Count
+  piece: { dimension: 'COUNT', factor: 1 },
+  pair: { dimension: 'COUNT', factor: 2 },
+  dozen: { dimension: 'COUNT', factor: 12 },
+  gross: { dimension: 'COUNT', factor: 144 },
+};
+
+const ALIASES = {
+  milligram: 'mg', milligrams: 'mg',
+  gm: 'g', gms: 'g', gram: 'g', grams: 'g',
+  kgs: 'kg', kilogram: 'kg', kilograms: 'kg',
+  quintals: 'quintal', qtl: 'quintal',
+  t: 'tonne', ton: 'tonne', tons: 'tonne', tonnes: 'tonne', mt: 'tonne',
+  lbs: 'lb', pound: 'lb', pounds: 'lb',
+  millimeter: 'mm', millimetre: 'mm', millimeters: 'mm', millimetres: 'mm',
+  centimeter: 'cm', centimetre: 'cm', centimeters: 'cm', centimetres: 'cm',
+  meter: 'm', metre: 'm', meters: 'm', metres: 'm', mtr: 'm', mtrs: 'm',
+  kilometer: 'km', kilometre: 'km', kilometers: 'km', kilometres: 'km',
+  in: 'inch', inches: 'inch',
+  feet: 'ft', foot: 'ft',
+  milliliter: 'ml', millilitre: 'ml', milliliters: 'ml', millilitres: 'ml',
+  ltr: 'l', ltrs: 'l', liter: 'l', litre: 'l', liters: 'l', litres: 'l',
+  kiloliter: 'kl', kilolitre: 'kl',
+  pieces: 'piece', pc: 'piece', pcs: 'piece', unit: 'piece', units: 'piece', nos: 'piece', no: 'piece', ea: 'piece',
+  pairs: 'pair',
+  dozens: 'dozen', dz: 'dozen',
+};
+
+/**
+ * Canonical unit key for a free-text unit ("Kgs" -> "kg"), or null if unknown
+ */
+const normalizeUnit = (unit) => {
+  if (!unit) return null;
+  const key = String(unit).trim().toLowerCase().replace(/\.$/, '');
+  if (UNITS[key]) return key;
+  return ALIASES[key] || null;
+};
+
+/**
+ * Factor that converts a quantity in `fromUnit` into `toUnit`.
+ * Returns null when either unit is unknown or the dimensions differ.
+ */
+const conversionFactor = (fromUnit, toUnit) => {
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+
+  if (from && from === to) return 1;
+  if (!from || !to) {
+    // Unknown units only compare with themselves
+    return String(fromUnit || '').trim().toLowerCase() === String(toUnit || '').trim().toLowerCase() ? 1 : null;
+  }
+  if (UNITS[from].dimension !== UNITS[to].dimension) return null;
+
+  return UNITS[from].factor / UNITS[to].factor;
+};
+
+/**
+ * Convert a quantity between units, or null if they are not comparable
+ */
+const convertQuantity = (quantity, fromUnit, toUnit) => {
+  const factor = conversionFactor(fromUnit, toUnit);
+  return factor === null ? null : quantity * factor;
+};
+
+/**
+ * Mass of a quantity in kg, or null for non-mass units
+ */
+const toKilograms = (quantity, unit) => {
+  const key = normalizeUnit(unit);
+  if (!key || UNITS[key].dimension !== 'MASS') return null;
+  return quantity * UNITS[key].factor;
+};
+
+module.exports = {
+  UNITS,
+  normalizeUnit,
+  conversionFactor,
+  convertQuantity,
+  toKilograms,
+};
@@ -0,0 +1,314 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - WEBHOOK EVENT CATALOG
+// Versioned JSON Schemas for every outbound webhook event
+// =============================================================================
+
+const CATALOG_VERSION = '2026-10-19';
+const SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+// Names used by the retired webhookManagement service, still accepted on dispatch
+const EVENT_ALIASES = {
+  'product.low_stock': 'product.stock_low',
+  'rfq.quote_received': 'rfq.quotation_received',
+  'rfq.accepted': 'rfq.awarded',
+};
+
+// =============================================================================
+// SCHEMA HELPERS
+// =============================================================================
+
+const str = (description, extra = {}) => ({ type: 'string', description, ...extra });
+const num = (description) => ({ type: 'number', description });
+const int = (description) => ({ type: 'integer', description });
+const timestamp = (description) => str(description, { format: 'date-time' });
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+
+const object = (properties, required = Object.keys(properties), extra = {}) => ({
+  type: 'object',
+  properties,
+  required,
+  additionalProperties: false,
+  ...extra,
+});
+
+// Open payloads list their documented fields but let producers add more
+const openObject = (properties, required) => object(properties, required, { additionalProperties: true });
+
+const pick = (data, keys) => Object.fromEntries(
+  keys.filter((key) => data[key] !== undefined).map((key) => [key, data[key]]),
+);
+
+/**
+ * Version entry whose payload is the documented subset of the producer's data
+ */
+const pickVersion = (schema) => ({
+  schema,
+  render: schema.additionalProperties ? (data) => ({ ...data }) : (data) => pick(data, Object.keys(schema.properties)),
+});
+
+// =============================================================================
+// PAYLOAD SCHEMAS
+// =============================================================================
+
+const orderV1 = object({
+  orderId: str('Order ID'),
+  orderNumber: str('Human-readable order number'),
+  status: str('Order status after the change'),
+  paymentStatus: nullable(str('Payment status')),
+  totalAmount: num('Order total (floating point)'),
+  currency: str('ISO 4217 currency code'),
+  updatedAt: nullable(timestamp('When the order last changed')),
+}, ['orderId', 'orderNumber', 'status', 'totalAmount', 'currency']);
+
+// V2 nests the order, names both parties and sends amounts as decimal strings
+const orderV2 = object({
+  order: object({
+    id: str('Order ID'),
+    number: str('Human-readable order number'),
+    status: str('Order status after the change'),
+    previousStatus: nullable(str('Order status before the change (null on creation)')),
+    paymentStatus: nullable(str('Payment status')),
+    buyerId: str('Buyer business ID'),
+    sellerId: str('Seller business ID'),
+    total: object({
+      amount: str('Order total as a decimal string', { pattern: '^-?\\d+(\\.\\d+)?$' }),
+      currency: str('ISO 4217 currency code'),
+    }),
+  }),
+  updatedAt: nullable(timestamp('When the order last changed')),
+});
+
+const orderVersions = {
+  1: {
+    schema: orderV1,
+    render: (data) => ({
+      orderId: data.orderId,
+      orderNumber: data.orderNumber,
+      status: data.status,
+      paymentStatus: data.paymentStatus ?? null,
+      totalAmount: Number(data.totalAmount),
+      currency: data.currency || 'INR',
+      updatedAt: data.updatedAt ?? null,
+    }),
+  },
+  2: {
+    schema: orderV2,
+    render: (data) => ({
+      order: {
+        id: data.orderId,
+        number: data.orderNumber,
+        status: data.status,
+        previousStatus: data.previousStatus ?? null,
+        paymentStatus: data.paymentStatus ?? null,
+        buyerId: data.buyerId,
+        sellerId: data.sellerId,
+        total: { amount: String(data.totalAmount), currency: data.currency || 'INR' },
+      },
+      updatedAt: data.updatedAt ?? null,
+    }),
+  },
+};
+
+const productVersions = {
+  1: pickVersion(object({
+    productId: str('Product ID'),
+    businessId: str('Seller business ID'),
+    name: str('Product name'),
+    slug: str('URL slug'),
+    status: str('Catalog status (ACTIVE, DRAFT, DISCONTINUED, ...)'),
+    updatedAt: nullable(timestamp('When the product last changed')),
+  }, ['productId', 'businessId', 'status'])),
+};
+
+const stockVersions = {
+  1: pickVersion(openObject({
+    productId: str('Product ID'),
+    variantId: str('Variant (SKU) ID'),
+    sku: str('SKU code'),
+    stockQuantity: int('Units on hand'),
+    threshold: int('Low-stock threshold that was crossed'),
+  }, ['productId', 'stockQuantity'])),
+};
+
+const paymentVersions = {
+  1: pickVersion(openObject({
+    paymentId: str('Payment ID'),
+    orderId: str('Order the payment belongs to'),
+    amount: num('Amount'),
+    currency: str('ISO 4217 currency code'),
+    status: str('Payment status'),
+    method: str('Payment method'),
+  }, ['paymentId', 'orderId', 'amount', 'status'])),
+};
+
+const rfqVersions = {
+  1: pickVersion(openObject({
+    rfqId: str('RFQ ID'),
+    rfqNumber: str('Human-readable RFQ number'),
+    buyerId: str('Buyer business ID'),
+    sellerId: str('Seller business ID (quotation and award events)'),
+    quotationId: str('Quotation ID (quotation and award events)'),
+    status: str('RFQ status'),
+  }, ['rfqId', 'status'])),
+};
+
+const inventoryVersions = {
+  1: pickVersion(openObject({
+    variantId: str('Variant (SKU) ID'),
+    warehouseId: str('Warehouse ID'),
+    quantity: int('Units on hand after the change'),
+    change: int('Signed quantity change'),
+    reason: str('Reason code'),
+  }, ['variantId', 'quantity'])),
+};
+
+const userVersions = {
+  1: pickVersion(openObject({
+    userId: str('User ID'),
+    email: str('Email address', { format: 'email' }),
+  }, ['userId'])),
+};
+
+const businessVersions = {
+  1: pickVersion(openObject({
+    businessId: str('Business ID'),
+    businessName: str('Registered business name'),
+    reason: str('Reason (suspension events)'),
+  }, ['businessId'])),
+};
+
+const recordVersions = (idField, idDescription) => ({
+  1: pickVersion(openObject({
+    [idField]: str(idDescription),
+    businessId: str('Business the record belongs to'),
+    status: str('Record status'),
+  }, [idField])),
+});
+
+// =============================================================================
+// EVENTS
+// =============================================================================
+
+const event = (category, description, versions) => ({ category, description, versions });
+
+const EVENTS = {
+  // Orders
+  'order.created': event('orders', 'When a new order is placed', orderVersions),
+  'order.confirmed': event('orders', 'When an order is confirmed', orderVersions),
+  'order.shipped': event('orders', 'When an order is shipped', orderVersions),
+  'order.delivered': event('orders', 'When an order is delivered', orderVersions),
+  'order.cancelled': event('orders', 'When an order is cancelled', orderVersions),
+  'order.refunded': event('orders', 'When an order is refunded', orderVersions),
+
+  // Payments
+  'payment.received': event('payments', 'When a payment is received', paymentVersions),
+  'payment.failed': event('payments', 'When a payment fails', paymentVersions),
+  'payment.refunded': event('payments', 'When a payment is refunded', paymentVersions),
+
+  // Products
+  'product.created': event('products', 'When a product is created', productVersions),
+  'product.updated': event('products', 'When a product is updated', productVersions),
+  'product.deleted': event('products', 'When a product is deleted', productVersions),
+  'product.stock_low': event('products', 'When stock falls below threshold', stockVersions),
+  'product.out_of_stock': event('products', 'When product goes out of stock', stockVersions),
+
+  // Inventory
+  'inventory.updated': event('inventory', 'When warehouse stock changes', inventoryVersions),
+  'inventory.threshold_reached': event('inventory', 'When stock reaches a reorder threshold', inventoryVersions),
+
+  // RFQs
+  'rfq.created': event('rfq', 'When an RFQ is created', rfqVersions),
+  'rfq.quotation_received': event('rfq', 'When a quotation is received', rfqVersions),
+  'rfq.awarded': event('rfq', 'When an RFQ is awarded', rfqVersions),
+  'rfq.closed': event('rfq', 'When an RFQ is closed', rfqVersions),
+
+  // Users and businesses
+  'user.registered': event('users', 'When a new user registers', userVersions),
+  'user.verified': event('users', 'When a user is verified', userVersions),
+  'business.verified': event('users', 'When a business is verified', businessVersions),
+  'business.suspended': event('users', 'When a business is suspended', businessVersions),
+
+  // Inquiries, leads and reviews
+  'inquiry.received': event('inquiries', 'When an inquiry is received', recordVersions('inquiryId', 'Inquiry ID')),
+  'inquiry.responded': event('inquiries', 'When an inquiry is responded', recordVersions('inquiryId', 'Inquiry ID')),
+  'lead.captured': event('leads', 'When a new lead is captured', recordVersions('leadId', 'Lead ID')),
+  'lead.converted': event('leads', 'When a lead is converted', recordVersions('leadId', 'Lead ID')),
+  'review.created': event('reviews', 'When a review is posted', recordVersions('reviewId', 'Review ID')),
+  'review.approved': event('reviews', 'When a review is approved', recordVersions('reviewId', 'Review ID')),
+};
+
+// Body of every delivery; `data` is the payload rendered at the subscriber's pinned version
+const ENVELOPE_SCHEMA = object({
+  id: str('Event ID, stable across retries and replays (use it to de-duplicate)'),
+  event: str('Event type'),
+  version: int('Payload version the subscriber is pinned to'),
+  createdAt: timestamp('When the event occurred'),
+  data: { type: 'object', description: 'Payload matching the event schema for `version`' },
+});
+
+// =============================================================================
+// LOOKUPS
+// =============================================================================
+
+/**
+ * Canonical event name for a current or legacy name, or null if unknown
+ */
+const resolveEventType = (name) => {
+  const canonical = EVENT_ALIASES[name] || name;
+  return EVENTS[canonical] ? canonical : null;
+};
+
+const versionsOf = (name) => Object.keys(EVENTS[name].versions).map(Number).sort((a, b) => a - b);
+
+const latestVersion = (name) => versionsOf(name).pop();
+
+const hasVersion = (name, version) => Boolean(EVENTS[name]?.versions[version]);
+
+/**
+ * Render the producer's data as the payload for one event version
+ */
+const renderPayload = (name, version, data) => {
+  const definition = EVENTS[name].versions[version] || EVENTS[name].versions[latestVersion(name)];
+  return definition.render(data || {});
+};
+
+/**
+ * JSON Schema document for one event version
+ */
+const schemaFor = (name, version) => ({
+  $schema: SCHEMA_DIALECT,
+  $id: `urn:airavat:webhooks:${name}:v${version}`,
+  title: `${name} (v${version})`,
+  ...EVENTS[name].versions[version].schema,
+});
+
+/**
+ * Public catalog: every event with the JSON Schema of each payload version
+ */
+const describeEvent = (name) => ({
+  event: name,
+  category: EVENTS[name].category,
+  description: EVENTS[name].description,
+  latestVersion: latestVersion(name),
+  versions: versionsOf(name).map((version) => ({ version, schema: schemaFor(name, version) })),
+});
+
+const getCatalog = () => ({
+  catalogVersion: CATALOG_VERSION,
+  envelope: { $schema: SCHEMA_DIALECT, $id: 'urn:airavat:webhooks:envelope', ...ENVELOPE_SCHEMA },
+  aliases: EVENT_ALIASES,
+  events: Object.keys(EVENTS).map(describeEvent),
+});
+
+module.exports = {
+  CATALOG_VERSION,
+  EVENTS,
+  EVENT_ALIASES,
+  resolveEventType,
+  latestVersion,
+  hasVersion,
+  renderPayload,
+  schemaFor,
+  describeEvent,
+  getCatalog,
+};
@@ -268,6 +268,9 @@ const product = {
     minOrderQuantity: Joi.number().integer().min(1).default(1),
     orderMultiple: Joi.number().integer().min(1).default(1),
     leadTimeDays: Joi.number().integer().min(0).max(365).default(1),
+    lotTracked: Joi.boolean().default(false),
+    minShelfLifeDays: Joi.number().integer().min(0).max(3650),
+    nearExpiryDays: Joi.number().integer().min(0).max(3650),
     weight: Joi.number().positive(),
     length: Joi.number().positive(),
     width: Joi.number().positive(),
@@ -321,6 +324,9 @@ const product = {
     minOrderQuantity: Joi.number().integer().min(1),
     orderMultiple: Joi.number().integer().min(1),
     leadTimeDays: Joi.number().integer().min(0).max(365),
+    lotTracked: Joi.boolean(),
+    minShelfLifeDays: Joi.number().integer().min(0).max(3650).allow(null),
+    nearExpiryDays: Joi.number().integer().min(0).max(3650).allow(null),
     weight: Joi.number().positive(),
     length: Joi.number().positive(),
     width: Joi.number().positive(),
@@ -445,6 +451,787 @@ const order = {
   }),
 };
 
+// =============================================================================
+// RETURN (RMA) SCHEMAS
+// =============================================================================
+
+const returnReasonCodes = [
+  'DAMAGED', 'DEFECTIVE', 'WRONG_ITEM', 'NOT_AS_DESCRIBED',
+  'QUALITY_ISSUE', 'EXCESS_QUANTITY', 'EXPIRED', 'OTHER',
+];
+
+const returns = {
+  create: Joi.object({
+    orderId: common.id.required(),
+    reasonCode: Joi.string().valid(...returnReasonCodes).required(),
+    buyerNote: Joi.string().max(1000),
+    pickupAddress: Joi.object(),
+    items: Joi.array().items(Joi.object({
+      orderItemId: common.id.required(),
+      quantity: Joi.number().integer().min(1).required(),
+      reasonCode: Joi.string().valid(...returnReasonCodes),
+      note: Joi.string().max(500),
+      evidence: Joi.array().items(common.url).max(10),
+    })).min(1).required(),
+  }),
+
+  reject: Joi.object({
+    reason: Joi.string().max(1000).required(),
+  }),
+
+  receive: Joi.object({
+    note: Joi.string().max(1000),
+    items: Joi.array().items(Joi.object({
+      returnItemId: common.id.required(),
+      receivedQty: Joi.number().integer().min(0).required(),
+    })),
+  }),
+
+  inspect: Joi.object({
+    warehouseId: common.id,
+    note: Joi.string().max(1000),
+    restockingFeePercentage: Joi.number().min(0).max(100),
+    items: Joi.array().items(Joi.object({
+      returnItemId: common.id.required(),
+      acceptedQty: Joi.number().integer().min(0).required(),
+      rejectedQty: Joi.number().integer().min(0).required(),
+      restock: Joi.boolean().default(true),
+      lotNumber: Joi.string().trim().max(20),
+      rejectionReason: Joi.string().max(500),
+      note: Joi.string().max(500),
+    })).min(1).required(),
+  }),
+};
+
+// =============================================================================
+// CREDIT / DEBIT NOTE SCHEMAS
+// =============================================================================
+
+const creditNoteReasonCodes = [
+  'SALES_RETURN', 'POST_SALE_DISCOUNT', 'DEFICIENCY_IN_SERVICES', 'CORRECTION_IN_INVOICE',
+  'CHANGE_IN_POS', 'FINALIZATION_OF_PROVISIONAL_ASSESSMENT', 'OTHERS',
+];
+
+const creditNotes = {
+  create: Joi.object({
+    orderId: common.id.required(),
+    noteType: Joi.string().valid('CREDIT', 'DEBIT').default('CREDIT'),
+    returnId: common.id,
+    reasonCode: Joi.string().valid(...creditNoteReasonCodes)
+      .when('returnId', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() }),
+    notes: Joi.string().max(1000),
+    items: Joi.array().items(Joi.object({
+      orderItemId: common.id.required(),
+      quantity: Joi.number().integer().min(1),
+      taxableValue: Joi.number().positive().precision(2),
+    }).or('quantity', 'taxableValue'))
+      .min(1)
+      .when('returnId', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() }),
+  }),
+
+  cancel: Joi.object({
+    reason: Joi.string().max(500).required(),
+  }),
+};
+
+const taxWithholding = {
+  deposit: Joi.object({
+    type: Joi.string().valid('TCS', 'TDS').required(),
+    period: Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).required(),
+    challanNumber: Joi.string().max(50).trim().required(),
+  }),
+};
+
+const ledger = {
+  reverse: Joi.object({
+    reason: Joi.string().max(500).required(),
+  }),
+};
+
+// =============================================================================
+// APPROVAL POLICY SCHEMAS
+// =============================================================================
+
+const approvalTypes = [
+  'ORDER', 'PURCHASE_ORDER', 'PURCHASE_REQUISITION', 'QUOTATION', 'CONTRACT', 'PAYMENT', 'REFUND',
+  'CREDIT_REQUEST', 'VENDOR_ONBOARD', 'PRICE_CHANGE', 'DISCOUNT', 'INVENTORY_ADJUSTMENT',
+];
+const riskLevels = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+const approvalPolicyStep = Joi.object({
+  stepOrder: Joi.number().integer().min(1),
+  name: Joi.string().max(100).trim().required(),
+  approverType: Joi.string().valid('USER', 'ROLE', 'AUTHORITY').required(),
+  approverIds: Joi.array().items(common.id)
+    .when('approverType', { is: 'USER', then: Joi.array().min(1).required() }),
+  roles: Joi.array().items(Joi.string().max(50))
+    .when('approverType', { is: 'ROLE', then: Joi.array().min(1).required() }),
+  requiredApprovals: Joi.number().integer().min(1).default(1),
+  escalateAfterHours: Joi.number().integer().min(1).max(720),
+  escalateToId: common.id.when('escalateAfterHours', { is: Joi.exist(), then: Joi.required() }),
+});
+
+const approvalPolicyFields = {
+  name: Joi.string().max(200).trim(),
+  description: Joi.string().max(1000).allow(''),
+  priority: Joi.number().integer().min(0),
+  executionMode: Joi.string().valid('SEQUENTIAL', 'PARALLEL'),
+  approvalType: Joi.string().valid(...approvalTypes).allow(null),
+  minAmount: Joi.number().min(0).allow(null),
+  maxAmount: Joi.number().min(0).allow(null),
+  categoryIds: Joi.array().items(common.id),
+  costCenters: Joi.array().items(Joi.string().max(50)),
+  departments: Joi.array().items(Joi.string().max(100)),
+  minSupplierRisk: Joi.string().valid(...riskLevels).allow(null),
+  isActive: Joi.boolean(),
+  steps: Joi.array().items(approvalPolicyStep).min(1),
+};
+
+const approvalPolicies = {
+  create: Joi.object({
+    ...approvalPolicyFields,
+    name: approvalPolicyFields.name.required(),
+    steps: approvalPolicyFields.steps.required(),
+  }),
+
+  update: Joi.object(approvalPolicyFields).min(1),
+
+  dryRun: Joi.object({
+    type: Joi.string().valid(...approvalTypes).required(),
+    amount: Joi.number().min(0).default(0),
+    requesterId: common.id,
+    categoryIds: Joi.array().items(common.id),
+    costCenter: Joi.string().max(50),
+    department: Joi.string().max(100),
+    supplierId: common.id,
+    supplierIds: Joi.array().items(common.id),
+    supplierRiskLevel: Joi.string().valid(...riskLevels),
+  }),
+
+  delegation: Joi.object({
+    delegateId: common.id.required(),
+    startsAt: Joi.date().iso().required(),
+    endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required(),
+    approvalTypes: Joi.array().items(Joi.string().valid(...approvalTypes)),
+    reason: Joi.string().max(500),
+  }),
+};
+
+// =============================================================================
+// BUDGET SCHEMAS
+// =============================================================================
+
+const budgetControls = {
+  name: Joi.string().max(200).trim(),
+  overspendPolicy: Joi.string().valid('BLOCK', 'REQUIRE_APPROVAL', 'ALLOW'),
+  tolerancePercent: Joi.number().min(0).max(100),
+  overspendApproverIds: Joi.array().items(common.id),
+  ownerId: common.id,
+};
+
+const budgets = {
+  create: Joi.object({
+    ...budgetControls,
+    name: budgetControls.name.required(),
+    costCenter: Joi.string().max(50).required(),
+    glCode: Joi.string().max(50).required(),
+    periodType: Joi.string().valid('MONTHLY', 'QUARTERLY', 'ANNUAL').default('ANNUAL'),
+    periodStart: Joi.date().iso().required(),
+    periodEnd: Joi.date().iso().greater(Joi.ref('periodStart')).required(),
+    currency: Joi.string().length(3).uppercase().default('INR'),
+    amount: Joi.number().positive().precision(2).required(),
+  }),
+
+  update: Joi.object({
+    ...budgetControls,
+    status: Joi.string().valid('ACTIVE', 'FROZEN', 'CLOSED'),
+  }).min(1),
+
+  revise: Joi.object({
+    newAmount: Joi.number().min(0).precision(2).required(),
+    reason: Joi.string().max(500).required(),
+  }),
+
+  transfer: Joi.object({
+    fromBudgetId: common.id.required(),
+    toBudgetId: common.id.required(),
+    amount: Joi.number().positive().precision(2).required(),
+    reason: Joi.string().max(500).required(),
+  }),
+
+  check: Joi.object({
+    costCenter: Joi.string().max(50).required(),
+    glCode: Joi.string().max(50).required(),
+    amount: Joi.number().positive().required(),
+  }),
+};
+
+// =============================================================================
+// PUNCHOUT SCHEMAS
+// =============================================================================
+
+const punchout = {
+  createCredential: Joi.object({
+    protocol: Joi.string().valid('CXML', 'OCI').required(),
+    name: Joi.string().max(100).required(),
+    domain: Joi.string().max(100).when('protocol', { is: 'CXML', then: Joi.required() }),
+    identity: Joi.string().max(200).required(),
+    secret: Joi.string().min(16).max(200),
+    userId: common.id.required(),
+    allowedReturnHosts: Joi.array()
+      .items(Joi.alternatives().try(Joi.string().hostname(), Joi.string().pattern(/^\*\.[\w.-]+$/)))
+      .min(1)
+      .required(),
+  }),
+};
+
+// =============================================================================
+// EDI SCHEMAS
+// =============================================================================
+
+const ediMappingRules = Joi.object({
+  itemIdPriority: Joi.array().items(Joi.string().valid('VP', 'BP', 'EN', 'UP')).min(1),
+  partCrossReference: Joi.object().pattern(Joi.string(), Joi.string()),
+  unitConversions: Joi.object().pattern(Joi.string(), Joi.number().positive()),
+  shipToAddressMap: Joi.object().pattern(Joi.string(), common.id),
+  defaultShippingAddressId: common.id,
+  defaultBillingAddressId: common.id,
+  paymentMethod: Joi.string().valid('CREDIT_LINE', 'NEFT', 'RTGS', 'ESCROW'),
+});
+
+const ediPartnerFields = {
+  name: Joi.string().max(100),
+  interchangeQualifier: Joi.string().max(4),
+  interchangeId: Joi.string().max(35),
+  groupId: Joi.string().max(15).allow(null),
+  transport: Joi.string().valid('LOCAL_DIR', 'SFTP', 'AS2'),
+  transportConfig: Joi.object().allow(null),
+  outboundDocuments: Joi.array().items(Joi.string().valid('855', '856', '810', 'ORDRSP', 'DESADV', 'INVOIC')),
+  mappingRules: ediMappingRules.allow(null),
+  sendFunctionalAck: Joi.boolean(),
+  testMode: Joi.boolean(),
+};
+
+const edi = {
+  createPartner: Joi.object({
+    ...ediPartnerFields,
+    businessId: common.id.required(),
+    code: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(40).required(),
+    standard: Joi.string().valid('X12', 'EDIFACT').required(),
+    name: ediPartnerFields.name.required(),
+    interchangeQualifier: ediPartnerFields.interchangeQualifier.required(),
+    interchangeId: ediPartnerFields.interchangeId.required(),
+  }),
+
+  updatePartner: Joi.object({
+    ...ediPartnerFields,
+    isActive: Joi.boolean(),
+  }).min(1),
+};
+
+// =============================================================================
+// WEBHOOK SCHEMAS
+// =============================================================================
+
+const webhookEventVersions = Joi.object().pattern(Joi.string(), Joi.number().integer().min(1));
+
+const webhooks = {
+  create: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+    events: Joi.array().items(Joi.string()).min(1).required(),
+    eventVersions: webhookEventVersions,
+    description: Joi.string().max(500).allow('', null),
+  }),
+
+  update: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }),
+    events: Joi.array().items(Joi.string()).min(1),
+    eventVersions: webhookEventVersions,
+    description: Joi.string().max(500).allow('', null),
+    isActive: Joi.boolean(),
+  }).min(1),
+
+  rotateSecret: Joi.object({
+    overlapHours: Joi.number().integer().min(0).max(168),
+  }),
+
+  replay: Joi.object({
+    webhookId: Joi.string(),
+    eventId: Joi.string(),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+  }).or('eventId', 'from', 'to'),
+};
+
+// =============================================================================
+// SSO & SCIM SCHEMAS
+// =============================================================================
+
+const sso = {
+  configure: Joi.object({
+    provider: Joi.string().valid('saml', 'oidc', 'azure_ad', 'okta', 'google').insensitive().required(),
+    config: Joi.object({
+      // SAML
+      entityId: Joi.string().max(500),
+      ssoUrl: Joi.string().uri({ scheme: ['https', 'http'] }),
+      certificate: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()).min(1).max(3)),
+      logoutUrl: Joi.string().uri({ scheme: ['https', 'http'] }),
+      // OIDC
+      issuer: Joi.string().uri({ scheme: ['https', 'http'] }),
+      tenantId: Joi.string().max(100),
+      domain: Joi.string().hostname(),
+      clientId: Joi.string().max(500),
+      clientSecret: Joi.string().max(1000),
+      hostedDomain: Joi.string().hostname(),
+    }).required(),
+    enabled: Joi.boolean(),
+    enforced: Joi.boolean(),
+    jitProvisioning: Joi.boolean(),
+    roleMapping: Joi.object().pattern(Joi.string().max(200), Joi.string().max(50)).allow(null),
+  }),
+
+  exchange: Joi.object({
+    code: Joi.string().hex().length(64).required(),
+  }),
+
+  verifyDomain: Joi.object({
+    domain: Joi.string().hostname().required(),
+  }),
+
+  createScimToken: Joi.object({
+    name: Joi.string().max(100).required(),
+  }),
+};
+
+// =============================================================================
+// FEATURE FLAG SCHEMAS
+// =============================================================================
+
+const flagKey = Joi.string().pattern(/^[a-z0-9_.-]+$/).max(100);
+const flagOperators = [
+  'eq', 'neq', 'in', 'notIn', 'gt', 'gte', 'lt', 'lte', 'between', 'contains', 'startsWith', 'exists',
+  'versionEq', 'versionGt', 'versionGte', 'versionLt', 'versionLte',
+];
+
+const flagFields = {
+  description: Joi.string().max(500).allow('', null),
+  enabled: Joi.boolean(),
+  variants: Joi.array().items(Joi.object({
+    key: flagKey.required(),
+    weight: Joi.number().integer().min(0).max(10000).required(),
+    payload: Joi.any(),
+  })).min(2).max(20).allow(null),
+  offVariant: flagKey,
+  rules: Joi.array().items(Joi.object({
+    id: flagKey,
+    description: Joi.string().max(200),
+    conditions: Joi.array().items(Joi.object({
+      attribute: Joi.string().pattern(/^(custom\.)?[A-Za-z0-9_]+$/).max(100).required(),
+      operator: Joi.string().valid(...flagOperators).required(),
+      value: Joi.when('operator', {
+        switch: [
+          { is: Joi.valid('in', 'notIn'), then: Joi.array().items(Joi.any()).min(1).required() },
+          { is: 'between', then: Joi.array().length(2).required() },
+          { is: 'exists', then: Joi.boolean().default(true) },
+        ],
+        otherwise: Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean()).required(),
+      }),
+    })).max(20).default([]),
+    variant: flagKey,
+    split: Joi.object().pattern(flagKey, Joi.number().integer().min(0)),
+  }).xor('variant', 'split')).max(50),
+  rolloutPercentage: Joi.number().integer().min(0).max(100),
+  regions: Joi.array().items(Joi.string().length(2).uppercase()),
+  allowlist: Joi.array().items(common.id),
+  blocklist: Joi.array().items(common.id),
+  requiredTier: Joi.string().max(50).allow(null),
+  startDate: Joi.date().iso().allow(null),
+  endDate: Joi.date().iso().allow(null),
+  metadata: Joi.object().unknown(true),
+  reason: Joi.string().max(500),
+};
+
+const featureFlags = {
+  create: Joi.object({
+    ...flagFields,
+    name: flagKey.required(),
+  }),
+
+  update: Joi.object(flagFields).min(1),
+
+  kill: Joi.object({
+    reason: Joi.string().max(500).required(),
+  }),
+
+  restore: Joi.object({
+    reason: Joi.string().max(500),
+  }),
+
+  schedule: Joi.object({
+    action: Joi.string().valid('ENABLE', 'DISABLE').required(),
+    runAt: Joi.date().iso().greater('now').required(),
+    reason: Joi.string().max(500),
+  }),
+
+  evaluate: Joi.object({
+    flags: Joi.array().items(flagKey).max(100),
+    attributes: Joi.object().pattern(
+      Joi.string().pattern(/^[A-Za-z0-9_]+$/).max(100),
+      Joi.alternatives().try(Joi.string().max(200), Joi.number(), Joi.boolean()),
+    ).max(50),
+  }),
+
+  createExperiment: Joi.object({
+    name: flagKey.required(),
+    flagName: flagKey.required(),
+    hypothesis: Joi.string().max(1000),
+    metric: Joi.string().max(100),
+    controlVariant: flagKey.required(),
+    confidenceLevel: Joi.number().valid(0.8, 0.9, 0.95, 0.99),
+  }),
+
+  stopExperiment: Joi.object({
+    decision: Joi.string().max(500),
+  }),
+
+  conversion: Joi.object({
+    type: Joi.string().max(100),
+    value: Joi.number().min(0),
+    metadata: Joi.object().unknown(true),
+  }),
+};
+
+// =============================================================================
+// INVENTORY LOT SCHEMAS
+// =============================================================================
+
+// 20 characters: the batch name limit of the GST e-invoice schema
+const lotNumber = Joi.string().trim().max(20);
+
+const inventoryLots = {
+  list: Joi.object({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+    variantId: common.id,
+    warehouseId: common.id,
+    lotNumber,
+    status: Joi.string().valid('AVAILABLE', 'QUARANTINED', 'EXPIRED', 'RECALLED', 'DEPLETED'),
+    expiringWithinDays: Joi.number().integer().min(0).max(3650),
+  }),
+
+  receive: Joi.object({
+    warehouseId: common.id.required(),
+    variantId: common.id.required(),
+    lotNumber: lotNumber.required(),
+    quantity: Joi.number().integer().min(1).required(),
+    manufacturedAt: Joi.date().iso().max('now'),
+    expiryDate: Joi.date().iso().greater('now'),
+    unitCost: Joi.number().min(0),
+    supplierReference: Joi.string().max(100),
+    location: Joi.string().max(100),
+  }),
+
+  trace: Joi.object({
+    lotNumber: lotNumber.required(),
+    variantId: common.id,
+  }),
+
+  recall: Joi.object({
+    lotNumber: lotNumber.required(),
+    variantId: common.id,
+    reason: Joi.string().max(500).required(),
+  }),
+
+  hold: Joi.object({
+    reason: Joi.string().max(500).required(),
+  }),
+
+  release: Joi.object({
+    reason: Joi.string().max(500),
+  }),
+};
+
+// =============================================================================
+// WAREHOUSE OPERATIONS SCHEMAS
+// =============================================================================
+
+const binCode = Joi.string().trim().uppercase().max(30);
+const barcode = Joi.string().trim().max(500); // Printed codes or QR payloads
+
+const warehouseOps = {
+  zone: Joi.object({
+    code: binCode.required(),
+    name: Joi.string().max(100).required(),
+    type: Joi.string().valid('RECEIVING', 'STORAGE', 'PICKING', 'BULK', 'PACKING', 'DISPATCH', 'QUARANTINE'),
+    pickSequence: Joi.number().integer().min(0),
+  }),
+
+  bins: Joi.object({
+    zoneId: common.id.required(),
+    bins: Joi.array().items(Joi.object({
+      code: binCode.required(),
+      barcode: binCode,
+      aisle: Joi.string().max(10),
+      rack: Joi.string().max(10),
+      level: Joi.string().max(10),
+      pickSequence: Joi.number().integer().min(0),
+      maxUnits: Joi.number().integer().min(1),
+    })).min(1).max(500).required(),
+  }),
+
+  putawayRule: Joi.object({
+    zoneId: common.id.required(),
+    priority: Joi.number().integer().min(0).max(1000),
+    variantId: common.id,
+    productId: common.id,
+    categoryId: common.id,
+  }).oxor('variantId', 'productId', 'categoryId'),
+
+  putawaySuggestion: Joi.object({
+    variantId: common.id.required(),
+    quantity: Joi.number().integer().min(1).required(),
+    lotNumber,
+  }),
+
+  putaway: Joi.object({
+    variantId: common.id.required(),
+    quantity: Joi.number().integer().min(1).required(),
+    lotNumber,
+    binBarcode: barcode,
+  }),
+
+  generatePickLists: Joi.object({
+    orderIds: Joi.array().items(common.id).min(1).max(200),
+    batchSize: Joi.number().integer().min(1).max(50),
+    assignedToId: common.id,
+  }),
+
+  listPickLists: Joi.object({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+    warehouseId: common.id,
+    status: Joi.string().valid('OPEN', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'),
+  }),
+
+  scan: Joi.object({
+    binBarcode: barcode.required(),
+    itemBarcode: barcode.required(),
+    lotNumber,
+    quantity: Joi.number().integer().min(1).max(10000),
+  }),
+
+  shortPick: Joi.object({
+    reason: Joi.string().max(500),
+  }),
+
+  carton: Joi.object({
+    items: Joi.array().items(Joi.object({
+      orderItemId: common.id.required(),
+      quantity: Joi.number().integer().min(1).required(),
+      lotNumber,
+    })).min(1).required(),
+    weightKg: Joi.number().positive().max(1000).required(),
+    lengthCm: Joi.number().positive().max(500).required(),
+    widthCm: Joi.number().positive().max(500).required(),
+    heightCm: Joi.number().positive().max(500).required(),
+  }),
+
+  dispatch: Joi.object({
+    carrier: Joi.string().valid('delhivery', 'bluedart', 'dtdc', 'fedex', 'shiprocket'),
+    carrierName: Joi.string().max(100),
+    serviceType: Joi.string().valid('STANDARD', 'EXPRESS', 'ECONOMY', 'SAME_DAY', 'NEXT_DAY'),
+    estimatedDays: Joi.number().integer().min(1).max(60),
+  }),
+};
+
+// =============================================================================
+// CYCLE COUNT SCHEMAS
+// =============================================================================
+
+const countScope = Joi.string().valid('WAREHOUSE', 'BIN');
+const adjustmentReason = Joi.string().valid(
+  'COUNT_VARIANCE', 'DAMAGED', 'EXPIRED', 'THEFT', 'MISPLACED', 'FOUND',
+  'RECEIVING_ERROR', 'PICKING_ERROR', 'DATA_ENTRY',
+);
+
+const cycleCountPlanFields = {
+  name: Joi.string().max(100),
+  countBy: countScope,
+  blindCount: Joi.boolean(),
+  classAShare: Joi.number().greater(0).less(100),
+  classBShare: Joi.number().greater(0).max(100),
+  classAFrequencyDays: Joi.number().integer().min(1).max(365),
+  classBFrequencyDays: Joi.number().integer().min(1).max(365),
+  classCFrequencyDays: Joi.number().integer().min(1).max(730),
+  maxLinesPerSheet: Joi.number().integer().min(1).max(500),
+  approvalThreshold: Joi.number().min(0),
+  isActive: Joi.boolean(),
+};
+
+const cycleCounts = {
+  plan: Joi.object(cycleCountPlanFields),
+
+  updatePlan: Joi.object(cycleCountPlanFields).min(1),
+
+  generate: Joi.object({
+    assignedToId: common.id,
+  }),
+
+  sheets: Joi.object({
+    scope: countScope.required(),
+    binIds: Joi.array().items(common.id).min(1).max(500),
+    zoneId: common.id,
+    variantIds: Joi.array().items(common.id).min(1).max(1000),
+    blindCount: Joi.boolean(),
+    assignedToId: common.id,
+  }).oxor('binIds', 'zoneId'),
+
+  list: Joi.object({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+    warehouseId: common.id,
+    status: Joi.string().valid('OPEN', 'PENDING_APPROVAL', 'POSTED', 'REJECTED', 'CANCELLED'),
+  }),
+
+  record: Joi.object({
+    entries: Joi.array().items(Joi.object({
+      lineId: common.id,
+      variantId: common.id,
+      lotNumber,
+      countedQuantity: Joi.number().integer().min(0).required(),
+      reasonCode: adjustmentReason,
+      notes: Joi.string().max(500),
+    }).xor('lineId', 'variantId')).min(1).max(500).required(),
+  }),
+
+  accuracyReport: Joi.object({
+    warehouseId: common.id,
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+    tolerancePercent: Joi.number().min(0).max(100),
+  }),
+};
+
+// =============================================================================
+// INVENTORY TRANSFER SCHEMAS
+// =============================================================================
+
+const inventoryTransfers = {
+  create: Joi.object({
+    fromWarehouseId: common.id.required(),
+    toWarehouseId: common.id.required(),
+    items: Joi.array().items(Joi.object({
+      variantId: common.id.required(),
+      quantity: Joi.number().integer().min(1).required(),
+      lotNumber,
+    })).min(1).max(500).required(),
+    notes: Joi.string().max(1000),
+  }),
+
+  dispatch: Joi.object({
+    transport: Joi.object({
+      mode: Joi.string().valid('ROAD', 'RAIL', 'AIR', 'SHIP'),
+      vehicleNumber: Joi.string().max(20),
+      vehicleType: Joi.string().valid('R', 'O'),
+      transporterId: Joi.string().max(15),
+      transporterName: Joi.string().max(100),
+      lrNumber: Joi.string().max(50),
+      distance: Joi.number().integer().min(1).max(4000),
+    }),
+    expectedArrival: Joi.date().iso(),
+    generateEWayBill: Joi.boolean(),
+  }),
+
+  receive: Joi.object({
+    lines: Joi.array().items(Joi.object({
+      lineId: common.id.required(),
+      receivedQuantity: Joi.number().integer().min(0).default(0),
+      damagedQuantity: Joi.number().integer().min(0).default(0),
+      notes: Joi.string().max(500),
+    })).min(1).max(500),
+    close: Joi.boolean(),
+  }).or('lines', 'close'),
+
+  cancel: Joi.object({
+    reason: Joi.string().max(500),
+  }),
+
+  list: Joi.object({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+    warehouseId: common.id,
+    status: Joi.string().valid('PENDING', 'APPROVED', 'IN_TRANSIT', 'PARTIALLY_RECEIVED', 'COMPLETED', 'CANCELLED'),
+  }),
+
+  inTransitReport: Joi.object({
+    warehouseId: common.id,
+  }),
+
+  discrepancyReport: Joi.object({
+    warehouseId: common.id,
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+  }),
+};
+
+// =============================================================================
+// DEMAND PLANNING SCHEMAS
+// =============================================================================
+
+const suggestionEntries = Joi.array().items(Joi.object({
+  suggestionId: common.id.required(),
+  quantity: Joi.number().integer().min(1),
+})).min(1).max(200).required();
+
+const demandPlanning = {
+  policy: Joi.object({
+    method: Joi.string().valid('AUTO', 'MOVING_AVERAGE', 'EXPONENTIAL_SMOOTHING', 'LINEAR_REGRESSION'),
+    historyDays: Joi.number().integer().min(56).max(730),
+    horizonDays: Joi.number().integer().min(7).max(90),
+    weeklySeasonality: Joi.boolean(),
+    annualSeasonality: Joi.boolean(),
+    serviceLevel: Joi.number().min(0.5).max(0.999),
+    leadTimeDays: Joi.number().integer().min(1).max(180),
+    orderingCost: Joi.number().min(0),
+    holdingCostRate: Joi.number().min(0).max(1),
+    updateReorderPoints: Joi.boolean(),
+    suggestTransfers: Joi.boolean(),
+    isActive: Joi.boolean(),
+  }).min(1),
+
+  listSuggestions: Joi.object({
+    page: Joi.number().integer().min(1),
+    limit: Joi.number().integer().min(1).max(100),
+    status: Joi.string().valid('OPEN', 'CONVERTED', 'DISMISSED', 'SUPERSEDED'),
+    warehouseId: common.id,
+    source: Joi.string().valid('PURCHASE', 'TRANSFER'),
+  }),
+
+  toRequisition: Joi.object({
+    suggestions: suggestionEntries,
+    title: Joi.string().max(200),
+    priority: Joi.string().valid('LOW', 'MEDIUM', 'HIGH', 'URGENT'),
+    notes: Joi.string().max(1000),
+  }),
+
+  toTransfer: Joi.object({
+    suggestions: suggestionEntries,
+    fromWarehouseId: common.id,
+    notes: Joi.string().max(1000),
+  }),
+
+  dismiss: Joi.object({
+    reason: Joi.string().max(500),
+  }),
+
+  accuracyReport: Joi.object({
+    warehouseId: common.id,
+    variantId: common.id,
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from')),
+  }),
+};
+
 // =============================================================================
 // RFQ SCHEMAS
 // =============================================================================
@@ -784,6 +1571,22 @@ module.exports = {
   product,
   cart,
   order,
+  returns,
+  creditNotes,
+  taxWithholding,
+  ledger,
+  approvalPolicies,
+  budgets,
+  punchout,
+  edi,
+  webhooks,
+  sso,
+  featureFlags,
+  inventoryLots,
+  warehouseOps,
+  cycleCounts,
+  inventoryTransfers,
+  demandPlanning,
   rfq,
   quotation,
   chat,
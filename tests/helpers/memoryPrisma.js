@@ -0,0 +1,181 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - IN-MEMORY PRISMA STORE
+// Just enough of the Prisma client (filters, relations, ordering, atomic
+// increments) to run inventory and warehouse services against plain arrays
+// =============================================================================
+
+/**
+ * Create an in-memory store.
+ * @param {Object} schema - { relations, targets, defaults }
+ *   relations: { model: { field: (row, rowsOf) => row | row[] } }
+ *   targets: relation field -> model name, where they differ
+ *   defaults: { model: (sequence) => columns Prisma would default }
+ */
+function createMemoryPrisma({ relations = {}, targets = {}, defaults = {} } = {}) {
+  const tables = {};
+  let sequence = 0;
+
+  const rowsOf = (model) => (tables[model] = tables[model] || []);
+  const related = (model, key, row) => relations[model][key](row, rowsOf);
+
+  const matchValue = (value, expected) => {
+    if (expected === null || expected instanceof Date || typeof expected !== 'object') {
+      return value instanceof Date && expected instanceof Date ? value.getTime() === expected.getTime() : value === expected;
+    }
+    return Object.entries(expected).every(([operator, operand]) => {
+      switch (operator) {
+        case 'equals': return value === operand;
+        case 'not': return !matchValue(value, operand);
+        case 'in': return operand.includes(value);
+        case 'notIn': return !operand.includes(value);
+        case 'gt': return value !== null && value > operand;
+        case 'gte': return value !== null && value >= operand;
+        case 'lt': return value !== null && value < operand;
+        case 'lte': return value !== null && value <= operand;
+        case 'has': return (value || []).includes(operand);
+        default: return false;
+      }
+    });
+  };
+
+  const matches = (model, row, where = {}) => Object.entries(where).every(([key, expected]) => {
+    if (expected === undefined) return true;
+    if (key === 'OR') return expected.some((clause) => matches(model, row, clause));
+    if (key === 'AND') return [].concat(expected).every((clause) => matches(model, row, clause));
+    if (key === 'NOT') return !matches(model, row, expected);
+    if (key.includes('_')) return matches(model, row, expected);
+    if (relations[model]?.[key]) {
+      const target = targets[key] || key;
+      const value = related(model, key, row);
+      if (!Array.isArray(value)) return value ? matches(target, value, expected) : expected === null;
+      if (expected.some) return value.some((child) => matches(target, child, expected.some));
+      if (expected.every) return value.every((child) => matches(target, child, expected.every));
+      if (expected.none) return !value.some((child) => matches(target, child, expected.none));
+      return false;
+    }
+    return matchValue(row[key], expected);
+  });
+
+  // Relations named by `include`, or by `select` (other selected fields are returned anyway)
+  const relationsOf = (model, args = {}) => args.include || Object.fromEntries(
+    Object.entries(args.select || {}).filter(([key]) => relations[model]?.[key]),
+  );
+
+  const sortRows = (rows, orderBy) => {
+    const clauses = [].concat(orderBy || []);
+    return [...rows].sort((a, b) => {
+      for (const clause of clauses) {
+        const [field, direction] = Object.entries(clause)[0];
+        const descending = direction === 'desc' || direction?.sort === 'desc';
+        const nullsLast = direction?.nulls === 'last';
+        const [x, y] = [a[field], b[field]];
+        if (x === y || (x instanceof Date && y instanceof Date && x.getTime() === y.getTime())) continue;
+        if (x === null || x === undefined) return nullsLast ? 1 : -1;
+        if (y === null || y === undefined) return nullsLast ? -1 : 1;
+        return (x < y ? -1 : 1) * (descending ? -1 : 1);
+      }
+      return 0;
+    });
+  };
+
+  const withRelations = (model, row, args) => {
+    if (!row) return null;
+    const shaped = { ...row };
+    Object.entries(relationsOf(model, args)).forEach(([key, nested]) => {
+      const target = targets[key] || key;
+      const options = nested === true ? {} : nested;
+      const value = related(model, key, row);
+      shaped[key] = Array.isArray(value)
+        ? sortRows(value.filter((child) => matches(target, child, options.where)), options.orderBy)
+          .map((child) => withRelations(target, child, options))
+        : withRelations(target, value, options);
+    });
+    return shaped;
+  };
+
+  const applyData = (row, data) => {
+    Object.entries(data).forEach(([key, value]) => {
+      if (value === undefined) return;
+      if (value && typeof value === 'object' && 'increment' in value) row[key] += value.increment;
+      else if (value && typeof value === 'object' && 'decrement' in value) row[key] -= value.decrement;
+      else row[key] = value;
+    });
+    return row;
+  };
+
+  const insert = (model, data) => {
+    sequence += 1;
+    const row = { id: `${model}_${sequence}`, createdAt: new Date(sequence), ...defaults[model]?.(sequence), ...data };
+    rowsOf(model).push(row);
+    return row;
+  };
+
+  const find = (model, where) => rowsOf(model).filter((row) => matches(model, row, where));
+
+  const delegate = (model) => ({
+    findUnique: jest.fn((args) => Promise.resolve(withRelations(model, find(model, args.where)[0], args))),
+    findFirst: jest.fn((args = {}) => Promise.resolve(
+      withRelations(model, sortRows(find(model, args.where), args.orderBy)[0], args),
+    )),
+    findMany: jest.fn((args = {}) => {
+      const rows = sortRows(find(model, args.where), args.orderBy).slice(args.skip || 0);
+      return Promise.resolve(rows.slice(0, args.take ?? rows.length).map((row) => withRelations(model, row, args)));
+    }),
+    count: jest.fn(({ where } = {}) => Promise.resolve(find(model, where).length)),
+    create: jest.fn((args) => Promise.resolve(withRelations(model, insert(model, args.data), args))),
+    createMany: jest.fn(({ data }) => Promise.resolve({ count: data.map((row) => insert(model, row)).length })),
+    upsert: jest.fn(({ where, create, update }) => {
+      const existing = find(model, where)[0];
+      return Promise.resolve({ ...(existing ? applyData(existing, update) : insert(model, create)) });
+    }),
+    update: jest.fn((args) => {
+      const row = find(model, args.where)[0];
+      if (!row) return Promise.reject(new Error(`${model} not found`));
+      return Promise.resolve(withRelations(model, applyData(row, args.data), args));
+    }),
+    updateMany: jest.fn(({ where, data }) => {
+      const rows = find(model, where);
+      rows.forEach((row) => applyData(row, data));
+      return Promise.resolve({ count: rows.length });
+    }),
+    delete: jest.fn(({ where }) => {
+      const row = find(model, where)[0];
+      if (!row) return Promise.reject(new Error(`${model} not found`));
+      tables[model] = rowsOf(model).filter((candidate) => candidate !== row);
+      return Promise.resolve({ ...row });
+    }),
+    deleteMany: jest.fn(({ where } = {}) => {
+      const rows = find(model, where);
+      tables[model] = rowsOf(model).filter((row) => !rows.includes(row));
+      return Promise.resolve({ count: rows.length });
+    }),
+    aggregate: jest.fn(({ where, _sum }) => {
+      const rows = find(model, where);
+      const sums = Object.fromEntries(Object.keys(_sum).map((field) => [
+        field, rows.length ? rows.reduce((total, row) => total + Number(row[field]), 0) : null,
+      ]));
+      return Promise.resolve({ _sum: sums });
+    }),
+  });
+
+  return {
+    tables,
+    rowsOf,
+    insert,
+
+    /** Attach delegates for `models` (and an inline $transaction) to a mocked prisma object */
+    install(prisma, models) {
+      models.forEach((model) => {
+        prisma[model] = delegate(model);
+      });
+      prisma.$transaction = jest.fn((work) => (typeof work === 'function' ? work(prisma) : Promise.all(work)));
+    },
+
+    reset() {
+      Object.keys(tables).forEach((model) => delete tables[model]);
+      sequence = 0;
+    },
+  };
+}
+
+module.exports = { createMemoryPrisma };
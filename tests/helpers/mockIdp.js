@@ -0,0 +1,299 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - MOCK IDENTITY PROVIDER
+// Local SAML 2.0 IdP and OIDC provider (discovery, JWKS, token endpoint with
+// PKCE) for exercising the SSO flows end to end in tests
+// =============================================================================
+
+const crypto = require('crypto');
+const http = require('http');
+const zlib = require('zlib');
+const { SignedXml } = require('xml-crypto');
+const { generateKeyPair, exportJWK, SignJWT } = require('jose');
+const { SIGNING_KEY, SIGNING_CERT, UNTRUSTED_KEY, UNTRUSTED_CERT } = require('../fixtures/idpKeys');
+
+const SAML_PROTOCOL = 'urn:oasis:names:tc:SAML:2.0:protocol';
+const SAML_ASSERTION = 'urn:oasis:names:tc:SAML:2.0:assertion';
+const SAML_SUCCESS = 'urn:oasis:names:tc:SAML:2.0:status:Success';
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const samlId = () => `_${crypto.randomBytes(16).toString('hex')}`;
+
+/**
+ * Create a mock IdP. SAML needs no server; call start() before OIDC use.
+ * @param {Object} options - { entityId, clientId, clientSecret }
+ */
+function createMockIdp(options = {}) {
+  const idp = {
+    entityId: options.entityId || 'https://idp.example.test/saml',
+    ssoUrl: 'https://idp.example.test/sso',
+    certificate: SIGNING_CERT,
+    untrustedCertificate: UNTRUSTED_CERT,
+    clientId: options.clientId || 'airavat-client',
+    clientSecret: options.clientSecret || 'airavat-secret',
+    issuer: null,
+    server: null,
+    keys: null,
+    codes: new Map(),
+    tokenRequests: [],
+  };
+
+  // ===========================================================================
+  // SAML
+  // ===========================================================================
+
+  /**
+   * Decode the AuthnRequest carried by an HTTP-Redirect binding URL
+   * @param {string} redirectUrl - URL the service provider redirected to
+   * @returns {Object} { id, acsUrl, issuer, destination, relayState }
+   */
+  idp.parseAuthnRequest = (redirectUrl) => {
+    const url = new URL(redirectUrl);
+    const xml = zlib.inflateRawSync(Buffer.from(url.searchParams.get('SAMLRequest'), 'base64')).toString('utf8');
+    const attribute = (name) => new RegExp(`${name}="([^"]*)"`).exec(xml)?.[1];
+
+    return {
+      xml,
+      id: attribute('ID'),
+      acsUrl: attribute('AssertionConsumerServiceURL'),
+      destination: attribute('Destination'),
+      issuer: /<saml:Issuer>([^<]*)<\/saml:Issuer>/.exec(xml)?.[1],
+      relayState: url.searchParams.get('RelayState'),
+    };
+  };
+
+  /**
+   * Build a signed SAML Response answering an AuthnRequest
+   * @param {Object} request - Parsed AuthnRequest (parseAuthnRequest)
+   * @param {Object} user - { email, firstName, lastName, groups }
+   * @param {Object} overrides - Per-field overrides to build invalid responses:
+   *   audience, recipient, issuer, inResponseTo, notBefore, notOnOrAfter,
+   *   assertionId, status, signTarget ('assertion' | 'response' | 'none'),
+   *   untrusted (sign with a key the tenant does not trust),
+   *   mutate (edit the XML after signing)
+   * @returns {string} Base64 SAMLResponse
+   */
+  idp.samlResponse = (request, user, overrides = {}) => {
+    const now = Date.now();
+    const inResponseTo = overrides.inResponseTo || request.id;
+    const notOnOrAfter = overrides.notOnOrAfter || new Date(now + 5 * 60 * 1000).toISOString();
+    const issuer = overrides.issuer || idp.entityId;
+    const assertionId = overrides.assertionId || samlId();
+
+    const attributes = [
+      ['email', [user.email]],
+      ['firstName', [user.firstName]],
+      ['lastName', [user.lastName]],
+      ['groups', user.groups || []],
+    ].filter(([, values]) => values.length && values[0] !== undefined)
+      .map(([name, values]) => `<saml:Attribute Name="${name}">${
+        values.map((value) => `<saml:AttributeValue>${value}</saml:AttributeValue>`).join('')
+      }</saml:Attribute>`).join('');
+
+    let xml = [
+      `<samlp:Response xmlns:samlp="${SAML_PROTOCOL}" xmlns:saml="${SAML_ASSERTION}"`,
+      ` ID="${samlId()}" Version="2.0" IssueInstant="${new Date(now).toISOString()}"`,
+      ` Destination="${request.acsUrl}" InResponseTo="${inResponseTo}">`,
+      `<saml:Issuer>${issuer}</saml:Issuer>`,
+      `<samlp:Status><samlp:StatusCode Value="${overrides.status || SAML_SUCCESS}"/></samlp:Status>`,
+      `<saml:Assertion ID="${assertionId}" Version="2.0" IssueInstant="${new Date(now).toISOString()}">`,
+      `<saml:Issuer>${issuer}</saml:Issuer>`,
+      '<saml:Subject>',
+      `<saml:NameID Format="urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress">${user.email}</saml:NameID>`,
+      '<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">',
+      `<saml:SubjectConfirmationData InResponseTo="${inResponseTo}" Recipient="${overrides.recipient || request.acsUrl}"`,
+      ` NotOnOrAfter="${notOnOrAfter}"/>`,
+      '</saml:SubjectConfirmation>',
+      '</saml:Subject>',
+      `<saml:Conditions NotBefore="${overrides.notBefore || new Date(now - 60 * 1000).toISOString()}"`,
+      ` NotOnOrAfter="${notOnOrAfter}">`,
+      `<saml:AudienceRestriction><saml:Audience>${overrides.audience || request.issuer}</saml:Audience>`,
+      '</saml:AudienceRestriction>',
+      '</saml:Conditions>',
+      `<saml:AuthnStatement AuthnInstant="${new Date(now).toISOString()}"/>`,
+      `<saml:AttributeStatement>${attributes}</saml:AttributeStatement>`,
+      '</saml:Assertion>',
+      '</samlp:Response>',
+    ].join('');
+
+    const signTarget = overrides.signTarget || 'assertion';
+    if (signTarget !== 'none') {
+      xml = signXml(xml, signTarget === 'response' ? 'Response' : 'Assertion', overrides.untrusted);
+    }
+
+    if (overrides.mutate) {
+      xml = overrides.mutate(xml);
+    }
+
+    return Buffer.from(xml).toString('base64');
+  };
+
+  /**
+   * Complete a SAML login: the POST the browser makes to the ACS
+   * @returns {Object} { SAMLResponse, RelayState }
+   */
+  idp.samlLogin = (redirectUrl, user, overrides) => {
+    const request = idp.parseAuthnRequest(redirectUrl);
+    return { SAMLResponse: idp.samlResponse(request, user, overrides), RelayState: request.relayState };
+  };
+
+  // ===========================================================================
+  // OIDC
+  // ===========================================================================
+
+  /**
+   * Start the discovery, JWKS and token endpoints on a random local port
+   * @returns {Promise<string>} Issuer URL
+   */
+  idp.start = async () => {
+    const trusted = await generateKeyPair('RS256');
+    const untrusted = await generateKeyPair('RS256');
+    idp.keys = { trusted, untrusted, kid: 'mock-idp-key' };
+
+    const jwk = { ...(await exportJWK(trusted.publicKey)), kid: idp.keys.kid, alg: 'RS256', use: 'sig' };
+
+    idp.server = http.createServer((req, res) => handleOidcRequest(req, res, jwk));
+    await new Promise((resolve) => idp.server.listen(0, '127.0.0.1', resolve));
+    idp.issuer = `http://127.0.0.1:${idp.server.address().port}`;
+
+    return idp.issuer;
+  };
+
+  idp.stop = () => new Promise((resolve) => (idp.server ? idp.server.close(resolve) : resolve()));
+
+  /**
+   * Play the user's consent at the authorization endpoint
+   * @param {string} redirectUrl - Authorization URL the service provider redirected to
+   * @param {Object} user - { sub, email, firstName, lastName, groups }
+   * @param {Object} overrides - ID token claim overrides, plus `untrusted` to sign with an unpublished key
+   * @returns {Object} Callback parameters { code, state }
+   */
+  idp.authorize = (redirectUrl, user, overrides = {}) => {
+    const params = new URL(redirectUrl).searchParams;
+    const code = base64url(crypto.randomBytes(24));
+
+    idp.codes.set(code, {
+      clientId: params.get('client_id'),
+      redirectUri: params.get('redirect_uri'),
+      codeChallenge: params.get('code_challenge'),
+      codeChallengeMethod: params.get('code_challenge_method'),
+      nonce: params.get('nonce'),
+      user,
+      overrides,
+    });
+
+    return { code, state: params.get('state') };
+  };
+
+  async function issueIdToken(grant) {
+    const { user, overrides } = grant;
+    const { untrusted, ...claimOverrides } = overrides;
+    const key = untrusted ? idp.keys.untrusted.privateKey : idp.keys.trusted.privateKey;
+
+    return new SignJWT({
+      email: user.email,
+      email_verified: true,
+      given_name: user.firstName,
+      family_name: user.lastName,
+      groups: user.groups || [],
+      nonce: grant.nonce,
+      ...claimOverrides,
+    })
+      .setProtectedHeader({ alg: 'RS256', kid: idp.keys.kid })
+      .setIssuer(claimOverrides.iss || idp.issuer)
+      .setAudience(claimOverrides.aud || grant.clientId)
+      .setSubject(user.sub || user.email)
+      .setIssuedAt()
+      .setExpirationTime(claimOverrides.exp || '5m')
+      .sign(key);
+  }
+
+  function handleOidcRequest(req, res, jwk) {
+    const json = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === 'GET' && req.url === '/.well-known/openid-configuration') {
+      return json(200, {
+        issuer: idp.issuer,
+        authorization_endpoint: `${idp.issuer}/authorize`,
+        token_endpoint: `${idp.issuer}/token`,
+        jwks_uri: `${idp.issuer}/jwks`,
+        response_types_supported: ['code'],
+        code_challenge_methods_supported: ['S256'],
+        id_token_signing_alg_values_supported: ['RS256'],
+      });
+    }
+
+    if (req.method === 'GET' && req.url === '/jwks') {
+      return json(200, { keys: [jwk] });
+    }
+
+    if (req.method === 'POST' && req.url === '/token') {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', async () => {
+        const params = Object.fromEntries(new URLSearchParams(body));
+        idp.tokenRequests.push(params);
+
+        const grant = idp.codes.get(params.code);
+        idp.codes.delete(params.code); // Codes are single use
+
+        const challenge = params.code_verifier
+          && base64url(crypto.createHash('sha256').update(params.code_verifier).digest());
+
+        if (!grant
+          || params.grant_type !== 'authorization_code'
+          || params.client_id !== idp.clientId
+          || params.client_secret !== idp.clientSecret
+          || params.redirect_uri !== grant.redirectUri
+          || grant.codeChallengeMethod !== 'S256'
+          || challenge !== grant.codeChallenge) {
+          return json(400, { error: 'invalid_grant' });
+        }
+
+        json(200, {
+          access_token: base64url(crypto.randomBytes(24)),
+          token_type: 'Bearer',
+          expires_in: 300,
+          id_token: await issueIdToken(grant),
+        });
+      });
+      return undefined;
+    }
+
+    return json(404, { error: 'not_found' });
+  }
+
+  return idp;
+}
+
+/**
+ * Enveloped RSA-SHA256 signature over the Response or its Assertion, placed
+ * after the element's Issuer as the SAML schema requires
+ */
+function signXml(xml, element, untrusted) {
+  const signedXml = new SignedXml({
+    privateKey: untrusted ? UNTRUSTED_KEY : SIGNING_KEY,
+    publicCert: untrusted ? UNTRUSTED_CERT : SIGNING_CERT,
+    canonicalizationAlgorithm: 'http://www.w3.org/2001/10/xml-exc-c14n#',
+    signatureAlgorithm: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+  });
+
+  signedXml.addReference({
+    xpath: `//*[local-name(.)='${element}']`,
+    transforms: ['http://www.w3.org/2000/09/xmldsig#enveloped-signature', 'http://www.w3.org/2001/10/xml-exc-c14n#'],
+    digestAlgorithm: 'http://www.w3.org/2001/04/xmlenc#sha256',
+  });
+
+  signedXml.computeSignature(xml, {
+    location: { reference: `//*[local-name(.)='${element}']/*[local-name(.)='Issuer']`, action: 'after' },
+  });
+
+  return signedXml.getSignedXml();
+}
+
+module.exports = {
+  createMockIdp,
+};
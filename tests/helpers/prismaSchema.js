@@ -0,0 +1,88 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - PRISMA SCHEMA READER
+// Reads the model definitions out of prisma/*.prisma so tests can check that
+// the payloads services hand to a mocked client would pass the real one
+// =============================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, '..', '..', 'prisma');
+
+/**
+ * Parse the schema files into { models: { model: { field: definition } }, enums: { enum: values } }
+ */
+function loadSchema() {
+  const models = {};
+  const enums = {};
+  const files = fs.readdirSync(SCHEMA_DIR).filter((file) => file.endsWith('.prisma'));
+
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8');
+    for (const [, name, body] of source.matchAll(/^enum (\w+) \{([\s\S]*?)^\}/gm)) {
+      enums[name] = body.split('\n').map((line) => line.trim().match(/^(\w+)/)?.[1]).filter(Boolean);
+    }
+    for (const [, name, body] of source.matchAll(/^model (\w+) \{([\s\S]*?)^\}/gm)) {
+      const fields = {};
+      for (const line of body.split('\n')) {
+        const match = line.trim().match(/^(\w+)\s+(\w+)(\[\])?(\?)?(.*)$/);
+        if (!match) continue;
+
+        const [, field, type, list, optional, attributes] = match;
+        fields[field] = {
+          type,
+          list: Boolean(list),
+          optional: Boolean(optional),
+          generated: /@default\(|@updatedAt/.test(attributes),
+          references: (attributes.match(/@relation\([^)]*fields: \[([^\]]+)\]/) || [])[1]?.split(/,\s*/) || [],
+        };
+      }
+      models[name] = fields;
+    }
+  }
+
+  return { models, enums };
+}
+
+/**
+ * Compare a create payload with a model. Returns the fields Prisma would
+ * reject as unknown, the required columns the payload leaves out and enum
+ * columns given a value the enum doesn't have.
+ * Nested creates are checked against their relation's model, without the
+ * foreign keys Prisma fills in from the parent.
+ * @param {string} model - Model name
+ * @param {Object} data - The `data` passed to create
+ * @param {string[]} implied - Columns set by a parent nested create
+ */
+function checkCreate(model, data, implied = []) {
+  const { models, enums } = checkCreate.schema || (checkCreate.schema = loadSchema());
+  const fields = models[model];
+  if (!fields) throw new Error(`Unknown model ${model}`);
+
+  const unknown = Object.keys(data).filter((key) => !fields[key]).map((key) => `${model}.${key}`);
+  const missing = Object.entries(fields)
+    .filter(([key, field]) => !field.optional && !field.list && !field.generated && !models[field.type]
+      && !implied.includes(key) && data[key] === undefined)
+    .map(([key]) => `${model}.${key}`);
+  const invalid = Object.entries(data)
+    .filter(([key, value]) => enums[fields[key]?.type] && !enums[fields[key].type].includes(value))
+    .map(([key, value]) => `${model}.${key}=${value}`);
+
+  for (const [key, value] of Object.entries(data)) {
+    const field = fields[key];
+    if (!field || !models[field.type] || !value?.create) continue;
+
+    const backReference = Object.values(models[field.type]).find((child) => child.type === model);
+    const rows = Array.isArray(value.create) ? value.create : [value.create];
+    for (const row of rows) {
+      const nested = checkCreate(field.type, row, backReference?.references || []);
+      unknown.push(...nested.unknown);
+      missing.push(...nested.missing);
+      invalid.push(...nested.invalid);
+    }
+  }
+
+  return { unknown, missing, invalid };
+}
+
+module.exports = { loadSchema, checkCreate };
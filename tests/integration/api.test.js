@@ -556,6 +556,104 @@ describe('API Integration Tests', () => {
     });
   });
 
+  // ===========================================================================
+  // MOUNTED FEATURE ROUTES
+  // Unauthenticated calls are refused by the feature's own router (401), which
+  // an unmounted router would answer with the app's 404
+  // ===========================================================================
+
+  describe('Mounted Feature Routes', () => {
+    it('should reach the punchout routes', async () => {
+      const res = await request(app)
+        .get('/api/v1/punchout/credentials');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should reach the EDI routes', async () => {
+      const res = await request(app)
+        .get('/api/v1/edi/partners');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should reach the webhook subscription routes', async () => {
+      const catalog = await request(app)
+        .get('/api/v1/integrations/webhooks/events');
+      const subscriptions = await request(app)
+        .get('/api/v1/integrations/webhooks');
+
+      expect(catalog.status).toBe(200);
+      expect(subscriptions.status).toBe(401);
+    });
+
+    it('should keep the old webhook routes as deprecated aliases', async () => {
+      const catalog = await request(app)
+        .get('/api/v1/webhooks/events');
+      const update = await request(app)
+        .put('/api/v1/webhooks/wh_1')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send({ url: 'not a url' });
+
+      expect(catalog.status).toBe(200);
+      expect(catalog.headers.deprecation).toBe('true');
+      expect(update.status).not.toBe(404);
+    });
+
+    it('should reach the SSO and SCIM routes', async () => {
+      const config = await request(app)
+        .get('/api/v1/sso/tenant_1/config');
+      const users = await request(app)
+        .get('/api/v1/scim/v2/Users')
+        .query({ filter: 'userName eq "jane@example.com"' });
+
+      expect(config.status).toBe(401);
+      expect(users.status).toBe(401);
+    });
+
+    it('should reach the feature flag routes', async () => {
+      const res = await request(app)
+        .get('/api/v1/feature-flags/experiments');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should reach the inventory lot routes', async () => {
+      const res = await request(app)
+        .get('/api/v1/inventory-lots');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should reach the warehouse operations routes', async () => {
+      const res = await request(app)
+        .get('/api/v1/warehouse-ops/warehouses/wh_1/layout');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should reach the cycle count routes', async () => {
+      const res = await request(app)
+        .get('/api/v1/cycle-counts/plans/plan_1');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should reach the inventory transfer routes', async () => {
+      const res = await request(app)
+        .get('/api/v1/inventory-transfers');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should reach the demand planning routes', async () => {
+      const res = await request(app)
+        .get('/api/v1/demand-planning/policy');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
   // ===========================================================================
   // HEALTH CHECK TESTS
   // ===========================================================================
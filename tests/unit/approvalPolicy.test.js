@@ -0,0 +1,386 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - APPROVAL POLICY ENGINE UNIT TESTS
+// Tests for policy matching, chain resolution, quorum, delegation and escalation
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    approvalPolicy: { findMany: jest.fn(), create: jest.fn() },
+    approvalDelegation: { findFirst: jest.fn(), findMany: jest.fn(), create: jest.fn() },
+    businessMember: { findMany: jest.fn() },
+    approvalAuthority: { findMany: jest.fn() },
+    riskAssessment: { findFirst: jest.fn() },
+    approvalRequest: {
+      findUnique: jest.fn(),
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+    },
+    approvalStep: {
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    user: { findMany: jest.fn(), findUnique: jest.fn() },
+    $queryRaw: jest.fn(),
+    $transaction: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/config/redis', () => ({ cache: {} }));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/socket.service', () => ({
+  emitToUser: jest.fn(),
+  emitToBusiness: jest.fn(),
+}));
+
+const approvalPolicyService = require('../../src/services/approvalPolicy.service');
+const approvalService = require('../../src/services/approval.service');
+const { prisma } = require('../../src/config/database');
+
+const policy = (overrides = {}) => ({
+  id: 'pol_1',
+  name: 'Capex over 1L',
+  priority: 10,
+  executionMode: 'SEQUENTIAL',
+  approvalType: 'PURCHASE_REQUISITION',
+  minAmount: '100000',
+  maxAmount: null,
+  categoryIds: [],
+  costCenters: [],
+  departments: [],
+  minSupplierRisk: null,
+  steps: [
+    { id: 'st_mgr', stepOrder: 1, name: 'Managers', approverType: 'ROLE', roles: ['manager'], requiredApprovals: 1 },
+    {
+      id: 'st_fin',
+      stepOrder: 2,
+      name: 'Finance',
+      approverType: 'USER',
+      approverIds: ['fin_1', 'fin_2', 'fin_3'],
+      requiredApprovals: 2,
+      escalateAfterHours: 24,
+      escalateToId: 'cfo',
+    },
+  ],
+  ...overrides,
+});
+
+const context = {
+  type: 'PURCHASE_REQUISITION',
+  amount: 250000,
+  requesterId: 'req_user',
+  costCenter: 'CC-100',
+};
+
+const step = (id, level, approverId, overrides = {}) => ({
+  id,
+  level,
+  approverId,
+  status: 'PENDING',
+  policyStepId: `grp_${level}`,
+  quorum: 1,
+  escalateAfterHours: null,
+  ...overrides,
+});
+
+const request = (approvers, overrides = {}) => ({
+  id: 'apr_1',
+  requestNumber: 'APR-1',
+  businessId: 'biz_1',
+  requesterId: 'req_user',
+  type: 'PURCHASE_REQUISITION',
+  referenceType: 'PURCHASE_REQUISITION',
+  referenceId: 'preq_1',
+  status: 'PENDING',
+  currentLevel: 1,
+  maxLevel: 2,
+  approvers,
+  ...overrides,
+});
+
+describe('Approval Policy Engine', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.approvalDelegation.findFirst.mockResolvedValue(null);
+    prisma.approvalDelegation.findMany.mockResolvedValue([]);
+    prisma.businessMember.findMany.mockResolvedValue([{ userId: 'mgr_1' }, { userId: 'req_user' }]);
+    prisma.approvalRequest.update.mockImplementation(({ data }) => Promise.resolve({ id: 'apr_1', ...data }));
+    prisma.$transaction.mockImplementation((fn) => fn(prisma));
+  });
+
+  describe('evaluateConditions', () => {
+    it('should match within thresholds and report why others do not', () => {
+      expect(approvalPolicyService.evaluateConditions(policy(), context)).toEqual([]);
+
+      const reasons = approvalPolicyService.evaluateConditions(
+        policy({ costCenters: ['CC-200'], minSupplierRisk: 'HIGH' }),
+        { ...context, amount: 5000, supplierRiskLevel: 'MEDIUM' },
+      );
+
+      expect(reasons).toHaveLength(3);
+      expect(reasons[0]).toContain('below 100000');
+    });
+  });
+
+  describe('createPolicy', () => {
+    it('should refuse approvers and escalation targets outside the business', async () => {
+      prisma.businessMember.findMany.mockResolvedValue([{ userId: 'fin_1' }, { userId: 'fin_2' }]);
+      await expect(approvalPolicyService.createPolicy('biz_1', 'admin_1', policy()))
+        .rejects.toThrow('Approvers must be members of this business: fin_3, cfo');
+      expect(prisma.businessMember.findMany).toHaveBeenCalledWith({
+        where: { businessId: 'biz_1', isActive: true, userId: { in: ['fin_1', 'fin_2', 'fin_3', 'cfo'] } },
+        select: { userId: true },
+      });
+      expect(prisma.approvalPolicy.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createDelegation', () => {
+    const delegation = {
+      delegateId: 'outsider', startsAt: '2026-11-01', endsAt: '2026-11-15', reason: 'Leave',
+    };
+
+    it('should refuse a delegate outside the business', async () => {
+      prisma.businessMember.findMany.mockResolvedValue([]);
+
+      await expect(approvalPolicyService.createDelegation('biz_1', 'fin_1', delegation))
+        .rejects.toThrow('Delegate must be a member of this business');
+      expect(prisma.approvalDelegation.create).not.toHaveBeenCalled();
+    });
+
+    it('should delegate to a fellow member', async () => {
+      prisma.businessMember.findMany.mockResolvedValue([{ userId: 'fin_deputy' }]);
+      prisma.approvalDelegation.create.mockImplementation(({ data }) => Promise.resolve({ id: 'del_1', ...data }));
+
+      const created = await approvalPolicyService.createDelegation('biz_1', 'fin_1', {
+        ...delegation,
+        delegateId: 'fin_deputy',
+      });
+
+      expect(created).toMatchObject({ businessId: 'biz_1', delegatorId: 'fin_1', delegateId: 'fin_deputy' });
+    });
+  });
+
+  describe('resolveChain', () => {
+    it('should pick the first matching policy by priority and build sequential levels', async () => {
+      prisma.approvalPolicy.findMany.mockResolvedValue([
+        policy({ id: 'pol_dept', priority: 1, departments: ['IT'] }),
+        policy(),
+      ]);
+
+      const chain = await approvalPolicyService.resolveChain('biz_1', context);
+
+      expect(chain.policyId).toBe('pol_1');
+      expect(chain.levels.map((l) => l.level)).toEqual([1, 2]);
+      // Requester is kept out of their own chain
+      expect(chain.levels[0].groups[0].approvers).toEqual([{ approverId: 'mgr_1', delegatedFromId: null }]);
+      expect(chain.levels[1].groups[0]).toMatchObject({ quorum: 2, escalateAfterHours: 24, escalateToId: 'cfo' });
+    });
+
+    it('should run all steps at one level in parallel mode', async () => {
+      prisma.approvalPolicy.findMany.mockResolvedValue([policy({ executionMode: 'PARALLEL' })]);
+
+      const chain = await approvalPolicyService.resolveChain('biz_1', context);
+
+      expect(chain.levels).toHaveLength(1);
+      expect(chain.levels[0].groups).toHaveLength(2);
+    });
+
+    it('should route to the delegate of an out-of-office approver', async () => {
+      prisma.approvalPolicy.findMany.mockResolvedValue([policy()]);
+      prisma.approvalDelegation.findFirst.mockImplementation(({ where }) => Promise.resolve(
+        where.delegatorId === 'fin_1' ? { delegateId: 'fin_deputy' } : null,
+      ));
+
+      const chain = await approvalPolicyService.resolveChain('biz_1', context);
+
+      expect(chain.levels[1].groups[0].approvers[0]).toEqual({ approverId: 'fin_deputy', delegatedFromId: 'fin_1' });
+    });
+
+    it('should reject a chain whose quorum cannot be met', async () => {
+      prisma.approvalPolicy.findMany.mockResolvedValue([policy()]);
+      prisma.businessMember.findMany.mockResolvedValue([{ userId: 'req_user' }]);
+
+      await expect(approvalPolicyService.resolveChain('biz_1', context)).rejects.toThrow('eligible approver');
+    });
+
+    it('should fail when no policy matches', async () => {
+      prisma.approvalPolicy.findMany.mockResolvedValue([policy()]);
+
+      await expect(approvalPolicyService.resolveChain('biz_1', { ...context, amount: 10 }))
+        .rejects.toThrow('No approval policy matches');
+    });
+  });
+
+  describe('dryRun', () => {
+    it('should return evaluation and chain without creating anything', async () => {
+      prisma.approvalPolicy.findMany.mockResolvedValue([policy()]);
+      prisma.riskAssessment.findFirst.mockResolvedValue({ riskLevel: 'HIGH' });
+
+      const result = await approvalPolicyService.dryRun('biz_1', { ...context, supplierId: 'sup_1' });
+
+      expect(result).toMatchObject({ matched: true, policy: { id: 'pol_1' }, error: null });
+      expect(result.context.supplierRiskLevel).toBe('HIGH');
+      expect(result.levels).toHaveLength(2);
+      expect(prisma.approvalRequest.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('approveRequest', () => {
+    const quorumRequest = () => request([
+      step('s1', 1, 'fin_1', { quorum: 2 }),
+      step('s2', 1, 'fin_2', { quorum: 2 }),
+      step('s3', 1, 'fin_3', { quorum: 2 }),
+      step('s4', 2, 'cfo', { escalateAfterHours: 8 }),
+    ]);
+
+    it('should hold the level until the N-of-M quorum is reached', async () => {
+      prisma.approvalRequest.findUnique.mockResolvedValue(quorumRequest());
+
+      const updated = await approvalService.approveRequest('fin_1', 'apr_1', 'ok');
+
+      expect(updated.currentLevel).toBeUndefined();
+      expect(prisma.approvalStep.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should advance, skip remaining approvers and start escalation clocks on quorum', async () => {
+      const req = quorumRequest();
+      req.approvers[0].status = 'APPROVED';
+      prisma.approvalRequest.findUnique.mockResolvedValue(req);
+
+      const updated = await approvalService.approveRequest('fin_2', 'apr_1', 'ok');
+
+      expect(updated).toMatchObject({ currentLevel: 2, status: 'IN_PROGRESS' });
+      expect(prisma.approvalStep.updateMany).toHaveBeenCalledWith({
+        where: { requestId: 'apr_1', level: 1, status: 'PENDING' },
+        data: { status: 'SKIPPED' },
+      });
+      expect(prisma.approvalStep.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 's4' },
+        data: { escalateAt: expect.any(Date) },
+      }));
+    });
+
+    it('should let a delegate decide for the approver they cover', async () => {
+      prisma.approvalRequest.findUnique.mockResolvedValue(quorumRequest());
+      prisma.approvalDelegation.findMany.mockResolvedValue([{ delegatorId: 'fin_3' }]);
+
+      await approvalService.approveRequest('fin_deputy', 'apr_1', 'covering');
+
+      expect(prisma.approvalStep.update).toHaveBeenCalledWith({
+        where: { id: 's3' },
+        data: expect.objectContaining({ status: 'APPROVED', approverId: 'fin_deputy', delegatedFromId: 'fin_3' }),
+      });
+    });
+
+    it('should evaluate the quorum under a lock on the request', async () => {
+      prisma.approvalRequest.findUnique.mockResolvedValue(quorumRequest());
+
+      await approvalService.approveRequest('fin_1', 'apr_1', 'ok');
+
+      const [[sql, id]] = prisma.$queryRaw.mock.calls;
+      expect(sql.join('?')).toContain('FROM approval_requests WHERE id = ? FOR UPDATE');
+      expect(id).toBe('apr_1');
+      expect(prisma.$queryRaw.mock.invocationCallOrder[0])
+        .toBeLessThan(prisma.approvalRequest.findUnique.mock.invocationCallOrder[0]);
+    });
+
+    it('should count an approver covering for a colleague only once towards the quorum', async () => {
+      const req = quorumRequest();
+      req.approvers[1].status = 'APPROVED';
+      prisma.approvalRequest.findUnique.mockResolvedValue(req);
+      prisma.approvalDelegation.findMany.mockResolvedValue([{ delegatorId: 'fin_3' }]);
+
+      const updated = await approvalService.approveRequest('fin_2', 'apr_1', 'covering for fin_3');
+
+      expect(prisma.approvalStep.update).toHaveBeenCalledWith({
+        where: { id: 's3' },
+        data: expect.objectContaining({ approverId: 'fin_2', delegatedFromId: 'fin_3' }),
+      });
+      expect(updated.currentLevel).toBeUndefined();
+      expect(prisma.approvalStep.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should refuse users who are neither approvers nor delegates', async () => {
+      prisma.approvalRequest.findUnique.mockResolvedValue(quorumRequest());
+
+      await expect(approvalService.approveRequest('stranger', 'apr_1')).rejects.toThrow('not the current approver');
+    });
+  });
+
+  describe('rejectRequest', () => {
+    it('should only reject once the quorum is unreachable', async () => {
+      const req = request([
+        step('s1', 1, 'fin_1', { quorum: 2 }),
+        step('s2', 1, 'fin_2', { quorum: 2 }),
+        step('s3', 1, 'fin_3', { quorum: 2 }),
+      ]);
+      prisma.approvalRequest.findUnique.mockResolvedValue(req);
+
+      await approvalService.rejectRequest('fin_1', 'apr_1', 'too costly');
+      expect(prisma.approvalRequest.update).not.toHaveBeenCalled();
+
+      req.approvers[0].status = 'REJECTED';
+      await approvalService.rejectRequest('fin_2', 'apr_1', 'agree');
+      expect(prisma.approvalRequest.update).toHaveBeenCalledWith({
+        where: { id: 'apr_1' },
+        data: { status: 'REJECTED' },
+      });
+    });
+  });
+
+  describe('processEscalations', () => {
+    it('should escalate overdue steps into the same approval group', async () => {
+      const overdue = step('s1', 1, 'fin_1', { quorum: 2, escalateAfterHours: 24, escalateToId: 'cfo', requestId: 'apr_1' });
+      prisma.approvalStep.findMany.mockResolvedValue([overdue]);
+      prisma.approvalRequest.findFirst.mockResolvedValue(request([overdue]));
+      prisma.user.findUnique.mockResolvedValue({ id: 'cfo' });
+
+      const result = await approvalService.processEscalations();
+
+      expect(result).toEqual({ checked: 1, escalated: 1 });
+      expect(prisma.approvalStep.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ approverId: 'cfo', level: 1, policyStepId: 'grp_1', quorum: 2 }),
+      });
+      expect(prisma.approvalStep.update).toHaveBeenCalledWith({
+        where: { id: 's1' },
+        data: { escalatedAt: expect.any(Date) },
+      });
+    });
+
+    it('should not add the same escalation target twice at a level', async () => {
+      const first = step('s1', 1, 'fin_1', { quorum: 2, escalateAfterHours: 24, escalateToId: 'cfo', requestId: 'apr_1' });
+      const second = step('s2', 1, 'fin_2', { quorum: 2, escalateAfterHours: 24, escalateToId: 'cfo', requestId: 'apr_1' });
+      const steps = [first, second];
+      prisma.approvalStep.findMany.mockResolvedValue([first, second]);
+      prisma.approvalRequest.findFirst.mockImplementation(() => Promise.resolve(
+        request(steps.map((candidate) => ({ ...candidate }))),
+      ));
+      prisma.approvalStep.create.mockImplementation(({ data }) => {
+        const created = { id: `s${steps.length + 1}`, ...data };
+        steps.push(created);
+        return Promise.resolve(created);
+      });
+      prisma.user.findUnique.mockResolvedValue({ id: 'cfo' });
+
+      const result = await approvalService.processEscalations();
+
+      expect(result).toEqual({ checked: 2, escalated: 2 });
+      expect(prisma.approvalStep.create).toHaveBeenCalledTimes(1);
+      expect(prisma.approvalStep.update).toHaveBeenCalledWith({
+        where: { id: 's2' },
+        data: { escalatedAt: expect.any(Date) },
+      });
+    });
+  });
+});
@@ -0,0 +1,278 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - AUDIT CHAIN UNIT TESTS
+// Tests for hash chaining, Merkle proofs, signed checkpoints and break detection
+// =============================================================================
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+const anchorFile = path.join(os.tmpdir(), `audit-checkpoints-${process.pid}.jsonl`);
+
+const auditConfig = {
+  signingKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  checkpointFile: anchorFile,
+  verifyBatchSize: 3,
+};
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config', () => ({
+  audit: auditConfig,
+  admin: { email: 'admin@example.com' },
+}));
+
+jest.mock('../../src/config/database', () => {
+  const store = { entries: [], checkpoints: [] };
+  const inRange = (sequence, range = {}) => (range.gte === undefined || sequence >= range.gte)
+    && (range.lte === undefined || sequence <= range.lte);
+
+  const prisma = {
+    store,
+    financialAuditLog: {
+      findMany: jest.fn(({ where, take }) => Promise.resolve(store.entries
+        .filter((entry) => inRange(entry.sequence, where.sequence))
+        .sort((a, b) => a.sequence - b.sequence)
+        .slice(0, take || Infinity))),
+      findUnique: jest.fn(({ where }) => Promise.resolve(store.entries.find((entry) => entry.id === where.id) || null)),
+    },
+    auditCheckpoint: {
+      findFirst: jest.fn(({ where } = {}) => {
+        const sorted = [...store.checkpoints].sort((a, b) => b.toSequence - a.toSequence);
+        if (!where) return Promise.resolve(sorted[0] || null);
+        return Promise.resolve(sorted.find((cp) => cp.fromSequence <= where.fromSequence.lte
+          && cp.toSequence >= where.toSequence.gte) || null);
+      }),
+      findMany: jest.fn(() => Promise.resolve([...store.checkpoints].sort((a, b) => a.toSequence - b.toSequence))),
+      create: jest.fn(({ data }) => {
+        const record = { id: `cp_${store.checkpoints.length + 1}`, ...data };
+        store.checkpoints.push(record);
+        return Promise.resolve(record);
+      }),
+    },
+    securityAlert: { create: jest.fn() },
+    $transaction: jest.fn(),
+  };
+  prisma.$transaction.mockImplementation((fn) => fn(prisma));
+  return { prisma };
+});
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/email.service', () => ({
+  sendEmail: jest.fn(),
+}));
+
+const auditChainService = require('../../src/services/auditChain.service');
+const hashChain = require('../../src/utils/hashChain');
+const { prisma } = require('../../src/config/database');
+const emailService = require('../../src/services/email.service');
+
+const buildChain = (count) => {
+  const entries = [];
+  let previousHash = hashChain.GENESIS_HASH;
+
+  for (let sequence = 1; sequence <= count; sequence++) {
+    const entry = {
+      id: `log_${sequence}`,
+      sequence,
+      previousHash,
+      category: 'PAYMENT',
+      action: 'PAYMENT_CAPTURED',
+      entityType: 'Payment',
+      entityId: `pay_${sequence}`,
+      userId: 'user_1',
+      businessId: 'biz_1',
+      severity: 'INFO',
+      details: { amount: sequence * 100 },
+      metadata: null,
+      createdAt: new Date(Date.UTC(2026, 0, 1, 0, sequence)),
+    };
+    entry.integrityHash = hashChain.hashAuditEntry(entry);
+    previousHash = entry.integrityHash;
+    entries.push(entry);
+  }
+
+  return entries;
+};
+
+describe('Audit Chain', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.store.entries = [];
+    prisma.store.checkpoints = [];
+    fs.rmSync(anchorFile, { force: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(anchorFile, { force: true });
+  });
+
+  describe('hash chain utilities', () => {
+    it('should detect altered entry content', () => {
+      const [entry] = buildChain(1);
+
+      expect(hashChain.hashAuditEntry(entry)).toBe(entry.integrityHash);
+      expect(hashChain.hashAuditEntry({ ...entry, details: { amount: 101 } })).not.toBe(entry.integrityHash);
+    });
+
+    it('should hash independently of key order', () => {
+      expect(hashChain.canonicalize({ b: 1, a: { d: 2, c: 3 } })).toBe('{"a":{"c":3,"d":2},"b":1}');
+    });
+
+    it('should produce Merkle proofs that resolve to the root for any tree size', () => {
+      for (let size = 1; size <= 7; size++) {
+        const hashes = buildChain(size).map((entry) => entry.integrityHash);
+        const root = hashChain.merkleRoot(hashes);
+
+        hashes.forEach((hash, index) => {
+          expect(hashChain.rootFromProof(hash, hashChain.merkleProof(hashes, index))).toBe(root);
+        });
+      }
+    });
+  });
+
+  describe('createCheckpoint', () => {
+    it('should seal new entries under a signed root and anchor it to file', async () => {
+      prisma.store.entries = buildChain(5);
+
+      const checkpoint = await auditChainService.createCheckpoint();
+
+      expect(checkpoint).toMatchObject({ fromSequence: 1, toSequence: 5, entryCount: 5, previousRoot: null });
+      expect(checkpoint.signature).toBeTruthy();
+      expect(fs.readFileSync(anchorFile, 'utf8').trim().split('\n')).toHaveLength(1);
+    });
+
+    it('should chain successive checkpoints and return null when nothing is new', async () => {
+      prisma.store.entries = buildChain(3);
+      const first = await auditChainService.createCheckpoint();
+
+      prisma.store.entries = buildChain(6);
+      const second = await auditChainService.createCheckpoint();
+
+      expect(second).toMatchObject({ fromSequence: 4, toSequence: 6, previousRoot: first.merkleRoot });
+      await expect(auditChainService.createCheckpoint()).resolves.toBeNull();
+    });
+
+    it('should refuse to seal a segment with a missing entry', async () => {
+      prisma.store.entries = buildChain(4).filter((entry) => entry.sequence !== 2);
+
+      await expect(auditChainService.createCheckpoint()).rejects.toThrow('Audit chain is broken');
+      expect(prisma.securityAlert.create).toHaveBeenCalled();
+      expect(prisma.store.checkpoints).toHaveLength(0);
+    });
+
+    it('should refuse to create unsigned checkpoints', async () => {
+      prisma.store.entries = buildChain(2);
+      const { signingKey } = auditConfig;
+      auditConfig.signingKey = undefined;
+
+      try {
+        let unsignedService;
+        jest.isolateModules(() => {
+          unsignedService = require('../../src/services/auditChain.service');
+        });
+
+        await expect(unsignedService.createCheckpoint()).rejects.toThrow('AUDIT_SIGNING_PRIVATE_KEY is not configured');
+        expect(prisma.store.checkpoints).toHaveLength(0);
+      } finally {
+        auditConfig.signingKey = signingKey;
+      }
+    });
+  });
+
+  describe('verifyChain', () => {
+    it('should pass for an untouched chain', async () => {
+      prisma.store.entries = buildChain(7);
+      await auditChainService.createCheckpoint();
+
+      const result = await auditChainService.verifyChain();
+
+      expect(result).toMatchObject({ valid: true, entriesChecked: 7, checkpointsChecked: 1, breaks: [] });
+      expect(prisma.securityAlert.create).not.toHaveBeenCalled();
+    });
+
+    it('should detect edited, deleted and re-linked entries and alert', async () => {
+      prisma.store.entries = buildChain(7);
+      await auditChainService.createCheckpoint();
+
+      prisma.store.entries[1].details = { amount: 1 };
+      prisma.store.entries.splice(4, 1);
+
+      const result = await auditChainService.verifyChain();
+      const types = result.breaks.map((b) => `${b.type}:${b.sequence || b.toSequence}`);
+
+      expect(result.valid).toBe(false);
+      expect(types).toEqual(expect.arrayContaining(['HASH:2', 'GAP:5', 'CHECKPOINT:7']));
+      expect(prisma.securityAlert.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ type: 'AUDIT_CHAIN_BREAK', severity: 'CRITICAL' }),
+      }));
+      expect(emailService.sendEmail).toHaveBeenCalled();
+    });
+
+    it('should detect a checkpoint rewritten in the database', async () => {
+      prisma.store.entries = buildChain(4);
+      await auditChainService.createCheckpoint();
+
+      prisma.store.checkpoints[0].merkleRoot = 'f'.repeat(64);
+
+      const result = await auditChainService.verifyChain();
+
+      expect(result.breaks[0].problems).toEqual(expect.arrayContaining([
+        'Merkle root does not match entries',
+        'Invalid signature',
+        'Differs from anchor file',
+      ]));
+    });
+  });
+
+  describe('getProof', () => {
+    it('should return a proof that verifies offline and fails once tampered', async () => {
+      prisma.store.entries = buildChain(6);
+      await auditChainService.createCheckpoint();
+
+      const proof = await auditChainService.getProof('log_4');
+
+      expect(hashChain.verifyProof(proof, { publicKey: publicKeyPem }).valid).toBe(true);
+      expect(hashChain.verifyProof(proof, { fingerprint: hashChain.keyFingerprint(publicKeyPem) }).valid).toBe(true);
+
+      const tampered = { ...proof, entry: { ...proof.entry, details: { amount: 1 } } };
+      expect(hashChain.verifyProof(tampered, { publicKey: publicKeyPem })).toMatchObject({
+        valid: false,
+        checks: { entryHash: false, merklePath: true, signature: true },
+      });
+    });
+
+    it('should not trust a checkpoint re-signed with the key carried in the proof', async () => {
+      prisma.store.entries = buildChain(3);
+      await auditChainService.createCheckpoint();
+
+      const proof = await auditChainService.getProof('log_2');
+      const forger = crypto.generateKeyPairSync('ed25519');
+      const checkpoint = { ...proof.checkpoint, previousRoot: 'a'.repeat(64) };
+      checkpoint.signature = crypto.sign(null, Buffer.from(hashChain.checkpointPayload(checkpoint)), forger.privateKey)
+        .toString('base64');
+      const forged = { ...proof, checkpoint, publicKey: forger.publicKey.export({ type: 'spki', format: 'pem' }) };
+
+      expect(hashChain.verifyProof(forged, { publicKey: publicKeyPem }).checks.signature).toBe(false);
+      expect(hashChain.verifyProof(forged, { fingerprint: hashChain.keyFingerprint(publicKeyPem) })).toMatchObject({
+        valid: false,
+        checks: { trustedKey: false },
+      });
+      expect(() => hashChain.verifyProof(forged)).toThrow('trusted public key');
+    });
+
+    it('should reject entries not yet covered by a checkpoint', async () => {
+      prisma.store.entries = buildChain(2);
+
+      await expect(auditChainService.getProof('log_2')).rejects.toThrow('not yet covered');
+    });
+  });
+});
@@ -0,0 +1,216 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - BUDGET UNIT TESTS
+// Tests for availability checks, commitment/encumbrance flow, transfers and reports
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => {
+  const store = { budgets: [], movements: [] };
+  const numeric = ['allocatedAmount', 'committedAmount', 'encumberedAmount', 'actualAmount'];
+
+  const matches = (record, where = {}) => Object.entries(where).every(([key, value]) => {
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      if ('not' in value) return record[key] !== value.not;
+      if ('lte' in value) return record[key] <= value.lte;
+      if ('gte' in value) return record[key] >= value.gte;
+    }
+    return record[key] === value;
+  });
+
+  const prisma = {
+    store,
+    budget: {
+      findFirst: jest.fn(({ where }) => Promise.resolve(store.budgets.find((b) => matches(b, where)) || null)),
+      findUnique: jest.fn(({ where }) => Promise.resolve(store.budgets.find((b) => b.id === where.id) || null)),
+      findMany: jest.fn(({ where }) => Promise.resolve(store.budgets.filter((b) => matches(b, where)))),
+      update: jest.fn(({ where, data }) => {
+        const budget = store.budgets.find((b) => b.id === where.id);
+        Object.entries(data).forEach(([key, value]) => {
+          budget[key] = numeric.includes(key) && value.increment !== undefined
+            ? budget[key] + value.increment
+            : value;
+        });
+        return Promise.resolve({ ...budget });
+      }),
+    },
+    budgetMovement: {
+      findUnique: jest.fn(({ where }) => Promise.resolve(
+        store.movements.find((m) => m.reference === where.reference) || null,
+      )),
+      findMany: jest.fn(({ where }) => Promise.resolve(store.movements.filter((m) => matches(m, where)))),
+      create: jest.fn(({ data }) => {
+        const movement = { id: `mv_${store.movements.length + 1}`, ...data };
+        store.movements.push(movement);
+        return Promise.resolve(movement);
+      }),
+    },
+    $queryRaw: jest.fn(() => Promise.resolve([])),
+    $transaction: jest.fn(),
+  };
+  prisma.$transaction.mockImplementation((fn) => fn(prisma));
+  return { prisma };
+});
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const budgetService = require('../../src/services/budget.service');
+const { prisma } = require('../../src/config/database');
+
+const budget = (overrides = {}) => ({
+  id: 'bud_1',
+  businessId: 'biz_1',
+  name: 'IT Capex FY27',
+  costCenter: 'CC-IT',
+  glCode: 'GL-6100',
+  periodStart: new Date('2026-04-01'),
+  periodEnd: new Date('2027-03-31'),
+  currency: 'INR',
+  originalAmount: 100000,
+  allocatedAmount: 100000,
+  committedAmount: 0,
+  encumberedAmount: 0,
+  actualAmount: 0,
+  overspendPolicy: 'BLOCK',
+  tolerancePercent: 0,
+  overspendApproverIds: [],
+  ownerId: 'owner_1',
+  status: 'ACTIVE',
+  ...overrides,
+});
+
+const requisition = { id: 'preq_1', businessId: 'biz_1', costCenter: 'CC-IT', budgetCode: 'GL-6100' };
+const check = (amount) => budgetService.checkAvailability('biz_1', { costCenter: 'CC-IT', glCode: 'GL-6100', amount });
+
+describe('Budget Service', () => {
+  beforeAll(() => {
+    jest.useFakeTimers().setSystemTime(new Date('2026-10-01'));
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.store.budgets = [budget()];
+    prisma.store.movements = [];
+  });
+
+  describe('checkAvailability', () => {
+    it('should skip requisitions without a budget code', async () => {
+      await expect(budgetService.checkAvailability('biz_1', { costCenter: 'CC-IT', amount: 10 })).resolves.toBeNull();
+    });
+
+    it('should allow spend within the available amount plus tolerance', async () => {
+      prisma.store.budgets = [budget({ committedAmount: 90000, tolerancePercent: 5 })];
+
+      const result = await check(14000);
+
+      expect(result).toMatchObject({ available: 10000, tolerance: 5000, overspend: false, action: 'OK' });
+    });
+
+    it('should report the overspend policy when the amount exceeds the budget', async () => {
+      prisma.store.budgets = [budget({ encumberedAmount: 95000, overspendPolicy: 'REQUIRE_APPROVAL' })];
+
+      const result = await check(8000);
+
+      expect(result).toMatchObject({ overspend: true, overspendAmount: 3000, action: 'REQUIRE_APPROVAL' });
+    });
+
+    it('should reject frozen budgets and unknown budget codes', async () => {
+      prisma.store.budgets = [budget({ status: 'FROZEN' })];
+      await expect(check(10)).rejects.toThrow('frozen');
+
+      prisma.store.budgets = [];
+      await expect(check(10)).rejects.toThrow('No budget');
+    });
+  });
+
+  describe('spend lifecycle', () => {
+    it('should move amounts from committed to encumbered to actual', async () => {
+      await budgetService.commitRequisition(requisition, 40000, 'approver_1');
+      expect(prisma.store.budgets[0]).toMatchObject({ committedAmount: 40000 });
+
+      await budgetService.encumberFromRequisition('preq_1', { id: 'ord_1', orderNumber: 'PO-1' }, 38000, 'buyer_1');
+      expect(prisma.store.budgets[0]).toMatchObject({ committedAmount: 0, encumberedAmount: 38000 });
+
+      await budgetService.recordActual('ord_1', 38000, 'pay_1');
+      expect(prisma.store.budgets[0]).toMatchObject({ encumberedAmount: 0, actualAmount: 38000 });
+    });
+
+    it('should apply each movement once per reference', async () => {
+      await budgetService.commitRequisition(requisition, 40000, 'approver_1');
+      const repeat = await budgetService.commitRequisition(requisition, 40000, 'approver_1');
+
+      expect(repeat.duplicate).toBe(true);
+      expect(prisma.store.budgets[0].committedAmount).toBe(40000);
+    });
+
+    it('should release the encumbrance of a cancelled order', async () => {
+      await budgetService.commitRequisition(requisition, 20000, 'approver_1');
+      await budgetService.encumberFromRequisition('preq_1', { id: 'ord_1', orderNumber: 'PO-1' }, 20000, 'buyer_1');
+
+      await budgetService.releaseEncumbrance('ord_1', 'Supplier declined');
+
+      expect(prisma.store.budgets[0]).toMatchObject({ committedAmount: 0, encumberedAmount: 0 });
+    });
+
+    it('should block a blanket release that would overspend', async () => {
+      prisma.store.budgets = [budget({ actualAmount: 99000 })];
+      const blanketOrder = { businessId: 'biz_1', costCenter: 'CC-IT', budgetCode: 'GL-6100', orderNumber: 'BO-1' };
+
+      await expect(budgetService.encumberRelease(blanketOrder, { id: 'ord_2' }, 5000, 'buyer_1'))
+        .rejects.toThrow('Release exceeds budget');
+    });
+  });
+
+  describe('revisions and transfers', () => {
+    it('should not revise a budget below what is already consumed', async () => {
+      prisma.store.budgets = [budget({ committedAmount: 60000 })];
+
+      await expect(budgetService.reviseBudget('biz_1', 'bud_1', 'cfo', { newAmount: 50000, reason: 'Cut' }))
+        .rejects.toThrow('below the 60000');
+
+      const revised = await budgetService.reviseBudget('biz_1', 'bud_1', 'cfo', { newAmount: 120000, reason: 'Top-up' });
+      expect(revised.summary).toMatchObject({ allocated: 120000, available: 60000 });
+    });
+
+    it('should transfer only what the source budget has available', async () => {
+      prisma.store.budgets = [
+        budget({ committedAmount: 70000 }),
+        budget({ id: 'bud_2', costCenter: 'CC-OPS', allocatedAmount: 50000 }),
+      ];
+      const transfer = (amount) => budgetService.transferBudget('biz_1', 'cfo', {
+        fromBudgetId: 'bud_1', toBudgetId: 'bud_2', amount, reason: 'Reallocation',
+      });
+
+      await expect(transfer(40000)).rejects.toThrow('Only 30000 is available');
+
+      const result = await transfer(25000);
+      expect(result.from.summary.allocated).toBe(75000);
+      expect(result.to.summary.allocated).toBe(75000);
+    });
+  });
+
+  describe('getBudgetVsActual', () => {
+    it('should total budgets per cost center', async () => {
+      prisma.store.budgets = [
+        budget({ actualAmount: 30000, encumberedAmount: 10000 }),
+        budget({ id: 'bud_2', glCode: 'GL-6200', allocatedAmount: 50000, actualAmount: 60000 }),
+      ];
+
+      const report = await budgetService.getBudgetVsActual('biz_1');
+
+      expect(report.rows[1]).toMatchObject({ variance: -10000, overspent: true });
+      expect(report.byCostCenter).toEqual([
+        expect.objectContaining({ costCenter: 'CC-IT', allocated: 150000, actual: 90000, variance: 60000 }),
+      ]);
+      expect(report.totals.available).toBe(50000);
+    });
+  });
+});
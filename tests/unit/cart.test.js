@@ -0,0 +1,116 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - CART SERVICE UNIT TESTS
+// Tests for contract prices on cart lines and cart totals
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    cart: { findUnique: jest.fn() },
+  },
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn(), del: jest.fn() },
+  inventory: { check: jest.fn() },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/contractPricing.service', () => ({
+  resolvePrices: jest.fn(),
+}));
+
+const cartService = require('../../src/services/cart.service');
+const contractPricingService = require('../../src/services/contractPricing.service');
+const { prisma } = require('../../src/config/database');
+
+const cartItem = (overrides = {}) => ({
+  id: 'ci_1',
+  productId: 'prod_1',
+  variantId: 'var_1',
+  quantity: 10,
+  unitPrice: 100,
+  product: { id: 'prod_1', businessId: 'seller_1' },
+  variant: { id: 'var_1', basePrice: 100, trackInventory: false },
+  ...overrides,
+});
+
+describe('Cart Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolveUnitPrice', () => {
+    it('should use the buyer\'s contract price with the product\'s seller', async () => {
+      prisma.cart.findUnique.mockResolvedValue({ businessId: 'buyer_1' });
+      contractPricingService.resolvePrices.mockResolvedValue(new Map([['var_1', { unitPrice: 90 }]]));
+
+      const price = await cartService.resolveUnitPrice('cart_1', { id: 'prod_1', businessId: 'seller_1' }, {
+        id: 'var_1',
+        basePrice: 100,
+      }, 10);
+
+      expect(price).toBe(90);
+      expect(contractPricingService.resolvePrices).toHaveBeenCalledWith('buyer_1', 'seller_1', [
+        { productId: 'prod_1', variantId: 'var_1', quantity: 10 },
+      ]);
+    });
+
+    it('should fall back to the catalog price without a contract', async () => {
+      prisma.cart.findUnique.mockResolvedValue({ businessId: 'buyer_1' });
+      contractPricingService.resolvePrices.mockResolvedValue(new Map());
+
+      const price = await cartService.resolveUnitPrice('cart_1', { id: 'prod_1', businessId: 'seller_1' }, {
+        id: 'var_1',
+        basePrice: 100,
+      }, 10);
+
+      expect(price).toBe(100);
+    });
+  });
+
+  describe('applyContractPricing', () => {
+    it('should price each seller\'s lines against that seller\'s contracts', async () => {
+      contractPricingService.resolvePrices.mockImplementation((buyerId, sellerId) => Promise.resolve(
+        sellerId === 'seller_1' ? new Map([['var_1', { unitPrice: 90 }]]) : new Map(),
+      ));
+      const cart = {
+        id: 'cart_1',
+        businessId: 'buyer_1',
+        items: [
+          cartItem(),
+          cartItem({
+            id: 'ci_2',
+            variantId: 'var_2',
+            quantity: 2,
+            unitPrice: 50,
+            product: { id: 'prod_2', businessId: 'seller_2' },
+            variant: { id: 'var_2', basePrice: 50, trackInventory: false },
+          }),
+        ],
+      };
+
+      const enriched = cartService.enrichCart(await cartService.applyContractPricing(cart));
+
+      expect(contractPricingService.resolvePrices).toHaveBeenCalledTimes(2);
+      expect(enriched.items.map((item) => item.currentPrice)).toEqual([90, 50]);
+      expect(enriched.items[0].priceChanged).toBe(true);
+      expect(enriched.summary.subtotal).toBe(1000);
+    });
+
+    it('should leave guest carts at catalog prices', async () => {
+      const cart = { id: 'cart_1', businessId: null, items: [cartItem()] };
+
+      const priced = await cartService.applyContractPricing(cart);
+
+      expect(priced).toBe(cart);
+      expect(contractPricingService.resolvePrices).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,209 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - CONTRACT PRICING UNIT TESTS
+// Tests for contracted price resolution, consumption alerts and maverick spend
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => {
+  const prisma = {
+    contractPriceItem: { findMany: jest.fn(), update: jest.fn() },
+    contractConsumption: { create: jest.fn(), findMany: jest.fn(), update: jest.fn() },
+    contract: { findMany: jest.fn(), findFirst: jest.fn(), update: jest.fn() },
+    maverickSpend: { createMany: jest.fn() },
+    $transaction: jest.fn(),
+  };
+  prisma.$transaction.mockImplementation((fn) => fn(prisma));
+  return { prisma };
+});
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/notification.service', () => ({
+  NOTIFICATION_PRIORITY: { HIGH: 'HIGH' },
+  notifyBusinessUsers: jest.fn(),
+}));
+
+jest.mock('../../src/services/socket.service', () => ({
+  emitToBusiness: jest.fn(),
+}));
+
+const contractPricingService = require('../../src/services/contractPricing.service');
+const notificationService = require('../../src/services/notification.service');
+const { prisma } = require('../../src/config/database');
+
+const priceItem = (overrides = {}) => ({
+  id: 'cpi_1',
+  contractId: 'ctr_1',
+  productId: 'prod_1',
+  variantId: null,
+  unitPrice: '90.00',
+  minQuantity: 1,
+  committedQuantity: 1000,
+  consumedQuantity: 0,
+  alertThreshold: 80,
+  alertsSent: [],
+  validFrom: null,
+  validTo: null,
+  contract: { id: 'ctr_1', contractNumber: 'CTR-1', sellerId: 'seller_1' },
+  ...overrides,
+});
+
+describe('Contract Pricing Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolvePrices', () => {
+    it('should prefer variant-specific prices, then the lowest price', async () => {
+      prisma.contractPriceItem.findMany.mockResolvedValue([
+        priceItem({ id: 'cpi_product', unitPrice: '80.00' }),
+        priceItem({ id: 'cpi_variant', variantId: 'var_1', unitPrice: '85.00', consumedQuantity: 400 }),
+      ]);
+
+      const prices = await contractPricingService.resolvePrices('buyer_1', 'seller_1', [
+        { productId: 'prod_1', variantId: 'var_1', quantity: 10 },
+        { productId: 'prod_1', variantId: 'var_2', quantity: 10 },
+      ]);
+
+      expect(prices.get('var_1')).toMatchObject({ priceItemId: 'cpi_variant', unitPrice: 85, remainingQuantity: 600 });
+      expect(prices.get('var_2')).toMatchObject({ priceItemId: 'cpi_product', unitPrice: 80 });
+    });
+
+    it('should ignore items outside their validity window or below minimum quantity', async () => {
+      prisma.contractPriceItem.findMany.mockResolvedValue([
+        priceItem({ id: 'cpi_future', validFrom: new Date(Date.now() + 86400000) }),
+        priceItem({ id: 'cpi_bulk', minQuantity: 100 }),
+      ]);
+
+      const prices = await contractPricingService.resolvePrices('buyer_1', 'seller_1', [
+        { productId: 'prod_1', variantId: 'var_1', quantity: 10 },
+      ]);
+
+      expect(prices.size).toBe(0);
+    });
+
+    it('should only look at active contracts between the two parties', async () => {
+      prisma.contractPriceItem.findMany.mockResolvedValue([]);
+
+      await contractPricingService.resolvePrices('buyer_1', 'seller_1', [{ productId: 'prod_1', quantity: 1 }]);
+
+      expect(prisma.contractPriceItem.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({
+          contract: expect.objectContaining({ buyerId: 'buyer_1', sellerId: 'seller_1', status: 'ACTIVE' }),
+        }),
+      }));
+    });
+  });
+
+  describe('recordConsumption', () => {
+    it('should consume item quantities and contract value for contract-priced lines only', async () => {
+      const contractIds = await contractPricingService.recordConsumption(prisma, 'ord_1', [
+        { variantId: 'var_1', quantity: 10, unitPrice: 90, contractId: 'ctr_1', priceItemId: 'cpi_1' },
+        { variantId: 'var_2', quantity: 5, unitPrice: 90, contractId: 'ctr_1', priceItemId: 'cpi_1' },
+        { variantId: 'var_3', quantity: 5, unitPrice: 120, contractId: null, priceItemId: null },
+      ]);
+
+      expect(contractIds).toEqual(['ctr_1']);
+      expect(prisma.contractConsumption.create).toHaveBeenCalledTimes(2);
+      expect(prisma.contractPriceItem.update).toHaveBeenCalledWith({
+        where: { id: 'cpi_1' },
+        data: { consumedQuantity: { increment: 10 }, consumedValue: { increment: 900 } },
+      });
+      expect(prisma.contract.update).toHaveBeenCalledWith({
+        where: { id: 'ctr_1' },
+        data: { consumedValue: { increment: 1350 } },
+      });
+    });
+  });
+
+  describe('checkExhaustion', () => {
+    it('should alert both parties once when the threshold is crossed', async () => {
+      prisma.contract.findMany.mockResolvedValue([{
+        id: 'ctr_1',
+        contractNumber: 'CTR-1',
+        buyerId: 'buyer_1',
+        sellerId: 'seller_1',
+        totalValue: null,
+        consumedValue: 0,
+        alertsSent: [],
+        priceItems: [
+          priceItem({ consumedQuantity: 850 }),
+          priceItem({ id: 'cpi_2', consumedQuantity: 900, alertsSent: ['THRESHOLD'] }),
+        ],
+      }]);
+
+      const alerts = await contractPricingService.checkExhaustion(['ctr_1']);
+
+      expect(alerts).toEqual([{ contractId: 'ctr_1', priceItemId: 'cpi_1', level: 'THRESHOLD', percent: 85 }]);
+      expect(prisma.contractPriceItem.update).toHaveBeenCalledWith({
+        where: { id: 'cpi_1' },
+        data: { alertsSent: { push: 'THRESHOLD' } },
+      });
+      expect(notificationService.notifyBusinessUsers).toHaveBeenCalledTimes(2);
+    });
+
+    it('should flag exhausted contract value', async () => {
+      prisma.contract.findMany.mockResolvedValue([{
+        id: 'ctr_1',
+        contractNumber: 'CTR-1',
+        buyerId: 'buyer_1',
+        sellerId: 'seller_1',
+        totalValue: '100000',
+        consumedValue: '100500',
+        alertsSent: ['THRESHOLD'],
+        priceItems: [],
+      }]);
+
+      const alerts = await contractPricingService.checkExhaustion(['ctr_1']);
+
+      expect(alerts).toEqual([{ contractId: 'ctr_1', level: 'EXHAUSTED', percent: 100.5 }]);
+      expect(notificationService.notifyBusinessUsers).toHaveBeenCalledWith('buyer_1', expect.objectContaining({
+        template: 'contract_exhausted',
+      }));
+    });
+  });
+
+  describe('detectMaverickSpend', () => {
+    it('should record lines bought off another seller\'s contract with the price leakage', async () => {
+      prisma.contractPriceItem.findMany.mockResolvedValue([priceItem()]);
+      const order = { id: 'ord_1', orderNumber: 'ORD-1', buyerId: 'buyer_1', sellerId: 'seller_2' };
+
+      const records = await contractPricingService.detectMaverickSpend(order, [
+        { productId: 'prod_1', variantId: 'var_1', productName: 'Bolt', quantity: 10, unitPrice: '100.00' },
+        { productId: 'prod_9', variantId: 'var_9', productName: 'Nut', quantity: 10, unitPrice: '5.00' },
+      ]);
+
+      expect(records).toHaveLength(1);
+      expect(prisma.maverickSpend.createMany).toHaveBeenCalledWith({
+        data: [expect.objectContaining({
+          orderId: 'ord_1',
+          sellerId: 'seller_2',
+          contractSellerId: 'seller_1',
+          amount: 1000,
+          leakage: 100,
+        })],
+        skipDuplicates: true,
+      });
+      expect(notificationService.notifyBusinessUsers).toHaveBeenCalledWith('buyer_1', expect.objectContaining({
+        template: 'maverick_spend',
+      }));
+    });
+
+    it('should not flag purchases when no other contract covers the product', async () => {
+      prisma.contractPriceItem.findMany.mockResolvedValue([]);
+
+      const records = await contractPricingService.detectMaverickSpend(
+        { id: 'ord_1', buyerId: 'buyer_1', sellerId: 'seller_2' },
+        [{ productId: 'prod_1', variantId: 'var_1', quantity: 1, unitPrice: 10 }],
+      );
+
+      expect(records).toEqual([]);
+      expect(prisma.maverickSpend.createMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,365 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - CONTRACT SIGNATURE UNIT TESTS
+// Tests for versioned PDFs, OTP-gated signing, execution and verification
+// =============================================================================
+
+const crypto = require('crypto');
+
+const { privateKey } = crypto.generateKeyPairSync('ed25519');
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config', () => ({
+  contracts: { signingKey: privateKey.export({ type: 'pkcs8', format: 'pem' }) },
+}));
+
+jest.mock('../../src/config/database', () => {
+  const store = { contract: null, versions: [], signatures: [] };
+  const matches = (record, where = {}) => Object.entries(where).every(([key, value]) => {
+    if (key === 'OR') return value.some((clause) => matches(record, clause));
+    return record[key] === value;
+  });
+  const withSignatures = (version) => version && {
+    ...version,
+    signatures: store.signatures.filter((signature) => signature.versionId === version.id),
+  };
+
+  const prisma = {
+    store,
+    contract: {
+      findFirst: jest.fn(({ where }) => Promise.resolve(
+        store.contract && store.contract.id === where.id ? { ...store.contract } : null,
+      )),
+      update: jest.fn(({ data }) => {
+        Object.assign(store.contract, data);
+        return Promise.resolve({ ...store.contract });
+      }),
+    },
+    contractVersion: {
+      findFirst: jest.fn(({ where, include }) => {
+        const found = [...store.versions]
+          .sort((a, b) => b.version - a.version)
+          .find((version) => matches(version, where));
+        if (!found || !include) return Promise.resolve(found || null);
+        return Promise.resolve({
+          ...withSignatures(found),
+          contract: {
+            contractNumber: store.contract.contractNumber,
+            status: store.contract.status,
+            buyer: { businessName: 'Buyer Co' },
+            seller: { businessName: 'Seller Co' },
+          },
+        });
+      }),
+      findUnique: jest.fn(({ where }) => {
+        const { contractId, version } = where.contractId_version;
+        return Promise.resolve(withSignatures(store.versions
+          .find((v) => v.contractId === contractId && v.version === version)) || null);
+      }),
+      findMany: jest.fn(() => Promise.resolve(store.versions.map(withSignatures))),
+      create: jest.fn(({ data }) => {
+        const record = { id: `ver_${store.versions.length + 1}`, status: 'PENDING_SIGNATURE', ...data };
+        store.versions.push(record);
+        return Promise.resolve(record);
+      }),
+      update: jest.fn(({ where, data }) => {
+        const record = store.versions.find((version) => version.id === where.id);
+        Object.assign(record, data);
+        return Promise.resolve(record);
+      }),
+      updateMany: jest.fn(({ where, data }) => {
+        store.versions.filter((version) => matches(version, where)).forEach((version) => Object.assign(version, data));
+        return Promise.resolve({ count: 0 });
+      }),
+    },
+    contractSignature: {
+      findMany: jest.fn(({ where }) => Promise.resolve(store.signatures.filter((s) => matches(s, where)))),
+      findUnique: jest.fn(({ where }) => Promise.resolve(store.signatures.find((s) => (
+        s.versionId === where.versionId_role.versionId && s.role === where.versionId_role.role
+      )) || null)),
+      create: jest.fn(({ data }) => {
+        const record = { id: `sig_${store.signatures.length + 1}`, ...data };
+        store.signatures.push(record);
+        return Promise.resolve(record);
+      }),
+    },
+    contractPriceItem: {
+      findMany: jest.fn(() => Promise.resolve([])),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    product: { findMany: jest.fn(() => Promise.resolve([{ id: 'prod_1', name: 'Steel Rod' }])) },
+    user: {
+      findUnique: jest.fn(({ where }) => Promise.resolve({
+        firstName: where.id === 'user_buyer' ? 'Asha' : 'Ravi',
+        lastName: 'Kumar',
+        email: `${where.id}@example.com`,
+      })),
+    },
+    $queryRaw: jest.fn(),
+    $transaction: jest.fn(),
+  };
+  // Transactions run one at a time, as they would behind the version row lock
+  let queue = Promise.resolve();
+  prisma.$transaction.mockImplementation((fn) => {
+    const run = queue.then(() => fn(prisma));
+    queue = run.catch(() => {});
+    return run;
+  });
+  return { prisma };
+});
+
+jest.mock('../../src/config/redis', () => {
+  const values = new Map();
+  return {
+    cache: {
+      get: jest.fn((key) => Promise.resolve(values.has(key) ? values.get(key) : null)),
+      set: jest.fn((key, value) => Promise.resolve(values.set(key, value))),
+      del: jest.fn((key) => Promise.resolve(values.delete(key))),
+    },
+  };
+});
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/twoFactorAuth.service', () => ({
+  OTP_PURPOSE: { CONTRACT_SIGNATURE: 'CONTRACT_SIGNATURE' },
+  generateOTP: jest.fn(() => Promise.resolve({ sent: true, method: 'SMS' })),
+  verifyOTP: jest.fn((userId, otp) => (otp === '123456'
+    ? Promise.resolve({ verified: true, method: 'SMS', verifiedAt: new Date() })
+    : Promise.reject(new Error('Invalid OTP')))),
+}));
+
+jest.mock('../../src/services/documentVault.service', () => ({
+  DOCUMENT_TYPE: { CONTRACT: 'CONTRACT' },
+  uploadDocument: jest.fn((businessId, userId, file) => Promise.resolve({ id: `doc_${file.originalname}_${businessId}` })),
+}));
+
+jest.mock('../../src/services/socket.service', () => ({
+  emitToBusiness: jest.fn(),
+}));
+
+const contractSignatureService = require('../../src/services/contractSignature.service');
+const redline = require('../../src/utils/redline');
+const { prisma } = require('../../src/config/database');
+const twoFactorAuthService = require('../../src/services/twoFactorAuth.service');
+const documentVaultService = require('../../src/services/documentVault.service');
+
+const baseContract = () => ({
+  id: 'ctr_1',
+  contractNumber: 'CTR-2026-ABC',
+  buyerId: 'biz_buyer',
+  sellerId: 'biz_seller',
+  buyer: { id: 'biz_buyer', businessName: 'Buyer Co', gstin: '27AAAAA0000A1Z5' },
+  seller: { id: 'biz_seller', businessName: 'Seller Co', gstin: '29BBBBB0000B1Z5' },
+  title: 'Annual Steel Supply',
+  description: 'Supply of TMT bars',
+  type: 'SUPPLY_AGREEMENT',
+  status: 'PENDING_SIGNATURE',
+  startDate: new Date('2026-01-01'),
+  endDate: new Date('2026-12-31'),
+  autoRenew: false,
+  terms: 'Delivery within 7 days\nQuality per IS 1786',
+  pricing: { basis: 'fixed' },
+  totalValue: '500000',
+  priceItems: [{ productId: 'prod_1', variantId: null, unitPrice: '55.5', minQuantity: 10 }],
+  signedByBuyer: false,
+  signedBySeller: false,
+});
+
+const sign = async (businessId, userId, otp = '123456') => {
+  await contractSignatureService.requestSignatureOtp('ctr_1', businessId, userId);
+  return contractSignatureService.signVersion('ctr_1', businessId, {
+    userId,
+    otp,
+    ipAddress: '203.0.113.7',
+    userAgent: 'jest',
+  });
+};
+
+const executedPdf = () => documentVaultService.uploadDocument.mock.calls
+  .find(([, , file]) => file.originalname.endsWith('-executed.pdf'))[2].buffer;
+
+describe('Contract Signature', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.store.contract = baseContract();
+    prisma.store.versions = [];
+    prisma.store.signatures = [];
+  });
+
+  describe('redline', () => {
+    it('should mark removed and added lines and keep unchanged ones', () => {
+      const changes = redline.diffLines('a\nb\nc', 'a\nx\nc');
+
+      expect(changes).toEqual([
+        { op: 'equal', text: 'a' },
+        { op: 'delete', text: 'b' },
+        { op: 'insert', text: 'x' },
+        { op: 'equal', text: 'c' },
+      ]);
+    });
+
+    it('should report only changed fields', () => {
+      const diff = redline.diffSnapshots({ title: 'A', terms: 'x' }, { title: 'A', terms: 'y' });
+
+      expect(diff.map((entry) => entry.field)).toEqual(['terms']);
+      expect(redline.summarize(diff)).toEqual({ fields: 1, insertions: 1, deletions: 1 });
+    });
+  });
+
+  describe('createVersion', () => {
+    it('should hash the rendered PDF and file it in the vault', async () => {
+      const version = await contractSignatureService.createVersion('ctr_1', 'biz_buyer', 'user_buyer');
+      const [, , file] = documentVaultService.uploadDocument.mock.calls[0];
+
+      expect(version).toMatchObject({ version: 1, isAmendment: false, diff: null });
+      expect(version.pdfHash).toBe(crypto.createHash('sha256').update(file.buffer).digest('hex'));
+      expect(file.buffer.subarray(0, 4).toString()).toBe('%PDF');
+    });
+
+    it('should redline an amendment against the executed version and supersede pending ones', async () => {
+      await contractSignatureService.createVersion('ctr_1', 'biz_buyer', 'user_buyer');
+      prisma.store.versions[0].status = 'EXECUTED';
+      prisma.store.contract.status = 'ACTIVE';
+
+      const propose = (terms) => contractSignatureService.createVersion('ctr_1', 'biz_seller', 'user_seller', {
+        changes: { terms },
+        changeSummary: 'Faster delivery',
+        isAmendment: true,
+      });
+      const draft = await propose('Delivery within 3 days\nQuality per IS 1786');
+      const amendment = await propose('Delivery within 5 days\nQuality per IS 1786');
+
+      expect(prisma.store.versions.map((v) => v.status)).toEqual(['EXECUTED', 'SUPERSEDED', 'PENDING_SIGNATURE']);
+      expect(draft.version).toBe(2);
+      expect(amendment.version).toBe(3);
+      expect(amendment.diff).toEqual([{
+        field: 'terms',
+        changes: [
+          { op: 'delete', text: 'Delivery within 7 days' },
+          { op: 'insert', text: 'Delivery within 5 days' },
+          { op: 'equal', text: 'Quality per IS 1786' },
+        ],
+      }]);
+    });
+
+    it('should reject an amendment that changes nothing', async () => {
+      prisma.store.contract.status = 'ACTIVE';
+
+      await expect(contractSignatureService.createVersion('ctr_1', 'biz_buyer', 'user_buyer', {
+        changes: { title: 'Annual Steel Supply' },
+        isAmendment: true,
+      })).rejects.toThrow('does not change any terms');
+    });
+  });
+
+  describe('signVersion', () => {
+    it('should require an OTP requested for the pending version', async () => {
+      await contractSignatureService.createVersion('ctr_1', 'biz_buyer', 'user_buyer');
+
+      await expect(contractSignatureService.signVersion('ctr_1', 'biz_buyer', {
+        userId: 'user_buyer',
+        otp: '123456',
+      })).rejects.toThrow('Request a signing OTP');
+      expect(twoFactorAuthService.verifyOTP).not.toHaveBeenCalled();
+    });
+
+    it('should bind signer, time, IP and OTP to the document hash', async () => {
+      const version = await contractSignatureService.createVersion('ctr_1', 'biz_buyer', 'user_buyer');
+
+      const result = await sign('biz_buyer', 'user_buyer');
+
+      expect(result.fullyExecuted).toBe(false);
+      expect(result.signature).toMatchObject({
+        role: 'BUYER',
+        signerName: 'Asha Kumar',
+        documentHash: version.pdfHash,
+        ipAddress: '203.0.113.7',
+        otpMethod: 'SMS',
+      });
+      expect(contractSignatureService.verifySignature(result.signature)).toMatchObject({
+        evidenceIntact: true,
+        countersigned: true,
+      });
+      expect(prisma.store.contract).toMatchObject({ signedByBuyer: true, status: 'PENDING_SIGNATURE' });
+    });
+
+    it('should execute once both parties sign and file the certified copy with each', async () => {
+      await contractSignatureService.createVersion('ctr_1', 'biz_buyer', 'user_buyer');
+      await sign('biz_buyer', 'user_buyer');
+
+      const result = await sign('biz_seller', 'user_seller');
+
+      expect(result.fullyExecuted).toBe(true);
+      expect(result.version.status).toBe('EXECUTED');
+      expect(Object.keys(result.version.executedDocumentIds)).toEqual(['biz_buyer', 'biz_seller']);
+      expect(prisma.store.contract.status).toBe('ACTIVE');
+    });
+
+    it('should execute when both parties sign at the same moment', async () => {
+      await contractSignatureService.createVersion('ctr_1', 'biz_buyer', 'user_buyer');
+      await contractSignatureService.requestSignatureOtp('ctr_1', 'biz_buyer', 'user_buyer');
+      await contractSignatureService.requestSignatureOtp('ctr_1', 'biz_seller', 'user_seller');
+      const signer = (userId) => ({ userId, otp: '123456', ipAddress: '203.0.113.7' });
+
+      const results = await Promise.all([
+        contractSignatureService.signVersion('ctr_1', 'biz_buyer', signer('user_buyer')),
+        contractSignatureService.signVersion('ctr_1', 'biz_seller', signer('user_seller')),
+      ]);
+
+      expect(results.map((result) => result.fullyExecuted)).toEqual([false, true]);
+      expect(prisma.$queryRaw).toHaveBeenCalledTimes(2);
+      expect(prisma.store.versions[0].status).toBe('EXECUTED');
+      expect(prisma.store.contract.status).toBe('ACTIVE');
+    });
+
+    it('should reject a second signature from the same party', async () => {
+      await contractSignatureService.createVersion('ctr_1', 'biz_buyer', 'user_buyer');
+      await sign('biz_buyer', 'user_buyer');
+
+      await expect(sign('biz_buyer', 'user_buyer_2')).rejects.toThrow('already signed');
+    });
+  });
+
+  describe('verifyDocument', () => {
+    beforeEach(async () => {
+      await contractSignatureService.createVersion('ctr_1', 'biz_buyer', 'user_buyer');
+      await sign('biz_buyer', 'user_buyer');
+      await sign('biz_seller', 'user_seller');
+    });
+
+    it('should confirm the executed copy matches the signed record', async () => {
+      const result = await contractSignatureService.verifyDocument({ buffer: executedPdf() });
+
+      expect(result).toMatchObject({
+        valid: true,
+        document: 'EXECUTED_COPY',
+        fullyExecuted: true,
+        contractNumber: 'CTR-2026-ABC',
+      });
+      expect(result.signatures).toHaveLength(2);
+    });
+
+    it('should not match an altered PDF', async () => {
+      const altered = Buffer.concat([executedPdf(), Buffer.from('%tampered')]);
+
+      await expect(contractSignatureService.verifyDocument({ buffer: altered }))
+        .resolves.toMatchObject({ valid: false });
+    });
+
+    it('should flag signature evidence edited after signing', async () => {
+      prisma.store.signatures[0].signerName = 'Someone Else';
+
+      const result = await contractSignatureService.verifyDocument({ hash: prisma.store.versions[0].pdfHash });
+
+      expect(result.valid).toBe(false);
+      expect(result.signatures.map((signature) => signature.valid)).toEqual([false, true]);
+    });
+  });
+});
@@ -0,0 +1,270 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - CREDIT / DEBIT NOTE SERVICE UNIT TESTS
+// Tests for tax reversal, note numbering and limits against the invoice
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    order: { findUnique: jest.fn() },
+    eInvoice: { findUnique: jest.fn() },
+    returnRequest: { findUnique: jest.fn() },
+    creditNote: {
+      count: jest.fn(),
+      create: jest.fn(),
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+    creditNoteItem: { groupBy: jest.fn() },
+    statutoryDeduction: { findUnique: jest.fn(), upsert: jest.fn(), delete: jest.fn() },
+    $transaction: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn() },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  logAudit: jest.fn(),
+}));
+
+jest.mock('../../src/services/socket.service', () => ({
+  emitToBusiness: jest.fn(),
+}));
+
+const creditNoteService = require('../../src/services/creditNote.service');
+const eInvoiceService = require('../../src/services/eInvoice.service');
+const { prisma } = require('../../src/config/database');
+
+const orderItems = [
+  {
+    id: 'item_1',
+    productName: 'Steel Bolts',
+    hsnCode: '7318',
+    quantity: 100,
+    unitPrice: '10.00',
+    discountAmount: '0',
+    taxRate: '18.00',
+  },
+];
+
+const invoicedOrder = {
+  id: 'order_1',
+  orderNumber: 'AIR-2024-000001',
+  buyerId: 'buyer_1',
+  sellerId: 'seller_1',
+  invoiceNumber: 'INV-2024-000001',
+  invoiceGeneratedAt: new Date('2024-06-01'),
+  shippingAddress: { state: 'Maharashtra' },
+  items: orderItems,
+  seller: { id: 'seller_1', gstin: '27AAAAA0000A1Z5', state: 'Maharashtra' },
+  buyer: { id: 'buyer_1', gstin: '29BBBBB0000B1Z5', state: 'Karnataka' },
+};
+
+describe('Credit Note Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.$transaction.mockImplementation((fn) => fn(prisma));
+    prisma.eInvoice.findUnique.mockResolvedValue(null);
+    prisma.creditNoteItem.groupBy.mockResolvedValue([]);
+    prisma.creditNote.count.mockResolvedValue(0);
+    prisma.creditNote.create.mockImplementation(({ data }) => ({ id: 'cn_1', ...data }));
+  });
+
+  describe('calculateNoteTax', () => {
+    it('should split intra-state tax into CGST and SGST', () => {
+      const result = creditNoteService.calculateNoteTax(orderItems, [{ orderItemId: 'item_1', quantity: 10 }], false);
+
+      expect(result.taxableValue).toBe(100);
+      expect(result.cgstAmount).toBe(9);
+      expect(result.sgstAmount).toBe(9);
+      expect(result.igstAmount).toBe(0);
+      expect(result.totalValue).toBe(118);
+    });
+
+    it('should reverse IGST for inter-state value adjustments', () => {
+      const result = creditNoteService.calculateNoteTax(
+        orderItems,
+        [{ orderItemId: 'item_1', taxableValue: 50 }],
+        true,
+      );
+
+      expect(result.items[0].quantity).toBe(0);
+      expect(result.igstAmount).toBe(9);
+      expect(result.cgstAmount).toBe(0);
+      expect(result.totalValue).toBe(59);
+    });
+  });
+
+  describe('createNote', () => {
+    it('should issue a numbered credit note against the original invoice', async () => {
+      prisma.order.findUnique.mockResolvedValue(invoicedOrder);
+
+      const note = await creditNoteService.createNote('seller_1', 'order_1', {
+        reasonCode: 'POST_SALE_DISCOUNT',
+        items: [{ orderItemId: 'item_1', taxableValue: 100 }],
+      });
+
+      expect(note.noteNumber).toMatch(/^CN\/\d{2}-\d{2}\/000001$/);
+      expect(note.originalInvoiceNumber).toBe('INV-2024-000001');
+      expect(note.isInterState).toBe(true);
+      expect(note.igstAmount).toBe(18);
+    });
+
+    it('should use a separate series for debit notes', async () => {
+      prisma.order.findUnique.mockResolvedValue(invoicedOrder);
+      prisma.creditNote.count.mockResolvedValue(4);
+
+      const note = await creditNoteService.createNote('seller_1', 'order_1', {
+        noteType: 'DEBIT',
+        reasonCode: 'CORRECTION_IN_INVOICE',
+        items: [{ orderItemId: 'item_1', taxableValue: 20 }],
+      });
+
+      expect(note.noteNumber).toMatch(/^DN\/\d{2}-\d{2}\/000005$/);
+      expect(prisma.creditNoteItem.groupBy).not.toHaveBeenCalled();
+    });
+
+    it('should not credit more than the invoiced value', async () => {
+      prisma.order.findUnique.mockResolvedValue(invoicedOrder);
+      prisma.creditNoteItem.groupBy.mockResolvedValue([
+        { orderItemId: 'item_1', _sum: { quantity: 95, taxableValue: '950.00' } },
+      ]);
+
+      await expect(creditNoteService.createNote('seller_1', 'order_1', {
+        reasonCode: 'SALES_RETURN',
+        items: [{ orderItemId: 'item_1', quantity: 10 }],
+      })).rejects.toThrow('Creditable: 5');
+    });
+
+    it('should require an invoice on the order', async () => {
+      prisma.order.findUnique.mockResolvedValue({ ...invoicedOrder, invoiceNumber: null });
+
+      await expect(creditNoteService.createNote('seller_1', 'order_1', {
+        reasonCode: 'OTHERS',
+        items: [{ orderItemId: 'item_1', quantity: 1 }],
+      })).rejects.toThrow('No tax invoice has been generated for this order');
+    });
+
+    it('should credit the accepted units of an inspected return', async () => {
+      prisma.order.findUnique.mockResolvedValue(invoicedOrder);
+      prisma.returnRequest.findUnique.mockResolvedValue({
+        id: 'ret_1',
+        orderId: 'order_1',
+        status: 'REFUNDED',
+        items: [{ orderItemId: 'item_1', acceptedQty: 35 }],
+      });
+      prisma.creditNote.findFirst.mockResolvedValue(null);
+
+      const note = await creditNoteService.createNote('seller_1', 'order_1', { returnId: 'ret_1' });
+
+      expect(note.reasonCode).toBe('SALES_RETURN');
+      expect(note.taxableValue).toBe(350);
+      expect(note.items.create[0].quantity).toBe(35);
+    });
+  });
+
+  describe('buildNotePayload', () => {
+    it('should reference the original invoice with document type CRN', () => {
+      const payload = eInvoiceService.buildNotePayload({
+        noteType: 'CREDIT',
+        noteNumber: 'CN/24-25/000001',
+        issuedAt: new Date('2024-07-01'),
+        reasonCode: 'SALES_RETURN',
+        originalInvoiceNumber: 'INV-2024-000001',
+        originalInvoiceDate: new Date('2024-06-01'),
+        sellerGstin: '27AAAAA0000A1Z5',
+        buyerGstin: '29BBBBB0000B1Z5',
+        seller: { businessName: 'Seller', state: 'Maharashtra' },
+        buyer: { businessName: 'Buyer', state: 'Karnataka' },
+        taxableValue: '100.00',
+        cgstAmount: '0',
+        sgstAmount: '0',
+        igstAmount: '18.00',
+        totalValue: '118.00',
+        items: [],
+      });
+
+      expect(payload.DocDtls.Typ).toBe('CRN');
+      expect(payload.RefDtls.PrecDocDtls[0].InvNo).toBe('INV-2024-000001');
+      expect(payload.ValDtls.IgstVal).toBe(18);
+    });
+  });
+
+  describe('cancelNote', () => {
+    const irnNote = (ackDate) => ({
+      id: 'cn_1', noteNumber: 'CN/24-25/000001', sellerId: 'seller_1', buyerId: 'buyer_1',
+      status: 'ISSUED', irn: 'IRN123', ackDate, items: [],
+    });
+
+    beforeEach(() => {
+      prisma.creditNote.update.mockImplementation(({ data }) => ({ id: 'cn_1', ...data }));
+    });
+
+    it('should cancel the IRN at the IRP before cancelling the note', async () => {
+      prisma.creditNote.findUnique.mockResolvedValue(irnNote(new Date()));
+      const cancelIrn = jest.spyOn(eInvoiceService, 'cancelNoteEInvoice');
+
+      const result = await creditNoteService.cancelNote('cn_1', 'seller_1', 'Wrong rate');
+
+      expect(cancelIrn).toHaveBeenCalledWith(expect.objectContaining({ irn: 'IRN123' }), 'Wrong rate');
+      expect(result.status).toBe('CANCELLED');
+      cancelIrn.mockRestore();
+    });
+
+    it('should keep the note live when the IRP refuses the cancellation', async () => {
+      prisma.creditNote.findUnique.mockResolvedValue(irnNote(new Date()));
+      const cancelIrn = jest.spyOn(eInvoiceService, 'cancelNoteEInvoice').mockRejectedValue(new Error('IRP unavailable'));
+
+      await expect(creditNoteService.cancelNote('cn_1', 'seller_1', 'Wrong rate')).rejects.toThrow('IRP unavailable');
+
+      expect(prisma.creditNote.update).not.toHaveBeenCalled();
+      cancelIrn.mockRestore();
+    });
+
+    it('should void the note\'s TCS reversal while it is still withheld', async () => {
+      prisma.creditNote.findUnique.mockResolvedValue({ ...irnNote(null), irn: null });
+      prisma.statutoryDeduction.findUnique.mockResolvedValue({ id: 'sd_cn', reference: 'CN:cn_1', status: 'WITHHELD' });
+
+      await creditNoteService.cancelNote('cn_1', 'seller_1', 'Raised in error');
+
+      expect(prisma.statutoryDeduction.findUnique).toHaveBeenCalledWith({
+        where: { type_reference: { type: 'TCS', reference: 'CN:cn_1' } },
+      });
+      expect(prisma.statutoryDeduction.delete).toHaveBeenCalledWith({ where: { id: 'sd_cn' } });
+      expect(prisma.statutoryDeduction.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should offset a TCS reversal already filed instead of deleting it', async () => {
+      prisma.creditNote.findUnique.mockResolvedValue({ ...irnNote(null), irn: null });
+      prisma.statutoryDeduction.findUnique.mockResolvedValue({
+        id: 'sd_cn', reference: 'CN:cn_1', status: 'DEPOSITED', orderId: 'order_1', sellerId: 'seller_1',
+        sellerName: 'Bolt Works', baseAmount: '-100.00', rate: '1.00', amount: '-1.00',
+        igstAmount: '0', cgstAmount: '-0.50', sgstAmount: '-0.50',
+      });
+      prisma.statutoryDeduction.upsert.mockImplementation(({ create }) => ({ id: 'sd_offset', ...create }));
+
+      await creditNoteService.cancelNote('cn_1', 'seller_1', 'Raised in error');
+
+      expect(prisma.statutoryDeduction.delete).not.toHaveBeenCalled();
+      expect(prisma.statutoryDeduction.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { type_reference: { type: 'TCS', reference: 'CN-CANCEL:cn_1' } },
+        create: expect.objectContaining({ creditNoteId: 'cn_1', baseAmount: 100, amount: 1, cgstAmount: 0.5 }),
+      }));
+    });
+
+    it('should refuse once the IRP cancellation window has passed', async () => {
+      prisma.creditNote.findUnique.mockResolvedValue(irnNote(new Date(Date.now() - 25 * 60 * 60 * 1000)));
+
+      await expect(creditNoteService.cancelNote('cn_1', 'seller_1', 'Wrong rate'))
+        .rejects.toThrow('within 24 hours');
+      expect(prisma.creditNote.update).not.toHaveBeenCalled();
+    });
+  });
+});
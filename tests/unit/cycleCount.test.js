@@ -0,0 +1,468 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - CYCLE COUNT UNIT TESTS
+// Tests for ABC classification, count sheets, blind counts, variance at cost,
+// approval of large adjustments and the inventory accuracy report
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {},
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn(), del: jest.fn() },
+  inventory: { setStock: jest.fn() },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/notification.service', () => ({
+  notifyBusinessUsers: jest.fn(),
+}));
+
+jest.mock('../../src/services/socket.service', () => ({
+  emitToBusiness: jest.fn(),
+}));
+
+jest.mock('../../src/services/approval.service', () => ({
+  APPROVAL_TYPE: { INVENTORY_ADJUSTMENT: 'INVENTORY_ADJUSTMENT' },
+  createApprovalRequest: jest.fn(),
+}));
+
+const { prisma } = require('../../src/config/database');
+const approvalService = require('../../src/services/approval.service');
+const cycleCountService = require('../../src/services/cycleCount.service');
+const { BadRequestError, ConflictError } = require('../../src/utils/errors');
+const { createMemoryPrisma } = require('../helpers/memoryPrisma');
+
+// =============================================================================
+// IN-MEMORY STORE
+// =============================================================================
+
+const byId = (model, field) => (row, rowsOf) => rowsOf(model).find((target) => target.id === row[field]);
+const childrenOf = (model, field) => (row, rowsOf) => rowsOf(model).filter((child) => child[field] === row.id);
+
+const { rowsOf, insert, install, reset } = createMemoryPrisma({
+  relations: {
+    cycleCountPlan: { items: childrenOf('cycleCountItem', 'planId') },
+    cycleCount: { lines: childrenOf('cycleCountLine', 'countId'), warehouse: byId('warehouse', 'warehouseId') },
+    cycleCountLine: { count: byId('cycleCount', 'countId') },
+    warehouseInventory: { variant: byId('productVariant', 'variantId'), warehouse: byId('warehouse', 'warehouseId') },
+    binStock: { variant: byId('productVariant', 'variantId') },
+    inventoryLot: { warehouse: byId('warehouse', 'warehouseId') },
+    productVariant: { product: byId('product', 'productId') },
+    orderItem: { order: byId('order', 'orderId') },
+  },
+  targets: {
+    items: 'cycleCountItem', lines: 'cycleCountLine', count: 'cycleCount', variant: 'productVariant',
+  },
+  defaults: {
+    cycleCountPlan: () => ({
+      countBy: 'BIN', blindCount: true, classAShare: 80, classBShare: 95, classAFrequencyDays: 30,
+      classBFrequencyDays: 90, classCFrequencyDays: 180, maxLinesPerSheet: 50, approvalThreshold: 10000,
+      isActive: true, lastClassifiedAt: null,
+    }),
+    cycleCountItem: () => ({ lastCountedAt: null }),
+    cycleCount: () => ({ status: 'OPEN', planId: null, binId: null, approvalRequestId: null }),
+    cycleCountLine: () => ({
+      lotNumber: '', countedQuantity: null, varianceQuantity: null, varianceValue: null, reasonCode: null, notes: null,
+    }),
+    binStock: () => ({ lotNumber: '' }),
+    inventoryLot: () => ({ reservedQuantity: 0, receivedQuantity: 0, status: 'AVAILABLE', expiryDate: null }),
+    warehouseInventory: () => ({ reservedQuantity: 0 }),
+  },
+});
+
+install(prisma, ['warehouse', 'warehouseBin', 'binStock', 'warehouseInventory', 'inventoryLot', 'product',
+  'productVariant', 'order', 'orderItem', 'cycleCountPlan', 'cycleCountItem', 'cycleCount', 'cycleCountLine',
+  'inventoryLog']);
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const BUSINESS = 'seller_1';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const seed = () => {
+  reset();
+  insert('warehouse', { id: 'wh_1', businessId: BUSINESS, code: 'MUM', name: 'Mumbai DC', status: 'ACTIVE' });
+  insert('product', { id: 'prod_motor', businessId: BUSINESS, name: 'Servo Motor', lotTracked: false });
+  insert('product', { id: 'prod_bolt', businessId: BUSINESS, name: 'Hex Bolt', lotTracked: false });
+  insert('product', { id: 'prod_nut', businessId: BUSINESS, name: 'Hex Nut', lotTracked: false });
+  insert('product', { id: 'prod_syrup', businessId: BUSINESS, name: 'Cough Syrup', lotTracked: true });
+  insert('productVariant', { id: 'var_motor', productId: 'prod_motor', sku: 'MTR-1', costPrice: '2000.00', basePrice: '2600.00' });
+  insert('productVariant', { id: 'var_bolt', productId: 'prod_bolt', sku: 'BLT-M8', costPrice: '5.00', basePrice: '8.00' });
+  insert('productVariant', { id: 'var_nut', productId: 'prod_nut', sku: 'NUT-M8', costPrice: null, basePrice: '2.00' });
+  insert('productVariant', { id: 'var_syrup', productId: 'prod_syrup', sku: 'SYR-100', costPrice: '40.00', basePrice: '60.00' });
+  insert('warehouseBin', { id: 'bin_a1', warehouseId: 'wh_1', code: 'A-01', barcode: 'MUM-A-01', isActive: true });
+  insert('warehouseBin', { id: 'bin_a2', warehouseId: 'wh_1', code: 'A-02', barcode: 'MUM-A-02', isActive: true });
+};
+
+const onHand = (variantId, quantity, reservedQuantity = 0) => insert('warehouseInventory', {
+  warehouseId: 'wh_1', variantId, quantity, reservedQuantity,
+});
+
+const shelve = (binId, variantId, quantity, lotNumber = '') => insert('binStock', { binId, variantId, lotNumber, quantity });
+
+const shipped = (variantId, quantity, { status = 'DELIVERED', daysAgo = 30 } = {}) => {
+  const order = insert('order', {
+    sellerId: BUSINESS, status, createdAt: new Date(Date.now() - daysAgo * DAY_MS),
+  });
+  insert('orderItem', { orderId: order.id, variantId, quantity });
+};
+
+const binQty = (binId, variantId, lotNumber = '') => rowsOf('binStock')
+  .find((row) => row.binId === binId && row.variantId === variantId && row.lotNumber === lotNumber)?.quantity;
+
+const whQty = (variantId) => rowsOf('warehouseInventory').find((row) => row.variantId === variantId)?.quantity;
+
+const item = (variantId) => rowsOf('cycleCountItem').find((row) => row.variantId === variantId);
+
+const lineFor = (sheet, variantId) => sheet.lines.find((line) => line.variantId === variantId);
+
+/**
+ * Open a bin sheet for A-01 and count every line at the given quantities
+ */
+const countBinA1 = async (quantities) => {
+  const { counts } = await cycleCountService.createCountSheets(BUSINESS, 'wh_1', { scope: 'BIN', binIds: ['bin_a1'] }, 'counter_1');
+  const sheet = await cycleCountService.getCountSheet(BUSINESS, counts[0].id);
+  await cycleCountService.recordCounts(BUSINESS, sheet.id, {
+    entries: sheet.lines.map((line) => ({ lineId: line.id, countedQuantity: quantities[line.variantId] })),
+  }, 'counter_1');
+  return sheet;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  seed();
+});
+
+// =============================================================================
+// ABC CLASSIFICATION
+// =============================================================================
+
+describe('CycleCountService - classification', () => {
+  it('splits SKUs A/B/C by annual consumption value at cost', async () => {
+    onHand('var_motor', 10);
+    onHand('var_bolt', 500);
+    onHand('var_nut', 900);
+    onHand('var_syrup', 0);
+    shipped('var_motor', 4); // 8000
+    shipped('var_bolt', 300); // 1500
+    shipped('var_nut', 250); // 500 at list price: no cost recorded
+    shipped('var_syrup', 50, { status: 'CANCELLED' });
+    shipped('var_bolt', 1000, { daysAgo: 400 });
+
+    const { classification } = await cycleCountService.createPlan(BUSINESS, 'wh_1', {}, 'manager_1');
+
+    expect(classification).toEqual({ A: 1, B: 1, C: 2, totalUsageValue: 10000 });
+    expect(item('var_motor')).toMatchObject({ abcClass: 'A', annualUsageValue: 8000 });
+    expect(item('var_bolt').abcClass).toBe('B');
+    expect(item('var_nut')).toMatchObject({ abcClass: 'C', annualUsageValue: 500 });
+    expect(item('var_syrup')).toMatchObject({ abcClass: 'C', annualUsageValue: 0 });
+    expect(item('var_motor').nextCountDue.getTime()).toBeLessThanOrEqual(Date.now());
+  });
+
+  it('reschedules counted SKUs from their last count when their class changes', async () => {
+    onHand('var_motor', 10);
+    onHand('var_bolt', 500);
+    const { plan } = await cycleCountService.createPlan(BUSINESS, 'wh_1', {}, 'manager_1');
+    const lastCountedAt = new Date(Date.now() - 10 * DAY_MS);
+    item('var_bolt').lastCountedAt = lastCountedAt;
+
+    shipped('var_bolt', 100);
+    await cycleCountService.classifyItems(plan.id);
+
+    expect(item('var_bolt').abcClass).toBe('A');
+    expect(item('var_bolt').nextCountDue).toEqual(new Date(lastCountedAt.getTime() + 30 * DAY_MS));
+  });
+
+  it('allows one plan per warehouse with class A below class B', async () => {
+    await expect(cycleCountService.createPlan(BUSINESS, 'wh_1', { classAShare: 95, classBShare: 90 }, 'manager_1'))
+      .rejects.toThrow(BadRequestError);
+
+    await cycleCountService.createPlan(BUSINESS, 'wh_1', {}, 'manager_1');
+    await expect(cycleCountService.createPlan(BUSINESS, 'wh_1', {}, 'manager_1')).rejects.toThrow(ConflictError);
+  });
+});
+
+// =============================================================================
+// COUNT SHEETS
+// =============================================================================
+
+describe('CycleCountService - count sheets', () => {
+  beforeEach(() => {
+    onHand('var_motor', 12);
+    onHand('var_bolt', 500);
+    shelve('bin_a1', 'var_motor', 12);
+    shelve('bin_a1', 'var_bolt', 200);
+    shelve('bin_a2', 'var_bolt', 300);
+  });
+
+  it('opens one sheet per bin and hides expected quantities on blind sheets', async () => {
+    const { counts } = await cycleCountService.createCountSheets(BUSINESS, 'wh_1', { scope: 'BIN' }, 'manager_1');
+
+    expect(counts.map((count) => [count.binId, count.lineCount])).toEqual([['bin_a1', 2], ['bin_a2', 1]]);
+    expect(counts[0].countNumber).toMatch(/^CC-\d{4}-000001$/);
+
+    const sheet = await cycleCountService.getCountSheet(BUSINESS, counts[0].id);
+    expect(sheet.lines.map((line) => [line.binCode, line.sku])).toEqual([['A-01', 'BLT-M8'], ['A-01', 'MTR-1']]);
+    expect(sheet.lines[0].expectedQuantity).toBeUndefined();
+    expect(sheet.progress).toEqual({ counted: 0, total: 2 });
+  });
+
+  it('never puts a SKU on two open sheets', async () => {
+    await cycleCountService.createCountSheets(BUSINESS, 'wh_1', { scope: 'BIN', binIds: ['bin_a2'] }, 'manager_1');
+
+    const { counts, skipped } = await cycleCountService.createCountSheets(BUSINESS, 'wh_1', { scope: 'BIN' }, 'manager_1');
+    expect(counts).toHaveLength(1);
+    expect(rowsOf('cycleCountLine').filter((line) => line.countId === counts[0].id).map((line) => line.variantId))
+      .toEqual(['var_motor']);
+    expect(skipped).toEqual(['var_bolt']);
+
+    await expect(cycleCountService.createCountSheets(BUSINESS, 'wh_1', { scope: 'WAREHOUSE' }, 'manager_1'))
+      .rejects.toThrow(ConflictError);
+  });
+
+  it('refuses to submit until every line is counted', async () => {
+    const { counts } = await cycleCountService.createCountSheets(BUSINESS, 'wh_1', { scope: 'BIN', binIds: ['bin_a1'] }, 'c1');
+    const sheet = await cycleCountService.getCountSheet(BUSINESS, counts[0].id);
+    await cycleCountService.recordCounts(BUSINESS, sheet.id, { entries: [{ lineId: sheet.lines[0].id, countedQuantity: 200 }] }, 'c1');
+
+    await expect(cycleCountService.submitCount(BUSINESS, sheet.id, 'c1')).rejects.toThrow('1 lines have not been counted');
+  });
+});
+
+// =============================================================================
+// VARIANCE & POSTING
+// =============================================================================
+
+describe('CycleCountService - posting', () => {
+  beforeEach(async () => {
+    onHand('var_motor', 12);
+    onHand('var_bolt', 500);
+    shelve('bin_a1', 'var_motor', 12);
+    shelve('bin_a1', 'var_bolt', 200);
+    shipped('var_motor', 5);
+    await cycleCountService.createPlan(BUSINESS, 'wh_1', { approvalThreshold: 1000 }, 'manager_1');
+  });
+
+  it('posts variance under the threshold to bins, warehouse stock and the inventory log', async () => {
+    const sheet = await countBinA1({ var_motor: 12, var_bolt: 190 });
+    await cycleCountService.recordCounts(BUSINESS, sheet.id, {
+      entries: [{ lineId: lineFor(sheet, 'var_bolt').id, countedQuantity: 190, reasonCode: 'DAMAGED', notes: 'Crushed box' }],
+    }, 'counter_1');
+
+    const result = await cycleCountService.submitCount(BUSINESS, sheet.id, 'counter_1');
+
+    expect(result.status).toBe('POSTED');
+    expect(result).toMatchObject({ netVarianceValue: -50, absoluteVarianceValue: 50 });
+    expect(lineFor(result, 'var_bolt')).toMatchObject({ expectedQuantity: 200, varianceQuantity: -10, varianceValue: -50 });
+    expect(binQty('bin_a1', 'var_bolt')).toBe(190);
+    expect(whQty('var_bolt')).toBe(490);
+    expect(rowsOf('productVariant').find((variant) => variant.id === 'var_bolt').stockQuantity).toBe(490);
+    expect(rowsOf('inventoryLog')).toEqual([expect.objectContaining({
+      variantId: 'var_bolt', type: 'adjustment', quantity: -10, previousQty: 500, newQty: 490,
+      reason: `Cycle count ${sheet.countNumber}: Crushed box`, reasonCode: 'DAMAGED', reference: sheet.id,
+    })]);
+    expect(approvalService.createApprovalRequest).not.toHaveBeenCalled();
+
+    // Counted SKUs restart their cycle at their class frequency
+    expect(item('var_motor').lastCountedAt).toBeInstanceOf(Date);
+    expect(item('var_motor').nextCountDue.getTime() - item('var_motor').lastCountedAt.getTime()).toBe(30 * DAY_MS);
+  });
+
+  it('does not report stock that moved while the sheet was open as variance', async () => {
+    const sheet = await countBinA1({ var_motor: 10, var_bolt: 200 });
+    // Two motors picked after they were counted
+    rowsOf('binStock').find((row) => row.variantId === 'var_motor').quantity = 10;
+
+    const result = await cycleCountService.submitCount(BUSINESS, sheet.id, 'counter_1');
+
+    expect(result.absoluteVarianceValue).toBe(0);
+    expect(rowsOf('inventoryLog')).toHaveLength(0);
+  });
+
+  it('routes variance above the threshold through approval before touching stock', async () => {
+    approvalService.createApprovalRequest.mockResolvedValue({ id: 'apr_1' });
+    const sheet = await countBinA1({ var_motor: 11, var_bolt: 200 });
+
+    const result = await cycleCountService.submitCount(BUSINESS, sheet.id, 'counter_1');
+
+    expect(result).toMatchObject({ status: 'PENDING_APPROVAL', approvalRequestId: 'apr_1', absoluteVarianceValue: 2000 });
+    expect(approvalService.createApprovalRequest).toHaveBeenCalledWith('counter_1', BUSINESS, expect.objectContaining({
+      type: 'INVENTORY_ADJUSTMENT', referenceType: 'CYCLE_COUNT', referenceId: sheet.id, amount: 2000,
+      context: { warehouseId: 'wh_1' },
+    }));
+    expect(binQty('bin_a1', 'var_motor')).toBe(12);
+
+    await cycleCountService.applyApprovalDecision(sheet.id, 'APPROVED', { approverId: 'manager_1' });
+
+    expect(binQty('bin_a1', 'var_motor')).toBe(11);
+    expect(whQty('var_motor')).toBe(11);
+    expect(rowsOf('inventoryLog')[0]).toMatchObject({ reasonCode: 'COUNT_VARIANCE', createdBy: 'manager_1' });
+    expect(rowsOf('cycleCount')[0]).toMatchObject({ status: 'POSTED', postedById: 'manager_1' });
+  });
+
+  it('adjusts stock once when the same approved count is posted twice', async () => {
+    approvalService.createApprovalRequest.mockResolvedValue({ id: 'apr_1' });
+    const sheet = await countBinA1({ var_motor: 11, var_bolt: 200 });
+    await cycleCountService.submitCount(BUSINESS, sheet.id, 'counter_1');
+
+    const results = await Promise.allSettled([
+      cycleCountService.applyApprovalDecision(sheet.id, 'APPROVED', { approverId: 'manager_1' }),
+      cycleCountService.applyApprovalDecision(sheet.id, 'APPROVED', { approverId: 'manager_2' }),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find((result) => result.status === 'rejected').reason).toBeInstanceOf(ConflictError);
+    expect(binQty('bin_a1', 'var_motor')).toBe(11);
+    expect(rowsOf('inventoryLog')).toHaveLength(1);
+  });
+
+  it('reopens the count when the approval request cannot be raised', async () => {
+    approvalService.createApprovalRequest.mockRejectedValue(new Error('No approval policy matches'));
+    const sheet = await countBinA1({ var_motor: 11, var_bolt: 200 });
+
+    await expect(cycleCountService.submitCount(BUSINESS, sheet.id, 'counter_1')).rejects.toThrow('No approval policy');
+
+    expect(rowsOf('cycleCount')[0]).toMatchObject({ status: 'OPEN', approvalRequestId: null });
+  });
+
+  it('leaves stock alone and queues a recount when the adjustment is rejected', async () => {
+    approvalService.createApprovalRequest.mockResolvedValue({ id: 'apr_1' });
+    const sheet = await countBinA1({ var_motor: 11, var_bolt: 200 });
+    await cycleCountService.submitCount(BUSINESS, sheet.id, 'counter_1');
+    item('var_motor').nextCountDue = new Date(Date.now() + 10 * DAY_MS);
+
+    await cycleCountService.applyApprovalDecision(sheet.id, 'REJECTED', { approverId: 'manager_1', reason: 'Recount' });
+
+    expect(rowsOf('cycleCount')[0]).toMatchObject({ status: 'REJECTED', rejectionReason: 'Recount' });
+    expect(binQty('bin_a1', 'var_motor')).toBe(12);
+    expect(item('var_motor').nextCountDue.getTime()).toBeLessThanOrEqual(Date.now());
+    expect(await cycleCountService.applyApprovalDecision(sheet.id, 'APPROVED', {})).toBeNull();
+  });
+
+  it('books stock found in a bin that was not on the sheet', async () => {
+    const sheet = await countBinA1({ var_motor: 12, var_bolt: 200 });
+    await cycleCountService.recordCounts(BUSINESS, sheet.id, {
+      entries: [{ variantId: 'var_nut', countedQuantity: 40 }],
+    }, 'counter_1');
+
+    await cycleCountService.submitCount(BUSINESS, sheet.id, 'counter_1');
+
+    expect(binQty('bin_a1', 'var_nut')).toBe(40);
+    expect(whQty('var_nut')).toBe(40);
+    expect(rowsOf('inventoryLog')[0]).toMatchObject({ variantId: 'var_nut', quantity: 40, reasonCode: 'FOUND' });
+  });
+});
+
+// =============================================================================
+// LOT-TRACKED STOCK
+// =============================================================================
+
+describe('CycleCountService - lots', () => {
+  beforeEach(() => {
+    onHand('var_syrup', 80);
+    insert('inventoryLot', {
+      id: 'lot_a', businessId: BUSINESS, warehouseId: 'wh_1', variantId: 'var_syrup', lotNumber: 'A1', quantity: 50,
+      unitCost: '35.00',
+    });
+    insert('inventoryLot', {
+      id: 'lot_b', businessId: BUSINESS, warehouseId: 'wh_1', variantId: 'var_syrup', lotNumber: 'B2', quantity: 30,
+    });
+  });
+
+  it('counts warehouse stock per lot, valuing each at its own cost', async () => {
+    const { counts } = await cycleCountService.createCountSheets(BUSINESS, 'wh_1', { scope: 'WAREHOUSE' }, 'c1');
+    const sheet = await cycleCountService.getCountSheet(BUSINESS, counts[0].id);
+    expect(sheet.lines.map((line) => [line.lotNumber, line.unitCost])).toEqual([['A1', 35], ['B2', 40]]);
+
+    await cycleCountService.recordCounts(BUSINESS, sheet.id, {
+      entries: [
+        { lineId: lineFor(sheet, 'var_syrup').id, countedQuantity: 0, reasonCode: 'EXPIRED' },
+        { lineId: sheet.lines[1].id, countedQuantity: 31 },
+      ],
+    }, 'c1');
+    const result = await cycleCountService.submitCount(BUSINESS, sheet.id, 'c1');
+
+    expect(result).toMatchObject({ status: 'POSTED', netVarianceValue: -1710, absoluteVarianceValue: 1790 });
+    expect(rowsOf('inventoryLot').map((lot) => [lot.lotNumber, lot.quantity, lot.status]))
+      .toEqual([['A1', 0, 'DEPLETED'], ['B2', 31, 'AVAILABLE']]);
+    expect(whQty('var_syrup')).toBe(31);
+    expect(rowsOf('inventoryLog').map((log) => log.reasonCode)).toEqual(['EXPIRED', 'COUNT_VARIANCE']);
+  });
+
+  it('needs the lot of lot-tracked stock found on the shelf', async () => {
+    const { counts } = await cycleCountService.createCountSheets(BUSINESS, 'wh_1', { scope: 'WAREHOUSE' }, 'c1');
+    insert('productVariant', { id: 'var_syrup_2', productId: 'prod_syrup', sku: 'SYR-200', costPrice: '70.00' });
+
+    await expect(cycleCountService.recordCounts(BUSINESS, counts[0].id, {
+      entries: [{ variantId: 'var_syrup_2', countedQuantity: 5 }],
+    }, 'c1')).rejects.toThrow('Name the lot of SYR-200 found on the shelf');
+  });
+});
+
+// =============================================================================
+// SCHEDULING
+// =============================================================================
+
+describe('CycleCountService - scheduling', () => {
+  it('opens sheets for due SKUs only and defers due SKUs with nothing on hand', async () => {
+    onHand('var_motor', 12);
+    onHand('var_bolt', 500);
+    onHand('var_nut', 0);
+    shelve('bin_a1', 'var_motor', 12);
+    shelve('bin_a2', 'var_bolt', 500);
+    const { plan } = await cycleCountService.createPlan(BUSINESS, 'wh_1', {}, 'manager_1');
+    item('var_bolt').nextCountDue = new Date(Date.now() + 5 * DAY_MS);
+
+    const result = await cycleCountService.generateDueCounts(plan.id, { userId: 'manager_1' });
+
+    expect(result).toMatchObject({ skipped: 0, deferred: 1 });
+    expect(result.counts.map((count) => [count.binId, count.planId, count.blindCount])).toEqual([['bin_a1', plan.id, true]]);
+    expect(item('var_nut').nextCountDue.getTime()).toBeGreaterThan(Date.now() + 179 * DAY_MS);
+
+    // Already on an open sheet
+    expect((await cycleCountService.generateDueCounts(plan.id)).counts).toHaveLength(0);
+  });
+});
+
+// =============================================================================
+// ACCURACY REPORT
+// =============================================================================
+
+describe('CycleCountService - accuracy report', () => {
+  it('reports line and value accuracy per warehouse, by ABC class and reason', async () => {
+    const count = insert('cycleCount', {
+      businessId: BUSINESS, warehouseId: 'wh_1', countNumber: 'CC-1', status: 'POSTED', postedAt: new Date(),
+    });
+    const line = (variantId, abcClass, expectedQuantity, varianceQuantity, unitCost, reasonCode = null) => insert(
+      'cycleCountLine',
+      {
+        countId: count.id, variantId, abcClass, expectedQuantity, varianceQuantity, unitCost,
+        varianceValue: varianceQuantity * unitCost, reasonCode,
+      },
+    );
+    line('var_motor', 'A', 10, 0, 2000);
+    line('var_bolt', 'B', 200, -4, 5, 'DAMAGED');
+    line('var_nut', 'C', 100, 1, 2, 'COUNT_VARIANCE');
+    line('var_syrup', 'A', 50, -10, 40, 'DAMAGED');
+
+    const report = await cycleCountService.getAccuracyReport(BUSINESS, { tolerancePercent: 2 });
+    const [warehouse] = report.warehouses;
+
+    expect(warehouse).toMatchObject({
+      counts: 1, lines: 4, accurateLines: 3, accuracyPercent: 75,
+      expectedValue: 23200, absoluteVarianceValue: 422, netVarianceValue: -418, valueAccuracyPercent: 98.18,
+    });
+    expect(warehouse.byClass.A).toEqual({ lines: 2, accurateLines: 1, accuracyPercent: 50 });
+    expect(warehouse.byReason.DAMAGED).toEqual({ lines: 2, units: -14, value: -420 });
+  });
+});
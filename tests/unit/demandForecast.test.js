@@ -0,0 +1,405 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - DEMAND FORECAST UNIT TESTS
+// Tests for the forecasting models, seasonality, safety stock / reorder point
+// / EOQ, replenishment suggestions, their conversion into requisitions and
+// transfers, and the MAPE accuracy report
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {},
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn(), del: jest.fn() },
+  inventory: { setStock: jest.fn() },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/notification.service', () => ({
+  notifyBusinessUsers: jest.fn(),
+}));
+
+jest.mock('../../src/services/socket.service', () => ({
+  emitToBusiness: jest.fn(),
+}));
+
+jest.mock('../../src/services/purchaseRequisition.service', () => ({
+  createRequisition: jest.fn(),
+}));
+
+const { prisma } = require('../../src/config/database');
+const purchaseRequisitionService = require('../../src/services/purchaseRequisition.service');
+const demandForecastService = require('../../src/services/demandForecast.service');
+const { movingAverage, exponentialSmoothing, linearTrend } = require('../../src/utils/statistics');
+const { BadRequestError, ConflictError } = require('../../src/utils/errors');
+const { createMemoryPrisma } = require('../helpers/memoryPrisma');
+
+// =============================================================================
+// IN-MEMORY STORE
+// =============================================================================
+
+const byId = (model, field) => (row, rowsOf) => rowsOf(model).find((target) => target.id === row[field]);
+
+const { rowsOf, insert, install, reset } = createMemoryPrisma({
+  relations: {
+    orderItem: { order: byId('order', 'orderId') },
+    warehouseInventory: { variant: byId('productVariant', 'variantId'), warehouse: byId('warehouse', 'warehouseId') },
+    productVariant: { product: byId('product', 'productId') },
+    demandForecast: { warehouse: byId('warehouse', 'warehouseId') },
+    replenishmentSuggestion: { warehouse: byId('warehouse', 'warehouseId') },
+  },
+  targets: { variant: 'productVariant' },
+  defaults: {
+    warehouseInventory: () => ({ reservedQuantity: 0, inTransitQuantity: 0, reorderPoint: 10, reorderQuantity: 50 }),
+    demandForecast: () => ({ evaluatedAt: null, actualQuantity: null, absolutePercentError: null }),
+    replenishmentSuggestion: () => ({
+      status: 'OPEN', sourceWarehouseId: null, requisitionId: null, transferId: null, convertedQuantity: null,
+    }),
+  },
+});
+
+install(prisma, ['business', 'warehouse', 'warehouseInventory', 'inventoryLot', 'product', 'productVariant', 'order',
+  'orderItem', 'packingCarton', 'inventoryTransfer', 'inventoryLog', 'replenishmentPolicy', 'demandForecast',
+  'replenishmentSuggestion']);
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const BUSINESS = 'seller_1';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-06-15T10:00:00Z');
+const TODAY = new Date('2026-06-15T00:00:00Z');
+
+const daysAgo = (days) => new Date(TODAY.getTime() - days * DAY_MS + 12 * 60 * 60 * 1000);
+
+const seed = (policy = {}) => {
+  reset();
+  insert('warehouse', { id: 'wh_mum', businessId: BUSINESS, name: 'Mumbai DC', status: 'ACTIVE', isDefault: true });
+  insert('warehouse', { id: 'wh_pune', businessId: BUSINESS, name: 'Pune DC', status: 'ACTIVE', isDefault: false });
+  insert('product', { id: 'prod_motor', businessId: BUSINESS, name: 'Servo Motor', lotTracked: false });
+  insert('productVariant', {
+    id: 'var_motor', productId: 'prod_motor', sku: 'MTR-1', costPrice: '2000.00', basePrice: '2600.00',
+  });
+  insert('replenishmentPolicy', {
+    businessId: BUSINESS, method: 'MOVING_AVERAGE', historyDays: 400, horizonDays: 30, weeklySeasonality: false,
+    annualSeasonality: false, serviceLevel: '0.95', leadTimeDays: 7, orderingCost: '500', holdingCostRate: '0.25',
+    updateReorderPoints: true, suggestTransfers: true, isActive: true, ...policy,
+  });
+};
+
+/**
+ * Pack `quantity` units a day out of a warehouse for the last `days` days
+ */
+const packDaily = (warehouseId, quantity, days) => {
+  for (let day = 1; day <= days; day++) {
+    insert('packingCarton', {
+      orderId: `ord_${warehouseId}_${day}`, warehouseId, cartonNumber: 1,
+      contents: [{ variantId: 'var_motor', quantity }], createdAt: daysAgo(day),
+    });
+  }
+};
+
+const stock = (warehouseId, quantity) => insert('warehouseInventory', { warehouseId, variantId: 'var_motor', quantity });
+
+const inv = (warehouseId) => rowsOf('warehouseInventory').find((row) => row.warehouseId === warehouseId);
+
+const openSuggestions = () => rowsOf('replenishmentSuggestion').filter((row) => row.status === 'OPEN');
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('Demand Forecasting', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    seed();
+  });
+
+  describe('time-series models', () => {
+    it('averages the most recent window', () => {
+      expect(movingAverage([100, 100, 4, 6, 8], 3)).toBe(6);
+    });
+
+    it('smooths across the whole series instead of repeating the last value', () => {
+      expect(exponentialSmoothing([10, 20], 0.5)).toBe(15);
+      expect(exponentialSmoothing([0, 0, 0, 30], 0.5)).toBe(15);
+    });
+
+    it('fits a least-squares line', () => {
+      expect(linearTrend([3, 5, 7, 9])).toEqual({ intercept: 3, slope: 2 });
+    });
+  });
+
+  describe('forecastDemand', () => {
+    const from = new Date('2026-01-05T00:00:00Z'); // A Monday
+    const settings = {
+      method: 'MOVING_AVERAGE', horizonDays: 7, weeklySeasonality: true, annualSeasonality: false,
+    };
+
+    it('puts the weekday pattern back on the forecast', () => {
+      // Eight weeks of 12 units on weekdays and nothing at weekends
+      const values = Array.from({ length: 56 }, (_, day) => (day % 7 < 5 ? 12 : 0));
+
+      const forecast = demandForecastService.forecastDemand(values, from, settings);
+
+      expect(forecast.daily.map(Math.round)).toEqual([12, 12, 12, 12, 12, 0, 0]);
+      expect(forecast.total).toBeCloseTo(60);
+    });
+
+    it('picks the model that did best on the latest period', () => {
+      const values = Array.from({ length: 120 }, (_, day) => 5 + day * 0.5);
+
+      const forecast = demandForecastService.forecastDemand(values, from, {
+        ...settings, method: 'AUTO', weeklySeasonality: false, horizonDays: 10,
+      });
+
+      expect(forecast.method).toBe('LINEAR_REGRESSION');
+      expect(forecast.daily[0]).toBeCloseTo(65);
+    });
+
+    it('scales the period by last year\'s seasonal lift', () => {
+      // Flat 10 a day, except the same 30 days last year sold double
+      const values = new Array(400).fill(10);
+      for (let day = 35; day < 65; day++) values[day] = 20;
+
+      const forecast = demandForecastService.forecastDemand(values, from, {
+        method: 'MOVING_AVERAGE', horizonDays: 30, weeklySeasonality: false, annualSeasonality: true,
+      });
+
+      expect(forecast.seasonalityIndex).toBe(2);
+      expect(forecast.total).toBeCloseTo(600);
+    });
+  });
+
+  describe('planStock', () => {
+    it('derives safety stock, reorder point and EOQ', () => {
+      const forecast = { daily: new Array(30).fill(10), total: 300, avgDailyDemand: 10, demandStdDev: 3 };
+
+      const plan = demandForecastService.planStock(forecast, {
+        serviceLevel: 0.95, leadTimeDays: 4, orderingCost: 500, holdingCostRate: 0.25,
+      }, 100);
+
+      // 1.645 x 3 x sqrt(4); 4 days of demand on top; sqrt(2 x 3650 x 500 / 25)
+      expect(plan).toEqual({ safetyStock: 10, reorderPoint: 50, economicOrderQuantity: 383 });
+    });
+  });
+
+  describe('runReplenishment', () => {
+    it('records the forecast and rewrites the reorder point and quantity', async () => {
+      packDaily('wh_mum', 10, 60);
+      stock('wh_mum', 500);
+
+      const result = await demandForecastService.runReplenishment(BUSINESS, NOW);
+
+      const [forecast] = rowsOf('demandForecast');
+      expect(forecast).toMatchObject({
+        warehouseId: 'wh_mum', method: 'MOVING_AVERAGE', periodStart: TODAY, forecastQuantity: 300, avgDailyDemand: 10,
+      });
+      expect(inv('wh_mum').reorderPoint).toBeGreaterThan(70);
+      expect(inv('wh_mum').reorderQuantity).toBe(86);
+      expect(result).toMatchObject({
+        forecasts: 1, reorderPointsUpdated: 1, suggestions: { purchase: 0, transfer: 0 },
+      });
+    });
+
+    it('suggests a purchase once the position falls to the reorder point', async () => {
+      packDaily('wh_mum', 10, 60);
+      stock('wh_mum', 20);
+
+      await demandForecastService.runReplenishment(BUSINESS, NOW);
+
+      expect(openSuggestions()).toEqual([expect.objectContaining({
+        warehouseId: 'wh_mum', source: 'PURCHASE', inventoryPosition: 20, economicOrderQuantity: 86, suggestedQuantity: 86,
+      })]);
+      const [suggestion] = openSuggestions();
+      expect(suggestion.reorderPoint).toBe(70 + suggestion.safetyStock);
+    });
+
+    it('suggests a transfer from a warehouse with surplus', async () => {
+      packDaily('wh_mum', 10, 60);
+      stock('wh_mum', 20);
+      stock('wh_pune', 500);
+
+      await demandForecastService.runReplenishment(BUSINESS, NOW);
+
+      expect(openSuggestions()).toEqual([expect.objectContaining({
+        warehouseId: 'wh_mum', source: 'TRANSFER', sourceWarehouseId: 'wh_pune',
+      })]);
+    });
+
+    it('counts units in transit towards the position', async () => {
+      packDaily('wh_mum', 10, 60);
+      insert('warehouseInventory', { warehouseId: 'wh_mum', variantId: 'var_motor', quantity: 20, inTransitQuantity: 200 });
+
+      await demandForecastService.runReplenishment(BUSINESS, NOW);
+
+      expect(openSuggestions()).toEqual([]);
+    });
+
+    it('takes orders shipped without packing from the default warehouse', async () => {
+      for (let day = 1; day <= 60; day++) {
+        const order = insert('order', { sellerId: BUSINESS, status: 'DELIVERED', createdAt: daysAgo(day) });
+        insert('orderItem', { orderId: order.id, variantId: 'var_motor', quantity: 10 });
+      }
+      stock('wh_mum', 20);
+
+      await demandForecastService.runReplenishment(BUSINESS, NOW);
+
+      expect(rowsOf('demandForecast')).toEqual([expect.objectContaining({ warehouseId: 'wh_mum', forecastQuantity: 300 })]);
+    });
+
+    it('supersedes open suggestions and treats converted purchases as on order', async () => {
+      packDaily('wh_mum', 10, 60);
+      stock('wh_mum', 20);
+      await demandForecastService.runReplenishment(BUSINESS, NOW);
+      const [first] = openSuggestions();
+
+      await demandForecastService.runReplenishment(BUSINESS, NOW);
+      expect(rowsOf('replenishmentSuggestion').find((row) => row.id === first.id).status).toBe('SUPERSEDED');
+
+      const [second] = openSuggestions();
+      purchaseRequisitionService.createRequisition.mockResolvedValue({ id: 'req_1' });
+      await demandForecastService.convertToRequisition(BUSINESS, { suggestions: [{ suggestionId: second.id }] }, 'buyer_1');
+
+      await demandForecastService.runReplenishment(BUSINESS, NOW);
+      expect(openSuggestions()).toEqual([]);
+    });
+
+    it('scores forecasts whose period has ended', async () => {
+      packDaily('wh_mum', 8, 60);
+      stock('wh_mum', 500);
+      insert('demandForecast', {
+        businessId: BUSINESS, warehouseId: 'wh_mum', variantId: 'var_motor', method: 'MOVING_AVERAGE',
+        periodStart: new Date(TODAY.getTime() - 40 * DAY_MS), periodEnd: new Date(TODAY.getTime() - 10 * DAY_MS),
+        forecastQuantity: '300',
+      });
+
+      const result = await demandForecastService.runReplenishment(BUSINESS, NOW);
+
+      expect(result.evaluated).toBe(1);
+      expect(rowsOf('demandForecast')[0]).toMatchObject({ actualQuantity: 240, absolutePercentError: 25, evaluatedAt: TODAY });
+    });
+  });
+
+  describe('converting suggestions', () => {
+    const suggest = (data = {}) => insert('replenishmentSuggestion', {
+      businessId: BUSINESS, warehouseId: 'wh_mum', variantId: 'var_motor', source: 'PURCHASE', leadTimeDays: 7,
+      suggestedQuantity: 80, unitCost: '2000.00', ...data,
+    });
+
+    it('raises a purchase requisition', async () => {
+      purchaseRequisitionService.createRequisition.mockResolvedValue({ id: 'req_1', requisitionNumber: 'PR-1' });
+      const suggestion = suggest();
+
+      const result = await demandForecastService.convertToRequisition(BUSINESS, {
+        suggestions: [{ suggestionId: suggestion.id, quantity: 100 }],
+      }, 'buyer_1');
+
+      expect(purchaseRequisitionService.createRequisition).toHaveBeenCalledWith('buyer_1', BUSINESS, expect.objectContaining({
+        items: [expect.objectContaining({
+          productId: 'prod_motor', quantity: 100, estimatedPrice: 2000,
+          description: 'Servo Motor (MTR-1) for Mumbai DC',
+        })],
+      }));
+      expect(result.suggestions[0]).toMatchObject({ status: 'CONVERTED', requisitionId: 'req_1', convertedQuantity: 100 });
+    });
+
+    it('raises a transfer from the suggested warehouse', async () => {
+      stock('wh_pune', 500);
+      const suggestion = suggest({ source: 'TRANSFER', sourceWarehouseId: 'wh_pune' });
+
+      const result = await demandForecastService.convertToTransfer(BUSINESS, {
+        suggestions: [{ suggestionId: suggestion.id }],
+      }, 'buyer_1');
+
+      expect(result.transfers).toEqual([expect.objectContaining({
+        fromWarehouseId: 'wh_pune', toWarehouseId: 'wh_mum', status: 'PENDING', items: [{ variantId: 'var_motor', quantity: 80 }],
+      })]);
+      expect(result.suggestions[0]).toMatchObject({ status: 'CONVERTED', transferId: result.transfers[0].id });
+    });
+
+    it('needs a source warehouse for a purchase suggestion sent as a transfer', async () => {
+      const suggestion = suggest();
+
+      await expect(demandForecastService.convertToTransfer(BUSINESS, {
+        suggestions: [{ suggestionId: suggestion.id }],
+      }, 'buyer_1')).rejects.toThrow(BadRequestError);
+    });
+
+    it('converts a suggestion named twice only once', async () => {
+      purchaseRequisitionService.createRequisition.mockResolvedValue({ id: 'req_1', requisitionNumber: 'PR-1' });
+      const suggestion = suggest();
+
+      const result = await demandForecastService.convertToRequisition(BUSINESS, {
+        suggestions: [{ suggestionId: suggestion.id, quantity: 100 }, { suggestionId: suggestion.id, quantity: 40 }],
+      }, 'buyer_1');
+
+      const [[, , requisition]] = purchaseRequisitionService.createRequisition.mock.calls;
+      expect(requisition.items).toEqual([expect.objectContaining({ quantity: 100 })]);
+      expect(result.suggestions).toHaveLength(1);
+    });
+
+    it('raises one requisition when the same suggestions are converted concurrently', async () => {
+      purchaseRequisitionService.createRequisition.mockResolvedValue({ id: 'req_1', requisitionNumber: 'PR-1' });
+      const suggestion = suggest();
+      const convert = () => demandForecastService.convertToRequisition(BUSINESS, {
+        suggestions: [{ suggestionId: suggestion.id }],
+      }, 'buyer_1');
+
+      const results = await Promise.allSettled([convert(), convert()]);
+
+      expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find((result) => result.status === 'rejected').reason).toBeInstanceOf(ConflictError);
+      expect(purchaseRequisitionService.createRequisition).toHaveBeenCalledTimes(1);
+    });
+
+    it('reopens suggestions when the requisition cannot be raised', async () => {
+      purchaseRequisitionService.createRequisition.mockRejectedValue(new BadRequestError('Budget exceeded'));
+      const suggestion = suggest();
+
+      await expect(demandForecastService.convertToRequisition(BUSINESS, {
+        suggestions: [{ suggestionId: suggestion.id }],
+      }, 'buyer_1')).rejects.toThrow('Budget exceeded');
+
+      expect(rowsOf('replenishmentSuggestion')[0]).toMatchObject({ status: 'OPEN', convertedById: null });
+    });
+
+    it('only converts open suggestions', async () => {
+      const suggestion = suggest({ status: 'DISMISSED' });
+
+      await expect(demandForecastService.convertToRequisition(BUSINESS, {
+        suggestions: [{ suggestionId: suggestion.id }],
+      }, 'buyer_1')).rejects.toThrow('is dismissed');
+    });
+  });
+
+  describe('getAccuracyReport', () => {
+    it('reports MAPE over periods that sold, and WAPE and bias over all of them', async () => {
+      const scored = (warehouseId, method, forecastQuantity, actualQuantity, absolutePercentError) => insert('demandForecast', {
+        businessId: BUSINESS, warehouseId, variantId: 'var_motor', method, periodStart: daysAgo(40), periodEnd: daysAgo(10),
+        forecastQuantity, actualQuantity, absolutePercentError, evaluatedAt: daysAgo(9),
+      });
+      scored('wh_mum', 'MOVING_AVERAGE', 120, 100, 20);
+      scored('wh_mum', 'LINEAR_REGRESSION', 60, 100, 40);
+      scored('wh_pune', 'MOVING_AVERAGE', 10, 0, null);
+
+      const report = await demandForecastService.getAccuracyReport(BUSINESS, { to: TODAY });
+
+      expect(report.overall).toEqual({ forecasts: 3, scored: 2, mape: 30, accuracy: 70, wape: 35, bias: -5 });
+      expect(report.byMethod).toEqual(expect.arrayContaining([
+        expect.objectContaining({ method: 'LINEAR_REGRESSION', mape: 40 }),
+      ]));
+      expect(report.byWarehouse).toEqual(expect.arrayContaining([
+        expect.objectContaining({ warehouseId: 'wh_pune', mape: null, scored: 0 }),
+      ]));
+    });
+  });
+});
@@ -0,0 +1,375 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - EDI UNIT TESTS
+// Tests for X12/EDIFACT translation, functional acks and outbound documents
+// =============================================================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ediDir = fs.mkdtempSync(path.join(os.tmpdir(), 'edi-test-'));
+process.env.EDI_LOCAL_DIR = ediDir;
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => {
+  let documentSeq = 0;
+  return {
+    prisma: {
+      ediPartner: {
+        findFirst: jest.fn(),
+        findUnique: jest.fn(),
+        update: jest.fn(),
+      },
+      ediDocument: {
+        create: jest.fn(({ data }) => {
+          documentSeq++;
+          return Promise.resolve({ id: `doc_${documentSeq}`, ...data });
+        }),
+        update: jest.fn(({ where, data }) => Promise.resolve({ id: where.id, ...data })),
+        updateMany: jest.fn(() => Promise.resolve({ count: 1 })),
+      },
+      ediOrderReference: {
+        findMany: jest.fn(),
+        findUnique: jest.fn(),
+        create: jest.fn(),
+      },
+      productVariant: { findUnique: jest.fn() },
+      businessAddress: { findMany: jest.fn() },
+      order: { findUnique: jest.fn() },
+    },
+  };
+});
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/order.service', () => ({
+  createOrder: jest.fn(),
+}));
+
+const ediService = require('../../src/services/edi.service');
+const edi = require('../../src/utils/edi');
+const { prisma } = require('../../src/config/database');
+const orderService = require('../../src/services/order.service');
+
+const x12Partner = {
+  id: 'partner_x12',
+  businessId: 'buyer_1',
+  code: 'ACME',
+  standard: 'X12',
+  interchangeQualifier: 'ZZ',
+  interchangeId: 'ACMEBUYER',
+  transport: 'LOCAL_DIR',
+  outboundDocuments: ['855', '856', '810'],
+  mappingRules: { partCrossReference: { 'ACME-77': 'NUT-M8' } },
+  sendFunctionalAck: true,
+  isActive: true,
+};
+
+const edifactPartner = {
+  ...x12Partner,
+  id: 'partner_edifact',
+  code: 'EUROCO',
+  standard: 'EDIFACT',
+  interchangeQualifier: '14',
+  interchangeId: '4012345000009',
+  outboundDocuments: ['ORDRSP', 'DESADV', 'INVOIC'],
+  mappingRules: { partCrossReference: { 'EU-1': 'BOLT-M8' }, unitConversions: { BX: 10 } },
+};
+
+const variants = {
+  'BOLT-M8': { id: 'var_bolt', sku: 'BOLT-M8', product: { businessId: 'seller_1' } },
+  'NUT-M8': { id: 'var_nut', sku: 'NUT-M8', product: { businessId: 'seller_2' } },
+};
+
+const purchaseOrder850 = (segmentCount = 12) => edi.buildX12({
+  sender: { qualifier: 'ZZ', id: 'ACMEBUYER' },
+  receiver: { qualifier: 'ZZ', id: 'AIRAVAT' },
+  controlNumber: 901,
+  groupControlNumber: 41,
+  functionalId: 'PO',
+  transactions: [{
+    type: '850',
+    controlNumber: 1,
+    segments: [
+      ['BEG', '00', 'SA', 'PO-5521', '', '20261015'],
+      ['CUR', 'BY', 'INR'],
+      ['N1', 'ST', 'Pune Plant', '92', 'PUNE01'],
+      ['N4', 'Pune', 'MH', '411001', 'IN'],
+      ['PO1', '1', '100', 'EA', '4.5', 'PE', 'VP', 'BOLT-M8'],
+      ['PID', 'F', '', '', '', 'Hex bolt M8'],
+      ['PO1', '2', '200', 'EA', '1.2', 'PE', 'BP', 'ACME-77'],
+      ['CTT', '2'],
+    ],
+  }],
+}).replace('SE*10*0001', `SE*${segmentCount - 2}*0001`);
+
+const addresses = [
+  { id: 'addr_hq', type: 'billing', pincode: '110001', isDefault: true },
+  { id: 'addr_pune', type: 'shipping', pincode: '411001', isDefault: false },
+];
+
+const outboundFiles = (partner) => fs.readdirSync(path.join(ediDir, partner.code, 'outbound'));
+const readOutbound = (partner, prefix) => {
+  const file = outboundFiles(partner).find((name) => name.startsWith(prefix));
+  return fs.readFileSync(path.join(ediDir, partner.code, 'outbound', file), 'utf8');
+};
+
+describe('EDI Service', () => {
+  let controlNumber;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.rmSync(ediDir, { recursive: true, force: true });
+    fs.mkdirSync(ediDir, { recursive: true });
+    controlNumber = 0;
+    prisma.ediPartner.update.mockImplementation(() => {
+      controlNumber++;
+      return Promise.resolve({
+        interchangeControlNumber: controlNumber,
+        groupControlNumber: controlNumber,
+        transactionControlNumber: controlNumber,
+      });
+    });
+    prisma.productVariant.findUnique.mockImplementation(({ where }) => Promise.resolve(variants[where.sku] || null));
+    prisma.businessAddress.findMany.mockResolvedValue(addresses);
+    prisma.ediOrderReference.findMany.mockResolvedValue([]);
+    orderService.createOrder.mockImplementation((buyerId, data) => Promise.resolve({ id: `order_${data.sellerId}` }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(ediDir, { recursive: true, force: true });
+  });
+
+  describe('codec', () => {
+    it('should round-trip an EDIFACT message with release characters', () => {
+      const raw = edi.buildEdifact({
+        sender: { id: 'AIRAVAT', qualifier: 'ZZZ' },
+        receiver: { id: 'BUYER', qualifier: '14' },
+        controlNumber: 7,
+        messages: [{ reference: '1', type: 'DESADV', segments: [['BGM', '351', 'AWB?1+2\'3', '9']] }],
+      });
+
+      const parsed = edi.parseEdifact(raw);
+
+      expect(parsed.errors).toEqual([]);
+      expect(edi.el(parsed.messages[0].segments[1], 1)).toBe('AWB?1+2\'3');
+    });
+
+    it('should flag an X12 set whose SE01 does not match its segment count', () => {
+      const parsed = edi.parseX12(purchaseOrder850(99));
+
+      expect(parsed.groups[0].transactions[0].errors).toEqual([
+        expect.objectContaining({ code: 'SEGMENT_COUNT' }),
+      ]);
+    });
+  });
+
+  describe('inbound X12 850', () => {
+    beforeEach(() => {
+      prisma.ediPartner.findFirst.mockResolvedValue(x12Partner);
+    });
+
+    it('should create one order per seller, store PO references and send an accepting 997', async () => {
+      const result = await ediService.processInbound(purchaseOrder850(), { fileName: 'po.edi' });
+
+      expect(orderService.createOrder).toHaveBeenCalledTimes(2);
+      expect(orderService.createOrder).toHaveBeenCalledWith('buyer_1', {
+        sellerId: 'seller_1',
+        items: [{ variantId: 'var_bolt', quantity: 100 }],
+        billingAddressId: 'addr_hq',
+        shippingAddressId: 'addr_pune',
+        paymentMethod: 'CREDIT_LINE',
+        buyerNote: 'EDI PO PO-5521',
+      });
+      expect(orderService.createOrder.mock.calls[1][1].items).toEqual([{ variantId: 'var_nut', quantity: 200 }]);
+      expect(prisma.ediOrderReference.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          orderId: 'order_seller_2',
+          poNumber: 'PO-5521',
+          lines: [expect.objectContaining({ lineNumber: '2', sku: 'NUT-M8', buyerPartNumber: 'ACME-77' })],
+        }),
+      });
+      expect(result.documents).toEqual([expect.objectContaining({
+        type: '850',
+        status: 'TRANSLATED',
+        orderIds: ['order_seller_1', 'order_seller_2'],
+      })]);
+
+      const ack = edi.parseX12(readOutbound(x12Partner, '997'));
+      const tags = ack.groups[0].transactions[0].segments.map((segment) => [segment.tag, ...segment.elements].join('*'));
+      expect(ack.groups[0].functionalId).toBe('FA');
+      expect(tags).toEqual(expect.arrayContaining(['AK1*PO*41', 'AK2*850*0001', 'AK5*A', 'AK9*A*1*1*1']));
+      expect(prisma.ediDocument.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: [result.documents[0].id] } },
+        data: { acknowledgedById: result.acknowledgement.id },
+      });
+    });
+
+    it('should reject a set with a bad segment count without creating orders', async () => {
+      const result = await ediService.processInbound(purchaseOrder850(99));
+
+      expect(orderService.createOrder).not.toHaveBeenCalled();
+      expect(result.documents[0]).toMatchObject({ status: 'FAILED', errors: [expect.objectContaining({ code: 'SEGMENT_COUNT' })] });
+      expect(readOutbound(x12Partner, '997')).toContain('AK5*R*4');
+    });
+
+    it('should log unknown items as validation errors on the translation log', async () => {
+      prisma.productVariant.findUnique.mockResolvedValue(null);
+
+      const result = await ediService.processInbound(purchaseOrder850());
+
+      expect(result.documents[0].status).toBe('FAILED');
+      expect(result.documents[0].errors.map((error) => error.code)).toEqual(['UNKNOWN_ITEM', 'UNKNOWN_ITEM']);
+      expect(prisma.ediDocument.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ parsed: expect.objectContaining({ poNumber: 'PO-5521' }) }),
+      }));
+    });
+
+    it('should not reorder sellers already ordered for the same PO', async () => {
+      prisma.ediOrderReference.findMany.mockResolvedValue([{ orderId: 'order_seller_1', sellerId: 'seller_1' }]);
+
+      const result = await ediService.processInbound(purchaseOrder850());
+
+      expect(orderService.createOrder).toHaveBeenCalledTimes(1);
+      expect(result.documents[0].orderIds).toEqual(['order_seller_1', 'order_seller_2']);
+    });
+
+    it('should log interchanges from unknown senders', async () => {
+      prisma.ediPartner.findFirst.mockResolvedValue(null);
+
+      const result = await ediService.processInbound(purchaseOrder850());
+
+      expect(result.documents[0].errors[0].code).toBe('UNKNOWN_PARTNER');
+      expect(prisma.ediDocument.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ status: 'FAILED', direction: 'INBOUND' }),
+      });
+    });
+  });
+
+  describe('inbound EDIFACT ORDERS', () => {
+    it('should map cross-referenced buyer parts and pack units, answering with CONTRL', async () => {
+      prisma.ediPartner.findFirst.mockResolvedValue(edifactPartner);
+      const raw = edi.buildEdifact({
+        sender: { id: '4012345000009', qualifier: '14' },
+        receiver: { id: 'AIRAVAT', qualifier: 'ZZZ' },
+        controlNumber: 3301,
+        messages: [{
+          reference: 'M1',
+          type: 'ORDERS',
+          segments: [
+            ['BGM', '220', 'EU-PO-9', '9'],
+            ['DTM', ['137', '20261016', '102']],
+            ['NAD', 'ST', ['PUNE01', '', '92'], '', 'Pune Plant', 'MIDC', 'Pune', 'MH', '411001', 'IN'],
+            ['LIN', '1', '', ['EU-1', 'IN']],
+            ['QTY', ['21', '3', 'BX']],
+            ['PRI', ['AAA', '45']],
+            ['UNS', 'S'],
+          ],
+        }],
+      });
+
+      const result = await ediService.processInbound(raw);
+
+      expect(result.documents[0]).toMatchObject({ type: 'ORDERS', status: 'TRANSLATED' });
+      expect(orderService.createOrder).toHaveBeenCalledWith('buyer_1', expect.objectContaining({
+        sellerId: 'seller_1',
+        items: [{ variantId: 'var_bolt', quantity: 30 }],
+        shippingAddressId: 'addr_pune',
+      }));
+      const contrl = readOutbound(edifactPartner, 'CONTRL');
+      expect(contrl).toContain('UCI+3301+4012345000009:14+AIRAVAT:ZZZ+7');
+      expect(contrl).toContain('UCM+M1+ORDERS:D:96A:UN+7');
+    });
+  });
+
+  describe('outbound documents', () => {
+    const reference = {
+      orderId: 'order_1',
+      partnerId: 'partner_x12',
+      poNumber: 'PO-5521',
+      poDate: new Date('2026-10-15T00:00:00Z'),
+      lines: [{ lineNumber: '1', variantId: 'var_bolt', sku: 'BOLT-M8', uom: 'EA', quantity: 100, unitPrice: 4.5 }],
+    };
+    const order = {
+      id: 'order_1',
+      orderNumber: 'AIR-2026-000101',
+      shippingAddress: { city: 'Pune', state: 'MH', pincode: '411001', label: 'Pune Plant' },
+      items: [{ variantId: 'var_bolt', sku: 'BOLT-M8', quantity: 100, unitPrice: 4.5, totalPrice: 450 }],
+    };
+
+    beforeEach(() => {
+      prisma.ediOrderReference.findUnique.mockResolvedValue(reference);
+      prisma.ediPartner.findUnique.mockResolvedValue(x12Partner);
+      prisma.order.findUnique.mockResolvedValue(order);
+    });
+
+    it('should send an 856 referencing the buyer PO when a shipment is booked', async () => {
+      const document = await ediService.sendShipNotice({ id: 'shp_1', orderId: 'order_1', awbNumber: 'AWB123', carrier: 'delhivery' });
+
+      expect(document).toMatchObject({ documentType: '856', status: 'SENT', referenceNumber: 'AWB123', shipmentId: 'shp_1' });
+      const asn = edi.parseX12(readOutbound(x12Partner, '856'));
+      expect(asn.errors).toEqual([]);
+      expect(asn.groups[0].functionalId).toBe('SH');
+      const tags = asn.groups[0].transactions[0].segments.map((segment) => segment.elements.join('*'));
+      expect(tags).toEqual(expect.arrayContaining(['PO-5521', '1*VP*BOLT-M8', '*100*EA']));
+    });
+
+    it('should acknowledge an unchanged PO with BAK AD', async () => {
+      await ediService.sendOrderAcknowledgment('order_1');
+
+      expect(readOutbound(x12Partner, '855')).toContain('BAK*00*AD*PO-5521*20261015****AIR-2026-000101');
+    });
+
+    it('should keep partner files inside the EDI directory', async () => {
+      prisma.ediPartner.findUnique.mockResolvedValue({ ...x12Partner, code: '../../ESCAPE' });
+
+      await ediService.sendOrderAcknowledgment('order_1');
+
+      expect(fs.readdirSync(path.join(ediDir, 'ESCAPE', 'outbound'))).toHaveLength(1);
+      expect(fs.existsSync(path.join(ediDir, '..', '..', 'ESCAPE'))).toBe(false);
+    });
+
+    it('should skip orders that did not arrive over EDI', async () => {
+      prisma.ediOrderReference.findUnique.mockResolvedValue(null);
+
+      await expect(ediService.sendInvoice('order_web')).resolves.toBeNull();
+      expect(prisma.ediDocument.create).not.toHaveBeenCalled();
+    });
+
+    it('should never fail the calling flow when sending breaks', async () => {
+      prisma.order.findUnique.mockRejectedValue(new Error('db down'));
+
+      await expect(ediService.sendInvoice('order_1')).resolves.toBeNull();
+    });
+
+    it('should mark outbound documents acknowledged from a partner 997', async () => {
+      prisma.ediPartner.findFirst.mockResolvedValue(x12Partner);
+      const raw = edi.buildX12({
+        sender: { qualifier: 'ZZ', id: 'ACMEBUYER' },
+        receiver: { qualifier: 'ZZ', id: 'AIRAVAT' },
+        controlNumber: 902,
+        groupControlNumber: 42,
+        functionalId: 'FA',
+        transactions: [{
+          type: '997',
+          controlNumber: 1,
+          segments: [['AK1', 'SH', '5'], ['AK2', '856', '0005'], ['AK5', 'A'], ['AK9', 'A', '1', '1', '1']],
+        }],
+      });
+
+      const result = await ediService.processInbound(raw);
+
+      expect(result.documents[0]).toMatchObject({ type: '997', status: 'TRANSLATED' });
+      expect(result.acknowledgement).toBeNull();
+      expect(prisma.ediDocument.updateMany).toHaveBeenCalledWith({
+        where: { partnerId: 'partner_x12', direction: 'OUTBOUND', groupControlNumber: '5', transactionControlNumber: '5' },
+        data: { status: 'ACKNOWLEDGED', ackStatus: 'ACCEPTED' },
+      });
+    });
+  });
+});
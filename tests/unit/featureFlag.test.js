@@ -0,0 +1,485 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - FEATURE FLAG UNIT TESTS
+// Tests for targeting rules, multivariate allocation, kill switch, schedules,
+// audit history and experiment statistics
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {},
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  cache: {
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn(),
+    del: jest.fn(),
+    delPattern: jest.fn(),
+    incr: jest.fn().mockResolvedValue(0),
+    getOrSet: jest.fn((key, callback) => callback()),
+  },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { prisma } = require('../../src/config/database');
+const featureFlagService = require('../../src/services/featureFlag.service');
+const { BadRequestError, ConflictError } = require('../../src/utils/errors');
+
+// =============================================================================
+// IN-MEMORY STORE
+// =============================================================================
+
+const tables = {};
+let sequence = 0;
+
+const rowsOf = (model) => (tables[model] = tables[model] || []);
+const copy = (row) => (row ? { ...row } : null);
+
+const matches = (row, where = {}) => Object.entries(where).every(([key, expected]) => {
+  if (expected === undefined) return true;
+  if (key === 'experimentName_unitId') return matches(row, expected);
+  if (expected && typeof expected === 'object' && !(expected instanceof Date)) {
+    if ('lte' in expected) return row[key] <= expected.lte;
+    if ('not' in expected) return row[key] !== expected.not;
+  }
+  return row[key] === expected;
+});
+
+const applyData = (row, data) => {
+  Object.entries(data).forEach(([key, value]) => {
+    row[key] = value && typeof value === 'object' && 'increment' in value ? row[key] + value.increment : value;
+  });
+  row.updatedAt = new Date();
+  return row;
+};
+
+const DEFAULTS = {
+  featureFlag: { version: 1, killed: false },
+  featureFlagSchedule: { status: 'PENDING' },
+  experiment: { status: 'DRAFT', startedAt: null, stoppedAt: null },
+};
+
+const delegate = (model) => ({
+  findUnique: jest.fn(async ({ where }) => copy(rowsOf(model).find((row) => matches(row, where)))),
+  findFirst: jest.fn(async ({ where } = {}) => copy(rowsOf(model).find((row) => matches(row, where)))),
+  findMany: jest.fn(async ({ where, include, distinct } = {}) => {
+    let rows = rowsOf(model).filter((row) => matches(row, where));
+    if (distinct) {
+      const seen = new Set();
+      rows = rows.filter((row) => {
+        const key = distinct.map((field) => row[field]).join('|');
+        return !seen.has(key) && seen.add(key);
+      });
+    }
+    return rows.map((row) => (include?.flag
+      ? { ...row, flag: rowsOf('featureFlag').find((flag) => flag.id === row.flagId) }
+      : { ...row }));
+  }),
+  count: jest.fn(async ({ where } = {}) => rowsOf(model).filter((row) => matches(row, where)).length),
+  create: jest.fn(async ({ data }) => {
+    const row = { id: `${model}_${++sequence}`, createdAt: new Date(), ...DEFAULTS[model], ...data };
+    rowsOf(model).push(row);
+    return { ...row };
+  }),
+  createMany: jest.fn(async ({ data }) => {
+    const fresh = data.filter((item) => !rowsOf(model).some((row) => (
+      row.experimentName === item.experimentName && row.unitId === item.unitId
+    )));
+    fresh.forEach((item) => rowsOf(model).push({ id: `${model}_${++sequence}`, ...item }));
+    return { count: fresh.length };
+  }),
+  update: jest.fn(async ({ where, data }) => ({ ...applyData(rowsOf(model).find((row) => matches(row, where)), data) })),
+  updateMany: jest.fn(async ({ where, data }) => {
+    const rows = rowsOf(model).filter((row) => matches(row, where));
+    rows.forEach((row) => applyData(row, data));
+    return { count: rows.length };
+  }),
+  delete: jest.fn(async ({ where }) => {
+    const row = rowsOf(model).find((candidate) => matches(candidate, where));
+    tables[model] = rowsOf(model).filter((candidate) => candidate !== row);
+    return row;
+  }),
+  groupBy: jest.fn(async ({ by, where, _count, _sum }) => {
+    const groups = new Map();
+    rowsOf(model).filter((row) => matches(row, where)).forEach((row) => {
+      const key = by.map((field) => row[field] ?? null).join('|');
+      const group = groups.get(key) || { ...Object.fromEntries(by.map((field) => [field, row[field] ?? null])), rows: [] };
+      group.rows.push(row);
+      groups.set(key, group);
+    });
+    return [...groups.values()].map(({ rows, ...group }) => ({
+      ...group,
+      ...(_count && { _count: rows.length }),
+      ...(_sum && { _sum: { value: rows.reduce((sum, row) => sum + Number(row.value || 0), 0) } }),
+    }));
+  }),
+});
+
+Object.assign(prisma, {
+  featureFlag: delegate('featureFlag'),
+  featureFlagAudit: delegate('featureFlagAudit'),
+  featureFlagSchedule: delegate('featureFlagSchedule'),
+  experiment: delegate('experiment'),
+  experimentImpression: delegate('experimentImpression'),
+  experimentConversion: delegate('experimentConversion'),
+  $transaction: jest.fn((callback) => callback(prisma)),
+});
+
+const flag = (definition) => featureFlagService.normalizeFlag({ name: 'checkout', enabled: true, ...definition });
+const audits = () => rowsOf('featureFlagAudit');
+
+const CHECKOUT_VARIANTS = [
+  { key: 'control', weight: 50, payload: { steps: 3 } },
+  { key: 'one_page', weight: 50, payload: { steps: 1 } },
+];
+
+describe('FeatureFlagService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.keys(tables).forEach((model) => delete tables[model]);
+  });
+
+  // ===========================================================================
+  // TARGETING
+  // ===========================================================================
+
+  describe('targeting rules', () => {
+    const pricing = flag({
+      variants: [
+        { key: 'list', weight: 100, payload: { discount: 0 } },
+        { key: 'tiered', weight: 0, payload: { discount: 5 } },
+        { key: 'volume', weight: 0, payload: { discount: 8 } },
+      ],
+      offVariant: 'list',
+      rules: [
+        {
+          id: 'big_wholesalers',
+          conditions: [
+            { attribute: 'businessType', operator: 'in', value: ['WHOLESALER', 'DISTRIBUTOR'] },
+            { attribute: 'gmvBand', operator: 'gte', value: 'medium' },
+          ],
+          variant: 'volume',
+        },
+        {
+          id: 'paid_tiers',
+          conditions: [{ attribute: 'subscriptionTier', operator: 'gte', value: 'professional' }],
+          variant: 'tiered',
+        },
+        {
+          id: 'pilot_tenant_new_app',
+          conditions: [
+            { attribute: 'tenantId', operator: 'eq', value: 'tenant_pilot' },
+            { attribute: 'appVersion', operator: 'versionGte', value: '2.10.0' },
+            { attribute: 'custom.cohort', operator: 'eq', value: 'beta' },
+          ],
+          variant: 'tiered',
+        },
+      ],
+    });
+
+    it('serves the first matching rule with its payload', () => {
+      const result = featureFlagService.evaluateFlag(pricing, {
+        userId: 'u1', businessType: 'wholesaler', gmv: 50_00_00_000, subscriptionTier: 'enterprise',
+      });
+
+      expect(result).toMatchObject({
+        variant: 'volume', payload: { discount: 8 }, reason: 'RULE_MATCH', ruleId: 'big_wholesalers', enabled: true,
+      });
+    });
+
+    it('compares subscription tiers and GMV bands by rank', () => {
+      const small = featureFlagService.evaluateFlag(pricing, { userId: 'u1', businessType: 'WHOLESALER', gmv: 5_00_000 });
+      const starter = featureFlagService.evaluateFlag(pricing, { userId: 'u1', subscriptionTier: 'starter' });
+      const professional = featureFlagService.evaluateFlag(pricing, { userId: 'u1', subscriptionTier: 'Professional' });
+
+      expect(small).toMatchObject({ variant: 'list', reason: 'FALLTHROUGH', enabled: false });
+      expect(starter.variant).toBe('list');
+      expect(professional).toMatchObject({ variant: 'tiered', ruleId: 'paid_tiers' });
+    });
+
+    it('matches tenant, app version and custom attributes together', () => {
+      const context = { userId: 'u1', tenantId: 'tenant_pilot', appVersion: '2.10.1', custom: { cohort: 'beta' } };
+
+      expect(featureFlagService.evaluateFlag(pricing, context).ruleId).toBe('pilot_tenant_new_app');
+      expect(featureFlagService.evaluateFlag(pricing, { ...context, appVersion: '2.9.9' }).variant).toBe('list');
+      expect(featureFlagService.evaluateFlag(pricing, { ...context, custom: {} }).variant).toBe('list');
+    });
+
+    it('compares app versions numerically', () => {
+      expect(featureFlagService.compareVersions('2.10.0', '2.9.3')).toBe(1);
+      expect(featureFlagService.compareVersions('v1.2', '1.2.0')).toBe(0);
+      expect(featureFlagService.compareVersions('1.2.0-beta.1', '1.3')).toBe(-1);
+    });
+
+    it('keeps the legacy region, tier and list gates for rule-less flags', () => {
+      const upi = flag({ regions: ['IN'], blocklist: ['u_blocked'], allowlist: ['u_vip'], requiredTier: 'starter' });
+
+      expect(featureFlagService.evaluateFlag(upi, { userId: 'u1', region: 'AE', subscriptionTier: 'starter' }).enabled)
+        .toBe(false);
+      expect(featureFlagService.evaluateFlag(upi, { userId: 'u1', region: 'IN', subscriptionTier: 'free' }).enabled)
+        .toBe(false);
+      expect(featureFlagService.evaluateFlag(upi, { userId: 'u1', region: 'IN', subscriptionTier: 'starter' }).enabled)
+        .toBe(true);
+      expect(featureFlagService.evaluateFlag(upi, { userId: 'u_vip', region: 'AE' })).toMatchObject({
+        enabled: true, reason: 'ALLOWLISTED',
+      });
+      expect(featureFlagService.evaluateFlag(upi, { userId: 'u_blocked', region: 'IN', subscriptionTier: 'starter' }))
+        .toMatchObject({ enabled: false, reason: 'BLOCKED' });
+    });
+
+    it('does not serve a partial rollout without a stable unit', () => {
+      const partial = flag({ rolloutPercentage: 50 });
+
+      expect(featureFlagService.evaluateFlag(partial, {})).toMatchObject({ enabled: false, reason: 'NO_UNIT' });
+      expect(featureFlagService.evaluateFlag(flag({}), {}).enabled).toBe(true);
+    });
+  });
+
+  // ===========================================================================
+  // ALLOCATION
+  // ===========================================================================
+
+  describe('multivariate allocation', () => {
+    const units = Array.from({ length: 4000 }, (_, i) => `user_${i}`);
+
+    it('is sticky per unit and follows the weights', () => {
+      const checkout = flag({ variants: CHECKOUT_VARIANTS.map((v, i) => ({ ...v, weight: i ? 25 : 75 })), offVariant: 'control' });
+      const served = units.map((userId) => featureFlagService.evaluateFlag(checkout, { userId }).variant);
+
+      expect(units.map((userId) => featureFlagService.evaluateFlag(checkout, { userId }).variant)).toEqual(served);
+      const share = served.filter((variant) => variant === 'one_page').length / units.length;
+      expect(share).toBeGreaterThan(0.22);
+      expect(share).toBeLessThan(0.28);
+    });
+
+    it('splits rolled-in units independently of the rollout bucket', () => {
+      const checkout = flag({ variants: CHECKOUT_VARIANTS, offVariant: 'control', rolloutPercentage: 50 });
+      const results = units.map((userId) => featureFlagService.evaluateFlag(checkout, { userId }));
+      const rolledIn = results.filter(({ reason }) => reason === 'FALLTHROUGH');
+      const treated = rolledIn.filter(({ variant }) => variant === 'one_page').length / rolledIn.length;
+
+      expect(rolledIn.length / units.length).toBeGreaterThan(0.46);
+      expect(rolledIn.length / units.length).toBeLessThan(0.54);
+      expect(treated).toBeGreaterThan(0.45);
+      expect(treated).toBeLessThan(0.55);
+    });
+
+    it('serves a rule split', () => {
+      const checkout = flag({
+        variants: CHECKOUT_VARIANTS,
+        offVariant: 'control',
+        rules: [{ id: 'ae', conditions: [{ attribute: 'region', operator: 'eq', value: 'AE' }], split: { one_page: 1 } }],
+      });
+
+      expect(featureFlagService.evaluateFlag(checkout, { userId: 'u1', region: 'AE' })).toMatchObject({
+        variant: 'one_page', payload: { steps: 1 }, ruleId: 'ae',
+      });
+    });
+  });
+
+  // ===========================================================================
+  // MANAGEMENT & AUDIT
+  // ===========================================================================
+
+  describe('management', () => {
+    it('versions and audits every change with a field diff', async () => {
+      await featureFlagService.createFlag('checkout', { variants: CHECKOUT_VARIANTS, offVariant: 'control' }, {
+        actorId: 'admin_1',
+      });
+      const updated = await featureFlagService.setFlag('checkout', { rolloutPercentage: 20 }, {
+        actorId: 'admin_2', reason: 'Ramp',
+      });
+      await featureFlagService.setFlag('checkout', { rolloutPercentage: 20 }, { actorId: 'admin_2' });
+      await featureFlagService.disableFeature('checkout', { actorId: 'admin_1' });
+
+      expect(updated.version).toBe(2);
+      expect(audits().map(({ action, version }) => [action, version])).toEqual([
+        ['created', 1], ['updated', 2], ['disabled', 3],
+      ]);
+      expect(audits()[1]).toMatchObject({
+        actorId: 'admin_2',
+        reason: 'Ramp',
+        changes: { rolloutPercentage: { from: 100, to: 20 } },
+      });
+
+      const history = await featureFlagService.getFlagHistory('checkout');
+      expect(history.total).toBe(3);
+    });
+
+    it('refuses definitions it could not serve', async () => {
+      await expect(featureFlagService.setFlag('checkout', { variants: CHECKOUT_VARIANTS, offVariant: 'missing' }))
+        .rejects.toBeInstanceOf(BadRequestError);
+      await expect(featureFlagService.setFlag('checkout', {
+        variants: CHECKOUT_VARIANTS,
+        offVariant: 'control',
+        rules: [{ conditions: [], variant: 'unknown' }],
+      })).rejects.toThrow(/must serve a variant/);
+      expect(rowsOf('featureFlag')).toHaveLength(0);
+    });
+
+    it('refuses a change based on a stale version', async () => {
+      await featureFlagService.createFlag('checkout', {});
+      prisma.featureFlag.findUnique.mockImplementationOnce(async () => ({ ...rowsOf('featureFlag')[0], version: 0 }));
+
+      await expect(featureFlagService.setFlag('checkout', { enabled: false })).rejects.toBeInstanceOf(ConflictError);
+    });
+
+    it('persists a default flag on its first change', async () => {
+      await featureFlagService.setRolloutPercentage('ai_recommendations', 60, { actorId: 'admin_1' });
+
+      expect(rowsOf('featureFlag')[0]).toMatchObject({ name: 'ai_recommendations', rolloutPercentage: 60 });
+      expect(audits()[0].changes.rolloutPercentage).toEqual({ from: null, to: 60 });
+    });
+  });
+
+  describe('kill switch', () => {
+    beforeEach(async () => {
+      await featureFlagService.createFlag('checkout', {
+        variants: CHECKOUT_VARIANTS,
+        offVariant: 'control',
+        allowlist: ['u_vip'],
+        rules: [{ id: 'all', conditions: [], variant: 'one_page' }],
+      });
+    });
+
+    it('requires a reason', async () => {
+      await expect(featureFlagService.killFlag('checkout', { actorId: 'admin_1' })).rejects.toBeInstanceOf(BadRequestError);
+    });
+
+    it('overrides rules and allowlists until restored', async () => {
+      await featureFlagService.killFlag('checkout', { actorId: 'admin_1', reason: 'Payment errors' });
+
+      expect(await featureFlagService.evaluate('checkout', { userId: 'u_vip' })).toMatchObject({
+        variant: 'control', reason: 'KILLED', enabled: false,
+      });
+
+      await featureFlagService.restoreFlag('checkout', { actorId: 'admin_1' });
+
+      expect((await featureFlagService.evaluate('checkout', { userId: 'u_1' })).variant).toBe('one_page');
+      expect(audits().map(({ action }) => action)).toEqual(['created', 'killed', 'restored']);
+      expect(audits()[1]).toMatchObject({ reason: 'Payment errors', snapshot: expect.objectContaining({ killed: true }) });
+    });
+  });
+
+  describe('schedules', () => {
+    it('switches flags on at the scheduled time, once', async () => {
+      await featureFlagService.createFlag('festive_banner', { enabled: false });
+      const runAt = new Date(Date.now() + 60 * 60 * 1000);
+      const schedule = await featureFlagService.scheduleChange('festive_banner', { action: 'ENABLE', runAt }, 'admin_1');
+
+      expect(await featureFlagService.applyDueSchedules()).toEqual({ applied: 0 });
+
+      rowsOf('featureFlagSchedule')[0].runAt = new Date(Date.now() - 1000);
+      expect(await featureFlagService.applyDueSchedules()).toEqual({ applied: 1 });
+      expect(await featureFlagService.applyDueSchedules()).toEqual({ applied: 0 });
+
+      expect(rowsOf('featureFlag')[0].enabled).toBe(true);
+      expect(rowsOf('featureFlagSchedule')[0]).toMatchObject({ id: schedule.id, status: 'APPLIED' });
+      expect(audits().map(({ action }) => action)).toEqual(['created', 'scheduled', 'schedule_applied']);
+    });
+
+    it('refuses past times and cancels pending schedules', async () => {
+      await featureFlagService.createFlag('festive_banner', {});
+
+      await expect(featureFlagService.scheduleChange('festive_banner', { action: 'DISABLE', runAt: new Date(0) }))
+        .rejects.toBeInstanceOf(BadRequestError);
+
+      const { id } = await featureFlagService.scheduleChange('festive_banner', {
+        action: 'DISABLE', runAt: new Date(Date.now() + 1000),
+      });
+      await featureFlagService.cancelSchedule('festive_banner', id, 'admin_1');
+
+      expect(rowsOf('featureFlagSchedule')[0].status).toBe('CANCELLED');
+      await expect(featureFlagService.cancelSchedule('festive_banner', id)).rejects.toThrow(/not found/);
+    });
+  });
+
+  // ===========================================================================
+  // EXPERIMENTS
+  // ===========================================================================
+
+  describe('experiments', () => {
+    beforeEach(async () => {
+      await featureFlagService.createFlag('checkout', { variants: CHECKOUT_VARIANTS, offVariant: 'control' });
+      await featureFlagService.createExperiment({
+        name: 'checkout_2026', flagName: 'checkout', controlVariant: 'control', metric: 'order_placed',
+      }, 'admin_1');
+    });
+
+    const seed = (variant, exposures, conversions, ruleId = null) => {
+      for (let i = 0; i < exposures; i++) {
+        const unitId = `${variant}_${ruleId}_${i}`;
+        rowsOf('experimentImpression').push({ experimentName: 'checkout_2026', variant, unitId, ruleId });
+        if (i < conversions) {
+          rowsOf('experimentConversion').push({
+            experimentName: 'checkout_2026', variant, unitId, conversionType: 'order_placed', value: 1000,
+          });
+        }
+      }
+    };
+
+    it('records each unit once and attributes conversions to the exposed variant', async () => {
+      await featureFlagService.startExperiment('checkout_2026', 'admin_1');
+
+      const variant = await featureFlagService.getVariant('checkout', { userId: 'u1' });
+      await featureFlagService.getVariant('checkout', { userId: 'u1' });
+      const other = variant === 'control' ? 'one_page' : 'control';
+      await featureFlagService.trackConversion('checkout_2026', other, { userId: 'u1', type: 'order_placed' });
+      await featureFlagService.trackConversion('checkout_2026', null, { userId: 'never_exposed', type: 'order_placed' });
+
+      expect(rowsOf('experimentImpression')).toEqual([
+        expect.objectContaining({ unitId: 'u1', variant, ruleId: null }),
+      ]);
+      expect(rowsOf('experimentConversion')).toEqual([expect.objectContaining({ unitId: 'u1', variant })]);
+    });
+
+    it('does not record exposures while the experiment is not running', async () => {
+      await featureFlagService.getVariant('checkout', { userId: 'u1' });
+
+      expect(rowsOf('experimentImpression')).toHaveLength(0);
+    });
+
+    it('allows one running experiment per flag', async () => {
+      await featureFlagService.createExperiment({ name: 'checkout_b', flagName: 'checkout', controlVariant: 'control' });
+      await featureFlagService.startExperiment('checkout_2026');
+
+      await expect(featureFlagService.startExperiment('checkout_b')).rejects.toBeInstanceOf(ConflictError);
+    });
+
+    it('reports rates with confidence intervals and significance against control', async () => {
+      seed('control', 5000, 500);
+      seed('one_page', 5000, 600);
+      seed('control', 200, 200, 'staff'); // Forced by a rule: not part of the ratio check
+      rowsOf('experimentConversion').push({ ...rowsOf('experimentConversion')[0] }); // Repeat conversion
+
+      const results = await featureFlagService.getExperimentResults('checkout_2026');
+      const [control, treatment] = results.variants;
+
+      expect(control).toMatchObject({ variant: 'control', isControl: true, exposures: 5200, conversions: 700 });
+      expect(treatment).toMatchObject({ exposures: 5000, conversions: 600, conversionRate: 0.12 });
+      expect(treatment.confidenceInterval.lower).toBeCloseTo(0.1112, 3);
+      expect(treatment.confidenceInterval.upper).toBeCloseTo(0.1294, 3);
+      expect(treatment.comparison.pValue).toBeLessThan(0.05);
+      expect(treatment.comparison.significant).toBe(true);
+      expect(results.sampleRatioMismatch).toMatchObject({ degreesOfFreedom: 1, detected: false });
+      expect(results.warnings).toEqual([]);
+    });
+
+    it('flags a sample ratio mismatch', async () => {
+      seed('control', 5300, 530);
+      seed('one_page', 4700, 470);
+
+      const results = await featureFlagService.getExperimentResults('checkout_2026');
+
+      expect(results.sampleRatioMismatch.detected).toBe(true);
+      expect(results.sampleRatioMismatch.pValue).toBeLessThan(0.001);
+      expect(results.warnings[0]).toMatch(/Sample ratio mismatch/);
+    });
+  });
+});
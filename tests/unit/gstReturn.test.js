@@ -0,0 +1,190 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - GST RETURN SERVICE UNIT TESTS
+// Tests for GSTR-1 section building, validation and GSTR-3B set-off
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    business: { findUnique: jest.fn() },
+    order: { findMany: jest.fn() },
+    eInvoice: { findMany: jest.fn() },
+    creditNote: { findMany: jest.fn() },
+  },
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn() },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  logAudit: jest.fn(),
+}));
+
+const gstReturnService = require('../../src/services/gstReturn.service');
+const { prisma } = require('../../src/config/database');
+
+const SELLER_GSTIN = '27AAAAA0000A1Z5';
+const BUYER_GSTIN = '29BBBBB0000B1Z5';
+
+const invoice = (overrides = {}) => ({
+  kind: 'INVOICE',
+  number: 'INV-2024-000001',
+  date: new Date('2024-07-10'),
+  cancelled: false,
+  buyerGstin: BUYER_GSTIN,
+  buyerName: 'Buyer Pvt Ltd',
+  pos: '29',
+  isInterState: true,
+  value: 1180,
+  items: [{
+    hsn: '7318', description: 'Steel Bolts', quantity: 100, rate: 18,
+    txval: 1000, iamt: 180, camt: 0, samt: 0, csamt: 0,
+  }],
+  ...overrides,
+});
+
+describe('GST Return Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildGSTR1', () => {
+    it('should place registered invoices in B2B with offline-tool item numbers', () => {
+      const { gstr1, validation } = gstReturnService.buildGSTR1(SELLER_GSTIN, '072024', [invoice()], []);
+
+      expect(gstr1.fp).toBe('072024');
+      expect(gstr1.b2b[0].ctin).toBe(BUYER_GSTIN);
+      expect(gstr1.b2b[0].inv[0]).toEqual(expect.objectContaining({
+        inum: 'INV-2024-000001',
+        idt: '10-07-2024',
+        pos: '29',
+        rchrg: 'N',
+      }));
+      expect(gstr1.b2b[0].inv[0].itms[0]).toEqual({
+        num: 1801,
+        itm_det: { txval: 1000, rt: 18, iamt: 180, csamt: 0 },
+      });
+      expect(validation.summary.accepted).toBe(1);
+    });
+
+    it('should split unregistered invoices between B2CL and B2CS', () => {
+      const large = invoice({
+        number: 'INV-2024-000002',
+        buyerGstin: null,
+        value: 236000,
+        items: [{ hsn: '7318', description: 'Bolts', quantity: 1, rate: 18, txval: 200000, iamt: 36000, camt: 0, samt: 0 }],
+      });
+      const small = invoice({
+        number: 'INV-2024-000003',
+        buyerGstin: null,
+        pos: '27',
+        isInterState: false,
+        value: 118,
+        items: [{ hsn: '7318', description: 'Bolts', quantity: 1, rate: 18, txval: 100, iamt: 0, camt: 9, samt: 9 }],
+      });
+
+      const { gstr1 } = gstReturnService.buildGSTR1(SELLER_GSTIN, '072024', [large, small], []);
+
+      expect(gstr1.b2cl[0].pos).toBe('29');
+      expect(gstr1.b2cs).toEqual([expect.objectContaining({ sply_ty: 'INTRA', pos: '27', rt: 18, txval: 100, camt: 9 })]);
+    });
+
+    it('should report credit notes in CDNR and net them in the HSN summary', () => {
+      const note = invoice({
+        kind: 'CREDIT_NOTE',
+        number: 'CN/24-25/000001',
+        value: 118,
+        items: [{ hsn: '7318', description: 'Steel Bolts', quantity: 10, rate: 18, txval: 100, iamt: 18, camt: 0, samt: 0 }],
+      });
+
+      const { gstr1 } = gstReturnService.buildGSTR1(SELLER_GSTIN, '072024', [invoice()], [note]);
+
+      expect(gstr1.cdnr[0].nt[0]).toEqual(expect.objectContaining({ ntty: 'C', nt_num: 'CN/24-25/000001' }));
+      expect(gstr1.hsn.data[0]).toEqual(expect.objectContaining({ hsn_sc: '7318', qty: 90, txval: 900, iamt: 162 }));
+    });
+
+    it('should count cancelled documents in the documents issued table', () => {
+      const { gstr1 } = gstReturnService.buildGSTR1(SELLER_GSTIN, '072024', [
+        invoice(),
+        invoice({ number: 'INV-2024-000002', cancelled: true }),
+      ], []);
+
+      expect(gstr1.doc_issue.doc_det[0]).toEqual({
+        doc_num: 1,
+        docs: [{ num: 1, from: 'INV-2024-000001', to: 'INV-2024-000002', totnum: 2, cancel: 1, net_issue: 1 }],
+      });
+      expect(gstr1.b2b[0].inv).toHaveLength(1);
+    });
+
+    it('should reject rows the portal would not accept', () => {
+      const { gstr1, validation } = gstReturnService.buildGSTR1(SELLER_GSTIN, '072024', [
+        invoice({ buyerGstin: '29INVALID' }),
+        invoice({ number: 'INV/2024-25/AIR-2024-000009' }),
+      ], []);
+
+      expect(gstr1.b2b).toHaveLength(0);
+      expect(validation.rejected).toHaveLength(2);
+      expect(validation.rejected[0].reasons).toContain('Invalid recipient GSTIN 29INVALID');
+      expect(validation.rejected[1].reasons).toContain('Document number must be 1-16 characters');
+    });
+  });
+
+  describe('setOffLiability', () => {
+    it('should use IGST credit first, then CGST and SGST against their own heads', () => {
+      const result = gstReturnService.setOffLiability(
+        { igst: 100, cgst: 50, sgst: 50, cess: 0 },
+        { igst: 120, cgst: 10, sgst: 40, cess: 0 },
+      );
+
+      expect(result.utilised[0]).toEqual({ from: 'igst', to: 'igst', amount: 100 });
+      expect(result.utilised[1]).toEqual({ from: 'igst', to: 'cgst', amount: 20 });
+      expect(result.cashPayable).toEqual({ igst: 0, cgst: 20, sgst: 10, cess: 0 });
+      expect(result.closingCredit).toEqual({ igst: 0, cgst: 0, sgst: 0, cess: 0 });
+    });
+  });
+
+  describe('generateGSTR3B', () => {
+    it('should compute outward tax net of notes and ITC from purchases', async () => {
+      prisma.business.findUnique.mockResolvedValue({ id: 'seller_1', gstin: SELLER_GSTIN });
+      prisma.order.findMany
+        .mockResolvedValueOnce([{
+          id: 'order_1',
+          status: 'DELIVERED',
+          invoiceNumber: 'INV-2024-000001',
+          invoiceGeneratedAt: new Date('2024-07-10'),
+          totalAmount: '1180.00',
+          shippingAddress: { state: 'Karnataka' },
+          buyer: { businessName: 'Buyer', gstin: BUYER_GSTIN, state: 'Karnataka' },
+          items: [{
+            hsnCode: '7318', productName: 'Bolts', quantity: 100,
+            unitPrice: '10.00', discountAmount: '0', taxRate: '18.00', taxAmount: '180.00',
+          }],
+        }])
+        .mockResolvedValueOnce([{
+          seller: { gstin: '29CCCCC0000C1Z5' },
+          buyer: { gstin: SELLER_GSTIN },
+          items: [{ taxAmount: '50.00' }],
+        }]);
+      prisma.eInvoice.findMany.mockResolvedValue([]);
+      prisma.creditNote.findMany.mockResolvedValue([]);
+
+      const { gstr3b, computation } = await gstReturnService.generateGSTR3B('seller_1', 7, 2024);
+
+      expect(gstr3b.sup_details.osup_det).toEqual(expect.objectContaining({ txval: 1000, iamt: 180 }));
+      expect(gstr3b.itc_elg.itc_net.iamt).toBe(50);
+      expect(computation.cashPayable.igst).toBe(130);
+    });
+
+    it('should require a valid GSTIN on the filing business', async () => {
+      prisma.business.findUnique.mockResolvedValue({ id: 'seller_1', gstin: null });
+
+      await expect(gstReturnService.generateGSTR3B('seller_1', 7, 2024))
+        .rejects.toThrow('A valid GSTIN is required to prepare GST returns');
+    });
+  });
+});
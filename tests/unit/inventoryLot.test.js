@@ -0,0 +1,380 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - INVENTORY LOT UNIT TESTS
+// Tests for lot receipts, FEFO allocation, shelf-life blocking, shipping,
+// returns, recall tracing and the expiry sweep
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {},
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  inventory: { setStock: jest.fn() },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/notification.service', () => ({
+  NOTIFICATION_PRIORITY: { URGENT: 'URGENT' },
+  notifyBusinessUsers: jest.fn(),
+}));
+
+jest.mock('../../src/services/socket.service', () => ({
+  emitToBusiness: jest.fn(),
+}));
+
+const { prisma } = require('../../src/config/database');
+const notificationService = require('../../src/services/notification.service');
+const { emitToBusiness } = require('../../src/services/socket.service');
+const inventoryLotService = require('../../src/services/inventoryLot.service');
+const { BadRequestError, ConflictError, InsufficientStockError } = require('../../src/utils/errors');
+const { createMemoryPrisma } = require('../helpers/memoryPrisma');
+
+// =============================================================================
+// IN-MEMORY STORE
+// =============================================================================
+
+const DAY = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY);
+
+const { rowsOf, insert, install, reset } = createMemoryPrisma({
+  relations: {
+    inventoryLot: {
+      warehouse: (row, rowsOf) => rowsOf('warehouse').find((warehouse) => warehouse.id === row.warehouseId),
+      variant: (row, rowsOf) => rowsOf('productVariant').find((variant) => variant.id === row.variantId),
+    },
+    lotAllocation: {
+      lot: (row, rowsOf) => rowsOf('inventoryLot').find((lot) => lot.id === row.lotId),
+    },
+    productVariant: {
+      product: (row, rowsOf) => rowsOf('product').find((product) => product.id === row.productId),
+    },
+    order: {
+      buyer: (row, rowsOf) => rowsOf('business').find((business) => business.id === row.buyerId),
+    },
+  },
+  targets: { variant: 'productVariant', lot: 'inventoryLot', buyer: 'business' },
+  defaults: {
+    inventoryLot: (sequence) => ({ reservedQuantity: 0, receivedAt: new Date(sequence) }),
+  },
+});
+
+install(prisma, ['warehouse', 'product', 'productVariant', 'business', 'inventoryLot', 'lotAllocation',
+  'warehouseInventory', 'orderItem', 'order', 'shipment', 'inventoryLog']);
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const seed = () => {
+  reset();
+  insert('warehouse', { id: 'wh_mum', businessId: 'seller_1', status: 'ACTIVE' });
+  insert('warehouse', { id: 'wh_del', businessId: 'seller_1', status: 'ACTIVE' });
+  insert('warehouse', { id: 'wh_old', businessId: 'seller_1', status: 'INACTIVE' });
+  insert('product', { id: 'prod_syrup', name: 'Cough Syrup', lotTracked: true, minShelfLifeDays: 90, nearExpiryDays: 180 });
+  insert('product', { id: 'prod_bolt', name: 'Hex Bolt', lotTracked: false });
+  insert('productVariant', { id: 'var_syrup', productId: 'prod_syrup', sku: 'SYR-100' });
+  insert('productVariant', { id: 'var_bolt', productId: 'prod_bolt', sku: 'BLT-M8' });
+  insert('business', { id: 'buyer_1', businessName: 'City Pharmacy', email: 'city@example.com', phone: '9876543210' });
+  insert('business', { id: 'buyer_2', businessName: 'Care Clinic', email: 'care@example.com', phone: '9876543211' });
+};
+
+const receive = (warehouseId, lotNumber, quantity, expiryDate) => inventoryLotService.receiveLot({
+  warehouseId, variantId: 'var_syrup', lotNumber, quantity, expiryDate,
+});
+
+const syrup = () => rowsOf('product').find((product) => product.id === 'prod_syrup');
+const lot = (lotNumber, warehouseId = 'wh_mum') => rowsOf('inventoryLot')
+  .find((row) => row.lotNumber === lotNumber && row.warehouseId === warehouseId);
+
+const placeOrder = async (orderId, buyerId, quantity) => {
+  insert('order', { id: orderId, orderNumber: `ORD-${orderId}`, buyerId, sellerId: 'seller_1', status: 'CONFIRMED' });
+  const item = insert('orderItem', { id: `${orderId}_item`, orderId, variantId: 'var_syrup', sku: 'SYR-100', quantity });
+  const variants = [{ id: 'var_syrup', product: syrup() }];
+  const [allocated] = await inventoryLotService.allocateOrder(prisma, { ...rowsOf('order').at(-1), items: [item] }, variants);
+  return allocated;
+};
+
+describe('InventoryLotService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    seed();
+  });
+
+  // ===========================================================================
+  // RECEIPTS
+  // ===========================================================================
+
+  describe('receiveLot', () => {
+    it('keeps batches of the same SKU apart in one warehouse', async () => {
+      await receive('wh_mum', 'B-100', 50, inDays(200));
+      await receive('wh_mum', 'B-200', 30, inDays(400));
+      await receive('wh_mum', 'B-100', 10);
+
+      expect(lot('B-100')).toMatchObject({ quantity: 60, receivedQuantity: 60, status: 'AVAILABLE' });
+      expect(lot('B-200')).toMatchObject({ quantity: 30 });
+      expect(rowsOf('warehouseInventory')).toEqual([expect.objectContaining({ warehouseId: 'wh_mum', quantity: 90 })]);
+    });
+
+    it('refuses a lot number already received with another expiry', async () => {
+      await receive('wh_mum', 'B-100', 50, inDays(200));
+
+      await expect(receive('wh_del', 'B-100', 5, inDays(300))).rejects.toBeInstanceOf(ConflictError);
+    });
+
+    it('refuses expired stock and products that are not lot-tracked', async () => {
+      await expect(receive('wh_mum', 'B-OLD', 5, inDays(-1))).rejects.toThrow(/already expired/);
+      await expect(inventoryLotService.receiveLot({
+        warehouseId: 'wh_mum', variantId: 'var_bolt', lotNumber: 'X', quantity: 5,
+      })).rejects.toBeInstanceOf(BadRequestError);
+    });
+
+    it('restocks a return into the lot its order line shipped from', async () => {
+      await receive('wh_mum', 'B-100', 20, inDays(200));
+      await placeOrder('order_1', 'buyer_1', 5);
+      await inventoryLotService.shipOrder(prisma, 'order_1', 'shp_1');
+
+      await inventoryLotService.receiveLot({
+        warehouseId: 'wh_del', variantId: 'var_syrup', quantity: 2, orderItemId: 'order_1_item',
+      });
+
+      expect(lot('B-100', 'wh_del')).toMatchObject({ quantity: 2, expiryDate: lot('B-100').expiryDate });
+    });
+  });
+
+  // ===========================================================================
+  // FEFO ALLOCATION
+  // ===========================================================================
+
+  describe('FEFO allocation', () => {
+    beforeEach(async () => {
+      await receive('wh_mum', 'LATE', 100, inDays(700));
+      await receive('wh_del', 'SOON', 10, inDays(120));
+      await receive('wh_mum', 'NEVER', 100);
+      await receive('wh_mum', 'SHORT', 100, inDays(30));
+    });
+
+    it('picks the earliest sellable expiry first across warehouses', async () => {
+      const item = await placeOrder('order_1', 'buyer_1', 25);
+
+      expect(item.lots).toEqual([
+        expect.objectContaining({ lotNumber: 'SOON', quantity: 10, warehouseId: 'wh_del' }),
+        expect.objectContaining({ lotNumber: 'LATE', quantity: 15, warehouseId: 'wh_mum' }),
+      ]);
+      expect(rowsOf('orderItem')[0].lots).toEqual(item.lots);
+      expect(lot('SOON', 'wh_del').reservedQuantity).toBe(10);
+      expect(rowsOf('warehouseInventory').find((row) => row.warehouseId === 'wh_mum').reservedQuantity).toBe(15);
+    });
+
+    it('blocks lots under the minimum shelf life and flags near-expiry picks', async () => {
+      await placeOrder('order_1', 'buyer_1', 5);
+
+      expect(lot('SHORT').reservedQuantity).toBe(0);
+      expect(emitToBusiness).toHaveBeenCalledWith('seller_1', 'inventory:near_expiry_allocated', expect.objectContaining({
+        lots: [expect.objectContaining({ lotNumber: 'SOON' })],
+      }));
+    });
+
+    it('skips quarantined lots and inactive warehouses', async () => {
+      await receive('wh_old', 'OLDWH', 100, inDays(100));
+      lot('SOON', 'wh_del').status = 'QUARANTINED';
+
+      const item = await placeOrder('order_1', 'buyer_1', 5);
+
+      expect(item.lots).toEqual([expect.objectContaining({ lotNumber: 'LATE' })]);
+    });
+
+    it('rolls back partial claims when sellable stock runs short', async () => {
+      await expect(placeOrder('order_1', 'buyer_1', 500)).rejects.toBeInstanceOf(InsufficientStockError);
+
+      expect(rowsOf('inventoryLot').every((row) => row.reservedQuantity === 0)).toBe(true);
+      expect(rowsOf('lotAllocation')).toHaveLength(0);
+    });
+
+    it('re-reads a lot another order reserved in the meantime', async () => {
+      const soon = lot('SOON', 'wh_del');
+      prisma.inventoryLot.updateMany.mockImplementationOnce(() => {
+        soon.reservedQuantity = 8;
+        return Promise.resolve({ count: 0 });
+      });
+
+      const item = await placeOrder('order_1', 'buyer_1', 5);
+
+      expect(item.lots).toEqual([
+        expect.objectContaining({ lotNumber: 'SOON', quantity: 2 }),
+        expect.objectContaining({ lotNumber: 'LATE', quantity: 3 }),
+      ]);
+    });
+  });
+
+  // ===========================================================================
+  // SHIPPING & CANCELLATION
+  // ===========================================================================
+
+  describe('shipping and cancellation', () => {
+    beforeEach(async () => {
+      await receive('wh_mum', 'B-1', 10, inDays(200));
+      await receive('wh_mum', 'B-2', 10, inDays(300));
+    });
+
+    it('ships reserved lots and depletes emptied ones', async () => {
+      await placeOrder('order_1', 'buyer_1', 12);
+
+      const lines = await inventoryLotService.shipOrder(prisma, 'order_1', 'shp_1');
+
+      expect(lines).toEqual([
+        expect.objectContaining({ orderItemId: 'order_1_item', lotNumber: 'B-1', quantity: 10 }),
+        expect.objectContaining({ orderItemId: 'order_1_item', lotNumber: 'B-2', quantity: 2 }),
+      ]);
+      expect(lot('B-1')).toMatchObject({ quantity: 0, reservedQuantity: 0, status: 'DEPLETED' });
+      expect(lot('B-2')).toMatchObject({ quantity: 8, reservedQuantity: 0, status: 'AVAILABLE' });
+      expect(rowsOf('warehouseInventory')[0]).toMatchObject({ quantity: 8, reservedQuantity: 0 });
+      expect(rowsOf('lotAllocation').every((allocation) => allocation.shipmentId === 'shp_1')).toBe(true);
+    });
+
+    it('frees the reservations of a cancelled order', async () => {
+      await placeOrder('order_1', 'buyer_1', 12);
+
+      await inventoryLotService.releaseOrder(prisma, 'order_1');
+
+      expect(rowsOf('inventoryLot').every((row) => row.reservedQuantity === 0)).toBe(true);
+      expect(rowsOf('warehouseInventory')[0]).toMatchObject({ quantity: 20, reservedQuantity: 0 });
+      expect(rowsOf('lotAllocation').every((allocation) => allocation.status === 'RELEASED')).toBe(true);
+    });
+  });
+
+  // ===========================================================================
+  // REMOVALS
+  // ===========================================================================
+
+  describe('removeFromLots', () => {
+    const remove = (quantity) => inventoryLotService.removeFromLots({ warehouseId: 'wh_mum', variantId: 'var_syrup', quantity });
+
+    beforeEach(async () => {
+      await receive('wh_mum', 'B-1', 10, inDays(200));
+      await receive('wh_mum', 'B-2', 10, inDays(300));
+    });
+
+    it('takes unreserved units first-expiry-first-out', async () => {
+      const lines = await remove(12);
+
+      expect(lines).toEqual([
+        expect.objectContaining({ lotNumber: 'B-1', quantity: 10 }),
+        expect.objectContaining({ lotNumber: 'B-2', quantity: 2 }),
+      ]);
+      expect(lot('B-1')).toMatchObject({ quantity: 0, status: 'DEPLETED' });
+      expect(rowsOf('warehouseInventory')[0]).toMatchObject({ quantity: 8 });
+    });
+
+    it('re-reads a lot reserved in the meantime instead of removing reserved units', async () => {
+      const first = lot('B-1');
+      prisma.inventoryLot.updateMany.mockImplementationOnce(() => {
+        first.reservedQuantity = 6;
+        return Promise.resolve({ count: 0 });
+      });
+
+      const lines = await remove(12);
+
+      expect(lines).toEqual([
+        expect.objectContaining({ lotNumber: 'B-1', quantity: 4 }),
+        expect.objectContaining({ lotNumber: 'B-2', quantity: 8 }),
+      ]);
+      expect(lot('B-1')).toMatchObject({ quantity: 6, reservedQuantity: 6 });
+    });
+
+    it('puts units back and refuses when a concurrent removal leaves too little stock', async () => {
+      const apply = prisma.inventoryLot.updateMany.getMockImplementation();
+      const second = lot('B-2');
+      prisma.inventoryLot.updateMany
+        .mockImplementationOnce(apply)
+        .mockImplementationOnce(() => {
+          second.quantity = 1;
+          return Promise.resolve({ count: 0 });
+        });
+
+      await expect(remove(12)).rejects.toBeInstanceOf(ConflictError);
+
+      expect(lot('B-1')).toMatchObject({ quantity: 10 });
+      expect(lot('B-2')).toMatchObject({ quantity: 1 });
+      expect(rowsOf('warehouseInventory')[0]).toMatchObject({ quantity: 20 });
+    });
+  });
+
+  // ===========================================================================
+  // RECALLS
+  // ===========================================================================
+
+  describe('recall tracing', () => {
+    beforeEach(async () => {
+      await receive('wh_mum', 'BAD', 20, inDays(200));
+      await receive('wh_del', 'BAD', 5);
+      await receive('wh_mum', 'GOOD', 20, inDays(400));
+      await placeOrder('order_1', 'buyer_1', 8);
+      await inventoryLotService.shipOrder(prisma, 'order_1', 'shp_1');
+      insert('shipment', { id: 'shp_1', awbNumber: 'AWB1' });
+      await placeOrder('order_2', 'buyer_2', 4);
+    });
+
+    it('finds every buyer who received or reserved a lot', async () => {
+      const trace = await inventoryLotService.traceLot('seller_1', { lotNumber: 'BAD' });
+
+      expect(trace.totals).toEqual({ received: 25, onHand: 17, reserved: 4, shipped: 8 });
+      expect(trace.buyers).toEqual([
+        expect.objectContaining({
+          id: 'buyer_1',
+          shippedQuantity: 8,
+          orders: [expect.objectContaining({ orderNumber: 'ORD-order_1', awbNumber: 'AWB1', quantity: 8 })],
+        }),
+        expect.objectContaining({ id: 'buyer_2', shippedQuantity: 0, reservedQuantity: 4 }),
+      ]);
+    });
+
+    it('stops selling the lot, moves open orders to other lots and notifies receivers', async () => {
+      const recall = await inventoryLotService.recallLot('seller_1', {
+        lotNumber: 'BAD', reason: 'Contamination', actorId: 'user_1',
+      });
+
+      expect(rowsOf('inventoryLot').filter((row) => row.lotNumber === 'BAD').map((row) => row.status))
+        .toEqual(['RECALLED', 'RECALLED']);
+      expect(recall.reservations.moved).toEqual([{ orderId: 'order_2', from: 'BAD', to: ['GOOD'] }]);
+      expect(rowsOf('orderItem').find((item) => item.orderId === 'order_2').lots)
+        .toEqual([expect.objectContaining({ lotNumber: 'GOOD', quantity: 4 })]);
+      expect(notificationService.notifyBusinessUsers).toHaveBeenCalledTimes(1);
+      expect(notificationService.notifyBusinessUsers).toHaveBeenCalledWith('buyer_1', expect.objectContaining({
+        template: 'lot_recalled',
+        data: expect.objectContaining({ lotNumber: 'BAD', quantity: 8 }),
+      }));
+      await expect(receive('wh_mum', 'BAD', 1)).rejects.toThrow(/recalled/);
+    });
+  });
+
+  // ===========================================================================
+  // EXPIRY SWEEP
+  // ===========================================================================
+
+  describe('sweepExpiringLots', () => {
+    it('expires lots, moves reservations off short-dated stock and flags near expiry', async () => {
+      await receive('wh_mum', 'AGING', 10, inDays(100));
+      await receive('wh_mum', 'FRESH', 10, inDays(500));
+      await placeOrder('order_1', 'buyer_1', 4);
+      await receive('wh_del', 'GONE', 10, inDays(10));
+      lot('GONE', 'wh_del').expiryDate = inDays(-1);
+
+      const result = await inventoryLotService.sweepExpiringLots(inDays(20));
+
+      expect(lot('GONE', 'wh_del').status).toBe('EXPIRED');
+      expect(lot('AGING')).toMatchObject({ status: 'AVAILABLE', reservedQuantity: 0 });
+      expect(lot('FRESH').reservedQuantity).toBe(4);
+      expect(result).toEqual({ expired: 1, flagged: 1, moved: 1, unfilled: 0 });
+      expect(notificationService.notifyBusinessUsers).toHaveBeenCalledWith('seller_1', expect.objectContaining({
+        template: 'lots_near_expiry',
+      }));
+    });
+  });
+});
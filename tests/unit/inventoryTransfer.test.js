@@ -0,0 +1,416 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - INVENTORY TRANSFER UNIT TESTS
+// Tests for dispatching transfers into transit, e-way bills on inter-state
+// moves, goods receipts with short, excess and damaged units, and the
+// in-transit and discrepancy reports
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {},
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn(), del: jest.fn() },
+  inventory: { setStock: jest.fn() },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/notification.service', () => ({
+  notifyBusinessUsers: jest.fn(),
+}));
+
+jest.mock('../../src/services/socket.service', () => ({
+  emitToBusiness: jest.fn(),
+}));
+
+const { prisma } = require('../../src/config/database');
+const { emitToBusiness } = require('../../src/services/socket.service');
+const warehouseService = require('../../src/services/warehouse.service');
+const { BadRequestError, ConflictError, NotFoundError } = require('../../src/utils/errors');
+const { createMemoryPrisma } = require('../helpers/memoryPrisma');
+
+// =============================================================================
+// IN-MEMORY STORE
+// =============================================================================
+
+const byId = (model, field) => (row, rowsOf) => rowsOf(model).find((target) => target.id === row[field]);
+const childrenOf = (model, field) => (row, rowsOf) => rowsOf(model).filter((child) => child[field] === row.id);
+
+const { rowsOf, insert, install, reset } = createMemoryPrisma({
+  relations: {
+    inventoryTransfer: {
+      fromWarehouse: byId('warehouse', 'fromWarehouseId'),
+      toWarehouse: byId('warehouse', 'toWarehouseId'),
+      lines: childrenOf('inventoryTransferLine', 'transferId'),
+      eWayBills: childrenOf('eWayBill', 'transferId'),
+    },
+    warehouseInventory: { variant: byId('productVariant', 'variantId'), warehouse: byId('warehouse', 'warehouseId') },
+    inventoryLot: { warehouse: byId('warehouse', 'warehouseId') },
+    productVariant: { product: byId('product', 'productId') },
+  },
+  targets: {
+    fromWarehouse: 'warehouse', toWarehouse: 'warehouse', lines: 'inventoryTransferLine', eWayBills: 'eWayBill',
+    variant: 'productVariant',
+  },
+  defaults: {
+    inventoryTransfer: () => ({ receivedAt: null, hasDiscrepancy: false }),
+    inventoryTransferLine: () => ({
+      receivedQuantity: 0, damagedQuantity: 0, shortQuantity: 0, excessQuantity: 0, notes: null,
+    }),
+    inventoryLot: () => ({ reservedQuantity: 0, receivedQuantity: 0, status: 'AVAILABLE', manufacturedAt: null }),
+    warehouseInventory: () => ({ reservedQuantity: 0, inTransitQuantity: 0 }),
+  },
+});
+
+install(prisma, ['business', 'warehouse', 'warehouseInventory', 'inventoryLot', 'product', 'productVariant',
+  'inventoryTransfer', 'inventoryTransferLine', 'eWayBill', 'inventoryLog']);
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const BUSINESS = 'seller_1';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const seed = ({ gstin = '27AAACA1234A1Z5', blrGstin = '29AAACA1234A1Z1' } = {}) => {
+  reset();
+  insert('business', { id: BUSINESS, gstin });
+  insert('warehouse', {
+    id: 'wh_mum', businessId: BUSINESS, code: 'MUM', name: 'Mumbai DC', status: 'ACTIVE',
+    city: 'Mumbai', state: 'Maharashtra', pincode: '400001',
+  });
+  insert('warehouse', {
+    id: 'wh_pune', businessId: BUSINESS, code: 'PNQ', name: 'Pune DC', status: 'ACTIVE',
+    city: 'Pune', state: 'Maharashtra', pincode: '411001',
+  });
+  insert('warehouse', {
+    id: 'wh_blr', businessId: BUSINESS, code: 'BLR', name: 'Bengaluru DC', status: 'ACTIVE',
+    city: 'Bengaluru', state: 'Karnataka', pincode: '560001', gstin: blrGstin,
+  });
+  insert('product', { id: 'prod_motor', businessId: BUSINESS, name: 'Servo Motor', lotTracked: false });
+  insert('product', { id: 'prod_syrup', businessId: BUSINESS, name: 'Cough Syrup', lotTracked: true });
+  insert('productVariant', {
+    id: 'var_motor', productId: 'prod_motor', sku: 'MTR-1', costPrice: '2000.00', basePrice: '2600.00', stockQuantity: 0,
+  });
+  insert('productVariant', {
+    id: 'var_syrup', productId: 'prod_syrup', sku: 'SYR-100', costPrice: '40.00', basePrice: '60.00', stockQuantity: 0,
+  });
+  insert('warehouseInventory', { warehouseId: 'wh_mum', variantId: 'var_motor', quantity: 100 });
+};
+
+const row = (warehouseId, variantId) => rowsOf('warehouseInventory')
+  .find((inv) => inv.warehouseId === warehouseId && inv.variantId === variantId);
+
+const logsFor = (reasonCode) => rowsOf('inventoryLog').filter((log) => log.reasonCode === reasonCode);
+
+/**
+ * Create, approve and dispatch a transfer of servo motors
+ */
+const dispatchMotors = async (quantity, { to = 'wh_pune', ...data } = {}) => {
+  const transfer = await warehouseService.createTransfer(BUSINESS, {
+    fromWarehouseId: 'wh_mum', toWarehouseId: to, items: [{ variantId: 'var_motor', quantity }],
+  });
+  await warehouseService.approveTransfer(transfer.id, BUSINESS);
+  return warehouseService.dispatchTransfer(transfer.id, BUSINESS, data, 'dispatcher_1');
+};
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('Inventory Transfers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    seed();
+  });
+
+  describe('approveTransfer', () => {
+    it('approves without moving any stock', async () => {
+      const transfer = await warehouseService.createTransfer(BUSINESS, {
+        fromWarehouseId: 'wh_mum', toWarehouseId: 'wh_pune', items: [{ variantId: 'var_motor', quantity: 10 }],
+      });
+
+      const approved = await warehouseService.approveTransfer(transfer.id, BUSINESS);
+
+      expect(approved.status).toBe('APPROVED');
+      expect(row('wh_mum', 'var_motor').quantity).toBe(100);
+      expect(row('wh_pune', 'var_motor')).toBeUndefined();
+    });
+  });
+
+  describe('dispatchTransfer', () => {
+    it('moves units out of the source and into transit at the destination', async () => {
+      const transfer = await dispatchMotors(10);
+
+      expect(transfer.status).toBe('IN_TRANSIT');
+      expect(transfer.declaredValue).toBe(20000);
+      expect(transfer.lines).toEqual([
+        expect.objectContaining({ variantId: 'var_motor', dispatchedQuantity: 10, unitCost: 2000, outstandingQuantity: 10 }),
+      ]);
+      expect(row('wh_mum', 'var_motor').quantity).toBe(90);
+      expect(row('wh_pune', 'var_motor')).toMatchObject({ quantity: 0, inTransitQuantity: 10 });
+      expect(logsFor('TRANSFER_OUT')).toEqual([
+        expect.objectContaining({ type: 'out', quantity: 10, previousQty: 100, newQty: 90, reference: transfer.id }),
+      ]);
+      expect(emitToBusiness).toHaveBeenCalledWith(BUSINESS, 'inventory:transfer_dispatched', expect.any(Object));
+    });
+
+    it('counts units in transit in total stock but not in sellable stock', async () => {
+      await dispatchMotors(10);
+
+      await expect(warehouseService.getTotalStock('var_motor')).resolves.toEqual({ onHand: 90, inTransit: 10, total: 100 });
+      expect(rowsOf('productVariant').find((variant) => variant.id === 'var_motor').stockQuantity).toBe(90);
+    });
+
+    it('only dispatches approved transfers', async () => {
+      const transfer = await warehouseService.createTransfer(BUSINESS, {
+        fromWarehouseId: 'wh_mum', toWarehouseId: 'wh_pune', items: [{ variantId: 'var_motor', quantity: 10 }],
+      });
+
+      await expect(warehouseService.dispatchTransfer(transfer.id, BUSINESS, {}, 'dispatcher_1'))
+        .rejects.toThrow(NotFoundError);
+      expect(row('wh_mum', 'var_motor').quantity).toBe(100);
+    });
+
+    it('moves stock once when the same transfer is dispatched twice at the same time', async () => {
+      const transfer = await warehouseService.createTransfer(BUSINESS, {
+        fromWarehouseId: 'wh_mum', toWarehouseId: 'wh_pune', items: [{ variantId: 'var_motor', quantity: 10 }],
+      });
+      await warehouseService.approveTransfer(transfer.id, BUSINESS);
+
+      const results = await Promise.allSettled([
+        warehouseService.dispatchTransfer(transfer.id, BUSINESS, {}, 'dispatcher_1'),
+        warehouseService.dispatchTransfer(transfer.id, BUSINESS, {}, 'dispatcher_2'),
+      ]);
+
+      expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find((result) => result.status === 'rejected').reason).toBeInstanceOf(ConflictError);
+      expect(row('wh_mum', 'var_motor').quantity).toBe(90);
+      expect(row('wh_pune', 'var_motor').inTransitQuantity).toBe(10);
+      expect(rowsOf('inventoryTransferLine')).toHaveLength(1);
+    });
+
+    it('raises an e-way bill for an inter-state transfer above the value limit', async () => {
+      const transfer = await dispatchMotors(30, { to: 'wh_blr', transport: { vehicleNumber: 'MH12AB1234' } });
+
+      expect(transfer.eWayBills).toHaveLength(1);
+      expect(rowsOf('eWayBill')[0]).toMatchObject({
+        transferId: transfer.id,
+        supplyType: 'OUTWARD',
+        subSupplyType: 'SUPPLY',
+        docType: 'INV',
+        docNumber: transfer.transferNumber,
+        fromGstin: '27AAACA1234A1Z5',
+        toGstin: '29AAACA1234A1Z1',
+        fromState: 'Maharashtra',
+        toState: 'Karnataka',
+        vehicleNumber: 'MH12AB1234',
+        totalValue: 60000,
+      });
+    });
+
+    it('skips the e-way bill within a state', async () => {
+      const transfer = await dispatchMotors(30);
+
+      expect(transfer.eWayBills).toEqual([]);
+    });
+
+    it('refuses an inter-state dispatch without vehicle details before moving stock', async () => {
+      await expect(dispatchMotors(30, { to: 'wh_blr' })).rejects.toThrow(BadRequestError);
+
+      expect(row('wh_mum', 'var_motor').quantity).toBe(100);
+      expect(rowsOf('inventoryTransfer')[0].status).toBe('APPROVED');
+    });
+
+    it('refuses an e-way bill without a GSTIN before moving stock', async () => {
+      seed({ gstin: null });
+
+      await expect(dispatchMotors(30, { to: 'wh_blr', transport: { vehicleNumber: 'MH12AB1234' } }))
+        .rejects.toThrow('A GSTIN is required to generate an e-way bill');
+      expect(row('wh_mum', 'var_motor').quantity).toBe(100);
+    });
+
+    it('refuses an inter-state dispatch to a warehouse without its own registration before moving stock', async () => {
+      seed({ blrGstin: null });
+
+      await expect(dispatchMotors(30, { to: 'wh_blr', transport: { vehicleNumber: 'MH12AB1234' } }))
+        .rejects.toThrow('Bengaluru DC needs its Karnataka GSTIN to receive an inter-state transfer');
+      expect(row('wh_mum', 'var_motor').quantity).toBe(100);
+      expect(rowsOf('inventoryTransfer')[0].status).toBe('APPROVED');
+    });
+
+    it('fails the dispatch transaction when the e-way bill cannot be raised', async () => {
+      prisma.eWayBill.create.mockRejectedValueOnce(new Error('EWB portal unavailable'));
+
+      await expect(dispatchMotors(30, { to: 'wh_blr', transport: { vehicleNumber: 'MH12AB1234' } }))
+        .rejects.toThrow('EWB portal unavailable');
+      expect(rowsOf('eWayBill')).toHaveLength(0);
+    });
+
+    it('carries lot numbers and dates on the transfer lines', async () => {
+      const expiryDate = new Date(Date.now() + 300 * DAY_MS);
+      insert('warehouseInventory', { warehouseId: 'wh_mum', variantId: 'var_syrup', quantity: 50 });
+      insert('inventoryLot', {
+        businessId: BUSINESS, warehouseId: 'wh_mum', variantId: 'var_syrup', lotNumber: 'L-01',
+        quantity: 50, expiryDate, unitCost: '35.00', receivedAt: new Date(),
+      });
+
+      const transfer = await warehouseService.createTransfer(BUSINESS, {
+        fromWarehouseId: 'wh_mum', toWarehouseId: 'wh_pune', items: [{ variantId: 'var_syrup', quantity: 20 }],
+      });
+      await warehouseService.approveTransfer(transfer.id, BUSINESS);
+      const dispatched = await warehouseService.dispatchTransfer(transfer.id, BUSINESS, {}, 'dispatcher_1');
+
+      expect(dispatched.lines).toEqual([
+        expect.objectContaining({ lotNumber: 'L-01', expiryDate, unitCost: 35, dispatchedQuantity: 20 }),
+      ]);
+
+      await warehouseService.receiveTransfer(transfer.id, BUSINESS, {
+        lines: [{ lineId: dispatched.lines[0].id, receivedQuantity: 20 }],
+      }, 'receiver_1');
+
+      const lot = rowsOf('inventoryLot').find((candidate) => candidate.warehouseId === 'wh_pune');
+      expect(lot).toMatchObject({ lotNumber: 'L-01', quantity: 20, expiryDate });
+      expect(row('wh_pune', 'var_syrup')).toMatchObject({ quantity: 20, inTransitQuantity: 0 });
+    });
+  });
+
+  describe('receiveTransfer', () => {
+    it('books a full receipt and completes the transfer', async () => {
+      const transfer = await dispatchMotors(10);
+
+      const received = await warehouseService.receiveTransfer(transfer.id, BUSINESS, {
+        lines: [{ lineId: transfer.lines[0].id, receivedQuantity: 10 }],
+      }, 'receiver_1');
+
+      expect(received).toMatchObject({ status: 'COMPLETED', hasDiscrepancy: false, receivedById: 'receiver_1' });
+      expect(row('wh_pune', 'var_motor')).toMatchObject({ quantity: 10, inTransitQuantity: 0 });
+      expect(logsFor('TRANSFER_IN')).toEqual([expect.objectContaining({ type: 'in', quantity: 10, newQty: 10 })]);
+      expect(emitToBusiness).not.toHaveBeenCalledWith(BUSINESS, 'inventory:transfer_discrepancy', expect.anything());
+    });
+
+    it('keeps the rest in transit after a partial receipt', async () => {
+      const transfer = await dispatchMotors(10);
+
+      const received = await warehouseService.receiveTransfer(transfer.id, BUSINESS, {
+        lines: [{ lineId: transfer.lines[0].id, receivedQuantity: 6 }],
+      }, 'receiver_1');
+
+      expect(received.status).toBe('PARTIALLY_RECEIVED');
+      expect(received.lines[0].outstandingQuantity).toBe(4);
+      expect(row('wh_pune', 'var_motor')).toMatchObject({ quantity: 6, inTransitQuantity: 4 });
+      await expect(warehouseService.getTotalStock('var_motor')).resolves.toEqual({ onHand: 96, inTransit: 4, total: 100 });
+    });
+
+    it('writes off damaged units without booking them', async () => {
+      const transfer = await dispatchMotors(10);
+
+      const received = await warehouseService.receiveTransfer(transfer.id, BUSINESS, {
+        lines: [{ lineId: transfer.lines[0].id, receivedQuantity: 8, damagedQuantity: 2, notes: 'Crushed cartons' }],
+      }, 'receiver_1');
+
+      expect(received).toMatchObject({ status: 'COMPLETED', hasDiscrepancy: true });
+      expect(received.discrepancies.damaged).toEqual({ units: 2, value: 4000 });
+      expect(row('wh_pune', 'var_motor')).toMatchObject({ quantity: 8, inTransitQuantity: 0 });
+      expect(logsFor('TRANSFER_DAMAGED')).toEqual([expect.objectContaining({ type: 'out', quantity: 2 })]);
+      expect(emitToBusiness).toHaveBeenCalledWith(BUSINESS, 'inventory:transfer_discrepancy', expect.objectContaining({
+        transferId: transfer.id,
+      }));
+    });
+
+    it('books excess units and reports them', async () => {
+      const transfer = await dispatchMotors(10);
+
+      const received = await warehouseService.receiveTransfer(transfer.id, BUSINESS, {
+        lines: [{ lineId: transfer.lines[0].id, receivedQuantity: 12 }],
+      }, 'receiver_1');
+
+      expect(received.lines[0]).toMatchObject({ receivedQuantity: 12, excessQuantity: 2 });
+      expect(received.discrepancies.excess).toEqual({ units: 2, value: 4000 });
+      expect(row('wh_pune', 'var_motor')).toMatchObject({ quantity: 12, inTransitQuantity: 0 });
+      expect(logsFor('TRANSFER_IN')[0]).toMatchObject({ quantity: 10, previousQty: 0, newQty: 10 });
+      expect(logsFor('TRANSFER_EXCESS')[0]).toMatchObject({ quantity: 2, previousQty: 10, newQty: 12 });
+    });
+
+    it('records what never arrived as short when the receipt is closed', async () => {
+      const transfer = await dispatchMotors(10);
+      await warehouseService.receiveTransfer(transfer.id, BUSINESS, {
+        lines: [{ lineId: transfer.lines[0].id, receivedQuantity: 7 }],
+      }, 'receiver_1');
+
+      const closed = await warehouseService.receiveTransfer(transfer.id, BUSINESS, { close: true }, 'receiver_1');
+
+      expect(closed).toMatchObject({ status: 'COMPLETED', hasDiscrepancy: true });
+      expect(closed.lines[0]).toMatchObject({ receivedQuantity: 7, shortQuantity: 3, outstandingQuantity: 0 });
+      expect(closed.discrepancies.short).toEqual({ units: 3, value: 6000 });
+      expect(row('wh_pune', 'var_motor')).toMatchObject({ quantity: 7, inTransitQuantity: 0 });
+      expect(logsFor('TRANSFER_SHORT')).toEqual([expect.objectContaining({ quantity: 3 })]);
+      await expect(warehouseService.getTotalStock('var_motor')).resolves.toEqual({ onHand: 97, inTransit: 0, total: 97 });
+    });
+
+    it('rejects receipts against a completed transfer', async () => {
+      const transfer = await dispatchMotors(10);
+      await warehouseService.receiveTransfer(transfer.id, BUSINESS, { close: true }, 'receiver_1');
+
+      await expect(warehouseService.receiveTransfer(transfer.id, BUSINESS, {
+        lines: [{ lineId: transfer.lines[0].id, receivedQuantity: 10 }],
+      }, 'receiver_1')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('cancelTransfer', () => {
+    it('cannot cancel a transfer once dispatched', async () => {
+      const transfer = await dispatchMotors(10);
+
+      await expect(warehouseService.cancelTransfer(transfer.id, BUSINESS, 'Changed plans')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('reports', () => {
+    it('lists outstanding transit with overdue arrivals', async () => {
+      const late = await dispatchMotors(10, { expectedArrival: new Date(Date.now() - DAY_MS) });
+      const onTime = await dispatchMotors(5, { expectedArrival: new Date(Date.now() + DAY_MS) });
+      await warehouseService.receiveTransfer(onTime.id, BUSINESS, {
+        lines: [{ lineId: onTime.lines[0].id, receivedQuantity: 2 }],
+      }, 'receiver_1');
+
+      const report = await warehouseService.getInTransitReport(BUSINESS);
+
+      expect(report.totals).toEqual({ units: 13, value: 26000 });
+      expect(report.transfers).toEqual(expect.arrayContaining([
+        expect.objectContaining({ transferId: late.id, outstandingUnits: 10, isOverdue: true }),
+        expect.objectContaining({ transferId: onTime.id, outstandingUnits: 3, isOverdue: false }),
+      ]));
+      expect(report.byDestination).toEqual([expect.objectContaining({ transfers: 2, units: 13, value: 26000 })]);
+    });
+
+    it('reports completed transfers with discrepancies', async () => {
+      const clean = await dispatchMotors(5);
+      await warehouseService.receiveTransfer(clean.id, BUSINESS, {
+        lines: [{ lineId: clean.lines[0].id, receivedQuantity: 5 }],
+      }, 'receiver_1');
+      const short = await dispatchMotors(10);
+      await warehouseService.receiveTransfer(short.id, BUSINESS, {
+        lines: [{ lineId: short.lines[0].id, receivedQuantity: 9 }],
+        close: true,
+      }, 'receiver_1');
+
+      const report = await warehouseService.getTransferDiscrepancyReport(BUSINESS);
+
+      expect(report.transfers).toEqual([
+        expect.objectContaining({
+          transferId: short.id,
+          lines: [expect.objectContaining({ dispatchedQuantity: 10, receivedQuantity: 9, shortQuantity: 1 })],
+        }),
+      ]);
+      expect(report.totals.short).toEqual({ units: 1, value: 2000 });
+    });
+  });
+});
@@ -0,0 +1,318 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - GENERAL LEDGER SERVICE UNIT TESTS
+// Tests for journal validation, balance constraints and trial balance
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => {
+  const prisma = {
+    ledgerAccount: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      count: jest.fn(),
+      upsert: jest.fn(),
+      update: jest.fn(),
+    },
+    ledgerJournal: { findUnique: jest.fn(), create: jest.fn() },
+    ledgerPosting: { groupBy: jest.fn() },
+    $queryRaw: jest.fn(),
+    $transaction: jest.fn(),
+  };
+  prisma.$transaction.mockImplementation((fn) => fn(prisma));
+  return { prisma };
+});
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  logAudit: jest.fn(),
+}));
+
+const ledgerService = require('../../src/services/ledger.service');
+const { prisma } = require('../../src/config/database');
+
+const { ACCOUNTS } = ledgerService;
+const WALLET = ledgerService.subAccount(ACCOUNTS.CUSTOMER_WALLET, 'biz_1');
+
+const account = (code, overrides = {}) => ({
+  id: `acc_${code}`,
+  code,
+  name: code,
+  type: 'LIABILITY',
+  normalBalance: 'CREDIT',
+  parentCode: null,
+  balanceFloor: null,
+  balanceCeiling: null,
+  isActive: true,
+  ...overrides,
+});
+
+const walletAccount = account(WALLET, { parentCode: ACCOUNTS.CUSTOMER_WALLET, balanceFloor: '0' });
+const clearingAccount = account(ACCOUNTS.ORDERS_CLEARING);
+
+const payment = (amount) => ({
+  reference: `WALLET_PAY:${amount}`,
+  description: 'Wallet payment for order',
+  sourceType: 'WALLET',
+  lines: [
+    { accountCode: WALLET, debit: amount },
+    { accountCode: ACCOUNTS.ORDERS_CLEARING, credit: amount },
+  ],
+});
+
+describe('Ledger Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.$transaction.mockImplementation((fn) => fn(prisma));
+    prisma.ledgerJournal.findUnique.mockResolvedValue(null);
+    prisma.ledgerJournal.create.mockImplementation(({ data }) => Promise.resolve({ id: 'jv_1', ...data }));
+    prisma.ledgerAccount.findMany.mockResolvedValue([walletAccount, clearingAccount]);
+  });
+
+  describe('postJournal', () => {
+    it('should reject a journal whose debits and credits differ', async () => {
+      await expect(ledgerService.postJournal({
+        reference: 'TEST:1',
+        description: 'Unbalanced',
+        sourceType: 'TEST',
+        lines: [
+          { accountCode: WALLET, debit: 100 },
+          { accountCode: ACCOUNTS.ORDERS_CLEARING, credit: 90 },
+        ],
+      })).rejects.toThrow('Journal is unbalanced: debits 100.00, credits 90.00');
+
+      expect(prisma.ledgerJournal.create).not.toHaveBeenCalled();
+    });
+
+    it('should lock accounts, post and return balances derived from postings', async () => {
+      prisma.ledgerPosting.groupBy.mockResolvedValue([
+        { accountId: walletAccount.id, _sum: { debit: '0', credit: '500.00' } },
+      ]);
+
+      const { journal, balances } = await ledgerService.postJournal(payment(200));
+
+      expect(prisma.$queryRaw).toHaveBeenCalledTimes(2);
+      expect(journal.postings.create).toEqual([
+        expect.objectContaining({ accountId: walletAccount.id, debit: '200.00', credit: '0.00' }),
+        expect.objectContaining({ accountId: clearingAccount.id, debit: '0.00', credit: '200.00' }),
+      ]);
+      expect(balances[WALLET]).toBe(300);
+      expect(balances[ACCOUNTS.ORDERS_CLEARING]).toBe(200);
+    });
+
+    it('should refuse to take a wallet below its floor', async () => {
+      prisma.ledgerPosting.groupBy.mockResolvedValue([
+        { accountId: walletAccount.id, _sum: { debit: '0', credit: '150.00' } },
+      ]);
+
+      await expect(ledgerService.postJournal(payment(200)))
+        .rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+      expect(prisma.ledgerJournal.create).not.toHaveBeenCalled();
+    });
+
+    it('should cap a credit receivable at its ceiling', async () => {
+      const receivable = account('1200:biz_1', {
+        type: 'ASSET',
+        normalBalance: 'DEBIT',
+        parentCode: '1200',
+        balanceFloor: '0',
+        balanceCeiling: '1000.00',
+      });
+      prisma.ledgerAccount.findMany.mockResolvedValue([receivable, clearingAccount]);
+      prisma.ledgerPosting.groupBy.mockResolvedValue([
+        { accountId: receivable.id, _sum: { debit: '900.00', credit: '0' } },
+      ]);
+
+      await expect(ledgerService.postJournal({
+        reference: 'CREDIT_USE:1',
+        description: 'Credit used for order',
+        sourceType: 'CREDIT_LINE',
+        lines: [
+          { accountCode: '1200:biz_1', debit: 200 },
+          { accountCode: ACCOUNTS.ORDERS_CLEARING, credit: 200 },
+        ],
+      })).rejects.toThrow('Insufficient balance in 1200:biz_1');
+    });
+
+    it('should open a sub-ledger account from its parent on first use', async () => {
+      prisma.ledgerAccount.findMany
+        .mockResolvedValueOnce([clearingAccount])
+        .mockResolvedValue([walletAccount, clearingAccount]);
+      prisma.ledgerAccount.upsert.mockResolvedValue(walletAccount);
+      prisma.ledgerPosting.groupBy.mockResolvedValue([]);
+
+      await ledgerService.postJournal({
+        reference: 'WALLET_REFUND:1',
+        description: 'Wallet refund',
+        sourceType: 'WALLET',
+        lines: [
+          { accountCode: ACCOUNTS.ORDERS_CLEARING, debit: 50 },
+          { accountCode: WALLET, credit: 50 },
+        ],
+      });
+
+      expect(prisma.ledgerAccount.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        create: expect.objectContaining({
+          code: WALLET,
+          parentCode: ACCOUNTS.CUSTOMER_WALLET,
+          businessId: 'biz_1',
+          normalBalance: 'CREDIT',
+          balanceFloor: 0,
+        }),
+      }));
+    });
+
+    it('should balance each currency of a journal on its own', async () => {
+      await expect(ledgerService.postJournal({
+        reference: 'CURRENCY_EXCHANGE:1',
+        description: 'Exchange USD to INR',
+        sourceType: 'CURRENCY_WALLET',
+        lines: [
+          { accountCode: '2020:w_1@USD', debit: 100 },
+          { accountCode: '2020:w_1', credit: 100 },
+        ],
+      })).rejects.toThrow('Journal is unbalanced in USD: debits 100.00, credits 0.00');
+    });
+
+    it('should open a currency sub-ledger account under its currency parent', async () => {
+      const usdWallet = account('2020:w_1@USD', { parentCode: '2020@USD', balanceFloor: '0', currency: 'USD' });
+      const usdClearing = account('1020@USD', { type: 'ASSET', normalBalance: 'DEBIT', currency: 'USD' });
+      prisma.ledgerAccount.findMany
+        .mockResolvedValueOnce([usdClearing])
+        .mockResolvedValue([usdWallet, usdClearing]);
+      prisma.ledgerAccount.upsert.mockResolvedValue(usdWallet);
+      prisma.ledgerPosting.groupBy.mockResolvedValue([]);
+
+      await ledgerService.postJournal({
+        reference: 'CURRENCY_CREDIT:1',
+        description: 'USD wallet credit',
+        sourceType: 'CURRENCY_WALLET',
+        lines: [
+          { accountCode: ledgerService.currencyAccount(ACCOUNTS.FOREX_CLEARING, 'USD'), debit: 100 },
+          { accountCode: '2020:w_1@USD', credit: 100 },
+        ],
+      });
+
+      expect(prisma.ledgerAccount.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        create: expect.objectContaining({
+          code: '2020:w_1@USD',
+          name: 'Customer Currency Wallets (w_1) USD',
+          parentCode: '2020@USD',
+          currency: 'USD',
+          balanceFloor: 0,
+        }),
+      }));
+    });
+
+    it('should return the original journal when a reference is re-posted', async () => {
+      prisma.ledgerJournal.findUnique.mockResolvedValue({ id: 'jv_0', reference: 'WALLET_PAY:200' });
+
+      const result = await ledgerService.postJournal(payment(200));
+
+      expect(result.duplicate).toBe(true);
+      expect(result.journal.id).toBe('jv_0');
+      expect(prisma.ledgerJournal.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('openBalances', () => {
+    const HOLD = ledgerService.subAccount(ACCOUNTS.WALLET_WITHDRAWAL_PENDING, 'biz_1');
+    const holdAccount = account(HOLD, { parentCode: ACCOUNTS.WALLET_WITHDRAWAL_PENDING, balanceFloor: '0' });
+    const equityAccount = account(ACCOUNTS.OPENING_BALANCE_EQUITY, { type: 'EQUITY' });
+
+    it('should carry a balance kept before the ledger over against opening balance equity', async () => {
+      prisma.ledgerAccount.count.mockResolvedValue(0);
+      prisma.ledgerAccount.findMany.mockResolvedValue([walletAccount, holdAccount, equityAccount]);
+      prisma.ledgerPosting.groupBy.mockResolvedValue([]);
+
+      await ledgerService.openBalances({
+        reference: 'OPENING:WALLET:w_1',
+        description: 'Wallet opening balance',
+        balances: { [WALLET]: 750, [HOLD]: 250 },
+      }, prisma);
+
+      expect(prisma.ledgerJournal.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({
+          reference: 'OPENING:WALLET:w_1',
+          sourceType: 'OPENING_BALANCE',
+          postings: {
+            create: [
+              expect.objectContaining({ accountId: walletAccount.id, debit: '0.00', credit: '750.00' }),
+              expect.objectContaining({ accountId: holdAccount.id, debit: '0.00', credit: '250.00' }),
+              expect.objectContaining({ accountId: equityAccount.id, debit: '1000.00', credit: '0.00' }),
+            ],
+          },
+        }),
+      }));
+    });
+
+    it('should leave accounts that are already in the ledger alone', async () => {
+      prisma.ledgerAccount.count.mockResolvedValue(1);
+
+      const journal = await ledgerService.openBalances({
+        reference: 'OPENING:WALLET:w_1',
+        balances: { [WALLET]: 750 },
+      }, prisma);
+
+      expect(journal).toBeNull();
+      expect(prisma.ledgerJournal.create).not.toHaveBeenCalled();
+    });
+
+    it('should open the accounts without a journal when there is nothing to carry over', async () => {
+      prisma.ledgerAccount.count.mockResolvedValue(0);
+      prisma.ledgerAccount.findMany.mockResolvedValue([]);
+      prisma.ledgerAccount.upsert.mockResolvedValue(walletAccount);
+
+      const journal = await ledgerService.openBalances({
+        reference: 'OPENING:WALLET:w_1',
+        balances: { [WALLET]: 0 },
+      }, prisma);
+
+      expect(journal).toBeNull();
+      expect(prisma.ledgerAccount.upsert).toHaveBeenCalledWith(expect.objectContaining({ where: { code: WALLET } }));
+      expect(prisma.ledgerJournal.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTrialBalance', () => {
+    it('should roll sub-ledgers into their parent and balance', async () => {
+      prisma.ledgerAccount.findMany.mockResolvedValue([
+        account(ACCOUNTS.GATEWAY_CLEARING, { type: 'ASSET', normalBalance: 'DEBIT' }),
+        walletAccount,
+        account('2000:biz_2', { parentCode: ACCOUNTS.CUSTOMER_WALLET }),
+      ]);
+      prisma.ledgerPosting.groupBy.mockResolvedValue([
+        { accountId: `acc_${ACCOUNTS.GATEWAY_CLEARING}`, _sum: { debit: '800.00', credit: '0' } },
+        { accountId: walletAccount.id, _sum: { debit: '0', credit: '500.00' } },
+        { accountId: 'acc_2000:biz_2', _sum: { debit: '0', credit: '300.00' } },
+      ]);
+
+      const trialBalance = await ledgerService.getTrialBalance();
+
+      expect(trialBalance.accounts).toEqual([
+        { code: '1000', name: '1000', type: 'ASSET', debit: 800, credit: 0 },
+        { code: '2000', name: 'Customer Wallets', type: 'LIABILITY', debit: 0, credit: 800 },
+      ]);
+      expect(trialBalance.balanced).toBe(true);
+    });
+
+    it('should keep other currencies out of the trial balance', async () => {
+      prisma.ledgerAccount.findMany.mockResolvedValue([
+        walletAccount,
+        account('2020:w_1@USD', { parentCode: '2020@USD', currency: 'USD' }),
+      ]);
+      prisma.ledgerPosting.groupBy.mockResolvedValue([
+        { accountId: walletAccount.id, _sum: { debit: '0', credit: '500.00' } },
+        { accountId: 'acc_2020:w_1@USD', _sum: { debit: '0', credit: '40.00' } },
+      ]);
+
+      const trialBalance = await ledgerService.getTrialBalance({ currency: 'USD' });
+
+      expect(trialBalance.accounts).toEqual([
+        { code: '2020@USD', name: 'Customer Currency Wallets USD', type: 'LIABILITY', debit: 0, credit: 40 },
+      ]);
+    });
+  });
+});
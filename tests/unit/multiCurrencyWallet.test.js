@@ -0,0 +1,128 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - MULTI-CURRENCY WALLET UNIT TESTS
+// Tests that currency movements post through the general ledger and that
+// balance rows are refreshed from it
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => {
+  const prisma = {
+    wallet: { findUnique: jest.fn() },
+    walletCurrencyBalance: { findUnique: jest.fn(), create: jest.fn(), update: jest.fn() },
+    walletTransaction: { create: jest.fn() },
+    $queryRaw: jest.fn(),
+    $transaction: jest.fn(),
+  };
+  return { prisma };
+});
+
+jest.mock('../../src/config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn(), del: jest.fn() },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/eventEmitter.service', () => ({
+  eventEmitter: { emit: jest.fn() },
+}));
+
+jest.mock('../../src/services/ledger.service', () => ({
+  ...jest.requireActual('../../src/services/ledger.service'),
+  postJournal: jest.fn(),
+  openBalances: jest.fn(),
+}));
+
+const { prisma } = require('../../src/config/database');
+const ledgerService = require('../../src/services/ledger.service');
+const multiCurrencyWalletService = require('../../src/services/multiCurrencyWallet.service');
+const { InsufficientFundsError } = require('../../src/utils/errors');
+
+const USD_WALLET = '2020:w_1@USD';
+
+const balanceRow = (currency, balance, lockedBalance = 0) => ({
+  id: `bal_${currency}`, walletId: 'w_1', currency, balance: String(balance), lockedBalance: String(lockedBalance),
+});
+
+describe('Multi-Currency Wallet Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.$transaction.mockImplementation((fn) => fn(prisma));
+    prisma.walletCurrencyBalance.findUnique.mockResolvedValue(balanceRow('USD', 500));
+    prisma.walletTransaction.create.mockResolvedValue({});
+  });
+
+  describe('debitCurrency', () => {
+    it('should debit through the ledger and refresh the balance row from it', async () => {
+      ledgerService.postJournal.mockResolvedValue({ journal: { id: 'jv_1' }, balances: { [USD_WALLET]: 300 } });
+      prisma.walletCurrencyBalance.update.mockResolvedValue(balanceRow('USD', 300));
+
+      await multiCurrencyWalletService.debitCurrency('w_1', 'USD', 200, { description: 'Supplier payment' });
+
+      expect(ledgerService.openBalances).toHaveBeenCalledWith(expect.objectContaining({
+        reference: 'OPENING:CURRENCY_WALLET:w_1:USD',
+        balances: { [USD_WALLET]: 500 },
+      }), prisma);
+      expect(ledgerService.postJournal).toHaveBeenCalledWith(expect.objectContaining({
+        sourceType: 'CURRENCY_WALLET',
+        lines: [
+          { accountCode: USD_WALLET, debit: 200 },
+          { accountCode: '1020@USD', credit: 200 },
+        ],
+      }), prisma);
+      expect(prisma.walletCurrencyBalance.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: { balance: 300 },
+      }));
+      expect(prisma.walletTransaction.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ balanceBefore: 500, balanceAfter: 300, metadata: { journalId: 'jv_1' } }),
+      });
+    });
+
+    it('should leave the balance alone when the ledger refuses an overdraft', async () => {
+      ledgerService.postJournal.mockRejectedValue(new InsufficientFundsError('USD wallet', '$100.00', '$200.00'));
+
+      await expect(multiCurrencyWalletService.debitCurrency('w_1', 'USD', 200))
+        .rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+
+      expect(prisma.walletCurrencyBalance.update).not.toHaveBeenCalled();
+      expect(prisma.walletTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('should not dip into the locked amount', async () => {
+      ledgerService.postJournal.mockResolvedValue({ journal: { id: 'jv_1' }, balances: { [USD_WALLET]: 300 } });
+      prisma.walletCurrencyBalance.update.mockResolvedValue(balanceRow('USD', 300, 400));
+
+      await expect(multiCurrencyWalletService.debitCurrency('w_1', 'USD', 200))
+        .rejects.toThrow('Insufficient USD balance');
+      expect(prisma.walletTransaction.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exchangeCurrency', () => {
+    it('should balance each currency through the exchange position in one journal', async () => {
+      prisma.wallet.findUnique.mockResolvedValue({ id: 'w_1', userId: 'user_1' });
+      ledgerService.postJournal.mockResolvedValue({
+        journal: { id: 'jv_1' },
+        balances: { [USD_WALLET]: 400, '2020:w_1': 8208.33 },
+      });
+      prisma.walletCurrencyBalance.update.mockImplementation(({ where, data }) => Promise.resolve(
+        balanceRow(where.walletId_currency.currency, data.balance),
+      ));
+
+      const result = await multiCurrencyWalletService.exchangeCurrency('w_1', 'USD', 'INR', 100, 'user_1');
+
+      const [[entry]] = ledgerService.postJournal.mock.calls;
+      expect(entry.lines).toEqual([
+        { accountCode: USD_WALLET, debit: 100 },
+        { accountCode: '1030@USD', credit: 100 },
+        { accountCode: '1030', debit: result.toAmount },
+        { accountCode: '2020:w_1', credit: result.toAmount },
+      ]);
+      expect(result.balances.USD.balance).toBe(400);
+    });
+  });
+});
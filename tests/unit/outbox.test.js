@@ -0,0 +1,249 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - TRANSACTIONAL OUTBOX UNIT TESTS
+// Tests for enqueueing, per-aggregate ordering, retries and the relay worker
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    outboxEvent: {
+      findUnique: jest.fn(),
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(({ data }) => Promise.resolve({ id: `evt_${data.sequence}`, ...data })),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/jobs/queue', () => ({
+  queues: { order: { add: jest.fn() } },
+}));
+
+jest.mock('../../src/services/eventEmitter.service', () => ({
+  eventEmitter: { emit: jest.fn() },
+}));
+
+jest.mock('../../src/services/webhook.service', () => ({
+  dispatch: jest.fn(),
+}));
+
+jest.mock('../../src/services/elasticsearch.service', () => ({
+  syncProducts: jest.fn(),
+}));
+
+const outboxService = require('../../src/services/outbox.service');
+const outboxRelay = require('../../src/jobs/outboxRelay');
+const config = require('../../src/config');
+const { prisma } = require('../../src/config/database');
+const { queues } = require('../../src/jobs/queue');
+const { eventEmitter } = require('../../src/services/eventEmitter.service');
+const webhookService = require('../../src/services/webhook.service');
+const elasticsearchService = require('../../src/services/elasticsearch.service');
+
+const outboxEvent = (overrides = {}) => ({
+  id: 'evt_1',
+  aggregateType: 'Order',
+  aggregateId: 'order_1',
+  sequence: 1,
+  eventType: 'order.confirmed',
+  payload: { orderId: 'order_1', status: 'CONFIRMED' },
+  idempotencyKey: 'Order:order_1:1',
+  destinations: {
+    bus: true,
+    jobs: [{ queue: 'order', name: 'status-update', data: { orderId: 'order_1', status: 'CONFIRMED' } }],
+    webhook: { businessIds: ['seller_1', 'buyer_1'] },
+  },
+  deliveredTo: [],
+  status: 'PENDING',
+  attempts: 1,
+  createdAt: new Date('2026-01-01T00:00:00Z'),
+  ...overrides,
+});
+
+describe('Transactional Outbox', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.outboxEvent.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  // ===========================================================================
+  // ENQUEUE
+  // ===========================================================================
+
+  describe('enqueue', () => {
+    it('writes through the caller transaction with the next aggregate sequence', async () => {
+      const tx = { outboxEvent: { ...prisma.outboxEvent } };
+      prisma.outboxEvent.findFirst.mockResolvedValue({ sequence: 4 });
+
+      const event = await outboxService.enqueue(tx, {
+        aggregateType: 'Order',
+        aggregateId: 'order_1',
+        eventType: 'order.shipped',
+        payload: { orderId: 'order_1' },
+        destinations: { bus: true },
+      });
+
+      expect(event.sequence).toBe(5);
+      expect(event.idempotencyKey).toBe('Order:order_1:5');
+      expect(event.deliveredTo).toEqual([]);
+    });
+
+    it('is a no-op when the idempotency key was already recorded', async () => {
+      const existing = outboxEvent();
+      prisma.outboxEvent.findUnique.mockResolvedValue(existing);
+
+      const event = await outboxService.enqueue(prisma, {
+        aggregateType: 'Order',
+        aggregateId: 'order_1',
+        eventType: 'order.confirmed',
+        idempotencyKey: existing.idempotencyKey,
+      });
+
+      expect(event).toBe(existing);
+      expect(prisma.outboxEvent.create).not.toHaveBeenCalled();
+    });
+  });
+
+  // ===========================================================================
+  // CLAIMING
+  // ===========================================================================
+
+  describe('claimBatch', () => {
+    it('claims only the head event of each aggregate', async () => {
+      prisma.outboxEvent.findMany
+        .mockResolvedValueOnce([
+          outboxEvent({ id: 'a1', sequence: 1, attempts: 0 }),
+          outboxEvent({ id: 'a2', sequence: 2, attempts: 0 }),
+          outboxEvent({ id: 'b3', aggregateId: 'order_2', sequence: 3, attempts: 0 }),
+        ])
+        .mockResolvedValueOnce([]);
+
+      const claimed = await outboxService.claimBatch('worker_1', 10);
+
+      expect(claimed.map((event) => event.id)).toEqual(['a1', 'b3']);
+      expect(claimed[0].attempts).toBe(1);
+      expect(prisma.outboxEvent.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'a1', status: 'PENDING' },
+      }));
+    });
+
+    it('skips aggregates with an earlier event still pending or in flight', async () => {
+      prisma.outboxEvent.findMany
+        .mockResolvedValueOnce([outboxEvent({ id: 'a2', sequence: 2 })])
+        .mockResolvedValueOnce([{ aggregateType: 'Order', aggregateId: 'order_1' }]);
+
+      const claimed = await outboxService.claimBatch('worker_1', 10);
+
+      expect(claimed).toEqual([]);
+      expect(prisma.outboxEvent.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('drops events another relay instance claimed first', async () => {
+      prisma.outboxEvent.findMany
+        .mockResolvedValueOnce([outboxEvent()])
+        .mockResolvedValueOnce([]);
+      prisma.outboxEvent.updateMany.mockResolvedValue({ count: 0 });
+
+      expect(await outboxService.claimBatch('worker_2', 10)).toEqual([]);
+    });
+  });
+
+  // ===========================================================================
+  // FAILURES
+  // ===========================================================================
+
+  describe('markFailed', () => {
+    it('schedules a retry with exponential backoff', async () => {
+      const dead = await outboxService.markFailed(outboxEvent({ attempts: 3 }), new Error('Redis down'));
+
+      const { data } = prisma.outboxEvent.update.mock.calls[0][0];
+      expect(dead).toBe(false);
+      expect(data.status).toBe('PENDING');
+      expect(data.lastError).toBe('Redis down');
+      expect(outboxService.retryDelay(3)).toBe(8000);
+    });
+
+    it('dead-letters the event after the maximum attempts', async () => {
+      const dead = await outboxService.markFailed(
+        outboxEvent({ attempts: config.outbox.maxAttempts }),
+        new Error('Still failing'),
+      );
+
+      expect(dead).toBe(true);
+      expect(prisma.outboxEvent.update.mock.calls[0][0].data.status).toBe('DEAD');
+    });
+  });
+
+  // ===========================================================================
+  // RELAY
+  // ===========================================================================
+
+  describe('relay publish', () => {
+    it('publishes to every destination with the idempotency key', async () => {
+      const published = await outboxRelay.publish(outboxEvent());
+
+      expect(published).toBe(true);
+      expect(eventEmitter.emit).toHaveBeenCalledWith('order.confirmed', expect.objectContaining({
+        orderId: 'order_1',
+        idempotencyKey: 'Order:order_1:1',
+      }));
+      expect(queues.order.add).toHaveBeenCalledWith(
+        'status-update',
+        expect.objectContaining({ orderId: 'order_1' }),
+        { jobId: 'Order:order_1:1:order:status-update' },
+      );
+      expect(webhookService.dispatch).toHaveBeenCalledWith(
+        'order.confirmed',
+        expect.any(Object),
+        ['seller_1', 'buyer_1'],
+        { idempotencyKey: 'Order:order_1:1' },
+      );
+      expect(prisma.outboxEvent.update).toHaveBeenLastCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ status: 'PUBLISHED' }),
+      }));
+    });
+
+    it('skips destinations that already accepted the event on a retry', async () => {
+      await outboxRelay.publish(outboxEvent({ deliveredTo: ['bus', 'jobs'] }));
+
+      expect(eventEmitter.emit).not.toHaveBeenCalled();
+      expect(queues.order.add).not.toHaveBeenCalled();
+      expect(webhookService.dispatch).toHaveBeenCalled();
+    });
+
+    it('keeps the event for retry when a destination fails', async () => {
+      webhookService.dispatch.mockRejectedValueOnce(new Error('Database timeout'));
+
+      const published = await outboxRelay.publish(outboxEvent());
+
+      expect(published).toBe(false);
+      expect(prisma.outboxEvent.update).toHaveBeenCalledWith({
+        where: { id: 'evt_1' },
+        data: { deliveredTo: { push: 'jobs' } },
+      });
+      expect(prisma.outboxEvent.update).toHaveBeenLastCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ status: 'PENDING', lastError: 'Database timeout' }),
+      }));
+    });
+
+    it('re-syncs products named by search index destinations', async () => {
+      await outboxRelay.publish(outboxEvent({
+        aggregateType: 'Product',
+        eventType: 'product.updated',
+        destinations: { searchIndex: { products: ['prod_1'] } },
+      }));
+
+      expect(elasticsearchService.syncProducts).toHaveBeenCalledWith(['prod_1']);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - PAYMENT SERVICE UNIT TESTS
+// Tests for refund reservation against concurrent refunds and the ledger
+// journals gateway captures and refunds post
+// =============================================================================
+
+process.env.RAZORPAY_WEBHOOK_SECRET = 'whsec_test';
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    payment: {
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    $transaction: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  logAudit: jest.fn(),
+}));
+
+jest.mock('razorpay', () => {
+  const gateway = {
+    payments: { refund: jest.fn(), fetch: jest.fn(), transfer: jest.fn() },
+    transfers: { reverse: jest.fn() },
+  };
+  const Razorpay = jest.fn(() => gateway);
+  Razorpay.gateway = gateway;
+  return Razorpay;
+});
+
+jest.mock('../../src/services/taxWithholding.service', () => ({
+  recordWithholding: jest.fn(),
+}));
+
+jest.mock('../../src/services/budget.service', () => ({
+  recordActual: jest.fn(),
+}));
+
+jest.mock('../../src/services/ledger.service', () => ({
+  ACCOUNTS: jest.requireActual('../../src/services/ledger.service').ACCOUNTS,
+  postJournal: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const { gateway } = require('razorpay');
+const paymentService = require('../../src/services/payment.service');
+const ledgerService = require('../../src/services/ledger.service');
+const { prisma } = require('../../src/config/database');
+const { ConflictError, PaymentFailedError } = require('../../src/utils/errors');
+
+const { ACCOUNTS } = ledgerService;
+
+const webhook = (event, payload) => {
+  const body = JSON.stringify({ event, payload });
+  const signature = crypto.createHmac('sha256', 'whsec_test').update(body).digest('hex');
+  return paymentService.handleWebhook(body, signature);
+};
+
+const capturedPayment = (overrides = {}) => ({
+  id: 'pay_1',
+  orderId: 'order_1',
+  amount: '1000.00',
+  refundAmount: null,
+  status: 'CAPTURED',
+  gatewayPaymentId: 'rzp_pay_1',
+  transferIds: [],
+  ...overrides,
+});
+
+describe('Payment Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.$transaction.mockImplementation((fn) => fn(prisma));
+    prisma.payment.updateMany.mockResolvedValue({ count: 1 });
+    gateway.payments.refund.mockResolvedValue({ id: 'rfnd_1' });
+  });
+
+  describe('refundPayment', () => {
+    it('should reserve the refund on the payment before calling the gateway', async () => {
+      prisma.payment.findFirst.mockResolvedValue(capturedPayment({ refundAmount: '300.00' }));
+      prisma.payment.findUnique.mockResolvedValue(capturedPayment({ refundAmount: '700.00' }));
+
+      const result = await paymentService.refundPayment('order_1', 'Damaged', 400);
+
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: { id: 'pay_1', refundAmount: { lte: 600 } },
+        data: { refundAmount: { increment: 400 } },
+      });
+      expect(prisma.payment.updateMany.mock.invocationCallOrder[0])
+        .toBeLessThan(gateway.payments.refund.mock.invocationCallOrder[0]);
+      expect(prisma.payment.update).toHaveBeenCalledWith({
+        where: { id: 'pay_1' },
+        data: expect.not.objectContaining({ refundAmount: expect.anything() }),
+      });
+      expect(result).toMatchObject({ refundId: 'rfnd_1', amount: 400, isPartial: true });
+      expect(ledgerService.postJournal).toHaveBeenCalledWith(expect.objectContaining({
+        reference: 'PAYMENT_REFUND:rfnd_1',
+        lines: [
+          { accountCode: ACCOUNTS.ORDERS_CLEARING, debit: 400 },
+          { accountCode: ACCOUNTS.GATEWAY_CLEARING, credit: 400 },
+        ],
+      }), prisma);
+    });
+
+    it('should refuse without calling the gateway when a concurrent refund took the room', async () => {
+      prisma.payment.findFirst.mockResolvedValue(capturedPayment());
+      prisma.payment.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(paymentService.refundPayment('order_1', 'Damaged')).rejects.toBeInstanceOf(ConflictError);
+
+      expect(prisma.payment.updateMany).toHaveBeenCalledWith({
+        where: { id: 'pay_1', refundAmount: null },
+        data: { refundAmount: 1000 },
+      });
+      expect(gateway.payments.refund).not.toHaveBeenCalled();
+    });
+
+    it('should release the reservation when the gateway refuses the refund', async () => {
+      prisma.payment.findFirst.mockResolvedValue(capturedPayment());
+      gateway.payments.refund.mockRejectedValue(new Error('Gateway down'));
+
+      await expect(paymentService.refundPayment('order_1', 'Damaged', 250)).rejects.toBeInstanceOf(PaymentFailedError);
+
+      expect(prisma.payment.update).toHaveBeenCalledWith({
+        where: { id: 'pay_1' },
+        data: { refundAmount: { decrement: 250 } },
+      });
+      expect(ledgerService.postJournal).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ledger journals', () => {
+    it('should credit orders clearing when the gateway captures a payment', async () => {
+      prisma.payment.findFirst.mockResolvedValue(capturedPayment({ status: 'AUTHORIZED' }));
+
+      await webhook('payment.captured', { payment: { entity: { id: 'rzp_pay_1', created_at: 1767225600 } } });
+
+      expect(prisma.payment.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ status: 'CAPTURED' }),
+      }));
+      expect(ledgerService.postJournal).toHaveBeenCalledWith(expect.objectContaining({
+        reference: 'PAYMENT_CAPTURE:pay_1',
+        sourceType: 'PAYMENT',
+        lines: [
+          { accountCode: ACCOUNTS.GATEWAY_CLEARING, debit: '1000.00' },
+          { accountCode: ACCOUNTS.ORDERS_CLEARING, credit: '1000.00' },
+        ],
+      }), prisma);
+    });
+
+    it('should post a capture the verification already recorded under the same reference', async () => {
+      prisma.payment.findFirst.mockResolvedValue(capturedPayment());
+
+      await webhook('payment.captured', { payment: { entity: { id: 'rzp_pay_1', created_at: 1767225600 } } });
+
+      expect(prisma.payment.update).not.toHaveBeenCalled();
+      expect(ledgerService.postJournal).toHaveBeenCalledWith(
+        expect.objectContaining({ reference: 'PAYMENT_CAPTURE:pay_1' }),
+        prisma,
+      );
+    });
+
+    it('should debit orders clearing for refunds raised at the gateway', async () => {
+      prisma.payment.findFirst.mockResolvedValue(capturedPayment());
+
+      await webhook('refund.created', {
+        refund: { entity: { id: 'rfnd_9', payment_id: 'rzp_pay_1', amount: 50000, created_at: 1767225600 } },
+      });
+
+      expect(ledgerService.postJournal).toHaveBeenCalledWith(expect.objectContaining({
+        reference: 'PAYMENT_REFUND:rfnd_9',
+        lines: [
+          { accountCode: ACCOUNTS.ORDERS_CLEARING, debit: 500 },
+          { accountCode: ACCOUNTS.GATEWAY_CLEARING, credit: 500 },
+        ],
+      }), prisma);
+    });
+  });
+});
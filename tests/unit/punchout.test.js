@@ -0,0 +1,373 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - PUNCHOUT UNIT TESTS
+// Tests for cXML/OCI setup, cart return and inbound OrderRequest orders
+// =============================================================================
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-key-for-testing';
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    punchoutCredential: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+    punchoutSession: {
+      create: jest.fn(({ data }) => Promise.resolve({ id: 'ps_1', ...data })),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+    punchoutLog: {
+      create: jest.fn(),
+      findFirst: jest.fn(),
+    },
+    productVariant: {
+      findUnique: jest.fn(),
+      findFirst: jest.fn(),
+    },
+    businessAddress: { findMany: jest.fn() },
+    order: { findMany: jest.fn() },
+  },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/cart.service', () => ({
+  getOrCreateCart: jest.fn(),
+  clearCart: jest.fn(),
+}));
+
+jest.mock('../../src/services/order.service', () => ({
+  createOrder: jest.fn(),
+}));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { XMLParser } = require('fast-xml-parser');
+const punchoutService = require('../../src/services/punchout.service');
+const { prisma } = require('../../src/config/database');
+const cartService = require('../../src/services/cart.service');
+const orderService = require('../../src/services/order.service');
+const config = require('../../src/config');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@_', parseTagValue: false });
+
+const cxmlCredential = {
+  id: 'cred_1',
+  buyerBusinessId: 'buyer_1',
+  protocol: 'CXML',
+  domain: 'NetworkID',
+  identity: 'AN0100',
+  secretHash: sha256('s3cret-shared-key'),
+  userId: 'user_1',
+  allowedReturnHosts: ['*.ariba.example.com'],
+  isActive: true,
+};
+
+const header = (secret = 's3cret-shared-key') => `
+  <Header>
+    <From><Credential domain="NetworkID"><Identity>AN0100</Identity></Credential></From>
+    <To><Credential domain="NetworkID"><Identity>AIRAVAT</Identity></Credential></To>
+    <Sender>
+      <Credential domain="NetworkID"><Identity>AN0100</Identity><SharedSecret>${secret}</SharedSecret></Credential>
+      <UserAgent>Ariba</UserAgent>
+    </Sender>
+  </Header>`;
+
+const setupRequest = (returnUrl, secret) => `<?xml version="1.0"?>
+<cXML payloadID="setup-1@erp" timestamp="2026-10-19T10:00:00Z">${header(secret)}
+  <Request>
+    <PunchOutSetupRequest operation="create">
+      <BuyerCookie>cookie-42</BuyerCookie>
+      <BrowserFormPost><URL>${returnUrl}</URL></BrowserFormPost>
+    </PunchOutSetupRequest>
+  </Request>
+</cXML>`;
+
+const orderRequest = `<?xml version="1.0"?>
+<cXML payloadID="order-1@erp" timestamp="2026-10-19T11:00:00Z">${header()}
+  <Request>
+    <OrderRequest>
+      <OrderRequestHeader orderID="PO-7781" type="new">
+        <ShipTo><Address><Name>Plant 2</Name><PostalAddress><PostalCode>411001</PostalCode></PostalAddress></Address></ShipTo>
+      </OrderRequestHeader>
+      <ItemOut quantity="10" lineNumber="1">
+        <ItemID><SupplierPartID>BOLT-M8</SupplierPartID><SupplierPartAuxiliaryID>prod_1:var_1</SupplierPartAuxiliaryID></ItemID>
+      </ItemOut>
+      <ItemOut quantity="4" lineNumber="2">
+        <ItemID><SupplierPartID>NUT-M8</SupplierPartID></ItemID>
+      </ItemOut>
+    </OrderRequest>
+  </Request>
+</cXML>`;
+
+const statusOf = (xml) => parser.parse(xml).cXML.Response.Status;
+
+describe('Punchout Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.punchoutCredential.findUnique.mockResolvedValue(cxmlCredential);
+  });
+
+  describe('setupCxml', () => {
+    it('should authenticate the shared secret and return a one-time start page', async () => {
+      const result = await punchoutService.setupCxml(setupRequest('https://buyer.ariba.example.com/return'));
+
+      expect(result.status).toBe(200);
+      const response = parser.parse(result.xml).cXML.Response;
+      expect(response.Status['@_code']).toBe('200');
+      expect(response.PunchOutSetupResponse.StartPage.URL).toMatch(/\/api\/v1\/punchout\/start\/[0-9a-f]{64}$/);
+
+      const session = prisma.punchoutSession.create.mock.calls[0][0].data;
+      expect(session).toMatchObject({
+        buyerBusinessId: 'buyer_1',
+        userId: 'user_1',
+        protocol: 'CXML',
+        buyerCookie: 'cookie-42',
+        returnUrl: 'https://buyer.ariba.example.com/return',
+        payloadId: 'setup-1@erp',
+      });
+      const token = response.PunchOutSetupResponse.StartPage.URL.split('/').pop();
+      expect(session.startTokenHash).toBe(sha256(token));
+      expect(prisma.punchoutLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ sessionId: 'ps_1', documentType: 'PunchOutSetupRequest', statusCode: 200 }),
+      });
+    });
+
+    it('should answer a wrong shared secret with a cXML 401 status', async () => {
+      const result = await punchoutService.setupCxml(
+        setupRequest('https://buyer.ariba.example.com/return', 'wrong-secret'),
+      );
+
+      expect(result.status).toBe(401);
+      expect(statusOf(result.xml)['@_code']).toBe('401');
+      expect(prisma.punchoutSession.create).not.toHaveBeenCalled();
+      expect(prisma.punchoutLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ statusCode: 401, error: 'Invalid punchout credentials' }),
+      });
+    });
+
+    it('should refuse to post carts back to hosts outside the allow-list', async () => {
+      const result = await punchoutService.setupCxml(setupRequest('https://evil.example.net/steal'));
+
+      expect(result.status).toBe(403);
+      expect(prisma.punchoutSession.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startSession', () => {
+    it('should activate the session once and sign a token bound to it', async () => {
+      prisma.punchoutSession.findUnique.mockResolvedValue({
+        id: 'ps_1',
+        userId: 'user_1',
+        protocol: 'CXML',
+        status: 'OPEN',
+        expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+      });
+
+      const result = await punchoutService.startSession('token-abc');
+
+      expect(prisma.punchoutSession.findUnique).toHaveBeenCalledWith({ where: { startTokenHash: sha256('token-abc') } });
+      expect(prisma.punchoutSession.update).toHaveBeenCalledWith({
+        where: { id: 'ps_1' },
+        data: expect.objectContaining({ status: 'ACTIVE' }),
+      });
+      expect(jwt.verify(result.token, config.jwt.secret)).toMatchObject({ userId: 'user_1', punchoutSessionId: 'ps_1' });
+      expect(result.redirectUrl).toContain('/punchout/start#token=');
+    });
+
+    it('should reject a start link that was already used', async () => {
+      prisma.punchoutSession.findUnique.mockResolvedValue({ id: 'ps_1', status: 'ACTIVE', expiresAt: new Date() });
+
+      await expect(punchoutService.startSession('token-abc')).rejects.toThrow('invalid or already used');
+    });
+  });
+
+  describe('setupOci', () => {
+    it('should start the session straight away and keep the OCI round-trip parameters', async () => {
+      prisma.punchoutCredential.findUnique.mockResolvedValue({
+        ...cxmlCredential,
+        protocol: 'OCI',
+        domain: 'OCI',
+        identity: 'SAPBUYER',
+        secretHash: sha256('oci-password'),
+        allowedReturnHosts: ['srm.example.com'],
+      });
+      prisma.punchoutSession.findUnique.mockImplementation(({ where }) => Promise.resolve({
+        id: 'ps_1',
+        userId: 'user_1',
+        protocol: 'OCI',
+        status: 'OPEN',
+        startTokenHash: where.startTokenHash,
+        expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+      }));
+
+      const result = await punchoutService.setupOci({
+        USERNAME: 'SAPBUYER',
+        PASSWORD: 'oci-password',
+        HOOK_URL: 'https://srm.example.com/sap/bc/gui/oci',
+        '~OkCode': 'ADDI',
+        '~TARGET': '_parent',
+      });
+
+      expect(prisma.punchoutSession.create.mock.calls[0][0].data).toMatchObject({
+        protocol: 'OCI',
+        returnUrl: 'https://srm.example.com/sap/bc/gui/oci',
+        ociParams: { okCode: 'ADDI', target: '_parent', caller: 'CTLG' },
+      });
+      expect(result.sessionId).toBe('ps_1');
+      expect(result.redirectUrl).toContain('#token=');
+    });
+  });
+
+  describe('transferCart', () => {
+    const cart = {
+      id: 'cart_1',
+      items: [{
+        quantity: 3,
+        unitPrice: 120,
+        currentPrice: 110,
+        itemTotal: 330,
+        product: { id: 'prod_1', name: 'Hex Bolt M8', businessId: 'seller_1' },
+        variant: { id: 'var_1', sku: 'BOLT-M8' },
+      }],
+    };
+
+    const session = (overrides = {}) => ({
+      id: 'ps_1',
+      userId: 'user_1',
+      buyerBusinessId: 'buyer_1',
+      credentialId: 'cred_1',
+      status: 'ACTIVE',
+      buyerCookie: 'cookie-42',
+      returnUrl: 'https://buyer.ariba.example.com/return',
+      expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+      credential: cxmlCredential,
+      protocol: 'CXML',
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      cartService.getOrCreateCart.mockResolvedValue(cart);
+    });
+
+    it('should return the cart as a PunchOutOrderMessage instead of creating an order', async () => {
+      prisma.punchoutSession.findUnique.mockResolvedValue(session());
+
+      const result = await punchoutService.transferCart('ps_1', 'user_1');
+
+      const message = parser.parse(result.fields['cxml-urlencoded']).cXML.Message.PunchOutOrderMessage;
+      expect(message.BuyerCookie).toBe('cookie-42');
+      expect(message.PunchOutOrderMessageHeader.Total.Money['#text']).toBe('330.00');
+      expect(message.ItemIn['@_quantity']).toBe('3');
+      expect(message.ItemIn.ItemID).toEqual({ SupplierPartID: 'BOLT-M8', SupplierPartAuxiliaryID: 'prod_1:var_1' });
+      expect(message.ItemIn.ItemDetail.UnitPrice.Money['#text']).toBe('110.00');
+      expect(result.action).toBe('https://buyer.ariba.example.com/return');
+      expect(result.html).toContain('name="cxml-urlencoded"');
+      expect(cartService.clearCart).toHaveBeenCalledWith('cart_1');
+      expect(orderService.createOrder).not.toHaveBeenCalled();
+      expect(prisma.punchoutSession.update).toHaveBeenCalledWith({
+        where: { id: 'ps_1' },
+        data: expect.objectContaining({ status: 'TRANSFERRED' }),
+      });
+    });
+
+    it('should return OCI NEW_ITEM fields to the hook URL', async () => {
+      prisma.punchoutSession.findUnique.mockResolvedValue(session({
+        protocol: 'OCI',
+        returnUrl: 'https://srm.example.com/sap/bc/gui/oci',
+        ociParams: { okCode: 'ADDI', target: '_parent', caller: 'CTLG' },
+      }));
+
+      const result = await punchoutService.transferCart('ps_1', 'user_1');
+
+      expect(result.fields).toMatchObject({
+        'NEW_ITEM-DESCRIPTION[1]': 'Hex Bolt M8',
+        'NEW_ITEM-QUANTITY[1]': '3',
+        'NEW_ITEM-PRICE[1]': '110.00',
+        'NEW_ITEM-VENDORMAT[1]': 'BOLT-M8',
+        '~OkCode': 'ADDI',
+        '~TARGET': '_parent',
+      });
+      expect(result.html).toContain('target="_parent"');
+    });
+
+    it('should not transfer a session that already returned its cart', async () => {
+      prisma.punchoutSession.findUnique.mockResolvedValue(session({ status: 'TRANSFERRED' }));
+
+      await expect(punchoutService.transferCart('ps_1', 'user_1')).rejects.toThrow('transferred');
+      expect(cartService.clearCart).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processOrderRequest', () => {
+    beforeEach(() => {
+      prisma.punchoutLog.findFirst.mockResolvedValue(null);
+      prisma.order.findMany.mockResolvedValue([]);
+      prisma.productVariant.findUnique.mockResolvedValue({ id: 'var_1', product: { businessId: 'seller_1' } });
+      prisma.productVariant.findFirst.mockResolvedValue({ id: 'var_2', product: { businessId: 'seller_2' } });
+      prisma.businessAddress.findMany.mockResolvedValue([
+        { id: 'addr_hq', type: 'billing', pincode: '110001', isDefault: true },
+        { id: 'addr_plant', type: 'shipping', pincode: '411001', isDefault: false },
+      ]);
+      orderService.createOrder
+        .mockResolvedValueOnce({ id: 'order_a' })
+        .mockResolvedValueOnce({ id: 'order_b' });
+    });
+
+    it('should create one order per seller against the matching buyer address', async () => {
+      const result = await punchoutService.processOrderRequest(orderRequest);
+
+      expect(result.status).toBe(200);
+      expect(result.orderIds).toEqual(['order_a', 'order_b']);
+      expect(orderService.createOrder).toHaveBeenCalledWith('buyer_1', {
+        sellerId: 'seller_1',
+        items: [{ variantId: 'var_1', quantity: 10 }],
+        billingAddressId: 'addr_hq',
+        shippingAddressId: 'addr_plant',
+        paymentMethod: 'CREDIT_LINE',
+        buyerNote: 'ERP order PO-7781',
+      });
+      expect(prisma.productVariant.findFirst).toHaveBeenCalledWith(expect.objectContaining({ where: { sku: 'NUT-M8' } }));
+      expect(prisma.punchoutLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ documentType: 'OrderRequest', statusCode: 200, orderIds: ['order_a', 'order_b'] }),
+      });
+    });
+
+    it('should acknowledge a replayed payloadID without creating orders again', async () => {
+      prisma.punchoutLog.findFirst.mockResolvedValue({ orderIds: ['order_a', 'order_b'] });
+
+      const result = await punchoutService.processOrderRequest(orderRequest);
+
+      expect(result).toMatchObject({ status: 200, duplicate: true, orderIds: ['order_a', 'order_b'] });
+      expect(orderService.createOrder).not.toHaveBeenCalled();
+    });
+
+    it('should resume after sellers already ordered when a failed document is retried', async () => {
+      prisma.order.findMany.mockResolvedValue([{ id: 'order_a', sellerId: 'seller_1' }]);
+      orderService.createOrder.mockReset().mockResolvedValueOnce({ id: 'order_b' });
+
+      const result = await punchoutService.processOrderRequest(orderRequest);
+
+      expect(result.orderIds).toEqual(['order_a', 'order_b']);
+      expect(orderService.createOrder).toHaveBeenCalledTimes(1);
+      expect(orderService.createOrder.mock.calls[0][1].sellerId).toBe('seller_2');
+    });
+
+    it('should report unknown parts as a cXML 400', async () => {
+      prisma.productVariant.findFirst.mockResolvedValue(null);
+
+      const result = await punchoutService.processOrderRequest(orderRequest);
+
+      expect(result.status).toBe(400);
+      expect(statusOf(result.xml)['@_text']).toBe('Unknown supplier part NUT-M8');
+      expect(orderService.createOrder).not.toHaveBeenCalled();
+    });
+  });
+});
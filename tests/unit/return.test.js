@@ -0,0 +1,317 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - RETURN SERVICE UNIT TESTS
+// Tests for partial-quantity returns, inspection and prorated refunds
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    order: { findUnique: jest.fn() },
+    orderTimeline: { create: jest.fn() },
+    returnRequest: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      count: jest.fn(),
+    },
+    returnItem: { groupBy: jest.fn(), update: jest.fn() },
+    warehouseInventory: { findUnique: jest.fn() },
+    inventoryLog: { create: jest.fn() },
+    $transaction: jest.fn(),
+  },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  logAudit: jest.fn(),
+}));
+
+jest.mock('../../src/services/socket.service', () => ({
+  emitToBusiness: jest.fn(),
+  emitToOrder: jest.fn(),
+}));
+
+jest.mock('../../src/services/payment.service', () => ({
+  refundPayment: jest.fn(),
+}));
+
+jest.mock('../../src/services/shipping.service', () => ({
+  CARRIERS: { DELHIVERY: 'delhivery' },
+  createShipment: jest.fn(),
+}));
+
+jest.mock('../../src/services/warehouse.service', () => ({
+  addInventory: jest.fn(),
+  refreshStockCache: jest.fn(),
+}));
+
+const returnService = require('../../src/services/return.service');
+const { prisma } = require('../../src/config/database');
+const paymentService = require('../../src/services/payment.service');
+const warehouseService = require('../../src/services/warehouse.service');
+
+const deliveredOrder = {
+  id: 'order_1',
+  orderNumber: 'AIR-2024-000001',
+  buyerId: 'buyer_1',
+  sellerId: 'seller_1',
+  status: 'DELIVERED',
+  deliveredAt: new Date(),
+  shippingAddress: { city: 'Delhi' },
+  items: [
+    {
+      id: 'item_1',
+      variantId: 'variant_1',
+      productName: 'Steel Bolts',
+      quantity: 500,
+      deliveredQty: 500,
+      unitPrice: '10.00',
+      taxAmount: '900.00',
+    },
+  ],
+};
+
+describe('Return Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.$transaction.mockImplementation((arg) => (
+      typeof arg === 'function' ? arg(prisma) : Promise.all(arg)
+    ));
+    prisma.returnRequest.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  describe('calculateRefundAmount', () => {
+    it('should prorate price and tax for accepted units only', () => {
+      const result = returnService.calculateRefundAmount([
+        { unitPrice: '10.00', unitTax: '1.80', acceptedQty: 40 },
+        { unitPrice: '25.00', unitTax: '4.50', acceptedQty: 0 },
+      ]);
+
+      expect(result.gross).toBe(472);
+      expect(result.refundAmount).toBe(472);
+    });
+
+    it('should deduct the restocking fee', () => {
+      const result = returnService.calculateRefundAmount(
+        [{ unitPrice: '100.00', unitTax: '0', acceptedQty: 10 }],
+        5
+      );
+
+      expect(result.restockingFee).toBe(50);
+      expect(result.refundAmount).toBe(950);
+    });
+  });
+
+  describe('createReturnRequest', () => {
+    it('should create an RMA for part of an order line', async () => {
+      prisma.order.findUnique.mockResolvedValue(deliveredOrder);
+      prisma.returnItem.groupBy.mockResolvedValue([]);
+      prisma.returnRequest.count.mockResolvedValue(0);
+      prisma.returnRequest.create.mockImplementation(({ data }) => ({ id: 'ret_1', ...data }));
+
+      const result = await returnService.createReturnRequest('buyer_1', 'order_1', {
+        reasonCode: 'DAMAGED',
+        items: [{ orderItemId: 'item_1', quantity: 40 }],
+      });
+
+      expect(result.rmaNumber).toMatch(/^RMA-\d{4}-000001$/);
+      expect(result.requestedAmount).toBe(472);
+      expect(result.items.create[0]).toEqual(expect.objectContaining({
+        quantity: 40,
+        unitTax: 1.8,
+      }));
+    });
+
+    it('should reject quantities already under another return', async () => {
+      prisma.order.findUnique.mockResolvedValue(deliveredOrder);
+      prisma.returnItem.groupBy.mockResolvedValue([
+        { orderItemId: 'item_1', _sum: { quantity: 480, rejectedQty: 0 } },
+      ]);
+
+      await expect(returnService.createReturnRequest('buyer_1', 'order_1', {
+        reasonCode: 'DAMAGED',
+        items: [{ orderItemId: 'item_1', quantity: 40 }],
+      })).rejects.toThrow('Returnable: 20');
+    });
+
+    it('should reject returns for undelivered orders', async () => {
+      prisma.order.findUnique.mockResolvedValue({ ...deliveredOrder, status: 'SHIPPED' });
+
+      await expect(returnService.createReturnRequest('buyer_1', 'order_1', {
+        reasonCode: 'DAMAGED',
+        items: [{ orderItemId: 'item_1', quantity: 1 }],
+      })).rejects.toThrow('Cannot return an order in SHIPPED state');
+    });
+  });
+
+  describe('inspectReturn', () => {
+    const receivedReturn = {
+      id: 'ret_1',
+      rmaNumber: 'RMA-2024-000001',
+      orderId: 'order_1',
+      buyerId: 'buyer_1',
+      sellerId: 'seller_1',
+      status: 'RECEIVED',
+      warehouseId: 'wh_1',
+      items: [
+        { id: 'ri_1', orderItemId: 'item_1', variantId: 'variant_1', quantity: 40, receivedQty: 40, unitPrice: '10.00', unitTax: '1.80' },
+      ],
+    };
+
+    it('should restock accepted units and compute the refund', async () => {
+      prisma.returnRequest.findUnique.mockResolvedValue(receivedReturn);
+      prisma.warehouseInventory.findUnique.mockResolvedValue({ quantity: 100 });
+      warehouseService.addInventory.mockResolvedValue({ quantity: 135 });
+      prisma.returnRequest.update.mockImplementation(({ data }) => ({ ...receivedReturn, ...data }));
+
+      const result = await returnService.inspectReturn('ret_1', 'seller_1', {
+        items: [{ returnItemId: 'ri_1', acceptedQty: 35, rejectedQty: 5, rejectionReason: 'Seal broken' }],
+      });
+
+      expect(warehouseService.addInventory).toHaveBeenCalledWith('wh_1', 'variant_1', 35, {
+        lotNumber: undefined,
+        orderItemId: 'item_1',
+      }, prisma);
+      expect(prisma.inventoryLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ quantity: 35, previousQty: 100, newQty: 135 }),
+      });
+      expect(prisma.returnItem.update).toHaveBeenCalledWith({
+        where: { id: 'ri_1' },
+        data: expect.objectContaining({ acceptedQty: 35, rejectedQty: 5, restockedQty: 35 }),
+      });
+      expect(warehouseService.refreshStockCache).toHaveBeenCalledWith(['variant_1']);
+      expect(result.status).toBe('INSPECTED');
+      expect(result.refundAmount).toBe(413);
+    });
+
+    it('should not restock anything when a later line is invalid', async () => {
+      prisma.returnRequest.findUnique.mockResolvedValue({
+        ...receivedReturn,
+        items: [
+          ...receivedReturn.items,
+          { id: 'ri_2', orderItemId: 'item_2', variantId: 'variant_2', quantity: 10, receivedQty: 10, unitPrice: '5.00', unitTax: '0' },
+        ],
+      });
+
+      await expect(returnService.inspectReturn('ret_1', 'seller_1', {
+        items: [
+          { returnItemId: 'ri_1', acceptedQty: 40, rejectedQty: 0 },
+          { returnItemId: 'ri_2', acceptedQty: 3, rejectedQty: 0 },
+        ],
+      })).rejects.toThrow('must add up to 10 received');
+
+      expect(warehouseService.addInventory).not.toHaveBeenCalled();
+      expect(prisma.returnItem.update).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a return that another request already inspected', async () => {
+      prisma.returnRequest.findUnique.mockResolvedValue(receivedReturn);
+      prisma.returnRequest.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(returnService.inspectReturn('ret_1', 'seller_1', {
+        items: [{ returnItemId: 'ri_1', acceptedQty: 40, rejectedQty: 0 }],
+      })).rejects.toThrow('was updated by another request');
+
+      expect(warehouseService.addInventory).not.toHaveBeenCalled();
+    });
+
+    it('should require accepted and rejected units to match received units', async () => {
+      prisma.returnRequest.findUnique.mockResolvedValue(receivedReturn);
+
+      await expect(returnService.inspectReturn('ret_1', 'seller_1', {
+        items: [{ returnItemId: 'ri_1', acceptedQty: 30, rejectedQty: 5 }],
+      })).rejects.toThrow('must add up to 40 received');
+    });
+
+    it('should not allow the buyer to inspect', async () => {
+      prisma.returnRequest.findUnique.mockResolvedValue(receivedReturn);
+
+      await expect(returnService.inspectReturn('ret_1', 'buyer_1', { items: [] }))
+        .rejects.toThrow('Only the seller can perform this action');
+    });
+  });
+
+  describe('processReturnRefund', () => {
+    it('should issue a partial refund for the inspected amount', async () => {
+      prisma.returnRequest.findUnique.mockResolvedValue({
+        id: 'ret_1',
+        rmaNumber: 'RMA-2024-000001',
+        orderId: 'order_1',
+        buyerId: 'buyer_1',
+        sellerId: 'seller_1',
+        status: 'INSPECTED',
+        refundAmount: '413.00',
+        items: [],
+      });
+      paymentService.refundPayment.mockResolvedValue({ refundId: 'rfnd_1' });
+      prisma.returnRequest.update.mockImplementation(({ data }) => ({ id: 'ret_1', ...data }));
+
+      const result = await returnService.processReturnRefund('ret_1', 'seller_1');
+
+      expect(prisma.returnRequest.updateMany).toHaveBeenCalledWith({
+        where: { id: 'ret_1', status: 'INSPECTED' },
+        data: { status: 'REFUNDED' },
+      });
+      expect(paymentService.refundPayment).toHaveBeenCalledWith('order_1', 'Return RMA-2024-000001', 413);
+      expect(result.status).toBe('REFUNDED');
+    });
+
+    it('should not refund a return that another request already claimed', async () => {
+      prisma.returnRequest.findUnique.mockResolvedValue({
+        id: 'ret_1',
+        orderId: 'order_1',
+        buyerId: 'buyer_1',
+        sellerId: 'seller_1',
+        status: 'INSPECTED',
+        refundAmount: '413.00',
+        items: [],
+      });
+      prisma.returnRequest.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(returnService.processReturnRefund('ret_1', 'seller_1'))
+        .rejects.toThrow('was updated by another request');
+      expect(paymentService.refundPayment).not.toHaveBeenCalled();
+    });
+
+    it('should release the claim when the gateway refund fails', async () => {
+      prisma.returnRequest.findUnique.mockResolvedValue({
+        id: 'ret_1',
+        orderId: 'order_1',
+        buyerId: 'buyer_1',
+        sellerId: 'seller_1',
+        status: 'INSPECTED',
+        refundAmount: '413.00',
+        items: [],
+      });
+      paymentService.refundPayment.mockRejectedValue(new Error('Gateway timeout'));
+
+      await expect(returnService.processReturnRefund('ret_1', 'seller_1')).rejects.toThrow('Gateway timeout');
+      expect(prisma.returnRequest.updateMany).toHaveBeenLastCalledWith({
+        where: { id: 'ret_1', status: 'REFUNDED', refundId: null },
+        data: { status: 'INSPECTED' },
+      });
+    });
+
+    it('should close the return when nothing was accepted', async () => {
+      prisma.returnRequest.findUnique.mockResolvedValue({
+        id: 'ret_1',
+        orderId: 'order_1',
+        buyerId: 'buyer_1',
+        sellerId: 'seller_1',
+        status: 'INSPECTED',
+        refundAmount: '0',
+        items: [],
+      });
+      prisma.returnRequest.update.mockImplementation(({ data }) => ({ id: 'ret_1', ...data }));
+
+      const result = await returnService.processReturnRefund('ret_1', 'seller_1');
+
+      expect(paymentService.refundPayment).not.toHaveBeenCalled();
+      expect(result.status).toBe('CLOSED');
+    });
+  });
+});
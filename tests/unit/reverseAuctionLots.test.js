@@ -0,0 +1,272 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - MULTI-LOT REVERSE AUCTION UNIT TESTS
+// Tests for weighted scoring, split awards, per-supplier POs and visibility
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => {
+  const prisma = {
+    reverseAuction: { findUnique: jest.fn(), updateMany: jest.fn() },
+    reverseAuctionLot: { updateMany: jest.fn() },
+    reverseAuctionLotBid: { findMany: jest.fn(), updateMany: jest.fn() },
+    reverseAuctionEvaluation: { findMany: jest.fn() },
+    reverseAuctionAward: { create: jest.fn(({ data }) => Promise.resolve(data)) },
+    reverseAuctionInvitation: { findFirst: jest.fn() },
+    vendorScorecard: { findMany: jest.fn() },
+    business: { findFirst: jest.fn(), findMany: jest.fn() },
+    productVariant: { findMany: jest.fn() },
+    order: { create: jest.fn() },
+    $transaction: jest.fn(),
+  };
+  prisma.$transaction.mockImplementation((fn) => fn(prisma));
+  return { prisma };
+});
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const reverseAuctionService = require('../../src/services/reverseAuction.service');
+const { prisma } = require('../../src/config/database');
+const { checkCreate } = require('../helpers/prismaSchema');
+
+const lots = [
+  { id: 'lot_1', lotNumber: 1, title: 'TMT bars', quantity: 100, productId: 'prod_1', variantId: 'var_1' },
+  { id: 'lot_2', lotNumber: 2, title: 'Binding wire', quantity: 50, productId: 'prod_2', variantId: 'var_2' },
+];
+
+const variants = [
+  { id: 'var_1', sku: 'TMT-12', variantName: '12 mm', product: { name: 'TMT bars', gstRate: 18, hsnCode: '7214' } },
+  { id: 'var_2', sku: 'BW-18', variantName: null, product: { name: 'Binding wire', gstRate: 12, hsnCode: '7217' } },
+];
+
+const bid = (id, lotId, sellerId, unitPrice, quantity, deliveryDays, minute = 0) => ({
+  id,
+  lotId,
+  sellerId,
+  unitPrice,
+  quantity,
+  deliveryDays,
+  createdAt: new Date(Date.UTC(2026, 0, 1, 0, minute)),
+});
+
+const setupAuction = (overrides = {}, bids = []) => {
+  prisma.reverseAuction.findUnique.mockResolvedValue({
+    id: 'ra_1',
+    auctionNumber: 'RA2601-ABCDE',
+    buyerId: 'user_buyer',
+    status: 'ENDED',
+    currency: 'INR',
+    isMultiLot: true,
+    isPublic: true,
+    awardMethod: 'LOWEST_BID',
+    bidVisibility: 'OPEN',
+    scoringModel: null,
+    deliveryAddress: { addressLine1: 'Plot 4, MIDC', city: 'Pune', state: 'Maharashtra', pincode: '411019' },
+    lots,
+    ...overrides,
+  });
+  prisma.reverseAuctionLotBid.findMany.mockResolvedValue(bids);
+};
+
+describe('Multi-lot Reverse Auctions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.reverseAuctionEvaluation.findMany.mockResolvedValue([]);
+    prisma.vendorScorecard.findMany.mockResolvedValue([]);
+    prisma.order.create.mockImplementation(({ data }) => Promise.resolve({ id: `order_${data.sellerId}`, ...data }));
+    prisma.reverseAuction.updateMany.mockResolvedValue({ count: 1 });
+    prisma.business.findFirst.mockResolvedValue({
+      id: 'biz_buyer',
+      addresses: [{ id: 'addr_1', businessId: 'biz_buyer', type: 'billing', isDefault: true, city: 'Mumbai', state: 'Maharashtra' }],
+    });
+    prisma.business.findMany.mockResolvedValue([
+      { id: 'sel_a', state: 'Maharashtra' },
+      { id: 'sel_b', state: 'Gujarat' },
+      { id: 'sel_c', state: 'Maharashtra' },
+    ]);
+    prisma.productVariant.findMany.mockResolvedValue(variants);
+  });
+
+  describe('scoreLotBids', () => {
+    it('should weight price, lead time, rating and technical scores', () => {
+      const [cheap, fast] = reverseAuctionService.scoreLotBids(
+        [bid('b1', 'lot_1', 'sel_a', 80, 100, 20), bid('b2', 'lot_1', 'sel_b', 100, 100, 10)],
+        { price: 50, leadTime: 20, vendorRating: 10, technical: 20 },
+        { sel_a: 60, sel_b: 90 },
+        { sel_a: 70, sel_b: 95 },
+      );
+
+      expect(cheap.breakdown).toEqual({ price: 100, leadTime: 50, vendorRating: 60, technical: 70 });
+      expect(cheap.score).toBe(80);
+      expect(fast.breakdown).toEqual({ price: 80, leadTime: 100, vendorRating: 90, technical: 95 });
+      expect(fast.score).toBe(88);
+    });
+
+    it('should drop criteria no bidder has data for and rescale the rest', () => {
+      const [scored] = reverseAuctionService.scoreLotBids(
+        [bid('b1', 'lot_1', 'sel_a', 90, 100), bid('b2', 'lot_1', 'sel_b', 100, 100)],
+        { price: 50, leadTime: 20, vendorRating: 10, technical: 20 },
+        {},
+        { sel_b: 80 },
+      );
+
+      expect(Object.keys(scored.breakdown)).toEqual(['price', 'technical']);
+      expect(scored.score).toBe(71.43);
+    });
+  });
+
+  describe('rankLotBids', () => {
+    it('should rank by score for weighted awards and by price otherwise', () => {
+      const scored = [
+        { ...bid('b1', 'lot_1', 'sel_a', 80, 100), score: 70 },
+        { ...bid('b2', 'lot_1', 'sel_b', 100, 100), score: 90 },
+      ];
+
+      expect(reverseAuctionService.rankLotBids(scored, 'WEIGHTED_SCORE').map((b) => b.id)).toEqual(['b2', 'b1']);
+      expect(reverseAuctionService.rankLotBids(scored, 'LOWEST_BID').map((b) => b.id)).toEqual(['b1', 'b2']);
+    });
+  });
+
+  describe('allocateLot', () => {
+    it('should split a lot when the best bidder offers only part of it', () => {
+      const allocations = reverseAuctionService.allocateLot(lots[0], [
+        bid('b1', 'lot_1', 'sel_a', 80, 60),
+        bid('b2', 'lot_1', 'sel_b', 85, 100),
+        bid('b3', 'lot_1', 'sel_c', 90, 100),
+      ]);
+
+      expect(allocations.map(({ bid: b, quantity }) => [b.id, quantity])).toEqual([['b1', 60], ['b2', 40]]);
+    });
+  });
+
+  describe('awardLots', () => {
+    it('should raise one PO per winning supplier across lots', async () => {
+      setupAuction({}, [
+        bid('b1', 'lot_1', 'sel_a', 80, 100, 10),
+        bid('b2', 'lot_1', 'sel_b', 85, 100, 10),
+        bid('b3', 'lot_2', 'sel_a', 12, 50, 10),
+        bid('b4', 'lot_2', 'sel_b', 11, 20, 10),
+      ]);
+
+      const result = await reverseAuctionService.awardLots('ra_1', 'user_buyer');
+
+      expect(result.orders).toHaveLength(2);
+      const orderA = prisma.order.create.mock.calls.find(([{ data }]) => data.sellerId === 'sel_a')[0].data;
+      expect(orderA.items.create.map((item) => [item.productName, item.quantity])).toEqual([
+        ['TMT bars', 100],
+        ['Binding wire', 30],
+      ]);
+      expect(orderA).toMatchObject({ buyerId: 'biz_buyer', subtotal: 8360, taxAmount: 1483.2, totalAmount: 9843.2 });
+      expect(result.awards.map((award) => [award.lotId, award.sellerId, award.quantity])).toEqual(
+        expect.arrayContaining([['lot_2', 'sel_b', 20], ['lot_2', 'sel_a', 30]]),
+      );
+      expect(prisma.reverseAuction.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 'ra_1', status: 'ENDED' },
+        data: expect.objectContaining({ status: 'AWARDED' }),
+      }));
+    });
+
+    it('should raise orders the Order model accepts', async () => {
+      setupAuction({}, [
+        bid('b1', 'lot_1', 'sel_a', 80, 100, 10),
+        bid('b2', 'lot_2', 'sel_b', 11, 50, 10),
+      ]);
+
+      await reverseAuctionService.awardLots('ra_1', 'user_buyer');
+
+      expect(prisma.order.create).toHaveBeenCalledTimes(2);
+      for (const [{ data }] of prisma.order.create.mock.calls) {
+        expect(checkCreate('Order', data)).toEqual({ unknown: [], missing: [], invalid: [] });
+      }
+      const orderB = prisma.order.create.mock.calls.find(([{ data }]) => data.sellerId === 'sel_b')[0].data;
+      expect(orderB.taxBreakdown).toEqual({ cgst: 0, sgst: 0, igst: 66 });
+      expect(orderB.billingAddress).toMatchObject({ id: undefined, businessId: undefined, city: 'Mumbai' });
+    });
+
+    it('should refuse to award an auction another award has already claimed', async () => {
+      setupAuction({}, [bid('b1', 'lot_1', 'sel_a', 80, 100, 10)]);
+      prisma.reverseAuction.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(reverseAuctionService.awardLots('ra_1', 'user_buyer')).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma.order.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse lots without a catalogue variant to order', async () => {
+      setupAuction({ lots: [{ ...lots[0], variantId: null }] }, [bid('b1', 'lot_1', 'sel_a', 80, 100, 10)]);
+
+      await expect(reverseAuctionService.awardLots('ra_1', 'user_buyer'))
+        .rejects.toThrow('Lot 1 is not linked to a catalogue variant and cannot be ordered');
+      expect(prisma.reverseAuction.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should split by quantity share and give rounding to the first allocation', async () => {
+      setupAuction({ awardMethod: 'MANUAL' }, [
+        bid('b1', 'lot_2', 'sel_a', 12, 50),
+        bid('b2', 'lot_2', 'sel_b', 11, 50),
+        bid('b3', 'lot_2', 'sel_c', 13, 50),
+      ]);
+
+      const result = await reverseAuctionService.awardLots('ra_1', 'user_buyer', {
+        allocations: [
+          { lotId: 'lot_2', bidId: 'b1', sharePercent: 33.33 },
+          { lotId: 'lot_2', bidId: 'b2', sharePercent: 33.33 },
+          { lotId: 'lot_2', bidId: 'b3', sharePercent: 33.34 },
+        ],
+      });
+
+      expect(result.awards.map((award) => award.quantity)).toEqual([16, 17, 17]);
+      expect(prisma.reverseAuctionLot.updateMany).toHaveBeenCalledWith({
+        where: { auctionId: 'ra_1', id: { notIn: ['lot_2'] } },
+        data: { status: 'NOT_AWARDED' },
+      });
+    });
+
+    it('should award weighted auctions on score, using evaluator averages', async () => {
+      setupAuction({ awardMethod: 'WEIGHTED_SCORE', scoringModel: { price: 40, technical: 60 }, lots: [lots[1]] }, [
+        bid('b1', 'lot_2', 'sel_a', 10, 50),
+        bid('b2', 'lot_2', 'sel_b', 12, 50),
+      ]);
+      prisma.reverseAuctionEvaluation.findMany.mockResolvedValue([
+        { lotId: 'lot_2', sellerId: 'sel_a', technicalScore: 50 },
+        { lotId: 'lot_2', sellerId: 'sel_b', technicalScore: 90 },
+        { lotId: 'lot_2', sellerId: 'sel_b', technicalScore: 100 },
+      ]);
+
+      const result = await reverseAuctionService.awardLots('ra_1', 'user_buyer');
+
+      expect(result.awards).toEqual([expect.objectContaining({ sellerId: 'sel_b', quantity: 50, score: 90.33 })]);
+    });
+  });
+
+  describe('getLotStandings', () => {
+    const bids = [
+      bid('b1', 'lot_1', 'sel_a', 80, 100),
+      bid('b2', 'lot_1', 'sel_b', 85, 100),
+    ];
+
+    it('should show bidders their rank but not competing prices when rank-only', async () => {
+      setupAuction({ bidVisibility: 'RANK_ONLY', lots: [{ ...lots[0], currentLowestBid: 80 }] }, bids);
+
+      const [standing] = await reverseAuctionService.getLotStandings('ra_1', 'user_seller', 'sel_b');
+
+      expect(standing).toMatchObject({ myRank: 2, bidderCount: 2 });
+      expect(standing).not.toHaveProperty('currentLowestBid');
+    });
+
+    it('should show only the bidder\'s own bid when sealed', async () => {
+      setupAuction({ bidVisibility: 'SEALED', lots: [{ ...lots[0], currentLowestBid: 80 }] }, [bids[1]]);
+
+      const [standing] = await reverseAuctionService.getLotStandings('ra_1', 'user_seller', 'sel_b');
+
+      expect(prisma.reverseAuctionLotBid.findMany).toHaveBeenCalledWith({
+        where: { auctionId: 'ra_1', sellerId: 'sel_b', status: 'ACTIVE' },
+      });
+      expect(standing.myBid.id).toBe('b2');
+      expect(standing).not.toHaveProperty('myRank');
+    });
+  });
+});
@@ -0,0 +1,329 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - RFQ QUOTATION COMPARISON UNIT TESTS
+// Tests for landed-cost normalization, best value per line and split awards
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => {
+  const prisma = {
+    rFQ: { findUnique: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+    quotation: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      create: jest.fn(),
+      count: jest.fn(() => Promise.resolve(0)),
+    },
+    quotationItem: { createMany: jest.fn() },
+    business: { findUnique: jest.fn() },
+    $transaction: jest.fn(),
+  };
+  prisma.$transaction.mockImplementation((fn) => fn(prisma));
+  return { prisma };
+});
+
+jest.mock('../../src/config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn(), del: jest.fn() },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/email.service', () => ({
+  sendQuotationAccepted: jest.fn(),
+}));
+
+jest.mock('../../src/services/currency.service', () => ({
+  convert: jest.fn((amount, from, to) => {
+    const rate = from === to ? 1 : { 'USD:INR': 80 }[`${from}:${to}`];
+    return Promise.resolve({ convertedAmount: amount * rate, rate });
+  }),
+}));
+
+jest.mock('../../src/services/shipping.service', () => ({
+  SERVICE_TYPE: { STANDARD: 'STANDARD' },
+  getRates: jest.fn(),
+}));
+
+jest.mock('../../src/services/export.service', () => ({
+  exportMultiSheet: jest.fn((sheets) => Promise.resolve({ filename: 'cmp.xlsx', filepath: '/tmp/cmp.xlsx', sheets })),
+}));
+
+jest.mock('../../src/services/rfqNegotiation.service', () => ({
+  PARTY: { BUYER: 'BUYER', SELLER: 'SELLER' },
+  OFFER_STATUS: { ACCEPTED: 'ACCEPTED', REJECTED: 'REJECTED' },
+  recordOffer: jest.fn(),
+  recordOutcome: jest.fn(),
+}));
+
+jest.mock('../../src/services/order.service', () => ({
+  createOrderFromQuotation: jest.fn((quotation) => Promise.resolve({ id: `order_${quotation.id}` })),
+}));
+
+const rfqService = require('../../src/services/rfq.service');
+const { prisma } = require('../../src/config/database');
+const shippingService = require('../../src/services/shipping.service');
+const exportService = require('../../src/services/export.service');
+const orderService = require('../../src/services/order.service');
+
+const rfq = {
+  id: 'rfq_1',
+  rfqNumber: 'RFQ-1',
+  buyerBusinessId: 'buyer_1',
+  deliveryPincode: '411001',
+  requiredByDate: null,
+  items: [
+    { id: 'ri_steel', title: 'Steel rods', quantity: 1, unit: 'tonne', product: null },
+    { id: 'ri_bolts', title: 'Bolts', quantity: 100, unit: 'pieces', product: null },
+  ],
+};
+
+const quotation = (id, sellerId, items, overrides = {}) => ({
+  id,
+  quotationNumber: `QT-${id}`,
+  sellerBusinessId: sellerId,
+  buyerBusinessId: 'buyer_1',
+  rfqId: 'rfq_1',
+  status: 'SUBMITTED',
+  currency: 'INR',
+  subtotal: items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0),
+  shippingCost: 0,
+  discount: 0,
+  paymentTerms: 'Net 30',
+  validityDays: 30,
+  submittedAt: new Date(),
+  sellerBusiness: { id: sellerId, displayName: sellerId, pincode: null },
+  items,
+  ...overrides,
+});
+
+const item = (id, rfqItemId, quantity, unit, unitPrice, taxRate = 18, leadTimeDays = 5) => ({
+  id,
+  rfqItemId,
+  quantity,
+  unit,
+  unitPrice,
+  taxRate,
+  taxAmount: quantity * unitPrice * taxRate / 100,
+  leadTimeDays,
+});
+
+describe('RFQ Quotation Comparison', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.rFQ.findUnique.mockResolvedValue(rfq);
+    prisma.rFQ.update.mockResolvedValue({});
+    prisma.rFQ.updateMany.mockResolvedValue({ count: 1 });
+    prisma.quotation.updateMany.mockResolvedValue({ count: 1 });
+    prisma.quotation.update.mockImplementation(({ where, data }) => Promise.resolve({ id: where.id, ...data }));
+    prisma.quotation.create.mockImplementation(({ data }) => Promise.resolve({ id: 'qt_child', ...data }));
+  });
+
+  describe('parseCreditDays', () => {
+    it('should read credit days from free-text payment terms', () => {
+      expect(rfqService.parseCreditDays('Net 45')).toBe(45);
+      expect(rfqService.parseCreditDays('30 days credit')).toBe(30);
+      expect(rfqService.parseCreditDays('50% advance, balance 30 days')).toBe(15);
+      expect(rfqService.parseCreditDays('100% Advance')).toBe(0);
+      expect(rfqService.parseCreditDays(null)).toBe(0);
+    });
+  });
+
+  describe('getQuotationComparison', () => {
+    it('should normalize currency and units and price landed cost per line', async () => {
+      prisma.quotation.findMany.mockResolvedValue([
+        // 1000 kg at INR 60/kg, 45 days credit
+        quotation('qt_a', 'sel_a', [item('qa1', 'ri_steel', 1000, 'kg', 60)], { paymentTerms: 'Net 45' }),
+        // 1 tonne at USD 700, paid in advance, quoted freight
+        quotation('qt_b', 'sel_b', [item('qb1', 'ri_steel', 1, 'MT', 700, 0)], {
+          currency: 'USD',
+          paymentTerms: 'Advance',
+          shippingCost: 10,
+        }),
+      ]);
+
+      const comparison = await rfqService.getQuotationComparison('rfq_1', 'buyer_1', { costOfCapitalRate: 12 });
+
+      const [steel] = comparison.items;
+      const offerA = steel.offers.find((o) => o.quotationId === 'qt_a');
+      const offerB = steel.offers.find((o) => o.quotationId === 'qt_b');
+
+      expect(offerA).toMatchObject({ quantity: 1, goodsValue: 60000, tax: 10800, costOfCredit: 0, landedCost: 70800 });
+      expect(offerB).toMatchObject({ quantity: 1, goodsValue: 56000, tax: 0, freight: 800 });
+      // 45 days earlier payment at 12% p.a. on 56,800
+      expect(offerB.costOfCredit).toBe(840.33);
+      expect(offerB.isBestValue).toBe(true);
+      expect(steel.bestQuotationId).toBe('qt_b');
+      expect(comparison.benchmarkCreditDays).toBe(45);
+      expect(comparison.sellers.find((s) => s.quotationId === 'qt_b')).toMatchObject({
+        freightSource: 'QUOTED',
+        fxRate: 80,
+      });
+    });
+
+    it('should estimate freight from carrier rates when the seller quotes none', async () => {
+      shippingService.getRates.mockResolvedValue([
+        { serviceType: 'EXPRESS', rate: 900, estimatedDays: 2 },
+        { serviceType: 'STANDARD', rate: 600, estimatedDays: 4 },
+      ]);
+      prisma.quotation.findMany.mockResolvedValue([
+        quotation('qt_a', 'sel_a', [item('qa1', 'ri_steel', 1000, 'kg', 60)], {
+          sellerBusiness: { id: 'sel_a', displayName: 'A', pincode: '400001' },
+        }),
+      ]);
+
+      const comparison = await rfqService.getQuotationComparison('rfq_1', 'buyer_1');
+
+      expect(shippingService.getRates).toHaveBeenCalledWith({
+        originPincode: '400001',
+        destinationPincode: '411001',
+        weight: 1000,
+      });
+      const [offer] = comparison.items[0].offers;
+      expect(offer.freight).toBe(600);
+      expect(comparison.sellers[0]).toMatchObject({ freightSource: 'ESTIMATED', transitDays: 4 });
+    });
+
+    it('should exclude incompatible units and expired quotations from best value', async () => {
+      prisma.quotation.findMany.mockResolvedValue([
+        quotation('qt_a', 'sel_a', [item('qa1', 'ri_steel', 10, 'metres', 1)]),
+        quotation('qt_b', 'sel_b', [item('qb1', 'ri_steel', 1, 'tonne', 1)], {
+          submittedAt: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000),
+        }),
+        quotation('qt_c', 'sel_c', [item('qc1', 'ri_steel', 1, 'tonne', 90000)]),
+      ]);
+
+      const comparison = await rfqService.getQuotationComparison('rfq_1', 'buyer_1');
+
+      const offers = comparison.items[0].offers;
+      expect(offers.find((o) => o.quotationId === 'qt_a')).toMatchObject({ unitMismatch: true, comparable: false });
+      expect(offers.find((o) => o.quotationId === 'qt_b').comparable).toBe(false);
+      expect(comparison.items[0].bestQuotationId).toBe('qt_c');
+    });
+
+    it('should deny access to other buyers', async () => {
+      await expect(rfqService.getQuotationComparison('rfq_1', 'buyer_2')).rejects.toThrow('do not have access');
+    });
+  });
+
+  describe('acceptQuotationLines', () => {
+    const quotes = [
+      quotation('qt_a', 'sel_a', [
+        item('qa1', 'ri_steel', 1, 'tonne', 50000),
+        item('qa2', 'ri_bolts', 100, 'pcs', 20),
+      ], { shippingCost: 1000 }),
+      quotation('qt_b', 'sel_b', [item('qb1', 'ri_steel', 1, 'tonne', 55000), item('qb2', 'ri_bolts', 100, 'pcs', 10)]),
+    ];
+
+    beforeEach(() => {
+      prisma.quotation.findMany.mockImplementation(({ where }) => Promise.resolve(
+        where.id ? quotes.filter((q) => where.id.in.includes(q.id)) : quotes,
+      ));
+      prisma.quotation.findUnique.mockImplementation(({ where }) => Promise.resolve({
+        id: where.id,
+        status: 'ACCEPTED',
+        buyerBusinessId: 'buyer_1',
+        rfqId: 'rfq_1',
+      }));
+    });
+
+    it('should split the best line from each seller into one order per seller', async () => {
+      const result = await rfqService.acceptQuotationLines('rfq_1', 'buyer_1');
+
+      expect(result.lines.map((l) => [l.rfqItemId, l.quotationId])).toEqual([
+        ['ri_steel', 'qt_a'],
+        ['ri_bolts', 'qt_b'],
+      ]);
+      expect(prisma.quotation.create).toHaveBeenCalledTimes(2);
+      const child = prisma.quotation.create.mock.calls[0][0].data;
+      expect(child).toMatchObject({ parentQuotationId: 'qt_a', status: 'ACCEPTED', subtotal: 50000 });
+      // Freight follows the accepted share of the quotation
+      expect(child.shippingCost).toBe(961.54);
+      expect(prisma.quotationItem.createMany.mock.calls[0][0].data).toEqual([
+        expect.objectContaining({ quotationId: 'qt_child', rfqItemId: 'ri_steel' }),
+      ]);
+      expect(prisma.quotation.updateMany).toHaveBeenCalledWith({
+        where: { id: 'qt_a', status: { in: ['SUBMITTED', 'VIEWED', 'COUNTER_OFFERED', 'REVISED'] } },
+        data: expect.objectContaining({ status: 'PARTIALLY_ACCEPTED' }),
+      });
+      expect(orderService.createOrderFromQuotation).toHaveBeenCalledTimes(2);
+      expect(result.orders).toHaveLength(2);
+    });
+
+    it('should accept a whole quotation in place when all its lines win', async () => {
+      const result = await rfqService.acceptQuotationLines('rfq_1', 'buyer_1', {
+        selections: [
+          { rfqItemId: 'ri_steel', quotationId: 'qt_b' },
+          { rfqItemId: 'ri_bolts', quotationId: 'qt_b' },
+        ],
+      });
+
+      expect(prisma.quotation.create).not.toHaveBeenCalled();
+      expect(prisma.quotation.updateMany).toHaveBeenCalledWith({
+        where: { id: 'qt_b', status: { in: ['SUBMITTED', 'VIEWED', 'COUNTER_OFFERED', 'REVISED'] } },
+        data: expect.objectContaining({ status: 'ACCEPTED' }),
+      });
+      expect(prisma.quotation.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ id: { notIn: ['qt_b'] } }),
+        data: expect.objectContaining({ status: 'REJECTED' }),
+      }));
+      expect(result.orders).toEqual([{ id: 'order_qt_b' }]);
+    });
+
+    it('should reject accepting the same item from two sellers', async () => {
+      await expect(rfqService.acceptQuotationLines('rfq_1', 'buyer_1', {
+        selections: [
+          { rfqItemId: 'ri_steel', quotationId: 'qt_a' },
+          { rfqItemId: 'ri_steel', quotationId: 'qt_b' },
+        ],
+      })).rejects.toThrow('one seller only');
+    });
+
+    it('should refuse when a concurrent accept already claimed the RFQ', async () => {
+      prisma.rFQ.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(rfqService.acceptQuotationLines('rfq_1', 'buyer_1')).rejects.toThrow('already been accepted');
+
+      expect(prisma.rFQ.updateMany).toHaveBeenCalledWith({
+        where: { id: 'rfq_1', status: { in: ['SUBMITTED', 'OPEN', 'QUOTED', 'NEGOTIATION'] } },
+        data: { status: 'ACCEPTED' },
+      });
+      expect(prisma.quotation.create).not.toHaveBeenCalled();
+      expect(orderService.createOrderFromQuotation).not.toHaveBeenCalled();
+    });
+
+    it('should refuse when a quotation left the open statuses after it was read', async () => {
+      prisma.quotation.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      await expect(rfqService.acceptQuotationLines('rfq_1', 'buyer_1', {
+        selections: [
+          { rfqItemId: 'ri_steel', quotationId: 'qt_b' },
+          { rfqItemId: 'ri_bolts', quotationId: 'qt_b' },
+        ],
+      })).rejects.toThrow('no longer open for acceptance');
+
+      expect(orderService.createOrderFromQuotation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exportQuotationComparison', () => {
+    it('should export matrix, line detail and seller sheets', async () => {
+      prisma.quotation.findMany.mockResolvedValue([
+        quotation('qt_a', 'sel_a', [item('qa1', 'ri_steel', 1, 'tonne', 50000)]),
+      ]);
+
+      const file = await rfqService.exportQuotationComparison('rfq_1', 'buyer_1');
+
+      expect(file.filename).toBe('cmp.xlsx');
+      const [sheets, options] = exportService.exportMultiSheet.mock.calls[0];
+      expect(sheets.map((s) => s.name)).toEqual(['Comparison', 'Line Detail', 'Sellers']);
+      expect(sheets[0].data[0]).toMatchObject({ item: 'Steel rods', qt_a: '59000 *', bestSeller: 'sel_a' });
+      expect(options.prefix).toBe('rfq-comparison-RFQ-1');
+    });
+  });
+});
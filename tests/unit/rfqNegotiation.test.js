@@ -0,0 +1,238 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - RFQ NEGOTIATION LEDGER UNIT TESTS
+// Tests for versioned offers, field diffs, expiry and the timeline
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => {
+  const prisma = {
+    negotiationThread: {
+      upsert: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      findMany: jest.fn(),
+    },
+    negotiationOffer: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(({ data }) => Promise.resolve({ id: `offer_v${data.version}`, ...data })),
+      updateMany: jest.fn(),
+    },
+    quotation: { updateMany: jest.fn() },
+    $transaction: jest.fn(),
+  };
+  prisma.$transaction.mockImplementation((fn) => fn(prisma));
+  return { prisma };
+});
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/controllers/chat.controller', () => ({
+  postRFQNegotiationMessage: jest.fn(() => Promise.resolve({ chat: { id: 'chat_1' }, message: { id: 'msg_1' } })),
+}));
+
+const negotiationService = require('../../src/services/rfqNegotiation.service');
+const { prisma } = require('../../src/config/database');
+const chatController = require('../../src/controllers/chat.controller');
+
+const thread = {
+  id: 'thread_1',
+  rfqId: 'rfq_1',
+  buyerBusinessId: 'buyer_1',
+  sellerBusinessId: 'seller_1',
+  chatId: null,
+  currentVersion: 0,
+};
+
+const quotation = (overrides = {}) => ({
+  id: 'qt_1',
+  rfqId: 'rfq_1',
+  buyerBusinessId: 'buyer_1',
+  sellerBusinessId: 'seller_1',
+  totalAmount: 11800,
+  shippingCost: 0,
+  discount: 0,
+  paymentTerms: 'Net 30',
+  deliveryTerms: 'Door delivery',
+  estimatedDeliveryDays: 10,
+  validityDays: 7,
+  items: [{ rfqItemId: 'ri_1', quantity: 100, unit: 'pcs', unitPrice: 100, leadTimeDays: 10 }],
+  ...overrides,
+});
+
+const offer = (version, proposedBy, terms, diff = null, extra = {}) => ({
+  id: `offer_v${version}`,
+  version,
+  proposedBy,
+  proposedByUserId: `user_${proposedBy.toLowerCase()}`,
+  quotationId: `qt_${version}`,
+  status: 'SUPERSEDED',
+  terms,
+  diff,
+  createdAt: new Date(),
+  ...extra,
+});
+
+describe('RFQ Negotiation Ledger', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.negotiationThread.upsert.mockResolvedValue(thread);
+    prisma.negotiationThread.update.mockResolvedValue(thread);
+  });
+
+  describe('diffTerms', () => {
+    it('should diff header and line terms with numeric deltas', () => {
+      const before = negotiationService.buildTerms(quotation(), { incoterms: 'EXW' });
+      const after = negotiationService.buildTerms(quotation({
+        totalAmount: 11210,
+        paymentTerms: 'Net 45',
+        items: [{ rfqItemId: 'ri_1', quantity: 100, unit: 'pcs', unitPrice: 95, leadTimeDays: 10 }],
+      }), { incoterms: 'FOB' });
+
+      const diff = negotiationService.diffTerms(before, after);
+
+      expect(diff).toEqual([
+        { field: 'totalAmount', label: 'Total price', from: 11800, to: 11210, change: -590, changePercent: -5 },
+        { field: 'paymentTerms', label: 'Payment terms', from: 'Net 30', to: 'Net 45' },
+        { field: 'incoterms', label: 'Incoterms', from: 'EXW', to: 'FOB' },
+        {
+          field: 'items.ri_1.unitPrice',
+          label: 'Unit price',
+          rfqItemId: 'ri_1',
+          from: 100,
+          to: 95,
+          change: -5,
+          changePercent: -5,
+        },
+      ]);
+    });
+  });
+
+  describe('recordOffer', () => {
+    it('should record the first quotation as version 1 and post it to the RFQ chat', async () => {
+      prisma.negotiationOffer.findFirst.mockResolvedValue(null);
+
+      const recorded = await negotiationService.recordOffer({
+        quotation: quotation(),
+        party: 'SELLER',
+        userId: 'user_seller',
+      });
+
+      expect(recorded).toMatchObject({ version: 1, proposedBy: 'SELLER', diff: null, quotationId: 'qt_1' });
+      expect(recorded.expiresAt).toBeInstanceOf(Date);
+      expect(chatController.postRFQNegotiationMessage).toHaveBeenCalledWith(expect.objectContaining({
+        rfqId: 'rfq_1',
+        senderBusinessId: 'seller_1',
+        content: 'Seller offer v1 submitted',
+      }));
+      expect(prisma.negotiationThread.update).toHaveBeenCalledWith({
+        where: { id: 'thread_1' },
+        data: { chatId: 'chat_1' },
+      });
+    });
+
+    it('should supersede the open offer and carry lines over on a counter-offer', async () => {
+      const previousTerms = negotiationService.buildTerms(quotation(), { incoterms: 'EXW' });
+      prisma.negotiationThread.upsert.mockResolvedValue({ ...thread, currentVersion: 1, chatId: 'chat_1' });
+      prisma.negotiationOffer.findFirst.mockResolvedValue(offer(1, 'SELLER', previousTerms));
+
+      const recorded = await negotiationService.recordOffer({
+        quotation: quotation({ id: 'qt_2', totalAmount: 10620, items: undefined, estimatedDeliveryDays: undefined }),
+        party: 'BUYER',
+        userId: 'user_buyer',
+      });
+
+      expect(prisma.negotiationOffer.updateMany).toHaveBeenCalledWith({
+        where: { threadId: 'thread_1', status: 'OPEN' },
+        data: expect.objectContaining({ status: 'SUPERSEDED' }),
+      });
+      expect(recorded.version).toBe(2);
+      expect(recorded.terms.items).toEqual(previousTerms.items);
+      expect(recorded.terms).toMatchObject({ incoterms: 'EXW', leadTimeDays: 10 });
+      expect(recorded.diff).toEqual([
+        { field: 'totalAmount', label: 'Total price', from: 11800, to: 10620, change: -1180, changePercent: -10 },
+      ]);
+      expect(chatController.postRFQNegotiationMessage).toHaveBeenCalledWith(expect.objectContaining({
+        chatId: 'chat_1',
+        senderBusinessId: 'buyer_1',
+        content: 'Buyer counter-offer v2: Total price: 11800 → 10620 (-10%)',
+      }));
+    });
+
+    it('should keep the ledger entry when posting to chat fails', async () => {
+      prisma.negotiationOffer.findFirst.mockResolvedValue(null);
+      chatController.postRFQNegotiationMessage.mockRejectedValueOnce(new Error('chat down'));
+
+      const recorded = await negotiationService.recordOffer({
+        quotation: quotation(),
+        party: 'SELLER',
+        userId: 'user_seller',
+      });
+
+      expect(recorded.version).toBe(1);
+    });
+  });
+
+  describe('expireStaleOffers', () => {
+    it('should lapse stale offers, their quotations and threads whose latest offer lapsed', async () => {
+      prisma.negotiationOffer.findMany.mockResolvedValue([
+        { id: 'o1', threadId: 't1', quotationId: 'qt_a', version: 3, thread: { currentVersion: 3 } },
+        { id: 'o2', threadId: 't2', quotationId: 'qt_b', version: 1, thread: { currentVersion: 2 } },
+      ]);
+
+      const result = await negotiationService.expireStaleOffers();
+
+      expect(result).toEqual({ expired: 2 });
+      expect(prisma.quotation.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ id: { in: ['qt_a', 'qt_b'] } }),
+        data: { status: 'EXPIRED' },
+      }));
+      expect(prisma.negotiationThread.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['t1'] } },
+        data: { status: 'CLOSED' },
+      });
+    });
+  });
+
+  describe('timeline', () => {
+    const v1 = negotiationService.buildTerms(quotation(), { incoterms: 'EXW' });
+    const v2 = { ...v1, totalAmount: 10620 };
+    const v3 = { ...v2, paymentTerms: 'Net 45', totalAmount: 11000 };
+    const offers = [
+      offer(1, 'SELLER', v1),
+      offer(2, 'BUYER', v2, negotiationService.diffTerms(v1, v2)),
+      offer(3, 'SELLER', v3, negotiationService.diffTerms(v2, v3), { status: 'OPEN' }),
+    ];
+
+    beforeEach(() => {
+      prisma.negotiationThread.findUnique.mockResolvedValue({ ...thread, currentVersion: 3, offers });
+    });
+
+    it('should attribute each current term to the version that last set it', async () => {
+      const result = await negotiationService.getTimeline('rfq_1', 'seller_1', 'buyer_1');
+
+      expect(result.timeline.map((entry) => entry.version)).toEqual([1, 2, 3]);
+      expect(result.termAuthors.paymentTerms).toMatchObject({ version: 3, proposedBy: 'SELLER' });
+      expect(result.termAuthors.incoterms).toMatchObject({ version: 1, proposedBy: 'SELLER' });
+      expect(result.currentTerms.totalAmount).toBe(11000);
+    });
+
+    it('should diff non-adjacent versions and list who changed each field', async () => {
+      const result = await negotiationService.compareVersions('rfq_1', 'seller_1', 'seller_1', 1, 3);
+
+      const total = result.diff.find((change) => change.field === 'totalAmount');
+      expect(total).toMatchObject({ from: 11800, to: 11000 });
+      expect(total.changedIn).toEqual([{ version: 2, proposedBy: 'BUYER' }, { version: 3, proposedBy: 'SELLER' }]);
+    });
+
+    it('should deny businesses outside the negotiation', async () => {
+      await expect(negotiationService.getTimeline('rfq_1', 'seller_1', 'seller_2')).rejects.toThrow('not a party');
+    });
+  });
+});
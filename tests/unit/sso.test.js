@@ -0,0 +1,681 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - SSO & SCIM UNIT TESTS
+// SAML 2.0 and OIDC logins against a local mock IdP, SCIM 2.0 provisioning
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {},
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn(), del: jest.fn(), getOrSet: jest.fn() },
+  session: {},
+}));
+
+// errorHandler pulls in the generated Prisma client
+jest.mock('../../src/middleware/errorHandler', () => ({
+  asyncHandler: (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next),
+}));
+
+jest.mock('../../src/services/auth.service', () => {
+  const { getTenantId } = jest.requireActual('../../src/utils/tenantContext');
+  return {
+    generateAuthTokens: jest.fn(async (user) => ({
+      accessToken: `access:${user.id}:${getTenantId()}`,
+      refreshToken: `refresh:${user.id}`,
+    })),
+  };
+});
+
+const { prisma } = require('../../src/config/database');
+const ssoService = require('../../src/services/sso.service');
+const scimService = require('../../src/services/scim.service');
+const scimController = require('../../src/controllers/scim.controller');
+const { tenantContext, bindTokenTenant } = require('../../src/middleware/tenantContext.middleware');
+const { createMockIdp } = require('../helpers/mockIdp');
+const { BadRequestError, ConflictError, ForbiddenError, UnauthorizedError } = require('../../src/utils/errors');
+
+const TENANT = 'tenant_acme';
+const OTHER_TENANT = 'tenant_other';
+const ALICE = { email: 'alice@acme.test', firstName: 'Alice', lastName: 'Rao', groups: ['Admins'] };
+
+// =============================================================================
+// IN-MEMORY PRISMA
+// =============================================================================
+
+/**
+ * Just enough of Prisma for the identity services: equality, in/notIn/not/gte
+ * filters, compound unique keys, relation filters and includes, unique
+ * constraints (P2002)
+ */
+const UNIQUE_KEYS = {
+  user: [['email']],
+  tenantMember: [['tenantId', 'userId']],
+  ssoSession: [['state'], ['exchangeCodeHash']],
+  ssoAssertionReplay: [['tenantId', 'assertionId']],
+  ssoIdentity: [['tenantId', 'subject']],
+  ssoConfiguration: [['tenantId']],
+  domainVerification: [['tenantId', 'domain']],
+  scimToken: [['tokenHash']],
+  scimGroup: [['tenantId', 'displayName']],
+  scimGroupMember: [['groupId', 'userId']],
+};
+
+const DEFAULTS = {
+  user: { isActive: true, isBanned: false, role: 'BUYER' },
+  tenantMember: { role: 'member', active: true, source: 'manual', externalId: null },
+  ssoConfiguration: { enabled: true, enforced: false, jitProvisioning: true, roleMapping: null },
+  ssoSession: { status: 'initiated', exchangedAt: null, exchangeCodeHash: null },
+  scimToken: { revokedAt: null },
+  scimGroup: { externalId: null },
+};
+
+// relation -> [model, foreign key on this row] (to-one) or [model, key on the other row, 'many']
+const RELATIONS = {
+  tenantMember: { user: ['user', 'userId'] },
+  ssoIdentity: { user: ['user', 'userId'] },
+  scimGroupMember: { user: ['user', 'userId'], group: ['scimGroup', 'groupId'] },
+  scimGroup: { members: ['scimGroupMember', 'groupId', 'many'] },
+  tenant: { members: ['tenantMember', 'tenantId', 'many'] },
+};
+
+const tables = {};
+let sequence = 0;
+
+const rowsOf = (model) => (tables[model] = tables[model] || []);
+
+const matchesValue = (actual, expected) => {
+  if (expected === null) return actual === null || actual === undefined;
+  if (expected instanceof Date) return actual?.getTime() === expected.getTime();
+  if (typeof expected !== 'object') return actual === expected;
+  return Object.entries(expected).every(([op, value]) => {
+    switch (op) {
+      case 'in': return value.includes(actual);
+      case 'notIn': return !value.includes(actual);
+      case 'not': return !matchesValue(actual, value);
+      case 'gte': return actual >= value;
+      case 'lte': return actual <= value;
+      default: throw new Error(`Filter ${op} not modelled`);
+    }
+  });
+};
+
+const matches = (model, row, where = {}) => Object.entries(where).every(([key, value]) => {
+  if (value === undefined) return true;
+  if (key === 'AND') return value.every((clause) => matches(model, row, clause));
+  if (key === 'OR') return value.some((clause) => matches(model, row, clause));
+
+  const relation = RELATIONS[model]?.[key];
+  if (relation) {
+    const related = rowsOf(relation[0]).find((candidate) => candidate.id === row[relation[1]]);
+    return Boolean(related) && matches(relation[0], related, value);
+  }
+
+  // Compound unique input, e.g. tenantId_userId: { tenantId, userId }
+  if (!(key in row) && key.includes('_') && value && typeof value === 'object') {
+    return matches(model, row, value);
+  }
+
+  return matchesValue(row[key], value);
+});
+
+const shape = (model, row, { include, select } = {}) => {
+  if (!row) return null;
+  const result = { ...row };
+
+  for (const [name, spec] of Object.entries(include || {})) {
+    if (!spec) continue;
+    if (name === '_count') {
+      result._count = Object.fromEntries(Object.keys(spec.select).map((relationName) => {
+        const [target, key] = RELATIONS[model][relationName];
+        return [relationName, rowsOf(target).filter((other) => other[key] === row.id).length];
+      }));
+      continue;
+    }
+
+    const [target, key, many] = RELATIONS[model][name];
+    const nested = spec === true ? {} : spec;
+    result[name] = many
+      ? rowsOf(target).filter((other) => other[key] === row.id).map((other) => shape(target, other, nested))
+      : shape(target, rowsOf(target).find((other) => other.id === row[key]), nested);
+  }
+
+  if (select) {
+    return Object.fromEntries(Object.keys(select).filter((key) => select[key]).map((key) => [key, result[key]]));
+  }
+  return result;
+};
+
+const assertUnique = (model, row) => {
+  for (const keys of UNIQUE_KEYS[model] || []) {
+    if (keys.some((key) => row[key] === null || row[key] === undefined)) continue;
+    const clash = rowsOf(model).find((other) => other !== row && keys.every((key) => other[key] === row[key]));
+    if (clash) {
+      throw Object.assign(new Error(`Unique constraint failed on ${keys.join(', ')}`), { code: 'P2002' });
+    }
+  }
+};
+
+const createRow = (model, data) => {
+  const { members, ...fields } = data;
+  const now = new Date();
+  const row = { id: `${model}_${++sequence}`, createdAt: now, updatedAt: now, ...DEFAULTS[model], ...fields };
+
+  assertUnique(model, row);
+  rowsOf(model).push(row);
+
+  if (members?.create) {
+    members.create.forEach((member) => createRow('scimGroupMember', { ...member, groupId: row.id }));
+  }
+  return row;
+};
+
+const updateRow = (model, row, data) => {
+  const previous = { ...row };
+  Object.assign(row, data, { updatedAt: new Date() });
+  try {
+    assertUnique(model, row);
+  } catch (error) {
+    Object.assign(row, previous);
+    throw error;
+  }
+  return row;
+};
+
+const removeRows = (model, predicate) => {
+  const removed = rowsOf(model).filter(predicate);
+  tables[model] = rowsOf(model).filter((row) => !removed.includes(row));
+
+  // onDelete: Cascade
+  if (model === 'scimGroup') {
+    removeRows('scimGroupMember', (member) => removed.some((group) => group.id === member.groupId));
+  }
+  return removed;
+};
+
+const delegate = (model) => ({
+  findUnique: jest.fn(async (args) => shape(model, rowsOf(model).find((row) => matches(model, row, args.where)), args)),
+  findFirst: jest.fn(async (args = {}) => shape(model, rowsOf(model).find((row) => matches(model, row, args.where)), args)),
+  findMany: jest.fn(async (args = {}) => {
+    const rows = rowsOf(model).filter((row) => matches(model, row, args.where));
+    const page = rows.slice(args.skip || 0, args.take === undefined ? undefined : (args.skip || 0) + args.take);
+    return page.map((row) => shape(model, row, args));
+  }),
+  count: jest.fn(async (args = {}) => rowsOf(model).filter((row) => matches(model, row, args.where)).length),
+  create: jest.fn(async (args) => shape(model, createRow(model, args.data), args)),
+  createMany: jest.fn(async (args) => {
+    args.data.forEach((data) => {
+      try {
+        createRow(model, data);
+      } catch (error) {
+        if (!args.skipDuplicates) throw error;
+      }
+    });
+    return { count: args.data.length };
+  }),
+  update: jest.fn(async (args) => {
+    const row = rowsOf(model).find((candidate) => matches(model, candidate, args.where));
+    if (!row) throw Object.assign(new Error('Record to update not found'), { code: 'P2025' });
+    return shape(model, updateRow(model, row, args.data), args);
+  }),
+  updateMany: jest.fn(async (args) => {
+    const rows = rowsOf(model).filter((row) => matches(model, row, args.where));
+    rows.forEach((row) => updateRow(model, row, args.data));
+    return { count: rows.length };
+  }),
+  upsert: jest.fn(async (args) => {
+    const row = rowsOf(model).find((candidate) => matches(model, candidate, args.where));
+    return shape(model, row ? updateRow(model, row, args.update) : createRow(model, args.create), args);
+  }),
+  delete: jest.fn(async (args) => {
+    const [row] = removeRows(model, (candidate) => matches(model, candidate, args.where));
+    if (!row) throw Object.assign(new Error('Record to delete not found'), { code: 'P2025' });
+    return row;
+  }),
+  deleteMany: jest.fn(async (args = {}) => ({
+    count: removeRows(model, (row) => matches(model, row, args.where)).length,
+  })),
+});
+
+Object.assign(prisma, Object.fromEntries(
+  [...Object.keys(UNIQUE_KEYS), 'tenant', 'auditLog'].map((model) => [model, delegate(model)]),
+), {
+  $transaction: jest.fn((operations) => Promise.all(operations)),
+});
+
+const resetStore = () => {
+  Object.keys(tables).forEach((model) => delete tables[model]);
+  createRow('tenant', { id: TENANT, tier: 'ENTERPRISE', ownerId: 'owner_1' });
+  createRow('tenant', { id: OTHER_TENANT, tier: 'ENTERPRISE', ownerId: 'owner_2' });
+  createRow('domainVerification', { tenantId: TENANT, domain: 'acme.test', token: 't', verified: true });
+};
+
+const member = (email, tenantId = TENANT) => {
+  const user = rowsOf('user').find((row) => row.email === email);
+  return user && rowsOf('tenantMember').find((row) => row.userId === user.id && row.tenantId === tenantId);
+};
+
+// =============================================================================
+// SAML 2.0
+// =============================================================================
+
+describe('SSO', () => {
+  const idp = createMockIdp();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetStore();
+  });
+
+  describe('SAML 2.0', () => {
+    beforeEach(async () => {
+      await ssoService.configureSso(TENANT, {
+        provider: 'saml',
+        config: { entityId: idp.entityId, ssoUrl: idp.ssoUrl, certificate: idp.certificate },
+      });
+    });
+
+    const startLogin = async (returnUrl = '/dashboard') => (await ssoService.initiateSsoLogin(TENANT, returnUrl)).redirectUrl;
+
+    const login = async (user = ALICE, overrides) => {
+      const redirectUrl = await startLogin();
+      return ssoService.handleSsoCallback(TENANT, idp.samlLogin(redirectUrl, user, overrides));
+    };
+
+    it('stores the IdP settings encrypted rather than encoded', () => {
+      const [stored] = rowsOf('ssoConfiguration');
+
+      expect(stored.config.startsWith('v1:')).toBe(true);
+      expect(Buffer.from(stored.config, 'base64').toString()).not.toContain(idp.ssoUrl);
+    });
+
+    it('sends a real AuthnRequest over the redirect binding', async () => {
+      const request = idp.parseAuthnRequest(await startLogin());
+      const [session] = rowsOf('ssoSession');
+
+      expect(request.xml).toContain('<samlp:AuthnRequest');
+      expect(request.id).toBe(session.requestId);
+      expect(request.destination).toBe(idp.ssoUrl);
+      expect(request.acsUrl).toMatch(/\/api\/v1\/sso\/tenant_acme\/callback$/);
+      expect(request.issuer).toMatch(/\/sso\/tenant_acme$/);
+      expect(request.relayState).toBe(session.state);
+    });
+
+    it('signs the user in and maps IdP groups to the tenant role', async () => {
+      const { exchangeCode, returnUrl } = await login();
+      const tokens = await ssoService.exchangeLoginCode(exchangeCode);
+
+      expect(returnUrl).toBe('/dashboard');
+      expect(tokens.user.email).toBe(ALICE.email);
+      expect(tokens.accessToken).toBe(`access:${tokens.user.id}:${TENANT}`);
+      expect(member(ALICE.email)).toMatchObject({ role: 'admin', source: 'sso', active: true });
+      expect(rowsOf('ssoIdentity')).toEqual([expect.objectContaining({ tenantId: TENANT, subject: ALICE.email })]);
+    });
+
+    it('honours a signature over the whole Response', async () => {
+      await expect(login(ALICE, { signTarget: 'response' })).resolves.toHaveProperty('exchangeCode');
+    });
+
+    it('makes the exchange code single use', async () => {
+      const { exchangeCode } = await login();
+      await ssoService.exchangeLoginCode(exchangeCode);
+
+      await expect(ssoService.exchangeLoginCode(exchangeCode)).rejects.toBeInstanceOf(UnauthorizedError);
+    });
+
+    it.each([
+      ['a key the tenant does not trust', { untrusted: true }, /signature is invalid/],
+      ['no signature', { signTarget: 'none' }, /not signed/],
+      ['an edited subject', { mutate: (xml) => xml.replace(/alice@acme\.test/g, 'mallory@acme.test') }, /invalid/],
+      ['another audience', { audience: 'https://other-sp.test' }, /not intended for this service provider/],
+      ['another recipient', { recipient: 'https://evil.test/acs' }, /another recipient/],
+      ['another issuer', { issuer: 'https://evil-idp.test' }, /issuer/],
+      ['an expired assertion', { notOnOrAfter: new Date(Date.now() - 10 * 60 * 1000).toISOString() }, /expired/],
+      ['a future assertion', { notBefore: new Date(Date.now() + 10 * 60 * 1000).toISOString() }, /not yet valid/],
+      ['another login request', { inResponseTo: '_someone_else' }, /does not answer this login request/],
+      ['a failed status', { status: 'urn:oasis:names:tc:SAML:2.0:status:Requester' }, /rejected the login/],
+    ])('refuses a response with %s', async (_label, overrides, message) => {
+      await expect(login(ALICE, overrides)).rejects.toThrow(message);
+
+      expect(rowsOf('user')).toHaveLength(0);
+      expect(rowsOf('ssoSession')[0]).toMatchObject({ status: 'failed' });
+    });
+
+    it('ignores a wrapped assertion outside the signed content', async () => {
+      const wrap = (xml) => xml.replace(
+        '<saml:Assertion ',
+        '<saml:Assertion ID="_evil" Version="2.0"><saml:Issuer>x</saml:Issuer></saml:Assertion><saml:Assertion ',
+      );
+
+      await expect(login(ALICE, { mutate: wrap })).rejects.toThrow(/exactly one assertion/);
+    });
+
+    it('refuses a DOCTYPE', async () => {
+      const doctype = (xml) => `<!DOCTYPE r [<!ENTITY x "y">]>${xml}`;
+
+      await expect(login(ALICE, { mutate: doctype })).rejects.toBeInstanceOf(BadRequestError);
+    });
+
+    it('refuses a replayed assertion', async () => {
+      await login(ALICE, { assertionId: '_assertion_once' });
+
+      await expect(login(ALICE, { assertionId: '_assertion_once' })).rejects.toThrow(/already been used/);
+    });
+
+    it('refuses to reuse a login session', async () => {
+      const redirectUrl = await startLogin();
+      const post = idp.samlLogin(redirectUrl, ALICE);
+      await ssoService.handleSsoCallback(TENANT, post);
+
+      await expect(ssoService.handleSsoCallback(TENANT, post)).rejects.toThrow(/Invalid or expired SSO session/);
+    });
+
+    it('does not take over accounts outside the verified domains', async () => {
+      createRow('user', { email: 'victim@gmail.test', firstName: 'V', lastName: 'X', passwordHash: 'h' });
+
+      await expect(login({ email: 'victim@gmail.test' })).rejects.toBeInstanceOf(ForbiddenError);
+      expect(rowsOf('tenantMember')).toHaveLength(0);
+    });
+
+    it('refuses members the IdP has deactivated', async () => {
+      const { exchangeCode } = await login();
+      await ssoService.exchangeLoginCode(exchangeCode);
+      member(ALICE.email).active = false;
+
+      await expect(login()).rejects.toThrow(/deactivated/);
+    });
+
+    it('only returns to paths on this site', async () => {
+      await expect(startLogin('https://evil.test/')).rejects.toBeInstanceOf(BadRequestError);
+      await expect(startLogin('//evil.test/')).rejects.toBeInstanceOf(BadRequestError);
+    });
+
+    it('publishes SP metadata', async () => {
+      const metadata = await ssoService.getSamlMetadata(TENANT);
+
+      expect(metadata).toContain('entityID="http');
+      expect(metadata).toContain('WantAssertionsSigned="true"');
+    });
+  });
+
+  // ===========================================================================
+  // OIDC
+  // ===========================================================================
+
+  describe('OIDC', () => {
+    beforeAll(() => idp.start());
+    afterAll(() => idp.stop());
+
+    beforeEach(async () => {
+      await ssoService.configureSso(TENANT, {
+        provider: 'oidc',
+        config: { issuer: idp.issuer, clientId: idp.clientId, clientSecret: idp.clientSecret },
+      });
+    });
+
+    const login = async (user = { ...ALICE, sub: 'okta|alice' }, overrides) => {
+      const { redirectUrl } = await ssoService.initiateSsoLogin(TENANT, '/');
+      return ssoService.handleSsoCallback(TENANT, idp.authorize(redirectUrl, user, overrides));
+    };
+
+    it('uses the authorization code flow with PKCE', async () => {
+      const { redirectUrl } = await ssoService.initiateSsoLogin(TENANT, '/');
+      const params = new URL(redirectUrl).searchParams;
+      const [session] = rowsOf('ssoSession');
+
+      expect(redirectUrl.startsWith(`${idp.issuer}/authorize`)).toBe(true);
+      expect(params.get('response_type')).toBe('code');
+      expect(params.get('code_challenge_method')).toBe('S256');
+      expect(params.get('code_challenge')).toMatch(/^[\w-]{43}$/);
+      expect(params.get('nonce')).toBe(session.nonce);
+      expect(session.codeVerifier).toMatch(/^v1:/); // Encrypted at rest
+    });
+
+    it('signs the user in with a JWKS-verified ID token', async () => {
+      const { exchangeCode } = await login();
+      const tokens = await ssoService.exchangeLoginCode(exchangeCode);
+
+      expect(idp.tokenRequests[0].code_verifier).toMatch(/^[\w-]{43}$/);
+      expect(tokens.user.email).toBe(ALICE.email);
+      expect(rowsOf('ssoIdentity')[0]).toMatchObject({ subject: 'okta|alice', provider: 'oidc' });
+      expect(member(ALICE.email).role).toBe('admin');
+    });
+
+    it.each([
+      ['signed with an unpublished key', { untrusted: true }, /ID token is invalid/],
+      ['for another client', { aud: 'someone-else' }, /ID token is invalid/],
+      ['from another issuer', { iss: 'https://evil-idp.test' }, /ID token is invalid/],
+      ['with another nonce', { nonce: 'replayed-nonce' }, /nonce/],
+      ['with an unverified email', { email_verified: false }, /verified email/],
+    ])('refuses an ID token %s', async (_label, overrides, message) => {
+      await expect(login(undefined, overrides)).rejects.toThrow(message);
+      expect(rowsOf('user')).toHaveLength(0);
+    });
+
+    it('fails the code exchange without the matching PKCE verifier', async () => {
+      const { redirectUrl } = await ssoService.initiateSsoLogin(TENANT, '/');
+      const params = idp.authorize(redirectUrl, ALICE);
+      idp.codes.get(params.code).codeChallenge = 'challenge-from-an-intercepted-request';
+
+      await expect(ssoService.handleSsoCallback(TENANT, params)).rejects.toThrow(/could not be redeemed/);
+      expect(idp.tokenRequests.at(-1).code_verifier).toBeDefined();
+    });
+
+    it('refuses an error returned by the IdP', async () => {
+      const { state } = await ssoService.initiateSsoLogin(TENANT, '/');
+
+      await expect(ssoService.handleSsoCallback(TENANT, { state, error: 'access_denied' }))
+        .rejects.toThrow(/access_denied/);
+    });
+  });
+});
+
+// =============================================================================
+// SCIM 2.0
+// =============================================================================
+
+describe('SCIM 2.0', () => {
+  const scimUser = (overrides = {}) => ({
+    schemas: [scimService.SCIM_SCHEMAS.USER],
+    userName: 'bob@acme.test',
+    externalId: 'okta-00u1',
+    name: { givenName: 'Bob', familyName: 'Iyer' },
+    emails: [{ value: 'bob@acme.test', primary: true }],
+    active: true,
+    ...overrides,
+  });
+
+  const patch = (...Operations) => ({ schemas: [scimService.SCIM_SCHEMAS.PATCH], Operations });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetStore();
+  });
+
+  describe('tokens', () => {
+    it('authenticates the IdP as its tenant until revoked', async () => {
+      const { id, token } = await scimService.createToken(TENANT, 'Okta', 'owner_1');
+
+      await expect(scimService.authenticate(token)).resolves.toEqual({ id, tenantId: TENANT });
+      expect(rowsOf('scimToken')[0].tokenHash).not.toBe(token);
+
+      await scimService.revokeToken(TENANT, id);
+      await expect(scimService.authenticate(token)).rejects.toBeInstanceOf(UnauthorizedError);
+    });
+
+    it('binds the request to the token tenant', async () => {
+      const { token } = await scimService.createToken(TENANT, 'Okta', 'owner_1');
+      const req = { hostname: 'localhost', ip: '10.0.0.1', headers: { authorization: `Bearer ${token}` } };
+      const next = jest.fn();
+
+      await tenantContext()(req, {}, () => scimController.authenticate(req, {}, next));
+      await new Promise(setImmediate);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.tenantId).toBe(TENANT);
+    });
+  });
+
+  describe('Users', () => {
+    it('provisions a new user into the tenant', async () => {
+      const user = await scimService.createUser(TENANT, scimUser());
+
+      expect(user).toMatchObject({
+        schemas: [scimService.SCIM_SCHEMAS.USER],
+        userName: 'bob@acme.test',
+        externalId: 'okta-00u1',
+        active: true,
+        name: { givenName: 'Bob', familyName: 'Iyer' },
+      });
+      expect(member('bob@acme.test')).toMatchObject({ source: 'scim', role: 'member' });
+    });
+
+    it('refuses to provision the same user twice', async () => {
+      await scimService.createUser(TENANT, scimUser());
+
+      await expect(scimService.createUser(TENANT, scimUser())).rejects.toBeInstanceOf(ConflictError);
+    });
+
+    it('filters by userName and externalId', async () => {
+      await scimService.createUser(TENANT, scimUser());
+      await scimService.createUser(TENANT, scimUser({ userName: 'carol@acme.test', emails: [], externalId: 'c' }));
+
+      const byName = await scimService.listUsers(TENANT, { filter: 'userName eq "Bob@acme.test"' });
+      const byExternal = await scimService.listUsers(TENANT, { filter: 'externalId eq "c"' });
+
+      expect(byName).toMatchObject({ totalResults: 1, Resources: [{ userName: 'bob@acme.test' }] });
+      expect(byExternal.Resources.map((user) => user.userName)).toEqual(['carol@acme.test']);
+      await expect(scimService.listUsers(TENANT, { filter: 'title co "x"' }))
+        .rejects.toMatchObject({ statusCode: 400, details: { scimType: 'invalidFilter' } });
+    });
+
+    it('keeps tenants apart', async () => {
+      const { id } = await scimService.createUser(TENANT, scimUser());
+
+      await expect(scimService.getUser(OTHER_TENANT, id)).rejects.toMatchObject({ statusCode: 404 });
+      expect((await scimService.listUsers(OTHER_TENANT)).totalResults).toBe(0);
+    });
+
+    it.each([
+      ['Azure AD', patch({ op: 'Replace', path: 'active', value: 'False' })],
+      ['Okta', patch({ op: 'replace', value: { active: false } })],
+    ])('deactivates on a %s style patch and cuts tenant access', async (_idp, body) => {
+      const { id } = await scimService.createUser(TENANT, scimUser());
+
+      const user = await scimService.patchUser(TENANT, id, body);
+
+      expect(user.active).toBe(false);
+      const req = { hostname: 'localhost', headers: {} };
+      let bound;
+      await tenantContext()(req, {}, () => { bound = bindTokenTenant(req, { tenantId: TENANT }, { id }); });
+      await expect(bound).rejects.toThrow(/deactivated/);
+    });
+
+    it('updates the profile only of accounts in a verified domain', async () => {
+      const { id } = await scimService.createUser(TENANT, scimUser());
+      const outside = await scimService.createUser(TENANT, scimUser({ userName: 'dan@gmail.test', emails: [] }));
+
+      await scimService.patchUser(TENANT, id, patch({ op: 'replace', path: 'name.givenName', value: 'Robert' }));
+      await scimService.patchUser(TENANT, outside.id, patch({ op: 'replace', path: 'name.givenName', value: 'Hijacked' }));
+
+      expect((await scimService.getUser(TENANT, id)).name.givenName).toBe('Robert');
+      expect((await scimService.getUser(TENANT, outside.id)).name.givenName).toBe('Bob');
+    });
+
+    it('replaces a user with PUT', async () => {
+      const { id } = await scimService.createUser(TENANT, scimUser());
+
+      const user = await scimService.replaceUser(TENANT, id, scimUser({ externalId: 'okta-00u2', active: false }));
+
+      expect(user).toMatchObject({ externalId: 'okta-00u2', active: false });
+    });
+
+    it('removes the membership on DELETE but keeps the account', async () => {
+      const { id } = await scimService.createUser(TENANT, scimUser());
+      await scimService.createGroup(TENANT, { displayName: 'Admins', members: [{ value: id }] });
+
+      await scimService.deleteUser(TENANT, id);
+
+      expect(member('bob@acme.test')).toBeUndefined();
+      expect(rowsOf('scimGroupMember')).toHaveLength(0);
+      expect(rowsOf('user')).toHaveLength(1);
+    });
+  });
+
+  describe('Groups', () => {
+    let bob;
+
+    beforeEach(async () => {
+      bob = await scimService.createUser(TENANT, scimUser());
+    });
+
+    it('grants the role a group maps to and revokes it with the membership', async () => {
+      const group = await scimService.createGroup(TENANT, { displayName: 'Admins', members: [{ value: bob.id }] });
+
+      expect(member('bob@acme.test').role).toBe('admin');
+      expect(group.members).toEqual([expect.objectContaining({ value: bob.id, display: 'bob@acme.test' })]);
+
+      await scimService.patchGroup(TENANT, group.id, patch({ op: 'remove', path: `members[value eq "${bob.id}"]` }));
+
+      expect(member('bob@acme.test').role).toBe('member');
+    });
+
+    it('follows the tenant role mapping, first match wins', async () => {
+      createRow('ssoConfiguration', { tenantId: TENANT, roleMapping: { 'Procurement Leads': 'manager', Everyone: 'member' } });
+      const leads = await scimService.createGroup(TENANT, { displayName: 'Procurement Leads' });
+      await scimService.createGroup(TENANT, { displayName: 'Everyone', members: [{ value: bob.id }] });
+
+      await scimService.patchGroup(TENANT, leads.id, patch({ op: 'Add', path: 'members', value: [{ value: bob.id }] }));
+
+      expect(member('bob@acme.test').role).toBe('manager');
+      expect((await scimService.getUser(TENANT, bob.id)).groups).toHaveLength(2);
+    });
+
+    it('drops the role when the group is deleted', async () => {
+      const group = await scimService.createGroup(TENANT, { displayName: 'Managers', members: [{ value: bob.id }] });
+
+      await scimService.deleteGroup(TENANT, group.id);
+
+      expect(member('bob@acme.test').role).toBe('member');
+    });
+
+    it('renames and replaces members with PUT', async () => {
+      const group = await scimService.createGroup(TENANT, { displayName: 'Managers', members: [{ value: bob.id }] });
+
+      const replaced = await scimService.replaceGroup(TENANT, group.id, { displayName: 'Admins', members: [] });
+
+      expect(replaced).toMatchObject({ displayName: 'Admins', members: [] });
+      expect(member('bob@acme.test').role).toBe('member');
+    });
+
+    it('refuses members outside the tenant', async () => {
+      await expect(scimService.createGroup(TENANT, { displayName: 'Admins', members: [{ value: 'stranger' }] }))
+        .rejects.toMatchObject({ details: { scimType: 'invalidValue' } });
+    });
+  });
+
+  describe('errors', () => {
+    it('renders SCIM error messages', () => {
+      const res = { status: jest.fn().mockReturnThis(), type: jest.fn().mockReturnThis(), send: jest.fn() };
+
+      scimController.handleError(new ConflictError('User bob@acme.test is already provisioned'), {}, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.type).toHaveBeenCalledWith('application/scim+json');
+      expect(JSON.parse(res.send.mock.calls[0][0])).toEqual({
+        schemas: [scimService.SCIM_SCHEMAS.ERROR],
+        status: '409',
+        scimType: 'uniqueness',
+        detail: 'User bob@acme.test is already provisioned',
+      });
+    });
+  });
+});
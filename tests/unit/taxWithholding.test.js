@@ -0,0 +1,166 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - TAX WITHHOLDING SERVICE UNIT TESTS
+// Tests for TCS/TDS calculation, reversals and GSTR-8 / Form 26Q data
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    order: { findUnique: jest.fn() },
+    statutoryDeduction: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      upsert: jest.fn(),
+      updateMany: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  cache: { get: jest.fn(), set: jest.fn() },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  logAudit: jest.fn(),
+}));
+
+const taxWithholdingService = require('../../src/services/taxWithholding.service');
+const { prisma } = require('../../src/config/database');
+
+const seller = {
+  id: 'seller_1',
+  businessName: 'Bolt Works',
+  legalName: 'Bolt Works Pvt Ltd',
+  gstin: '27AAAAA0000A1Z5',
+  pan: null,
+  state: 'Maharashtra',
+};
+
+const order = (overrides = {}) => ({
+  id: 'order_1',
+  sellerId: 'seller_1',
+  subtotal: '10000.00',
+  discountAmount: '0',
+  shippingAddress: { state: 'Karnataka' },
+  buyer: { gstin: '29BBBBB0000B1Z5', state: 'Karnataka' },
+  seller,
+  ...overrides,
+});
+
+describe('Tax Withholding Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('calculateWithholding', () => {
+    it('should collect interstate TCS as IGST and deduct TDS using the PAN in the GSTIN', () => {
+      const result = taxWithholdingService.calculateWithholding(order());
+
+      expect(result.baseAmount).toBe(10000);
+      expect(result.tcs).toEqual({ rate: 1, amount: 100, igstAmount: 100, cgstAmount: 0, sgstAmount: 0 });
+      expect(result.tds).toEqual({ rate: 0.1, amount: 10, panAvailable: true });
+      expect(result.totalWithheld).toBe(110);
+    });
+
+    it('should split intrastate TCS into CGST and SGST', () => {
+      const result = taxWithholdingService.calculateWithholding(order({
+        buyer: { gstin: '27CCCCC0000C1Z5', state: 'Maharashtra' },
+      }));
+
+      expect(result.tcs).toEqual(expect.objectContaining({ igstAmount: 0, cgstAmount: 50, sgstAmount: 50 }));
+    });
+
+    it('should skip TCS for unregistered sellers and apply the higher TDS rate without PAN', () => {
+      const result = taxWithholdingService.calculateWithholding(order({
+        seller: { ...seller, gstin: null, pan: null },
+      }));
+
+      expect(result.tcs).toBeNull();
+      expect(result.tds).toEqual({ rate: 5, amount: 500, panAvailable: false });
+    });
+  });
+
+  describe('reverseTCSForCreditNote', () => {
+    it('should post a negative TCS entry against the original order', async () => {
+      prisma.statutoryDeduction.findUnique.mockResolvedValue({
+        sellerId: 'seller_1',
+        sellerGstin: seller.gstin,
+        sellerPan: 'AAAAA0000A',
+        sellerName: 'Bolt Works Pvt Ltd',
+        rate: '1.00',
+        igstAmount: '100.00',
+      });
+      prisma.statutoryDeduction.upsert.mockImplementation(({ create }) => Promise.resolve(create));
+
+      const entry = await taxWithholdingService.reverseTCSForCreditNote({
+        id: 'cn_1',
+        noteType: 'CREDIT',
+        orderId: 'order_1',
+        taxableValue: '2000.00',
+      });
+
+      expect(entry).toEqual(expect.objectContaining({
+        reference: 'CN:cn_1',
+        baseAmount: -2000,
+        amount: -20,
+        igstAmount: -20,
+      }));
+    });
+
+    it('should ignore debit notes', async () => {
+      const entry = await taxWithholdingService.reverseTCSForCreditNote({ id: 'dn_1', noteType: 'DEBIT' });
+
+      expect(entry).toBeNull();
+      expect(prisma.statutoryDeduction.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generateGSTR8', () => {
+    it('should net returns against gross supplies per supplier GSTIN', async () => {
+      prisma.statutoryDeduction.findMany.mockResolvedValue([
+        { sellerGstin: seller.gstin, baseAmount: '10000', igstAmount: '100', cgstAmount: '0', sgstAmount: '0' },
+        { sellerGstin: seller.gstin, baseAmount: '-2000', igstAmount: '-20', cgstAmount: '0', sgstAmount: '0' },
+      ]);
+
+      const gstr8 = await taxWithholdingService.generateGSTR8(7, 2024);
+
+      expect(gstr8.fp).toBe('072024');
+      expect(gstr8.tcs).toEqual([{
+        stin: seller.gstin, grsval: 10000, retval: 2000, netval: 8000, iamt: 80, camt: 0, samt: 0,
+      }]);
+    });
+  });
+
+  describe('generateForm26Q', () => {
+    it('should flag deductees without PAN and count entries missing a challan', async () => {
+      prisma.statutoryDeduction.findMany.mockResolvedValue([{
+        sellerPan: null,
+        sellerName: 'Small Trader',
+        baseAmount: '10000',
+        rate: '5.00',
+        amount: '500',
+        deductedAt: new Date('2024-07-10'),
+        challanNumber: null,
+      }]);
+
+      const form26Q = await taxWithholdingService.generateForm26Q('2024-25', 'Q2');
+
+      expect(form26Q.deductees[0]).toEqual(expect.objectContaining({
+        section: '194O',
+        deducteePan: 'PANNOTAVBL',
+        tdsDeducted: 500,
+        remark: 'C',
+      }));
+      expect(form26Q.summary.missingChallan).toBe(1);
+    });
+
+    it('should reject an unknown quarter', async () => {
+      await expect(taxWithholdingService.generateForm26Q('2024-25', 'Q5'))
+        .rejects.toThrow('Quarter must be one of Q1, Q2, Q3, Q4');
+    });
+  });
+});
@@ -0,0 +1,396 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - TENANT ISOLATION UNIT TESTS
+// Harness proving every tenant-scoped model only reaches the request's tenant
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    auditLog: { create: jest.fn() },
+    tenantMember: { findUnique: jest.fn() },
+  },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/multiTenancy.service', () => ({
+  resolveTenantByDomain: jest.fn(),
+  validateApiKey: jest.fn(),
+}));
+
+const { tenantIsolationExtension, CROSS_TENANT_ACTION } = require('../../src/utils/tenantIsolation');
+const {
+  TENANT_SCOPED_MODELS,
+  getTenantContext,
+  runWithTenant,
+  runAsSystem,
+} = require('../../src/utils/tenantContext');
+const { tenantContext, bindTokenTenant } = require('../../src/middleware/tenantContext.middleware');
+const { TenantIsolationError } = require('../../src/utils/errors');
+const multiTenancyService = require('../../src/services/multiTenancy.service');
+const { prisma } = require('../../src/config/database');
+
+const TENANT_A = 'tenant_a';
+const TENANT_B = 'tenant_b';
+
+// =============================================================================
+// IN-MEMORY HARNESS
+// =============================================================================
+
+/**
+ * Minimal stand-in for Prisma's query engine over one table: enough of
+ * `where` (equality, AND) to show which rows a scoped query can reach
+ */
+const createTable = () => {
+  let rows = [];
+
+  const matches = (row, where = {}) => Object.entries(where).every(([key, value]) => {
+    if (key === 'AND') return value.every((clause) => matches(row, clause));
+    if (value && typeof value === 'object') return true; // Non-scalar filters are not modelled
+    return row[key] === value;
+  });
+
+  const query = ({ operation, args }) => {
+    switch (operation) {
+      case 'findMany':
+        return rows.filter((row) => matches(row, args.where));
+      case 'findFirst':
+        return rows.find((row) => matches(row, args.where)) || null;
+      case 'findUnique':
+        return rows.find((row) => row.id === args.where.id && matches(row, args.where)) || null;
+      case 'count':
+        return rows.filter((row) => matches(row, args.where)).length;
+      case 'create': {
+        const row = { id: `new_${rows.length}`, ...args.data };
+        rows.push(row);
+        return row;
+      }
+      case 'update': {
+        const row = rows.find((r) => matches(r, args.where));
+        Object.assign(row, args.data);
+        return row;
+      }
+      case 'updateMany': {
+        const hit = rows.filter((row) => matches(row, args.where));
+        hit.forEach((row) => Object.assign(row, args.data));
+        return { count: hit.length };
+      }
+      case 'deleteMany': {
+        const before = rows.length;
+        rows = rows.filter((row) => !matches(row, args.where));
+        return { count: before - rows.length };
+      }
+      default:
+        throw new Error(`Operation ${operation} not modelled`);
+    }
+  };
+
+  return {
+    seed: () => {
+      rows = [
+        { id: 'a1', tenantId: TENANT_A, name: 'A one' },
+        { id: 'a2', tenantId: TENANT_A, name: 'A two' },
+        { id: 'b1', tenantId: TENANT_B, name: 'B one' },
+        { id: 'p1', tenantId: null, name: 'Platform one' },
+      ];
+    },
+    rows: () => rows,
+    query,
+  };
+};
+
+const tables = Object.fromEntries(TENANT_SCOPED_MODELS.map((model) => [model, createTable()]));
+
+// Unextended client: used by the extension for ownership checks and audit rows
+const baseClient = {
+  auditLog: { create: jest.fn() },
+  ...Object.fromEntries(TENANT_SCOPED_MODELS.map((model) => [
+    model.charAt(0).toLowerCase() + model.slice(1),
+    { findUnique: jest.fn(({ where }) => tables[model].rows().find((row) => row.id === where.id) || null) },
+  ])),
+};
+
+// Relations used by the nested include/select tests
+const relation = (name, type, isList) => ({ name, kind: 'object', type, isList });
+const datamodel = {
+  models: [
+    { name: 'Business', fields: [relation('products', 'Product', true), relation('orders', 'Order', true)] },
+    { name: 'Order', fields: [relation('buyer', 'Business', false), relation('items', 'OrderItem', true)] },
+    { name: 'OrderItem', fields: [relation('order', 'Order', false), relation('product', 'Product', false)] },
+    { name: 'Product', fields: [relation('seller', 'Business', false), relation('reviews', 'Review', true)] },
+  ],
+};
+
+const { $allOperations } = tenantIsolationExtension(baseClient, datamodel).query.$allModels;
+
+/**
+ * Run one operation through the extension against the model's table
+ */
+const run = (model, operation, args = {}) => {
+  const query = jest.fn((scopedArgs) => Promise.resolve(tables[model].query({ operation, args: scopedArgs })));
+  return { query, result: $allOperations({ model, operation, args, query }) };
+};
+
+const exec = (model, operation, args) => run(model, operation, args).result;
+
+const asTenant = (tenantId, fn) => runWithTenant(tenantId, fn, { userId: 'user_1', source: 'token' });
+
+// =============================================================================
+// PER-MODEL ISOLATION
+// =============================================================================
+
+describe('Tenant isolation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.values(tables).forEach((table) => table.seed());
+  });
+
+  describe.each(TENANT_SCOPED_MODELS)('%s', (model) => {
+    it('lists and counts only the current tenant rows', () => asTenant(TENANT_A, async () => {
+      const rows = await exec(model, 'findMany', {});
+      const count = await exec(model, 'count', { where: { name: 'B one' } });
+
+      expect(rows.map((row) => row.id)).toEqual(['a1', 'a2']);
+      expect(count).toBe(0);
+    }));
+
+    it('refuses and audits a lookup of another tenant row', () => asTenant(TENANT_A, async () => {
+      await expect(exec(model, 'findUnique', { where: { id: 'b1' } })).rejects.toBeInstanceOf(TenantIsolationError);
+
+      expect(baseClient.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          action: CROSS_TENANT_ACTION,
+          entity: model,
+          entityId: 'b1',
+          userId: 'user_1',
+          newValues: expect.objectContaining({ tenantId: TENANT_A, requestedTenantId: TENANT_B }),
+        }),
+      });
+    }));
+
+    it('refuses a filter naming another tenant', () => asTenant(TENANT_A, async () => {
+      const { query, result } = run(model, 'findMany', { where: { tenantId: TENANT_B } });
+
+      await expect(result).rejects.toBeInstanceOf(TenantIsolationError);
+      expect(query).not.toHaveBeenCalled();
+    }));
+
+    it('stamps the tenant on created rows and refuses foreign ones', () => asTenant(TENANT_A, async () => {
+      const created = await exec(model, 'create', { data: { name: 'Created' } });
+
+      expect(created.tenantId).toBe(TENANT_A);
+      await expect(exec(model, 'create', { data: { name: 'Planted', tenantId: TENANT_B } }))
+        .rejects.toBeInstanceOf(TenantIsolationError);
+      expect(tables[model].rows().filter((row) => row.tenantId === TENANT_B)).toHaveLength(1);
+    }));
+
+    it('refuses to update or delete another tenant row', () => asTenant(TENANT_A, async () => {
+      const update = run(model, 'update', { where: { id: 'b1' }, data: { name: 'Hijacked' } });
+      const remove = run(model, 'delete', { where: { id: 'b1' } });
+
+      await expect(update.result).rejects.toBeInstanceOf(TenantIsolationError);
+      await expect(remove.result).rejects.toBeInstanceOf(TenantIsolationError);
+      expect(update.query).not.toHaveBeenCalled();
+      expect(remove.query).not.toHaveBeenCalled();
+      expect(tables[model].rows().find((row) => row.id === 'b1').name).toBe('B one');
+    }));
+
+    it('keeps bulk writes inside the tenant and refuses moving rows out', () => asTenant(TENANT_A, async () => {
+      const renamed = await exec(model, 'updateMany', { where: {}, data: { name: 'Renamed' } });
+      const deleted = await exec(model, 'deleteMany', { where: { id: 'b1' } });
+
+      expect(renamed.count).toBe(2);
+      expect(deleted.count).toBe(0);
+      await expect(exec(model, 'updateMany', { where: { id: 'a1' }, data: { tenantId: TENANT_B } }))
+        .rejects.toBeInstanceOf(TenantIsolationError);
+    }));
+
+    it('keeps the main marketplace out of tenant rows', () => asTenant(null, async () => {
+      const rows = await exec(model, 'findMany', {});
+
+      expect(rows.map((row) => row.id)).toEqual(['p1']);
+      await expect(exec(model, 'findUnique', { where: { id: 'a1' } })).rejects.toBeInstanceOf(TenantIsolationError);
+    }));
+  });
+
+  // ===========================================================================
+  // UNSCOPED CALLERS
+  // ===========================================================================
+
+  describe('unscoped callers', () => {
+    it('leaves queries outside any request context untouched', async () => {
+      const rows = await exec('Product', 'findMany', {});
+
+      expect(rows).toHaveLength(4);
+    });
+
+    it('lets runAsSystem see every tenant', () => runAsSystem(async () => {
+      const row = await exec('Order', 'findUnique', { where: { id: 'b1' } });
+
+      expect(row.tenantId).toBe(TENANT_B);
+    }));
+
+    it('does not scope models outside the tenant-scoped list', () => asTenant(TENANT_A, async () => {
+      const query = jest.fn().mockResolvedValue([]);
+
+      await $allOperations({ model: 'Category', operation: 'findMany', args: { where: {} }, query });
+
+      expect(query).toHaveBeenCalledWith({ where: {} });
+    }));
+  });
+
+  // ===========================================================================
+  // NESTED RELATIONS
+  // ===========================================================================
+
+  describe('nested include and select', () => {
+    it('scopes to-many relations at every level', () => asTenant(TENANT_A, async () => {
+      const query = jest.fn().mockResolvedValue([]);
+
+      await $allOperations({
+        model: 'Business',
+        operation: 'findMany',
+        args: { include: { products: { include: { reviews: true } } } },
+        query,
+      });
+
+      const [[args]] = query.mock.calls;
+      expect(args.where).toEqual({ tenantId: TENANT_A });
+      expect(args.include.products.where).toEqual({ tenantId: TENANT_A });
+      expect(args.include.products.include.reviews).toEqual({ where: { tenantId: TENANT_A } });
+    }));
+
+    it('scopes tenant relations reached through unscoped models', () => asTenant(TENANT_A, async () => {
+      const query = jest.fn().mockResolvedValue([]);
+
+      await $allOperations({
+        model: 'OrderItem',
+        operation: 'findMany',
+        args: { where: {}, select: { product: { select: { name: true, reviews: { where: { name: 'x' } } } } } },
+        query,
+      });
+
+      const [[args]] = query.mock.calls;
+      expect(args.where).toEqual({});
+      expect(args.select.product.select).toEqual({
+        name: true,
+        tenantId: true,
+        reviews: { where: { name: 'x', tenantId: TENANT_A } },
+      });
+    }));
+
+    it('scopes relation counts', () => asTenant(TENANT_A, async () => {
+      const query = jest.fn().mockResolvedValue(null);
+
+      await $allOperations({
+        model: 'Business',
+        operation: 'findFirst',
+        args: { select: { _count: { select: { products: true } } } },
+        query,
+      });
+
+      expect(query.mock.calls[0][0].select._count.select.products).toEqual({ where: { tenantId: TENANT_A } });
+    }));
+
+    it('refuses a nested filter naming another tenant', () => asTenant(TENANT_A, async () => {
+      const query = jest.fn();
+
+      await expect($allOperations({
+        model: 'Business',
+        operation: 'findMany',
+        args: { include: { orders: { where: { tenantId: TENANT_B } } } },
+        query,
+      })).rejects.toBeInstanceOf(TenantIsolationError);
+      expect(query).not.toHaveBeenCalled();
+    }));
+
+    it('refuses and audits a to-one relation in another tenant', () => asTenant(TENANT_A, async () => {
+      const query = jest.fn().mockResolvedValue([
+        { id: 'item_1', order: { id: 'a1', tenantId: TENANT_A, buyer: { id: 'b1', tenantId: TENANT_B } } },
+      ]);
+
+      await expect($allOperations({
+        model: 'OrderItem',
+        operation: 'findMany',
+        args: { include: { order: { include: { buyer: true } } } },
+        query,
+      })).rejects.toBeInstanceOf(TenantIsolationError);
+
+      expect(baseClient.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          entity: 'Business',
+          entityId: 'b1',
+          newValues: expect.objectContaining({ requestedTenantId: TENANT_B }),
+        }),
+      });
+    }));
+
+    it('returns to-one relations in the current tenant', () => asTenant(TENANT_A, async () => {
+      const order = { id: 'a1', tenantId: TENANT_A, buyer: { id: 'a2', tenantId: TENANT_A } };
+      const query = jest.fn().mockResolvedValue(order);
+
+      await expect($allOperations({
+        model: 'Order',
+        operation: 'findUnique',
+        args: { where: { id: 'a1' }, include: { buyer: true } },
+        query,
+      })).resolves.toBe(order);
+    }));
+  });
+
+  // ===========================================================================
+  // REQUEST CONTEXT
+  // ===========================================================================
+
+  describe('tenantContext middleware', () => {
+    const request = (overrides = {}) => ({ hostname: 'shop.acme.test', ip: '10.0.0.1', headers: {}, ...overrides });
+
+    it('runs the request inside the tenant serving the custom domain', async () => {
+      multiTenancyService.resolveTenantByDomain.mockResolvedValue(TENANT_A);
+      const req = request();
+      let seen;
+
+      await tenantContext()(req, {}, () => { seen = getTenantContext(); });
+
+      expect(req.tenantId).toBe(TENANT_A);
+      expect(seen).toMatchObject({ tenantId: TENANT_A, source: 'domain', ip: '10.0.0.1' });
+    });
+
+    it('refuses a tenant API key presented on another tenant domain', async () => {
+      multiTenancyService.resolveTenantByDomain.mockResolvedValue(TENANT_A);
+      multiTenancyService.validateApiKey.mockResolvedValue({ id: TENANT_B });
+      const next = jest.fn();
+
+      await tenantContext()(request({ headers: { 'x-api-key': 'ak_123' } }), {}, next);
+
+      expect(next.mock.calls[0][0]).toBeInstanceOf(TenantIsolationError);
+      expect(prisma.auditLog.create).toHaveBeenCalled();
+    });
+
+    it('adopts the token tenant on the platform host', async () => {
+      multiTenancyService.resolveTenantByDomain.mockResolvedValue(null);
+      const req = request({ hostname: 'localhost' });
+
+      await tenantContext()(req, {}, () => bindTokenTenant(req, { tenantId: TENANT_B }, { id: 'user_1' }));
+
+      expect(req.tenantId).toBe(TENANT_B);
+    });
+
+    it('refuses a token issued for another tenant', async () => {
+      multiTenancyService.resolveTenantByDomain.mockResolvedValue(TENANT_A);
+      const req = request();
+      let bound;
+
+      await tenantContext()(req, {}, () => {
+        bound = bindTokenTenant(req, { userId: 'user_1' }, { id: 'user_1' });
+      });
+
+      await expect(bound).rejects.toBeInstanceOf(TenantIsolationError);
+    });
+  });
+});
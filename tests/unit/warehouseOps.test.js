@@ -0,0 +1,440 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - WAREHOUSE OPERATIONS UNIT TESTS
+// Tests for bins and putaway, pick list batching and routing, scan-to-confirm
+// picking, short picks, packing and dispatch
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {},
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  inventory: { setStock: jest.fn() },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/services/notification.service', () => ({
+  notifyBusinessUsers: jest.fn(),
+}));
+
+jest.mock('../../src/services/socket.service', () => ({
+  emitToBusiness: jest.fn(),
+}));
+
+jest.mock('../../src/services/order.service', () => ({
+  updateOrderStatus: jest.fn(),
+}));
+
+jest.mock('../../src/services/shipping.service', () => ({
+  CARRIERS: { DELHIVERY: 'delhivery' },
+  createShipment: jest.fn(),
+}));
+
+const { prisma } = require('../../src/config/database');
+const orderService = require('../../src/services/order.service');
+const shippingService = require('../../src/services/shipping.service');
+const { emitToBusiness } = require('../../src/services/socket.service');
+const warehouseOpsService = require('../../src/services/warehouseOps.service');
+const { BadRequestError, ConflictError } = require('../../src/utils/errors');
+const { createMemoryPrisma } = require('../helpers/memoryPrisma');
+
+// =============================================================================
+// IN-MEMORY STORE
+// =============================================================================
+
+const byId = (model, field) => (row, rowsOf) => rowsOf(model).find((target) => target.id === row[field]);
+const childrenOf = (model, field) => (row, rowsOf) => rowsOf(model).filter((child) => child[field] === row.id);
+
+const { rowsOf, insert, install, reset } = createMemoryPrisma({
+  relations: {
+    warehouseZone: { bins: childrenOf('warehouseBin', 'zoneId') },
+    warehouseBin: {
+      zone: byId('warehouseZone', 'zoneId'),
+      warehouse: byId('warehouse', 'warehouseId'),
+      stock: childrenOf('binStock', 'binId'),
+    },
+    binStock: { bin: byId('warehouseBin', 'binId'), variant: byId('productVariant', 'variantId') },
+    pickList: { lines: childrenOf('pickListLine', 'pickListId') },
+    pickListLine: { bin: byId('warehouseBin', 'binId'), pickList: byId('pickList', 'pickListId') },
+    productVariant: { product: byId('product', 'productId') },
+    order: { items: childrenOf('orderItem', 'orderId') },
+    orderItem: { variant: byId('productVariant', 'variantId') },
+    lotAllocation: { lot: byId('inventoryLot', 'lotId') },
+  },
+  targets: {
+    zone: 'warehouseZone', bins: 'warehouseBin', bin: 'warehouseBin', stock: 'binStock',
+    lines: 'pickListLine', items: 'orderItem', variant: 'productVariant', lot: 'inventoryLot',
+  },
+  defaults: {
+    warehouseZone: () => ({ isActive: true, pickSequence: 0 }),
+    warehouseBin: () => ({ isActive: true, pickSequence: 0, maxUnits: null }),
+    binStock: () => ({ lotNumber: '' }),
+    putawayRule: () => ({ isActive: true, priority: 100, variantId: null, productId: null, categoryId: null }),
+    pickList: () => ({ status: 'OPEN', startedAt: null, completedAt: null }),
+    pickListLine: () => ({ lotNumber: '', pickedQuantity: 0, status: 'PENDING' }),
+    packingCarton: () => ({ shipmentId: null }),
+  },
+});
+
+install(prisma, ['warehouse', 'warehouseZone', 'warehouseBin', 'binStock', 'putawayRule', 'pickList', 'pickListLine',
+  'packingCarton', 'product', 'productVariant', 'warehouseInventory', 'inventoryLot', 'lotAllocation', 'order',
+  'orderItem', 'scanHistory']);
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const BUSINESS = 'seller_1';
+
+let zones;
+
+const seed = async () => {
+  reset();
+  insert('warehouse', { id: 'wh_1', businessId: BUSINESS, code: 'MUM', name: 'Mumbai DC', city: 'Mumbai', pincode: '400001' });
+  insert('product', { id: 'prod_bolt', businessId: BUSINESS, name: 'Hex Bolt', categoryId: 'cat_fasteners', lotTracked: false });
+  insert('product', { id: 'prod_nut', businessId: BUSINESS, name: 'Hex Nut', categoryId: 'cat_fasteners', lotTracked: false });
+  insert('product', { id: 'prod_syrup', businessId: BUSINESS, name: 'Cough Syrup', categoryId: 'cat_pharma', lotTracked: true });
+  insert('productVariant', { id: 'var_bolt', productId: 'prod_bolt', sku: 'BLT-M8', barcode: '8901234000011' });
+  insert('productVariant', { id: 'var_nut', productId: 'prod_nut', sku: 'NUT-M8', barcode: '8901234000028' });
+  insert('productVariant', { id: 'var_syrup', productId: 'prod_syrup', sku: 'SYR-100', barcode: '8901234000035' });
+
+  zones = {
+    pick: await warehouseOpsService.createZone(BUSINESS, 'wh_1', { code: 'a', name: 'Pick faces', type: 'PICKING', pickSequence: 1 }),
+    bulk: await warehouseOpsService.createZone(BUSINESS, 'wh_1', { code: 'b', name: 'Overstock', type: 'BULK', pickSequence: 2 }),
+    hold: await warehouseOpsService.createZone(BUSINESS, 'wh_1', { code: 'q', name: 'Quarantine', type: 'QUARANTINE' }),
+  };
+  await warehouseOpsService.createBins(BUSINESS, 'wh_1', {
+    zoneId: zones.pick.id,
+    bins: [{ code: 'A-01' }, { code: 'A-02', maxUnits: 50 }, { code: 'A-03' }],
+  });
+  await warehouseOpsService.createBins(BUSINESS, 'wh_1', { zoneId: zones.bulk.id, bins: [{ code: 'B-01' }] });
+  await warehouseOpsService.createBins(BUSINESS, 'wh_1', { zoneId: zones.hold.id, bins: [{ code: 'Q-01' }] });
+};
+
+const bin = (code) => rowsOf('warehouseBin').find((row) => row.code === code);
+
+const stockIn = (code, variantId, lotNumber = '') => rowsOf('binStock')
+  .find((row) => row.binId === bin(code).id && row.variantId === variantId && row.lotNumber === lotNumber)?.quantity || 0;
+
+const shelve = (code, variantId, quantity, lotNumber = '') => insert('binStock', { binId: bin(code).id, variantId, lotNumber, quantity });
+
+const onHand = (variantId, quantity) => insert('warehouseInventory', {
+  warehouseId: 'wh_1', variantId, quantity, reservedQuantity: 0, location: null,
+});
+
+const confirmedOrder = (id, items) => {
+  insert('order', {
+    id, orderNumber: `ORD-${id}`, sellerId: BUSINESS, status: 'CONFIRMED', totalAmount: '1180.00',
+    shippingAddress: { city: 'Pune', pincode: '411001' },
+  });
+  items.forEach(([variantId, quantity], index) => insert('orderItem', {
+    id: `${id}_item_${index + 1}`, orderId: id, variantId, quantity,
+    sku: rowsOf('productVariant').find((variant) => variant.id === variantId).sku,
+  }));
+};
+
+const scan = (pickListId, binCode, itemBarcode, extra = {}) => warehouseOpsService.scanPick(
+  BUSINESS, pickListId, { binBarcode: `MUM-${binCode}`, itemBarcode, ...extra }, 'picker_1',
+);
+
+describe('WarehouseOpsService', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    orderService.updateOrderStatus.mockImplementation((orderId, businessId, status) => {
+      rowsOf('order').find((order) => order.id === orderId).status = status;
+      return Promise.resolve();
+    });
+    await seed();
+  });
+
+  // ===========================================================================
+  // LAYOUT
+  // ===========================================================================
+
+  describe('layout', () => {
+    it('labels bins after the warehouse and walks them in the order created', async () => {
+      const layout = await warehouseOpsService.getLayout(BUSINESS, 'wh_1');
+
+      expect(layout.zones.map((zone) => zone.code)).toEqual(['Q', 'A', 'B']);
+      expect(layout.zones[1].bins.map((row) => [row.code, row.barcode, row.pickSequence])).toEqual([
+        ['A-01', 'MUM-A-01', 0], ['A-02', 'MUM-A-02', 1], ['A-03', 'MUM-A-03', 2],
+      ]);
+    });
+
+    it('refuses duplicate zone and bin codes', async () => {
+      await expect(warehouseOpsService.createZone(BUSINESS, 'wh_1', { code: 'A', name: 'Again' }))
+        .rejects.toBeInstanceOf(ConflictError);
+      await expect(warehouseOpsService.createBins(BUSINESS, 'wh_1', { zoneId: zones.pick.id, bins: [{ code: 'a-01' }] }))
+        .rejects.toBeInstanceOf(ConflictError);
+    });
+  });
+
+  // ===========================================================================
+  // PUTAWAY
+  // ===========================================================================
+
+  describe('putaway', () => {
+    it('follows the most specific rule and tops up a bin already holding the SKU', async () => {
+      onHand('var_bolt', 100);
+      insert('putawayRule', { warehouseId: 'wh_1', zoneId: zones.pick.id, categoryId: 'cat_fasteners' });
+      insert('putawayRule', { warehouseId: 'wh_1', zoneId: zones.bulk.id, variantId: 'var_bolt' });
+
+      const first = await warehouseOpsService.putaway(BUSINESS, 'wh_1', { variantId: 'var_bolt', quantity: 40 }, 'user_1');
+      const second = await warehouseOpsService.putaway(BUSINESS, 'wh_1', { variantId: 'var_bolt', quantity: 10 }, 'user_1');
+
+      expect(first.bin.code).toBe('B-01');
+      expect(second.bin.code).toBe('B-01');
+      expect(stockIn('B-01', 'var_bolt')).toBe(50);
+      expect(rowsOf('warehouseInventory')[0].location).toBe('B-01');
+    });
+
+    it('never mixes SKUs in a bin and respects bin capacity', async () => {
+      onHand('var_nut', 200);
+      shelve('A-01', 'var_bolt', 5);
+
+      const suggestion = await warehouseOpsService.suggestPutaway(BUSINESS, 'wh_1', { variantId: 'var_nut', quantity: 80 });
+
+      expect(suggestion.bin.code).toBe('A-03');
+      await expect(warehouseOpsService.putaway(BUSINESS, 'wh_1', {
+        variantId: 'var_nut', quantity: 80, binBarcode: 'MUM-A-02',
+      }, 'user_1')).rejects.toThrow(/room for 50/);
+    });
+
+    it('cannot bin more than the warehouse has on hand', async () => {
+      onHand('var_bolt', 30);
+      shelve('A-01', 'var_bolt', 25);
+
+      await expect(warehouseOpsService.putaway(BUSINESS, 'wh_1', { variantId: 'var_bolt', quantity: 10 }, 'user_1'))
+        .rejects.toThrow(/Only 5 units/);
+    });
+
+    it('requires the lot for lot-tracked stock and puts each lot in its own slot', async () => {
+      insert('inventoryLot', { warehouseId: 'wh_1', variantId: 'var_syrup', lotNumber: 'L1', quantity: 20 });
+
+      await expect(warehouseOpsService.putaway(BUSINESS, 'wh_1', { variantId: 'var_syrup', quantity: 5 }, 'user_1'))
+        .rejects.toBeInstanceOf(BadRequestError);
+
+      await warehouseOpsService.putaway(BUSINESS, 'wh_1', {
+        variantId: 'var_syrup', quantity: 20, lotNumber: 'L1', binBarcode: 'MUM-A-03',
+      }, 'user_1');
+      expect(stockIn('A-03', 'var_syrup', 'L1')).toBe(20);
+    });
+  });
+
+  // ===========================================================================
+  // PICK LISTS
+  // ===========================================================================
+
+  describe('generatePickLists', () => {
+    beforeEach(() => {
+      shelve('A-03', 'var_bolt', 10);
+      shelve('B-01', 'var_bolt', 100);
+      shelve('A-01', 'var_nut', 50);
+      shelve('Q-01', 'var_nut', 500);
+    });
+
+    it('batches orders and routes every line by bin sequence', async () => {
+      confirmedOrder('order_1', [['var_bolt', 15], ['var_nut', 5]]);
+      confirmedOrder('order_2', [['var_nut', 10]]);
+      confirmedOrder('order_3', [['var_bolt', 1]]);
+
+      const { pickLists, skipped } = await warehouseOpsService.generatePickLists(BUSINESS, 'wh_1', { batchSize: 2 }, 'user_1');
+
+      expect(skipped).toEqual([]);
+      expect(pickLists).toHaveLength(2);
+      expect(pickLists[0].orderIds).toEqual(['order_1', 'order_2']);
+      expect(pickLists[0].lines.map((line) => [line.sequence, line.bin.code, line.orderId, line.quantity])).toEqual([
+        [1, 'A-01', 'order_1', 5],
+        [2, 'A-01', 'order_2', 10],
+        [3, 'A-03', 'order_1', 10],
+        [4, 'B-01', 'order_1', 5],
+      ]);
+      expect(pickLists[1].lines).toEqual([expect.objectContaining({ orderId: 'order_3', quantity: 1 })]);
+      expect(pickLists[1].lines[0].bin.code).toBe('B-01');
+      expect(orderService.updateOrderStatus).toHaveBeenCalledWith('order_1', BUSINESS, 'PROCESSING', {
+        description: `Picking on ${pickLists[0].pickListNumber}`,
+      });
+    });
+
+    it('skips orders the pickable bins cannot cover, ignoring quarantine stock', async () => {
+      confirmedOrder('order_1', [['var_nut', 45]]);
+      confirmedOrder('order_2', [['var_nut', 10]]);
+
+      const { pickLists, skipped } = await warehouseOpsService.generatePickLists(BUSINESS, 'wh_1');
+
+      expect(pickLists[0].orderIds).toEqual(['order_1']);
+      expect(skipped).toEqual([expect.objectContaining({ orderId: 'order_2', reason: 'Not enough NUT-M8 in pickable bins' })]);
+      expect(rowsOf('order').find((order) => order.id === 'order_2').status).toBe('CONFIRMED');
+    });
+
+    it('does not promise stock that open pick lists already hold', async () => {
+      confirmedOrder('order_1', [['var_nut', 40]]);
+      await warehouseOpsService.generatePickLists(BUSINESS, 'wh_1');
+      confirmedOrder('order_2', [['var_nut', 20]]);
+
+      const { pickLists, skipped } = await warehouseOpsService.generatePickLists(BUSINESS, 'wh_1');
+
+      expect(pickLists).toEqual([]);
+      expect(skipped).toEqual([expect.objectContaining({ orderId: 'order_2' })]);
+    });
+
+    it('picks lot-tracked lines from the bins holding the reserved lots', async () => {
+      const lot = insert('inventoryLot', { warehouseId: 'wh_1', variantId: 'var_syrup', lotNumber: 'L2', quantity: 30 });
+      shelve('A-02', 'var_syrup', 30, 'L2');
+      shelve('A-01', 'var_syrup', 30, 'L9');
+      confirmedOrder('order_1', [['var_syrup', 6]]);
+      insert('lotAllocation', { lotId: lot.id, orderId: 'order_1', orderItemId: 'order_1_item_1', quantity: 6, status: 'RESERVED' });
+
+      const { pickLists } = await warehouseOpsService.generatePickLists(BUSINESS, 'wh_1');
+
+      expect(pickLists[0].lines).toEqual([expect.objectContaining({ lotNumber: 'L2', quantity: 6 })]);
+      expect(pickLists[0].lines[0].bin.code).toBe('A-02');
+    });
+  });
+
+  // ===========================================================================
+  // SCAN-TO-CONFIRM PICKING
+  // ===========================================================================
+
+  describe('picking', () => {
+    let pickList;
+
+    beforeEach(async () => {
+      shelve('A-01', 'var_nut', 4);
+      shelve('B-01', 'var_nut', 50);
+      confirmedOrder('order_1', [['var_nut', 6]]);
+      ({ pickLists: [pickList] } = await warehouseOpsService.generatePickLists(BUSINESS, 'wh_1'));
+    });
+
+    it('confirms scans against the bin and item due, and completes the list', async () => {
+      await expect(scan(pickList.id, 'B-01', 'UNKNOWN-1')).rejects.toThrow(/not a known item/);
+      await expect(scan(pickList.id, 'B-01', 'BLT-M8')).rejects.toThrow(/BLT-M8 is not due from bin B-01/);
+      await expect(scan(pickList.id, 'A-03', 'NUT-M8')).rejects.toThrow(/not due from bin A-03/);
+
+      const first = await scan(pickList.id, 'A-01', '8901234000028', { quantity: 4 });
+      expect(first.pickList.status).toBe('IN_PROGRESS');
+      expect(first.pickList.nextLine.bin.code).toBe('B-01');
+      expect(stockIn('A-01', 'var_nut')).toBe(0);
+
+      const last = await scan(pickList.id, 'B-01', JSON.stringify({ type: 'PRODUCT', id: 'prod_nut', v: 'var_nut' }), { quantity: 2 });
+      expect(last.pickList.status).toBe('COMPLETED');
+      expect(last.pickList.lines.every((line) => line.status === 'PICKED')).toBe(true);
+      expect(stockIn('B-01', 'var_nut')).toBe(48);
+    });
+
+    it('refuses to over-pick a line', async () => {
+      await expect(scan(pickList.id, 'A-01', 'NUT-M8', { quantity: 5 })).rejects.toThrow(/Only 4 units/);
+    });
+
+    it('refuses a scan when a concurrent pick emptied the bin after it was read', async () => {
+      const stock = rowsOf('binStock').find((row) => row.binId === bin('A-01').id);
+      prisma.binStock.findUnique.mockImplementationOnce(() => {
+        const read = { ...stock };
+        stock.quantity = 1;
+        return Promise.resolve(read);
+      });
+
+      await expect(scan(pickList.id, 'A-01', 'NUT-M8', { quantity: 4 })).rejects.toBeInstanceOf(ConflictError);
+
+      expect(stockIn('A-01', 'var_nut')).toBe(1);
+      expect(rowsOf('pickListLine').every((line) => line.pickedQuantity === 0)).toBe(true);
+    });
+
+    it('re-slots a short pick to another bin and flags what cannot be found', async () => {
+      const [line] = pickList.lines;
+      rowsOf('binStock').find((row) => row.binId === bin('B-01').id).quantity = 3;
+
+      const result = await warehouseOpsService.reportShortPick(BUSINESS, pickList.id, line.id, { reason: 'Bin empty' }, 'picker_1');
+
+      expect(result).toMatchObject({ reslotted: 1, unfilled: 3 });
+      expect(result.pickList.lines.map((row) => [row.bin.code, row.status, row.quantity])).toEqual([
+        ['A-01', 'SHORT', 4], ['B-01', 'PENDING', 2], ['B-01', 'PENDING', 1],
+      ]);
+      expect(stockIn('A-01', 'var_nut')).toBe(0);
+      expect(emitToBusiness).toHaveBeenCalledWith(BUSINESS, 'warehouse:short_pick', expect.objectContaining({ unfilled: 3 }));
+    });
+
+    it('puts picked units back when the order is cancelled', async () => {
+      await scan(pickList.id, 'A-01', 'NUT-M8', { quantity: 4 });
+
+      const result = await warehouseOpsService.cancelOrderPicks('order_1');
+
+      expect(result).toEqual({ putBack: 4 });
+      expect(stockIn('A-01', 'var_nut')).toBe(4);
+      expect(rowsOf('pickList')[0].status).toBe('CANCELLED');
+    });
+  });
+
+  // ===========================================================================
+  // PACKING & DISPATCH
+  // ===========================================================================
+
+  describe('packing', () => {
+    let pickList;
+
+    beforeEach(async () => {
+      shelve('A-01', 'var_bolt', 20);
+      shelve('A-02', 'var_nut', 20);
+      confirmedOrder('order_1', [['var_bolt', 10], ['var_nut', 4]]);
+      ({ pickLists: [pickList] } = await warehouseOpsService.generatePickLists(BUSINESS, 'wh_1'));
+      await scan(pickList.id, 'A-01', 'BLT-M8', { quantity: 10 });
+    });
+
+    const carton = (items, weightKg = 2.5) => warehouseOpsService.packCarton(BUSINESS, 'order_1', {
+      items, weightKg, lengthCm: 30, widthCm: 20, heightCm: 15,
+    }, 'packer_1');
+
+    it('packs only picked units and marks the order ready once everything is packed', async () => {
+      await expect(carton([{ orderItemId: 'order_1_item_2', quantity: 1 }])).rejects.toThrow(/Only 0 picked units/);
+
+      const first = await carton([{ orderItemId: 'order_1_item_1', quantity: 10 }]);
+      expect(first.readyToShip).toBe(false);
+      expect(orderService.updateOrderStatus).not.toHaveBeenCalledWith('order_1', BUSINESS, 'READY_TO_SHIP', expect.anything());
+
+      await scan(pickList.id, 'A-02', 'NUT-M8', { quantity: 4 });
+      const second = await carton([{ orderItemId: 'order_1_item_2', quantity: 4 }], 1.25);
+
+      expect(second).toMatchObject({ readyToShip: true, carton: { cartonNumber: 2 } });
+      expect(orderService.updateOrderStatus).toHaveBeenCalledWith('order_1', BUSINESS, 'READY_TO_SHIP', {
+        description: 'Packed in 2 cartons',
+        extra: { cartons: 2 },
+      });
+    });
+
+    it('books the carrier with the packed weight and cartons', async () => {
+      await scan(pickList.id, 'A-02', 'NUT-M8', { quantity: 4 });
+      await carton([{ orderItemId: 'order_1_item_1', quantity: 10 }]);
+      await carton([{ orderItemId: 'order_1_item_2', quantity: 4 }], 1.25);
+      shippingService.createShipment.mockResolvedValue({ id: 'shp_1', awbNumber: 'AWB1' });
+
+      const result = await warehouseOpsService.dispatchOrder(BUSINESS, 'order_1', { carrier: 'bluedart' });
+
+      expect(shippingService.createShipment).toHaveBeenCalledWith(expect.objectContaining({
+        orderId: 'order_1',
+        carrier: 'bluedart',
+        weight: 3.75,
+        dimensions: undefined,
+        packages: [
+          { cartonNumber: 1, weightKg: 2.5, lengthCm: 30, widthCm: 20, heightCm: 15 },
+          { cartonNumber: 2, weightKg: 1.25, lengthCm: 30, widthCm: 20, heightCm: 15 },
+        ],
+        pickupAddress: expect.objectContaining({ name: 'Mumbai DC', pincode: '400001' }),
+        deliveryAddress: { city: 'Pune', pincode: '411001' },
+        declaredValue: 1180,
+      }));
+      expect(result.shipment.id).toBe('shp_1');
+      expect(rowsOf('packingCarton').every((row) => row.shipmentId === 'shp_1')).toBe(true);
+    });
+
+    it('only dispatches packed orders', async () => {
+      await expect(warehouseOpsService.dispatchOrder(BUSINESS, 'order_1', {})).rejects.toThrow(/PROCESSING/);
+    });
+  });
+});
@@ -0,0 +1,406 @@
+// =============================================================================
+// AIRAVAT B2B MARKETPLACE - WEBHOOK PLATFORM UNIT TESTS
+// Tests for the event catalog, version pinning, signing, dead-letter queue,
+// auto-disable and replay
+// =============================================================================
+
+// Mock dependencies (declared before requires: babel hoisting is disabled)
+jest.mock('../../src/config/database', () => ({
+  prisma: {
+    webhook: {
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(({ data }) => Promise.resolve({ id: 'wh_1', ...data })),
+      update: jest.fn(),
+    },
+    webhookDelivery: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      createMany: jest.fn(),
+      update: jest.fn(({ where, data }) => Promise.resolve({ id: where.id, attempts: 0, ...data, replayCount: 1 })),
+      updateMany: jest.fn(),
+      count: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../../src/jobs/queue', () => ({
+  addJob: jest.fn(),
+}));
+
+jest.mock('axios', () => ({
+  post: jest.fn(),
+}));
+
+const axios = require('axios');
+const webhookService = require('../../src/services/webhook.service');
+const webhookCatalog = require('../../src/utils/webhookCatalog');
+const config = require('../../src/config');
+const { prisma } = require('../../src/config/database');
+const { addJob } = require('../../src/jobs/queue');
+
+const HOUR = 60 * 60 * 1000;
+
+const orderData = {
+  orderId: 'order_1',
+  orderNumber: 'ORD-0001',
+  status: 'CONFIRMED',
+  previousStatus: 'PENDING',
+  paymentStatus: 'PAID',
+  buyerId: 'buyer_1',
+  sellerId: 'seller_1',
+  totalAmount: '1250.50',
+  currency: 'INR',
+  updatedAt: '2026-10-01T10:00:00.000Z',
+};
+
+const webhookRow = (overrides = {}) => ({
+  id: 'wh_1',
+  businessId: 'biz_1',
+  url: 'https://partner.example.com/hooks',
+  events: ['order.confirmed'],
+  eventVersions: { 'order.confirmed': 1 },
+  secret: 'whsec_new',
+  previousSecret: null,
+  previousSecretExpiresAt: null,
+  isActive: true,
+  consecutiveFailures: 0,
+  failingSince: null,
+  ...overrides,
+});
+
+const deliveryRow = (overrides = {}) => ({
+  id: 'del_1',
+  webhookId: 'wh_1',
+  eventId: 'evt_1',
+  eventType: 'order.confirmed',
+  payload: orderData,
+  payloadVersion: 1,
+  status: 'pending',
+  attempts: 0,
+  replayCount: 0,
+  createdAt: new Date('2026-10-01T10:00:00Z'),
+  webhook: webhookRow(),
+  ...overrides,
+});
+
+describe('Webhook Platform', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.webhook.update.mockImplementation(({ where, data }) => Promise.resolve({
+      ...webhookRow(),
+      id: where.id,
+      ...data,
+    }));
+  });
+
+  // ===========================================================================
+  // EVENT CATALOG
+  // ===========================================================================
+
+  describe('catalog', () => {
+    it('lists every event with a JSON Schema per payload version', () => {
+      const catalog = webhookCatalog.getCatalog();
+      const order = catalog.events.find((event) => event.event === 'order.created');
+
+      expect(catalog.catalogVersion).toBe(webhookCatalog.CATALOG_VERSION);
+      expect(catalog.events).toHaveLength(Object.keys(webhookCatalog.EVENTS).length);
+      expect(order.latestVersion).toBe(2);
+      expect(order.versions.map((v) => v.schema.$id)).toEqual([
+        'urn:airavat:webhooks:order.created:v1',
+        'urn:airavat:webhooks:order.created:v2',
+      ]);
+    });
+
+    it('renders the same event differently per version', () => {
+      const v1 = webhookCatalog.renderPayload('order.confirmed', 1, orderData);
+      const v2 = webhookCatalog.renderPayload('order.confirmed', 2, orderData);
+
+      expect(v1.totalAmount).toBe(1250.5);
+      expect(Object.keys(v1)).toEqual(Object.keys(webhookCatalog.schemaFor('order.confirmed', 1).properties));
+      expect(v2.order.total).toEqual({ amount: '1250.50', currency: 'INR' });
+      expect(v2.order.previousStatus).toBe('PENDING');
+    });
+
+    it('resolves legacy event names', () => {
+      expect(webhookCatalog.resolveEventType('product.low_stock')).toBe('product.stock_low');
+      expect(webhookCatalog.resolveEventType('order.teleported')).toBeNull();
+    });
+  });
+
+  // ===========================================================================
+  // SUBSCRIPTIONS
+  // ===========================================================================
+
+  describe('createWebhook', () => {
+    it('pins each event to its latest version unless a version is requested', async () => {
+      const webhook = await webhookService.createWebhook('biz_1', {
+        url: 'https://partner.example.com/hooks',
+        events: ['order.created', 'order.shipped', 'rfq.quote_received'],
+        eventVersions: { 'order.shipped': 1 },
+      });
+
+      expect(webhook.events).toEqual(['order.created', 'order.shipped', 'rfq.quotation_received']);
+      expect(webhook.eventVersions).toEqual({
+        'order.created': 2,
+        'order.shipped': 1,
+        'rfq.quotation_received': 1,
+      });
+      expect(webhook.secret).toMatch(/^whsec_/);
+    });
+
+    it('rejects versions the catalog does not define', async () => {
+      await expect(webhookService.createWebhook('biz_1', {
+        url: 'https://partner.example.com/hooks',
+        events: ['order.created'],
+        eventVersions: { 'order.created': 7 },
+      })).rejects.toThrow('has no payload version 7');
+    });
+  });
+
+  describe('updateWebhook', () => {
+    it('clears the failure streak when a disabled webhook is re-enabled', async () => {
+      prisma.webhook.findFirst.mockResolvedValue(webhookRow({
+        isActive: false,
+        consecutiveFailures: 25,
+        disabledAt: new Date(),
+      }));
+
+      const webhook = await webhookService.updateWebhook('wh_1', 'biz_1', { isActive: true });
+
+      expect(prisma.webhook.update.mock.calls[0][0].data).toMatchObject({
+        isActive: true,
+        consecutiveFailures: 0,
+        failingSince: null,
+        disabledAt: null,
+      });
+      expect(webhook.secret).toBeUndefined();
+    });
+  });
+
+  // ===========================================================================
+  // SIGNING
+  // ===========================================================================
+
+  describe('secret rotation', () => {
+    it('keeps the previous secret valid for the overlap window', async () => {
+      prisma.webhook.findFirst.mockResolvedValue(webhookRow({ secret: 'whsec_old' }));
+
+      const result = await webhookService.rotateSecret('wh_1', 'biz_1', { overlapHours: 12 });
+
+      const { data } = prisma.webhook.update.mock.calls[0][0];
+      expect(data.previousSecret).toBe('whsec_old');
+      expect(result.previousSecretExpiresAt.getTime() - Date.now()).toBeGreaterThan(11 * HOUR);
+    });
+
+    it('signs with both secrets during the overlap so either verifies', async () => {
+      const webhook = webhookRow({
+        previousSecret: 'whsec_old',
+        previousSecretExpiresAt: new Date(Date.now() + HOUR),
+      });
+      prisma.webhookDelivery.findUnique.mockResolvedValue(deliveryRow({ webhook }));
+      axios.post.mockResolvedValue({ status: 200, headers: {}, data: 'ok' });
+
+      await webhookService.deliver('del_1');
+
+      const [, body, { headers }] = axios.post.mock.calls[0];
+      expect(headers['X-Airavat-Signature'].match(/v1=/g)).toHaveLength(2);
+      expect(webhookService.verifySignature(body, headers['X-Airavat-Signature'], 'whsec_old')).toBe(true);
+      expect(webhookService.verifySignature(body, headers['X-Airavat-Signature'], 'whsec_new')).toBe(true);
+      expect(webhookService.verifySignature(body, headers['X-Airavat-Signature'], 'whsec_other')).toBe(false);
+    });
+
+    it('stops signing with the previous secret once the overlap ends', async () => {
+      const webhook = webhookRow({
+        previousSecret: 'whsec_old',
+        previousSecretExpiresAt: new Date(Date.now() - HOUR),
+      });
+      prisma.webhookDelivery.findUnique.mockResolvedValue(deliveryRow({ webhook }));
+      axios.post.mockResolvedValue({ status: 200, headers: {}, data: 'ok' });
+
+      await webhookService.deliver('del_1');
+
+      const [, body, { headers }] = axios.post.mock.calls[0];
+      expect(webhookService.verifySignature(body, headers['X-Airavat-Signature'], 'whsec_old')).toBe(false);
+    });
+  });
+
+  // ===========================================================================
+  // DISPATCH & DELIVERY
+  // ===========================================================================
+
+  describe('dispatch', () => {
+    it('derives a stable event ID from the idempotency key and records each pinned version', async () => {
+      prisma.webhook.findMany.mockResolvedValue([
+        { id: 'wh_1', eventVersions: { 'order.confirmed': 1 } },
+        { id: 'wh_2', eventVersions: { 'order.confirmed': 2 } },
+      ]);
+      prisma.webhookDelivery.findMany.mockResolvedValue([{ id: 'del_1', attempts: 0, replayCount: 0 }]);
+
+      const first = await webhookService.dispatch('order.confirmed', orderData, ['seller_1'], {
+        idempotencyKey: 'Order:order_1:2',
+      });
+      const second = await webhookService.dispatch('order.confirmed', orderData, ['seller_1'], {
+        idempotencyKey: 'Order:order_1:2',
+      });
+
+      expect(first.eventId).toBe(second.eventId);
+      const { data, skipDuplicates } = prisma.webhookDelivery.createMany.mock.calls[0][0];
+      expect(skipDuplicates).toBe(true);
+      expect(data.map((row) => row.payloadVersion)).toEqual([1, 2]);
+      expect(addJob).toHaveBeenCalledWith('webhookDelivery', { deliveryId: 'del_1' }, expect.objectContaining({
+        jobId: 'del_1:0:0',
+      }));
+    });
+
+    it('delivers the payload rendered at the pinned version inside the envelope', async () => {
+      prisma.webhookDelivery.findUnique.mockResolvedValue(deliveryRow({ payloadVersion: 2 }));
+      axios.post.mockResolvedValue({ status: 204, headers: {}, data: '' });
+
+      const result = await webhookService.deliver('del_1');
+
+      const [, body, { headers }] = axios.post.mock.calls[0];
+      const envelope = JSON.parse(body);
+      expect(result.success).toBe(true);
+      expect(envelope).toMatchObject({ id: 'evt_1', event: 'order.confirmed', version: 2 });
+      expect(envelope.data.order.id).toBe('order_1');
+      expect(headers['X-Airavat-Payload-Version']).toBe('2');
+    });
+  });
+
+  // ===========================================================================
+  // FAILURES
+  // ===========================================================================
+
+  describe('failures', () => {
+    it('schedules a retry while attempts remain', async () => {
+      prisma.webhookDelivery.findUnique.mockResolvedValue(deliveryRow({ attempts: 1 }));
+      axios.post.mockResolvedValue({ status: 503, headers: {}, data: 'unavailable' });
+
+      const result = await webhookService.deliver('del_1');
+
+      const { data } = prisma.webhookDelivery.update.mock.calls[0][0];
+      expect(result.deadLettered).toBe(false);
+      expect(data.status).toBe('retrying');
+      expect(data.nextRetryAt.getTime() - Date.now()).toBeGreaterThan(290 * 1000);
+    });
+
+    it('moves the delivery to the dead-letter queue after the last attempt', async () => {
+      prisma.webhookDelivery.findUnique.mockResolvedValue(deliveryRow({
+        attempts: webhookService.RETRY_CONFIG.maxAttempts - 1,
+      }));
+      axios.post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      const result = await webhookService.deliver('del_1');
+
+      const { data } = prisma.webhookDelivery.update.mock.calls[0][0];
+      expect(result.deadLettered).toBe(true);
+      expect(data.status).toBe('dead');
+      expect(data.deadLetteredAt).toBeInstanceOf(Date);
+    });
+
+    it('auto-disables a webhook only when failures are numerous and sustained', async () => {
+      const { autoDisableFailures, autoDisableHours } = config.webhooks;
+      const failingSince = new Date(Date.now() - (autoDisableHours + 1) * HOUR);
+      prisma.webhookDelivery.findUnique.mockResolvedValue(deliveryRow({
+        webhook: webhookRow({ consecutiveFailures: autoDisableFailures - 1, failingSince }),
+      }));
+      prisma.webhook.update.mockResolvedValueOnce(webhookRow({
+        consecutiveFailures: autoDisableFailures,
+        failingSince,
+      }));
+      axios.post.mockResolvedValue({ status: 500, headers: {}, data: '' });
+
+      const result = await webhookService.deliver('del_1');
+
+      expect(result.webhookDisabled).toBe(true);
+      expect(prisma.webhook.update).toHaveBeenLastCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ isActive: false, disabledAt: expect.any(Date) }),
+      }));
+    });
+
+    it('keeps a webhook active through a short burst of failures', async () => {
+      const failingSince = new Date(Date.now() - 5 * 60 * 1000);
+      prisma.webhookDelivery.findUnique.mockResolvedValue(deliveryRow());
+      prisma.webhook.update.mockResolvedValueOnce(webhookRow({
+        consecutiveFailures: config.webhooks.autoDisableFailures + 10,
+        failingSince,
+      }));
+      axios.post.mockResolvedValue({ status: 500, headers: {}, data: '' });
+
+      const result = await webhookService.deliver('del_1');
+
+      expect(result.webhookDisabled).toBe(false);
+    });
+
+    it('dead-letters deliveries for a disabled webhook without calling it', async () => {
+      prisma.webhookDelivery.findUnique.mockResolvedValue(deliveryRow({ webhook: webhookRow({ isActive: false }) }));
+
+      const result = await webhookService.deliver('del_1');
+
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(result.deadLettered).toBe(true);
+    });
+  });
+
+  // ===========================================================================
+  // REPLAY
+  // ===========================================================================
+
+  describe('replay', () => {
+    it('requires an event ID or a time range', async () => {
+      await expect(webhookService.replay('biz_1', {})).rejects.toThrow('event ID or a time range');
+    });
+
+    it('replays dead letters in a time range and skips disabled webhooks', async () => {
+      prisma.webhookDelivery.findMany.mockResolvedValue([
+        deliveryRow({ id: 'del_1', status: 'dead', webhook: { isActive: true } }),
+        deliveryRow({ id: 'del_2', status: 'dead', webhook: { isActive: false } }),
+      ]);
+
+      const result = await webhookService.replay('biz_1', {
+        from: '2026-10-01T00:00:00Z',
+        to: '2026-10-02T00:00:00Z',
+      });
+
+      const { where } = prisma.webhookDelivery.findMany.mock.calls[0][0];
+      expect(where.status).toBe('dead');
+      expect(where.createdAt.gte).toEqual(new Date('2026-10-01T00:00:00Z'));
+      expect(result).toMatchObject({ matched: 2, replayed: 1 });
+      expect(result.skipped).toEqual([{ deliveryId: 'del_2', reason: 'Webhook is disabled' }]);
+      expect(prisma.webhookDelivery.update.mock.calls[0][0].data).toMatchObject({
+        status: 'pending',
+        attempts: 0,
+        replayCount: { increment: 1 },
+      });
+      expect(addJob).toHaveBeenCalledWith('webhookDelivery', { deliveryId: 'del_1' }, expect.objectContaining({
+        jobId: 'del_1:1:0',
+      }));
+    });
+
+    it('replays every delivery of one event regardless of status', async () => {
+      prisma.webhookDelivery.findMany.mockResolvedValue([
+        deliveryRow({ status: 'success', webhook: { isActive: true } }),
+      ]);
+
+      const result = await webhookService.replay('biz_1', { eventId: 'evt_1' });
+
+      const { where } = prisma.webhookDelivery.findMany.mock.calls[0][0];
+      expect(where).toEqual({ webhook: { businessId: 'biz_1' }, eventId: 'evt_1' });
+      expect(result.replayed).toBe(1);
+    });
+
+    it('reports an unknown event ID', async () => {
+      prisma.webhookDelivery.findMany.mockResolvedValue([]);
+
+      await expect(webhookService.replay('biz_1', { eventId: 'evt_missing' })).rejects.toThrow('Webhook event not found');
+    });
+  });
+});